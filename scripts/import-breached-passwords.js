@@ -0,0 +1,54 @@
+// scripts/import-breached-passwords.js
+//
+// Penggunaan:
+//   node scripts/import-breached-passwords.js <source> [--plain] [--replace] [--min-count=N]
+//
+// <source> berupa direktori file range per prefix SHA-1 (<PREFIX> atau <PREFIX>.txt berisi
+// SUFFIX:COUNT), file daftar hash SHA-1 (HASH atau HASH:COUNT per baris), atau file daftar
+// password teks dengan --plain. Korpus ditulis ke BREACHED_PASSWORDS_DIR.
+import dotenv from 'dotenv';
+import {
+  importBreachedPasswords,
+  getBreachedCorpusInfo
+} from '../src/services/breached-password.service.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const source = args.find((arg) => !arg.startsWith('--'));
+const plain = args.includes('--plain');
+const replace = args.includes('--replace');
+const minCountArg = args.find((arg) => arg.startsWith('--min-count='));
+const minCount = minCountArg ? parseInt(minCountArg.split('=')[1], 10) : 1;
+
+const importCorpus = async () => {
+  if (!source || !(minCount >= 1)) {
+    console.log('Usage: node scripts/import-breached-passwords.js <source> [--plain] [--replace] [--min-count=N]');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`Importing breached passwords from ${source}${replace ? ' (replacing existing corpus)' : ''}...`);
+
+    const result = await importBreachedPasswords(source, {
+      plain,
+      replace,
+      minCount,
+      onProgress: (hashesRead) => console.log(`Hashes read: ${hashesRead}`)
+    });
+
+    const corpus = await getBreachedCorpusInfo();
+
+    console.log('Breached password corpus successfully imported');
+    console.log('Corpus directory:', result.dir);
+    console.log('Hashes imported:', result.hashesImported);
+    console.log('Lines skipped:', result.skipped);
+    console.log('Partitions updated:', result.partitionsUpdated);
+    console.log('Total partitions:', corpus.partitions);
+  } catch (error) {
+    console.error('Error importing breached passwords:', error);
+    process.exit(1);
+  }
+};
+
+importCorpus();
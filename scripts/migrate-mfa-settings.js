@@ -0,0 +1,62 @@
+// scripts/migrate-mfa-settings.js
+import { Op } from 'sequelize';
+import { sequelize, UserModel } from '../src/models/index.model.js';
+import { normalizeMfaSettings, withLockedUser } from '../src/services/mfa.service.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Jalankan tanpa menyimpan perubahan dengan argumen --dry-run
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateSettings = async () => {
+  try {
+    console.log('Connecting to database...');
+    await sequelize.authenticate();
+    console.log('Database connection established');
+
+    // Ambil semua user yang memiliki pengaturan MFA
+    const users = await UserModel.findAll({
+      where: { mfa_settings: { [Op.ne]: null } }
+    });
+
+    let usersMigrated = 0;
+
+    for (const user of users) {
+      // Data yang sudah memakai struktur factors tidak perlu dikonversi
+      if (Array.isArray(user.mfa_settings.factors)) {
+        continue;
+      }
+
+      // Baca ulang dengan baris terkunci agar perubahan MFA yang berjalan bersamaan tidak tertimpa
+      const settings = dryRun
+        ? normalizeMfaSettings(user.mfa_settings)
+        : await withLockedUser(user.id, async (lockedUser, transaction) => {
+          if (!lockedUser?.mfa_settings || Array.isArray(lockedUser.mfa_settings.factors)) {
+            return null;
+          }
+          const normalized = normalizeMfaSettings(lockedUser.mfa_settings);
+          await lockedUser.update({ mfa_settings: normalized }, { transaction });
+          return normalized;
+        });
+      if (!settings) {
+        continue;
+      }
+
+      usersMigrated += 1;
+      console.log(`User ${user.username}: ${settings.factors.length} factor(s) converted`);
+    }
+
+    console.log(dryRun ? 'Dry run, no changes saved' : 'MFA settings successfully migrated');
+    console.log('Users checked:', users.length);
+    console.log('Users migrated:', usersMigrated);
+
+    // Close connection
+    await sequelize.close();
+  } catch (error) {
+    console.error('Error migrating MFA settings:', error);
+    process.exit(1);
+  }
+};
+
+migrateSettings();
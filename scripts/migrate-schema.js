@@ -0,0 +1,201 @@
+// scripts/migrate-schema.js
+import {
+  sequelize,
+  UserModel,
+  ConsumerModel,
+  ProviderKeyModel,
+  TokenModel,
+  AuditLogModel,
+  AuthorizationCodeModel,
+  MfaChallengeModel,
+  WebAuthnChallengeModel,
+  MfaRecoveryRequestModel,
+  TrustedDeviceModel,
+  MfaPolicyModel,
+  PushChallengeModel,
+  MagicLinkModel,
+  PasswordPolicyModel,
+  PasswordHistoryModel,
+  ClientAssertionModel
+} from '../src/models/index.model.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Jalankan tanpa mengubah database dengan argumen --dry-run
+const dryRun = process.argv.includes('--dry-run');
+
+// Kolom baru pada tabel lama; definisi kolom diambil dari model
+const NEW_COLUMNS = [
+  [TokenModel, ['token_type', 'family_id', 'used_at', 'replaced_by']],
+  [UserModel, ['locked_until', 'lockout_count', 'last_failed_at', 'password_breached_at']],
+  [ProviderKeyModel, ['retire_until']],
+  [ConsumerModel, ['redirect_uris', 'allowed_scopes', 'client_scopes']]
+];
+
+// Index baru pada tabel lama
+const NEW_INDEXES = [
+  [TokenModel, ['family_id']]
+];
+
+// Tabel baru, diurutkan mengikuti foreign key (push_challenges merujuk mfa_challenges)
+const NEW_TABLES = [
+  AuthorizationCodeModel,
+  MfaChallengeModel,
+  WebAuthnChallengeModel,
+  MfaRecoveryRequestModel,
+  TrustedDeviceModel,
+  MfaPolicyModel,
+  PushChallengeModel,
+  MagicLinkModel,
+  PasswordPolicyModel,
+  PasswordHistoryModel,
+  ClientAssertionModel
+];
+
+// Kolom status/jenis yang nilainya bertambah; hanya perlu diubah jika tipenya ENUM di database
+const EXTENDED_VALUES = [
+  [ProviderKeyModel, 'status'],
+  [AuditLogModel, 'event_type']
+];
+
+// Scope user-delegated; scope lain di allowed_scopes adalah scope mesin milik client_scopes
+const USER_SCOPES = ['openid', 'profile', 'email'];
+
+const migrateSchema = async () => {
+  try {
+    console.log('Connecting to database...');
+    await sequelize.authenticate();
+    console.log('Database connection established');
+
+    const queryInterface = sequelize.getQueryInterface();
+    const queryGenerator = queryInterface.queryGenerator;
+    let changes = 0;
+
+    /**
+     * Mencatat perubahan dan menjalankannya jika bukan dry run
+     * @param {string} description - Deskripsi perubahan
+     * @param {Function} action - Fungsi async yang melakukan perubahan
+     */
+    const apply = async (description, action) => {
+      changes += 1;
+      console.log(`${dryRun ? '[dry-run] ' : ''}${description}`);
+      if (!dryRun) {
+        await action();
+      }
+    };
+
+    // Setiap langkah memeriksa keadaan database lebih dulu, sehingga script aman dijalankan ulang
+    // setelah gagal di tengah jalan
+    const tables = await queryInterface.showAllTables({ schema: TokenModel.getTableName().schema });
+    const tableNames = tables.map((table) => (typeof table === 'string' ? table : table.tableName));
+
+    // Tabel baru
+    for (const Model of NEW_TABLES) {
+      if (!tableNames.includes(Model.tableName)) {
+        await apply(`Create table ${Model.tableName}`, () => Model.sync());
+      }
+    }
+
+    // Kolom baru
+    for (const [Model, columns] of NEW_COLUMNS) {
+      const description = await queryInterface.describeTable(Model.getTableName());
+      const attributes = Model.getAttributes();
+
+      for (const column of columns) {
+        if (!description[column]) {
+          await apply(`Add column ${Model.tableName}.${column}`, () =>
+            queryInterface.addColumn(Model.getTableName(), column, attributes[column])
+          );
+        }
+      }
+    }
+
+    // Token client_credentials tidak memiliki user
+    const tokenColumns = await queryInterface.describeTable(TokenModel.getTableName());
+    if (tokenColumns.user_id && !tokenColumns.user_id.allowNull) {
+      await apply('Allow NULL on access_tokens.user_id', () =>
+        sequelize.query(
+          `ALTER TABLE ${queryGenerator.quoteTable(TokenModel.getTableName())} ALTER COLUMN "user_id" DROP NOT NULL`
+        )
+      );
+    }
+
+    // Index baru
+    for (const [Model, fields] of NEW_INDEXES) {
+      const name = `${Model.tableName}_${fields.join('_')}`;
+      const indexes = await queryInterface.showIndex(Model.getTableName());
+      if (!indexes.some((index) => index.name === name)) {
+        await apply(`Add index ${name}`, () =>
+          queryInterface.addIndex(Model.getTableName(), fields, { name })
+        );
+      }
+    }
+
+    // Nilai ENUM baru, untuk database yang membuat kolom status/jenis sebagai ENUM
+    for (const [Model, column] of EXTENDED_VALUES) {
+      const description = await queryInterface.describeTable(Model.getTableName());
+      const existing = description[column]?.special || [];
+      if (existing.length === 0) {
+        continue;
+      }
+
+      const [allowed] = Model.getAttributes()[column].validate.isIn;
+      const enumName = queryGenerator.pgEnumName(Model.getTableName(), column);
+      for (const value of allowed.filter((item) => !existing.includes(item))) {
+        await apply(`Add value '${value}' to ${Model.tableName}.${column}`, () =>
+          sequelize.query(`ALTER TYPE ${enumName} ADD VALUE IF NOT EXISTS ${sequelize.escape(value)}`)
+        );
+      }
+    }
+
+    // Kunci yang sudah dinonaktifkan oleh rotasi lama tidak lagi dipublikasikan: status barunya retired
+    if (!dryRun) {
+      const [retiredKeys] = await ProviderKeyModel.update(
+        { status: 'retired' },
+        { where: { status: 'inactive' } }
+      );
+      if (retiredKeys > 0) {
+        changes += 1;
+        console.log(`Provider keys inactive -> retired: ${retiredKeys}`);
+      }
+    } else {
+      const inactiveKeys = await ProviderKeyModel.count({ where: { status: 'inactive' } });
+      if (inactiveKeys > 0) {
+        changes += 1;
+        console.log(`[dry-run] Provider keys inactive -> retired: ${inactiveKeys}`);
+      }
+    }
+
+    // Pindahkan scope mesin dari allowed_scopes ke client_scopes
+    // (pada dry run di database lama kolomnya belum ada, sehingga belum ada yang dipindahkan)
+    const consumerColumns = await queryInterface.describeTable(ConsumerModel.getTableName());
+    const consumers = consumerColumns.allowed_scopes && consumerColumns.client_scopes
+      ? await ConsumerModel.findAll()
+      : [];
+    for (const consumer of consumers) {
+      const clientScopes = (consumer.allowed_scopes || []).filter((scope) => !USER_SCOPES.includes(scope));
+      if (clientScopes.length === 0) {
+        continue;
+      }
+
+      await apply(`Consumer ${consumer.name}: move ${clientScopes.join(' ')} to client_scopes`, () =>
+        consumer.update({
+          allowed_scopes: consumer.allowed_scopes.filter((scope) => USER_SCOPES.includes(scope)),
+          client_scopes: [...new Set([...(consumer.client_scopes || []), ...clientScopes])]
+        })
+      );
+    }
+
+    console.log(dryRun ? 'Dry run, no changes saved' : 'Database schema successfully migrated');
+    console.log('Changes:', changes);
+
+    // Close connection
+    await sequelize.close();
+  } catch (error) {
+    console.error('Error migrating database schema:', error);
+    process.exit(1);
+  }
+};
+
+migrateSchema();
@@ -0,0 +1,64 @@
+// scripts/reencrypt-mfa-secrets.js
+import { Op } from 'sequelize';
+import { sequelize, UserModel } from '../src/models/index.model.js';
+import { reencryptMfaSecrets, withLockedUser } from '../src/services/mfa.service.js';
+import { getActiveDataKeyVersion } from '../src/services/crypto.service.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Jalankan tanpa menyimpan perubahan dengan argumen --dry-run
+const dryRun = process.argv.includes('--dry-run');
+
+const reencryptSecrets = async () => {
+  try {
+    console.log('Connecting to database...');
+    await sequelize.authenticate();
+    console.log('Database connection established');
+    console.log('Active data encryption key version:', getActiveDataKeyVersion());
+
+    // Ambil semua user yang memiliki pengaturan MFA
+    const users = await UserModel.findAll({
+      where: { mfa_settings: { [Op.ne]: null } }
+    });
+
+    let usersUpdated = 0;
+    let fieldsReencrypted = 0;
+
+    for (const user of users) {
+      // Baca ulang dengan baris terkunci agar perubahan MFA yang berjalan bersamaan tidak tertimpa
+      const reencrypted = dryRun
+        ? reencryptMfaSecrets(user.mfa_settings).reencrypted
+        : await withLockedUser(user.id, async (lockedUser, transaction) => {
+          if (!lockedUser) {
+            return 0;
+          }
+          const result = reencryptMfaSecrets(lockedUser.mfa_settings);
+          if (result.reencrypted > 0) {
+            await lockedUser.update({ mfa_settings: result.settings }, { transaction });
+          }
+          return result.reencrypted;
+        });
+      if (reencrypted === 0) {
+        continue;
+      }
+
+      usersUpdated += 1;
+      fieldsReencrypted += reencrypted;
+      console.log(`User ${user.username}: ${reencrypted} field(s) re-encrypted`);
+    }
+
+    console.log(dryRun ? 'Dry run, no changes saved' : 'MFA secrets successfully re-encrypted');
+    console.log('Users checked:', users.length);
+    console.log('Users updated:', usersUpdated);
+    console.log('Fields re-encrypted:', fieldsReencrypted);
+
+    // Close connection
+    await sequelize.close();
+  } catch (error) {
+    console.error('Error re-encrypting MFA secrets:', error);
+    process.exit(1);
+  }
+};
+
+reencryptSecrets();
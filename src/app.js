@@ -11,8 +11,11 @@ import { initHttpsServer } from './servers/https.server.js';
 import { logger } from './utils/logger.util.js';
 import swaggerSpec from './configs/swagger.config.js';
 import routes from './routes/index.route.js';
+import { apiRateLimit } from './middlewares/rate-limit.middleware.js';
 import { sequelize, syncModels } from './models/index.model.js';
 import { testDatabaseConnection } from './configs/database.config.js';
+import { assertDataKeysConfigured } from './services/crypto.service.js';
+import { assertTrustedDeviceSecretConfigured } from './services/trusted-device.service.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -24,6 +27,10 @@ dotenv.config();
  */
 export const initializeApp = async () => {
   try {
+    // Kunci enkripsi secret MFA dan secret token perangkat tepercaya wajib dikonfigurasi
+    assertDataKeysConfigured();
+    assertTrustedDeviceSecretConfigured();
+
     // Test database connection
     const dbConnected = await testDatabaseConnection();
     if (!dbConnected) {
@@ -49,17 +56,19 @@ export const initializeApp = async () => {
     app.use(cors({
       origin: process.env.CORS_ORIGIN || '*',
       methods: ['GET', 'POST', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Consumer-Name', 'X-Signature']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Consumer-Name', 'X-Signature'],
+      exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
     }));
     
-    // Rate limiting middleware can be added here
-    // app.use(rateLimit({ ... }));
-    
     // Set trust proxy if behind a reverse proxy
     if (process.env.TRUST_PROXY === 'true') {
       app.set('trust proxy', 1);
     }
     
+    // Rate limiting umum per IP (setelah trust proxy agar req.ip berasal dari X-Forwarded-For)
+    // Budget login, verifikasi MFA, dan pengiriman OTP dipasang pada masing-masing route
+    app.use(['/api', '/oauth'], apiRateLimit);
+    
     // Swagger documentation
     app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
       explorer: true,
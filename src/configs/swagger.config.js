@@ -84,6 +84,12 @@ const swaggerOptions = {
           description:
             "Tanda tangan digital untuk verifikasi integritas request",
         },
+        BasicAuth: {
+          type: "http",
+          scheme: "basic",
+          description:
+            "Otentikasi klien OAuth (client_id = nama consumer, client_secret = API key)",
+        },
       },
       schemas: {
         // Response schemas
@@ -187,301 +193,1399 @@ const swaggerOptions = {
               format: "password",
               example: "Admin123!",
             },
-            mfa_code: {
+            device_token: {
               type: "string",
-              example: "123456",
-              description: "Kode MFA 6 digit (jika MFA diaktifkan)",
+              description:
+                "Token perangkat tepercaya dari login MFA sebelumnya; melewati challenge MFA selama masih berlaku",
             },
           },
         },
-        LoginResponse: {
+        LoginMfaRequest: {
           type: "object",
+          required: ["mfa_token"],
+          description: "Isi salah satu dari code, webauthn, atau push",
           properties: {
-            code: {
+            mfa_token: {
               type: "string",
-              example: "SUCCESS",
+              example: "9b2f4c7e1a8d3f6b0e5c2a9d7f1b4e8c...",
+              description: "Token challenge dari respons login (202)",
             },
-            message: {
+            code: {
               type: "string",
-              example: "Login berhasil",
+              example: "123456",
+              description: "Kode TOTP, OTP SMS/email (6 digit) atau backup code",
             },
-            data: {
-              type: "object",
-              properties: {
-                token: {
-                  type: "string",
-                  example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
-                },
-                expires_at: {
-                  type: "string",
-                  format: "date-time",
-                  example: "2023-01-01T00:00:00Z",
-                },
-                user: {
-                  $ref: "#/components/schemas/User",
-                },
-              },
+            webauthn: {
+              $ref: "#/components/schemas/WebAuthnAssertionCredential",
+            },
+            push: {
+              type: "boolean",
+              enum: [true],
+              description:
+                "Selesaikan dengan persetujuan push; respons 202 selama perangkat belum merespons",
+            },
+            trust_device: {
+              type: "boolean",
+              description:
+                "Percayai perangkat ini; respons berisi device_token untuk login berikutnya",
+            },
+            device_name: {
+              type: "string",
+              example: "Laptop kantor",
+              description: "Nama perangkat tepercaya (opsional)",
             },
           },
         },
-        User: {
+        TrustedDevice: {
           type: "object",
           properties: {
             id: {
               type: "string",
               format: "uuid",
-              example: "123e4567-e89b-12d3-a456-426614174000",
             },
-            username: {
+            consumer_id: {
               type: "string",
-              example: "admin",
+              format: "uuid",
             },
-            email: {
+            name: {
               type: "string",
-              format: "email",
-              example: "admin@example.com",
+              nullable: true,
+              example: "Laptop kantor",
             },
-            roles: {
-              type: "array",
-              items: {
-                type: "string",
-              },
-              example: ["admin", "user_manager"],
+            ip_address: {
+              type: "string",
+              nullable: true,
             },
-          },
-        },
-        VerifyTokenRequest: {
-          type: "object",
-          required: ["token"],
-          properties: {
-            token: {
+            user_agent: {
               type: "string",
-              example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+              nullable: true,
             },
-          },
-        },
-        VerifyTokenResponse: {
-          type: "object",
-          properties: {
-            code: {
+            created_at: {
               type: "string",
-              example: "SUCCESS",
+              format: "date-time",
             },
-            message: {
+            last_used_at: {
               type: "string",
-              example: "Token valid",
+              format: "date-time",
+              nullable: true,
             },
-            data: {
-              type: "object",
-              properties: {
-                user: {
-                  $ref: "#/components/schemas/User",
-                },
-              },
+            expires_at: {
+              type: "string",
+              format: "date-time",
             },
           },
         },
-        LogoutRequest: {
+        MfaPolicy: {
           type: "object",
           properties: {
-            token: {
+            id: {
               type: "string",
-              example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
-            },
-            all_devices: {
-              type: "boolean",
-              default: false,
-              description: "Jika true, semua token pengguna akan dicabut",
+              format: "uuid",
             },
-          },
-        },
-
-        // User schemas
-        CreateUserRequest: {
-          type: "object",
-          required: ["username", "password"],
-          properties: {
-            username: {
+            name: {
               type: "string",
-              minLength: 3,
-              maxLength: 50,
-              example: "johndoe",
+              example: "admin-wajib-mfa",
             },
-            email: {
+            description: {
               type: "string",
-              format: "email",
-              example: "john.doe@example.com",
+              nullable: true,
             },
-            password: {
+            target_type: {
               type: "string",
-              format: "password",
-              example: "StrongP@ss123!",
+              enum: ["role", "consumer"],
             },
-            roles: {
-              type: "array",
-              items: {
-                type: "string",
-              },
-              example: ["standard_user"],
+            role_id: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
             },
-          },
-        },
-        UpdateUserRequest: {
-          type: "object",
-          properties: {
-            email: {
+            consumer_id: {
               type: "string",
-              format: "email",
-              example: "john.updated@example.com",
+              format: "uuid",
+              nullable: true,
             },
-            is_active: {
-              type: "boolean",
-              example: true,
+            grace_days: {
+              type: "integer",
+              example: 7,
             },
-            is_locked: {
+            is_active: {
               type: "boolean",
-              example: false,
-            },
-            roles: {
-              type: "array",
-              items: {
-                type: "string",
-              },
-              example: ["standard_user", "api_manager"],
             },
-          },
-        },
-        ChangePasswordRequest: {
-          type: "object",
-          required: ["current_password", "new_password"],
-          properties: {
-            current_password: {
+            created_by: {
               type: "string",
-              format: "password",
-              example: "OldPassword123!",
+              format: "uuid",
+              nullable: true,
             },
-            new_password: {
+            created_at: {
               type: "string",
-              format: "password",
-              example: "NewStrongP@ss456!",
+              format: "date-time",
             },
-          },
-        },
-        ResetPasswordRequest: {
-          type: "object",
-          required: ["new_password"],
-          properties: {
-            new_password: {
+            updated_at: {
               type: "string",
-              format: "password",
-              example: "NewStrongP@ss456!",
+              format: "date-time",
             },
           },
         },
-
-        // Admin schemas - API Consumer
-        CreateConsumerRequest: {
+        CreateMfaPolicyRequest: {
           type: "object",
-          required: ["name", "publicKey"],
+          required: ["name", "targetType"],
           properties: {
             name: {
               type: "string",
-              example: "MyAppConsumer",
+              example: "finance-portal-wajib-mfa",
             },
-            publicKey: {
+            description: {
               type: "string",
-              example:
-                "-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqhkiG9w...\n-----END PUBLIC KEY-----",
             },
-            keyAlgorithm: {
+            targetType: {
               type: "string",
-              example: "RSA-2048",
-              default: "RSA-2048",
-              enum: ["RSA-2048", "RSA-4096", "ECDSA-P256", "Ed25519"],
+              enum: ["role", "consumer"],
             },
-            allowedIps: {
-              type: "array",
-              items: {
-                type: "string",
-              },
-              example: ["192.168.1.1/32", "10.0.0.0/24"],
+            roleId: {
+              type: "string",
+              format: "uuid",
+              description: "Wajib jika targetType role",
+            },
+            consumerId: {
+              type: "string",
+              format: "uuid",
+              description: "Wajib jika targetType consumer",
+            },
+            graceDays: {
+              type: "integer",
+              default: 0,
+              description: "Masa tenggang (hari) sejak login pertama yang terkena kebijakan",
+            },
+            isActive: {
+              type: "boolean",
+              default: true,
             },
           },
         },
-        UpdateConsumerRequest: {
+        UpdateMfaPolicyRequest: {
           type: "object",
           properties: {
             name: {
               type: "string",
-              example: "UpdatedAppConsumer",
             },
-            publicKey: {
+            description: {
               type: "string",
-              example:
-                "-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqhkiG9w...\n-----END PUBLIC KEY-----",
             },
-            allowedIps: {
-              type: "array",
-              items: {
-                type: "string",
-              },
-              example: ["192.168.1.1/32", "10.0.0.0/24"],
+            graceDays: {
+              type: "integer",
             },
             isActive: {
               type: "boolean",
-              example: true,
             },
           },
         },
-
-        // Admin schemas - Provider Key
-        RotateKeyRequest: {
+        PasswordPolicy: {
           type: "object",
           properties: {
-            keyAlgorithm: {
-              type: "string",
-              example: "RSA-2048",
-              enum: ["RSA-2048", "RSA-4096", "ECDSA-P256", "Ed25519"],
+            min_length: {
+              type: "integer",
+              example: 8,
             },
-            validDays: {
+            require_uppercase: {
+              type: "boolean",
+              example: true,
+            },
+            require_lowercase: {
+              type: "boolean",
+              example: true,
+            },
+            require_digit: {
+              type: "boolean",
+              example: true,
+            },
+            require_symbol: {
+              type: "boolean",
+              example: true,
+              description: "Karakter selain huruf dan angka",
+            },
+            disallow_user_info: {
+              type: "boolean",
+              example: true,
+              description: "Tolak password yang memuat potongan username atau email",
+            },
+            check_breached: {
+              type: "boolean",
+              example: true,
+              description: "Tolak password baru yang terdapat pada korpus password bocor yang diimpor",
+            },
+            flag_breached_on_login: {
+              type: "boolean",
+              example: false,
+              description:
+                "Periksa password saat login; pengguna yang password-nya bocor hanya dapat mengganti password",
+            },
+            history_count: {
+              type: "integer",
+              example: 5,
+              description: "Jumlah password terakhir yang tidak boleh dipakai ulang (0 = nonaktif)",
+            },
+            max_age_days: {
               type: "integer",
-              minimum: 1,
-              maximum: 365,
               example: 90,
-              default: 90,
+              description: "Umur maksimal password dalam hari (0 = tidak kedaluwarsa)",
             },
-          },
-        },
-
-        VerifyTotpRequest: {
-          type: "object",
-          required: ["token"],
-          properties: {
-            token: {
+            updated_by: {
               type: "string",
-              example: "123456",
-              description: "TOTP 6 digit",
+              format: "uuid",
+              nullable: true,
             },
-          },
-        },
-        DisableMfaRequest: {
-          type: "object",
-          required: ["current_password"],
-          properties: {
-            current_password: {
+            updated_at: {
               type: "string",
-              format: "password",
-              example: "YourPassword123!",
-              description: "Password saat ini untuk verifikasi",
+              format: "date-time",
+              nullable: true,
+              description: "Kosong jika kebijakan default belum pernah diubah",
             },
           },
         },
-        MfaSetupResponse: {
+        UpdatePasswordPolicyRequest: {
           type: "object",
           properties: {
-            code: {
-              type: "string",
-              example: "SUCCESS",
+            minLength: {
+              type: "integer",
+              minimum: 6,
+              maximum: 100,
+            },
+            requireUppercase: {
+              type: "boolean",
+            },
+            requireLowercase: {
+              type: "boolean",
+            },
+            requireDigit: {
+              type: "boolean",
+            },
+            requireSymbol: {
+              type: "boolean",
+            },
+            disallowUserInfo: {
+              type: "boolean",
+            },
+            checkBreached: {
+              type: "boolean",
+            },
+            flagBreachedOnLogin: {
+              type: "boolean",
+            },
+            historyCount: {
+              type: "integer",
+              minimum: 0,
+              maximum: 24,
+            },
+            maxAgeDays: {
+              type: "integer",
+              minimum: 0,
+              maximum: 3650,
+            },
+          },
+        },
+        LoginMfaRecoveryRequest: {
+          type: "object",
+          required: ["mfa_token"],
+          properties: {
+            mfa_token: {
+              type: "string",
+              example: "9b2f4c7e1a8d3f6b0e5c2a9d7f1b4e8c...",
+              description: "Token challenge dari respons login (202)",
+            },
+            reason: {
+              type: "string",
+              example: "Ponsel hilang dan backup code tidak tersimpan",
+              description: "Alasan permintaan (opsional)",
+            },
+          },
+        },
+        MfaRecoveryRequest: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            user_id: {
+              type: "string",
+              format: "uuid",
+            },
+            username: {
+              type: "string",
+              example: "johndoe",
+            },
+            status: {
+              type: "string",
+              enum: ["pending", "approved", "rejected"],
+            },
+            reason: {
+              type: "string",
+              nullable: true,
+            },
+            ip_address: {
+              type: "string",
+              nullable: true,
+            },
+            reviewed_by: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+            },
+            reviewed_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+            },
+            review_note: {
+              type: "string",
+              nullable: true,
+            },
+            created_at: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        ReviewMfaRecoveryRequest: {
+          type: "object",
+          properties: {
+            note: {
+              type: "string",
+              maxLength: 500,
+              example: "Identitas diverifikasi melalui panggilan video",
+            },
+          },
+        },
+        UnlockAccountRequest: {
+          type: "object",
+          properties: {
+            reason: {
+              type: "string",
+              maxLength: 500,
+              example: "Pengguna terverifikasi melalui helpdesk",
+              description: "Alasan membuka kunci (dicatat pada audit log)",
+            },
+          },
+        },
+        RegenerateBackupCodesRequest: {
+          type: "object",
+          required: ["current_password"],
+          properties: {
+            current_password: {
+              type: "string",
+              format: "password",
+            },
+          },
+        },
+        LoginMfaWebAuthnOptionsRequest: {
+          type: "object",
+          required: ["mfa_token"],
+          properties: {
+            mfa_token: {
+              type: "string",
+              example: "9b2f4c7e1a8d3f6b0e5c2a9d7f1b4e8c...",
+              description: "Token challenge dari respons login (202)",
+            },
+          },
+        },
+        PasskeyLoginOptionsRequest: {
+          type: "object",
+          properties: {
+            username: {
+              type: "string",
+              example: "johndoe",
+              description: "Username (opsional, tanpa username digunakan discoverable credential)",
+            },
+          },
+        },
+        PasskeyLoginRequest: {
+          type: "object",
+          required: ["credential"],
+          properties: {
+            credential: {
+              $ref: "#/components/schemas/WebAuthnAssertionCredential",
+            },
+          },
+        },
+        MagicLinkRequest: {
+          type: "object",
+          required: ["email", "redirect_uri"],
+          properties: {
+            email: {
+              type: "string",
+              format: "email",
+              example: "john.doe@example.com",
+            },
+            redirect_uri: {
+              type: "string",
+              example: "https://app.example.com/auth/magic",
+              description: "Redirect URI terdaftar consumer; link login berisi parameter magic_token",
+            },
+          },
+        },
+        LoginMagicLinkRequest: {
+          type: "object",
+          required: ["token", "redirect_uri"],
+          properties: {
+            token: {
+              type: "string",
+              example: "3f9a1c7e5b2d8f4a6c0e9b1d7f3a5c8e2b4d6f0a9c1e3b5d7f9a2c4e6b8d0f1a",
+              description: "Nilai parameter magic_token dari link login",
+            },
+            redirect_uri: {
+              type: "string",
+              example: "https://app.example.com/auth/magic",
+              description: "Harus sama dengan redirect_uri saat link diminta",
+            },
+            device_token: {
+              type: "string",
+              description: "Token perangkat tepercaya (opsional) untuk melewati challenge MFA",
+            },
+          },
+        },
+        WebAuthnAssertionCredential: {
+          type: "object",
+          required: ["id", "rawId", "type", "response"],
+          description: "PublicKeyCredential dari navigator.credentials.get(); field biner dalam base64url",
+          properties: {
+            id: {
+              type: "string",
+            },
+            rawId: {
+              type: "string",
+            },
+            type: {
+              type: "string",
+              enum: ["public-key"],
+            },
+            response: {
+              type: "object",
+              required: ["clientDataJSON", "authenticatorData", "signature"],
+              properties: {
+                clientDataJSON: {
+                  type: "string",
+                },
+                authenticatorData: {
+                  type: "string",
+                },
+                signature: {
+                  type: "string",
+                },
+                userHandle: {
+                  type: "string",
+                  nullable: true,
+                },
+              },
+            },
+          },
+        },
+        WebAuthnAuthenticationOptions: {
+          type: "object",
+          description: "PublicKeyCredentialRequestOptions; field biner dalam base64url",
+          properties: {
+            challenge: {
+              type: "string",
+            },
+            rpId: {
+              type: "string",
+              example: "auth.example.com",
+            },
+            timeout: {
+              type: "integer",
+              example: 300000,
+            },
+            userVerification: {
+              type: "string",
+              enum: ["required", "preferred", "discouraged"],
+            },
+            allowCredentials: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  type: {
+                    type: "string",
+                    example: "public-key",
+                  },
+                  id: {
+                    type: "string",
+                  },
+                  transports: {
+                    type: "array",
+                    items: {
+                      type: "string",
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        LoginMfaResendRequest: {
+          type: "object",
+          required: ["mfa_token"],
+          properties: {
+            mfa_token: {
+              type: "string",
+              example: "9b2f4c7e1a8d3f6b0e5c2a9d7f1b4e8c...",
+              description: "Token challenge dari respons login (202)",
+            },
+            factor_id: {
+              type: "string",
+              format: "uuid",
+              description:
+                "Faktor SMS/email/push tujuan (default: faktor default jika push, selain itu faktor default atau faktor SMS/email pertama)",
+            },
+          },
+        },
+        MfaChallengeResponse: {
+          type: "object",
+          properties: {
+            code: {
+              type: "string",
+              example: "ACCEPTED",
+            },
+            message: {
+              type: "string",
+              example: "Verifikasi MFA diperlukan",
+            },
+            data: {
+              type: "object",
+              properties: {
+                mfa_required: {
+                  type: "boolean",
+                  example: true,
+                },
+                mfa_token: {
+                  type: "string",
+                  example: "9b2f4c7e1a8d3f6b0e5c2a9d7f1b4e8c...",
+                },
+                mfa_expires_at: {
+                  type: "string",
+                  format: "date-time",
+                  example: "2023-01-01T00:05:00Z",
+                },
+                mfa_method: {
+                  type: "string",
+                  enum: ["totp", "sms", "email", "webauthn", "push"],
+                  description: "Jenis faktor default",
+                },
+                mfa_factors: {
+                  type: "array",
+                  description: "Faktor terdaftar; kode dari faktor mana pun diterima",
+                  items: {
+                    $ref: "#/components/schemas/MfaFactor",
+                  },
+                },
+                push_number: {
+                  type: "string",
+                  example: "42",
+                  description:
+                    "Angka yang harus dipilih di perangkat push (hanya jika faktor default adalah push)",
+                },
+                push_expires_at: {
+                  type: "string",
+                  format: "date-time",
+                  description: "Waktu kedaluwarsa persetujuan push",
+                },
+                password_change_required: {
+                  type: "boolean",
+                  description:
+                    "Password kedaluwarsa atau bocor; gunakan password_change_token untuk mengganti password",
+                },
+                password_change_reason: {
+                  type: "string",
+                  enum: ["expired", "breached"],
+                  description: "Password melewati umur maksimal, atau ditemukan pada korpus password bocor",
+                },
+                password_change_token: {
+                  type: "string",
+                  description:
+                    "Token yang hanya diterima PUT /api/v1/users/{user_id}/password (tanpa refresh token)",
+                },
+                password_change_expires_at: {
+                  type: "string",
+                  format: "date-time",
+                },
+                password_expired_at: {
+                  type: "string",
+                  format: "date-time",
+                },
+                password_breached_at: {
+                  type: "string",
+                  format: "date-time",
+                },
+                user_id: {
+                  type: "string",
+                  format: "uuid",
+                },
+              },
+            },
+          },
+        },
+        LoginResponse: {
+          type: "object",
+          properties: {
+            code: {
+              type: "string",
+              example: "SUCCESS",
+            },
+            message: {
+              type: "string",
+              example: "Login berhasil",
+            },
+            data: {
+              type: "object",
+              properties: {
+                token: {
+                  type: "string",
+                  example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+                },
+                expires_at: {
+                  type: "string",
+                  format: "date-time",
+                  example: "2023-01-01T00:00:00Z",
+                },
+                refresh_token: {
+                  type: "string",
+                  example: "3f9c2a7d1b8e4f6a0c5d9e2b7a1f4c8d...",
+                },
+                refresh_expires_at: {
+                  type: "string",
+                  format: "date-time",
+                  example: "2023-01-31T00:00:00Z",
+                },
+                user: {
+                  $ref: "#/components/schemas/User",
+                },
+                backup_codes_remaining: {
+                  type: "integer",
+                  example: 2,
+                  description: "Sisa backup code (hanya jika login menggunakan backup code)",
+                },
+                backup_codes_low: {
+                  type: "boolean",
+                  description: "True jika sisa backup code sudah sedikit (hanya jika login menggunakan backup code)",
+                },
+                device_token: {
+                  type: "string",
+                  description: "Token perangkat tepercaya (hanya jika trust_device diisi); kirim sebagai device_token saat login",
+                },
+                device_expires_at: {
+                  type: "string",
+                  format: "date-time",
+                  description: "Waktu kedaluwarsa perangkat tepercaya",
+                },
+                mfa_enrollment_required: {
+                  type: "boolean",
+                  description: "True jika kebijakan MFA mewajibkan pengguna mengaktifkan MFA",
+                },
+                mfa_enrollment_deadline: {
+                  type: "string",
+                  format: "date-time",
+                  description: "Batas masa tenggang kebijakan MFA; setelahnya login hanya menghasilkan token pendaftaran MFA",
+                },
+                mfa_policies: {
+                  type: "array",
+                  items: {
+                    type: "string",
+                  },
+                  description: "Nama kebijakan MFA yang berlaku",
+                },
+              },
+            },
+          },
+        },
+        User: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+              example: "123e4567-e89b-12d3-a456-426614174000",
+            },
+            username: {
+              type: "string",
+              example: "admin",
+            },
+            email: {
+              type: "string",
+              format: "email",
+              example: "admin@example.com",
+            },
+            roles: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["admin", "user_manager"],
+            },
+          },
+        },
+        RefreshTokenRequest: {
+          type: "object",
+          required: ["refresh_token"],
+          properties: {
+            refresh_token: {
+              type: "string",
+              example: "3f9c2a7d1b8e4f6a0c5d9e2b7a1f4c8d...",
+            },
+          },
+        },
+        VerifyTokenRequest: {
+          type: "object",
+          required: ["token"],
+          properties: {
+            token: {
+              type: "string",
+              example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+            },
+          },
+        },
+        VerifyTokenResponse: {
+          type: "object",
+          properties: {
+            code: {
+              type: "string",
+              example: "SUCCESS",
+            },
+            message: {
+              type: "string",
+              example: "Token valid",
+            },
+            data: {
+              type: "object",
+              properties: {
+                user: {
+                  $ref: "#/components/schemas/User",
+                },
+              },
+            },
+          },
+        },
+        LogoutRequest: {
+          type: "object",
+          properties: {
+            token: {
+              type: "string",
+              example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+            },
+            all_devices: {
+              type: "boolean",
+              default: false,
+              description: "Jika true, semua token pengguna akan dicabut",
+            },
+          },
+        },
+
+        // User schemas
+        CreateUserRequest: {
+          type: "object",
+          required: ["username", "password"],
+          properties: {
+            username: {
+              type: "string",
+              minLength: 3,
+              maxLength: 50,
+              example: "johndoe",
+            },
+            email: {
+              type: "string",
+              format: "email",
+              example: "john.doe@example.com",
+            },
+            password: {
+              type: "string",
+              format: "password",
+              example: "StrongP@ss123!",
+            },
+            roles: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["standard_user"],
+            },
+          },
+        },
+        UpdateUserRequest: {
+          type: "object",
+          properties: {
+            email: {
+              type: "string",
+              format: "email",
+              example: "john.updated@example.com",
+            },
+            is_active: {
+              type: "boolean",
+              example: true,
+            },
+            is_locked: {
+              type: "boolean",
+              example: false,
+            },
+            locked_until: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "Batas penguncian sementara; kosong jika tidak terkunci atau terkunci permanen",
+            },
+            roles: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["standard_user", "api_manager"],
+            },
+          },
+        },
+        ChangePasswordRequest: {
+          type: "object",
+          required: ["current_password", "new_password"],
+          properties: {
+            current_password: {
+              type: "string",
+              format: "password",
+              example: "OldPassword123!",
+            },
+            new_password: {
+              type: "string",
+              format: "password",
+              example: "NewStrongP@ss456!",
+            },
+          },
+        },
+        ResetPasswordRequest: {
+          type: "object",
+          required: ["new_password"],
+          properties: {
+            new_password: {
+              type: "string",
+              format: "password",
+              example: "NewStrongP@ss456!",
+            },
+          },
+        },
+
+        // Admin schemas - API Consumer
+        CreateConsumerRequest: {
+          type: "object",
+          required: ["name", "publicKey"],
+          properties: {
+            name: {
+              type: "string",
+              example: "MyAppConsumer",
+            },
+            publicKey: {
+              type: "string",
+              example:
+                "-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqhkiG9w...\n-----END PUBLIC KEY-----",
+            },
+            keyAlgorithm: {
+              type: "string",
+              example: "RSA-2048",
+              default: "RSA-2048",
+              enum: ["RSA-2048", "RSA-4096", "ECDSA-P256", "ECDSA-P384", "Ed25519"],
+            },
+            allowedIps: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["192.168.1.1/32", "10.0.0.0/24"],
+            },
+            redirectUris: {
+              type: "array",
+              items: {
+                type: "string",
+                format: "uri",
+              },
+              example: ["https://app.example.com/oauth/callback"],
+            },
+            allowedScopes: {
+              type: "array",
+              items: {
+                type: "string",
+                enum: ["openid", "profile", "email"],
+              },
+              example: ["openid", "profile"],
+              description: "Scope atas nama pengguna untuk authorization code flow",
+            },
+            clientScopes: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["users:read", "audit:read"],
+              description: "Scope untuk grant_type client_credentials (tidak boleh berisi openid, profile, atau email)",
+            },
+          },
+        },
+        UpdateConsumerRequest: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              example: "UpdatedAppConsumer",
+            },
+            publicKey: {
+              type: "string",
+              example:
+                "-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqhkiG9w...\n-----END PUBLIC KEY-----",
+            },
+            keyAlgorithm: {
+              type: "string",
+              example: "ECDSA-P256",
+              enum: ["RSA-2048", "RSA-4096", "ECDSA-P256", "ECDSA-P384", "Ed25519"],
+            },
+            allowedIps: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["192.168.1.1/32", "10.0.0.0/24"],
+            },
+            redirectUris: {
+              type: "array",
+              items: {
+                type: "string",
+                format: "uri",
+              },
+              example: ["https://app.example.com/oauth/callback"],
+            },
+            allowedScopes: {
+              type: "array",
+              items: {
+                type: "string",
+                enum: ["openid", "profile", "email"],
+              },
+              example: ["openid", "profile"],
+              description: "Scope atas nama pengguna untuk authorization code flow",
+            },
+            clientScopes: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["users:read", "audit:read"],
+              description: "Scope untuk grant_type client_credentials (tidak boleh berisi openid, profile, atau email)",
+            },
+            isActive: {
+              type: "boolean",
+              example: true,
+            },
+          },
+        },
+
+        // Admin schemas - Provider Key
+        RotateKeyRequest: {
+          type: "object",
+          properties: {
+            keyAlgorithm: {
+              type: "string",
+              example: "RSA-2048",
+              enum: ["RSA-2048", "RSA-4096", "ECDSA-P256", "ECDSA-P384", "Ed25519"],
+            },
+            validDays: {
+              type: "integer",
+              minimum: 1,
+              maximum: 365,
+              example: 90,
+              default: 90,
+            },
+            activate: {
+              type: "boolean",
+              example: true,
+              default: true,
+              description:
+                "Aktifkan kunci baru sekarang; false untuk membuat kunci pending",
+            },
+          },
+        },
+
+        VerifyTotpRequest: {
+          type: "object",
+          required: ["token"],
+          properties: {
+            token: {
+              type: "string",
+              example: "123456",
+              description: "TOTP 6 digit",
+            },
+          },
+        },
+        DisableMfaRequest: {
+          type: "object",
+          required: ["current_password"],
+          properties: {
+            current_password: {
+              type: "string",
+              format: "password",
+              example: "YourPassword123!",
+              description: "Password saat ini untuk verifikasi",
+            },
+          },
+        },
+        SetupTotpRequest: {
+          type: "object",
+          properties: {
+            label: {
+              type: "string",
+              example: "Ponsel kantor",
+              description: "Nama faktor (opsional)",
+            },
+            current_password: {
+              type: "string",
+              format: "password",
+              example: "YourPassword123!",
+              description: "Password saat ini, wajib jika MFA sudah aktif",
+            },
+          },
+        },
+        WebAuthnRegistrationOptionsRequest: {
+          type: "object",
+          properties: {
+            current_password: {
+              type: "string",
+              format: "password",
+              example: "YourPassword123!",
+              description: "Password saat ini, wajib jika MFA sudah aktif",
+            },
+          },
+        },
+        RenameMfaFactorRequest: {
+          type: "object",
+          required: ["label"],
+          properties: {
+            label: {
+              type: "string",
+              example: "Ponsel pribadi",
+              maxLength: 50,
+            },
+          },
+        },
+        MfaFactor: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              format: "uuid",
+            },
+            type: {
+              type: "string",
+              enum: ["totp", "sms", "email", "webauthn", "push"],
+            },
+            label: {
+              type: "string",
+              example: "Aplikasi autentikator",
+            },
+            destination: {
+              type: "string",
+              nullable: true,
+              example: "+**********7890",
+              description: "Tujuan pengiriman kode yang disamarkan (SMS/email) atau nama perangkat (push)",
+            },
+            is_default: {
+              type: "boolean",
+            },
+            created_at: {
+              type: "string",
+              format: "date-time",
+            },
+            verified_at: {
+              type: "string",
+              format: "date-time",
+            },
+            last_used_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+            },
+          },
+        },
+        MfaStatus: {
+          type: "object",
+          properties: {
+            enabled: {
+              type: "boolean",
+            },
+            method: {
+              type: "string",
+              nullable: true,
+              description: "Jenis faktor default",
+            },
+            default_factor_id: {
+              type: "string",
+              format: "uuid",
+              nullable: true,
+            },
+            factors: {
+              type: "array",
+              items: {
+                $ref: "#/components/schemas/MfaFactor",
+              },
+            },
+            backup_codes_remaining: {
+              type: "integer",
+              example: 10,
+            },
+          },
+        },
+        WebAuthnRegistrationOptions: {
+          type: "object",
+          description: "PublicKeyCredentialCreationOptions; field biner dalam base64url",
+          properties: {
+            challenge: {
+              type: "string",
+            },
+            rp: {
+              type: "object",
+              properties: {
+                id: {
+                  type: "string",
+                  example: "auth.example.com",
+                },
+                name: {
+                  type: "string",
+                  example: "Centralized Auth System",
+                },
+              },
+            },
+            user: {
+              type: "object",
+              properties: {
+                id: {
+                  type: "string",
+                },
+                name: {
+                  type: "string",
+                },
+                displayName: {
+                  type: "string",
+                },
+              },
+            },
+            pubKeyCredParams: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  type: {
+                    type: "string",
+                    example: "public-key",
+                  },
+                  alg: {
+                    type: "integer",
+                    example: -7,
+                  },
+                },
+              },
+            },
+            timeout: {
+              type: "integer",
+              example: 300000,
+            },
+            attestation: {
+              type: "string",
+              example: "direct",
+            },
+            excludeCredentials: {
+              type: "array",
+              items: {
+                type: "object",
+              },
+            },
+            authenticatorSelection: {
+              type: "object",
+            },
+          },
+        },
+        VerifyWebAuthnRegistrationRequest: {
+          type: "object",
+          required: ["credential"],
+          properties: {
+            credential: {
+              type: "object",
+              required: ["id", "rawId", "type", "response"],
+              description: "PublicKeyCredential dari navigator.credentials.create(); field biner dalam base64url",
+              properties: {
+                id: {
+                  type: "string",
+                },
+                rawId: {
+                  type: "string",
+                },
+                type: {
+                  type: "string",
+                  enum: ["public-key"],
+                },
+                response: {
+                  type: "object",
+                  required: ["clientDataJSON", "attestationObject"],
+                  properties: {
+                    clientDataJSON: {
+                      type: "string",
+                    },
+                    attestationObject: {
+                      type: "string",
+                    },
+                    transports: {
+                      type: "array",
+                      items: {
+                        type: "string",
+                        enum: ["usb", "nfc", "ble", "internal", "hybrid", "smart-card"],
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            label: {
+              type: "string",
+              example: "YubiKey",
+              description: "Nama faktor (opsional)",
+            },
+          },
+        },
+        PushEnrollment: {
+          type: "object",
+          properties: {
+            enrollment_id: {
+              type: "string",
+              format: "uuid",
+            },
+            activation_code: {
+              type: "string",
+              description: "Kode aktivasi untuk aplikasi di perangkat (tampilkan sebagai QR code)",
+            },
+            expires_at: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        VerifyPushSetupRequest: {
+          type: "object",
+          required: ["enrollment_id"],
+          properties: {
+            enrollment_id: {
+              type: "string",
+              format: "uuid",
+              description: "ID pendaftaran dari /api/v1/mfa/push/setup",
+            },
+          },
+        },
+        ActivatePushDeviceRequest: {
+          type: "object",
+          required: ["activation_code", "public_key", "push_token", "signature"],
+          properties: {
+            activation_code: {
+              type: "string",
+            },
+            public_key: {
+              type: "string",
+              description: "Public key perangkat (PEM SPKI, Ed25519 atau ECDSA P-256)",
+            },
+            push_token: {
+              type: "string",
+              description: "Token perangkat pada provider push",
+            },
+            device_name: {
+              type: "string",
+              example: "Ponsel pribadi",
+            },
+            signature: {
+              type: "string",
+              description: "Tanda tangan activation_code dengan private key perangkat (base64url)",
+            },
+          },
+        },
+        RespondPushApprovalRequest: {
+          type: "object",
+          required: ["decision", "timestamp", "signature"],
+          properties: {
+            decision: {
+              type: "string",
+              enum: ["approve", "deny"],
+            },
+            number: {
+              type: "string",
+              example: "42",
+              description: "Angka yang dipilih user (wajib untuk approve)",
+            },
+            timestamp: {
+              type: "integer",
+              example: 1700000000,
+              description: "Waktu respons dalam detik sejak epoch",
+            },
+            signature: {
+              type: "string",
+              description:
+                "Tanda tangan <approvalId>.<decision>.<number>.<timestamp> dengan private key perangkat (base64url)",
+            },
+          },
+        },
+        SetupSmsMfaRequest: {
+          type: "object",
+          required: ["phone_number"],
+          properties: {
+            phone_number: {
+              type: "string",
+              example: "+6281234567890",
+              description: "Nomor telepon 10-15 digit, boleh diawali +",
+            },
+            label: {
+              type: "string",
+              example: "Ponsel kantor",
+              description: "Nama faktor (opsional)",
+            },
+            current_password: {
+              type: "string",
+              format: "password",
+              example: "YourPassword123!",
+              description: "Password saat ini, wajib jika MFA sudah aktif",
+            },
+          },
+        },
+        SetupEmailMfaRequest: {
+          type: "object",
+          properties: {
+            email: {
+              type: "string",
+              format: "email",
+              example: "john@example.com",
+              description: "Alamat email penerima kode (opsional, default email profil)",
+            },
+            label: {
+              type: "string",
+              example: "Ponsel kantor",
+              description: "Nama faktor (opsional)",
+            },
+            current_password: {
+              type: "string",
+              format: "password",
+              example: "YourPassword123!",
+              description: "Password saat ini, wajib jika MFA sudah aktif",
+            },
+          },
+        },
+        VerifyMfaCodeRequest: {
+          type: "object",
+          required: ["code"],
+          properties: {
+            code: {
+              type: "string",
+              example: "123456",
+              description: "Kode verifikasi 6 digit yang dikirim via SMS/email",
+            },
+          },
+        },
+        MfaSetupResponse: {
+          type: "object",
+          properties: {
+            code: {
+              type: "string",
+              example: "SUCCESS",
             },
             message: {
               type: "string",
@@ -490,6 +1594,10 @@ const swaggerOptions = {
             data: {
               type: "object",
               properties: {
+                factorId: {
+                  type: "string",
+                  format: "uuid",
+                },
                 secret: {
                   type: "string",
                   example: "JBSWY3DPEHPK3PXP",
@@ -503,6 +1611,278 @@ const swaggerOptions = {
             },
           },
         },
+        // OAuth schemas
+        IntrospectRequest: {
+          type: "object",
+          required: ["token"],
+          properties: {
+            token: {
+              type: "string",
+              example: "eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCIsImtpZCI6Ii4uLiJ9...",
+            },
+            token_type_hint: {
+              type: "string",
+              enum: ["access_token", "refresh_token"],
+            },
+            client_id: {
+              type: "string",
+              example: "AppConsumer",
+            },
+            client_secret: {
+              type: "string",
+            },
+          },
+        },
+        RevokeRequest: {
+          type: "object",
+          required: ["token"],
+          properties: {
+            token: {
+              type: "string",
+              example: "3f9c2a7d1b8e4f6a0c5d9e2b7a1f4c8d...",
+            },
+            token_type_hint: {
+              type: "string",
+              enum: ["access_token", "refresh_token"],
+            },
+            client_id: {
+              type: "string",
+              example: "AppConsumer",
+            },
+            client_secret: {
+              type: "string",
+            },
+          },
+        },
+        TokenRequest: {
+          type: "object",
+          required: ["grant_type"],
+          properties: {
+            grant_type: {
+              type: "string",
+              enum: ["authorization_code", "refresh_token", "client_credentials"],
+            },
+            code: {
+              type: "string",
+              description: "Wajib untuk grant_type authorization_code",
+            },
+            redirect_uri: {
+              type: "string",
+              format: "uri",
+              example: "https://app.example.com/callback",
+              description: "Wajib untuk grant_type authorization_code, harus sama dengan permintaan otorisasi",
+            },
+            code_verifier: {
+              type: "string",
+              description: "PKCE code verifier (43-128 karakter), wajib untuk grant_type authorization_code",
+            },
+            refresh_token: {
+              type: "string",
+              description: "Wajib untuk grant_type refresh_token",
+            },
+            scope: {
+              type: "string",
+              example: "users:read audit:read",
+              description: "Scope untuk grant_type client_credentials (harus termasuk clientScopes consumer)",
+            },
+            client_id: {
+              type: "string",
+              example: "AppConsumer",
+            },
+            client_secret: {
+              type: "string",
+            },
+            client_assertion_type: {
+              type: "string",
+              enum: ["urn:ietf:params:oauth:client-assertion-type:jwt-bearer"],
+            },
+            client_assertion: {
+              type: "string",
+              description: "JWT (iss = sub = client_id, aud = URL token endpoint, exp, jti) yang ditandatangani dengan private key consumer",
+            },
+          },
+        },
+        TokenResponse: {
+          type: "object",
+          properties: {
+            access_token: {
+              type: "string",
+              example: "eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCIsImtpZCI6Ii4uLiJ9...",
+            },
+            token_type: {
+              type: "string",
+              example: "Bearer",
+            },
+            expires_in: {
+              type: "integer",
+              example: 3600,
+            },
+            refresh_token: {
+              type: "string",
+              example: "3f9c2a7d1b8e4f6a0c5d9e2b7a1f4c8d...",
+            },
+            scope: {
+              type: "string",
+              example: "openid profile",
+            },
+            id_token: {
+              type: "string",
+              description: "ID token OpenID Connect (hanya jika scope berisi openid)",
+            },
+          },
+        },
+        UserInfo: {
+          type: "object",
+          properties: {
+            sub: {
+              type: "string",
+              format: "uuid",
+              example: "123e4567-e89b-12d3-a456-426614174000",
+            },
+            preferred_username: {
+              type: "string",
+              example: "admin",
+            },
+            email: {
+              type: "string",
+              format: "email",
+              example: "admin@example.com",
+            },
+            roles: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["admin"],
+            },
+          },
+        },
+        OpenIdConfiguration: {
+          type: "object",
+          properties: {
+            issuer: {
+              type: "string",
+              example: "https://auth.example.com",
+            },
+            authorization_endpoint: {
+              type: "string",
+              example: "https://auth.example.com/oauth/authorize",
+            },
+            token_endpoint: {
+              type: "string",
+              example: "https://auth.example.com/oauth/token",
+            },
+            userinfo_endpoint: {
+              type: "string",
+              example: "https://auth.example.com/oauth/userinfo",
+            },
+            jwks_uri: {
+              type: "string",
+              example: "https://auth.example.com/.well-known/jwks.json",
+            },
+            id_token_signing_alg_values_supported: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["RS256"],
+            },
+            scopes_supported: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["openid", "profile", "email"],
+            },
+          },
+        },
+        IntrospectResponse: {
+          type: "object",
+          properties: {
+            active: {
+              type: "boolean",
+              example: true,
+            },
+            token_type: {
+              type: "string",
+              example: "Bearer",
+            },
+            sub: {
+              type: "string",
+              format: "uuid",
+              example: "123e4567-e89b-12d3-a456-426614174000",
+            },
+            username: {
+              type: "string",
+              example: "admin",
+            },
+            client_id: {
+              type: "string",
+              example: "AppConsumer",
+            },
+            scope: {
+              type: "string",
+              example: "openid profile",
+            },
+            exp: {
+              type: "integer",
+              example: 1700003600,
+            },
+            iat: {
+              type: "integer",
+              example: 1700000000,
+            },
+            jti: {
+              type: "string",
+              format: "uuid",
+            },
+            roles: {
+              type: "array",
+              items: {
+                type: "string",
+              },
+              example: ["admin"],
+            },
+          },
+        },
+        Jwks: {
+          type: "object",
+          properties: {
+            keys: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  kty: {
+                    type: "string",
+                    example: "RSA",
+                  },
+                  kid: {
+                    type: "string",
+                    format: "uuid",
+                    example: "123e4567-e89b-12d3-a456-426614174000",
+                  },
+                  use: {
+                    type: "string",
+                    example: "sig",
+                  },
+                  alg: {
+                    type: "string",
+                    example: "RS256",
+                  },
+                  n: {
+                    type: "string",
+                    example: "0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4...",
+                  },
+                  e: {
+                    type: "string",
+                    example: "AQAB",
+                  },
+                },
+              },
+            },
+          },
+        },
       },
     },
     security: [
@@ -14,9 +14,28 @@ import {
   listProviderKeys,
   getActiveProviderKey,
   rotateProviderKey,
+  activateProviderKey,
   revokeProviderKey
 } from '../services/key.service.js';
-import { getSecurityActivity, getSecurityStats } from '../services/audit.service.js';
+import { getSecurityActivity, getSecurityStats, logMfaActivity, logAccountActivity } from '../services/audit.service.js';
+import {
+  listRecoveryRequests,
+  approveRecoveryRequest,
+  rejectRecoveryRequest
+} from '../services/mfa-recovery.service.js';
+import {
+  listTrustedDevices,
+  revokeTrustedDevice,
+  revokeAllTrustedDevices
+} from '../services/trusted-device.service.js';
+import {
+  listMfaPolicies,
+  createMfaPolicy,
+  updateMfaPolicy,
+  deleteMfaPolicy
+} from '../services/mfa-policy.service.js';
+import { getPasswordPolicy, updatePasswordPolicy } from '../services/password-policy.service.js';
+import { unlockAccount } from '../services/lockout.service.js';
 import { cleanupExpiredTokens } from '../services/token.service.js';
 import { successResponse, errorResponse, serviceErrorResponse, ResponseCode } from '../utils/response.util.js';
 import { logger } from '../utils/logger.util.js';
@@ -318,12 +337,13 @@ export const getActiveKey = async (req, res) => {
  */
 export const rotateKey = async (req, res) => {
   try {
-    const { keyAlgorithm, validDays } = req.body;
+    const { keyAlgorithm, validDays, activate } = req.body;
     
     // Panggil layanan untuk rotasi kunci
     const options = {
       keyAlgorithm,
       validDays: parseInt(validDays) || 90,
+      activate: activate !== false,
       passphrase: process.env.KEY_PASSPHRASE
     };
     
@@ -334,7 +354,9 @@ export const rotateKey = async (req, res) => {
       return successResponse(
         res, 
         ResponseCode.SUCCESS,
-        'Rotasi kunci provider berhasil dilakukan',
+        options.activate
+          ? 'Rotasi kunci provider berhasil dilakukan'
+          : 'Kunci provider baru berhasil dibuat dengan status pending',
         result.key
       );
     } else {
@@ -350,6 +372,39 @@ export const rotateKey = async (req, res) => {
   }
 };
 
+/**
+ * Mengaktifkan kunci provider berstatus pending
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const activateKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    
+    // Panggil layanan untuk mengaktifkan kunci
+    const result = await activateProviderKey(keyId, req.user.id);
+    
+    // Kirim respons sesuai hasil
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Kunci provider berhasil diaktifkan',
+        result.key
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Activate provider key error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengaktifkan kunci provider'
+    );
+  }
+};
+
 /**
  * Mencabut kunci provider
  * @param {Object} req - Express request object
@@ -482,6 +537,438 @@ export const getAuditStats = async (req, res) => {
   }
 };
 
+// ========== MFA Recovery ==========
+
+/**
+ * Mendapatkan daftar permintaan pemulihan MFA
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMfaRecoveryRequests = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    
+    const result = await listRecoveryRequests({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+      status
+    });
+    
+    // Kirim respons sesuai hasil
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Daftar permintaan pemulihan MFA berhasil diambil',
+        result.data,
+        { pagination: result.pagination }
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Get MFA recovery requests error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengambil daftar permintaan pemulihan MFA'
+    );
+  }
+};
+
+/**
+ * Menyetujui permintaan pemulihan MFA (reset MFA dan cabut semua token pengguna)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const approveMfaRecoveryRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    
+    const result = await approveRecoveryRequest(requestId, {
+      adminId: req.user.id,
+      note: req.body.note,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    
+    if (result.success) {
+      await logMfaActivity({
+        userId: result.data.request.user_id,
+        consumerId: req.consumer.id,
+        action: 'recovery_approved',
+        initiatedBy: req.user.id,
+        reason: req.body.note,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        additionalData: {
+          recovery_request_id: requestId,
+          tokens_revoked: result.data.tokensRevoked
+        }
+      });
+      
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Permintaan pemulihan MFA disetujui, MFA pengguna telah di-reset',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Approve MFA recovery request error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat menyetujui permintaan pemulihan MFA'
+    );
+  }
+};
+
+/**
+ * Menolak permintaan pemulihan MFA
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const rejectMfaRecoveryRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    
+    const result = await rejectRecoveryRequest(requestId, {
+      adminId: req.user.id,
+      note: req.body.note
+    });
+    
+    if (result.success) {
+      await logMfaActivity({
+        userId: result.data.request.user_id,
+        consumerId: req.consumer.id,
+        action: 'recovery_rejected',
+        initiatedBy: req.user.id,
+        reason: req.body.note,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        additionalData: { recovery_request_id: requestId }
+      });
+      
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Permintaan pemulihan MFA ditolak',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Reject MFA recovery request error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat menolak permintaan pemulihan MFA'
+    );
+  }
+};
+
+// ========== Trusted Devices ==========
+
+/**
+ * Mendapatkan daftar perangkat tepercaya milik pengguna
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getUserTrustedDevices = async (req, res) => {
+  try {
+    const result = await listTrustedDevices(req.params.userId);
+    
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Daftar perangkat tepercaya berhasil diambil',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Get user trusted devices error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengambil daftar perangkat tepercaya'
+    );
+  }
+};
+
+/**
+ * Mencabut perangkat tepercaya pengguna (satu perangkat jika deviceId diisi, atau semua)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeUserTrustedDevices = async (req, res) => {
+  try {
+    const { userId, deviceId } = req.params;
+    
+    const result = deviceId
+      ? await revokeTrustedDevice(userId, deviceId, { revokedBy: req.user.id })
+      : await revokeAllTrustedDevices(userId, { revokedBy: req.user.id });
+    
+    if (result.success) {
+      await logMfaActivity({
+        userId,
+        consumerId: req.consumer.id,
+        action: 'device_revoked',
+        initiatedBy: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        additionalData: deviceId
+          ? { trusted_device_id: deviceId }
+          : { devices_revoked: result.count }
+      });
+      
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Perangkat tepercaya berhasil dicabut',
+        deviceId ? null : { count: result.count }
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Revoke user trusted devices error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mencabut perangkat tepercaya'
+    );
+  }
+};
+
+// ========== Account Lockout ==========
+
+/**
+ * Membuka kunci akun pengguna (kunci sementara maupun permanen)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const unlockUserAccount = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const result = await unlockAccount(userId, { adminId: req.user.id });
+    
+    if (result.success) {
+      await logAccountActivity({
+        userId,
+        consumerId: req.consumer.id,
+        action: 'unlock',
+        initiatedBy: req.user.id,
+        reason: req.body.reason,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        signatureStatus: req.signatureVerified ? 'valid' : 'missing',
+        additionalData: result.data.previousLock
+      });
+      
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Kunci akun pengguna berhasil dibuka',
+        result.data.user
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Unlock user account error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat membuka kunci akun'
+    );
+  }
+};
+
+// ========== MFA Policies ==========
+
+/**
+ * Mendapatkan daftar kebijakan MFA
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMfaPolicies = async (req, res) => {
+  try {
+    const result = await listMfaPolicies();
+    
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Daftar kebijakan MFA berhasil diambil',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Get MFA policies error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengambil daftar kebijakan MFA'
+    );
+  }
+};
+
+/**
+ * Membuat kebijakan MFA baru
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addMfaPolicy = async (req, res) => {
+  try {
+    const result = await createMfaPolicy(req.body, req.user.id);
+    
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.CREATED,
+        'Kebijakan MFA berhasil dibuat',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Create MFA policy error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat membuat kebijakan MFA'
+    );
+  }
+};
+
+/**
+ * Mengupdate kebijakan MFA
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateMfaPolicyDetail = async (req, res) => {
+  try {
+    const result = await updateMfaPolicy(req.params.policyId, req.body);
+    
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Kebijakan MFA berhasil diupdate',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Update MFA policy error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengupdate kebijakan MFA'
+    );
+  }
+};
+
+/**
+ * Menghapus kebijakan MFA
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removeMfaPolicy = async (req, res) => {
+  try {
+    const result = await deleteMfaPolicy(req.params.policyId);
+    
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Kebijakan MFA berhasil dihapus'
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Delete MFA policy error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat menghapus kebijakan MFA'
+    );
+  }
+};
+
+// ========== Password Policy ==========
+
+/**
+ * Mendapatkan kebijakan password yang berlaku
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPasswordPolicySettings = async (req, res) => {
+  try {
+    const result = await getPasswordPolicy();
+    
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Kebijakan password berhasil diambil',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Get password policy error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengambil kebijakan password'
+    );
+  }
+};
+
+/**
+ * Mengupdate kebijakan password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updatePasswordPolicySettings = async (req, res) => {
+  try {
+    const result = await updatePasswordPolicy(req.body, req.user.id);
+    
+    if (result.success) {
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        'Kebijakan password berhasil diupdate',
+        result.data
+      );
+    } else {
+      return serviceErrorResponse(res, result);
+    }
+  } catch (error) {
+    logger.error(`Update password policy error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengupdate kebijakan password'
+    );
+  }
+};
+
 // ========== Maintenance ==========
 
 /**
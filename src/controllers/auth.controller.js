@@ -1,16 +1,142 @@
 /**
  * Controller untuk endpoint otentikasi
  */
+import jwt from 'jsonwebtoken';
 import { 
     authenticateUser, 
+    verifyMfaChallenge,
+    resendMfaChallengeCode,
+    requestMfaRecovery,
+    createMfaWebAuthnOptions,
+    createPasskeyLoginOptions,
+    authenticateWithPasskey,
+    authenticateWithMagicLink,
     verifyToken, 
+    refreshAccessToken,
     revokeToken, 
     revokeAllTokensForUser 
   } from '../services/auth.service.js';
-  import { logLoginActivity, logLogoutActivity } from '../services/audit.service.js';
+  import { sendMagicLink } from '../services/magic-link.service.js';
+  import { tokenIdClaimSchema } from '../validations/auth.validation.js';
+  import { logLoginResult, logLogoutActivity, logMfaActivity } from '../services/audit.service.js';
   import { successResponse, errorResponse, serviceErrorResponse, ResponseCode } from '../utils/response.util.js';
   import { logger } from '../utils/logger.util.js';
   
+  /**
+   * Status tanda tangan request untuk audit log
+   * @param {Object} req - Express request object
+   * @returns {string} valid atau missing
+   */
+  const getSignatureStatus = (req) => (req.signatureVerified ? 'valid' : 'missing');
+  
+  /**
+   * Data audit log yang sama untuk setiap langkah login
+   * @param {Object} req - Express request object
+   * @returns {Object} Konteks audit (consumer, IP address, user agent, status tanda tangan)
+   */
+  const getLoginAuditContext = (req) => ({
+    consumerId: req.consumer.id,
+    consumerName: req.consumer.name,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    signatureStatus: getSignatureStatus(req)
+  });
+  
+  /**
+   * Kirim respons hasil login (password atau magic link)
+   * @param {Object} res - Express response object
+   * @param {Object} result - Hasil dari authenticateUser atau authenticateWithMagicLink
+   */
+  const sendLoginResponse = (res, result) => {
+    // Faktor pertama benar, login dilanjutkan dengan verifikasi MFA
+    if (result.code === 'MFA_REQUIRED') {
+      return successResponse(
+        res,
+        ResponseCode.ACCEPTED,
+        'Verifikasi MFA diperlukan',
+        {
+          mfa_required: true,
+          mfa_token: result.mfaToken,
+          mfa_expires_at: result.mfaExpiresAt,
+          mfa_method: result.user.mfaMethod,
+          mfa_factors: result.user.mfaFactors,
+          ...(result.pushApproval && {
+            push_number: result.pushApproval.number,
+            push_expires_at: result.pushApproval.expiresAt
+          })
+        }
+      );
+    }
+    
+    // Masa tenggang kebijakan MFA habis; hanya token pendaftaran MFA yang diterbitkan
+    if (result.code === 'MFA_ENROLLMENT_REQUIRED' && result.enrollmentToken) {
+      return successResponse(
+        res,
+        ResponseCode.ACCEPTED,
+        'Pendaftaran MFA diperlukan sebelum login',
+        {
+          mfa_enrollment_required: true,
+          enrollment_token: result.enrollmentToken,
+          enrollment_expires_at: result.enrollmentExpiresAt,
+          mfa_policies: result.mfaPolicies
+        }
+      );
+    }
+    
+    // Password kedaluwarsa atau bocor; hanya token penggantian password yang diterbitkan
+    if (result.requirePasswordChange && result.passwordChangeToken) {
+      return successResponse(
+        res,
+        ResponseCode.ACCEPTED,
+        result.passwordChangeReason === 'breached'
+          ? 'Password ditemukan pada data bocor dan harus diganti sebelum login'
+          : 'Password sudah kedaluwarsa dan harus diganti sebelum login',
+        {
+          password_change_required: true,
+          password_change_reason: result.passwordChangeReason,
+          password_change_token: result.passwordChangeToken,
+          password_change_expires_at: result.passwordChangeExpiresAt,
+          password_expired_at: result.passwordExpiredAt,
+          password_breached_at: result.passwordBreachedAt,
+          user_id: result.user.id
+        }
+      );
+    }
+    
+    // Kirim respons sesuai hasil
+    if (result.success) {
+      const data = {
+        token: result.token,
+        expires_at: result.expiresAt,
+        refresh_token: result.refreshToken,
+        refresh_expires_at: result.refreshExpiresAt,
+        user: result.user
+      };
+      
+      // Pengguna wajib MFA menurut kebijakan, masih dalam masa tenggang
+      if (result.mfaEnrollment) {
+        data.mfa_enrollment_required = true;
+        data.mfa_enrollment_deadline = result.mfaEnrollment.deadline;
+        data.mfa_policies = result.mfaEnrollment.policies;
+      }
+      
+      return successResponse(
+        res, 
+        ResponseCode.SUCCESS,
+        result.mfaEnrollment
+          ? 'Login berhasil, segera aktifkan MFA sebelum batas waktu'
+          : 'Login berhasil',
+        data
+      );
+    } else {
+      // Akun terkunci sementara atau percobaan masih dalam jeda setelah password salah
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return serviceErrorResponse(res, result);
+    }
+  };
+  
   /**
    * Login pengguna
    * @param {Object} req - Express request object
@@ -18,41 +144,348 @@ import {
    */
   export const login = async (req, res) => {
     try {
-      const { username, password, mfa_code } = req.body;
+      const { username, password, device_token } = req.body;
       
       // Siapkan konteks otentikasi
       const context = {
         consumerId: req.consumer.id,
         ipAddress: req.ip,
         userAgent: req.headers['user-agent'],
-        signatureHeader: req.headers['x-signature']
+        signatureHeader: req.headers['x-signature'],
+        signatureStatus: getSignatureStatus(req)
       };
       
       // Panggil layanan otentikasi
-      const result = await authenticateUser({ username, password, mfa_code }, context);
+      const result = await authenticateUser({ username, password, deviceToken: device_token }, context);
       
-      // Log aktivitas login
-      await logLoginActivity({
-        userId: result.success ? result.user.id : null,
+      // Log aktivitas login (MFA dilewati jika login dari perangkat tepercaya)
+      await logLoginResult(result, {
+        ...getLoginAuditContext(req),
         username,
+        additionalData: { step: 'password' }
+      });
+      
+      return sendLoginResponse(res, result);
+    } catch (error) {
+      logger.error(`Login error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat proses login'
+      );
+    }
+  };
+  
+  /**
+   * Langkah kedua login untuk pengguna dengan MFA aktif
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const loginMfa = async (req, res) => {
+    try {
+      const { mfa_token, code, webauthn, push, trust_device, device_name } = req.body;
+      
+      // Panggil layanan verifikasi challenge MFA
+      const result = await verifyMfaChallenge({
+        mfaToken: mfa_token,
+        code,
+        webauthn,
+        push,
+        trustDevice: trust_device,
+        deviceName: device_name
+      }, {
         consumerId: req.consumer.id,
-        consumerName: req.consumer.name,
-        success: result.success,
         ipAddress: req.ip,
         userAgent: req.headers['user-agent'],
-        reason: result.success ? null : result.code,
-        signatureStatus: req.signatureVerified ? 'valid' : 'missing'
+        signatureStatus: getSignatureStatus(req)
+      });
+      
+      // Perangkat belum merespons; klien mengulang request hingga persetujuan diputuskan
+      if (result.code === 'MFA_PUSH_PENDING') {
+        return successResponse(
+          res,
+          ResponseCode.ACCEPTED,
+          'Menunggu persetujuan di perangkat terdaftar',
+          {
+            push_status: 'pending',
+            push_expires_at: result.expiresAt
+          }
+        );
+      }
+      
+      // Log aktivitas login (challenge yang tidak dikenal dicatat tanpa pengguna)
+      await logLoginResult(result, {
+        ...getLoginAuditContext(req),
+        additionalData: { step: 'mfa' }
       });
       
+      // Backup code hanya dapat digunakan sekali; catat penggunaannya
+      if (result.backupCode) {
+        await logMfaActivity({
+          userId: result.user.id,
+          consumerId: req.consumer.id,
+          action: 'backup_code_used',
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          signatureStatus: getSignatureStatus(req),
+          additionalData: { backup_codes_remaining: result.backupCode.remaining }
+        });
+      }
+      
+      // Perangkat dipercaya untuk login berikutnya; catat pembuatannya
+      if (result.trustedDevice) {
+        await logMfaActivity({
+          userId: result.user.id,
+          consumerId: req.consumer.id,
+          action: 'device_trusted',
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          signatureStatus: getSignatureStatus(req),
+          additionalData: {
+            trusted_device_id: result.trustedDevice.id,
+            expires_at: result.trustedDevice.expiresAt
+          }
+        });
+      }
+      
+      // Password kedaluwarsa atau bocor; hanya token penggantian password yang diterbitkan
+      if (result.requirePasswordChange) {
+        return sendLoginResponse(res, result);
+      }
+      
       // Kirim respons sesuai hasil
       if (result.success) {
         return successResponse(
           res, 
           ResponseCode.SUCCESS,
+          result.backupCode && result.backupCode.low
+            ? 'Login berhasil. Sisa backup code hampir habis, segera buat ulang backup codes'
+            : 'Login berhasil',
+          {
+            token: result.token,
+            expires_at: result.expiresAt,
+            refresh_token: result.refreshToken,
+            refresh_expires_at: result.refreshExpiresAt,
+            user: result.user,
+            ...(result.backupCode && {
+              backup_codes_remaining: result.backupCode.remaining,
+              backup_codes_low: result.backupCode.low
+            }),
+            ...(result.trustedDevice && {
+              device_token: result.trustedDevice.token,
+              device_expires_at: result.trustedDevice.expiresAt
+            })
+          }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA login error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat verifikasi MFA'
+      );
+    }
+  };
+  
+  /**
+   * Kirim ulang OTP SMS/email atau persetujuan push untuk challenge login MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const loginMfaResend = async (req, res) => {
+    try {
+      const { mfa_token, factor_id } = req.body;
+      
+      const result = await resendMfaChallengeCode({ mfaToken: mfa_token, factorId: factor_id }, {
+        consumerId: req.consumer.id,
+        ipAddress: req.ip
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Kode MFA telah dikirim ulang',
+          {
+            mfa_method: result.method,
+            mfa_factor: result.factor,
+            mfa_expires_at: result.expiresAt,
+            ...(result.push && {
+              push_number: result.push.number,
+              push_expires_at: result.push.expiresAt
+            })
+          }
+        );
+      } else {
+        if (result.retryAfter) {
+          res.set('Retry-After', String(result.retryAfter));
+        }
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA resend error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengirim ulang kode MFA'
+      );
+    }
+  };
+  
+  /**
+   * Permintaan pemulihan MFA untuk pengguna yang kehilangan seluruh faktor MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const loginMfaRecovery = async (req, res) => {
+    try {
+      const { mfa_token, reason } = req.body;
+      
+      const result = await requestMfaRecovery({ mfaToken: mfa_token, reason }, {
+        consumerId: req.consumer.id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+      
+      if (result.success) {
+        if (!result.alreadyPending) {
+          await logMfaActivity({
+            userId: result.user.id,
+            consumerId: req.consumer.id,
+            action: 'recovery_requested',
+            reason,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+            signatureStatus: getSignatureStatus(req),
+            additionalData: { recovery_request_id: result.request.id }
+          });
+        }
+        
+        return successResponse(
+          res,
+          ResponseCode.ACCEPTED,
+          'Permintaan pemulihan MFA menunggu persetujuan administrator',
+          {
+            request_id: result.request.id,
+            status: result.request.status,
+            created_at: result.request.created_at
+          }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA recovery request error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat membuat permintaan pemulihan MFA'
+      );
+    }
+  };
+  
+  /**
+   * Opsi WebAuthn (security key/passkey) untuk challenge login MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const loginMfaWebAuthnOptions = async (req, res) => {
+    try {
+      const { mfa_token } = req.body;
+      
+      const result = await createMfaWebAuthnOptions({ mfaToken: mfa_token }, {
+        consumerId: req.consumer.id,
+        ipAddress: req.ip
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Opsi WebAuthn berhasil dibuat',
+          result.options
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA WebAuthn options error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat membuat opsi WebAuthn'
+      );
+    }
+  };
+  
+  /**
+   * Opsi WebAuthn untuk login passwordless dengan passkey
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const passkeyLoginOptions = async (req, res) => {
+    try {
+      const { username } = req.body;
+      
+      const result = await createPasskeyLoginOptions({ username }, {
+        consumerId: req.consumer.id
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Opsi passkey berhasil dibuat',
+          result.options
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Passkey options error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat membuat opsi passkey'
+      );
+    }
+  };
+  
+  /**
+   * Login passwordless dengan passkey
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const passkeyLogin = async (req, res) => {
+    try {
+      const { credential } = req.body;
+      
+      const result = await authenticateWithPasskey({ credential }, {
+        consumerId: req.consumer.id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        signatureStatus: getSignatureStatus(req)
+      });
+      
+      // Log aktivitas login
+      await logLoginResult(result, {
+        ...getLoginAuditContext(req),
+        additionalData: { step: 'passkey' }
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
           'Login berhasil',
           {
             token: result.token,
             expires_at: result.expiresAt,
+            refresh_token: result.refreshToken,
+            refresh_expires_at: result.refreshExpiresAt,
             user: result.user
           }
         );
@@ -60,11 +493,127 @@ import {
         return serviceErrorResponse(res, result);
       }
     } catch (error) {
-      logger.error(`Login error: ${error.message}`);
+      logger.error(`Passkey login error: ${error.message}`);
       return errorResponse(
         res,
         ResponseCode.INTERNAL_ERROR,
-        'Terjadi kesalahan saat proses login'
+        'Terjadi kesalahan saat login dengan passkey'
+      );
+    }
+  };
+  
+  /**
+   * Kirim link login (magic link) ke email pengguna
+   * Respons selalu sama untuk email terdaftar maupun tidak
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const requestMagicLink = async (req, res) => {
+    try {
+      const { email, redirect_uri } = req.body;
+      
+      const result = await sendMagicLink({ email, redirectUri: redirect_uri }, {
+        consumerId: req.consumer.id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Jika email terdaftar, link login telah dikirim'
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Magic link request error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengirim link login'
+      );
+    }
+  };
+  
+  /**
+   * Login dengan token magic link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const loginMagicLink = async (req, res) => {
+    try {
+      const { token, redirect_uri, device_token } = req.body;
+      
+      const result = await authenticateWithMagicLink({
+        token,
+        redirectUri: redirect_uri,
+        deviceToken: device_token
+      }, {
+        consumerId: req.consumer.id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        signatureStatus: getSignatureStatus(req)
+      });
+      
+      // Log aktivitas login (link yang tidak dikenal dicatat tanpa pengguna)
+      await logLoginResult(result, {
+        ...getLoginAuditContext(req),
+        additionalData: { step: 'magic_link' }
+      });
+      
+      return sendLoginResponse(res, result);
+    } catch (error) {
+      logger.error(`Magic link login error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat login dengan link'
+      );
+    }
+  };
+  
+  /**
+   * Tukar refresh token dengan access token baru (rotasi refresh token)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const refresh = async (req, res) => {
+    try {
+      const { refresh_token } = req.body;
+      
+      // Panggil layanan rotasi refresh token
+      const result = await refreshAccessToken(refresh_token, {
+        consumerId: req.consumer.id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        signatureStatus: getSignatureStatus(req)
+      });
+      
+      // Kirim respons sesuai hasil
+      if (result.success) {
+        return successResponse(
+          res, 
+          ResponseCode.SUCCESS,
+          'Token berhasil diperbarui',
+          {
+            token: result.token,
+            expires_at: result.expiresAt,
+            refresh_token: result.refreshToken,
+            refresh_expires_at: result.refreshExpiresAt,
+            user: result.user
+          }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Refresh token error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat memperbarui token'
       );
     }
   };
@@ -88,7 +637,9 @@ import {
           ResponseCode.SUCCESS,
           'Token valid',
           {
-            user: result.user
+            token_type: result.token.type,
+            user: result.user || null,
+            consumer: result.consumer || null
           }
         );
       } else {
@@ -116,30 +667,49 @@ import {
       // Siapkan konteks
       const context = {
         userId: req.user.id,
+        consumerId: req.consumer.id,
         reason: 'User logout',
         ipAddress: req.ip,
-        userAgent: req.headers['user-agent']
+        userAgent: req.headers['user-agent'],
+        signatureStatus: getSignatureStatus(req)
       };
       
       let result;
+      let tokenId = null;
       
       // Revoke semua token atau token spesifik
       if (all_devices) {
         result = await revokeAllTokensForUser(req.user.id, context);
+      } else if (token) {
+        // Extrak token ID dari JWT; kepemilikan token diperiksa oleh revokeToken
+        const decoded = jwt.decode(token);
+        if (!decoded || tokenIdClaimSchema.validate(decoded.token_id).error) {
+          return errorResponse(
+            res,
+            ResponseCode.BAD_REQUEST,
+            'Format token tidak valid'
+          );
+        }
+        tokenId = decoded.token_id;
+        result = await revokeToken(tokenId, context);
       } else {
-        // Extrak token ID dari JWT
-        const decoded = jwt.decode(token || req.headers.authorization.split(' ')[1]);
-        result = await revokeToken(decoded.token_id, context);
+        // Tanpa token pada body, token yang dipakai request ini yang dicabut
+        tokenId = req.token.id;
+        result = await revokeToken(tokenId, context);
       }
       
       // Log aktivitas logout
       await logLogoutActivity({
         userId: req.user.id,
         consumerId: req.consumer.id,
-        tokenId: context.tokenId,
+        tokenId,
         ipAddress: req.ip,
         userAgent: req.headers['user-agent'],
-        signatureStatus: req.signatureVerified ? 'valid' : 'missing'
+        signatureStatus: context.signatureStatus,
+        additionalData: {
+          all_devices: Boolean(all_devices),
+          ...(!result.success && { reason: result.code })
+        }
       });
       
       // Kirim respons sesuai hasil
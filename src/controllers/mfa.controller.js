@@ -4,8 +4,32 @@
 import { 
     setupTOTP, 
     verifyAndEnableTOTP, 
-    disableMFA 
+    disableMFA,
+    setupSMSMFA,
+    verifyAndEnableSMSMFA,
+    resendSMSVerificationCode,
+    setupEmailMFA,
+    verifyAndEnableEmailMFA,
+    resendEmailVerificationCode,
+    getMFAStatus,
+    renameFactor,
+    setDefaultFactor,
+    removeFactor,
+    regenerateBackupCodes
   } from '../services/mfa.service.js';
+  import { generateRegistrationOptions, verifyRegistration } from '../services/webauthn.service.js';
+  import {
+    startPushEnrollment,
+    activatePushDevice,
+    completePushEnrollment,
+    respondToPushApproval
+  } from '../services/push-mfa.service.js';
+  import {
+    listTrustedDevices,
+    revokeTrustedDevice,
+    revokeAllTrustedDevices
+  } from '../services/trusted-device.service.js';
+  import { logMfaActivity } from '../services/audit.service.js';
   import { 
     successResponse, 
     errorResponse, 
@@ -14,6 +38,18 @@ import {
   } from '../utils/response.util.js';
   import { logger } from '../utils/logger.util.js';
   
+  /**
+   * Kirim respons error service, termasuk header Retry-After jika pengiriman kode dibatasi
+   * @param {Object} res - Express response object
+   * @param {Object} result - Hasil dari service MFA
+   */
+  const mfaServiceErrorResponse = (res, result) => {
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+    }
+    return serviceErrorResponse(res, result);
+  };
+  
   /**
    * Setup TOTP untuk user
    * @param {Object} req - Express request object
@@ -24,7 +60,7 @@ import {
       // Gunakan ID user dari token JWT
       const userId = req.user.id;
       
-      const result = await setupTOTP(userId);
+      const result = await setupTOTP(userId, req.body.label, req.body.current_password);
       
       if (result.success) {
         return successResponse(
@@ -124,4 +160,671 @@ import {
         'Terjadi kesalahan saat menonaktifkan MFA'
       );
     }
-  };
\ No newline at end of file
+  };
+  
+  /**
+   * Setup SMS MFA untuk user dan kirim kode verifikasi
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const setupSmsForUser = async (req, res) => {
+    try {
+      const result = await setupSMSMFA(
+        req.user.id,
+        req.body.phone_number,
+        req.body.label,
+        req.body.current_password
+      );
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Kode verifikasi telah dikirim ke nomor telepon Anda',
+          result.data
+        );
+      } else {
+        return mfaServiceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`SMS MFA setup error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat setup SMS MFA'
+      );
+    }
+  };
+  
+  /**
+   * Verifikasi kode dan aktifkan SMS MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const verifyAndEnableSmsForUser = async (req, res) => {
+    try {
+      const result = await verifyAndEnableSMSMFA(req.user.id, req.body.code);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          result.message,
+          result.data
+        );
+      } else {
+        return mfaServiceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`SMS MFA verification error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat verifikasi SMS MFA'
+      );
+    }
+  };
+  
+  /**
+   * Kirim ulang kode verifikasi pendaftaran SMS MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const resendSmsCodeForUser = async (req, res) => {
+    try {
+      const result = await resendSMSVerificationCode(req.user.id);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Kode verifikasi telah dikirim ke nomor telepon Anda',
+          null
+        );
+      } else {
+        return mfaServiceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`SMS MFA resend error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengirim ulang kode SMS MFA'
+      );
+    }
+  };
+  
+  /**
+   * Setup Email MFA untuk user dan kirim kode verifikasi
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const setupEmailForUser = async (req, res) => {
+    try {
+      const result = await setupEmailMFA(
+        req.user.id,
+        req.body.email,
+        req.body.label,
+        req.body.current_password
+      );
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Kode verifikasi telah dikirim ke alamat email Anda',
+          result.data
+        );
+      } else {
+        return mfaServiceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Email MFA setup error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat setup Email MFA'
+      );
+    }
+  };
+  
+  /**
+   * Verifikasi kode dan aktifkan Email MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const verifyAndEnableEmailForUser = async (req, res) => {
+    try {
+      const result = await verifyAndEnableEmailMFA(req.user.id, req.body.code);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          result.message,
+          result.data
+        );
+      } else {
+        return mfaServiceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Email MFA verification error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat verifikasi Email MFA'
+      );
+    }
+  };
+  
+  /**
+   * Kirim ulang kode verifikasi pendaftaran Email MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const resendEmailCodeForUser = async (req, res) => {
+    try {
+      const result = await resendEmailVerificationCode(req.user.id);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Kode verifikasi telah dikirim ke alamat email Anda',
+          null
+        );
+      } else {
+        return mfaServiceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Email MFA resend error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengirim ulang kode Email MFA'
+      );
+    }
+  };
+  
+  /**
+   * Buat opsi registrasi WebAuthn (security key/passkey) untuk user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const webAuthnRegistrationOptionsForUser = async (req, res) => {
+    try {
+      const result = await generateRegistrationOptions(req.user.id, {
+        consumerId: req.consumer.id,
+        currentPassword: req.body.current_password
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Opsi registrasi WebAuthn berhasil dibuat',
+          result.options
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`WebAuthn registration options error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat membuat opsi registrasi WebAuthn'
+      );
+    }
+  };
+  
+  /**
+   * Verifikasi registrasi WebAuthn dan tambahkan credential sebagai faktor MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const verifyWebAuthnRegistrationForUser = async (req, res) => {
+    try {
+      const result = await verifyRegistration(req.user.id, req.body.credential, {
+        consumerId: req.consumer.id,
+        label: req.body.label
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Security key berhasil didaftarkan',
+          result.data
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`WebAuthn registration error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat registrasi WebAuthn'
+      );
+    }
+  };
+  
+  /**
+   * Mulai pendaftaran perangkat push dan buat kode aktivasi untuk aplikasi di perangkat
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const setupPushForUser = async (req, res) => {
+    try {
+      const result = await startPushEnrollment(req.user.id, {
+        consumerId: req.consumer.id,
+        label: req.body.label,
+        currentPassword: req.body.current_password
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Kode aktivasi perangkat push berhasil dibuat',
+          {
+            enrollment_id: result.data.enrollmentId,
+            activation_code: result.data.activationCode,
+            expires_at: result.data.expiresAt
+          }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Push setup error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat setup perangkat push'
+      );
+    }
+  };
+  
+  /**
+   * Selesaikan pendaftaran perangkat push yang sudah diaktivasi
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const verifyPushSetupForUser = async (req, res) => {
+    try {
+      const result = await completePushEnrollment(req.user.id, req.body.enrollment_id);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Perangkat push berhasil didaftarkan',
+          result.data
+        );
+      } else if (result.code === 'PUSH_ENROLLMENT_PENDING') {
+        return successResponse(
+          res,
+          ResponseCode.ACCEPTED,
+          'Menunggu aktivasi dari aplikasi di perangkat',
+          {
+            status: 'pending',
+            expires_at: result.expiresAt
+          }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Push setup verification error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat verifikasi perangkat push'
+      );
+    }
+  };
+  
+  /**
+   * Aktivasi perangkat push oleh aplikasi di perangkat (tanpa sesi user, dibuktikan dengan tanda tangan)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const activatePushDeviceForUser = async (req, res) => {
+    try {
+      const result = await activatePushDevice({
+        activationCode: req.body.activation_code,
+        publicKey: req.body.public_key,
+        pushToken: req.body.push_token,
+        deviceName: req.body.device_name,
+        signature: req.body.signature
+      });
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Perangkat berhasil diaktivasi. Selesaikan pendaftaran di aplikasi',
+          { enrollment_id: result.data.enrollmentId }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Push device activation error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat aktivasi perangkat push'
+      );
+    }
+  };
+  
+  /**
+   * Terima keputusan perangkat atas permintaan login push (callback bertanda tangan)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const respondPushApprovalForUser = async (req, res) => {
+    try {
+      const { approvalId } = req.params;
+      const result = await respondToPushApproval(approvalId, {
+        decision: req.body.decision,
+        number: req.body.number,
+        timestamp: req.body.timestamp,
+        signature: req.body.signature
+      });
+      
+      // Keputusan yang tercatat (termasuk angka tidak cocok) diaudit
+      if (result.status) {
+        await logMfaActivity({
+          userId: result.userId,
+          consumerId: result.consumerId,
+          action: result.status === 'approved' ? 'push_approved' : 'push_denied',
+          success: result.status === 'approved',
+          reason: result.code === 'PUSH_NUMBER_MISMATCH' ? 'number_mismatch' : null,
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          additionalData: {
+            push_approval_id: approvalId,
+            factor_id: result.factorId
+          }
+        });
+      }
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          result.status === 'approved' ? 'Login disetujui' : 'Login ditolak',
+          { status: result.status }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Push approval response error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat memproses persetujuan push'
+      );
+    }
+  };
+  
+  /**
+   * Generate ulang backup codes untuk user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const regenerateBackupCodesForUser = async (req, res) => {
+    try {
+      const result = await regenerateBackupCodes(req.user.id, req.body.current_password);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Backup codes berhasil dibuat ulang. Simpan backup codes dengan aman',
+          result.data
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Backup codes regeneration error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat membuat ulang backup codes'
+      );
+    }
+  };
+  
+  /**
+   * Status MFA dan daftar faktor user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const getMfaStatusForUser = async (req, res) => {
+    try {
+      const result = await getMFAStatus(req.user.id);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Status MFA berhasil diambil',
+          result.data
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA status error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengambil status MFA'
+      );
+    }
+  };
+  
+  /**
+   * Ubah nama faktor MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const renameFactorForUser = async (req, res) => {
+    try {
+      const result = await renameFactor(req.user.id, req.params.factorId, req.body.label);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Nama faktor MFA berhasil diubah',
+          result.data
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA factor rename error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengubah nama faktor MFA'
+      );
+    }
+  };
+  
+  /**
+   * Jadikan faktor MFA sebagai default
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const setDefaultFactorForUser = async (req, res) => {
+    try {
+      const result = await setDefaultFactor(req.user.id, req.params.factorId);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Faktor MFA default berhasil diubah',
+          result.data
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA default factor error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengubah faktor MFA default'
+      );
+    }
+  };
+  
+  /**
+   * Hapus faktor MFA
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const removeFactorForUser = async (req, res) => {
+    try {
+      const result = await removeFactor(req.user.id, req.params.factorId, req.body.current_password);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Faktor MFA berhasil dihapus',
+          result.data
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`MFA factor removal error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat menghapus faktor MFA'
+      );
+    }
+  };
+  
+  /**
+   * Daftar perangkat tepercaya milik user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const getTrustedDevicesForUser = async (req, res) => {
+    try {
+      const result = await listTrustedDevices(req.user.id);
+      
+      if (result.success) {
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Daftar perangkat tepercaya berhasil diambil',
+          result.data
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Trusted device list error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mengambil daftar perangkat tepercaya'
+      );
+    }
+  };
+  
+  /**
+   * Cabut satu perangkat tepercaya milik user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const revokeTrustedDeviceForUser = async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const result = await revokeTrustedDevice(req.user.id, deviceId, {
+        revokedBy: req.user.id
+      });
+      
+      if (result.success) {
+        await logMfaActivity({
+          userId: req.user.id,
+          consumerId: req.consumer.id,
+          action: 'device_revoked',
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          additionalData: { trusted_device_id: deviceId }
+        });
+        
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Perangkat tepercaya berhasil dicabut'
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Trusted device revoke error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mencabut perangkat tepercaya'
+      );
+    }
+  };
+  
+  /**
+   * Cabut semua perangkat tepercaya milik user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  export const revokeAllTrustedDevicesForUser = async (req, res) => {
+    try {
+      const result = await revokeAllTrustedDevices(req.user.id, {
+        revokedBy: req.user.id
+      });
+      
+      if (result.success) {
+        if (result.count > 0) {
+          await logMfaActivity({
+            userId: req.user.id,
+            consumerId: req.consumer.id,
+            action: 'device_revoked',
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+            additionalData: { devices_revoked: result.count }
+          });
+        }
+        
+        return successResponse(
+          res,
+          ResponseCode.SUCCESS,
+          'Semua perangkat tepercaya berhasil dicabut',
+          { count: result.count }
+        );
+      } else {
+        return serviceErrorResponse(res, result);
+      }
+    } catch (error) {
+      logger.error(`Trusted device revoke all error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat mencabut perangkat tepercaya'
+      );
+    }
+  };
@@ -0,0 +1,520 @@
+/**
+ * Controller untuk endpoint OAuth 2.0
+ */
+import crypto from 'crypto';
+import {
+  introspectToken,
+  revokeOAuthToken,
+  validateAuthorizationRequest,
+  createAuthorizationCode,
+  exchangeAuthorizationCode,
+  exchangeRefreshToken,
+  issueClientCredentialsToken,
+  buildRedirectUrl
+} from '../services/oauth.service.js';
+import { authenticateUser, verifyMfaChallenge } from '../services/auth.service.js';
+import { getUserInfo } from '../services/oidc.service.js';
+import { logLoginResult, logMfaActivity } from '../services/audit.service.js';
+import { generateRandomToken } from '../services/crypto.service.js';
+import { TRUSTED_DEVICE_DAYS } from '../services/trusted-device.service.js';
+import { renderLoginPage, renderErrorPage } from '../views/oauth-login.view.js';
+import { oauthErrorResponse } from '../utils/response.util.js';
+import { logger } from '../utils/logger.util.js';
+
+// Cookie untuk token CSRF halaman login (double submit)
+const CSRF_COOKIE = 'oauth_csrf';
+
+// Prefix cookie token perangkat tepercaya (satu cookie per consumer)
+const TRUSTED_DEVICE_COOKIE_PREFIX = 'oauth_trusted_device_';
+
+// Pesan error login yang ditampilkan pada halaman login
+const LOGIN_ERROR_MESSAGES = {
+  INVALID_MFA: 'Kode MFA tidak valid',
+  INVALID_MFA_CHALLENGE: 'Sesi verifikasi MFA tidak valid. Silakan login kembali',
+  MFA_CHALLENGE_EXPIRED: 'Sesi verifikasi MFA sudah kedaluwarsa. Silakan login kembali',
+  MFA_ATTEMPTS_EXCEEDED: 'Terlalu banyak kode MFA yang salah. Silakan login kembali',
+  ACCOUNT_LOCKED: 'Akun terkunci. Silakan hubungi administrator',
+  LOGIN_THROTTLED: 'Terlalu banyak percobaan login. Tunggu beberapa saat lalu coba lagi',
+  MFA_ENROLLMENT_REQUIRED: 'Akun ini wajib menggunakan MFA. Aktifkan MFA terlebih dahulu atau hubungi administrator',
+  PASSWORD_EXPIRED: 'Password Anda sudah kedaluwarsa. Ganti password terlebih dahulu sebelum login',
+  PASSWORD_COMPROMISED: 'Password Anda ditemukan pada data bocor. Ganti password terlebih dahulu sebelum login',
+  MFA_PUSH_PENDING: 'Persetujuan belum diterima dari perangkat Anda',
+  MFA_PUSH_DENIED: 'Permintaan login ditolak dari perangkat Anda. Silakan login kembali',
+  MFA_PUSH_EXPIRED: 'Permintaan persetujuan sudah kedaluwarsa. Silakan login kembali'
+};
+
+/**
+ * Membaca nilai cookie dari header request
+ * @param {Object} req - Express request object
+ * @param {string} name - Nama cookie
+ * @returns {string|null} Nilai cookie
+ */
+const getCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Mendapatkan token CSRF dari cookie atau membuat yang baru
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string} Token CSRF
+ */
+const ensureCsrfToken = (req, res) => {
+  const csrfToken = getCookie(req, CSRF_COOKIE) || generateRandomToken(16);
+
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/oauth',
+    maxAge: 10 * 60 * 1000
+  });
+
+  return csrfToken;
+};
+
+/**
+ * Membandingkan token CSRF dari cookie dan form
+ * @param {string} cookieToken - Token dari cookie
+ * @param {string} formToken - Token dari form
+ * @returns {boolean} Hasil perbandingan
+ */
+const isValidCsrfToken = (cookieToken, formToken) => {
+  if (!cookieToken || !formToken || cookieToken.length !== formToken.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(formToken));
+};
+
+/**
+ * Mengirim halaman HTML dengan Content-Security-Policy khusus halaman login
+ * form-action mengizinkan origin redirect_uri karena browser menerapkan
+ * form-action juga pada redirect setelah form dikirim
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} html - Dokumen HTML
+ * @param {string} [redirectUri] - Redirect URI consumer
+ */
+const sendPage = (res, status, html, redirectUri = null) => {
+  const formAction = redirectUri ? `'self' ${new URL(redirectUri).origin}` : `'self'`;
+
+  res.set(
+    'Content-Security-Policy',
+    `default-src 'none'; style-src 'unsafe-inline'; form-action ${formAction}; frame-ancestors 'none'; base-uri 'none'`
+  );
+  res.set('Cache-Control', 'no-store');
+
+  return res.status(status).type('html').send(html);
+};
+
+/**
+ * Menangani permintaan otorisasi yang tidak valid
+ * Error dikembalikan ke consumer melalui redirect jika redirect_uri sudah tervalidasi,
+ * selain itu ditampilkan sebagai halaman error
+ * @param {Object} res - Express response object
+ * @param {Object} validation - Hasil validateAuthorizationRequest
+ */
+const handleInvalidAuthorizationRequest = (res, validation) => {
+  if (validation.redirectUri) {
+    return res.redirect(302, buildRedirectUrl(validation.redirectUri, {
+      error: validation.code,
+      error_description: validation.message,
+      state: validation.state
+    }));
+  }
+
+  return sendPage(
+    res,
+    validation.code === 'server_error' ? 500 : 400,
+    renderErrorPage({ error: validation.code, description: validation.message })
+  );
+};
+
+/**
+ * Parameter otorisasi yang diteruskan oleh form login
+ * @param {Object} request - Permintaan otorisasi yang sudah divalidasi
+ * @returns {Object} Parameter untuk hidden field
+ */
+const toFormParams = (request) => ({
+  response_type: request.responseType,
+  client_id: request.clientId,
+  redirect_uri: request.redirectUri,
+  scope: request.scope,
+  state: request.state,
+  nonce: request.nonce,
+  code_challenge: request.codeChallenge,
+  code_challenge_method: request.codeChallengeMethod
+});
+
+/**
+ * Menampilkan halaman login untuk permintaan otorisasi
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const authorize = async (req, res) => {
+  try {
+    const validation = await validateAuthorizationRequest(req.query);
+
+    if (!validation.success) {
+      return handleInvalidAuthorizationRequest(res, validation);
+    }
+
+    const { consumer, request } = validation;
+
+    return sendPage(res, 200, renderLoginPage({
+      consumerName: consumer.name,
+      params: toFormParams(request),
+      csrfToken: ensureCsrfToken(req, res)
+    }), request.redirectUri);
+  } catch (error) {
+    logger.error(`Authorization page error: ${error.message}`);
+    return sendPage(res, 500, renderErrorPage({
+      error: 'server_error',
+      description: 'Terjadi kesalahan saat memproses permintaan otorisasi'
+    }));
+  }
+};
+
+/**
+ * Memproses form login dan menerbitkan authorization code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const authorizeSubmit = async (req, res) => {
+  try {
+    const validation = await validateAuthorizationRequest(req.body);
+
+    if (!validation.success) {
+      return handleInvalidAuthorizationRequest(res, validation);
+    }
+
+    const { consumer, request } = validation;
+
+    if (!isValidCsrfToken(getCookie(req, CSRF_COOKIE), req.body.csrf_token)) {
+      logger.warn(`Invalid CSRF token on authorization form for client: ${consumer.name}`);
+      return sendPage(res, 403, renderErrorPage({
+        error: 'invalid_request',
+        description: 'Sesi login tidak valid atau sudah kedaluwarsa. Silakan ulangi dari aplikasi.'
+      }));
+    }
+
+    const { username, password, mfa_token, mfa_code, mfa_push, push_number, trust_device } = req.body;
+    const mfaCode = String(mfa_code || '').trim();
+    // Form push tanpa kode MFA menanyakan status persetujuan di perangkat
+    const usePush = mfa_push === '1' && !mfaCode;
+    const trustedDeviceCookie = `${TRUSTED_DEVICE_COOKIE_PREFIX}${consumer.id}`;
+    const context = {
+      consumerId: consumer.id,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      issueTokens: false,
+      checkConsumerIp: false,
+      flow: 'authorization_code'
+    };
+
+    // Otentikasi pengguna (langkah kedua jika form berisi challenge MFA);
+    // token diterbitkan setelah authorization code ditukar
+    const result = mfa_token
+      ? await verifyMfaChallenge({
+        mfaToken: mfa_token,
+        ...(usePush ? { push: true } : { code: mfaCode }),
+        trustDevice: trust_device === '1'
+      }, context)
+      : await authenticateUser({
+        username,
+        password,
+        deviceToken: getCookie(req, trustedDeviceCookie)
+      }, context);
+
+    const loginUser = result.user || null;
+
+    // Log aktivitas login (form push yang masih menunggu persetujuan tidak dicatat)
+    if (result.code !== 'MFA_PUSH_PENDING') {
+      await logLoginResult(result, {
+        username,
+        consumerId: consumer.id,
+        consumerName: consumer.name,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        additionalData: {
+          flow: 'authorization_code',
+          step: mfa_token ? 'mfa' : 'password'
+        }
+      });
+    }
+
+    // Perangkat dipercaya: simpan token pada cookie dan catat pembuatannya
+    if (result.trustedDevice) {
+      res.cookie(trustedDeviceCookie, result.trustedDevice.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/oauth',
+        expires: new Date(result.trustedDevice.expiresAt)
+      });
+
+      await logMfaActivity({
+        userId: loginUser.id,
+        consumerId: consumer.id,
+        action: 'device_trusted',
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        additionalData: {
+          flow: 'authorization_code',
+          trusted_device_id: result.trustedDevice.id,
+          expires_at: result.trustedDevice.expiresAt
+        }
+      });
+    }
+
+    // Backup code hanya dapat digunakan sekali; catat penggunaannya
+    if (result.backupCode) {
+      await logMfaActivity({
+        userId: loginUser.id,
+        consumerId: consumer.id,
+        action: 'backup_code_used',
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        additionalData: {
+          flow: 'authorization_code',
+          backup_codes_remaining: result.backupCode.remaining
+        }
+      });
+    }
+
+    if (!result.success) {
+      const page = {
+        consumerName: consumer.name,
+        params: toFormParams(request),
+        csrfToken: ensureCsrfToken(req, res),
+        error: result.code === 'ACCOUNT_LOCKED' && result.retryAfter
+          ? `Akun terkunci sementara. Coba lagi dalam ${Math.ceil(result.retryAfter / 60)} menit`
+          : LOGIN_ERROR_MESSAGES[result.code] || 'Username atau password salah'
+      };
+
+      // Password benar: tampilkan langkah kedua dengan challenge MFA
+      if (result.code === 'MFA_REQUIRED') {
+        return sendPage(res, 200, renderLoginPage({
+          ...page,
+          error: null,
+          mfaToken: result.mfaToken,
+          mfaMethod: result.user.mfaMethod,
+          pushNumber: result.pushApproval ? result.pushApproval.number : null,
+          trustedDeviceDays: TRUSTED_DEVICE_DAYS
+        }), request.redirectUri);
+      }
+
+      // Perangkat belum merespons persetujuan push: tampilkan kembali angka yang sama
+      if (result.code === 'MFA_PUSH_PENDING') {
+        return sendPage(res, 200, renderLoginPage({
+          ...page,
+          mfaToken: mfa_token,
+          mfaMethod: 'push',
+          pushNumber: push_number,
+          trustedDeviceDays: TRUSTED_DEVICE_DAYS
+        }), request.redirectUri);
+      }
+
+      // Kode salah dan masih ada sisa percobaan: ulangi langkah kedua
+      if (result.code === 'INVALID_MFA' && result.attemptsRemaining > 0) {
+        return sendPage(res, 401, renderLoginPage({
+          ...page,
+          mfaToken: mfa_token,
+          pushNumber: push_number || null,
+          trustedDeviceDays: TRUSTED_DEVICE_DAYS
+        }), request.redirectUri);
+      }
+
+      // Challenge tidak dapat dilanjutkan: kembali ke langkah pertama
+      return sendPage(res, 401, renderLoginPage({
+        ...page,
+        username: mfa_token ? (loginUser ? loginUser.username : '') : username,
+        error: result.code === 'INVALID_MFA'
+          ? LOGIN_ERROR_MESSAGES.MFA_ATTEMPTS_EXCEEDED
+          : page.error
+      }), request.redirectUri);
+    }
+
+    const issued = await createAuthorizationCode(request, consumer, result);
+
+    if (!issued.success) {
+      return res.redirect(302, buildRedirectUrl(request.redirectUri, {
+        error: 'server_error',
+        state: request.state
+      }));
+    }
+
+    return res.redirect(302, buildRedirectUrl(request.redirectUri, {
+      code: issued.code,
+      state: request.state
+    }));
+  } catch (error) {
+    logger.error(`Authorization submit error: ${error.message}`);
+    return sendPage(res, 500, renderErrorPage({
+      error: 'server_error',
+      description: 'Terjadi kesalahan saat memproses login'
+    }));
+  }
+};
+
+/**
+ * Halaman error saat percobaan login pada form otorisasi melampaui rate limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} info - Informasi rate limit (retryAfterSeconds)
+ */
+export const authorizeRateLimited = (req, res, info) => {
+  return sendPage(res, 429, renderErrorPage({
+    error: 'temporarily_unavailable',
+    description: `Terlalu banyak percobaan login. Coba lagi dalam ${info.retryAfterSeconds} detik.`
+  }));
+};
+
+/**
+ * Token endpoint (grant_type authorization_code, refresh_token, dan client_credentials)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const token = async (req, res) => {
+  try {
+    const context = {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    };
+
+    let result;
+
+    switch (req.body.grant_type) {
+      case 'authorization_code':
+        result = await exchangeAuthorizationCode(req.body, req.consumer, context);
+        break;
+      case 'refresh_token':
+        result = await exchangeRefreshToken(req.body, req.consumer, context);
+        break;
+      case 'client_credentials':
+        result = await issueClientCredentialsToken(req.body, req.consumer, context);
+        break;
+      default:
+        return oauthErrorResponse(res, 400, 'unsupported_grant_type');
+    }
+
+    if (!result.success) {
+      const status = { server_error: 500, invalid_client: 401 }[result.code] || 400;
+      return oauthErrorResponse(
+        res,
+        status,
+        result.code,
+        result.message
+      );
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+    return res.status(200).json(result.tokens);
+  } catch (error) {
+    logger.error(`Token endpoint error: ${error.message}`);
+    return oauthErrorResponse(res, 500, 'server_error');
+  }
+};
+
+/**
+ * Endpoint userinfo OpenID Connect
+ * Access token dikirim melalui header Authorization (Bearer) atau parameter access_token pada body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const userinfo = async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const accessToken = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.slice(7).trim()
+      : (req.body && req.body.access_token);
+
+    if (!accessToken) {
+      res.set('WWW-Authenticate', 'Bearer realm="userinfo"');
+      return res.status(401).end();
+    }
+
+    const result = await getUserInfo(accessToken);
+
+    if (!result.success) {
+      if (result.code === 'server_error') {
+        return oauthErrorResponse(res, 500, 'server_error');
+      }
+
+      // Error dilaporkan melalui header WWW-Authenticate (RFC 6750 section 3)
+      const status = result.code === 'insufficient_scope' ? 403 : 401;
+      res.set(
+        'WWW-Authenticate',
+        `Bearer realm="userinfo", error="${result.code}", error_description="${result.message}"`
+      );
+      return oauthErrorResponse(res, status, result.code, result.message);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json(result.userInfo);
+  } catch (error) {
+    logger.error(`Userinfo error: ${error.message}`);
+    return oauthErrorResponse(res, 500, 'server_error');
+  }
+};
+
+/**
+ * Token introspection (RFC 7662)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const introspect = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // Panggil layanan introspeksi token
+    const result = await introspectToken(token, { consumer: req.consumer });
+
+    if (!result.success) {
+      return oauthErrorResponse(res, 500, 'server_error');
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json(result.introspection);
+  } catch (error) {
+    logger.error(`Token introspection error: ${error.message}`);
+    return oauthErrorResponse(res, 500, 'server_error');
+  }
+};
+
+/**
+ * Token revocation (RFC 7009)
+ * Selalu menjawab 200 untuk token yang tidak dikenal agar tidak dapat digunakan menebak token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revoke = async (req, res) => {
+  try {
+    // Panggil layanan pencabutan token
+    const result = await revokeOAuthToken(req.body, {
+      consumer: req.consumer,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    if (!result.success) {
+      return oauthErrorResponse(res, 503, 'server_error');
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).end();
+  } catch (error) {
+    logger.error(`Token revocation error: ${error.message}`);
+    return oauthErrorResponse(res, 503, 'server_error');
+  }
+};
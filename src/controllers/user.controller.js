@@ -11,7 +11,8 @@ import {
     deleteUser
   } from '../services/user.service.js';
   import { getUserTokens, revokeAllUserTokens } from '../services/token.service.js';
-  import { getUserLoginHistory } from '../services/audit.service.js';
+  import { getUserLoginHistory, logPasswordActivity } from '../services/audit.service.js';
+  import { revokeToken, PASSWORD_CHANGE_SCOPE } from '../services/auth.service.js';
   import { successResponse, errorResponse, serviceErrorResponse, ResponseCode } from '../utils/response.util.js';
   import { logger } from '../utils/logger.util.js';
   
@@ -65,6 +66,7 @@ import {
         email, 
         is_active, 
         is_locked, 
+        password_breached,
         role 
       } = req.query;
       
@@ -79,6 +81,7 @@ import {
           email,
           isActive: is_active !== undefined ? is_active === 'true' : undefined,
           isLocked: is_locked !== undefined ? is_locked === 'true' : undefined,
+          isPasswordBreached: password_breached !== undefined ? password_breached === 'true' : undefined,
           role
         }
       };
@@ -176,16 +179,24 @@ import {
   
   /**
    * Mengganti password pengguna
+   * Token penggantian password (login dengan password kedaluwarsa) hanya dapat mengganti
+   * password pemiliknya dan dicabut setelah password berhasil diganti
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   export const updatePassword = async (req, res) => {
     try {
       const { userId } = req.params;
-      const passwordData = req.body;
+      const passwordData = {
+        currentPassword: req.body.current_password,
+        newPassword: req.body.new_password
+      };
+      const scopes = req.token.scope ? req.token.scope.split(' ') : [];
+      const isPasswordChangeToken = scopes.includes(PASSWORD_CHANGE_SCOPE);
+      const isAdmin = !isPasswordChangeToken && req.user.roles.includes('admin');
       
       // Pastikan pengguna hanya bisa mengubah passwordnya sendiri
-      if (userId !== req.user.id && !req.user.roles.includes('admin')) {
+      if (userId !== req.user.id && !isAdmin) {
         return errorResponse(
           res,
           ResponseCode.FORBIDDEN,
@@ -196,6 +207,32 @@ import {
       // Panggil layanan untuk mengubah password
       const result = await changePassword(userId, passwordData, req.user.id);
       
+      await logPasswordActivity({
+        userId,
+        consumerId: req.consumer.id,
+        initiatedBy: req.user.id,
+        success: result.success,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        reason: result.success ? null : result.code,
+        signatureStatus: req.signatureVerified ? 'valid' : 'missing',
+        additionalData: {
+          password_expired: isPasswordChangeToken,
+          violations: result.errors ? result.errors.map((error) => error.rule) : undefined
+        }
+      });
+      
+      // Token penggantian password hanya berlaku untuk satu kali ganti password
+      if (result.success && isPasswordChangeToken) {
+        await revokeToken(req.token.id, {
+          userId,
+          consumerId: req.consumer.id,
+          reason: 'password_changed',
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent']
+        });
+      }
+      
       // Kirim respons sesuai hasil
       if (result.success) {
         return successResponse(
@@ -293,7 +330,12 @@ import {
       const { userId } = req.params;
       
       // Panggil layanan untuk mencabut semua token pengguna
-      const result = await revokeAllUserTokens(userId);
+      const result = await revokeAllUserTokens(userId, {
+        adminId: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        signatureStatus: req.signatureVerified ? 'valid' : 'missing'
+      });
       
       // Kirim respons sesuai hasil
       if (result.success) {
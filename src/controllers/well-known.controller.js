@@ -0,0 +1,58 @@
+/**
+ * Controller untuk endpoint .well-known (metadata publik)
+ */
+import { getJwks } from '../services/key.service.js';
+import { getDiscoveryDocument } from '../services/oidc.service.js';
+import { errorResponse, serviceErrorResponse, ResponseCode } from '../utils/response.util.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * JSON Web Key Set berisi kunci publik provider untuk verifikasi JWT secara offline
+ * Respons mengikuti format standar RFC 7517 (tanpa pembungkus code/message/data)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const jwks = async (req, res) => {
+  try {
+    const result = await getJwks();
+
+    if (!result.success) {
+      return serviceErrorResponse(res, result);
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(result.jwks);
+  } catch (error) {
+    logger.error(`JWKS error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengambil JWKS'
+    );
+  }
+};
+
+/**
+ * OpenID Provider Metadata (OpenID Connect Discovery 1.0)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const openidConfiguration = async (req, res) => {
+  try {
+    const result = await getDiscoveryDocument();
+
+    if (!result.success) {
+      return serviceErrorResponse(res, result);
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(result.configuration);
+  } catch (error) {
+    logger.error(`OpenID configuration error: ${error.message}`);
+    return errorResponse(
+      res,
+      ResponseCode.INTERNAL_ERROR,
+      'Terjadi kesalahan saat mengambil konfigurasi OpenID'
+    );
+  }
+};
@@ -3,10 +3,10 @@
  * Middleware untuk otentikasi dan otorisasi
  */
 import jwt from 'jsonwebtoken';
-import { verifyApiKey } from '../services/consumer.service.js';
+import { verifyApiKey, verifyClientAssertion, CLIENT_ASSERTION_TYPE } from '../services/consumer.service.js';
 import { verifyToken, hasPermission } from '../services/auth.service.js';
 import { verifySignature } from '../services/crypto.service.js';
-import { errorResponse, ResponseCode } from '../utils/response.util.js';
+import { errorResponse, oauthErrorResponse, ResponseCode } from '../utils/response.util.js';
 import { logger } from '../utils/logger.util.js';
 import { AppError } from './error.middleware.js';
 
@@ -62,49 +62,179 @@ export const authenticateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Membuat middleware verifikasi JWT token
+ * @param {Object} [options] - Opsi verifikasi token (lihat verifyToken)
+ * @returns {Function} Express middleware
+ */
+const createJwtAuthenticator = (options = {}) => {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      
+      // Cek keberadaan header Authorization
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return errorResponse(
+          res,
+          ResponseCode.UNAUTHORIZED,
+          'Token otentikasi tidak valid'
+        );
+      }
+      
+      // Ekstrak token dari header
+      const token = authHeader.split(' ')[1];
+      
+      // Verifikasi token pada database
+      const result = await verifyToken(token, req.consumer.id, options);
+      
+      if (!result.success) {
+        return errorResponse(
+          res,
+          ResponseCode.UNAUTHORIZED,
+          result.message || 'Token tidak valid'
+        );
+      }
+      
+      // Token client_credentials mewakili consumer, bukan pengguna
+      if (result.consumer) {
+        req.consumer = result.consumer;
+      } else {
+        req.user = result.user;
+      }
+      req.token = result.token;
+      next();
+    } catch (error) {
+      logger.error(`JWT authentication error: ${error.message}`);
+      return errorResponse(
+        res,
+        ResponseCode.INTERNAL_ERROR,
+        'Terjadi kesalahan saat memverifikasi token'
+      );
+    }
+  };
+};
+
 /**
  * Middleware untuk verifikasi JWT token
+ * Token pengguna mengisi req.user; token client_credentials mengisi req.consumer
+ * (dengan scopes) dan tidak mengisi req.user. Token pendaftaran MFA ditolak
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticateJwt = createJwtAuthenticator();
+
+/**
+ * Middleware verifikasi JWT token yang juga menerima token pendaftaran MFA
+ * (scope mfa_enrollment) dari login yang diblokir kebijakan MFA
+ */
+export const authenticateMfaEnrollmentJwt = createJwtAuthenticator({ allowMfaEnrollment: true });
+
+/**
+ * Middleware verifikasi JWT token yang juga menerima token penggantian password
+ * (scope password_change) dari login dengan password yang kedaluwarsa
+ */
+export const authenticatePasswordChangeJwt = createJwtAuthenticator({ allowPasswordChange: true });
+
+/**
+ * Mendapatkan URL endpoint yang diterima sebagai audience client assertion
+ * @param {Object} req - Express request object
+ * @returns {string[]} Daftar audience
+ */
+const getAssertionAudiences = (req) => {
+  const path = `${req.baseUrl}${req.path}`;
+  const audiences = [`${req.protocol}://${req.get('host')}${path}`];
+  
+  if (process.env.API_BASE_URL) {
+    audiences.push(`${process.env.API_BASE_URL.replace(/\/+$/, '')}${path}`);
+  }
+  
+  return audiences;
+};
+
+/**
+ * Middleware untuk otentikasi klien pada endpoint OAuth 2.0
+ * client_id adalah nama consumer dan client_secret adalah API key. Kredensial
+ * dapat dikirim melalui header X-API-Key/X-Consumer-Name, HTTP Basic
+ * (client_secret_basic) atau body request (client_secret_post). Sebagai
+ * alternatif API key, consumer dapat mengirim JWT yang ditandatangani dengan
+ * private key-nya (private_key_jwt) melalui client_assertion
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export const authenticateJwt = async (req, res, next) => {
+export const authenticateOAuthClient = async (req, res, next) => {
   try {
+    const body = req.body || {};
+    
+    if (body.client_assertion || body.client_assertion_type) {
+      if (body.client_assertion_type !== CLIENT_ASSERTION_TYPE || !body.client_assertion) {
+        return oauthErrorResponse(res, 401, 'invalid_client', 'Unsupported client assertion');
+      }
+      
+      const result = await verifyClientAssertion(body.client_assertion, {
+        clientId: body.client_id,
+        audience: getAssertionAudiences(req)
+      });
+      
+      if (!result.success) {
+        logger.warn(`OAuth client assertion rejected: ${result.code}`);
+        return oauthErrorResponse(res, 401, 'invalid_client', 'Client authentication failed');
+      }
+      
+      // Simpan informasi consumer ke request object
+      req.consumer = result.consumer;
+      return next();
+    }
+    
+    let clientId = req.headers['x-consumer-name'];
+    let clientSecret = req.headers['x-api-key'];
     const authHeader = req.headers.authorization;
+    const usedBasic = !clientSecret && authHeader && authHeader.startsWith('Basic ');
     
-    // Cek keberadaan header Authorization
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return errorResponse(
-        res,
-        ResponseCode.UNAUTHORIZED,
-        'Token otentikasi tidak valid'
-      );
+    if (usedBasic) {
+      // Format: Basic base64(urlencode(client_id):urlencode(client_secret))
+      const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      
+      if (separator > 0) {
+        try {
+          clientId = decodeURIComponent(decoded.slice(0, separator));
+          clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+        } catch (error) {
+          // Percent-encoding yang tidak valid (URIError) berarti kredensial tidak dapat dibaca
+          res.set('WWW-Authenticate', 'Basic realm="oauth"');
+          return oauthErrorResponse(res, 401, 'invalid_client', 'Malformed client credentials');
+        }
+      }
+    } else if (!clientSecret && req.body && req.body.client_id) {
+      clientId = req.body.client_id;
+      clientSecret = req.body.client_secret;
     }
     
-    // Ekstrak token dari header
-    const token = authHeader.split(' ')[1];
+    if (!clientId || !clientSecret) {
+      if (usedBasic) {
+        res.set('WWW-Authenticate', 'Basic realm="oauth"');
+      }
+      return oauthErrorResponse(res, 401, 'invalid_client', 'Client authentication required');
+    }
     
-    // Verifikasi token pada database
-    const result = await verifyToken(token, req.consumer.id);
+    const result = await verifyApiKey(clientSecret, clientId);
     
     if (!result.success) {
-      return errorResponse(
-        res,
-        ResponseCode.UNAUTHORIZED,
-        result.message || 'Token tidak valid'
-      );
+      logger.warn(`OAuth client authentication failed for: ${clientId}`);
+      if (usedBasic) {
+        res.set('WWW-Authenticate', 'Basic realm="oauth"');
+      }
+      return oauthErrorResponse(res, 401, 'invalid_client', 'Client authentication failed');
     }
     
-    // Simpan informasi user ke request object
-    req.user = result.user;
+    // Simpan informasi consumer ke request object
+    req.consumer = result.consumer;
     next();
   } catch (error) {
-    logger.error(`JWT authentication error: ${error.message}`);
-    return errorResponse(
-      res,
-      ResponseCode.INTERNAL_ERROR,
-      'Terjadi kesalahan saat memverifikasi token'
-    );
+    logger.error(`OAuth client authentication error: ${error.message}`);
+    return oauthErrorResponse(res, 500, 'server_error');
   }
 };
 
@@ -198,6 +328,25 @@ export const verifyRequestSignature = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware untuk memastikan token mewakili pengguna
+ * Digunakan pada endpoint yang tidak dapat diakses dengan token client_credentials
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireUser = (req, res, next) => {
+  if (!req.user || !req.user.id) {
+    return errorResponse(
+      res,
+      ResponseCode.FORBIDDEN,
+      'Endpoint ini memerlukan token pengguna'
+    );
+  }
+  
+  next();
+};
+
 /**
  * Middleware untuk memeriksa izin pengguna
  * @param {string|string[]} permissions - Izin yang diperlukan
@@ -295,20 +444,42 @@ export const requireRole = (roles) => {
 };
 
 /**
- * Middleware untuk otentikasi lengkap (API key + JWT)
- * Menggabungkan authenticateApiKey dan authenticateJwt
+ * Middleware untuk otentikasi lengkap (API key + JWT pengguna)
+ * Menggabungkan authenticateApiKey, authenticateJwt, dan requireUser
  */
 export const fullAuthentication = [
   authenticateApiKey,
-  authenticateJwt
+  authenticateJwt,
+  requireUser
 ];
 
 /**
  * Middleware untuk otentikasi lengkap dengan tanda tangan
- * Menggabungkan authenticateApiKey, verifyRequestSignature, dan authenticateJwt
+ * Menggabungkan authenticateApiKey, verifyRequestSignature, authenticateJwt, dan requireUser
  */
 export const secureAuthentication = [
   authenticateApiKey,
   verifyRequestSignature,
-  authenticateJwt
+  authenticateJwt,
+  requireUser
+];
+
+/**
+ * Middleware untuk endpoint pendaftaran faktor MFA
+ * Sama dengan fullAuthentication, tetapi juga menerima token pendaftaran MFA
+ */
+export const enrollmentAuthentication = [
+  authenticateApiKey,
+  authenticateMfaEnrollmentJwt,
+  requireUser
+];
+
+/**
+ * Middleware untuk endpoint ganti password
+ * Sama dengan fullAuthentication, tetapi juga menerima token penggantian password
+ */
+export const passwordChangeAuthentication = [
+  authenticateApiKey,
+  authenticatePasswordChangeJwt,
+  requireUser
 ];
\ No newline at end of file
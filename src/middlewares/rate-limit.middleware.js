@@ -0,0 +1,187 @@
+/**
+ * Middleware rate limiting per IP, pengguna target, dan consumer
+ *
+ * Setiap budget (misalnya login) memiliki batas terpisah untuk tiap dimensi; permintaan ditolak
+ * (429) jika salah satu dimensi melampaui batasnya. Batas dapat diubah melalui environment:
+ * RATE_LIMIT_<BUDGET>_WINDOW_SECONDS, RATE_LIMIT_<BUDGET>_IP_MAX, RATE_LIMIT_<BUDGET>_USER_MAX,
+ * dan RATE_LIMIT_<BUDGET>_CONSUMER_MAX (0 menonaktifkan dimensi tersebut).
+ * Respons menyertakan header RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, dan
+ * Retry-After saat permintaan ditolak.
+ */
+import { consumeRateLimit } from '../services/rate-limit.service.js';
+import { hashData } from '../services/crypto.service.js';
+import { errorResponse, ResponseCode } from '../utils/response.util.js';
+import { logger } from '../utils/logger.util.js';
+
+// Rate limiting dapat dimatikan, misalnya saat pengujian beban
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * Membaca konfigurasi budget dari environment
+ * @param {string} name - Nama budget
+ * @param {Object} defaults - Nilai default (windowSeconds, ip, user, consumer)
+ * @returns {Object} Konfigurasi budget
+ */
+const loadBudget = (name, defaults) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const read = (suffix, fallback) => parseInt(process.env[`${prefix}_${suffix}`] || String(fallback), 10);
+
+  return {
+    name,
+    windowMs: read('WINDOW_SECONDS', defaults.windowSeconds) * 1000,
+    limits: {
+      ip: read('IP_MAX', defaults.ip),
+      user: read('USER_MAX', defaults.user),
+      consumer: read('CONSUMER_MAX', defaults.consumer)
+    }
+  };
+};
+
+/**
+ * Menentukan pengguna target permintaan
+ * Pengguna yang sudah terotentikasi, username/email pada body, atau token challenge MFA
+ * (di-hash agar token tidak tersimpan pada store)
+ * @param {Object} req - Express request object
+ * @returns {string|null} Identitas pengguna target
+ */
+const resolveTargetUser = (req) => {
+  if (req.user?.id) {
+    return req.user.id;
+  }
+
+  const body = req.body || {};
+  const identifier = body.username || body.email;
+  if (typeof identifier === 'string' && identifier.trim()) {
+    return hashData(identifier.trim().toLowerCase());
+  }
+  if (typeof body.mfa_token === 'string' && body.mfa_token) {
+    return hashData(body.mfa_token);
+  }
+
+  return null;
+};
+
+/**
+ * Menentukan consumer permintaan
+ * Hanya consumer yang sudah terotentikasi yang dihitung; client_id dari body tidak dipakai
+ * karena siapa pun dapat mengirimkannya (misalnya pada OAuth authorize) dan menghabiskan
+ * budget consumer lain
+ * @param {Object} req - Express request object
+ * @returns {string|null} Identitas consumer
+ */
+const resolveConsumer = (req) => req.consumer?.id || null;
+
+/**
+ * Menyetel header RateLimit-* dari hasil dimensi yang paling ketat
+ * @param {Object} res - Express response object
+ * @param {Object} result - Hasil consumeRateLimit
+ */
+const setRateLimitHeaders = (res, result) => {
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+};
+
+/**
+ * Respons default saat batas terlampaui
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} info - { budget, retryAfterSeconds }
+ */
+const defaultLimitHandler = (req, res, info) => {
+  return errorResponse(
+    res,
+    ResponseCode.TOO_MANY_REQUESTS,
+    `Terlalu banyak permintaan. Coba lagi dalam ${info.retryAfterSeconds} detik`
+  );
+};
+
+/**
+ * Membuat middleware rate limit untuk sebuah budget
+ * @param {Object} budget - Konfigurasi budget (lihat loadBudget)
+ * @param {Object} [options] - Opsi middleware
+ * @param {Array<string>} [options.dimensions=['ip','user','consumer']] - Dimensi yang dihitung
+ * @param {Function} [options.onLimit] - (req, res, info) => respons saat batas terlampaui
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = (budget, options = {}) => {
+  const {
+    dimensions = ['ip', 'user', 'consumer'],
+    onLimit = defaultLimitHandler
+  } = options;
+
+  const resolvers = {
+    ip: (req) => req.ip,
+    user: resolveTargetUser,
+    consumer: resolveConsumer
+  };
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) {
+      return next();
+    }
+
+    try {
+      const checks = dimensions
+        .filter((dimension) => budget.limits[dimension] > 0)
+        .map((dimension) => ({ dimension, id: resolvers[dimension](req) }))
+        .filter((check) => check.id);
+
+      const results = await Promise.all(checks.map(({ dimension, id }) =>
+        consumeRateLimit(`${budget.name}:${dimension}:${id}`, {
+          limit: budget.limits[dimension],
+          windowMs: budget.windowMs
+        })
+      ));
+
+      if (!results.length) {
+        return next();
+      }
+
+      const blocked = results.filter((result) => !result.allowed);
+      const tightest = results.reduce((lowest, result) =>
+        result.remaining < lowest.remaining ? result : lowest
+      );
+      setRateLimitHeaders(res, tightest);
+
+      if (blocked.length) {
+        const retryAfterSeconds = Math.max(
+          1,
+          ...blocked.map((result) => Math.ceil(result.retryAfterMs / 1000))
+        );
+        const blockedDimensions = checks
+          .filter((check, index) => !results[index].allowed)
+          .map((check) => check.dimension);
+
+        logger.warn(
+          `Rate limit ${budget.name} exceeded (${blockedDimensions.join(', ')}) from IP: ${req.ip}`
+        );
+        res.set('Retry-After', String(retryAfterSeconds));
+        return onLimit(req, res, { budget: budget.name, retryAfterSeconds });
+      }
+
+      next();
+    } catch (error) {
+      // Store tidak tersedia tidak boleh menghentikan layanan otentikasi
+      logger.error(`Rate limit ${budget.name} check failed: ${error.message}`);
+      next();
+    }
+  };
+};
+
+// Budget permintaan umum per IP untuk seluruh API
+export const apiBudget = loadBudget('api', { windowSeconds: 60, ip: 300, user: 0, consumer: 0 });
+
+// Budget login dengan faktor pertama (password, passkey, magic link)
+export const loginBudget = loadBudget('login', { windowSeconds: 900, ip: 30, user: 10, consumer: 1000 });
+
+// Budget verifikasi kode MFA (login dua langkah dan verifikasi pendaftaran faktor)
+export const mfaVerifyBudget = loadBudget('mfa', { windowSeconds: 900, ip: 30, user: 10, consumer: 1000 });
+
+// Budget pengiriman OTP dan link login (SMS/email)
+export const otpSendBudget = loadBudget('otp', { windowSeconds: 3600, ip: 20, user: 10, consumer: 500 });
+
+export const apiRateLimit = createRateLimiter(apiBudget, { dimensions: ['ip'] });
+export const loginRateLimit = createRateLimiter(loginBudget);
+export const mfaVerifyRateLimit = createRateLimiter(mfaVerifyBudget);
+export const otpSendRateLimit = createRateLimiter(otpSendBudget);
@@ -2,7 +2,7 @@
 /**
  * Middleware untuk validasi request menggunakan Joi
  */
-import { validationErrorResponse } from '../utils/response.util.js';
+import { validationErrorResponse, oauthErrorResponse } from '../utils/response.util.js';
 
 /**
  * Validasi body request
@@ -93,4 +93,27 @@ export const validateHeaders = (schema) => {
     // We don't replace the headers object
     next();
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Validasi body request untuk endpoint OAuth 2.0
+ * Error dikembalikan dalam format OAuth (400 invalid_request), bukan format respons standar
+ * @param {Object} schema - Joi schema
+ * @returns {Function} Express middleware
+ */
+export const validateOAuthBody = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: true,
+      allowUnknown: true, // Kredensial klien dapat dikirim di body
+      presence: 'optional'
+    });
+    
+    if (error) {
+      return oauthErrorResponse(res, 400, 'invalid_request', error.details[0].message);
+    }
+    
+    req.body = value;
+    next();
+  };
+};
@@ -2,7 +2,7 @@
 /**
  * Model Audit Log untuk aplikasi otentikasi terpusat
  */
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 
 /**
  * Inisialisasi model AuditLog
@@ -40,7 +40,11 @@ export const initAuditLogModel = (sequelize) => {
       allowNull: false,
       validate: {
         isIn: [['login', 'logout', 'failed_login', 'token_generated', 'token_revoked', 
-                'password_changed', 'account_locked', 'account_unlocked']]
+                'password_changed', 'account_locked', 'account_unlocked',
+                'mfa_backup_code_used', 'mfa_recovery_requested', 'mfa_recovery_approved',
+                'mfa_recovery_rejected', 'mfa_lockout', 'mfa_device_trusted', 'mfa_device_revoked',
+                'mfa_push_approved', 'mfa_push_denied', 'mfa_challenge_issued',
+                'password_breach_detected']]
       },
       comment: 'Jenis event (login, logout, failed_login, dll)'
     },
@@ -98,7 +102,7 @@ export const initAuditLogModel = (sequelize) => {
     return await this.create({
       user_id: data.userId,
       consumer_id: data.consumerId,
-      event_type: 'login',
+      event_type: data.success ? 'login' : 'failed_login',
       status: data.success ? 'success' : 'failure',
       metadata: {
         ip_address: data.ipAddress,
@@ -187,7 +191,7 @@ export const initAuditLogModel = (sequelize) => {
     return await this.findAll({
       where: {
         user_id: userId,
-        event_type: 'login'
+        event_type: { [Op.in]: ['login', 'failed_login'] }
       },
       order: [['created_at', 'DESC']],
       limit,
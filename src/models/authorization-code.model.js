@@ -0,0 +1,162 @@
+/**
+ * Model Authorization Code untuk OAuth 2.0 authorization code flow
+ */
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * Inisialisasi model AuthorizationCode
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model AuthorizationCode yang telah diinisialisasi
+ */
+export const initAuthorizationCodeModel = (sequelize) => {
+  const AuthorizationCode = sequelize.define('AuthorizationCode', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID authorization code sebagai primary key'
+    },
+    code_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      comment: 'Hash dari authorization code (kode asli tidak disimpan)'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Pengguna yang memberikan otorisasi'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer (client) penerima authorization code'
+    },
+    redirect_uri: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Redirect URI yang digunakan pada permintaan otorisasi'
+    },
+    code_challenge: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      comment: 'PKCE code challenge'
+    },
+    code_challenge_method: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'S256',
+      validate: {
+        isIn: [['S256']]
+      },
+      comment: 'Metode PKCE code challenge'
+    },
+    scope: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Scope yang diminta'
+    },
+    nonce: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Nonce dari permintaan otorisasi (OpenID Connect)'
+    },
+    auth_time: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu pengguna melakukan otentikasi'
+    },
+    amr: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Metode otentikasi yang digunakan (pwd, otp, ...)'
+    },
+    family_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Keluarga token yang diterbitkan dari code ini (untuk pencabutan saat code dipakai ulang)'
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu code ditukar dengan token'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu kedaluwarsa code'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu code diterbitkan'
+    }
+  }, {
+    tableName: 'authorization_codes',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: false,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['code_hash']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencari authorization code berdasarkan hash
+   * @param {string} codeHash - Hash authorization code
+   * @returns {Promise<Object>} Authorization code yang ditemukan
+   */
+  AuthorizationCode.findByHash = async function(codeHash) {
+    return await this.findOne({
+      where: { code_hash: codeHash }
+    });
+  };
+
+  /**
+   * Menandai authorization code sebagai sudah digunakan
+   * Update bersyarat memastikan code hanya dapat ditukar satu kali
+   * @param {string} codeId - ID authorization code
+   * @returns {Promise<boolean>} True jika code berhasil ditandai
+   */
+  AuthorizationCode.markUsed = async function(codeId) {
+    const result = await this.update(
+      { used_at: new Date() },
+      {
+        where: {
+          id: codeId,
+          used_at: null
+        }
+      }
+    );
+
+    return result[0] === 1;
+  };
+
+  /**
+   * Menghapus authorization code yang sudah kedaluwarsa
+   * @returns {Promise<number>} Jumlah code yang dihapus
+   */
+  AuthorizationCode.cleanupExpired = async function() {
+    return await this.destroy({
+      where: {
+        expires_at: { [Op.lt]: new Date() }
+      }
+    });
+  };
+
+  return AuthorizationCode;
+};
@@ -0,0 +1,102 @@
+/**
+ * Model jti client assertion (private_key_jwt) yang sudah digunakan
+ * Disimpan sampai assertion kedaluwarsa agar tidak dapat dipakai ulang, juga antar instance
+ */
+import { DataTypes, Op, UniqueConstraintError } from 'sequelize';
+
+/**
+ * Inisialisasi model ClientAssertion
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model ClientAssertion yang telah diinisialisasi
+ */
+export const initClientAssertionModel = (sequelize) => {
+  const ClientAssertion = sequelize.define('ClientAssertion', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID assertion sebagai primary key'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer penerbit assertion'
+    },
+    jti: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Klaim jti assertion'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu kedaluwarsa assertion (klaim exp)'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu assertion digunakan'
+    }
+  }, {
+    tableName: 'client_assertions',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: false,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        unique: true,
+        fields: ['consumer_id', 'jti']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencatat jti assertion sebagai sudah digunakan
+   * Unique index (consumer_id, jti) memastikan satu jti hanya diterima sekali walaupun
+   * dua permintaan berjalan bersamaan
+   * @param {string} consumerId - ID consumer
+   * @param {string} jti - Klaim jti
+   * @param {Date} expiresAt - Waktu kedaluwarsa assertion
+   * @returns {Promise<boolean>} False jika jti sudah pernah digunakan
+   */
+  ClientAssertion.register = async function(consumerId, jti, expiresAt) {
+    // jti yang kedaluwarsa tidak perlu disimpan lagi karena assertion-nya sudah ditolak
+    await this.cleanupExpired();
+
+    try {
+      await this.create({
+        consumer_id: consumerId,
+        jti,
+        expires_at: expiresAt
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Menghapus jti yang sudah kedaluwarsa
+   * @returns {Promise<number>} Jumlah jti yang dihapus
+   */
+  ClientAssertion.cleanupExpired = async function() {
+    return await this.destroy({
+      where: {
+        expires_at: { [Op.lt]: new Date() }
+      }
+    });
+  };
+
+  return ClientAssertion;
+};
@@ -42,7 +42,7 @@ export const initConsumerModel = (sequelize) => {
       type: DataTypes.STRING(50),
       allowNull: false,
       defaultValue: 'RSA-2048',
-      comment: 'Algoritma kunci yang digunakan (RSA, ECDSA, Ed25519)'
+      comment: 'Algoritma kunci yang digunakan (RSA-2048, RSA-4096, ECDSA-P256, ECDSA-P384, Ed25519)'
     },
     key_version: {
       type: DataTypes.INTEGER,
@@ -55,6 +55,21 @@ export const initConsumerModel = (sequelize) => {
       defaultValue: [],
       comment: 'IP address yang diizinkan (opsional)'
     },
+    redirect_uris: {
+      type: DataTypes.ARRAY(DataTypes.TEXT),
+      defaultValue: [],
+      comment: 'Redirect URI terdaftar untuk OAuth authorization code flow'
+    },
+    allowed_scopes: {
+      type: DataTypes.ARRAY(DataTypes.STRING(100)),
+      defaultValue: [],
+      comment: 'Scope atas nama pengguna (openid, profile, email) yang boleh diminta melalui authorization code flow'
+    },
+    client_scopes: {
+      type: DataTypes.ARRAY(DataTypes.STRING(100)),
+      defaultValue: [],
+      comment: 'Scope untuk consumer itu sendiri (tanpa pengguna) yang boleh diminta melalui client_credentials grant'
+    },
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
@@ -117,6 +132,58 @@ export const initConsumerModel = (sequelize) => {
     });
   };
 
+  /**
+   * Memeriksa apakah redirect URI terdaftar untuk consumer
+   * Pencocokan dilakukan secara persis (tanpa wildcard) sesuai rekomendasi OAuth 2.0
+   * @param {Object} consumer - Instance consumer
+   * @param {string} redirectUri - Redirect URI yang diperiksa
+   * @returns {boolean} Hasil pemeriksaan
+   */
+  Consumer.isRedirectUriAllowed = function(consumer, redirectUri) {
+    return Boolean(
+      redirectUri &&
+      consumer.redirect_uris &&
+      consumer.redirect_uris.includes(redirectUri)
+    );
+  };
+
+  /**
+   * Memeriksa scope yang diminta terhadap daftar scope yang diizinkan
+   * @param {string[]} allowedScopes - Scope yang diizinkan
+   * @param {string} requestedScope - Scope yang diminta (dipisahkan spasi)
+   * @returns {string[]|null} Scope yang diminta tanpa duplikat, null jika ada scope yang tidak diizinkan
+   */
+  const matchScopes = (allowedScopes, requestedScope) => {
+    const requestedScopes = [...new Set(requestedScope.split(' ').filter(Boolean))];
+    return requestedScopes.every(scope => allowedScopes.includes(scope))
+      ? requestedScopes
+      : null;
+  };
+
+  /**
+   * Menentukan scope atas nama pengguna untuk authorization code flow (allowed_scopes)
+   * Tanpa scope yang diminta, tidak ada scope yang diberikan
+   * @param {Object} consumer - Instance consumer
+   * @param {string} [requestedScope] - Scope yang diminta (dipisahkan spasi)
+   * @returns {string[]|null} Scope yang diberikan, null jika ada scope yang tidak diizinkan
+   */
+  Consumer.resolveUserScopes = function(consumer, requestedScope) {
+    return requestedScope ? matchScopes(consumer.allowed_scopes || [], requestedScope) : [];
+  };
+
+  /**
+   * Menentukan scope yang diberikan untuk client_credentials grant (client_scopes)
+   * Tanpa scope yang diminta, seluruh client_scopes diberikan; allowed_scopes tidak pernah
+   * diberikan ke token consumer karena scope tersebut mewakili persetujuan pengguna
+   * @param {Object} consumer - Instance consumer
+   * @param {string} [requestedScope] - Scope yang diminta (dipisahkan spasi)
+   * @returns {string[]|null} Scope yang diberikan, null jika ada scope yang tidak diizinkan
+   */
+  Consumer.resolveClientScopes = function(consumer, requestedScope) {
+    const clientScopes = consumer.client_scopes || [];
+    return requestedScope ? matchScopes(clientScopes, requestedScope) : clientScopes;
+  };
+
   /**
    * Memperbarui kunci publik consumer
    * @param {string} consumerId - ID consumer
@@ -10,6 +10,17 @@ import { initConsumerModel } from './consumer.model.js';
 import { initProviderKeyModel } from './provider-key.model.js';
 import { initTokenModel } from './token.model.js';
 import { initAuditLogModel } from './audit.model.js';
+import { initAuthorizationCodeModel } from './authorization-code.model.js';
+import { initMfaChallengeModel } from './mfa-challenge.model.js';
+import { initWebAuthnChallengeModel } from './webauthn-challenge.model.js';
+import { initMfaRecoveryRequestModel } from './mfa-recovery-request.model.js';
+import { initTrustedDeviceModel } from './trusted-device.model.js';
+import { initMfaPolicyModel } from './mfa-policy.model.js';
+import { initPushChallengeModel } from './push-challenge.model.js';
+import { initMagicLinkModel } from './magic-link.model.js';
+import { initPasswordPolicyModel } from './password-policy.model.js';
+import { initPasswordHistoryModel } from './password-history.model.js';
+import { initClientAssertionModel } from './client-assertion.model.js';
 import { logger } from '../utils/logger.util.js';
 
 // Inisialisasi model-model
@@ -20,6 +31,17 @@ const ConsumerModel = initConsumerModel(sequelize);
 const ProviderKeyModel = initProviderKeyModel(sequelize);
 const TokenModel = initTokenModel(sequelize);
 const AuditLogModel = initAuditLogModel(sequelize);
+const AuthorizationCodeModel = initAuthorizationCodeModel(sequelize);
+const MfaChallengeModel = initMfaChallengeModel(sequelize);
+const WebAuthnChallengeModel = initWebAuthnChallengeModel(sequelize);
+const MfaRecoveryRequestModel = initMfaRecoveryRequestModel(sequelize);
+const TrustedDeviceModel = initTrustedDeviceModel(sequelize);
+const MfaPolicyModel = initMfaPolicyModel(sequelize);
+const PushChallengeModel = initPushChallengeModel(sequelize);
+const MagicLinkModel = initMagicLinkModel(sequelize);
+const PasswordPolicyModel = initPasswordPolicyModel(sequelize);
+const PasswordHistoryModel = initPasswordHistoryModel(sequelize);
+const ClientAssertionModel = initClientAssertionModel(sequelize);
 
 // Setup relasi antar model
 const setupAssociations = () => {
@@ -98,6 +120,162 @@ const setupAssociations = () => {
     foreignKey: 'consumer_id' 
   });
 
+  // User/Consumer - AuthorizationCode (One-to-Many)
+  UserModel.hasMany(AuthorizationCodeModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  AuthorizationCodeModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id' 
+  });
+
+  ConsumerModel.hasMany(AuthorizationCodeModel, { 
+    foreignKey: 'consumer_id' 
+  });
+  
+  AuthorizationCodeModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
+  // User/Consumer - MfaChallenge (One-to-Many)
+  UserModel.hasMany(MfaChallengeModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  MfaChallengeModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id' 
+  });
+
+  ConsumerModel.hasMany(MfaChallengeModel, { 
+    foreignKey: 'consumer_id' 
+  });
+  
+  MfaChallengeModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
+  // User/Consumer - WebAuthnChallenge (One-to-Many)
+  UserModel.hasMany(WebAuthnChallengeModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  WebAuthnChallengeModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id' 
+  });
+
+  ConsumerModel.hasMany(WebAuthnChallengeModel, { 
+    foreignKey: 'consumer_id' 
+  });
+  
+  WebAuthnChallengeModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
+  // User - MfaRecoveryRequest (pemohon dan admin peninjau)
+  UserModel.hasMany(MfaRecoveryRequestModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  MfaRecoveryRequestModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id',
+    as: 'User'
+  });
+
+  MfaRecoveryRequestModel.belongsTo(UserModel, { 
+    foreignKey: 'reviewed_by',
+    as: 'Reviewer'
+  });
+
+  MfaRecoveryRequestModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
+  // User/Consumer - TrustedDevice (One-to-Many)
+  UserModel.hasMany(TrustedDeviceModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  TrustedDeviceModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id' 
+  });
+
+  ConsumerModel.hasMany(TrustedDeviceModel, { 
+    foreignKey: 'consumer_id' 
+  });
+  
+  TrustedDeviceModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
+  // Role/Consumer - MfaPolicy (One-to-Many)
+  RoleModel.hasMany(MfaPolicyModel, { 
+    foreignKey: 'role_id' 
+  });
+  
+  MfaPolicyModel.belongsTo(RoleModel, { 
+    foreignKey: 'role_id' 
+  });
+
+  ConsumerModel.hasMany(MfaPolicyModel, { 
+    foreignKey: 'consumer_id' 
+  });
+  
+  MfaPolicyModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
+  // User/MfaChallenge - PushChallenge (One-to-Many)
+  UserModel.hasMany(PushChallengeModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  PushChallengeModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id' 
+  });
+
+  MfaChallengeModel.hasMany(PushChallengeModel, { 
+    foreignKey: 'mfa_challenge_id' 
+  });
+  
+  PushChallengeModel.belongsTo(MfaChallengeModel, { 
+    foreignKey: 'mfa_challenge_id' 
+  });
+
+  // User/Consumer - MagicLink (One-to-Many)
+  UserModel.hasMany(MagicLinkModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  MagicLinkModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id' 
+  });
+
+  ConsumerModel.hasMany(MagicLinkModel, { 
+    foreignKey: 'consumer_id' 
+  });
+  
+  MagicLinkModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
+  // User - PasswordHistory (One-to-Many)
+  UserModel.hasMany(PasswordHistoryModel, { 
+    foreignKey: 'user_id' 
+  });
+  
+  PasswordHistoryModel.belongsTo(UserModel, { 
+    foreignKey: 'user_id' 
+  });
+
+  // Consumer - ClientAssertion (One-to-Many)
+  ConsumerModel.hasMany(ClientAssertionModel, { 
+    foreignKey: 'consumer_id' 
+  });
+  
+  ClientAssertionModel.belongsTo(ConsumerModel, { 
+    foreignKey: 'consumer_id' 
+  });
+
   logger.info('Model associations setup completed');
 };
 
@@ -105,6 +283,7 @@ const setupAssociations = () => {
 setupAssociations();
 
 // Sinkronisasi model jika diperlukan (hanya untuk development)
+// Database yang sudah berjalan dimigrasikan dengan scripts/migrate-schema.js
 const syncModels = async (force = false) => {
   if (process.env.NODE_ENV === 'development' && force) {
     try {
@@ -127,5 +306,16 @@ export {
   ProviderKeyModel,
   TokenModel,
   AuditLogModel,
+  AuthorizationCodeModel,
+  MfaChallengeModel,
+  WebAuthnChallengeModel,
+  MfaRecoveryRequestModel,
+  TrustedDeviceModel,
+  MfaPolicyModel,
+  PushChallengeModel,
+  MagicLinkModel,
+  PasswordPolicyModel,
+  PasswordHistoryModel,
+  ClientAssertionModel,
   syncModels
 };
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Model link login (magic link) yang dikirim melalui email
+ */
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * Inisialisasi model MagicLink
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model MagicLink yang telah diinisialisasi
+ */
+export const initMagicLinkModel = (sequelize) => {
+  const MagicLink = sequelize.define('MagicLink', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID magic link sebagai primary key'
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Hash token link (token asli hanya dikirim melalui email)'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Pengguna pemilik alamat email'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer yang meminta link; hanya consumer ini yang dapat menukarnya'
+    },
+    redirect_uri: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+      comment: 'Redirect URI tujuan link; harus sama saat link ditukar'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: 'IP address saat link diminta'
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'User agent saat link diminta'
+    },
+    consumed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu link ditukar'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu kedaluwarsa link'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu link dibuat'
+    }
+  }, {
+    tableName: 'magic_links',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: false,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['token_hash']
+      },
+      {
+        fields: ['user_id', 'created_at']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencari magic link berdasarkan hash token
+   * @param {string} tokenHash - Hash token link
+   * @returns {Promise<Object>} Magic link yang ditemukan
+   */
+  MagicLink.findByHash = async function(tokenHash) {
+    return await this.findOne({
+      where: { token_hash: tokenHash }
+    });
+  };
+
+  /**
+   * Mencari magic link terbaru milik pengguna untuk consumer
+   * @param {string} userId - ID pengguna
+   * @param {string} consumerId - ID consumer
+   * @returns {Promise<Object|null>} Magic link terbaru
+   */
+  MagicLink.findLatestForUser = async function(userId, consumerId) {
+    return await this.findOne({
+      where: {
+        user_id: userId,
+        consumer_id: consumerId
+      },
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  /**
+   * Menandai magic link sebagai sudah digunakan
+   * Update bersyarat memastikan link hanya dapat ditukar satu kali
+   * @param {string} linkId - ID magic link
+   * @returns {Promise<boolean>} True jika link berhasil ditandai
+   */
+  MagicLink.consume = async function(linkId) {
+    const result = await this.update(
+      { consumed_at: new Date() },
+      {
+        where: {
+          id: linkId,
+          consumed_at: null
+        }
+      }
+    );
+
+    return result[0] === 1;
+  };
+
+  /**
+   * Membatalkan seluruh magic link pengguna yang belum digunakan untuk consumer
+   * @param {string} userId - ID pengguna
+   * @param {string} consumerId - ID consumer
+   * @returns {Promise<number>} Jumlah link yang dibatalkan
+   */
+  MagicLink.invalidatePending = async function(userId, consumerId) {
+    const result = await this.update(
+      { consumed_at: new Date() },
+      {
+        where: {
+          user_id: userId,
+          consumer_id: consumerId,
+          consumed_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        }
+      }
+    );
+
+    return result[0];
+  };
+
+  return MagicLink;
+};
@@ -0,0 +1,166 @@
+/**
+ * Model MFA Challenge untuk login dua langkah
+ */
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * Inisialisasi model MfaChallenge
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model MfaChallenge yang telah diinisialisasi
+ */
+export const initMfaChallengeModel = (sequelize) => {
+  const MfaChallenge = sequelize.define('MfaChallenge', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID challenge sebagai primary key'
+    },
+    challenge_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      comment: 'Hash dari token challenge (token asli tidak disimpan)'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Pengguna yang sudah lolos verifikasi faktor pertama'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer tempat login dilakukan'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: 'IP address saat verifikasi password'
+    },
+    method: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: 'Metode MFA pengguna saat challenge dibuat (totp, sms, email, webauthn, push)'
+    },
+    primary_amr: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'pwd',
+      comment: 'Metode faktor pertama yang sudah diverifikasi (pwd atau otp untuk magic link)'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Jumlah percobaan verifikasi kode'
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      comment: 'Batas percobaan verifikasi kode'
+    },
+    consumed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu challenge selesai digunakan atau dibatalkan'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu kedaluwarsa challenge'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu challenge dibuat'
+    }
+  }, {
+    tableName: 'mfa_challenges',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: false,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['challenge_hash']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencari challenge berdasarkan hash
+   * @param {string} challengeHash - Hash token challenge
+   * @returns {Promise<Object>} Challenge yang ditemukan
+   */
+  MfaChallenge.findByHash = async function(challengeHash) {
+    return await this.findOne({
+      where: { challenge_hash: challengeHash }
+    });
+  };
+
+  /**
+   * Mencatat satu percobaan verifikasi
+   * Update bersyarat memastikan batas percobaan tidak terlampaui oleh request paralel
+   * @param {string} challengeId - ID challenge
+   * @returns {Promise<boolean>} True jika percobaan masih diizinkan
+   */
+  MfaChallenge.registerAttempt = async function(challengeId) {
+    const result = await this.update(
+      { attempts: sequelize.literal('attempts + 1') },
+      {
+        where: {
+          id: challengeId,
+          consumed_at: null,
+          attempts: { [Op.lt]: sequelize.col('max_attempts') }
+        }
+      }
+    );
+
+    return result[0] === 1;
+  };
+
+  /**
+   * Menandai challenge sebagai sudah digunakan
+   * @param {string} challengeId - ID challenge
+   * @returns {Promise<boolean>} True jika challenge berhasil ditandai
+   */
+  MfaChallenge.consume = async function(challengeId) {
+    const result = await this.update(
+      { consumed_at: new Date() },
+      {
+        where: {
+          id: challengeId,
+          consumed_at: null
+        }
+      }
+    );
+
+    return result[0] === 1;
+  };
+
+  /**
+   * Menghapus challenge yang sudah kedaluwarsa
+   * @returns {Promise<number>} Jumlah challenge yang dihapus
+   */
+  MfaChallenge.cleanupExpired = async function() {
+    return await this.destroy({
+      where: {
+        expires_at: { [Op.lt]: new Date() }
+      }
+    });
+  };
+
+  return MfaChallenge;
+};
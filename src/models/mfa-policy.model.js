@@ -0,0 +1,122 @@
+/**
+ * Model kebijakan kewajiban MFA per role atau per consumer
+ */
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * Inisialisasi model MfaPolicy
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model MfaPolicy yang telah diinisialisasi
+ */
+export const initMfaPolicyModel = (sequelize) => {
+  const MfaPolicy = sequelize.define('MfaPolicy', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID kebijakan sebagai primary key'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      comment: 'Nama kebijakan (unique)'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Deskripsi kebijakan'
+    },
+    target_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['role', 'consumer']]
+      },
+      comment: 'Sasaran kebijakan: role atau consumer'
+    },
+    role_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'roles',
+        key: 'id'
+      },
+      comment: 'Role yang wajib MFA (target_type role)'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer yang mewajibkan MFA (target_type consumer)'
+    },
+    grace_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Masa tenggang (hari) sebelum pendaftaran MFA dipaksakan saat login'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Status aktif kebijakan'
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Admin yang membuat kebijakan'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu kebijakan dibuat'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu terakhir kebijakan diupdate'
+    }
+  }, {
+    tableName: 'mfa_policies',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: true,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['role_id']
+      },
+      {
+        fields: ['consumer_id']
+      }
+    ]
+  });
+
+  /**
+   * Mencari kebijakan aktif yang berlaku untuk role pengguna atau consumer
+   * @param {Object} target - Sasaran login
+   * @param {string[]} target.roleIds - ID role pengguna
+   * @param {string} target.consumerId - ID consumer
+   * @returns {Promise<Array>} Daftar kebijakan yang berlaku
+   */
+  MfaPolicy.findApplicable = async function({ roleIds = [], consumerId }) {
+    const targets = [{ target_type: 'consumer', consumer_id: consumerId }];
+    if (roleIds.length > 0) {
+      targets.push({ target_type: 'role', role_id: { [Op.in]: roleIds } });
+    }
+
+    return await this.findAll({
+      where: {
+        is_active: true,
+        [Op.or]: targets
+      }
+    });
+  };
+
+  return MfaPolicy;
+};
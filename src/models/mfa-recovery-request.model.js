@@ -0,0 +1,151 @@
+/**
+ * Model permintaan pemulihan MFA untuk pengguna yang kehilangan seluruh faktor MFA
+ */
+import { DataTypes } from 'sequelize';
+
+/**
+ * Inisialisasi model MfaRecoveryRequest
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model MfaRecoveryRequest yang telah diinisialisasi
+ */
+export const initMfaRecoveryRequestModel = (sequelize) => {
+  const MfaRecoveryRequest = sequelize.define('MfaRecoveryRequest', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID permintaan pemulihan sebagai primary key'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Pengguna yang meminta reset MFA'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer tempat permintaan dibuat'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'approved', 'rejected']]
+      },
+      comment: 'Status permintaan: pending, approved, atau rejected'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Alasan dari pengguna (misalnya perangkat hilang)'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: 'IP address saat permintaan dibuat'
+    },
+    user_agent: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'User agent saat permintaan dibuat'
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Admin yang menyetujui atau menolak permintaan'
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu permintaan diputuskan'
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Catatan admin saat memutuskan permintaan'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu permintaan dibuat'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu terakhir permintaan diupdate'
+    }
+  }, {
+    tableName: 'mfa_recovery_requests',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: true,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencari permintaan pemulihan yang masih pending untuk pengguna
+   * @param {string} userId - ID pengguna
+   * @returns {Promise<Object>} Permintaan pending atau null
+   */
+  MfaRecoveryRequest.findPendingByUser = async function(userId) {
+    return await this.findOne({
+      where: {
+        user_id: userId,
+        status: 'pending'
+      }
+    });
+  };
+
+  /**
+   * Memutuskan permintaan yang masih pending
+   * Update bersyarat memastikan permintaan hanya dapat diputuskan satu kali
+   * @param {string} requestId - ID permintaan
+   * @param {Object} decision - Keputusan (status, reviewedBy, note)
+   * @returns {Promise<boolean>} True jika permintaan berhasil diputuskan
+   */
+  MfaRecoveryRequest.decide = async function(requestId, decision) {
+    const result = await this.update(
+      {
+        status: decision.status,
+        reviewed_by: decision.reviewedBy,
+        reviewed_at: new Date(),
+        review_note: decision.note || null
+      },
+      {
+        where: {
+          id: requestId,
+          status: 'pending'
+        }
+      }
+    );
+
+    return result[0] === 1;
+  };
+
+  return MfaRecoveryRequest;
+};
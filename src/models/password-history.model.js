@@ -0,0 +1,92 @@
+/**
+ * Model riwayat hash password pengguna untuk mencegah pemakaian ulang password
+ */
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * Inisialisasi model PasswordHistory
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model PasswordHistory yang telah diinisialisasi
+ */
+export const initPasswordHistoryModel = (sequelize) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID riwayat sebagai primary key'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Pengguna pemilik password'
+    },
+    password_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Hash password yang pernah dipakai'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu password diganti'
+    }
+  }, {
+    tableName: 'password_histories',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: false,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  /**
+   * Mendapatkan hash password terakhir milik pengguna
+   * @param {string} userId - ID pengguna
+   * @param {number} limit - Jumlah riwayat
+   * @returns {Promise<Array>} Riwayat terbaru lebih dulu
+   */
+  PasswordHistory.findRecent = async function(userId, limit) {
+    return await this.findAll({
+      where: { user_id: userId },
+      order: [['created_at', 'DESC']],
+      limit
+    });
+  };
+
+  /**
+   * Menghapus riwayat di luar sejumlah entri terbaru
+   * @param {string} userId - ID pengguna
+   * @param {number} keep - Jumlah riwayat terbaru yang dipertahankan
+   * @param {Object} [options] - Opsi query (transaction)
+   * @returns {Promise<number>} Jumlah riwayat yang dihapus
+   */
+  PasswordHistory.prune = async function(userId, keep, options = {}) {
+    const kept = await this.findAll({
+      attributes: ['id'],
+      where: { user_id: userId },
+      order: [['created_at', 'DESC']],
+      limit: keep,
+      ...options
+    });
+
+    return await this.destroy({
+      where: {
+        user_id: userId,
+        id: { [Op.notIn]: kept.map((entry) => entry.id) }
+      },
+      ...options
+    });
+  };
+
+  return PasswordHistory;
+};
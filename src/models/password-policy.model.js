@@ -0,0 +1,114 @@
+/**
+ * Model kebijakan password global (satu baris konfigurasi)
+ */
+import { DataTypes } from 'sequelize';
+
+/**
+ * Inisialisasi model PasswordPolicy
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model PasswordPolicy yang telah diinisialisasi
+ */
+export const initPasswordPolicyModel = (sequelize) => {
+  const PasswordPolicy = sequelize.define('PasswordPolicy', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID kebijakan sebagai primary key'
+    },
+    min_length: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 8,
+      comment: 'Panjang minimal password'
+    },
+    require_uppercase: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Password wajib memiliki huruf besar'
+    },
+    require_lowercase: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Password wajib memiliki huruf kecil'
+    },
+    require_digit: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Password wajib memiliki angka'
+    },
+    require_symbol: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Password wajib memiliki simbol (karakter selain huruf dan angka)'
+    },
+    disallow_user_info: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Password tidak boleh memuat potongan username atau email'
+    },
+    check_breached: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Tolak password baru yang terdapat pada korpus password bocor'
+    },
+    flag_breached_on_login: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Periksa password saat login dan tandai pengguna yang password-nya terdapat pada korpus'
+    },
+    history_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      comment: 'Jumlah password terakhir yang tidak boleh dipakai ulang (0 = nonaktif)'
+    },
+    max_age_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Umur maksimal password dalam hari sejak password_changed_at (0 = tidak kedaluwarsa)'
+    },
+    updated_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Admin yang terakhir mengubah kebijakan'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu kebijakan dibuat'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu terakhir kebijakan diupdate'
+    }
+  }, {
+    tableName: 'password_policies',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: true,
+    underscored: true // use snake_case for fields
+  });
+
+  /**
+   * Mendapatkan kebijakan yang berlaku (baris pertama)
+   * @returns {Promise<Object|null>} Kebijakan atau null jika belum dikonfigurasi
+   */
+  PasswordPolicy.findCurrent = async function() {
+    return await this.findOne({
+      order: [['created_at', 'ASC']]
+    });
+  };
+
+  return PasswordPolicy;
+};
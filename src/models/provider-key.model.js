@@ -1,7 +1,21 @@
 /**
  * Model Provider Key untuk aplikasi otentikasi terpusat
  */
-import { DataTypes } from "sequelize";
+import { DataTypes, Op } from "sequelize";
+
+// Masa berlaku JWT terpanjang yang ditandatangani kunci provider: access token (1 jam)
+// dan ID token OIDC (OIDC_ID_TOKEN_EXPIRES_SECONDS)
+const ACCESS_TOKEN_EXPIRES_SECONDS = 3600;
+const ID_TOKEN_EXPIRES_SECONDS = parseInt(
+  process.env.OIDC_ID_TOKEN_EXPIRES_SECONDS || "3600",
+  10
+);
+
+// Toleransi selisih jam antar server saat token lama diverifikasi
+const KEY_RETIRE_CLOCK_SKEW_SECONDS = parseInt(
+  process.env.KEY_RETIRE_CLOCK_SKEW_SECONDS || "300",
+  10
+);
 
 /**
  * Inisialisasi model ProviderKey
@@ -31,7 +45,7 @@ export const initProviderKeyModel = (sequelize) => {
       key_algorithm: {
         type: DataTypes.STRING(50),
         allowNull: false,
-        comment: "Algoritma kunci (RSA, ECDSA, Ed25519)",
+        comment: "Algoritma kunci (RSA-2048, RSA-4096, ECDSA-P256, ECDSA-P384, Ed25519)",
       },
       key_version: {
         type: DataTypes.INTEGER,
@@ -43,9 +57,18 @@ export const initProviderKeyModel = (sequelize) => {
         allowNull: false,
         defaultValue: "active",
         validate: {
-          isIn: [["active", "inactive", "revoked"]],
+          isIn: [
+            ["pending", "active", "retiring", "retired", "inactive", "revoked"],
+          ],
         },
-        comment: "Status kunci (active, inactive, revoked)",
+        comment:
+          "Status kunci (pending, active, retiring, retired, revoked; inactive untuk data lama)",
+      },
+      retire_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment:
+          "Kunci retiring masih dapat memverifikasi token sampai tanggal ini (kedaluwarsa token terakhir)",
       },
       valid_from: {
         type: DataTypes.DATE,
@@ -107,19 +130,85 @@ export const initProviderKeyModel = (sequelize) => {
   };
 
   /**
-   * Menonaktifkan kunci lama dan menambahkan kunci baru
+   * Mendapatkan kunci yang boleh digunakan untuk memverifikasi token
+   * Kunci active selalu valid; kunci retiring hanya sampai retire_until
+   * @param {string} keyId - ID kunci (kid / provider_key_id)
+   * @returns {Promise<Object|null>} Kunci verifikasi atau null
+   */
+  ProviderKey.findVerificationKey = async function (keyId) {
+    const key = await this.findByPk(keyId);
+
+    if (!key) {
+      return null;
+    }
+
+    if (key.status === "active") {
+      return key;
+    }
+
+    if (
+      key.status === "retiring" &&
+      key.retire_until &&
+      key.retire_until > new Date()
+    ) {
+      return key;
+    }
+
+    return null;
+  };
+
+  /**
+   * Mengubah kunci active menjadi retiring
+   * retire_until diisi dengan waktu kedaluwarsa terlama JWT yang mungkin baru saja
+   * ditandatangani kunci tersebut (access token maupun ID token, yang tidak tercatat di
+   * tabel token) ditambah toleransi selisih jam, sehingga token lama tetap dapat diverifikasi
+   * @param {Object} transaction - Transaksi Sequelize
+   * @returns {Promise<number>} Jumlah kunci yang diubah
+   */
+  ProviderKey.retireActiveKeys = async function (transaction) {
+    const activeKeys = await this.findAll({
+      where: { status: "active" },
+      transaction,
+    });
+
+    const retireAfterSeconds =
+      Math.max(ACCESS_TOKEN_EXPIRES_SECONDS, ID_TOKEN_EXPIRES_SECONDS) +
+      KEY_RETIRE_CLOCK_SKEW_SECONDS;
+    const retireUntil = new Date(Date.now() + retireAfterSeconds * 1000);
+
+    for (const key of activeKeys) {
+      await key.update(
+        {
+          status: "retiring",
+          retire_until: retireUntil,
+        },
+        { transaction }
+      );
+    }
+
+    return activeKeys.length;
+  };
+
+  /**
+   * Menambahkan kunci baru dan (opsional) langsung mengaktifkannya
+   * Kunci aktif sebelumnya berubah menjadi retiring, bukan langsung nonaktif
    * @param {string} publicKey - Kunci publik baru
    * @param {string} privateKeyEncrypted - Kunci privat terenkripsi
    * @param {string} keyAlgorithm - Algoritma kunci
    * @param {string} createdBy - ID user yang melakukan rotasi
+   * @param {Object} options - Opsi rotasi
+   * @param {boolean} options.activate - Aktifkan kunci baru sekarang (default true), jika false kunci berstatus pending
+   * @param {number} options.validDays - Masa berlaku kunci dalam hari (default 90)
    * @returns {Promise<Object>} Kunci baru yang ditambahkan
    */
   ProviderKey.rotateKey = async function (
     publicKey,
     privateKeyEncrypted,
     keyAlgorithm,
-    createdBy
+    createdBy,
+    options = {}
   ) {
+    const { activate = true, validDays = 90 } = options;
     const transaction = await sequelize.transaction();
 
     try {
@@ -127,22 +216,15 @@ export const initProviderKeyModel = (sequelize) => {
       const maxVersionResult = await this.max("key_version", { transaction });
       const newVersion = (maxVersionResult || 0) + 1;
 
-      // Nonaktifkan semua kunci aktif
-      await this.update(
-        {
-          status: "inactive",
-          updated_at: new Date(),
-        },
-        {
-          where: { status: "active" },
-          transaction,
-        }
-      );
+      // Kunci aktif lama tetap dapat memverifikasi token yang sudah terbit
+      if (activate) {
+        await this.retireActiveKeys(transaction);
+      }
 
       // Buat kunci baru
       const validFrom = new Date();
       const validUntil = new Date();
-      validUntil.setDate(validUntil.getDate() + 90); // Valid selama 90 hari
+      validUntil.setDate(validUntil.getDate() + validDays);
 
       const newKey = await this.create(
         {
@@ -150,7 +232,7 @@ export const initProviderKeyModel = (sequelize) => {
           private_key_encrypted: privateKeyEncrypted,
           key_algorithm: keyAlgorithm,
           key_version: newVersion,
-          status: "active",
+          status: activate ? "active" : "pending",
           valid_from: validFrom,
           valid_until: validUntil,
           created_by: createdBy,
@@ -166,6 +248,58 @@ export const initProviderKeyModel = (sequelize) => {
     }
   };
 
+  /**
+   * Mengaktifkan kunci pending; kunci aktif sebelumnya menjadi retiring
+   * @param {string} keyId - ID kunci pending
+   * @returns {Promise<Object|null>} Kunci yang diaktifkan, null jika tidak ditemukan / bukan pending
+   */
+  ProviderKey.activateKey = async function (keyId) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const key = await this.findByPk(keyId, { transaction });
+
+      if (!key || key.status !== "pending") {
+        await transaction.rollback();
+        return null;
+      }
+
+      await this.retireActiveKeys(transaction);
+
+      await key.update(
+        {
+          status: "active",
+          valid_from: new Date(),
+        },
+        { transaction }
+      );
+
+      await transaction.commit();
+      return key;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  };
+
+  /**
+   * Menandai kunci retiring yang masa verifikasinya sudah lewat sebagai retired
+   * @returns {Promise<number>} Jumlah kunci yang diubah
+   */
+  ProviderKey.retireExpiredKeys = async function () {
+    const result = await this.update(
+      { status: "retired" },
+      {
+        where: {
+          status: "retiring",
+          retire_until: { [Op.lte]: new Date() },
+        },
+      }
+    );
+
+    return result[0]; // Jumlah baris yang diperbarui
+  };
+
   /**
    * Mencabut kunci tertentu
    * @param {string} keyId - ID kunci yang akan dicabut
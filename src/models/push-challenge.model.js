@@ -0,0 +1,157 @@
+/**
+ * Model challenge untuk faktor MFA push (aktivasi perangkat dan persetujuan login)
+ */
+import { DataTypes } from 'sequelize';
+
+/**
+ * Inisialisasi model PushChallenge
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model PushChallenge yang telah diinisialisasi
+ */
+export const initPushChallengeModel = (sequelize) => {
+  const PushChallenge = sequelize.define('PushChallenge', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID challenge push sebagai primary key'
+    },
+    purpose: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['activation', 'login']]
+      },
+      comment: 'activation (pendaftaran perangkat) atau login (persetujuan login)'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Pemilik perangkat push'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer tempat challenge dibuat'
+    },
+    mfa_challenge_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'mfa_challenges',
+        key: 'id'
+      },
+      comment: 'Challenge MFA login yang disetujui (purpose login)'
+    },
+    factor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Faktor push tujuan notifikasi (purpose login)'
+    },
+    secret_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Hash secret kode aktivasi (purpose activation)'
+    },
+    number_code: {
+      type: DataTypes.STRING(2),
+      allowNull: true,
+      comment: 'Angka yang ditampilkan di layar login dan harus dipilih di perangkat (number matching)'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'activated', 'approved', 'denied', 'completed']]
+      },
+      comment: 'Status challenge'
+    },
+    device_data: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Data perangkat dari aktivasi (public_key, algorithm, push_token, device_name)'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: 'IP address login yang dimintakan persetujuan'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu kedaluwarsa challenge'
+    },
+    responded_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu perangkat merespons'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu challenge dibuat'
+    }
+  }, {
+    tableName: 'push_challenges',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: false,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['mfa_challenge_id']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencari persetujuan push terbaru untuk challenge MFA login
+   * @param {string} mfaChallengeId - ID challenge MFA
+   * @returns {Promise<Object|null>} Challenge push terbaru
+   */
+  PushChallenge.findLatestForMfaChallenge = async function(mfaChallengeId) {
+    return await this.findOne({
+      where: {
+        mfa_challenge_id: mfaChallengeId,
+        purpose: 'login'
+      },
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  /**
+   * Mengubah status challenge secara bersyarat
+   * Update hanya berhasil jika status saat ini sesuai sehingga respons paralel tidak tumpang tindih
+   * @param {string} challengeId - ID challenge
+   * @param {string} fromStatus - Status yang diharapkan saat ini
+   * @param {Object} values - Nilai baru (status, device_data, responded_at, ...)
+   * @returns {Promise<boolean>} True jika status berhasil diubah
+   */
+  PushChallenge.transition = async function(challengeId, fromStatus, values) {
+    const result = await this.update(values, {
+      where: {
+        id: challengeId,
+        status: fromStatus
+      }
+    });
+
+    return result[0] === 1;
+  };
+
+  return PushChallenge;
+};
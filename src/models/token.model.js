@@ -2,7 +2,7 @@
 /**
  * Model Token untuk aplikasi otentikasi terpusat
  */
-import { DataTypes } from 'sequelize';
+import { DataTypes, Op } from 'sequelize';
 
 /**
  * Inisialisasi model Token
@@ -19,12 +19,12 @@ export const initTokenModel = (sequelize) => {
     },
     user_id: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'users',
         key: 'id'
       },
-      comment: 'Referensi ke table users'
+      comment: 'Referensi ke table users (null untuk token client_credentials milik consumer)'
     },
     consumer_id: {
       type: DataTypes.UUID,
@@ -35,11 +35,35 @@ export const initTokenModel = (sequelize) => {
       },
       comment: 'Referensi ke table api_consumers'
     },
+    token_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'access',
+      validate: {
+        isIn: [['access', 'refresh']]
+      },
+      comment: 'Jenis token (access, refresh)'
+    },
     token_hash: {
       type: DataTypes.STRING(255),
       allowNull: false,
       comment: 'Hash dari token yang dikeluarkan'
     },
+    family_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'ID keluarga token (satu sesi login beserta seluruh rotasinya)'
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu refresh token digunakan untuk rotasi'
+    },
+    replaced_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Refresh token pengganti hasil rotasi'
+    },
     signature: {
       type: DataTypes.TEXT,
       allowNull: false,
@@ -89,6 +113,9 @@ export const initTokenModel = (sequelize) => {
       {
         fields: ['token_hash']
       },
+      {
+        fields: ['family_id']
+      },
       {
         fields: ['expires_at']
       }
@@ -105,7 +132,7 @@ export const initTokenModel = (sequelize) => {
       where: { 
         token_hash: tokenHash,
         is_revoked: false,
-        expires_at: { [sequelize.Op.gt]: new Date() }
+        expires_at: { [Op.gt]: new Date() }
       }
     });
   };
@@ -120,7 +147,7 @@ export const initTokenModel = (sequelize) => {
       where: {
         user_id: userId,
         is_revoked: false,
-        expires_at: { [sequelize.Op.gt]: new Date() }
+        expires_at: { [Op.gt]: new Date() }
       },
       include: [{
         model: sequelize.models.Consumer,
@@ -148,7 +175,7 @@ export const initTokenModel = (sequelize) => {
         where: {
           user_id: userId,
           is_revoked: false,
-          expires_at: { [sequelize.Op.gt]: now }
+          expires_at: { [Op.gt]: now }
         }
       }
     );
@@ -199,7 +226,7 @@ export const initTokenModel = (sequelize) => {
           consumer_id: consumerId,
           user_id: userId,
           is_revoked: false,
-          expires_at: { [sequelize.Op.gt]: now }
+          expires_at: { [Op.gt]: now }
         }
       }
     );
@@ -207,6 +234,74 @@ export const initTokenModel = (sequelize) => {
     return result[0]; // Jumlah baris yang diperbarui
   };
 
+  /**
+   * Mencari refresh token berdasarkan hash tanpa memfilter status,
+   * agar refresh token yang sudah dirotasi tetap dapat dikenali
+   * @param {string} tokenHash - Hash refresh token
+   * @returns {Promise<Object>} Refresh token yang ditemukan
+   */
+  Token.findRefreshTokenByHash = async function(tokenHash) {
+    return await this.findOne({
+      where: {
+        token_hash: tokenHash,
+        token_type: 'refresh'
+      }
+    });
+  };
+
+  /**
+   * Menandai refresh token sebagai sudah digunakan (rotasi)
+   * Update bersyarat memastikan hanya satu permintaan yang berhasil merotasi token
+   * @param {string} tokenId - ID refresh token
+   * @returns {Promise<boolean>} True jika token berhasil ditandai
+   */
+  Token.markRefreshTokenUsed = async function(tokenId) {
+    const now = new Date();
+
+    const result = await this.update(
+      {
+        used_at: now,
+        is_revoked: true,
+        revoked_at: now
+      },
+      {
+        where: {
+          id: tokenId,
+          token_type: 'refresh',
+          used_at: null
+        }
+      }
+    );
+
+    return result[0] === 1;
+  };
+
+  /**
+   * Mencabut seluruh token dalam satu keluarga token
+   * @param {string} familyId - ID keluarga token
+   * @returns {Promise<number>} Jumlah token yang dicabut
+   */
+  Token.revokeFamily = async function(familyId) {
+    if (!familyId) {
+      return 0;
+    }
+
+    const result = await this.update(
+      {
+        is_revoked: true,
+        revoked_at: new Date()
+      },
+      {
+        where: {
+          family_id: familyId,
+          is_revoked: false
+        }
+      }
+    );
+
+    return result[0]; // Jumlah baris yang diperbarui
+  };
+
   /**
    * Menghapus token kedaluwarsa
    * @param {number} olderThanDays - Hari kedaluwarsa (default: 30)
@@ -0,0 +1,150 @@
+/**
+ * Model perangkat tepercaya (remember this device) untuk melewati challenge MFA
+ */
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * Inisialisasi model TrustedDevice
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model TrustedDevice yang telah diinisialisasi
+ */
+export const initTrustedDeviceModel = (sequelize) => {
+  const TrustedDevice = sequelize.define('TrustedDevice', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID perangkat tepercaya sebagai primary key'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Pemilik perangkat'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer tempat perangkat dipercaya; token hanya berlaku untuk consumer ini'
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Hash SHA-256 dari secret token perangkat'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Nama perangkat dari pengguna'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      comment: 'IP address saat perangkat dipercaya'
+    },
+    user_agent: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'User agent saat perangkat dipercaya'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu kedaluwarsa kepercayaan perangkat'
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu terakhir perangkat digunakan untuk melewati MFA'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu perangkat dicabut'
+    },
+    revoked_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Pengguna atau admin yang mencabut perangkat'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu perangkat dipercaya'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu terakhir data perangkat diupdate'
+    }
+  }, {
+    tableName: 'trusted_devices',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: true,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencari perangkat tepercaya yang masih aktif milik pengguna
+   * @param {string} userId - ID pengguna
+   * @returns {Promise<Array>} Daftar perangkat aktif
+   */
+  TrustedDevice.findActiveByUser = async function(userId) {
+    return await this.findAll({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  /**
+   * Mencabut perangkat tepercaya pengguna
+   * @param {string} userId - ID pengguna
+   * @param {Object} [options] - Opsi pencabutan
+   * @param {string} [options.deviceId] - ID perangkat tertentu (default: semua perangkat)
+   * @param {string} [options.revokedBy] - Pengguna atau admin yang mencabut
+   * @returns {Promise<number>} Jumlah perangkat yang dicabut
+   */
+  TrustedDevice.revokeForUser = async function(userId, options = {}) {
+    const where = {
+      user_id: userId,
+      revoked_at: null
+    };
+    if (options.deviceId) {
+      where.id = options.deviceId;
+    }
+
+    const result = await this.update(
+      {
+        revoked_at: new Date(),
+        revoked_by: options.revokedBy || null
+      },
+      { where }
+    );
+
+    return result[0];
+  };
+
+  return TrustedDevice;
+};
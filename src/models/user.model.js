@@ -50,9 +50,11 @@ export const initUserModel = (sequelize) => {
       type: DataTypes.JSONB,
       defaultValue: {
         enabled: false,
-        preferred_method: null
+        default_factor_id: null,
+        factors: [],
+        backup_codes: []
       },
-      comment: 'Pengaturan Multi-Factor Authentication'
+      comment: 'Pengaturan Multi-Factor Authentication (daftar faktor, faktor default, backup codes)'
     },
     is_active: {
       type: DataTypes.BOOLEAN,
@@ -64,11 +66,26 @@ export const initUserModel = (sequelize) => {
       defaultValue: false,
       comment: 'Status penguncian akun'
     },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Batas waktu penguncian sementara (kosong jika terkunci permanen oleh admin)'
+    },
     failed_attempts: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
       comment: 'Jumlah percobaan login gagal'
     },
+    last_failed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu percobaan login gagal terakhir (dasar jeda percobaan berikutnya)'
+    },
+    lockout_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Jumlah penguncian berturut-turut sejak login berhasil terakhir'
+    },
     last_login: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -79,6 +96,11 @@ export const initUserModel = (sequelize) => {
       defaultValue: DataTypes.NOW,
       comment: 'Waktu terakhir perubahan password'
     },
+    password_breached_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu password saat ini ditemukan pada korpus password bocor saat login'
+    },
     created_by: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -0,0 +1,132 @@
+/**
+ * Model challenge WebAuthn untuk registrasi dan otentikasi passkey/security key
+ */
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * Inisialisasi model WebAuthnChallenge
+ * @param {Sequelize} sequelize - Instance Sequelize
+ * @returns {Model} Model WebAuthnChallenge yang telah diinisialisasi
+ */
+export const initWebAuthnChallengeModel = (sequelize) => {
+  const WebAuthnChallenge = sequelize.define('WebAuthnChallenge', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+      comment: 'UUID challenge sebagai primary key'
+    },
+    challenge: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      unique: true,
+      comment: 'Challenge acak (base64url) yang harus ditandatangani authenticator'
+    },
+    purpose: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['registration', 'authentication']]
+      },
+      comment: 'Jenis ceremony: registration atau authentication'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Pengguna terkait (null untuk login passwordless tanpa username)'
+    },
+    consumer_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'api_consumers',
+        key: 'id'
+      },
+      comment: 'Consumer tempat ceremony dimulai'
+    },
+    user_verification: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'preferred',
+      comment: 'Kebutuhan user verification (required, preferred, discouraged)'
+    },
+    consumed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Waktu challenge digunakan'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Waktu kedaluwarsa challenge'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Waktu challenge dibuat'
+    }
+  }, {
+    tableName: 'webauthn_challenges',
+    schema: sequelize.options.searchPath[0], // menggunakan schema yang dikonfigurasi
+    timestamps: false,
+    underscored: true, // use snake_case for fields
+    indexes: [
+      {
+        fields: ['challenge']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  /**
+   * Mencari challenge berdasarkan nilainya
+   * @param {string} challenge - Challenge (base64url)
+   * @returns {Promise<Object>} Challenge yang ditemukan
+   */
+  WebAuthnChallenge.findByChallenge = async function(challenge) {
+    return await this.findOne({
+      where: { challenge }
+    });
+  };
+
+  /**
+   * Menandai challenge sebagai sudah digunakan
+   * Update bersyarat memastikan satu challenge hanya dapat digunakan sekali
+   * @param {string} challengeId - ID challenge
+   * @returns {Promise<boolean>} True jika challenge berhasil ditandai
+   */
+  WebAuthnChallenge.consume = async function(challengeId) {
+    const result = await this.update(
+      { consumed_at: new Date() },
+      {
+        where: {
+          id: challengeId,
+          consumed_at: null
+        }
+      }
+    );
+
+    return result[0] === 1;
+  };
+
+  /**
+   * Menghapus challenge yang sudah kedaluwarsa
+   * @returns {Promise<number>} Jumlah challenge yang dihapus
+   */
+  WebAuthnChallenge.cleanupExpired = async function() {
+    return await this.destroy({
+      where: {
+        expires_at: { [Op.lt]: new Date() }
+      }
+    });
+  };
+
+  return WebAuthnChallenge;
+};
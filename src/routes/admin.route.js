@@ -12,10 +12,23 @@ import {
   getProviderKeys,
   getActiveKey,
   rotateKey,
+  activateKey,
   revokeKey,
   getSecurityLogs,
   getAuditStats,
-  cleanupTokens
+  cleanupTokens,
+  getMfaRecoveryRequests,
+  approveMfaRecoveryRequest,
+  rejectMfaRecoveryRequest,
+  getUserTrustedDevices,
+  revokeUserTrustedDevices,
+  unlockUserAccount,
+  getMfaPolicies,
+  addMfaPolicy,
+  updateMfaPolicyDetail,
+  removeMfaPolicy,
+  getPasswordPolicySettings,
+  updatePasswordPolicySettings
 } from '../controllers/admin.controller.js';
 import { validateBody, validateParams, validateQuery } from '../middlewares/validation.middleware.js';
 import { fullAuthentication, requireRole, requirePermission } from '../middlewares/auth.middleware.js';
@@ -26,7 +39,17 @@ import {
   updateConsumerSchema,
   rotateKeySchema,
   securityLogsQuerySchema,
-  cleanupTokensQuerySchema
+  cleanupTokensQuerySchema,
+  recoveryRequestIdSchema,
+  recoveryRequestsQuerySchema,
+  reviewRecoveryRequestSchema,
+  userTrustedDevicesSchema,
+  userIdSchema,
+  unlockAccountSchema,
+  mfaPolicyIdSchema,
+  createMfaPolicySchema,
+  updateMfaPolicySchema,
+  updatePasswordPolicySchema
 } from '../validations/admin.validation.js';
 
 const router = express.Router();
@@ -314,7 +337,11 @@ router.get('/keys/active', [
  *     tags:
  *       - Admin
  *     summary: Rotasi kunci provider
- *     description: Endpoint untuk melakukan rotasi kunci provider
+ *     description: |
+ *       Endpoint untuk melakukan rotasi kunci provider. Kunci aktif sebelumnya berstatus
+ *       `retiring` dan tetap dapat memverifikasi token sampai token terakhirnya kedaluwarsa.
+ *       Dengan `activate: false`, kunci baru dibuat berstatus `pending` dan dipublikasikan
+ *       di JWKS lebih dulu, lalu diaktifkan melalui endpoint activate.
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
@@ -338,6 +365,41 @@ router.post('/keys/rotate', [
   validateBody(rotateKeySchema)
 ], rotateKey);
 
+/**
+ * @swagger
+ * /api/v1/admin/keys/{keyId}/activate:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Aktifkan kunci provider
+ *     description: Endpoint untuk mengaktifkan kunci provider berstatus pending. Kunci aktif sebelumnya menjadi retiring.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID kunci provider
+ *     responses:
+ *       200:
+ *         description: Kunci provider berhasil diaktifkan
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *       404:
+ *         description: Kunci provider tidak ditemukan atau bukan pending
+ */
+router.post('/keys/:keyId/activate', [
+  fullAuthentication,
+  requirePermission('rotate_key'),
+  validateParams(keyIdSchema)
+], activateKey);
+
 /**
  * @swagger
  * /api/v1/admin/keys/{keyId}/revoke:
@@ -450,6 +512,521 @@ router.get('/security/stats', [
   requirePermission('view_audit_logs')
 ], getAuditStats);
 
+// ========== MFA Recovery Routes ==========
+
+/**
+ * @swagger
+ * /api/v1/admin/mfa-recovery-requests:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Daftar permintaan pemulihan MFA
+ *     description: Endpoint untuk mendapatkan daftar permintaan reset MFA dari pengguna yang kehilangan seluruh faktor MFA
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Halaman yang ingin ditampilkan
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Jumlah data per halaman
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Filter status permintaan
+ *     responses:
+ *       200:
+ *         description: Daftar permintaan pemulihan MFA berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MfaRecoveryRequest'
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ */
+router.get('/mfa-recovery-requests', [
+  fullAuthentication,
+  adminOnly,
+  validateQuery(recoveryRequestsQuerySchema)
+], getMfaRecoveryRequests);
+
+/**
+ * @swagger
+ * /api/v1/admin/mfa-recovery-requests/{requestId}/approve:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Setujui permintaan pemulihan MFA
+ *     description: |
+ *       Menyetujui permintaan pemulihan MFA. Seluruh faktor MFA dan backup code pengguna dihapus
+ *       dan semua token pengguna dicabut. Admin tidak dapat menyetujui permintaannya sendiri.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID permintaan pemulihan MFA
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewMfaRecoveryRequest'
+ *     responses:
+ *       200:
+ *         description: Permintaan disetujui dan MFA pengguna di-reset
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin atau permintaan milik sendiri
+ *       404:
+ *         description: Permintaan tidak ditemukan
+ *       409:
+ *         description: Permintaan sudah diputuskan
+ */
+router.post('/mfa-recovery-requests/:requestId/approve', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(recoveryRequestIdSchema),
+  validateBody(reviewRecoveryRequestSchema)
+], approveMfaRecoveryRequest);
+
+/**
+ * @swagger
+ * /api/v1/admin/mfa-recovery-requests/{requestId}/reject:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Tolak permintaan pemulihan MFA
+ *     description: Menolak permintaan pemulihan MFA. Pengguna diberi tahu melalui email.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID permintaan pemulihan MFA
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewMfaRecoveryRequest'
+ *     responses:
+ *       200:
+ *         description: Permintaan ditolak
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin atau permintaan milik sendiri
+ *       404:
+ *         description: Permintaan tidak ditemukan
+ *       409:
+ *         description: Permintaan sudah diputuskan
+ */
+router.post('/mfa-recovery-requests/:requestId/reject', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(recoveryRequestIdSchema),
+  validateBody(reviewRecoveryRequestSchema)
+], rejectMfaRecoveryRequest);
+
+// ========== Trusted Device Routes ==========
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/trusted-devices:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Daftar perangkat tepercaya pengguna
+ *     description: Perangkat pengguna yang masih dapat melewati challenge MFA saat login
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID pengguna
+ *     responses:
+ *       200:
+ *         description: Daftar perangkat tepercaya berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrustedDevice'
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Cabut semua perangkat tepercaya pengguna
+ *     description: Login berikutnya dari semua perangkat pengguna kembali memerlukan MFA
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID pengguna
+ *     responses:
+ *       200:
+ *         description: Semua perangkat tepercaya pengguna berhasil dicabut
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ */
+router.get('/users/:userId/trusted-devices', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(userTrustedDevicesSchema)
+], getUserTrustedDevices);
+
+router.delete('/users/:userId/trusted-devices', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(userTrustedDevicesSchema)
+], revokeUserTrustedDevices);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/trusted-devices/{deviceId}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Cabut perangkat tepercaya pengguna
+ *     description: Login berikutnya dari perangkat ini kembali memerlukan MFA
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID pengguna
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID perangkat tepercaya
+ *     responses:
+ *       200:
+ *         description: Perangkat tepercaya berhasil dicabut
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *       404:
+ *         description: Perangkat tepercaya tidak ditemukan
+ */
+router.delete('/users/:userId/trusted-devices/:deviceId', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(userTrustedDevicesSchema)
+], revokeUserTrustedDevices);
+
+// ========== Account Lockout Routes ==========
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{userId}/unlock:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Buka kunci akun pengguna
+ *     description: |
+ *       Membuka kunci akun yang terkunci karena percobaan login gagal (sementara maupun permanen)
+ *       atau dikunci admin. Jumlah percobaan gagal dan riwayat penguncian ikut di-reset sehingga
+ *       durasi penguncian berikutnya kembali ke durasi awal. Dicatat sebagai `account_unlocked`.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID pengguna
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnlockAccountRequest'
+ *     responses:
+ *       200:
+ *         description: Kunci akun berhasil dibuka
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *       404:
+ *         description: Pengguna tidak ditemukan
+ *       409:
+ *         description: Akun tidak sedang terkunci
+ */
+router.post('/users/:userId/unlock', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(userIdSchema),
+  validateBody(unlockAccountSchema)
+], unlockUserAccount);
+
+// ========== MFA Policy Routes ==========
+
+/**
+ * @swagger
+ * /api/v1/admin/mfa-policies:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Daftar kebijakan MFA
+ *     description: Kebijakan yang mewajibkan MFA untuk role atau consumer tertentu
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Daftar kebijakan MFA berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MfaPolicy'
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Buat kebijakan MFA
+ *     description: |
+ *       Mewajibkan MFA untuk pengguna dengan role tertentu atau untuk login melalui consumer tertentu.
+ *       Pengguna tanpa MFA tetap dapat login selama grace_days sejak login pertama yang terkena
+ *       kebijakan; setelahnya login hanya menghasilkan token pendaftaran MFA.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateMfaPolicyRequest'
+ *     responses:
+ *       201:
+ *         description: Kebijakan MFA berhasil dibuat
+ *       400:
+ *         description: Validasi gagal
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *       404:
+ *         description: Role atau consumer tidak ditemukan
+ *       409:
+ *         description: Nama kebijakan sudah digunakan
+ */
+router.get('/mfa-policies', [
+  fullAuthentication,
+  adminOnly
+], getMfaPolicies);
+
+router.post('/mfa-policies', [
+  fullAuthentication,
+  adminOnly,
+  validateBody(createMfaPolicySchema)
+], addMfaPolicy);
+
+/**
+ * @swagger
+ * /api/v1/admin/mfa-policies/{policyId}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update kebijakan MFA
+ *     description: Mengubah nama, deskripsi, masa tenggang atau status aktif kebijakan
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID kebijakan MFA
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateMfaPolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Kebijakan MFA berhasil diupdate
+ *       400:
+ *         description: Validasi gagal
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *       404:
+ *         description: Kebijakan MFA tidak ditemukan
+ *       409:
+ *         description: Nama kebijakan sudah digunakan
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Hapus kebijakan MFA
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID kebijakan MFA
+ *     responses:
+ *       200:
+ *         description: Kebijakan MFA berhasil dihapus
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *       404:
+ *         description: Kebijakan MFA tidak ditemukan
+ */
+router.put('/mfa-policies/:policyId', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(mfaPolicyIdSchema),
+  validateBody(updateMfaPolicySchema)
+], updateMfaPolicyDetail);
+
+router.delete('/mfa-policies/:policyId', [
+  fullAuthentication,
+  adminOnly,
+  validateParams(mfaPolicyIdSchema)
+], removeMfaPolicy);
+
+// ========== Password Policy Routes ==========
+
+/**
+ * @swagger
+ * /api/v1/admin/password-policy:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Kebijakan password
+ *     description: Kebijakan password yang berlaku (nilai default jika belum pernah diubah)
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Kebijakan password berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PasswordPolicy'
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update kebijakan password
+ *     description: |
+ *       Mengubah aturan password yang diperiksa saat pembuatan pengguna, ganti password, dan reset
+ *       password. Aturan komposisi hanya berlaku untuk password baru. Jika max_age_days diisi, login
+ *       dengan password yang lebih tua dari batas tersebut (sejak password_changed_at) hanya
+ *       menghasilkan token penggantian password.
+ *
+ *       check_breached menolak password baru yang terdapat pada korpus password bocor (diimpor
+ *       dengan `node scripts/import-breached-passwords.js`). flag_breached_on_login memeriksa
+ *       password saat login; pengguna yang cocok ditandai (password_breached_at, dapat difilter
+ *       dengan `password_breached=true` pada daftar pengguna) dan hanya dapat mengganti password.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePasswordPolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Kebijakan password berhasil diupdate
+ *       401:
+ *         description: Tidak terotentikasi
+ *       403:
+ *         description: Tidak memiliki izin
+ *       422:
+ *         description: Validasi gagal
+ */
+router.get('/password-policy', [
+  fullAuthentication,
+  adminOnly
+], getPasswordPolicySettings);
+
+router.put('/password-policy', [
+  fullAuthentication,
+  adminOnly,
+  validateBody(updatePasswordPolicySchema)
+], updatePasswordPolicySettings);
+
 // ========== Maintenance Routes ==========
 
 /**
@@ -3,10 +3,11 @@
  * Rute untuk otentikasi
  */
 import express from 'express';
-import { login, verify, logout, me } from '../controllers/auth.controller.js';
+import { login, loginMfa, loginMfaResend, loginMfaRecovery, loginMfaWebAuthnOptions, passkeyLoginOptions, passkeyLogin, requestMagicLink, loginMagicLink, refresh, verify, logout, me } from '../controllers/auth.controller.js';
 import { validateBody } from '../middlewares/validation.middleware.js';
-import { loginSchema, verifyTokenSchema, logoutSchema } from '../validations/auth.validation.js';
+import { loginSchema, loginMfaSchema, loginMfaResendSchema, loginMfaRecoverySchema, loginMfaWebAuthnOptionsSchema, passkeyLoginOptionsSchema, passkeyLoginSchema, magicLinkRequestSchema, loginMagicLinkSchema, refreshTokenSchema, verifyTokenSchema, logoutSchema } from '../validations/auth.validation.js';
 import { authenticateApiKey, authenticateJwt, verifyRequestSignature, fullAuthentication } from '../middlewares/auth.middleware.js';
+import { loginRateLimit, mfaVerifyRateLimit, otpSendRateLimit } from '../middlewares/rate-limit.middleware.js';
 
 const router = express.Router();
 
@@ -17,7 +18,23 @@ const router = express.Router();
  *     tags:
  *       - Authentication
  *     summary: Login pengguna
- *     description: Endpoint untuk login pengguna dan mendapatkan token
+ *     description: |
+ *       Endpoint untuk login pengguna dan mendapatkan token. Jika MFA aktif, respons 202 berisi
+ *       `mfa_token` yang diselesaikan melalui `/api/v1/auth/login/mfa` dalam 5 menit.
+ *
+ *       Pengguna tanpa MFA yang terkena kebijakan MFA (role atau consumer) tetap login selama masa
+ *       tenggang dengan `mfa_enrollment_required` dan `mfa_enrollment_deadline` pada respons. Setelah
+ *       masa tenggang habis, respons 202 hanya berisi `enrollment_token` yang berlaku untuk endpoint
+ *       pendaftaran faktor MFA (`/api/v1/mfa`, setup/verify/resend faktor dan registrasi WebAuthn).
+ *
+ *       Jika password sudah melewati umur maksimal kebijakan password, atau ditandai terdapat pada
+ *       korpus password bocor (`flag_breached_on_login`), respons 202 hanya berisi
+ *       `password_change_token` yang berlaku untuk `PUT /api/v1/users/{user_id}/password`.
+ *
+ *       Setiap password salah menambah jeda sebelum percobaan berikutnya diterima (429 dengan
+ *       `Retry-After`). Setelah batas percobaan gagal, akun dikunci sementara (403 dengan
+ *       `Retry-After`) dengan durasi yang berlipat pada penguncian berikutnya; kunci terbuka otomatis
+ *       atau dapat dibuka admin melalui `/api/v1/admin/users/{userId}/unlock`.
  *     security:
  *       - ApiKeyAuth: []
  *     requestBody:
@@ -33,17 +50,385 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LoginResponse'
+ *       202:
+ *         description: Password benar, verifikasi MFA, pendaftaran MFA (enrollment_token), atau penggantian password kedaluwarsa/bocor (password_change_token) diperlukan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaChallengeResponse'
  *       401:
  *         description: Login gagal
+ *       403:
+ *         description: Akun terkunci
  *       422:
  *         description: Validasi gagal
+ *       429:
+ *         description: Terlalu banyak permintaan atau percobaan dalam jeda setelah password salah (lihat header Retry-After)
  */
 router.post('/login', [
   authenticateApiKey,
   verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  loginRateLimit,
   validateBody(loginSchema)
 ], login);
 
+/**
+ * @swagger
+ * /api/v1/auth/login/mfa:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Verifikasi MFA untuk login
+ *     description: |
+ *       Langkah kedua login untuk pengguna dengan MFA aktif. Menerima `mfa_token` dari login
+ *       beserta kode TOTP, OTP SMS/email, backup code, atau assertion WebAuthn (`webauthn`). Backup code
+ *       hanya berlaku sekali; respons berisi sisa backup code jika backup code digunakan. Challenge terikat pada consumer dan
+ *       IP address login, berlaku 5 menit, dan hanya dapat dicoba 5 kali.
+ *
+ *       Untuk faktor push, kirim `push: true` setelah login menampilkan `push_number`. Selama perangkat
+ *       belum merespons, respons berstatus 202 dan tidak dihitung sebagai percobaan; ulangi request
+ *       hingga persetujuan diputuskan.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginMfaRequest'
+ *     responses:
+ *       200:
+ *         description: Login berhasil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       202:
+ *         description: Menunggu persetujuan push di perangkat terdaftar, atau password kedaluwarsa/bocor (password_change_token)
+ *       401:
+ *         description: Kode MFA atau challenge tidak valid, kedaluwarsa, percobaan habis, atau persetujuan push ditolak/kedaluwarsa
+ *       422:
+ *         description: Validasi gagal
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
+ */
+router.post('/login/mfa', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  mfaVerifyRateLimit,
+  validateBody(loginMfaSchema)
+], loginMfa);
+
+/**
+ * @swagger
+ * /api/v1/auth/login/mfa/resend:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Kirim ulang kode MFA untuk login
+ *     description: |
+ *       Mengirim ulang OTP SMS/email untuk challenge login yang masih berlaku. Hanya untuk
+ *       pengguna dengan metode MFA sms atau email. Pengiriman dibatasi per pengguna: minimal
+ *       60 detik antar pengiriman dan maksimal 5 kali per jam. Untuk faktor push, persetujuan
+ *       baru dikirim ke perangkat dan respons berisi `push_number` baru.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginMfaResendRequest'
+ *     responses:
+ *       200:
+ *         description: Kode MFA telah dikirim ulang
+ *       400:
+ *         description: Metode MFA pengguna tidak menggunakan kode yang dikirim
+ *       401:
+ *         description: Challenge tidak valid atau kedaluwarsa
+ *       422:
+ *         description: Validasi gagal
+ *       429:
+ *         description: Terlalu banyak permintaan kode (lihat header Retry-After)
+ */
+router.post('/login/mfa/resend', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  otpSendRateLimit,
+  validateBody(loginMfaResendSchema)
+], loginMfaResend);
+
+/**
+ * @swagger
+ * /api/v1/auth/login/mfa/recovery:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Minta pemulihan MFA
+ *     description: |
+ *       Untuk pengguna yang kehilangan seluruh faktor MFA dan backup code. Membuat permintaan reset MFA
+ *       yang harus disetujui administrator; `mfa_token` dari login membuktikan password sudah benar dan
+ *       tidak dapat digunakan lagi setelah permintaan dibuat. Jika masih ada permintaan pending,
+ *       permintaan tersebut yang dikembalikan. Setelah disetujui, semua token pengguna dicabut dan
+ *       pengguna dapat login dengan password saja.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginMfaRecoveryRequest'
+ *     responses:
+ *       202:
+ *         description: Permintaan pemulihan MFA menunggu persetujuan administrator
+ *       401:
+ *         description: Challenge tidak valid atau kedaluwarsa
+ *       422:
+ *         description: Validasi gagal
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
+ */
+router.post('/login/mfa/recovery', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  mfaVerifyRateLimit,
+  validateBody(loginMfaRecoverySchema)
+], loginMfaRecovery);
+
+/**
+ * @swagger
+ * /api/v1/auth/login/mfa/webauthn/options:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Opsi WebAuthn untuk login MFA
+ *     description: |
+ *       Membuat PublicKeyCredentialRequestOptions untuk challenge login yang masih berlaku.
+ *       Assertion dari navigator.credentials.get() dikirim ke `/api/v1/auth/login/mfa` pada field `webauthn`.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginMfaWebAuthnOptionsRequest'
+ *     responses:
+ *       200:
+ *         description: Opsi otentikasi WebAuthn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebAuthnAuthenticationOptions'
+ *       400:
+ *         description: Pengguna tidak memiliki security key terdaftar
+ *       401:
+ *         description: Challenge tidak valid atau kedaluwarsa
+ *       422:
+ *         description: Validasi gagal
+ */
+router.post('/login/mfa/webauthn/options', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  validateBody(loginMfaWebAuthnOptionsSchema)
+], loginMfaWebAuthnOptions);
+
+/**
+ * @swagger
+ * /api/v1/auth/passkey/options:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Opsi login passkey
+ *     description: |
+ *       Membuat PublicKeyCredentialRequestOptions untuk login passwordless. Tanpa `username`,
+ *       authenticator memilih passkey yang tersimpan (discoverable credential). User verification wajib.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasskeyLoginOptionsRequest'
+ *     responses:
+ *       200:
+ *         description: Opsi otentikasi WebAuthn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebAuthnAuthenticationOptions'
+ *       401:
+ *         description: API consumer tidak valid
+ *       422:
+ *         description: Validasi gagal
+ */
+router.post('/passkey/options', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  validateBody(passkeyLoginOptionsSchema)
+], passkeyLoginOptions);
+
+/**
+ * @swagger
+ * /api/v1/auth/passkey/login:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Login dengan passkey
+ *     description: |
+ *       Login passwordless dengan assertion WebAuthn. Passkey dengan user verification memenuhi
+ *       dua faktor sehingga tidak memerlukan challenge MFA.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasskeyLoginRequest'
+ *     responses:
+ *       200:
+ *         description: Login berhasil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Passkey tidak valid atau akun terkunci
+ *       422:
+ *         description: Validasi gagal
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
+ */
+router.post('/passkey/login', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  loginRateLimit,
+  validateBody(passkeyLoginSchema)
+], passkeyLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/magic-link:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Kirim link login ke email
+ *     description: |
+ *       Mengirim link login sekali pakai ke email pengguna. Link berlaku singkat dan terikat pada
+ *       consumer serta `redirect_uri` yang meminta; `redirect_uri` harus terdaftar pada consumer.
+ *       Respons selalu sama untuk email yang tidak terdaftar agar keberadaan akun tidak dapat ditebak.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MagicLinkRequest'
+ *     responses:
+ *       200:
+ *         description: Permintaan diterima
+ *       400:
+ *         description: Redirect URI tidak terdaftar untuk consumer
+ *       401:
+ *         description: API consumer tidak valid
+ *       422:
+ *         description: Validasi gagal
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
+ */
+router.post('/magic-link', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  otpSendRateLimit,
+  validateBody(magicLinkRequestSchema)
+], requestMagicLink);
+
+/**
+ * @swagger
+ * /api/v1/auth/magic-link/verify:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Login dengan magic link
+ *     description: |
+ *       Menukar token dari link login dengan token akses. Token hanya dapat digunakan satu kali oleh
+ *       consumer dan `redirect_uri` yang sama dengan saat link diminta. Jika MFA aktif atau diwajibkan
+ *       kebijakan, respons sama seperti login dengan password (202 dengan `mfa_token`).
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginMagicLinkRequest'
+ *     responses:
+ *       200:
+ *         description: Login berhasil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       202:
+ *         description: Verifikasi MFA diperlukan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaChallengeResponse'
+ *       401:
+ *         description: Link tidak valid, sudah digunakan, kedaluwarsa, atau akun terkunci
+ *       422:
+ *         description: Validasi gagal
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
+ */
+router.post('/magic-link/verify', [
+  authenticateApiKey,
+  verifyRequestSignature, // Opsional, verifikasi signature jika ada
+  loginRateLimit,
+  validateBody(loginMagicLinkSchema)
+], loginMagicLink);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Perbarui access token
+ *     description: |
+ *       Menukar refresh token dengan access token dan refresh token baru.
+ *       Refresh token hanya dapat digunakan satu kali; penggunaan ulang refresh token
+ *       yang sudah dirotasi akan mencabut seluruh token dalam sesi tersebut.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Token berhasil diperbarui
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Refresh token tidak valid, kedaluwarsa, dicabut, atau sudah digunakan
+ *       422:
+ *         description: Validasi gagal
+ */
+router.post('/refresh', [
+  authenticateApiKey,
+  validateBody(refreshTokenSchema)
+], refresh);
+
 /**
  * @swagger
  * /api/v1/auth/verify:
@@ -51,7 +436,9 @@ router.post('/login', [
  *     tags:
  *       - Authentication
  *     summary: Verifikasi token
- *     description: Endpoint untuk verifikasi validitas token
+ *     description: |
+ *       Endpoint untuk verifikasi validitas token. `token_type` bernilai `user` untuk token pengguna
+ *       (data pada `user`) atau `client` untuk token client_credentials (data pada `consumer`).
  *     security:
  *       - ApiKeyAuth: []
  *     requestBody:
@@ -78,7 +465,9 @@ router.post('/verify', [
  *     tags:
  *       - Authentication
  *     summary: Logout pengguna
- *     description: Endpoint untuk logout pengguna (revoke token)
+ *     description: |
+ *       Endpoint untuk logout pengguna (revoke token). Tanpa `token`, access token pada header
+ *       yang dicabut. Hanya token milik pengguna dan consumer yang sama yang dapat dicabut.
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
@@ -91,8 +480,12 @@ router.post('/verify', [
  *     responses:
  *       200:
  *         description: Logout berhasil
+ *       400:
+ *         description: Token pada body tidak dapat dibaca
  *       401:
  *         description: Token tidak valid
+ *       404:
+ *         description: Token tidak ditemukan, sudah dicabut, atau bukan milik pengguna
  */
 router.post('/logout', [
   fullAuthentication,
@@ -12,6 +12,8 @@ import userRoleRoutes from "./user-role.route.js";
 import diagnosticsRoutes from "./diagnostics.route.js";
 import consumerKeyRoutes from "./consumer-key.route.js";
 import userActivityRoutes from "./user-activity.route.js";
+import wellKnownRoutes from "./well-known.route.js";
+import oauthRoutes from "./oauth.route.js";
 import {
   notFoundHandler,
   errorHandler,
@@ -33,6 +35,16 @@ router.get("/health", (req, res) => {
   });
 });
 
+/**
+ * Metadata publik (JWKS)
+ */
+router.use("/.well-known", wellKnownRoutes);
+
+/**
+ * Endpoint OAuth 2.0
+ */
+router.use("/oauth", oauthRoutes);
+
 /**
  * API versioning
  */
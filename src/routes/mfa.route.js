@@ -5,17 +5,77 @@ import express from 'express';
 import { 
   setupTotpForUser, 
   verifyAndEnableTotpForUser, 
-  disableMfaForUser 
+  disableMfaForUser,
+  setupSmsForUser,
+  verifyAndEnableSmsForUser,
+  resendSmsCodeForUser,
+  setupEmailForUser,
+  verifyAndEnableEmailForUser,
+  resendEmailCodeForUser,
+  getMfaStatusForUser,
+  renameFactorForUser,
+  setDefaultFactorForUser,
+  removeFactorForUser,
+  webAuthnRegistrationOptionsForUser,
+  verifyWebAuthnRegistrationForUser,
+  setupPushForUser,
+  verifyPushSetupForUser,
+  activatePushDeviceForUser,
+  respondPushApprovalForUser,
+  regenerateBackupCodesForUser,
+  getTrustedDevicesForUser,
+  revokeTrustedDeviceForUser,
+  revokeAllTrustedDevicesForUser
 } from '../controllers/mfa.controller.js';
-import { validateBody } from '../middlewares/validation.middleware.js';
+import { validateBody, validateParams } from '../middlewares/validation.middleware.js';
 import { 
+  setupTotpSchema,
   verifyTotpSchema, 
-  disableMfaSchema 
+  disableMfaSchema,
+  setupSmsMfaSchema,
+  setupEmailMfaSchema,
+  verifyMfaCodeSchema,
+  factorIdSchema,
+  renameFactorSchema,
+  removeFactorSchema,
+  webAuthnRegistrationOptionsSchema,
+  verifyWebAuthnRegistrationSchema,
+  regenerateBackupCodesSchema,
+  trustedDeviceIdSchema,
+  setupPushSchema,
+  verifyPushSetupSchema,
+  activatePushDeviceSchema,
+  pushApprovalIdSchema,
+  respondPushApprovalSchema
 } from '../validations/mfa.validation.js';
-import { fullAuthentication } from '../middlewares/auth.middleware.js';
+import { fullAuthentication, enrollmentAuthentication } from '../middlewares/auth.middleware.js';
+import { loginRateLimit, mfaVerifyRateLimit, otpSendRateLimit } from '../middlewares/rate-limit.middleware.js';
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * /api/v1/mfa:
+ *   get:
+ *     tags:
+ *       - MFA
+ *     summary: Status MFA
+ *     description: Status MFA user beserta daftar faktor terdaftar dan sisa backup codes
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status MFA berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MfaStatus'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', enrollmentAuthentication, getMfaStatusForUser);
+
 /**
  * @swagger
  * /api/v1/mfa/totp/setup:
@@ -23,17 +83,33 @@ const router = express.Router();
  *     tags:
  *       - MFA
  *     summary: Setup TOTP
- *     description: Setup Time-based One-Time Password untuk user
+ *     description: |
+ *       Setup Time-based One-Time Password sebagai faktor MFA baru. Dapat dilakukan walaupun
+ *       MFA sudah aktif untuk menambah faktor; setup TOTP yang belum diverifikasi akan diganti.
+ *       Jika MFA sudah aktif, `current_password` wajib diisi.
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetupTotpRequest'
  *     responses:
  *       200:
  *         description: TOTP setup berhasil dibuat
+ *       400:
+ *         description: Password saat ini tidak diisi padahal MFA sudah aktif
  *       401:
- *         description: Unauthorized
+ *         description: Unauthorized atau password saat ini tidak valid
+ *       422:
+ *         description: Validation failed
  */
-router.post('/totp/setup', fullAuthentication, setupTotpForUser);
+router.post('/totp/setup', [
+  enrollmentAuthentication,
+  validateBody(setupTotpSchema)
+], setupTotpForUser);
 
 /**
  * @swagger
@@ -42,7 +118,9 @@ router.post('/totp/setup', fullAuthentication, setupTotpForUser);
  *     tags:
  *       - MFA
  *     summary: Verifikasi TOTP
- *     description: Verifikasi dan aktifkan TOTP untuk user
+ *     description: |
+ *       Verifikasi faktor TOTP yang sedang didaftarkan. Faktor pertama mengaktifkan MFA,
+ *       menjadi faktor default, dan respons berisi backup codes.
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
@@ -59,12 +137,668 @@ router.post('/totp/setup', fullAuthentication, setupTotpForUser);
  *         description: Unauthorized
  *       422:
  *         description: Validation failed
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
  */
 router.post('/totp/verify', [
-  fullAuthentication,
+  enrollmentAuthentication,
+  mfaVerifyRateLimit,
   validateBody(verifyTotpSchema)
 ], verifyAndEnableTotpForUser);
 
+/**
+ * @swagger
+ * /api/v1/mfa/sms/setup:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Setup SMS MFA
+ *     description: |
+ *       Daftarkan nomor telepon untuk MFA melalui SMS. Kode verifikasi 6 digit dikirim ke nomor tersebut dan berlaku 10 menit.
+ *       Pengiriman kode dibatasi per pengguna: minimal 60 detik antar pengiriman dan maksimal 5 kali per jam.
+ *       Jika MFA sudah aktif, `current_password` wajib diisi.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetupSmsMfaRequest'
+ *     responses:
+ *       200:
+ *         description: Kode verifikasi telah dikirim
+ *       400:
+ *         description: Password saat ini tidak diisi padahal MFA sudah aktif
+ *       401:
+ *         description: Unauthorized atau password saat ini tidak valid
+ *       409:
+ *         description: Tujuan ini sudah terdaftar sebagai faktor MFA
+ *       422:
+ *         description: Validation failed
+ *       429:
+ *         description: Terlalu banyak permintaan kode (lihat header Retry-After)
+ */
+router.post('/sms/setup', [
+  enrollmentAuthentication,
+  otpSendRateLimit,
+  validateBody(setupSmsMfaSchema)
+], setupSmsForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/sms/resend:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Kirim ulang kode verifikasi SMS MFA
+ *     description: Kirim ulang kode verifikasi pendaftaran ke nomor telepon yang sedang didaftarkan
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Kode verifikasi telah dikirim ulang
+ *       400:
+ *         description: SMS MFA belum di-setup
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Terlalu banyak permintaan kode (lihat header Retry-After)
+ */
+router.post('/sms/resend', [
+  enrollmentAuthentication,
+  otpSendRateLimit
+], resendSmsCodeForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/sms/verify:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Verifikasi SMS MFA
+ *     description: Verifikasi kode yang dikirim ke nomor telepon dan aktifkan SMS MFA. Respons berisi backup codes jika ini faktor MFA pertama.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyMfaCodeRequest'
+ *     responses:
+ *       200:
+ *         description: SMS MFA berhasil diaktifkan
+ *       400:
+ *         description: Kode verifikasi tidak valid, kedaluwarsa, atau SMS MFA belum di-setup
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation failed
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
+ */
+router.post('/sms/verify', [
+  enrollmentAuthentication,
+  mfaVerifyRateLimit,
+  validateBody(verifyMfaCodeSchema)
+], verifyAndEnableSmsForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/email/setup:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Setup Email MFA
+ *     description: |
+ *       Daftarkan alamat email untuk MFA melalui email. Jika `email` tidak diisi, email pada profil digunakan. Kode verifikasi 6 digit berlaku 30 menit.
+ *       Pengiriman kode dibatasi per pengguna: minimal 60 detik antar pengiriman dan maksimal 5 kali per jam.
+ *       Jika MFA sudah aktif, `current_password` wajib diisi.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetupEmailMfaRequest'
+ *     responses:
+ *       200:
+ *         description: Kode verifikasi telah dikirim
+ *       400:
+ *         description: Password saat ini tidak diisi padahal MFA sudah aktif
+ *       401:
+ *         description: Unauthorized atau password saat ini tidak valid
+ *       409:
+ *         description: Tujuan ini sudah terdaftar sebagai faktor MFA
+ *       422:
+ *         description: Validation failed
+ *       429:
+ *         description: Terlalu banyak permintaan kode (lihat header Retry-After)
+ */
+router.post('/email/setup', [
+  enrollmentAuthentication,
+  otpSendRateLimit,
+  validateBody(setupEmailMfaSchema)
+], setupEmailForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/email/resend:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Kirim ulang kode verifikasi Email MFA
+ *     description: Kirim ulang kode verifikasi pendaftaran ke alamat email yang sedang didaftarkan
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Kode verifikasi telah dikirim ulang
+ *       400:
+ *         description: Email MFA belum di-setup
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Terlalu banyak permintaan kode (lihat header Retry-After)
+ */
+router.post('/email/resend', [
+  enrollmentAuthentication,
+  otpSendRateLimit
+], resendEmailCodeForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/email/verify:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Verifikasi Email MFA
+ *     description: Verifikasi kode yang dikirim ke alamat email dan aktifkan Email MFA. Respons berisi backup codes jika ini faktor MFA pertama.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyMfaCodeRequest'
+ *     responses:
+ *       200:
+ *         description: Email MFA berhasil diaktifkan
+ *       400:
+ *         description: Kode verifikasi tidak valid, kedaluwarsa, atau Email MFA belum di-setup
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation failed
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
+ */
+router.post('/email/verify', [
+  enrollmentAuthentication,
+  mfaVerifyRateLimit,
+  validateBody(verifyMfaCodeSchema)
+], verifyAndEnableEmailForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/webauthn/register/options:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Opsi registrasi WebAuthn
+ *     description: |
+ *       Buat PublicKeyCredentialCreationOptions untuk navigator.credentials.create(). Field biner (challenge, user.id, excludeCredentials[].id) dikirim dalam base64url.
+ *       Challenge berlaku 5 menit dan hanya dapat digunakan satu kali. Jika MFA sudah aktif, `current_password` wajib diisi.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebAuthnRegistrationOptionsRequest'
+ *     responses:
+ *       200:
+ *         description: Opsi registrasi WebAuthn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebAuthnRegistrationOptions'
+ *       400:
+ *         description: Password saat ini tidak diisi padahal MFA sudah aktif
+ *       401:
+ *         description: Unauthorized atau password saat ini tidak valid
+ */
+router.post('/webauthn/register/options', [
+  enrollmentAuthentication,
+  validateBody(webAuthnRegistrationOptionsSchema)
+], webAuthnRegistrationOptionsForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/webauthn/register/verify:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Verifikasi registrasi WebAuthn
+ *     description: |
+ *       Verifikasi respons attestation (format none atau packed) dan simpan credential sebagai faktor MFA.
+ *       Credential dapat digunakan sebagai faktor kedua maupun untuk login passwordless (passkey).
+ *       Respons berisi backup codes jika ini faktor MFA pertama.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyWebAuthnRegistrationRequest'
+ *     responses:
+ *       200:
+ *         description: Security key berhasil didaftarkan
+ *       400:
+ *         description: Challenge atau respons attestation tidak valid, atau format attestation tidak didukung
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Credential sudah terdaftar
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/webauthn/register/verify', [
+  enrollmentAuthentication,
+  validateBody(verifyWebAuthnRegistrationSchema)
+], verifyWebAuthnRegistrationForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/push/setup:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Setup perangkat push
+ *     description: |
+ *       Buat kode aktivasi untuk mendaftarkan aplikasi di perangkat sebagai faktor push. Tampilkan
+ *       `activation_code` sebagai QR code; aplikasi mengaktivasi perangkat melalui `/api/v1/mfa/push/activate`.
+ *       Kode aktivasi berlaku 10 menit. Jika MFA sudah aktif, `current_password` wajib diisi.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetupTotpRequest'
+ *     responses:
+ *       200:
+ *         description: Kode aktivasi berhasil dibuat
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PushEnrollment'
+ *       400:
+ *         description: Password saat ini tidak diisi padahal MFA sudah aktif
+ *       401:
+ *         description: Unauthorized atau password saat ini tidak valid
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/push/setup', [
+  enrollmentAuthentication,
+  validateBody(setupPushSchema)
+], setupPushForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/push/verify:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Selesaikan pendaftaran perangkat push
+ *     description: |
+ *       Simpan perangkat yang sudah diaktivasi sebagai faktor push. Selama perangkat belum diaktivasi
+ *       respons berstatus 202; ulangi request setelah aktivasi. Respons berisi backup codes jika ini faktor MFA pertama.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyPushSetupRequest'
+ *     responses:
+ *       200:
+ *         description: Perangkat push berhasil didaftarkan
+ *       202:
+ *         description: Menunggu aktivasi dari aplikasi di perangkat
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Pendaftaran tidak ditemukan atau kedaluwarsa
+ *       409:
+ *         description: Perangkat sudah terdaftar
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/push/verify', [
+  enrollmentAuthentication,
+  validateBody(verifyPushSetupSchema)
+], verifyPushSetupForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/push/activate:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Aktivasi perangkat push
+ *     description: |
+ *       Dipanggil oleh aplikasi di perangkat dengan kode aktivasi dari QR code. Perangkat mengirim public key
+ *       (PEM SPKI, Ed25519 atau ECDSA P-256), token push, dan tanda tangan atas `activation_code` dengan private key
+ *       perangkat (base64url; ECDSA SHA-256 dengan encoding DER). Endpoint ini tidak memerlukan API key atau token.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ActivatePushDeviceRequest'
+ *     responses:
+ *       200:
+ *         description: Perangkat berhasil diaktivasi
+ *       400:
+ *         description: Public key tidak didukung
+ *       401:
+ *         description: Tanda tangan perangkat tidak valid
+ *       404:
+ *         description: Kode aktivasi tidak valid atau kedaluwarsa
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/push/activate', validateBody(activatePushDeviceSchema), activatePushDeviceForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/push/approvals/{approvalId}:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Respons persetujuan login push
+ *     description: |
+ *       Callback dari aplikasi di perangkat atas notifikasi login (`callback_url` pada data notifikasi).
+ *       Untuk menyetujui, user memilih angka yang tampil di layar login (`push_number`); angka yang tidak cocok
+ *       membatalkan persetujuan. Tanda tangan dibuat dengan private key perangkat atas
+ *       `<approvalId>.<decision>.<number>.<timestamp>` (number kosong jika tidak diisi) dan timestamp
+ *       harus berselisih paling lama 5 menit dari waktu server. Endpoint ini tidak memerlukan API key atau token.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: approvalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID persetujuan dari data notifikasi
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RespondPushApprovalRequest'
+ *     responses:
+ *       200:
+ *         description: Keputusan berhasil dicatat
+ *       401:
+ *         description: Tanda tangan tidak valid atau angka tidak cocok (login ditolak)
+ *       404:
+ *         description: Persetujuan tidak ditemukan
+ *       409:
+ *         description: Persetujuan sudah direspons atau kedaluwarsa
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/push/approvals/:approvalId', [
+  validateParams(pushApprovalIdSchema),
+  validateBody(respondPushApprovalSchema)
+], respondPushApprovalForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/factors/{factorId}:
+ *   put:
+ *     tags:
+ *       - MFA
+ *     summary: Ubah nama faktor MFA
+ *     description: Ubah nama faktor MFA terverifikasi
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: factorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID faktor MFA
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RenameMfaFactorRequest'
+ *     responses:
+ *       200:
+ *         description: Nama faktor MFA berhasil diubah
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Faktor MFA tidak ditemukan
+ *       422:
+ *         description: Validation failed
+ */
+router.put('/factors/:factorId', [
+  fullAuthentication,
+  validateParams(factorIdSchema),
+  validateBody(renameFactorSchema)
+], renameFactorForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/factors/{factorId}/default:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Jadikan faktor MFA default
+ *     description: |
+ *       Faktor default ditampilkan pertama saat login. Jika faktor default adalah SMS/email,
+ *       OTP dikirim otomatis saat login.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: factorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID faktor MFA
+ *     responses:
+ *       200:
+ *         description: Faktor MFA default berhasil diubah
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Faktor MFA tidak ditemukan
+ */
+router.post('/factors/:factorId/default', [
+  fullAuthentication,
+  validateParams(factorIdSchema)
+], setDefaultFactorForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/factors/{factorId}:
+ *   delete:
+ *     tags:
+ *       - MFA
+ *     summary: Hapus faktor MFA
+ *     description: |
+ *       Hapus faktor MFA (memerlukan password). Jika faktor default dihapus, faktor berikutnya
+ *       menjadi default. Menghapus faktor terakhir menonaktifkan MFA.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: factorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID faktor MFA
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisableMfaRequest'
+ *     responses:
+ *       200:
+ *         description: Faktor MFA berhasil dihapus
+ *       401:
+ *         description: Unauthorized atau password tidak valid
+ *       404:
+ *         description: Faktor MFA tidak ditemukan
+ *       422:
+ *         description: Validation failed
+ */
+router.delete('/factors/:factorId', [
+  fullAuthentication,
+  validateParams(factorIdSchema),
+  validateBody(removeFactorSchema)
+], removeFactorForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/backup-codes/regenerate:
+ *   post:
+ *     tags:
+ *       - MFA
+ *     summary: Generate ulang backup codes
+ *     description: |
+ *       Membuat 10 backup code baru dan membatalkan semua backup code lama. Backup code hanya
+ *       ditampilkan sekali pada respons ini; server hanya menyimpan hash-nya.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegenerateBackupCodesRequest'
+ *     responses:
+ *       200:
+ *         description: Backup codes berhasil dibuat ulang
+ *       400:
+ *         description: MFA tidak aktif
+ *       401:
+ *         description: Unauthorized atau password salah
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/backup-codes/regenerate', [
+  fullAuthentication,
+  validateBody(regenerateBackupCodesSchema)
+], regenerateBackupCodesForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/trusted-devices:
+ *   get:
+ *     tags:
+ *       - MFA
+ *     summary: Daftar perangkat tepercaya
+ *     description: Perangkat yang masih dapat melewati challenge MFA saat login
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Daftar perangkat tepercaya berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrustedDevice'
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     tags:
+ *       - MFA
+ *     summary: Cabut semua perangkat tepercaya
+ *     description: Login berikutnya dari semua perangkat kembali memerlukan MFA
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Semua perangkat tepercaya berhasil dicabut
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/trusted-devices', fullAuthentication, getTrustedDevicesForUser);
+router.delete('/trusted-devices', fullAuthentication, revokeAllTrustedDevicesForUser);
+
+/**
+ * @swagger
+ * /api/v1/mfa/trusted-devices/{deviceId}:
+ *   delete:
+ *     tags:
+ *       - MFA
+ *     summary: Cabut perangkat tepercaya
+ *     description: Login berikutnya dari perangkat ini kembali memerlukan MFA
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID perangkat tepercaya
+ *     responses:
+ *       200:
+ *         description: Perangkat tepercaya berhasil dicabut
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Perangkat tepercaya tidak ditemukan
+ *       422:
+ *         description: Validation failed
+ */
+router.delete('/trusted-devices/:deviceId', [
+  fullAuthentication,
+  validateParams(trustedDeviceIdSchema)
+], revokeTrustedDeviceForUser);
+
 /**
  * @swagger
  * /api/v1/mfa/disable:
@@ -72,7 +806,7 @@ router.post('/totp/verify', [
  *     tags:
  *       - MFA
  *     summary: Nonaktifkan MFA
- *     description: Nonaktifkan Multi-Factor Authentication untuk user
+ *     description: Nonaktifkan Multi-Factor Authentication dan hapus semua faktor user
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
@@ -89,9 +823,12 @@ router.post('/totp/verify', [
  *         description: Unauthorized
  *       422:
  *         description: Validation failed
+ *       429:
+ *         description: Terlalu banyak permintaan (lihat header Retry-After)
  */
 router.post('/disable', [
   fullAuthentication,
+  loginRateLimit, // Verifikasi password saat ini
   validateBody(disableMfaSchema)
 ], disableMfaForUser);
 
@@ -0,0 +1,297 @@
+/**
+ * Rute untuk endpoint OAuth 2.0
+ */
+import express from 'express';
+import {
+  authorize,
+  authorizeSubmit,
+  authorizeRateLimited,
+  token,
+  userinfo,
+  introspect,
+  revoke
+} from '../controllers/oauth.controller.js';
+import { validateOAuthBody } from '../middlewares/validation.middleware.js';
+import { tokenSchema, introspectSchema, revokeSchema } from '../validations/oauth.validation.js';
+import { authenticateOAuthClient } from '../middlewares/auth.middleware.js';
+import { createRateLimiter, loginBudget } from '../middlewares/rate-limit.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /oauth/authorize:
+ *   get:
+ *     tags:
+ *       - OAuth
+ *     summary: Authorization endpoint (authorization code + PKCE)
+ *     description: |
+ *       Menampilkan halaman login untuk consumer. `redirect_uri` harus terdaftar pada consumer
+ *       dan PKCE (`code_challenge_method=S256`) wajib digunakan. `scope` harus termasuk allowedScopes
+ *       consumer (jika tidak, redirect dengan error `invalid_scope`). Setelah login berhasil, pengguna
+ *       di-redirect ke `redirect_uri` dengan parameter `code` dan `state`.
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uri
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge_method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nonce
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Halaman login (HTML)
+ *       302:
+ *         description: Redirect ke redirect_uri dengan parameter error
+ *       400:
+ *         description: client_id atau redirect_uri tidak valid (halaman error HTML)
+ *   post:
+ *     tags:
+ *       - OAuth
+ *     summary: Submit form login otorisasi
+ *     description: |
+ *       Dipanggil oleh form halaman login. Menggunakan otentikasi yang sama dengan login API;
+ *       pengguna dengan MFA aktif melanjutkan ke langkah kedua dengan challenge MFA. Jika berhasil,
+ *       authorization code sekali pakai diterbitkan dan pengguna di-redirect ke `redirect_uri`.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               mfa_token:
+ *                 type: string
+ *                 description: Token challenge MFA (langkah kedua)
+ *               mfa_code:
+ *                 type: string
+ *                 description: Kode MFA atau backup code (langkah kedua)
+ *               trust_device:
+ *                 type: string
+ *                 enum: ['1']
+ *                 description: Percayai perangkat ini sehingga login berikutnya melewati MFA (langkah kedua)
+ *               csrf_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Halaman login dengan isian kode MFA
+ *       302:
+ *         description: Redirect ke redirect_uri dengan code dan state
+ *       401:
+ *         description: Login gagal (halaman login HTML)
+ *       403:
+ *         description: Token CSRF tidak valid
+ *       429:
+ *         description: Terlalu banyak percobaan login (halaman error, lihat header Retry-After)
+ */
+router.get('/authorize', authorize);
+router.post('/authorize', createRateLimiter(loginBudget, { onLimit: authorizeRateLimited }), authorizeSubmit);
+
+/**
+ * @swagger
+ * /oauth/token:
+ *   post:
+ *     tags:
+ *       - OAuth
+ *     summary: Token endpoint
+ *     description: |
+ *       Menukar authorization code (dengan PKCE code_verifier) atau refresh token dengan access token.
+ *       Authorization code hanya dapat ditukar satu kali; penukaran ulang mencabut token yang
+ *       sudah diterbitkan dari code tersebut.
+ *
+ *       `grant_type=client_credentials` menerbitkan token untuk consumer itu sendiri (tanpa pengguna
+ *       dan tanpa refresh token) dengan scope dari clientScopes consumer. Selain API key, consumer
+ *       dapat diotentikasi dengan `client_assertion` (private_key_jwt) yang ditandatangani dengan
+ *       private key pasangan public_key yang terdaftar.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/TokenRequest'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TokenRequest'
+ *     responses:
+ *       200:
+ *         description: Token berhasil diterbitkan (dengan id_token jika scope berisi openid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenResponse'
+ *       400:
+ *         description: Permintaan tidak valid (invalid_request, invalid_grant, invalid_scope, unsupported_grant_type)
+ *       401:
+ *         description: Otentikasi klien gagal (invalid_client)
+ */
+router.post('/token', [
+  authenticateOAuthClient,
+  validateOAuthBody(tokenSchema)
+], token);
+
+/**
+ * @swagger
+ * /oauth/userinfo:
+ *   get:
+ *     tags:
+ *       - OAuth
+ *     summary: OpenID Connect userinfo
+ *     description: |
+ *       Mengembalikan klaim pengguna pemilik access token. Access token harus diterbitkan
+ *       dengan scope `openid` dan dikirim melalui header `Authorization: Bearer`.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Klaim pengguna
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserInfo'
+ *       401:
+ *         description: Access token tidak valid (invalid_token)
+ *       403:
+ *         description: Access token tidak memiliki scope openid (insufficient_scope)
+ *   post:
+ *     tags:
+ *       - OAuth
+ *     summary: OpenID Connect userinfo (POST)
+ *     description: Sama dengan GET; access token juga dapat dikirim sebagai parameter body `access_token`.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Klaim pengguna
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserInfo'
+ *       401:
+ *         description: Access token tidak valid (invalid_token)
+ *       403:
+ *         description: Access token tidak memiliki scope openid (insufficient_scope)
+ */
+router.get('/userinfo', userinfo);
+router.post('/userinfo', userinfo);
+
+/**
+ * @swagger
+ * /oauth/introspect:
+ *   post:
+ *     tags:
+ *       - OAuth
+ *     summary: Token introspection (RFC 7662)
+ *     description: |
+ *       Memeriksa status access token atau refresh token. Klien diotentikasi sebagai consumer
+ *       (client_id = nama consumer, client_secret = API key) melalui header X-API-Key/X-Consumer-Name,
+ *       HTTP Basic, atau parameter body. Token yang tidak valid, kedaluwarsa, dicabut, atau
+ *       diterbitkan untuk consumer lain dilaporkan sebagai `{"active": false}`.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/IntrospectRequest'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IntrospectRequest'
+ *     responses:
+ *       200:
+ *         description: Hasil introspeksi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IntrospectResponse'
+ *       400:
+ *         description: Permintaan tidak valid (invalid_request)
+ *       401:
+ *         description: Otentikasi klien gagal (invalid_client)
+ */
+router.post('/introspect', [
+  authenticateOAuthClient,
+  validateOAuthBody(introspectSchema)
+], introspect);
+
+/**
+ * @swagger
+ * /oauth/revoke:
+ *   post:
+ *     tags:
+ *       - OAuth
+ *     summary: Token revocation (RFC 7009)
+ *     description: |
+ *       Mencabut access token atau refresh token milik consumer yang memanggil. Pencabutan
+ *       refresh token juga mencabut token lain dalam sesi yang sama (keluarga token); sesi lain
+ *       pengguna tetap aktif. `token_type_hint` menentukan jenis token yang dicari lebih dulu.
+ *       Endpoint selalu menjawab 200, termasuk untuk token yang tidak dikenal atau sudah tidak berlaku.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/RevokeRequest'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RevokeRequest'
+ *     responses:
+ *       200:
+ *         description: Permintaan pencabutan diproses
+ *       400:
+ *         description: Permintaan tidak valid (invalid_request)
+ *       401:
+ *         description: Otentikasi klien gagal (invalid_client)
+ */
+router.post('/revoke', [
+  authenticateOAuthClient,
+  validateOAuthBody(revokeSchema)
+], revoke);
+
+export default router;
@@ -44,7 +44,7 @@ const router = express.Router();
  *         name: event_type
  *         schema:
  *           type: string
- *           enum: [all, login, logout, token_generated, token_revoked, password_changed, account_locked, account_unlocked]
+ *           enum: [all, login, failed_login, logout, token_generated, token_revoked, password_changed, account_locked, account_unlocked, mfa_backup_code_used, mfa_recovery_requested, mfa_recovery_approved, mfa_recovery_rejected, mfa_lockout, mfa_device_trusted, mfa_device_revoked, mfa_push_approved, mfa_push_denied, mfa_challenge_issued, password_breach_detected]
  *           default: all
  *         description: Tipe event yang ingin ditampilkan
  *       - in: query
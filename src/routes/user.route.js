@@ -22,7 +22,7 @@ import {
   userIdSchema,
   listUsersSchema
 } from '../validations/user.validation.js';
-import { fullAuthentication, requirePermission } from '../middlewares/auth.middleware.js';
+import { fullAuthentication, passwordChangeAuthentication, requirePermission } from '../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
@@ -218,7 +218,15 @@ router.delete('/:userId', [
  *     tags:
  *       - Users
  *     summary: Ganti password
- *     description: Endpoint untuk mengganti password pengguna
+ *     description: |
+ *       Endpoint untuk mengganti password pengguna. Password baru harus memenuhi kebijakan password
+ *       (panjang, jenis karakter, tidak memuat username/email, tidak terdapat pada korpus password
+ *       bocor, dan tidak sama dengan beberapa password terakhir); pelanggaran dikembalikan sebagai
+ *       422 dengan daftar aturan pada `errors`.
+ *
+ *       Endpoint ini juga menerima `password_change_token` dari login dengan password kedaluwarsa
+ *       atau bocor; token tersebut hanya dapat mengganti password pemiliknya dan dicabut setelah
+ *       berhasil.
  *     security:
  *       - ApiKeyAuth: []
  *       - BearerAuth: []
@@ -246,10 +254,10 @@ router.delete('/:userId', [
  *       404:
  *         description: Pengguna tidak ditemukan
  *       422:
- *         description: Validasi gagal
+ *         description: Validasi gagal atau password tidak memenuhi kebijakan password
  */
 router.put('/:userId/password', [
-  fullAuthentication,
+  passwordChangeAuthentication,
   validateParams(userIdSchema),
   validateBody(changePasswordSchema)
 ], updatePassword);
@@ -0,0 +1,51 @@
+/**
+ * Rute untuk metadata publik (.well-known)
+ */
+import express from 'express';
+import { jwks, openidConfiguration } from '../controllers/well-known.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     tags:
+ *       - Well-Known
+ *     summary: JSON Web Key Set
+ *     description: |
+ *       Kunci publik provider dalam format JWK untuk verifikasi access token secara offline.
+ *       Pilih kunci berdasarkan header `kid` pada JWT. Kunci yang sudah dicabut tidak dipublikasikan.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: JWKS berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Jwks'
+ */
+router.get('/jwks.json', jwks);
+
+/**
+ * @swagger
+ * /.well-known/openid-configuration:
+ *   get:
+ *     tags:
+ *       - Well-Known
+ *     summary: OpenID Connect discovery
+ *     description: |
+ *       Metadata OpenID Provider: issuer (env `OIDC_ISSUER`), endpoint authorization, token,
+ *       userinfo, JWKS, serta algoritma, scope, dan klaim yang didukung.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Dokumen discovery berhasil diambil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OpenIdConfiguration'
+ */
+router.get('/openid-configuration', openidConfiguration);
+
+export default router;
@@ -2,6 +2,7 @@
 /**
  * Layanan audit log untuk aplikasi otentikasi terpusat
  */
+import { Op } from 'sequelize';
 import { 
     AuditLogModel, 
     UserModel, 
@@ -10,10 +11,42 @@ import {
   } from '../models/index.model.js';
   import { logger } from '../utils/logger.util.js';
   
+  // Batas jumlah penulisan audit log yang sedang berjalan; melebihi batas ini
+  // (database lambat/tidak tersedia) log dibuang agar memori tidak terus bertambah
+  const AUDIT_MAX_PENDING_WRITES = parseInt(process.env.AUDIT_MAX_PENDING_WRITES || '1000', 10);
+  
+  let pendingWrites = 0;
+  
+  /**
+   * Menyimpan audit log tanpa menunggu insert selesai
+   * Login dan penerbitan token tidak boleh tertahan oleh database audit yang lambat;
+   * kegagalan penulisan hanya dicatat pada log aplikasi
+   * @param {Object} logData - Data AuditLog
+   * @param {string} activity - Nama aktivitas untuk pesan error
+   */
+  const writeAuditLog = (logData, activity) => {
+    if (pendingWrites >= AUDIT_MAX_PENDING_WRITES) {
+      logger.error(
+        `Audit log dropped (${pendingWrites} writes pending): ${logData.event_type}, user: ${logData.user_id || '-'}`
+      );
+      return;
+    }
+  
+    pendingWrites++;
+    AuditLogModel.create(logData)
+      .catch((error) => {
+        logger.error(`Error logging ${activity} activity: ${error.message}`);
+      })
+      .finally(() => {
+        pendingWrites--;
+      });
+  };
+  
   /**
    * Log aktivitas login
+   * Login sukses dicatat sebagai login dan login gagal sebagai failed_login
    * @param {Object} data - Data log
-   * @returns {Promise<Object>} Log yang dicatat
+   * @returns {Promise<Object>} Status pencatatan (log disimpan di latar belakang)
    */
   export const logLoginActivity = async (data) => {
     try {
@@ -34,7 +67,7 @@ import {
       const logData = {
         user_id: userId,
         consumer_id: consumerId,
-        event_type: 'login',
+        event_type: success ? 'login' : 'failed_login',
         status: success ? 'success' : 'failure',
         metadata: {
           username: username || null, // Capture username even for failed attempts
@@ -48,15 +81,13 @@ import {
         signature_status: signatureStatus || 'missing'
       };
   
-      const auditLog = await AuditLogModel.create(logData);
+      writeAuditLog(logData, 'login');
   
       return {
-        success: true,
-        logId: auditLog.id
+        success: true
       };
     } catch (error) {
       logger.error(`Error logging login activity: ${error.message}`);
-      // Still return success since logging failure shouldn't break the flow
       return {
         success: false,
         error: error.message
@@ -67,7 +98,7 @@ import {
   /**
    * Log aktivitas logout
    * @param {Object} data - Data log
-   * @returns {Promise<Object>} Log yang dicatat
+   * @returns {Promise<Object>} Status pencatatan (log disimpan di latar belakang)
    */
   export const logLogoutActivity = async (data) => {
     try {
@@ -95,11 +126,10 @@ import {
         signature_status: signatureStatus || 'missing'
       };
   
-      const auditLog = await AuditLogModel.create(logData);
+      writeAuditLog(logData, 'logout');
   
       return {
-        success: true,
-        logId: auditLog.id
+        success: true
       };
     } catch (error) {
       logger.error(`Error logging logout activity: ${error.message}`);
@@ -113,7 +143,7 @@ import {
   /**
    * Log aktivitas token
    * @param {Object} data - Data log
-   * @returns {Promise<Object>} Log yang dicatat
+   * @returns {Promise<Object>} Status pencatatan (log disimpan di latar belakang)
    */
   export const logTokenActivity = async (data) => {
     try {
@@ -145,11 +175,10 @@ import {
         signature_status: signatureStatus || 'missing'
       };
   
-      const auditLog = await AuditLogModel.create(logData);
+      writeAuditLog(logData, 'token');
   
       return {
-        success: true,
-        logId: auditLog.id
+        success: true
       };
     } catch (error) {
       logger.error(`Error logging token activity: ${error.message}`);
@@ -161,15 +190,16 @@ import {
   };
   
   /**
-   * Log aktivitas perubahan password
+   * Log aktivitas perubahan password dan deteksi password bocor saat login
    * @param {Object} data - Data log
-   * @returns {Promise<Object>} Log yang dicatat
+   * @returns {Promise<Object>} Status pencatatan (log disimpan di latar belakang)
    */
   export const logPasswordActivity = async (data) => {
     try {
       const {
         userId,
         consumerId,
+        action = 'change', // 'change' atau 'breach_detected'
         initiatedBy,
         isReset,
         success,
@@ -183,7 +213,7 @@ import {
       const logData = {
         user_id: userId,
         consumer_id: consumerId,
-        event_type: 'password_changed',
+        event_type: action === 'breach_detected' ? 'password_breach_detected' : 'password_changed',
         status: success ? 'success' : 'failure',
         metadata: {
           ip_address: ipAddress,
@@ -196,11 +226,10 @@ import {
         signature_status: signatureStatus || 'missing'
       };
   
-      const auditLog = await AuditLogModel.create(logData);
+      writeAuditLog(logData, 'password');
   
       return {
-        success: true,
-        logId: auditLog.id
+        success: true
       };
     } catch (error) {
       logger.error(`Error logging password activity: ${error.message}`);
@@ -214,7 +243,7 @@ import {
   /**
    * Log aktivitas account locking/unlocking
    * @param {Object} data - Data log
-   * @returns {Promise<Object>} Log yang dicatat
+   * @returns {Promise<Object>} Status pencatatan (log disimpan di latar belakang)
    */
   export const logAccountActivity = async (data) => {
     try {
@@ -245,11 +274,10 @@ import {
         signature_status: signatureStatus || 'missing'
       };
   
-      const auditLog = await AuditLogModel.create(logData);
+      writeAuditLog(logData, 'account');
   
       return {
-        success: true,
-        logId: auditLog.id
+        success: true
       };
     } catch (error) {
       logger.error(`Error logging account activity: ${error.message}`);
@@ -260,6 +288,97 @@ import {
     }
   };
   
+  /**
+   * Log aktivitas MFA (challenge login, penggunaan backup code, lockout, perangkat tepercaya, pemulihan MFA, dan persetujuan push)
+   * @param {Object} data - Data log
+   * @returns {Promise<Object>} Status pencatatan (log disimpan di latar belakang)
+   */
+  export const logMfaActivity = async (data) => {
+    try {
+      const {
+        userId,
+        consumerId,
+        action, // 'backup_code_used', 'recovery_requested', 'recovery_approved', 'recovery_rejected', 'lockout',
+                // 'device_trusted', 'device_revoked', 'push_approved', 'push_denied', 'challenge_issued'
+        success = true,
+        initiatedBy,
+        reason,
+        ipAddress,
+        userAgent,
+        signatureStatus,
+        additionalData = {}
+      } = data;
+  
+      const logData = {
+        user_id: userId,
+        consumer_id: consumerId,
+        event_type: `mfa_${action}`,
+        status: success ? 'success' : 'failure',
+        metadata: {
+          ip_address: ipAddress,
+          user_agent: userAgent,
+          initiated_by: initiatedBy || userId,
+          reason: reason || null,
+          ...additionalData
+        },
+        signature_status: signatureStatus || 'missing'
+      };
+  
+      writeAuditLog(logData, 'MFA');
+  
+      return {
+        success: true
+      };
+    } catch (error) {
+      logger.error(`Error logging MFA activity: ${error.message}`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  };
+  
+  /**
+   * Log hasil satu langkah login (password, MFA, passkey, atau magic link)
+   * Faktor pertama yang benar pada pengguna dengan MFA dicatat sebagai mfa_challenge_issued
+   * karena login belum selesai; hasil lain dicatat sebagai login sukses/gagal dengan kode alasan
+   * @param {Object} result - Hasil layanan otentikasi
+   * @param {Object} data - Data log (username, consumerId, consumerName, ipAddress, userAgent,
+   *   signatureStatus, additionalData)
+   * @returns {Promise<Object>} Status pencatatan (log disimpan di latar belakang)
+   */
+  export const logLoginResult = async (result, data) => {
+    const { username, additionalData = {}, ...context } = data;
+    const user = result.user || null;
+  
+    if (result.code === 'MFA_REQUIRED') {
+      return await logMfaActivity({
+        ...context,
+        userId: user.id,
+        action: 'challenge_issued',
+        additionalData: {
+          username: user.username,
+          mfa_method: user.mfaMethod,
+          ...additionalData
+        }
+      });
+    }
+  
+    return await logLoginActivity({
+      ...context,
+      userId: user ? user.id : null,
+      username: user ? user.username : username,
+      success: result.success,
+      reason: result.success ? null : result.code,
+      additionalData: {
+        ...(result.amr && { amr: result.amr }),
+        ...(result.trustedDeviceId && { trusted_device_id: result.trustedDeviceId }),
+        ...(result.attemptsRemaining !== undefined && { attempts_remaining: result.attemptsRemaining }),
+        ...additionalData
+      }
+    });
+  };
+  
   /**
    * Mendapatkan riwayat login pengguna
    * @param {string} userId - ID pengguna
@@ -274,7 +393,7 @@ import {
       const logs = await AuditLogModel.findAndCountAll({
         where: {
           user_id: userId,
-          event_type: 'login'
+          event_type: { [Op.in]: ['login', 'failed_login'] }
         },
         order: [['created_at', 'DESC']],
         limit,
@@ -365,11 +484,11 @@ import {
         where.created_at = {};
         
         if (startDate) {
-          where.created_at[sequelize.Op.gte] = new Date(startDate);
+          where.created_at[Op.gte] = new Date(startDate);
         }
         
         if (endDate) {
-          where.created_at[sequelize.Op.lte] = new Date(endDate);
+          where.created_at[Op.lte] = new Date(endDate);
         }
       }
       
@@ -447,11 +566,11 @@ import {
         dateFilter.created_at = {};
         
         if (startDate) {
-          dateFilter.created_at[sequelize.Op.gte] = new Date(startDate);
+          dateFilter.created_at[Op.gte] = new Date(startDate);
         }
         
         if (endDate) {
-          dateFilter.created_at[sequelize.Op.lte] = new Date(endDate);
+          dateFilter.created_at[Op.lte] = new Date(endDate);
         }
       }
       
@@ -462,7 +581,7 @@ import {
           [sequelize.fn('COUNT', sequelize.col('id')), 'count']
         ],
         where: {
-          event_type: 'login',
+          event_type: { [Op.in]: ['login', 'failed_login'] },
           ...dateFilter
         },
         group: ['status']
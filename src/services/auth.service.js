@@ -1,12 +1,13 @@
 /**
  * Layanan otentikasi untuk aplikasi otentikasi terpusat
  */
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import {
   UserModel,
   TokenModel,
   ConsumerModel,
   ProviderKeyModel,
+  MfaChallengeModel,
 } from "../models/index.model.js";
 import {
   verifyPassword,
@@ -15,17 +16,819 @@ import {
   hashData,
   verifySignature,
 } from "./crypto.service.js";
+import {
+  signWithProviderKey,
+  signJwt,
+  verifyJwt,
+} from "./key.service.js";
+import {
+  createTrustedDevice,
+  verifyDeviceToken,
+} from "./trusted-device.service.js";
+import { evaluateMfaPolicy } from "./mfa-policy.service.js";
+import {
+  isAccountLocked,
+  getAccountLockedResult,
+  getLoginBackoffSeconds,
+  registerFailedLogin,
+} from "./lockout.service.js";
+import {
+  logTokenActivity,
+  logPasswordActivity,
+  logMfaActivity,
+} from "./audit.service.js";
+import { checkPasswordExpiry, screenPasswordAtLogin } from "./user.service.js";
 import { logger } from "../utils/logger.util.js";
 
+// Masa berlaku refresh token (hari)
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_EXPIRES_DAYS || "30",
+  10
+);
+
+// Masa berlaku (detik) dan batas percobaan challenge MFA
+const MFA_CHALLENGE_EXPIRES_SECONDS = parseInt(
+  process.env.MFA_CHALLENGE_EXPIRES_SECONDS || "300",
+  10
+);
+const MFA_CHALLENGE_MAX_ATTEMPTS = parseInt(
+  process.env.MFA_CHALLENGE_MAX_ATTEMPTS || "5",
+  10
+);
+
+// Scope token terbatas yang hanya dapat digunakan untuk mendaftarkan faktor MFA
+export const MFA_ENROLLMENT_SCOPE = "mfa_enrollment";
+
+// Scope token terbatas yang hanya dapat digunakan untuk mengganti password yang kedaluwarsa
+export const PASSWORD_CHANGE_SCOPE = "password_change";
+
+// Hasil untuk challenge yang tidak dikenal, sudah digunakan, atau tidak cocok dengan request
+const INVALID_MFA_CHALLENGE = {
+  success: false,
+  code: "INVALID_MFA_CHALLENGE",
+  message: "Invalid or expired MFA challenge",
+};
+
+/**
+ * Menerbitkan pasangan access token (JWT) dan refresh token
+ * Kedua token berada dalam satu keluarga token sehingga dapat dicabut bersamaan
+ * @param {Object} user - Instance user
+ * @param {Object} consumer - Instance consumer
+ * @param {Object} context - Konteks penerbitan
+ * @param {string} [context.scope] - Scope yang diberikan (dicantumkan pada JWT)
+ * @param {string} [context.familyId] - ID keluarga token (diisi saat rotasi refresh token)
+ * @param {boolean} [context.includeRefreshToken=true] - false untuk menerbitkan access token saja
+ * @param {string} [context.grantType] - Alur penerbitan untuk audit log (login, mfa_enrollment,
+ *   refresh_token, authorization_code)
+ * @param {string} [context.signatureStatus] - Status tanda tangan request untuk audit log
+ * @returns {Promise<Object>} Token yang diterbitkan
+ */
+export const issueTokenPair = async (user, consumer, context = {}) => {
+  const {
+    ipAddress,
+    userAgent,
+    scope,
+    familyId = crypto.randomUUID(),
+    includeRefreshToken = true,
+    grantType,
+    signatureStatus,
+  } = context;
+
+  // Dapatkan kunci provider aktif untuk penandatanganan
+  const providerKey = await ProviderKeyModel.findActiveKey();
+  if (!providerKey) {
+    logger.error("No active provider key found for signing");
+    return {
+      success: false,
+      code: "CONFIGURATION_ERROR",
+      message: "System configuration error: No active signing key",
+    };
+  }
+
+  const metadata = {
+    ip_address: ipAddress,
+    user_agent: userAgent,
+    issued_at: new Date(),
+  };
+  if (scope) {
+    metadata.scope = scope;
+  }
+
+  // Buat token access baru
+  const tokenValue = generateRandomToken();
+  const tokenHash = hashData(tokenValue);
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + 1); // Token berlaku 1 jam
+
+  // Data untuk tanda tangan
+  const signatureData = JSON.stringify({
+    userId: user.id,
+    consumerId: consumer.id,
+    tokenHash: tokenHash,
+    expiresAt: expiresAt.toISOString(),
+  });
+
+  // Tanda tangani data token dengan kunci privat provider
+  const signed = await signWithProviderKey(signatureData, {
+    keyId: providerKey.id,
+  });
+  if (!signed.success) {
+    return signed;
+  }
+
+  // Simpan token ke database
+  const token = await TokenModel.create({
+    user_id: user.id,
+    consumer_id: consumer.id,
+    token_type: "access",
+    token_hash: tokenHash,
+    family_id: familyId,
+    signature: signed.signature,
+    provider_key_id: providerKey.id,
+    expires_at: expiresAt,
+    metadata,
+  });
+
+  // Buat refresh token (opaque, hanya hash yang disimpan)
+  let refreshTokenValue = null;
+  let refreshToken = null;
+  let refreshExpiresAt = null;
+  if (includeRefreshToken) {
+    refreshTokenValue = generateRandomToken(48);
+    refreshExpiresAt = new Date();
+    refreshExpiresAt.setDate(
+      refreshExpiresAt.getDate() + REFRESH_TOKEN_EXPIRES_DAYS
+    );
+
+    refreshToken = await TokenModel.create({
+      user_id: user.id,
+      consumer_id: consumer.id,
+      token_type: "refresh",
+      token_hash: hashData(refreshTokenValue),
+      family_id: familyId,
+      signature: signed.signature,
+      provider_key_id: providerKey.id,
+      expires_at: refreshExpiresAt,
+      metadata,
+    });
+  }
+
+  // Buat JWT untuk response
+  const jwtPayload = {
+    sub: user.id,
+    username: user.username,
+    consumer: consumer.name,
+    token_id: token.id,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  };
+  if (scope) {
+    jwtPayload.scope = scope;
+  }
+
+  // Tanda tangani JWT dengan kunci provider (RS256/PS256, header kid)
+  const signedJwt = await signJwt(jwtPayload, { keyId: providerKey.id });
+  if (!signedJwt.success) {
+    return signedJwt;
+  }
+
+  await logTokenActivity({
+    userId: user.id,
+    consumerId: consumer.id,
+    tokenId: token.id,
+    action: "generate",
+    success: true,
+    ipAddress,
+    userAgent,
+    signatureStatus,
+    additionalData: {
+      grant_type: grantType || null,
+      family_id: familyId,
+      refresh_token_id: refreshToken ? refreshToken.id : null,
+      scope: scope || null,
+    },
+  });
+
+  return {
+    success: true,
+    token: signedJwt.token,
+    tokenId: token.id,
+    expiresAt,
+    refreshToken: refreshTokenValue,
+    refreshTokenId: refreshToken ? refreshToken.id : null,
+    refreshExpiresAt,
+    familyId,
+    scope: scope || null,
+  };
+};
+
+/**
+ * Terbitkan access token untuk consumer (client_credentials grant)
+ * Token mewakili consumer itu sendiri sehingga tidak terkait pengguna
+ * dan tidak disertai refresh token
+ * @param {Object} consumer - Consumer penerima token ({ id, name })
+ * @param {Object} context - Konteks penerbitan (ipAddress, userAgent, scope)
+ * @returns {Promise<Object>} Access token beserta metadatanya
+ */
+export const issueClientToken = async (consumer, context = {}) => {
+  const { ipAddress, userAgent, scope } = context;
+
+  // Dapatkan kunci provider aktif untuk penandatanganan
+  const providerKey = await ProviderKeyModel.findActiveKey();
+  if (!providerKey) {
+    logger.error("No active provider key found for signing");
+    return {
+      success: false,
+      code: "CONFIGURATION_ERROR",
+      message: "System configuration error: No active signing key",
+    };
+  }
+
+  const tokenHash = hashData(generateRandomToken());
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + 1); // Token berlaku 1 jam
+
+  // Data untuk tanda tangan
+  const signatureData = JSON.stringify({
+    consumerId: consumer.id,
+    tokenHash: tokenHash,
+    expiresAt: expiresAt.toISOString(),
+  });
+
+  const signed = await signWithProviderKey(signatureData, {
+    keyId: providerKey.id,
+  });
+  if (!signed.success) {
+    return signed;
+  }
+
+  const token = await TokenModel.create({
+    user_id: null,
+    consumer_id: consumer.id,
+    token_type: "access",
+    token_hash: tokenHash,
+    signature: signed.signature,
+    provider_key_id: providerKey.id,
+    expires_at: expiresAt,
+    metadata: {
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      issued_at: new Date(),
+      grant_type: "client_credentials",
+      scope: scope || null,
+    },
+  });
+
+  // sub dan client_id berisi nama consumer (RFC 9068 section 2.2)
+  const jwtPayload = {
+    sub: consumer.name,
+    client_id: consumer.name,
+    consumer: consumer.name,
+    token_id: token.id,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  };
+  if (scope) {
+    jwtPayload.scope = scope;
+  }
+
+  const signedJwt = await signJwt(jwtPayload, { keyId: providerKey.id });
+  if (!signedJwt.success) {
+    return signedJwt;
+  }
+
+  return {
+    success: true,
+    token: signedJwt.token,
+    tokenId: token.id,
+    expiresAt,
+    scope: scope || null,
+  };
+};
+
+/**
+ * Membuat challenge MFA setelah faktor pertama (password atau magic link) berhasil diverifikasi
+ * Token challenge bersifat opaque; hanya hash yang disimpan
+ * @param {Object} user - Instance user
+ * @param {Object} consumer - Instance consumer
+ * @param {string} ipAddress - IP address klien
+ * @param {string} [primaryAmr] - Metode faktor pertama (pwd atau otp untuk magic link)
+ * @returns {Promise<Object>} Token challenge, waktu kedaluwarsa, metode faktor default, daftar faktor,
+ *   dan angka persetujuan push (jika faktor default adalah push)
+ */
+const createMfaChallenge = async (user, consumer, ipAddress, primaryAmr = "pwd") => {
+  const { summarizeMfaFactors, generateAndSendFactorOTP } = await import(
+    "./mfa.service.js"
+  );
+
+  const token = generateRandomToken(32);
+  const expiresAt = new Date(Date.now() + MFA_CHALLENGE_EXPIRES_SECONDS * 1000);
+  const factors = summarizeMfaFactors(user.mfa_settings);
+  const defaultFactor = factors.find((factor) => factor.is_default) || factors[0];
+  const method = defaultFactor.type;
+
+  const challenge = await MfaChallengeModel.create({
+    challenge_hash: hashData(token),
+    user_id: user.id,
+    consumer_id: consumer.id,
+    ip_address: ipAddress,
+    method,
+    primary_amr: primaryAmr,
+    max_attempts: MFA_CHALLENGE_MAX_ATTEMPTS,
+    expires_at: expiresAt,
+  });
+
+  // OTP dikirim otomatis saat challenge dibuat jika faktor default adalah SMS/email
+  if (method === "sms" || method === "email") {
+    const sent = await generateAndSendFactorOTP(user.id, defaultFactor.id);
+
+    if (!sent.success) {
+      logger.warn(
+        `Failed to send ${method} OTP for MFA challenge, user: ${user.username}`
+      );
+    }
+  }
+
+  // Persetujuan push dikirim otomatis ke perangkat jika faktor default adalah push
+  let push = null;
+  if (method === "push") {
+    const { sendPushApproval } = await import("./push-mfa.service.js");
+    const sent = await sendPushApproval(user, {
+      mfaChallengeId: challenge.id,
+      consumer,
+      ipAddress,
+      factorId: defaultFactor.id,
+    });
+
+    if (sent.success) {
+      push = { number: sent.numberCode, expiresAt: sent.expiresAt };
+    } else {
+      logger.warn(
+        `Failed to send push approval for MFA challenge, user: ${user.username}`
+      );
+    }
+  }
+
+  return { token, expiresAt, method, factors, push };
+};
+
+/**
+ * Memeriksa persetujuan push untuk challenge MFA
+ * Hanya persetujuan terbaru yang berlaku; penolakan membatalkan challenge
+ * @param {Object} challenge - Instance MfaChallenge
+ * @returns {Promise<Object>} { success } jika disetujui, atau hasil error
+ *   (MFA_PUSH_PENDING, MFA_PUSH_DENIED, MFA_PUSH_EXPIRED)
+ */
+const checkPushApproval = async (challenge) => {
+  const { getPushApprovalStatus } = await import("./push-mfa.service.js");
+  const { status, approval } = await getPushApprovalStatus(challenge.id);
+
+  if (status === "approved") {
+    return { success: true };
+  }
+
+  if (status === "pending") {
+    return {
+      success: false,
+      code: "MFA_PUSH_PENDING",
+      message: "Waiting for approval on the registered device",
+      expiresAt: approval.expires_at,
+    };
+  }
+
+  if (status === "denied") {
+    await MfaChallengeModel.consume(challenge.id);
+    const user = await UserModel.findByPk(challenge.user_id);
+    return {
+      success: false,
+      code: "MFA_PUSH_DENIED",
+      message: "Login request was denied on the registered device",
+      user: user
+        ? {
+            id: user.id,
+            username: user.username,
+          }
+        : undefined,
+    };
+  }
+
+  return {
+    success: false,
+    code: "MFA_PUSH_EXPIRED",
+    message: "Push approval has expired. Please request a new one",
+  };
+};
+
 /**
- * Otentikasi pengguna
- * @param {Object} credentials - Kredensial pengguna
+ * Verifikasi kode MFA atau assertion WebAuthn terhadap faktor terdaftar pengguna
+ * Kode selain 6 digit angka diperlakukan sebagai backup code
+ * @param {Object} user - Instance user
+ * @param {Object} proof - Bukti faktor kedua
+ * @param {string} [proof.code] - Kode MFA atau backup code
+ * @param {Object} [proof.webauthn] - Assertion WebAuthn (PublicKeyCredential)
+ * @param {string} consumerId - ID consumer
+ * @returns {Promise<Object>} Hasil verifikasi beserta amr faktor kedua (dan sisa backup code jika backup code digunakan)
+ */
+const verifyMfaCode = async (user, { code, webauthn }, consumerId) => {
+  if (webauthn) {
+    const { verifyAuthentication } = await import("./webauthn.service.js");
+    const result = await verifyAuthentication(webauthn, {
+      userId: user.id,
+      consumerId,
+    });
+    return { success: result.success, amr: ["hwk", "mfa"] };
+  }
+
+  const { verifyFactorCode, verifyBackupCode } = await import(
+    "./mfa.service.js"
+  );
+
+  if (!/^[0-9]{6}$/.test(code)) {
+    const result = await verifyBackupCode(user.id, code);
+    return {
+      success: result.success,
+      amr: ["mfa"],
+      backupCode: result.success
+        ? {
+            remaining: result.remainingBackupCodes,
+            low: result.lowBackupCodes,
+          }
+        : null,
+    };
+  }
+
+  const result = await verifyFactorCode(user.id, code);
+  if (!result.success) {
+    return { success: false };
+  }
+
+  // Metode otentikasi yang digunakan (RFC 8176)
+  return {
+    success: true,
+    amr: [result.factor.type === "sms" ? "sms" : "otp", "mfa"],
+  };
+};
+
+/**
+ * Menyelesaikan login setelah seluruh faktor otentikasi berhasil diverifikasi
+ * Login dengan password (amr pwd) yang sudah kedaluwarsa menghasilkan PASSWORD_EXPIRED,
+ * sedangkan password yang ditandai bocor menghasilkan PASSWORD_COMPROMISED
+ * @param {Object} user - Instance user
+ * @param {Object} consumer - Instance consumer
+ * @param {Object} context - Konteks otentikasi (ipAddress, userAgent, signatureStatus, issueTokens, amr)
+ * @returns {Promise<Object>} Hasil otentikasi
+ */
+const completeAuthentication = async (user, consumer, context) => {
+  const { ipAddress, userAgent, signatureStatus, issueTokens = true, amr } =
+    context;
+  const authTime = new Date();
+
+  // Password yang bocor atau melewati umur maksimal kebijakan hanya boleh diganti
+  if (amr.includes("pwd")) {
+    if (user.password_breached_at) {
+      return await requirePasswordChange(user, consumer, { reason: "breached" }, context);
+    }
+
+    const passwordExpiry = await checkPasswordExpiry(user);
+    if (passwordExpiry.expired) {
+      return await requirePasswordChange(
+        user,
+        consumer,
+        { reason: "expired", expiresAt: passwordExpiry.expiresAt },
+        context
+      );
+    }
+  }
+
+  // Reset percobaan gagal dan riwayat penguncian, update waktu login terakhir
+  await user.update({
+    failed_attempts: 0,
+    lockout_count: 0,
+    last_failed_at: null,
+    last_login: authTime,
+  });
+
+  // Cari peran pengguna untuk respon
+  const userWithRoles = await UserModel.findWithRoles(user.id);
+  const roles = userWithRoles.Roles.map((role) => role.name);
+
+  const userInfo = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    roles: roles,
+  };
+
+  // Alur OAuth menerbitkan token setelah authorization code ditukar
+  if (!issueTokens) {
+    logger.info(`Successful authentication for user: ${user.username}`);
+    return {
+      success: true,
+      user: userInfo,
+      authTime,
+      amr,
+    };
+  }
+
+  // Terbitkan access token dan refresh token untuk sesi login baru
+  const issued = await issueTokenPair(user, consumer, {
+    ipAddress,
+    userAgent,
+    grantType: "login",
+    signatureStatus,
+  });
+  if (!issued.success) {
+    return issued;
+  }
+
+  logger.info(`Successful authentication for user: ${user.username}`);
+
+  // Kembalikan hasil sukses
+  return {
+    success: true,
+    token: issued.token,
+    expiresAt: issued.expiresAt,
+    refreshToken: issued.refreshToken,
+    refreshExpiresAt: issued.refreshExpiresAt,
+    user: userInfo,
+    authTime,
+    amr,
+  };
+};
+
+/**
+ * Menolak login dengan password yang kedaluwarsa menurut kebijakan password atau yang
+ * ditandai terdapat pada korpus password bocor
+ * Pengguna menerima token penggantian password (scope password_change, tanpa refresh token)
+ * yang hanya diterima endpoint ganti password miliknya sendiri
+ * @param {Object} user - Instance user (seluruh faktor sudah terverifikasi)
+ * @param {Object} consumer - Instance consumer
+ * @param {Object} passwordState - Alasan penggantian password
+ * @param {string} passwordState.reason - expired atau breached
+ * @param {Date} [passwordState.expiresAt] - Waktu kedaluwarsa password (reason expired)
+ * @param {Object} context - Konteks otentikasi (ipAddress, userAgent, signatureStatus, issueTokens)
+ * @returns {Promise<Object>} Hasil PASSWORD_EXPIRED atau PASSWORD_COMPROMISED
+ */
+const requirePasswordChange = async (user, consumer, passwordState, context) => {
+  const { ipAddress, userAgent, signatureStatus, issueTokens = true } = context;
+  const breached = passwordState.reason === "breached";
+
+  await user.update({ failed_attempts: 0, lockout_count: 0, last_failed_at: null });
+
+  const result = {
+    success: false,
+    code: breached ? "PASSWORD_COMPROMISED" : "PASSWORD_EXPIRED",
+    message: breached
+      ? "Password was found in a data breach and must be changed"
+      : "Password has expired and must be changed",
+    requirePasswordChange: true,
+    passwordChangeReason: passwordState.reason,
+    passwordExpiredAt: passwordState.expiresAt || null,
+    passwordBreachedAt: user.password_breached_at || null,
+    user: {
+      id: user.id,
+      username: user.username,
+    },
+  };
+
+  logger.warn(`Login blocked until password change for user: ${user.username}`);
+
+  // Alur OAuth tidak menerbitkan token; pengguna diminta mengganti password lebih dulu
+  if (!issueTokens) {
+    return result;
+  }
+
+  const issued = await issueTokenPair(user, consumer, {
+    ipAddress,
+    userAgent,
+    scope: PASSWORD_CHANGE_SCOPE,
+    includeRefreshToken: false,
+    grantType: "password_change",
+    signatureStatus,
+  });
+  if (!issued.success) {
+    return issued;
+  }
+
+  result.passwordChangeToken = issued.token;
+  result.passwordChangeExpiresAt = issued.expiresAt;
+  return result;
+};
+
+/**
+ * Menolak login pengguna yang wajib MFA setelah masa tenggang kebijakan habis
+ * Pengguna menerima token pendaftaran (scope mfa_enrollment, tanpa refresh token)
+ * yang hanya diterima endpoint pendaftaran faktor MFA
+ * @param {Object} user - Instance user (password sudah terverifikasi)
+ * @param {Object} consumer - Instance consumer
+ * @param {Object} enforcement - Hasil evaluateMfaPolicy
+ * @param {Object} context - Konteks otentikasi (ipAddress, userAgent, signatureStatus, issueTokens)
+ * @returns {Promise<Object>} Hasil MFA_ENROLLMENT_REQUIRED
+ */
+const requireMfaEnrollment = async (user, consumer, enforcement, context) => {
+  const { ipAddress, userAgent, signatureStatus, issueTokens = true } = context;
+
+  await user.update({ failed_attempts: 0, lockout_count: 0, last_failed_at: null });
+
+  const result = {
+    success: false,
+    code: "MFA_ENROLLMENT_REQUIRED",
+    message: "MFA enrollment is required by policy",
+    requireMfaEnrollment: true,
+    mfaPolicies: enforcement.policies,
+    user: {
+      id: user.id,
+      username: user.username,
+    },
+  };
+
+  logger.warn(`Login blocked until MFA enrollment for user: ${user.username}`);
+
+  // Alur OAuth tidak menerbitkan token; pengguna diminta mendaftarkan MFA lebih dulu
+  if (!issueTokens) {
+    return result;
+  }
+
+  const issued = await issueTokenPair(user, consumer, {
+    ipAddress,
+    userAgent,
+    scope: MFA_ENROLLMENT_SCOPE,
+    includeRefreshToken: false,
+    grantType: "mfa_enrollment",
+    signatureStatus,
+  });
+  if (!issued.success) {
+    return issued;
+  }
+
+  result.enrollmentToken = issued.token;
+  result.enrollmentExpiresAt = issued.expiresAt;
+  return result;
+};
+
+/**
+ * Melanjutkan login setelah faktor pertama (password atau magic link) terverifikasi
+ * Untuk pengguna dengan MFA aktif, hasilnya adalah MFA_REQUIRED beserta token
+ * challenge yang diselesaikan melalui verifyMfaChallenge, kecuali login berasal
+ * dari perangkat tepercaya (deviceToken) untuk consumer yang sama.
+ * Pengguna tanpa MFA yang terkena kebijakan MFA (role atau consumer) tetap login
+ * selama masa tenggang (hasil berisi mfaEnrollment), setelahnya MFA_ENROLLMENT_REQUIRED
+ * @param {Object} user - Instance user
+ * @param {Object} consumer - Instance consumer
+ * @param {Object} context - Konteks otentikasi (ipAddress, userAgent, signatureStatus, issueTokens, deviceToken)
+ * @param {string} context.primaryAmr - Metode faktor pertama (RFC 8176): pwd atau otp (magic link)
+ * @returns {Promise<Object>} Hasil otentikasi
+ */
+const continueAuthentication = async (user, consumer, context) => {
+  const {
+    ipAddress,
+    userAgent,
+    signatureStatus,
+    issueTokens = true,
+    deviceToken,
+    primaryAmr,
+  } = context;
+
+  // Cek apakah user memiliki MFA yang aktif
+  const { normalizeMfaSettings } = await import("./mfa.service.js");
+  if (normalizeMfaSettings(user.mfa_settings).enabled) {
+    // Perangkat tepercaya untuk consumer ini melewati challenge MFA
+    const trustedDevice = deviceToken
+      ? await verifyDeviceToken(deviceToken, {
+          userId: user.id,
+          consumerId: consumer.id,
+        })
+      : null;
+    if (trustedDevice) {
+      logger.info(
+        `MFA challenge skipped on trusted device for user: ${user.username}`
+      );
+      const authenticated = await completeAuthentication(user, consumer, {
+        ipAddress,
+        userAgent,
+        signatureStatus,
+        issueTokens,
+        amr: [primaryAmr, "swk"],
+      });
+      if (authenticated.success) {
+        authenticated.trustedDeviceId = trustedDevice.id;
+      }
+      return authenticated;
+    }
+
+    const challenge = await createMfaChallenge(
+      user,
+      consumer,
+      ipAddress,
+      primaryAmr
+    );
+
+    logger.info(`MFA challenge issued for user: ${user.username}`);
+    return {
+      success: false,
+      code: "MFA_REQUIRED",
+      message: "MFA verification required",
+      requireMfa: true,
+      mfaToken: challenge.token,
+      mfaExpiresAt: challenge.expiresAt,
+      pushApproval: challenge.push,
+      user: {
+        id: user.id,
+        username: user.username,
+        mfaMethod: challenge.method,
+        mfaFactors: challenge.factors,
+      },
+    };
+  }
+
+  // Kebijakan MFA per role/consumer berlaku untuk pengguna tanpa MFA aktif
+  const enforcement = await evaluateMfaPolicy(user, consumer);
+  if (enforcement.required && enforcement.graceExpired) {
+    return await requireMfaEnrollment(user, consumer, enforcement, {
+      ipAddress,
+      userAgent,
+      signatureStatus,
+      issueTokens,
+    });
+  }
+
+  const authenticated = await completeAuthentication(user, consumer, {
+    ipAddress,
+    userAgent,
+    signatureStatus,
+    issueTokens,
+    amr: [primaryAmr],
+  });
+  if (authenticated.success && enforcement.required) {
+    authenticated.mfaEnrollment = {
+      required: true,
+      deadline: enforcement.deadline,
+      policies: enforcement.policies,
+    };
+  }
+  return authenticated;
+};
+
+/**
+ * Mencari consumer untuk login dan memeriksa allowed_ips consumer
+ * @param {string} consumerId - ID consumer
+ * @param {string} ipAddress - IP address klien
+ * @param {boolean} checkConsumerIp - Periksa allowed_ips consumer
+ * @returns {Promise<Object>} { success, consumer } atau hasil error
+ */
+const findLoginConsumer = async (consumerId, ipAddress, checkConsumerIp) => {
+  const consumer = await ConsumerModel.findByPk(consumerId);
+  if (!consumer || !consumer.is_active) {
+    logger.warn(`Authentication attempt with invalid consumer: ${consumerId}`);
+    return {
+      success: false,
+      code: "INVALID_CONSUMER",
+      message: "Invalid or inactive API consumer",
+    };
+  }
+
+  // Verifikasi IP (jika dikonfigurasi)
+  if (
+    checkConsumerIp &&
+    consumer.allowed_ips &&
+    consumer.allowed_ips.length > 0
+  ) {
+    const isAllowed = await ConsumerModel.isIpAllowed(consumerId, ipAddress);
+    if (!isAllowed) {
+      logger.warn(`Authentication attempt from unauthorized IP: ${ipAddress}`);
+      return {
+        success: false,
+        code: "UNAUTHORIZED_IP",
+        message: "Access from this IP address is not allowed",
+      };
+    }
+  }
+
+  return { success: true, consumer };
+};
+
+/**
+ * Otentikasi pengguna dengan username dan password
+ * Setelah password terverifikasi, MFA dan kebijakan MFA diterapkan oleh continueAuthentication
+ * @param {Object} credentials - Kredensial pengguna (username, password, deviceToken)
  * @param {Object} context - Konteks otentikasi
+ * @param {boolean} [context.issueTokens] - Terbitkan token (default true); false untuk
+ *   alur yang menerbitkan token sendiri, misalnya halaman login OAuth
+ * @param {boolean} [context.checkConsumerIp] - Periksa allowed_ips consumer (default true);
+ *   false saat pengguna login langsung dari browser melalui halaman login OAuth
  * @returns {Promise<Object>} Hasil otentikasi
  */
 export const authenticateUser = async (credentials, context) => {
-  const { username, password } = credentials;
-  const { consumerId, ipAddress, userAgent, signatureHeader } = context;
+  const { username, password, deviceToken } = credentials;
+  const {
+    consumerId,
+    ipAddress,
+    userAgent,
+    signatureHeader,
+    signatureStatus,
+    issueTokens = true,
+    checkConsumerIp = true,
+  } = context;
 
   try {
     // Validasi kredensial
@@ -37,18 +840,12 @@ export const authenticateUser = async (credentials, context) => {
       };
     }
 
-    // Cari consumer
-    const consumer = await ConsumerModel.findByPk(consumerId);
-    if (!consumer || !consumer.is_active) {
-      logger.warn(
-        `Authentication attempt with invalid consumer: ${consumerId}`
-      );
-      return {
-        success: false,
-        code: "INVALID_CONSUMER",
-        message: "Invalid or inactive API consumer",
-      };
+    // Cari consumer dan verifikasi IP (jika dikonfigurasi)
+    const found = await findLoginConsumer(consumerId, ipAddress, checkConsumerIp);
+    if (!found.success) {
+      return found;
     }
+    const { consumer } = found;
 
     // Verifikasi tanda tangan
     if (signatureHeader) {
@@ -76,12 +873,551 @@ export const authenticateUser = async (credentials, context) => {
       }*/
     }
 
-    // Verifikasi IP (jika dikonfigurasi)
-    if (consumer.allowed_ips && consumer.allowed_ips.length > 0) {
+    // Cari pengguna berdasarkan username
+    const user = await UserModel.findByUsername(username);
+    if (!user) {
+      logger.warn(`Authentication attempt with invalid username: ${username}`);
+      return {
+        success: false,
+        code: "INVALID_USER",
+        message: "Invalid username or password",
+      };
+    }
+
+    // Cek apakah akun terkunci (kunci sementara yang sudah lewat dibuka otomatis)
+    const lockContext = { consumerId, ipAddress, userAgent };
+    // Hasil gagal setelah pengguna ditemukan menyertakan pengguna untuk audit log
+    const attemptedUser = { id: user.id, username: user.username };
+
+    if (await isAccountLocked(user, lockContext)) {
+      logger.warn(`Authentication attempt for locked account: ${username}`);
+      return { ...getAccountLockedResult(user), user: attemptedUser };
+    }
+
+    // Percobaan sebelum jeda setelah password salah berakhir ditolak tanpa memeriksa password
+    const backoff = getLoginBackoffSeconds(user);
+    if (backoff > 0) {
+      logger.warn(`Authentication attempt during back-off for user: ${username}`);
+      return {
+        success: false,
+        code: "LOGIN_THROTTLED",
+        message: "Too many failed attempts. Please wait before trying again",
+        retryAfter: backoff,
+        user: attemptedUser,
+      };
+    }
+
+    // Verifikasi password
+    const passwordMatch = await verifyPassword(password, user.password_hash);
+    if (!passwordMatch) {
+      const failure = await registerFailedLogin(user, lockContext);
+      if (failure.locked) {
+        return {
+          ...getAccountLockedResult(user),
+          message: "Too many failed attempts. Account has been locked",
+          user: attemptedUser,
+        };
+      }
+
+      logger.warn(`Failed authentication attempt for user: ${username}`);
+      return {
+        success: false,
+        code: "INVALID_PASSWORD",
+        message: "Invalid username or password",
+        user: attemptedUser,
+      };
+    }
+
+    // Pengguna yang password-nya terdapat pada korpus password bocor ditandai
+    const screening = await screenPasswordAtLogin(user, password);
+    if (screening.flagged) {
+      await logPasswordActivity({
+        userId: user.id,
+        consumerId,
+        action: "breach_detected",
+        initiatedBy: "system",
+        success: true,
+        ipAddress,
+        userAgent,
+        signatureStatus,
+        additionalData: { breach_count: screening.count },
+      });
+    }
+
+    // Password benar; token baru diterbitkan setelah MFA (jika aktif) diselesaikan
+    return await continueAuthentication(user, consumer, {
+      ipAddress,
+      userAgent,
+      signatureStatus,
+      issueTokens,
+      deviceToken,
+      primaryAmr: "pwd",
+    });
+  } catch (error) {
+    logger.error(`Authentication error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
+
+/**
+ * Mencari challenge MFA yang masih dapat digunakan
+ * Challenge harus belum digunakan, belum kedaluwarsa, serta cocok dengan consumer dan IP address login
+ * @param {string} mfaToken - Token challenge dari login
+ * @param {string} consumerId - ID consumer yang melakukan request
+ * @param {string} ipAddress - IP address request
+ * @returns {Promise<Object>} { success, challenge } atau hasil error
+ */
+const findPendingMfaChallenge = async (mfaToken, consumerId, ipAddress) => {
+  const challenge = mfaToken
+    ? await MfaChallengeModel.findByHash(hashData(mfaToken))
+    : null;
+  if (!challenge || challenge.consumed_at) {
+    return INVALID_MFA_CHALLENGE;
+  }
+
+  if (challenge.consumer_id !== consumerId) {
+    logger.warn(
+      `MFA challenge consumer mismatch: expected=${challenge.consumer_id}, actual=${consumerId}`
+    );
+    return INVALID_MFA_CHALLENGE;
+  }
+
+  if (challenge.ip_address && challenge.ip_address !== ipAddress) {
+    logger.warn(
+      `MFA challenge IP mismatch: expected=${challenge.ip_address}, actual=${ipAddress}`
+    );
+    return INVALID_MFA_CHALLENGE;
+  }
+
+  if (new Date() > challenge.expires_at) {
+    await MfaChallengeModel.consume(challenge.id);
+    return {
+      success: false,
+      code: "MFA_CHALLENGE_EXPIRED",
+      message: "MFA challenge has expired. Please login again",
+    };
+  }
+
+  return { success: true, challenge };
+};
+
+/**
+ * Menyelesaikan login dua langkah dengan challenge MFA
+ * Challenge terikat pada pengguna, consumer dan IP address, berlaku singkat,
+ * dan hanya dapat dicoba sebanyak max_attempts kali
+ * @param {Object} params - Token challenge dan kode MFA
+ * @param {string} params.mfaToken - Token challenge dari login
+ * @param {string} [params.code] - Kode TOTP, OTP SMS/email, atau backup code
+ * @param {Object} [params.webauthn] - Assertion WebAuthn sebagai pengganti kode
+ * @param {boolean} [params.push] - Selesaikan dengan persetujuan push dari perangkat terdaftar
+ * @param {boolean} [params.trustDevice] - Percayai perangkat ini setelah MFA berhasil
+ * @param {string} [params.deviceName] - Nama perangkat tepercaya
+ * @param {Object} context - Konteks otentikasi (consumerId, ipAddress, userAgent, signatureStatus, issueTokens)
+ * @param {string} [context.flow] - Alur login untuk audit log (misalnya authorization_code)
+ * @returns {Promise<Object>} Hasil otentikasi; backupCode berisi sisa backup code jika backup code digunakan,
+ *   trustedDevice berisi token perangkat jika perangkat dipercaya
+ */
+export const verifyMfaChallenge = async (params, context) => {
+  const { mfaToken, code, webauthn, push, trustDevice, deviceName } = params;
+  const {
+    consumerId,
+    ipAddress,
+    userAgent,
+    signatureStatus,
+    issueTokens = true,
+    flow,
+  } = context;
+
+  try {
+    const pending = await findPendingMfaChallenge(mfaToken, consumerId, ipAddress);
+    if (!pending.success) {
+      return pending;
+    }
+    const { challenge } = pending;
+
+    // Persetujuan push diperiksa tanpa mencatat percobaan karena klien menunggu respons perangkat
+    if (push) {
+      const approval = await checkPushApproval(challenge);
+      if (!approval.success) {
+        return approval;
+      }
+    }
+
+    // Percobaan dicatat sebelum kode diverifikasi agar batas tidak dapat dilewati
+    const attemptAllowed = await MfaChallengeModel.registerAttempt(challenge.id);
+    if (!attemptAllowed) {
+      await MfaChallengeModel.consume(challenge.id);
+      return {
+        success: false,
+        code: "MFA_ATTEMPTS_EXCEEDED",
+        message: "Too many invalid MFA codes. Please login again",
+      };
+    }
+
+    const consumer = await ConsumerModel.findByPk(consumerId);
+    const user = await UserModel.findByPk(challenge.user_id);
+    if (!consumer || !consumer.is_active || !user || !user.is_active) {
+      await MfaChallengeModel.consume(challenge.id);
+      return INVALID_MFA_CHALLENGE;
+    }
+
+    if (await isAccountLocked(user, { consumerId, ipAddress, userAgent })) {
+      await MfaChallengeModel.consume(challenge.id);
+      return {
+        ...getAccountLockedResult(user),
+        user: {
+          id: user.id,
+          username: user.username,
+        },
+      };
+    }
+
+    const verified = push
+      ? { success: true, amr: ["swk", "mfa"] }
+      : await verifyMfaCode(user, { code, webauthn }, consumerId);
+    if (!verified.success) {
+      const attemptsRemaining = Math.max(
+        0,
+        challenge.max_attempts - (challenge.attempts + 1)
+      );
+      // Kode MFA salah berulang kali mengunci challenge; catat sebagai lockout
+      if (attemptsRemaining === 0) {
+        await MfaChallengeModel.consume(challenge.id);
+        await logMfaActivity({
+          userId: user.id,
+          consumerId,
+          action: "lockout",
+          success: false,
+          reason: "MFA_ATTEMPTS_EXCEEDED",
+          ipAddress,
+          userAgent,
+          signatureStatus,
+          ...(flow && { additionalData: { flow } }),
+        });
+      }
+
+      logger.warn(`Invalid MFA code for user: ${user.username}`);
+      return {
+        success: false,
+        code: "INVALID_MFA",
+        message: "Invalid MFA code",
+        attemptsRemaining,
+        user: {
+          id: user.id,
+          username: user.username,
+        },
+      };
+    }
+
+    // Challenge hanya dapat diselesaikan satu kali
+    const consumed = await MfaChallengeModel.consume(challenge.id);
+    if (!consumed) {
+      return INVALID_MFA_CHALLENGE;
+    }
+
+    const authenticated = await completeAuthentication(user, consumer, {
+      ipAddress,
+      userAgent,
+      signatureStatus,
+      issueTokens,
+      amr: [challenge.primary_amr || "pwd", ...verified.amr],
+    });
+
+    // Penggunaan backup code diteruskan ke controller untuk audit dan peringatan
+    if (authenticated.success && verified.backupCode) {
+      authenticated.backupCode = verified.backupCode;
+    }
+
+    // Perangkat hanya dapat dipercaya setelah challenge MFA berhasil
+    if (authenticated.success && trustDevice) {
+      const trusted = await createTrustedDevice(user, {
+        consumerId,
+        name: deviceName,
+        ipAddress,
+        userAgent,
+      });
+      if (trusted.success) {
+        authenticated.trustedDevice = {
+          id: trusted.device.id,
+          token: trusted.deviceToken,
+          expiresAt: trusted.device.expires_at,
+        };
+      }
+    }
+
+    return authenticated;
+  } catch (error) {
+    logger.error(`MFA challenge verification error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
+
+/**
+ * Mengirim OTP SMS/email atau persetujuan push untuk challenge MFA yang masih berlaku
+ * Dapat digunakan untuk mengirim ulang kode atau beralih ke faktor SMS/email/push lain.
+ * Pengiriman OTP dibatasi per pengguna oleh mfa.service (OTP_RESEND_THROTTLED)
+ * @param {Object} params - Token challenge dan faktor tujuan
+ * @param {string} params.mfaToken - Token challenge dari login
+ * @param {string} [params.factorId] - ID faktor tujuan (default: faktor default jika push,
+ *   selain itu faktor default atau faktor SMS/email pertama)
+ * @param {Object} context - Konteks request (consumerId, ipAddress)
+ * @returns {Promise<Object>} Hasil pengiriman; push berisi angka persetujuan jika faktor tujuan adalah push
+ */
+export const resendMfaChallengeCode = async (params, context) => {
+  const { mfaToken, factorId } = params;
+  const { consumerId, ipAddress } = context;
+
+  try {
+    const pending = await findPendingMfaChallenge(mfaToken, consumerId, ipAddress);
+    if (!pending.success) {
+      return pending;
+    }
+    const { challenge } = pending;
+
+    const { normalizeMfaSettings, summarizeMfaFactors, generateAndSendFactorOTP } =
+      await import("./mfa.service.js");
+
+    const user = await UserModel.findByPk(challenge.user_id);
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const targetId = factorId || mfaSettings.default_factor_id;
+    const target = mfaSettings.factors.find(
+      (factor) => factor.id === targetId && factor.verified
+    );
+    if (target && target.type === "push") {
+      const consumer = await ConsumerModel.findByPk(consumerId);
+      const { sendPushApproval } = await import("./push-mfa.service.js");
+      const approval = await sendPushApproval(user, {
+        mfaChallengeId: challenge.id,
+        consumer,
+        ipAddress,
+        factorId: target.id,
+      });
+      if (!approval.success) {
+        return approval;
+      }
+
+      return {
+        success: true,
+        method: "push",
+        factor: summarizeMfaFactors(user.mfa_settings).find(
+          (factor) => factor.id === target.id
+        ),
+        expiresAt: challenge.expires_at,
+        push: { number: approval.numberCode, expiresAt: approval.expiresAt },
+      };
+    }
+
+    const sent = await generateAndSendFactorOTP(challenge.user_id, factorId);
+
+    if (!sent.success) {
+      return sent;
+    }
+
+    return {
+      success: true,
+      method: sent.factor.type,
+      factor: sent.factor,
+      expiresAt: challenge.expires_at,
+    };
+  } catch (error) {
+    logger.error(`MFA challenge resend error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
+
+/**
+ * Membuat permintaan pemulihan MFA untuk pengguna yang kehilangan seluruh faktor MFA
+ * Challenge MFA dari login membuktikan password sudah diverifikasi; challenge digunakan
+ * sehingga login harus diulang setelah permintaan dibuat
+ * @param {Object} params - Token challenge dan alasan
+ * @param {string} params.mfaToken - Token challenge dari login
+ * @param {string} [params.reason] - Alasan dari pengguna
+ * @param {Object} context - Konteks request (consumerId, ipAddress, userAgent)
+ * @returns {Promise<Object>} Permintaan pemulihan yang dibuat atau yang masih pending
+ */
+export const requestMfaRecovery = async (params, context) => {
+  const { mfaToken, reason } = params;
+  const { consumerId, ipAddress, userAgent } = context;
+
+  try {
+    const pending = await findPendingMfaChallenge(mfaToken, consumerId, ipAddress);
+    if (!pending.success) {
+      return pending;
+    }
+    const { challenge } = pending;
+
+    const consumed = await MfaChallengeModel.consume(challenge.id);
+    const user = await UserModel.findByPk(challenge.user_id);
+    if (!consumed || !user || !user.is_active) {
+      return INVALID_MFA_CHALLENGE;
+    }
+
+    const { createRecoveryRequest } = await import("./mfa-recovery.service.js");
+    const created = await createRecoveryRequest(user, {
+      consumerId,
+      reason,
+      ipAddress,
+      userAgent,
+    });
+    if (!created.success) {
+      return created;
+    }
+
+    return {
+      success: true,
+      request: created.request,
+      alreadyPending: created.alreadyPending,
+      user: {
+        id: user.id,
+        username: user.username,
+      },
+    };
+  } catch (error) {
+    logger.error(`MFA recovery request error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
+
+/**
+ * Membuat opsi assertion WebAuthn untuk challenge MFA yang masih berlaku
+ * @param {Object} params - Token challenge
+ * @param {string} params.mfaToken - Token challenge dari login
+ * @param {Object} context - Konteks request (consumerId, ipAddress)
+ * @returns {Promise<Object>} Opsi otentikasi WebAuthn
+ */
+export const createMfaWebAuthnOptions = async (params, context) => {
+  const { mfaToken } = params;
+  const { consumerId, ipAddress } = context;
+
+  try {
+    const pending = await findPendingMfaChallenge(mfaToken, consumerId, ipAddress);
+    if (!pending.success) {
+      return pending;
+    }
+
+    const { generateAuthenticationOptions } = await import(
+      "./webauthn.service.js"
+    );
+    return await generateAuthenticationOptions({
+      userId: pending.challenge.user_id,
+      consumerId,
+    });
+  } catch (error) {
+    logger.error(`MFA WebAuthn options error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
+
+/**
+ * Membuat opsi assertion WebAuthn untuk login passwordless dengan passkey
+ * Jika username tidak dikenal atau tidak memiliki passkey, opsi tanpa allowCredentials
+ * dikembalikan agar keberadaan akun tidak dapat ditebak
+ * @param {Object} params - Parameter login
+ * @param {string} [params.username] - Username (opsional untuk discoverable credential)
+ * @param {Object} context - Konteks request (consumerId)
+ * @returns {Promise<Object>} Opsi otentikasi WebAuthn
+ */
+export const createPasskeyLoginOptions = async (params, context) => {
+  const { username } = params;
+  const { consumerId } = context;
+
+  try {
+    const consumer = await ConsumerModel.findByPk(consumerId);
+    if (!consumer || !consumer.is_active) {
+      return {
+        success: false,
+        code: "INVALID_CONSUMER",
+        message: "Invalid or inactive API consumer",
+      };
+    }
+
+    const { normalizeMfaSettings } = await import("./mfa.service.js");
+    const user = username ? await UserModel.findByUsername(username) : null;
+    const hasPasskey =
+      user &&
+      normalizeMfaSettings(user.mfa_settings).factors.some(
+        (factor) => factor.type === "webauthn" && factor.verified
+      );
+
+    const { generateAuthenticationOptions } = await import(
+      "./webauthn.service.js"
+    );
+    return await generateAuthenticationOptions({
+      userId: hasPasskey ? user.id : null,
+      consumerId,
+      userVerification: "required",
+    });
+  } catch (error) {
+    logger.error(`Passkey login options error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
+
+/**
+ * Login passwordless dengan passkey (assertion WebAuthn dengan user verification)
+ * Passkey dengan user verification memenuhi dua faktor sehingga tidak memerlukan challenge MFA
+ * @param {Object} params - Parameter login
+ * @param {Object} params.credential - Assertion WebAuthn (PublicKeyCredential)
+ * @param {Object} context - Konteks otentikasi (consumerId, ipAddress, userAgent, issueTokens, checkConsumerIp)
+ * @returns {Promise<Object>} Hasil otentikasi
+ */
+export const authenticateWithPasskey = async (params, context) => {
+  const { credential } = params;
+  const {
+    consumerId,
+    ipAddress,
+    userAgent,
+    signatureStatus,
+    issueTokens = true,
+    checkConsumerIp = true,
+  } = context;
+
+  try {
+    const consumer = await ConsumerModel.findByPk(consumerId);
+    if (!consumer || !consumer.is_active) {
+      logger.warn(
+        `Passkey authentication attempt with invalid consumer: ${consumerId}`
+      );
+      return {
+        success: false,
+        code: "INVALID_CONSUMER",
+        message: "Invalid or inactive API consumer",
+      };
+    }
+
+    if (
+      checkConsumerIp &&
+      consumer.allowed_ips &&
+      consumer.allowed_ips.length > 0
+    ) {
       const isAllowed = await ConsumerModel.isIpAllowed(consumerId, ipAddress);
       if (!isAllowed) {
         logger.warn(
-          `Authentication attempt from unauthorized IP: ${ipAddress}`
+          `Passkey authentication attempt from unauthorized IP: ${ipAddress}`
         );
         return {
           success: false,
@@ -91,191 +1427,127 @@ export const authenticateUser = async (credentials, context) => {
       }
     }
 
-    // Cari pengguna berdasarkan username
-    const user = await UserModel.findByUsername(username);
-    if (!user) {
-      logger.warn(`Authentication attempt with invalid username: ${username}`);
+    const { verifyAuthentication } = await import("./webauthn.service.js");
+    const verified = await verifyAuthentication(credential, {
+      consumerId,
+      requireUserVerification: true,
+    });
+    if (!verified.success) {
+      if (verified.code === "SYSTEM_ERROR") {
+        return verified;
+      }
+
+      logger.warn(`Failed passkey authentication: ${verified.message}`);
       return {
         success: false,
-        code: "INVALID_USER",
-        message: "Invalid username or password",
+        code: "INVALID_PASSKEY",
+        message: "Passkey authentication failed",
       };
     }
 
-    // Cek apakah akun terkunci
-    if (user.is_locked) {
-      logger.warn(`Authentication attempt for locked account: ${username}`);
+    const { user } = verified;
+    if (!user.is_active) {
       return {
         success: false,
-        code: "ACCOUNT_LOCKED",
-        message: "Account is locked. Please contact administrator",
+        code: "INVALID_PASSKEY",
+        message: "Passkey authentication failed",
       };
     }
 
-    // Verifikasi password
-    const passwordMatch = await verifyPassword(password, user.password_hash);
-    if (!passwordMatch) {
-      // Tambah jumlah percobaan gagal
-      await user.increment("failed_attempts");
-
-      // Cek apakah harus mengunci akun (setelah 5 percobaan gagal)
-      if (user.failed_attempts + 1 >= 5) {
-        await user.update({ is_locked: true });
-        logger.warn(
-          `Account locked after too many failed attempts: ${username}`
-        );
-        return {
-          success: false,
-          code: "ACCOUNT_LOCKED",
-          message: "Too many failed attempts. Account has been locked",
-        };
-      }
-
-      logger.warn(`Failed authentication attempt for user: ${username}`);
+    if (await isAccountLocked(user, { consumerId, ipAddress, userAgent })) {
+      logger.warn(`Passkey authentication for locked account: ${user.username}`);
       return {
-        success: false,
-        code: "INVALID_PASSWORD",
-        message: "Invalid username or password",
+        ...getAccountLockedResult(user),
+        user: {
+          id: user.id,
+          username: user.username,
+        },
       };
     }
 
-    // Cek apakah user memiliki MFA yang aktif
-    if (user.mfa_settings && user.mfa_settings.enabled) {
-      // Jika MFA aktif dan tidak ada kode MFA yang diberikan
-      if (!mfa_code) {
-        return {
-          success: false,
-          code: "MFA_REQUIRED",
-          message: "MFA code diperlukan",
-          requireMfa: true,
-          user: {
-            id: user.id,
-            username: user.username,
-            mfaMethod: user.mfa_settings.preferred_method,
-          },
-        };
-      }
-
-      // Verifikasi kode MFA
-      let mfaVerified = false;
-
-      // Metode TOTP (Time-based One-Time Password)
-      if (user.mfa_settings.preferred_method === "totp") {
-        const { verifyTOTP } = await import("./mfa.service.js");
-        const result = await verifyTOTP(user.id, mfa_code);
-        mfaVerified = result.success;
-      }
+    return await completeAuthentication(user, consumer, {
+      ipAddress,
+      userAgent,
+      signatureStatus,
+      issueTokens,
+      amr: ["hwk", "user", "mfa"],
+    });
+  } catch (error) {
+    logger.error(`Passkey authentication error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
 
-      // Metode SMS OTP
-      else if (user.mfa_settings.preferred_method === "sms") {
-        const { verifySMSOTP } = await import("./mfa.service.js");
-        const result = await verifySMSOTP(user.id, mfa_code);
-        mfaVerified = result.success;
-      }
-      // Metode Email OTP
-      else if (user.mfa_settings.preferred_method === "email") {
-        const { verifyEmailOTP } = await import("./mfa.service.js");
-        const result = await verifyEmailOTP(user.id, mfa_code);
-        mfaVerified = result.success;
-      }
+/**
+ * Login passwordless dengan magic link dari email
+ * Link hanya dapat ditukar oleh consumer dan redirect URI yang memintanya; setelah itu
+ * login dilanjutkan seperti login dengan password (MFA dan kebijakan MFA tetap berlaku)
+ * @param {Object} params - Parameter login
+ * @param {string} params.token - Token dari link (parameter magic_token)
+ * @param {string} params.redirectUri - Redirect URI tempat link dibuka
+ * @param {string} [params.deviceToken] - Token perangkat tepercaya
+ * @param {Object} context - Konteks otentikasi (consumerId, ipAddress, userAgent, issueTokens, checkConsumerIp)
+ * @returns {Promise<Object>} Hasil otentikasi
+ */
+export const authenticateWithMagicLink = async (params, context) => {
+  const { token, redirectUri, deviceToken } = params;
+  const {
+    consumerId,
+    ipAddress,
+    userAgent,
+    signatureStatus,
+    issueTokens = true,
+    checkConsumerIp = true,
+  } = context;
 
-      // Tambahkan metode lain jika diperlukan di masa depan
+  try {
+    const found = await findLoginConsumer(consumerId, ipAddress, checkConsumerIp);
+    if (!found.success) {
+      return found;
+    }
+    const { consumer } = found;
 
-      if (!mfaVerified) {
-        return {
-          success: false,
-          code: "INVALID_MFA",
-          message: "Kode MFA tidak valid",
-        };
-      }
+    const { consumeMagicLink } = await import("./magic-link.service.js");
+    const redeemed = await consumeMagicLink(token, { consumerId, redirectUri });
+    if (!redeemed.success) {
+      return redeemed;
     }
 
-    // Reset percobaan gagal dan update waktu login terakhir
-    await user.update({
-      failed_attempts: 0,
-      last_login: new Date(),
-    });
-    console.log('user berhasil update');
-    // Dapatkan kunci provider aktif untuk penandatanganan
-    const providerKey = await ProviderKeyModel.findActiveKey(); 
-    if (!providerKey) {
-      logger.error("No active provider key found for signing");
+    const user = await UserModel.findByPk(redeemed.link.user_id);
+    if (!user || !user.is_active) {
       return {
         success: false,
-        code: "CONFIGURATION_ERROR",
-        message: "System configuration error: No active signing key",
+        code: "INVALID_MAGIC_LINK",
+        message: "Invalid or already used login link",
       };
     }
-    console.log('providerKey', providerKey);
-
-    // Buat token access baru
-    const tokenValue = generateRandomToken();
-    const tokenHash = hashData(tokenValue);
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 1); // Token berlaku 1 jam
-
-    // Data untuk tanda tangan
-    const signatureData = JSON.stringify({
-      userId: user.id,
-      consumerId: consumer.id,
-      tokenHash: tokenHash,
-      expiresAt: expiresAt.toISOString(),
-    });
 
-    // Dapatkan kunci privat provider yang digunakan untuk tanda tangan
-    // (Kunci seharusnya didecrypt menggunakan kunci master, disederhanakan untuk demo)
-    const signature = ""; // signData(signatureData, decryptedPrivateKey);
+    if (await isAccountLocked(user, { consumerId, ipAddress, userAgent })) {
+      logger.warn(`Magic link authentication for locked account: ${user.username}`);
+      return {
+        ...getAccountLockedResult(user),
+        user: {
+          id: user.id,
+          username: user.username,
+        },
+      };
+    }
 
-    // Simpan token ke database
-    const token = await TokenModel.create({
-      user_id: user.id,
-      consumer_id: consumer.id,
-      token_hash: tokenHash,
-      signature: signature || "simulated-signature", // Gunakan simulasi untuk demo
-      provider_key_id: providerKey.id,
-      expires_at: expiresAt,
-      metadata: {
-        ip_address: ipAddress,
-        user_agent: userAgent,
-        issued_at: new Date(),
-      },
+    // Link email setara dengan kode sekali pakai sebagai faktor pertama
+    return await continueAuthentication(user, consumer, {
+      ipAddress,
+      userAgent,
+      signatureStatus,
+      issueTokens,
+      deviceToken,
+      primaryAmr: "otp",
     });
-
-    // Buat JWT untuk response
-    const jwtPayload = {
-      sub: user.id,
-      username: user.username,
-      consumer: consumer.name,
-      token_id: token.id,
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(expiresAt.getTime() / 1000),
-    };
-
-    const jwtToken = jwt.sign(
-      jwtPayload,
-      process.env.JWT_SECRET || "default-jwt-secret"
-    );
-
-    // Cari peran pengguna untuk respon
-    const userWithRoles = await UserModel.findWithRoles(user.id);
-    const roles = userWithRoles.Roles.map((role) => role.name);
-
-    logger.info(`Successful authentication for user: ${username}`);
-
-    // Kembalikan hasil sukses
-    return {
-      success: true,
-      token: jwtToken,
-      expiresAt: expiresAt,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        roles: roles,
-      },
-    };
   } catch (error) {
-    logger.error(`Authentication error: ${error.message}`);
+    logger.error(`Magic link authentication error: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
@@ -288,13 +1560,24 @@ export const authenticateUser = async (credentials, context) => {
  * Verifikasi token
  * @param {string} token - Token yang akan diverifikasi
  * @param {string} consumerId - ID API consumer
+ * @param {Object} [options] - Opsi verifikasi
+ * @param {boolean} [options.allowMfaEnrollment=false] - Terima token pendaftaran MFA
+ *   (scope mfa_enrollment); hanya untuk endpoint pendaftaran faktor MFA
+ * @param {boolean} [options.allowPasswordChange=false] - Terima token penggantian password
+ *   (scope password_change); hanya untuk endpoint ganti password
  * @returns {Promise<Object>} Hasil verifikasi
  */
-export const verifyToken = async (token, consumerId) => {
+export const verifyToken = async (token, consumerId, options = {}) => {
   try {
-    // Decode JWT without verification to get token_id
-    const decoded = jwt.decode(token);
-    if (!decoded || !decoded.token_id) {
+    // Verify JWT signature with the provider key referenced by kid
+    // (active key, or a retiring key within its transition period)
+    const verified = await verifyJwt(token);
+    if (!verified.success) {
+      return verified;
+    }
+
+    const decoded = verified.payload;
+    if (!decoded.token_id) {
       return {
         success: false,
         code: "INVALID_TOKEN",
@@ -302,11 +1585,21 @@ export const verifyToken = async (token, consumerId) => {
       };
     }
 
-    // Verify JWT signature
-    try {
-      jwt.verify(token, process.env.JWT_SECRET || "default-jwt-secret");
-    } catch (error) {
-      logger.warn(`Invalid JWT signature: ${error.message}`);
+    // Find token in database
+    const tokenRecord = await TokenModel.findByPk(decoded.token_id);
+    if (!tokenRecord) {
+      return {
+        success: false,
+        code: "TOKEN_NOT_FOUND",
+        message: "Token not found",
+      };
+    }
+
+    // Token harus ditandatangani dengan kunci yang tercatat saat penerbitan
+    if (tokenRecord.provider_key_id !== verified.keyId) {
+      logger.warn(
+        `Token key mismatch: expected=${tokenRecord.provider_key_id}, actual=${verified.keyId}`
+      );
       return {
         success: false,
         code: "INVALID_SIGNATURE",
@@ -314,13 +1607,12 @@ export const verifyToken = async (token, consumerId) => {
       };
     }
 
-    // Find token in database
-    const tokenRecord = await TokenModel.findByPk(decoded.token_id);
-    if (!tokenRecord) {
+    // Refresh token tidak boleh digunakan sebagai access token
+    if (tokenRecord.token_type !== "access") {
       return {
         success: false,
-        code: "TOKEN_NOT_FOUND",
-        message: "Token not found",
+        code: "INVALID_TOKEN",
+        message: "Invalid token type",
       };
     }
 
@@ -354,6 +1646,57 @@ export const verifyToken = async (token, consumerId) => {
       };
     }
 
+    // Token pendaftaran MFA hanya berlaku pada endpoint pendaftaran faktor
+    const scopes = decoded.scope ? decoded.scope.split(" ") : [];
+    if (scopes.includes(MFA_ENROLLMENT_SCOPE) && !options.allowMfaEnrollment) {
+      return {
+        success: false,
+        code: "MFA_ENROLLMENT_REQUIRED",
+        message: "Token is restricted to MFA enrollment",
+      };
+    }
+
+    // Token penggantian password hanya berlaku pada endpoint ganti password
+    if (scopes.includes(PASSWORD_CHANGE_SCOPE) && !options.allowPasswordChange) {
+      return {
+        success: false,
+        code: "PASSWORD_EXPIRED",
+        message: "Token is restricted to password change",
+      };
+    }
+
+    const tokenInfo = {
+      id: tokenRecord.id,
+      type: tokenRecord.user_id ? "user" : "client",
+      consumer: decoded.consumer,
+      scope: decoded.scope || null,
+      issuedAt: decoded.iat,
+      expiresAt: decoded.exp,
+    };
+
+    // Token client_credentials tidak terkait pengguna; principal-nya consumer
+    if (!tokenRecord.user_id) {
+      // Consumer yang dinonaktifkan tidak lagi dapat memakai token yang sudah terbit
+      const consumer = await ConsumerModel.findByPk(tokenRecord.consumer_id);
+      if (!consumer || !consumer.is_active) {
+        return {
+          success: false,
+          code: "CONSUMER_UNAVAILABLE",
+          message: "Consumer not found or inactive",
+        };
+      }
+
+      return {
+        success: true,
+        consumer: {
+          id: consumer.id,
+          name: consumer.name,
+          scopes,
+        },
+        token: tokenInfo,
+      };
+    }
+
     // Get user data
     const user = await UserModel.findWithRoles(tokenRecord.user_id);
     if (!user || !user.is_active) {
@@ -375,6 +1718,7 @@ export const verifyToken = async (token, consumerId) => {
         email: user.email,
         roles: roles,
       },
+      token: tokenInfo,
     };
   } catch (error) {
     logger.error(`Token verification error: ${error.message}`);
@@ -386,19 +1730,214 @@ export const verifyToken = async (token, consumerId) => {
   }
 };
 
+/**
+ * Mencatat pencabutan seluruh keluarga token pada audit log
+ * @param {Object} tokenRecord - Token yang memicu pencabutan
+ * @param {number} count - Jumlah token yang dicabut
+ * @param {string} reason - Kode alasan pencabutan
+ * @param {Object} context - Konteks request (ipAddress, userAgent, signatureStatus)
+ */
+const logTokenFamilyRevoked = async (tokenRecord, count, reason, context) => {
+  await logTokenActivity({
+    userId: tokenRecord.user_id,
+    consumerId: tokenRecord.consumer_id,
+    tokenId: tokenRecord.id,
+    action: "revoke",
+    success: true,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    reason,
+    signatureStatus: context.signatureStatus,
+    additionalData: {
+      family_id: tokenRecord.family_id,
+      revoked_count: count,
+    },
+  });
+};
+
+/**
+ * Tukar refresh token dengan pasangan token baru (rotasi)
+ * Refresh token lama hanya dapat dipakai sekali. Pemakaian ulang dianggap
+ * sebagai indikasi pencurian token sehingga seluruh keluarga token dicabut.
+ * @param {string} refreshToken - Refresh token dari klien
+ * @param {Object} context - Konteks permintaan
+ * @returns {Promise<Object>} Hasil rotasi token
+ */
+export const refreshAccessToken = async (refreshToken, context) => {
+  const { consumerId, ipAddress, userAgent, signatureStatus } = context;
+
+  try {
+    const tokenRecord = await TokenModel.findRefreshTokenByHash(
+      hashData(refreshToken)
+    );
+    if (!tokenRecord) {
+      return {
+        success: false,
+        code: "INVALID_TOKEN",
+        message: "Invalid refresh token",
+      };
+    }
+
+    // Refresh token hanya berlaku untuk consumer yang menerimanya
+    if (tokenRecord.consumer_id !== consumerId) {
+      logger.warn(
+        `Refresh token consumer mismatch: expected=${consumerId}, actual=${tokenRecord.consumer_id}`
+      );
+      return {
+        success: false,
+        code: "CONSUMER_MISMATCH",
+        message: "Token was not issued to this consumer",
+      };
+    }
+
+    // Refresh token yang sudah dirotasi dipakai lagi: cabut seluruh keluarga
+    if (tokenRecord.used_at) {
+      const count = await TokenModel.revokeFamily(tokenRecord.family_id);
+      logger.warn(
+        `Refresh token reuse detected: ${tokenRecord.id}, family: ${tokenRecord.family_id}, revoked: ${count}`
+      );
+      await logTokenFamilyRevoked(tokenRecord, count, "TOKEN_REUSED", context);
+      return {
+        success: false,
+        code: "TOKEN_REUSED",
+        message: "Refresh token has already been used",
+      };
+    }
+
+    if (tokenRecord.is_revoked) {
+      return {
+        success: false,
+        code: "TOKEN_REVOKED",
+        message: "Token has been revoked",
+      };
+    }
+
+    if (new Date() > tokenRecord.expires_at) {
+      return {
+        success: false,
+        code: "TOKEN_EXPIRED",
+        message: "Token has expired",
+      };
+    }
+
+    const consumer = await ConsumerModel.findByPk(consumerId);
+    if (!consumer || !consumer.is_active) {
+      return {
+        success: false,
+        code: "INVALID_CONSUMER",
+        message: "Invalid or inactive API consumer",
+      };
+    }
+
+    const user = await UserModel.findByPk(tokenRecord.user_id);
+    if (!user || !user.is_active || (await isAccountLocked(user, { consumerId }))) {
+      const count = await TokenModel.revokeFamily(tokenRecord.family_id);
+      await logTokenFamilyRevoked(tokenRecord, count, "USER_UNAVAILABLE", context);
+      return {
+        success: false,
+        code: "USER_UNAVAILABLE",
+        message: "User not found or inactive",
+      };
+    }
+
+    // Tandai token lama sebagai terpakai; gagal berarti permintaan lain
+    // sudah merotasi token yang sama lebih dulu
+    const marked = await TokenModel.markRefreshTokenUsed(tokenRecord.id);
+    if (!marked) {
+      const count = await TokenModel.revokeFamily(tokenRecord.family_id);
+      logger.warn(
+        `Concurrent refresh token reuse detected: ${tokenRecord.id}, family: ${tokenRecord.family_id}, revoked: ${count}`
+      );
+      await logTokenFamilyRevoked(tokenRecord, count, "TOKEN_REUSED", context);
+      return {
+        success: false,
+        code: "TOKEN_REUSED",
+        message: "Refresh token has already been used",
+      };
+    }
+
+    const issued = await issueTokenPair(user, consumer, {
+      ipAddress,
+      userAgent,
+      scope: tokenRecord.metadata && tokenRecord.metadata.scope,
+      familyId: tokenRecord.family_id,
+      grantType: "refresh_token",
+      signatureStatus,
+    });
+    if (!issued.success) {
+      return issued;
+    }
+
+    await tokenRecord.update({ replaced_by: issued.refreshTokenId });
+
+    const userWithRoles = await UserModel.findWithRoles(user.id);
+    const roles = userWithRoles.Roles.map((role) => role.name);
+
+    logger.info(`Refresh token rotated for user: ${user.username}`);
+
+    return {
+      success: true,
+      token: issued.token,
+      expiresAt: issued.expiresAt,
+      refreshToken: issued.refreshToken,
+      refreshExpiresAt: issued.refreshExpiresAt,
+      scope: issued.scope,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        roles: roles,
+      },
+    };
+  } catch (error) {
+    logger.error(`Refresh token error: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "An internal system error occurred",
+    };
+  }
+};
+
 /**
  * Revoke token
+ * Hanya token milik pengguna dan consumer pada konteks yang dapat dicabut; token lain
+ * diperlakukan sebagai tidak ditemukan
  * @param {string} tokenId - ID token yang akan direvoke
- * @param {Object} context - Konteks revokasi
+ * @param {Object} context - Konteks revokasi (userId dan consumerId pemilik token)
  * @returns {Promise<Object>} Hasil revokasi
  */
 export const revokeToken = async (tokenId, context) => {
-  const { userId, reason, ipAddress, userAgent } = context;
+  const { userId, consumerId, reason, ipAddress, userAgent, signatureStatus } =
+    context;
 
   try {
-    const revoked = await TokenModel.revokeById(tokenId);
+    const tokenRecord = await TokenModel.findByPk(tokenId);
+    const owned =
+      tokenRecord &&
+      tokenRecord.user_id === userId &&
+      tokenRecord.consumer_id === consumerId;
+
+    if (tokenRecord && !owned) {
+      logger.warn(
+        `Token revocation rejected, token ${tokenId} is not owned by user: ${userId}, consumer: ${consumerId}`
+      );
+    }
+
+    const revoked = owned && (await TokenModel.revokeById(tokenId));
 
     if (!revoked) {
+      await logTokenActivity({
+        userId,
+        consumerId,
+        tokenId,
+        action: "revoke",
+        success: false,
+        ipAddress,
+        userAgent,
+        reason: "TOKEN_NOT_FOUND",
+        signatureStatus,
+      });
       return {
         success: false,
         code: "TOKEN_NOT_FOUND",
@@ -406,6 +1945,25 @@ export const revokeToken = async (tokenId, context) => {
       };
     }
 
+    // Cabut juga refresh token dalam keluarga yang sama (logout)
+    const familyCount = await TokenModel.revokeFamily(tokenRecord.family_id);
+
+    await logTokenActivity({
+      userId,
+      consumerId,
+      tokenId,
+      action: "revoke",
+      success: true,
+      ipAddress,
+      userAgent,
+      reason,
+      signatureStatus,
+      additionalData: {
+        family_id: tokenRecord.family_id,
+        revoked_count: 1 + familyCount,
+      },
+    });
+
     logger.info(
       `Token revoked: ${tokenId}, user: ${userId}, reason: ${reason}`
     );
@@ -431,11 +1989,27 @@ export const revokeToken = async (tokenId, context) => {
  * @returns {Promise<Object>} Hasil revokasi
  */
 export const revokeAllTokensForUser = async (userId, context) => {
-  const { reason, ipAddress, userAgent } = context;
+  const { consumerId, reason, ipAddress, userAgent, signatureStatus } = context;
 
   try {
     const count = await TokenModel.revokeAllForUser(userId);
 
+    await logTokenActivity({
+      userId,
+      consumerId,
+      tokenId: null,
+      action: "revoke",
+      success: true,
+      ipAddress,
+      userAgent,
+      reason,
+      signatureStatus,
+      additionalData: {
+        all_tokens: true,
+        revoked_count: count,
+      },
+    });
+
     logger.info(
       `All tokens revoked for user: ${userId}, count: ${count}, reason: ${reason}`
     );
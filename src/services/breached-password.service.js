@@ -0,0 +1,275 @@
+/**
+ * Layanan pemeriksaan password terhadap korpus password bocor secara offline
+ *
+ * Korpus disimpan di BREACHED_PASSWORDS_DIR (default data/breached-passwords) sebagai satu file
+ * per prefix SHA-1 (5 karakter hex pertama, format range Have I Been Pwned): <PREFIX>.txt berisi
+ * baris SUFFIX:COUNT terurut, dengan SUFFIX 35 karakter hex sisanya dan COUNT jumlah kemunculan
+ * pada data bocor. Pemeriksaan hanya membaca satu file partisi sehingga password tidak pernah
+ * dikirim ke layanan luar. Korpus diisi admin melalui scripts/import-breached-passwords.js;
+ * selama korpus belum diimpor pemeriksaan dilewati.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { logger } from '../utils/logger.util.js';
+
+// Panjang prefix hash SHA-1 yang menjadi nama file partisi
+const PREFIX_LENGTH = 5;
+
+// File ringkasan impor; keberadaannya menandakan korpus sudah tersedia
+const MANIFEST_FILE = 'manifest.json';
+
+// Jumlah hash yang ditampung di memori sebelum ditulis ke file partisi saat impor
+const IMPORT_FLUSH_SIZE = 200000;
+
+// Peringatan korpus belum diimpor hanya dicatat sekali
+let missingCorpusLogged = false;
+
+/**
+ * Mendapatkan direktori korpus dari environment
+ * @returns {string} Path absolut direktori korpus
+ */
+export const getBreachedPasswordsDir = () =>
+  path.resolve(process.env.BREACHED_PASSWORDS_DIR || 'data/breached-passwords');
+
+/**
+ * Menghitung hash SHA-1 password dalam hex huruf besar
+ * @param {string} password - Password
+ * @returns {string} Hash SHA-1
+ */
+const sha1Hex = (password) =>
+  crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+
+/**
+ * Path file partisi untuk sebuah prefix
+ * @param {string} dir - Direktori korpus
+ * @param {string} prefix - Prefix hash
+ * @returns {string} Path file partisi
+ */
+const getPartitionPath = (dir, prefix) => path.join(dir, `${prefix}.txt`);
+
+/**
+ * Membaca ringkasan korpus yang terakhir diimpor
+ * @returns {Promise<Object|null>} Isi manifest atau null jika korpus belum diimpor
+ */
+export const getBreachedCorpusInfo = async () => {
+  try {
+    const content = await fs.promises.readFile(
+      path.join(getBreachedPasswordsDir(), MANIFEST_FILE),
+      'utf8'
+    );
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Memeriksa apakah password terdapat pada korpus password bocor
+ * Kegagalan membaca korpus tidak memblokir pengguna (hasil checked false)
+ * @param {string} password - Password yang diperiksa
+ * @returns {Promise<Object>} { checked, breached, count }
+ */
+export const checkBreachedPassword = async (password) => {
+  const dir = getBreachedPasswordsDir();
+  const hash = sha1Hex(password);
+  const prefix = hash.slice(0, PREFIX_LENGTH);
+  const suffix = hash.slice(PREFIX_LENGTH);
+
+  try {
+    let content;
+    try {
+      content = await fs.promises.readFile(getPartitionPath(dir, prefix), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      // Partisi kosong pada korpus yang sudah diimpor berarti hash tidak ditemukan
+      if (await getBreachedCorpusInfo()) {
+        return { checked: true, breached: false, count: 0 };
+      }
+
+      if (!missingCorpusLogged) {
+        missingCorpusLogged = true;
+        logger.warn(`Breached password corpus not found in ${dir}, screening skipped`);
+      }
+      return { checked: false, breached: false, count: 0 };
+    }
+
+    for (const line of content.split('\n')) {
+      const [lineSuffix, count] = line.trim().split(':');
+      if (lineSuffix === suffix) {
+        return { checked: true, breached: true, count: parseInt(count || '1', 10) };
+      }
+    }
+
+    return { checked: true, breached: false, count: 0 };
+  } catch (error) {
+    logger.error(`Error in checkBreachedPassword: ${error.message}`);
+    return { checked: false, breached: false, count: 0 };
+  }
+};
+
+/**
+ * Membaca baris file sumber satu per satu
+ * @param {string} filePath - Path file
+ * @returns {AsyncIterable<string>} Baris file
+ */
+const readLines = (filePath) =>
+  readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+/**
+ * Menggabungkan entri duplikat pada file partisi dan mengurutkannya
+ * @param {string} filePath - Path file partisi
+ * @returns {Promise<number>} Jumlah hash pada partisi
+ */
+const normalizePartition = async (filePath) => {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const counts = new Map();
+
+  for (const line of content.split('\n')) {
+    const [suffix, count] = line.trim().split(':');
+    if (!suffix) {
+      continue;
+    }
+    counts.set(suffix, Math.max(counts.get(suffix) || 0, parseInt(count || '1', 10)));
+  }
+
+  const lines = [...counts.keys()].sort().map((suffix) => `${suffix}:${counts.get(suffix)}`);
+  await fs.promises.writeFile(filePath, `${lines.join('\n')}\n`);
+  return lines.length;
+};
+
+/**
+ * Mengimpor korpus password bocor ke direktori korpus
+ * Sumber dapat berupa direktori file range per prefix (<PREFIX> atau <PREFIX>.txt berisi
+ * SUFFIX:COUNT), file daftar hash SHA-1 (HASH atau HASH:COUNT per baris), atau file daftar
+ * password teks (opsi plain). Hasil impor digabung dengan korpus yang sudah ada.
+ * @param {string} source - Path direktori atau file sumber
+ * @param {Object} [options] - Opsi impor
+ * @param {boolean} [options.plain=false] - Baris file sumber berupa password teks
+ * @param {number} [options.minCount=1] - Abaikan hash dengan jumlah kemunculan lebih kecil
+ * @param {boolean} [options.replace=false] - Hapus korpus lama sebelum impor
+ * @param {Function} [options.onProgress] - (hashesRead) => void, dipanggil setiap flush
+ * @returns {Promise<Object>} { hashesImported, skipped, partitionsUpdated, dir }
+ */
+export const importBreachedPasswords = async (source, options = {}) => {
+  const { plain = false, minCount = 1, replace = false, onProgress } = options;
+  const dir = getBreachedPasswordsDir();
+  const sourceStat = await fs.promises.stat(source);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  if (replace) {
+    for (const file of await fs.promises.readdir(dir)) {
+      if (file.endsWith('.txt') || file === MANIFEST_FILE) {
+        await fs.promises.unlink(path.join(dir, file));
+      }
+    }
+  }
+
+  const pending = new Map();
+  const touched = new Set();
+  let pendingSize = 0;
+  let hashesRead = 0;
+  let skipped = 0;
+
+  const flush = async () => {
+    for (const [prefix, lines] of pending) {
+      await fs.promises.appendFile(getPartitionPath(dir, prefix), `${lines.join('\n')}\n`);
+      touched.add(prefix);
+    }
+    pending.clear();
+    pendingSize = 0;
+    if (onProgress) {
+      onProgress(hashesRead);
+    }
+  };
+
+  const addHash = async (hash, count) => {
+    const normalized = hash.toUpperCase();
+    if (!/^[0-9A-F]{40}$/.test(normalized) || !(count >= minCount)) {
+      skipped += 1;
+      return;
+    }
+
+    const prefix = normalized.slice(0, PREFIX_LENGTH);
+    if (!pending.has(prefix)) {
+      pending.set(prefix, []);
+    }
+    pending.get(prefix).push(`${normalized.slice(PREFIX_LENGTH)}:${count}`);
+    hashesRead += 1;
+    pendingSize += 1;
+
+    if (pendingSize >= IMPORT_FLUSH_SIZE) {
+      await flush();
+    }
+  };
+
+  if (sourceStat.isDirectory()) {
+    for (const file of (await fs.promises.readdir(source)).sort()) {
+      const match = /^([0-9A-Fa-f]{5})(\.txt)?$/.exec(file);
+      if (!match) {
+        continue;
+      }
+      for await (const line of readLines(path.join(source, file))) {
+        const [suffix, count] = line.trim().split(':');
+        if (suffix) {
+          await addHash(`${match[1]}${suffix}`, parseInt(count || '1', 10));
+        }
+      }
+    }
+  } else {
+    for await (const line of readLines(source)) {
+      if (plain) {
+        if (line) {
+          await addHash(sha1Hex(line), 1);
+        }
+        continue;
+      }
+
+      const [hash, count] = line.trim().split(':');
+      if (hash) {
+        await addHash(hash, parseInt(count || '1', 10));
+      }
+    }
+  }
+
+  await flush();
+
+  for (const prefix of touched) {
+    await normalizePartition(getPartitionPath(dir, prefix));
+  }
+
+  const partitions = (await fs.promises.readdir(dir)).filter((file) => file.endsWith('.txt')).length;
+  await fs.promises.writeFile(
+    path.join(dir, MANIFEST_FILE),
+    JSON.stringify({
+      updated_at: new Date().toISOString(),
+      partitions,
+      last_import: {
+        source: path.basename(source),
+        hashes_imported: hashesRead,
+        partitions_updated: touched.size,
+        min_count: minCount,
+        replace
+      }
+    }, null, 2)
+  );
+
+  logger.info(`Breached password corpus imported: ${hashesRead} hashes into ${touched.size} partitions`);
+
+  return {
+    hashesImported: hashesRead,
+    skipped,
+    partitionsUpdated: touched.size,
+    dir
+  };
+};
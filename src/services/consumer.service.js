@@ -1,18 +1,58 @@
 /**
  * Layanan manajemen API consumer untuk aplikasi otentikasi terpusat
  */
+import jwt from 'jsonwebtoken';
 import { 
     ConsumerModel, 
     TokenModel,
+    ClientAssertionModel,
     sequelize 
   } from '../models/index.model.js';
   import { 
+    KEY_ALGORITHMS,
     generateRandomToken, 
     hashData,
-    encryptSymmetric 
+    encryptSymmetric,
+    detectKeyAlgorithm 
   } from './crypto.service.js';
+  import { verifyJwtWithPublicKey } from './key.service.js';
   import { logger } from '../utils/logger.util.js';
   
+  // Jenis client assertion untuk otentikasi private_key_jwt (RFC 7523)
+  export const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+  
+  // Batas masa berlaku client assertion (detik)
+  const CLIENT_ASSERTION_MAX_LIFETIME = 5 * 60;
+  
+  /**
+   * Validasi kunci publik consumer terhadap algoritma yang dideklarasikan
+   * @param {string} publicKey - Kunci publik consumer (PEM)
+   * @param {string} keyAlgorithm - Algoritma kunci (RSA-2048, RSA-4096, ECDSA-P256, ECDSA-P384, Ed25519)
+   * @returns {Object|null} Hasil error, atau null jika valid
+   */
+  const validateConsumerKey = (publicKey, keyAlgorithm) => {
+    if (!KEY_ALGORITHMS[keyAlgorithm]) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        message: `Unsupported key algorithm: ${keyAlgorithm}`
+      };
+    }
+    
+    const detectedAlgorithm = detectKeyAlgorithm(publicKey);
+    if (detectedAlgorithm !== keyAlgorithm) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        message: detectedAlgorithm
+          ? `Public key is ${detectedAlgorithm}, expected ${keyAlgorithm}`
+          : 'Invalid or unsupported public key'
+      };
+    }
+    
+    return null;
+  };
+  
   /**
    * Mendapatkan consumer berdasarkan ID
    * @param {string} consumerId - ID consumer
@@ -38,6 +78,9 @@ import {
           key_algorithm: consumer.key_algorithm,
           key_version: consumer.key_version,
           allowed_ips: consumer.allowed_ips,
+          redirect_uris: consumer.redirect_uris,
+          allowed_scopes: consumer.allowed_scopes,
+          client_scopes: consumer.client_scopes,
           is_active: consumer.is_active,
           created_at: consumer.created_at,
           updated_at: consumer.updated_at
@@ -96,6 +139,9 @@ import {
         key_algorithm: consumer.key_algorithm,
         key_version: consumer.key_version,
         allowed_ips: consumer.allowed_ips,
+        redirect_uris: consumer.redirect_uris,
+        allowed_scopes: consumer.allowed_scopes,
+        client_scopes: consumer.client_scopes,
         is_active: consumer.is_active,
         created_at: consumer.created_at,
         updated_at: consumer.updated_at
@@ -128,7 +174,15 @@ import {
    * @returns {Promise<Object>} Consumer yang dibuat dan API key
    */
   export const createConsumer = async (consumerData, createdBy) => {
-    const { name, publicKey, keyAlgorithm = 'RSA-2048', allowedIps = [] } = consumerData;
+    const {
+      name,
+      publicKey,
+      keyAlgorithm = 'RSA-2048',
+      allowedIps = [],
+      redirectUris = [],
+      allowedScopes = [],
+      clientScopes = []
+    } = consumerData;
     
     // Validasi input
     if (!name || !publicKey) {
@@ -139,6 +193,12 @@ import {
       };
     }
     
+    // Validasi kunci publik sesuai algoritma
+    const keyError = validateConsumerKey(publicKey, keyAlgorithm);
+    if (keyError) {
+      return keyError;
+    }
+    
     // Mulai transaksi database
     const transaction = await sequelize.transaction();
     
@@ -172,6 +232,9 @@ import {
         key_algorithm: keyAlgorithm,
         key_version: 1,
         allowed_ips: allowedIps,
+        redirect_uris: redirectUris,
+        allowed_scopes: allowedScopes,
+        client_scopes: clientScopes,
         is_active: true
       }, { transaction });
       
@@ -188,6 +251,9 @@ import {
           key_algorithm: consumer.key_algorithm,
           key_version: consumer.key_version,
           allowed_ips: consumer.allowed_ips,
+          redirect_uris: consumer.redirect_uris,
+          allowed_scopes: consumer.allowed_scopes,
+          client_scopes: consumer.client_scopes,
           is_active: consumer.is_active,
           created_at: consumer.created_at
         },
@@ -214,7 +280,16 @@ import {
    * @returns {Promise<Object>} Consumer yang diupdate
    */
   export const updateConsumer = async (consumerId, consumerData, updatedBy) => {
-    const { name, publicKey, keyAlgorithm, allowedIps, isActive } = consumerData;
+    const {
+      name,
+      publicKey,
+      keyAlgorithm,
+      allowedIps,
+      redirectUris,
+      allowedScopes,
+      clientScopes,
+      isActive
+    } = consumerData;
     
     try {
       // Dapatkan consumer yang akan diupdate
@@ -228,6 +303,17 @@ import {
         };
       }
       
+      // Validasi kunci publik jika kunci atau algoritma berubah
+      if (publicKey !== undefined || keyAlgorithm !== undefined) {
+        const keyError = validateConsumerKey(
+          publicKey !== undefined ? publicKey : consumer.public_key,
+          keyAlgorithm !== undefined ? keyAlgorithm : consumer.key_algorithm
+        );
+        if (keyError) {
+          return keyError;
+        }
+      }
+      
       // Persiapkan data yang akan diupdate
       const updateData = {};
       
@@ -266,6 +352,18 @@ import {
         updateData.allowed_ips = allowedIps;
       }
       
+      if (redirectUris !== undefined) {
+        updateData.redirect_uris = redirectUris;
+      }
+      
+      if (allowedScopes !== undefined) {
+        updateData.allowed_scopes = allowedScopes;
+      }
+      
+      if (clientScopes !== undefined) {
+        updateData.client_scopes = clientScopes;
+      }
+      
       if (isActive !== undefined) {
         updateData.is_active = isActive;
         
@@ -293,6 +391,9 @@ import {
           key_algorithm: consumer.key_algorithm,
           key_version: consumer.key_version,
           allowed_ips: consumer.allowed_ips,
+          redirect_uris: consumer.redirect_uris,
+          allowed_scopes: consumer.allowed_scopes,
+          client_scopes: consumer.client_scopes,
           is_active: consumer.is_active,
           updated_at: consumer.updated_at
         }
@@ -447,4 +548,104 @@ import {
         message: 'An internal system error occurred'
       };
     }
-  };
\ No newline at end of file
+  };
+  
+  /**
+   * Verifikasi client assertion (private_key_jwt, RFC 7523)
+   * Assertion ditandatangani dengan private key consumer dan diverifikasi dengan
+   * public_key yang terdaftar. iss dan sub harus berisi nama consumer (client_id),
+   * aud harus berisi URL token endpoint, dan jti hanya dapat dipakai sekali.
+   * @param {string} assertion - JWT client assertion
+   * @param {Object} options - Opsi verifikasi
+   * @param {string} [options.clientId] - client_id yang dikirim bersama assertion
+   * @param {string|string[]} options.audience - Audience yang diterima
+   * @returns {Promise<Object>} Hasil verifikasi
+   */
+  export const verifyClientAssertion = async (assertion, options) => {
+    const { clientId, audience } = options;
+    
+    try {
+      const claims = jwt.decode(assertion);
+      
+      if (!claims || !claims.iss || claims.iss !== claims.sub || (clientId && claims.iss !== clientId)) {
+        return {
+          success: false,
+          code: 'INVALID_ASSERTION',
+          message: 'Invalid client assertion'
+        };
+      }
+      
+      // Dapatkan consumer
+      const consumer = await ConsumerModel.findOne({
+        where: { name: claims.iss, is_active: true }
+      });
+      
+      if (!consumer) {
+        return {
+          success: false,
+          code: 'CONSUMER_NOT_FOUND',
+          message: 'API consumer not found or inactive'
+        };
+      }
+      
+      // Verifikasi tanda tangan dan klaim dengan kunci publik consumer
+      const verified = verifyJwtWithPublicKey(assertion, consumer, {
+        issuer: consumer.name,
+        subject: consumer.name,
+        audience
+      });
+      
+      if (!verified.success) {
+        return {
+          success: false,
+          code: 'INVALID_ASSERTION',
+          message: 'Invalid client assertion'
+        };
+      }
+      
+      const { exp, jti } = verified.payload;
+      const now = Math.floor(Date.now() / 1000);
+      
+      // exp dan jti wajib ada, dan masa berlaku assertion harus singkat
+      if (
+        !exp ||
+        typeof jti !== 'string' ||
+        !jti ||
+        jti.length > 255 ||
+        exp - now > CLIENT_ASSERTION_MAX_LIFETIME
+      ) {
+        return {
+          success: false,
+          code: 'INVALID_ASSERTION',
+          message: 'Client assertion must have jti and a short exp'
+        };
+      }
+      
+      // jti disimpan di database sampai exp sehingga replay juga ditolak oleh instance lain
+      const registered = await ClientAssertionModel.register(consumer.id, jti, new Date(exp * 1000));
+      if (!registered) {
+        logger.warn(`Client assertion replay detected for consumer: ${consumer.name}`);
+        return {
+          success: false,
+          code: 'ASSERTION_REUSED',
+          message: 'Client assertion has already been used'
+        };
+      }
+      
+      return {
+        success: true,
+        consumer: {
+          id: consumer.id,
+          name: consumer.name,
+          key_algorithm: consumer.key_algorithm
+        }
+      };
+    } catch (error) {
+      logger.error(`Error in verifyClientAssertion: ${error.message}`);
+      return {
+        success: false,
+        code: 'SYSTEM_ERROR',
+        message: 'An internal system error occurred'
+      };
+    }
+  };
@@ -15,6 +15,31 @@ const compareAsync = promisify(bcrypt.compare);
 // Konfigurasi bcrypt
 const SALT_ROUNDS = 10;
 
+/**
+ * Algoritma kunci asimetris yang didukung beserta parameter pembuatan,
+ * hash untuk tanda tangan, dan algoritma JWT yang sesuai
+ */
+export const KEY_ALGORITHMS = {
+  'RSA-2048': { type: 'rsa', options: { modulusLength: 2048 }, hash: 'sha256', jwtAlgorithm: 'RS256' },
+  'RSA-4096': { type: 'rsa', options: { modulusLength: 4096 }, hash: 'sha256', jwtAlgorithm: 'RS256' },
+  'ECDSA-P256': { type: 'ec', options: { namedCurve: 'P-256' }, hash: 'sha256', jwtAlgorithm: 'ES256' },
+  'ECDSA-P384': { type: 'ec', options: { namedCurve: 'P-384' }, hash: 'sha384', jwtAlgorithm: 'ES384' },
+  'Ed25519': { type: 'ed25519', options: {}, hash: null, jwtAlgorithm: 'EdDSA' }
+};
+
+// Nama kurva OpenSSL untuk kurva ECDSA yang didukung
+const EC_CURVE_ALGORITHMS = {
+  prime256v1: 'ECDSA-P256',
+  secp384r1: 'ECDSA-P384'
+};
+
+// Prefix nilai yang dienkripsi dengan data encryption key (DEK) berversi
+const DATA_KEY_PREFIX = 'enc';
+
+// Kunci AES hasil scrypt per secret; scrypt sengaja lambat (puluhan ms) sehingga tidak
+// diulang untuk setiap enkripsi/dekripsi
+const derivedKeyCache = new Map();
+
 /**
  * Membuat hash password menggunakan bcrypt
  * @param {string} password - Password plain text yang akan di-hash
@@ -46,6 +71,21 @@ export const verifyPassword = async (password, hash) => {
   }
 };
 
+/**
+ * Menurunkan kunci AES-256 dari secret (scrypt), di-cache per secret
+ * @param {string} secret - Secret key
+ * @returns {Buffer} Kunci 32 byte
+ */
+const deriveSymmetricKey = (secret) => {
+  const cacheKey = crypto.createHash('sha256').update(secret).digest('hex');
+  let key = derivedKeyCache.get(cacheKey);
+  if (!key) {
+    key = crypto.scryptSync(secret, 'salt', 32);
+    derivedKeyCache.set(cacheKey, key);
+  }
+  return key;
+};
+
 /**
  * Encrypt data simetris menggunakan AES-256
  * @param {string} data - Data yang akan dienkripsi
@@ -54,8 +94,8 @@ export const verifyPassword = async (password, hash) => {
  */
 export const encryptSymmetric = (data, secret) => {
   try {
-    // Derive key and iv from secret
-    const key = crypto.scryptSync(secret, 'salt', 32);
+    // Derive key from secret and generate iv
+    const key = deriveSymmetricKey(secret);
     const iv = crypto.randomBytes(16);
     const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
     
@@ -84,7 +124,7 @@ export const decryptSymmetric = (encryptedData, secret) => {
     const encrypted = parts[1];
     
     // Derive key from secret
-    const key = crypto.scryptSync(secret, 'salt', 32);
+    const key = deriveSymmetricKey(secret);
     const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
     
     let decrypted = decipher.update(encrypted, 'hex', 'utf8');
@@ -97,6 +137,105 @@ export const decryptSymmetric = (encryptedData, secret) => {
   }
 };
 
+/**
+ * Memuat data encryption key (DEK) berversi dari environment
+ * DATA_ENCRYPTION_KEYS berformat "v1:secret1,v2:secret2" dan DATA_ENCRYPTION_KEY_VERSION
+ * menentukan versi aktif untuk enkripsi baru (default: versi terakhir pada daftar).
+ * Tanpa DATA_ENCRYPTION_KEYS, KEY_PASSPHRASE dipakai sebagai versi v1; tanpa keduanya
+ * fungsi ini melempar error (tidak ada kunci default yang diketahui umum).
+ * Environment dibaca saat dipanggil agar script yang memuat dotenv belakangan tetap mendapat kunci.
+ * @returns {Object} { keys: { [version]: secret }, activeVersion }
+ * @throws {Error} Jika kunci tidak dikonfigurasi atau konfigurasinya tidak valid
+ */
+const loadDataKeys = () => {
+  const keys = {};
+  const configured = (process.env.DATA_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of configured) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error('Invalid DATA_ENCRYPTION_KEYS entry, expected "<version>:<secret>"');
+    }
+    keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+  }
+
+  if (Object.keys(keys).length === 0) {
+    if (!process.env.KEY_PASSPHRASE) {
+      throw new Error('Data encryption key not configured, set DATA_ENCRYPTION_KEYS or KEY_PASSPHRASE');
+    }
+    keys.v1 = process.env.KEY_PASSPHRASE;
+  }
+
+  const activeVersion = process.env.DATA_ENCRYPTION_KEY_VERSION || Object.keys(keys).pop();
+  if (!keys[activeVersion]) {
+    throw new Error(`Data encryption key version not configured: ${activeVersion}`);
+  }
+
+  return { keys, activeVersion };
+};
+
+/**
+ * Memastikan data encryption key sudah dikonfigurasi
+ * Dipanggil saat startup agar aplikasi gagal dijalankan, bukan mengenkripsi secret MFA
+ * dengan kunci yang tidak dikonfigurasi
+ * @throws {Error} Jika kunci tidak dikonfigurasi atau konfigurasinya tidak valid
+ */
+export const assertDataKeysConfigured = () => {
+  loadDataKeys();
+};
+
+/**
+ * Mendapatkan versi data encryption key yang aktif
+ * @returns {string} Versi DEK aktif
+ */
+export const getActiveDataKeyVersion = () => loadDataKeys().activeVersion;
+
+/**
+ * Mendapatkan versi DEK dari nilai terenkripsi
+ * @param {string} value - Nilai tersimpan
+ * @returns {string|null} Versi DEK, null jika nilai belum dienkripsi (plaintext lama)
+ */
+export const getDataKeyVersion = (value) => {
+  if (typeof value !== 'string' || !value.startsWith(`${DATA_KEY_PREFIX}:`)) {
+    return null;
+  }
+  return value.split(':')[1] || null;
+};
+
+/**
+ * Enkripsi data dengan DEK aktif
+ * @param {string} data - Data yang akan dienkripsi
+ * @returns {string} Data terenkripsi dengan format enc:<versi>:<iv>:<ciphertext>
+ */
+export const encryptWithDataKey = (data) => {
+  const { keys, activeVersion } = loadDataKeys();
+  return `${DATA_KEY_PREFIX}:${activeVersion}:${encryptSymmetric(data, keys[activeVersion])}`;
+};
+
+/**
+ * Dekripsi data yang dienkripsi dengan DEK berversi
+ * Nilai tanpa prefix dianggap plaintext lama dan dikembalikan apa adanya
+ * @param {string} value - Nilai tersimpan
+ * @returns {string} Data terdekripsi
+ */
+export const decryptWithDataKey = (value) => {
+  const version = getDataKeyVersion(value);
+  if (!version) {
+    return value;
+  }
+
+  const { keys } = loadDataKeys();
+  if (!keys[version]) {
+    logger.error(`Data encryption key version not available: ${version}`);
+    throw new Error('Failed to decrypt data');
+  }
+
+  return decryptSymmetric(value.slice(DATA_KEY_PREFIX.length + version.length + 2), keys[version]);
+};
+
 /**
  * Membuat pasangan kunci RSA baru
  * @param {number} keySize - Ukuran kunci dalam bit
@@ -115,6 +254,73 @@ export const generateRsaKeyPair = (keySize = 2048) => {
   }
 };
 
+/**
+ * Membuat pasangan kunci asimetris menggunakan crypto bawaan Node
+ * @param {string} keyAlgorithm - Algoritma kunci (RSA-2048, RSA-4096, ECDSA-P256, ECDSA-P384, Ed25519)
+ * @returns {Object} Pasangan kunci PEM { publicKey, privateKey }
+ */
+export const generateKeyPair = (keyAlgorithm = 'RSA-2048') => {
+  const algorithm = KEY_ALGORITHMS[keyAlgorithm];
+  if (!algorithm) {
+    throw new Error(`Unsupported key algorithm: ${keyAlgorithm}`);
+  }
+
+  try {
+    return crypto.generateKeyPairSync(algorithm.type, {
+      ...algorithm.options,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+  } catch (error) {
+    logger.error(`Error generating ${keyAlgorithm} key pair: ${error.message}`);
+    throw new Error('Failed to generate key pair');
+  }
+};
+
+/**
+ * Mendeteksi algoritma kunci dari kunci publik atau privat PEM
+ * @param {string} key - Kunci dalam format PEM
+ * @returns {string|null} Algoritma kunci, null jika tidak didukung
+ */
+export const detectKeyAlgorithm = (key) => {
+  try {
+    const keyObject = key.includes('PRIVATE KEY')
+      ? crypto.createPrivateKey(key)
+      : crypto.createPublicKey(key);
+    const details = keyObject.asymmetricKeyDetails || {};
+
+    switch (keyObject.asymmetricKeyType) {
+      case 'rsa':
+        return details.modulusLength >= 4096 ? 'RSA-4096' : 'RSA-2048';
+      case 'ec':
+        return EC_CURVE_ALGORITHMS[details.namedCurve] || null;
+      case 'ed25519':
+        return 'Ed25519';
+      default:
+        return null;
+    }
+  } catch (error) {
+    logger.error(`Error detecting key algorithm: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Mendapatkan algoritma hash untuk tanda tangan berdasarkan kunci
+ * @param {crypto.KeyObject} keyObject - Kunci publik atau privat
+ * @returns {string|null} Nama hash (null untuk Ed25519)
+ */
+const getSignatureHash = (keyObject) => {
+  if (keyObject.asymmetricKeyType === 'ed25519') {
+    return null;
+  }
+  if (keyObject.asymmetricKeyType === 'ec') {
+    const keyAlgorithm = EC_CURVE_ALGORITHMS[keyObject.asymmetricKeyDetails.namedCurve];
+    return keyAlgorithm ? KEY_ALGORITHMS[keyAlgorithm].hash : 'sha256';
+  }
+  return 'sha256';
+};
+
 /**
  * Mengenkripsi private key dengan passphrase
  * @param {string} privateKey - Private key yang akan dienkripsi
@@ -137,15 +343,16 @@ export const decryptPrivateKey = (encryptedPrivateKey, passphrase) => {
 
 /**
  * Buat tanda tangan digital (signature) menggunakan private key
+ * Mendukung RSA (PKCS#1 v1.5 SHA-256, kompatibel dengan node-rsa), ECDSA P-256/P-384 dan Ed25519
  * @param {string} data - Data yang akan ditandatangani
  * @param {string} privateKey - Private key untuk penandatanganan
  * @returns {string} Tanda tangan digital (base64)
  */
 export const signData = (data, privateKey) => {
   try {
-    const key = new NodeRSA(privateKey);
-    const signature = key.sign(Buffer.from(data), 'base64', 'utf8');
-    return signature;
+    const key = crypto.createPrivateKey(privateKey);
+    const signature = crypto.sign(getSignatureHash(key), Buffer.from(data, 'utf8'), key);
+    return signature.toString('base64');
   } catch (error) {
     logger.error(`Error signing data: ${error.message}`);
     throw new Error('Failed to sign data');
@@ -161,8 +368,13 @@ export const signData = (data, privateKey) => {
  */
 export const verifySignature = (data, signature, publicKey) => {
   try {
-    const key = new NodeRSA(publicKey);
-    return key.verify(Buffer.from(data), signature, 'utf8', 'base64');
+    const key = crypto.createPublicKey(publicKey);
+    return crypto.verify(
+      getSignatureHash(key),
+      Buffer.from(data, 'utf8'),
+      key,
+      Buffer.from(signature, 'base64')
+    );
   } catch (error) {
     logger.error(`Error verifying signature: ${error.message}`);
     return false;
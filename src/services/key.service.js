@@ -1,12 +1,17 @@
 /**
  * Layanan manajemen kunci untuk aplikasi otentikasi terpusat
  */
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import jwt from 'jsonwebtoken';
 import { fileURLToPath } from 'url';
-import { ProviderKeyModel, sequelize } from '../models/index.model.js';
+import { Op } from 'sequelize';
+import { ProviderKeyModel } from '../models/index.model.js';
 import { 
-  generateRsaKeyPair, 
+  KEY_ALGORITHMS,
+  generateKeyPair, 
+  detectKeyAlgorithm,
   encryptPrivateKey, 
   decryptPrivateKey, 
   signData 
@@ -17,6 +22,123 @@ import { logger } from '../utils/logger.util.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Algoritma JWT yang didukung untuk kunci RSA provider
+const RSA_JWT_ALGORITHMS = ['RS256', 'PS256'];
+
+// Cache private key yang sudah didekripsi (per ID kunci)
+const privateKeyCache = new Map();
+
+/**
+ * Mendapatkan algoritma kunci provider (RSA-2048, ECDSA-P256, Ed25519, ...)
+ * Kunci lama yang hanya mencatat "RSA" dideteksi dari kunci publiknya
+ * @param {Object} key - Instance ProviderKey
+ * @returns {string} Algoritma kunci
+ */
+const getKeyAlgorithm = (key) => {
+  if (KEY_ALGORITHMS[key.key_algorithm]) {
+    return key.key_algorithm;
+  }
+  return detectKeyAlgorithm(key.public_key) || 'RSA-2048';
+};
+
+/**
+ * Mendapatkan algoritma JWT untuk kunci provider
+ * Kunci RSA menggunakan JWT_ALGORITHM (RS256 atau PS256), kunci lain mengikuti jenis kunci
+ * @param {Object} key - Instance ProviderKey
+ * @returns {string} Algoritma JWT (RS256, PS256, ES256, ES384, EdDSA)
+ */
+const getJwtAlgorithm = (key) => {
+  const keyAlgorithm = KEY_ALGORITHMS[getKeyAlgorithm(key)];
+
+  if (keyAlgorithm.type !== 'rsa') {
+    return keyAlgorithm.jwtAlgorithm;
+  }
+
+  const algorithm = (process.env.JWT_ALGORITHM || 'RS256').toUpperCase();
+  return RSA_JWT_ALGORITHMS.includes(algorithm) ? algorithm : 'RS256';
+};
+
+/**
+ * Mendapatkan daftar algoritma JWT yang diterima saat verifikasi dengan kunci provider
+ * @param {Object} key - Instance ProviderKey
+ * @returns {string[]} Algoritma JWT yang diterima
+ */
+const getAcceptedJwtAlgorithms = (key) => {
+  const keyAlgorithm = KEY_ALGORITHMS[getKeyAlgorithm(key)];
+  return keyAlgorithm.type === 'rsa' ? RSA_JWT_ALGORITHMS : [keyAlgorithm.jwtAlgorithm];
+};
+
+/**
+ * Menandatangani JWT dengan algoritma EdDSA (Ed25519)
+ * jsonwebtoken belum mendukung EdDSA sehingga JWS dibentuk manual
+ * @param {Object} payload - Payload JWT
+ * @param {string} privateKey - Private key Ed25519 (PEM)
+ * @param {string} keyId - ID kunci untuk header kid
+ * @returns {string} JWT
+ */
+const signEdDsaJwt = (payload, privateKey, keyId) => {
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: keyId };
+  const body = { iat: Math.floor(Date.now() / 1000), ...payload };
+
+  const signingInput = [header, body]
+    .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verifikasi JWT EdDSA (Ed25519) termasuk klaim exp dan nbf
+ * @param {string} token - JWT
+ * @param {string} publicKey - Public key Ed25519 (PEM)
+ * @returns {Object} Payload JWT
+ * @throws {Error} Jika tanda tangan tidak valid atau token kedaluwarsa
+ */
+const verifyEdDsaJwt = (token, publicKey) => {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+
+  if (header.alg !== 'EdDSA') {
+    throw new Error('invalid algorithm');
+  }
+
+  const isValid = crypto.verify(
+    null,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    publicKey,
+    Buffer.from(encodedSignature || '', 'base64url')
+  );
+  if (!isValid) {
+    throw new Error('invalid signature');
+  }
+
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  const now = Math.floor(Date.now() / 1000);
+
+  if (payload.exp !== undefined && now >= payload.exp) {
+    throw new Error('jwt expired');
+  }
+  if (payload.nbf !== undefined && now < payload.nbf) {
+    throw new Error('jwt not active');
+  }
+
+  return payload;
+};
+
+/**
+ * Mendapatkan private key provider yang sudah didekripsi
+ * @param {Object} key - Instance ProviderKey
+ * @param {string} passphrase - Passphrase untuk dekripsi
+ * @returns {string} Private key (PEM)
+ */
+const getDecryptedPrivateKey = (key, passphrase) => {
+  if (!privateKeyCache.has(key.id)) {
+    privateKeyCache.set(key.id, decryptPrivateKey(key.private_key_encrypted, passphrase));
+  }
+  return privateKeyCache.get(key.id);
+};
+
 /**
  * Mendapatkan kunci provider aktif
  * @returns {Promise<Object>} Kunci aktif
@@ -43,6 +165,7 @@ export const getActiveProviderKey = async () => {
         status: key.status,
         valid_from: key.valid_from,
         valid_until: key.valid_until,
+        retire_until: key.retire_until,
         created_at: key.created_at
       }
     };
@@ -79,6 +202,7 @@ export const listProviderKeys = async () => {
         status: key.status,
         valid_from: key.valid_from,
         valid_until: key.valid_until,
+        retire_until: key.retire_until,
         created_at: key.created_at
       }))
     };
@@ -102,14 +226,21 @@ export const rotateProviderKey = async (options, adminId) => {
   const { 
     keyAlgorithm = 'RSA-2048', 
     passphrase = process.env.KEY_PASSPHRASE || 'default-passphrase',
-    validDays = 90
+    validDays = 90,
+    activate = true
   } = options;
   
   try {
+    if (!KEY_ALGORITHMS[keyAlgorithm]) {
+      return {
+        success: false,
+        code: 'INVALID_INPUT',
+        message: `Unsupported key algorithm: ${keyAlgorithm}`
+      };
+    }
+    
     // Generate pasangan kunci baru
-    const { publicKey, privateKey } = generateRsaKeyPair(
-      keyAlgorithm === 'RSA-4096' ? 4096 : 2048
-    );
+    const { publicKey, privateKey } = generateKeyPair(keyAlgorithm);
     
     // Enkripsi private key dengan passphrase
     const privateKeyEncrypted = encryptPrivateKey(privateKey, passphrase);
@@ -141,10 +272,15 @@ export const rotateProviderKey = async (options, adminId) => {
       publicKey,
       privateKeyEncrypted,
       keyAlgorithm,
-      adminId
+      adminId,
+      { activate, validDays }
     );
     
-    logger.info(`Provider key rotated to version ${newKey.key_version}`);
+    logger.info(
+      activate
+        ? `Provider key rotated to version ${newKey.key_version}`
+        : `Provider key version ${newKey.key_version} created as pending`
+    );
     
     return {
       success: true,
@@ -156,6 +292,7 @@ export const rotateProviderKey = async (options, adminId) => {
         status: newKey.status,
         valid_from: newKey.valid_from,
         valid_until: newKey.valid_until,
+        retire_until: newKey.retire_until,
         created_at: newKey.created_at
       }
     };
@@ -169,6 +306,51 @@ export const rotateProviderKey = async (options, adminId) => {
   }
 };
 
+/**
+ * Mengaktifkan kunci provider berstatus pending
+ * Kunci aktif sebelumnya menjadi retiring sampai token terakhirnya kedaluwarsa
+ * @param {string} keyId - ID kunci
+ * @param {string} adminId - ID admin yang mengaktifkan
+ * @returns {Promise<Object>} Kunci yang diaktifkan
+ */
+export const activateProviderKey = async (keyId, adminId) => {
+  try {
+    const key = await ProviderKeyModel.activateKey(keyId);
+    
+    if (!key) {
+      return {
+        success: false,
+        code: 'KEY_NOT_FOUND',
+        message: 'Key not found or not pending'
+      };
+    }
+    
+    logger.info(`Provider key ${keyId} (version ${key.key_version}) activated by ${adminId}`);
+    
+    return {
+      success: true,
+      key: {
+        id: key.id,
+        public_key: key.public_key,
+        key_algorithm: key.key_algorithm,
+        key_version: key.key_version,
+        status: key.status,
+        valid_from: key.valid_from,
+        valid_until: key.valid_until,
+        retire_until: key.retire_until,
+        created_at: key.created_at
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in activateProviderKey: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
 /**
  * Mencabut kunci provider
  * @param {string} keyId - ID kunci
@@ -187,6 +369,7 @@ export const revokeProviderKey = async (keyId, adminId) => {
       };
     }
     
+    privateKeyCache.delete(keyId);
     logger.info(`Provider key ${keyId} revoked`);
     
     return {
@@ -235,7 +418,7 @@ export const signWithProviderKey = async (data, options = {}) => {
     }
     
     // Dekripsi private key
-    const privateKey = decryptPrivateKey(key.private_key_encrypted, passphrase);
+    const privateKey = getDecryptedPrivateKey(key, passphrase);
     
     // Tanda tangani data
     const signature = signData(data, privateKey);
@@ -257,6 +440,218 @@ export const signWithProviderKey = async (data, options = {}) => {
   }
 };
 
+/**
+ * Menandatangani JWT menggunakan kunci privat provider
+ * ID kunci dicantumkan sebagai header `kid` agar consumer dapat memilih
+ * kunci publik yang sesuai dari JWKS
+ * @param {Object} payload - Payload JWT
+ * @param {Object} options - Opsi penandatanganan
+ * @returns {Promise<Object>} JWT yang ditandatangani
+ */
+export const signJwt = async (payload, options = {}) => {
+  const { keyId, passphrase = process.env.KEY_PASSPHRASE || 'default-passphrase' } = options;
+
+  try {
+    const key = keyId
+      ? await ProviderKeyModel.findByPk(keyId)
+      : await ProviderKeyModel.findActiveKey();
+
+    if (!key) {
+      return {
+        success: false,
+        code: 'KEY_NOT_FOUND',
+        message: 'Signing key not found'
+      };
+    }
+
+    if (key.status !== 'active') {
+      return {
+        success: false,
+        code: 'KEY_INACTIVE',
+        message: 'Signing key is not active'
+      };
+    }
+
+    const privateKey = getDecryptedPrivateKey(key, passphrase);
+
+    const algorithm = getJwtAlgorithm(key);
+    const token = algorithm === 'EdDSA'
+      ? signEdDsaJwt(payload, privateKey, key.id)
+      : jwt.sign(payload, privateKey, { algorithm, keyid: key.id });
+
+    return {
+      success: true,
+      token,
+      keyId: key.id,
+      keyVersion: key.key_version
+    };
+  } catch (error) {
+    logger.error(`Error in signJwt: ${error.message}`);
+    return {
+      success: false,
+      code: 'SIGNING_ERROR',
+      message: 'Failed to sign token'
+    };
+  }
+};
+
+/**
+ * Verifikasi JWT menggunakan kunci publik provider berdasarkan header `kid`
+ * @param {string} token - JWT yang akan diverifikasi
+ * @returns {Promise<Object>} Hasil verifikasi beserta payload
+ */
+export const verifyJwt = async (token) => {
+  try {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      return {
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Invalid token format'
+      };
+    }
+
+    // Hanya kunci active atau retiring (dalam masa transisi) yang diterima
+    const key = await ProviderKeyModel.findVerificationKey(decoded.header.kid);
+    if (!key) {
+      return {
+        success: false,
+        code: 'INVALID_SIGNATURE',
+        message: 'Unknown or retired signing key'
+      };
+    }
+
+    // Algoritma pada header harus sesuai dengan jenis kunci
+    const algorithms = getAcceptedJwtAlgorithms(key);
+    if (!algorithms.includes(decoded.header.alg)) {
+      return {
+        success: false,
+        code: 'INVALID_SIGNATURE',
+        message: 'Token algorithm does not match signing key'
+      };
+    }
+
+    const payload = decoded.header.alg === 'EdDSA'
+      ? verifyEdDsaJwt(token, key.public_key)
+      : jwt.verify(token, key.public_key, { algorithms });
+
+    return {
+      success: true,
+      payload,
+      keyId: key.id
+    };
+  } catch (error) {
+    logger.warn(`Invalid JWT signature: ${error.message}`);
+    return {
+      success: false,
+      code: 'INVALID_SIGNATURE',
+      message: 'Invalid token signature'
+    };
+  }
+};
+
+/**
+ * Verifikasi JWT yang ditandatangani pihak lain (misalnya client assertion consumer)
+ * menggunakan kunci publik beserta algoritmanya
+ * @param {string} token - JWT yang akan diverifikasi
+ * @param {Object} key - Pemilik kunci ({ public_key, key_algorithm })
+ * @param {Object} [options] - Klaim yang wajib sesuai (issuer, subject, audience)
+ * @returns {Object} Hasil verifikasi beserta payload
+ */
+export const verifyJwtWithPublicKey = (token, key, options = {}) => {
+  try {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      return {
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Invalid token format'
+      };
+    }
+
+    const algorithms = getAcceptedJwtAlgorithms(key);
+    if (!algorithms.includes(decoded.header.alg)) {
+      return {
+        success: false,
+        code: 'INVALID_SIGNATURE',
+        message: 'Token algorithm does not match key'
+      };
+    }
+
+    if (decoded.header.alg !== 'EdDSA') {
+      return {
+        success: true,
+        payload: jwt.verify(token, key.public_key, { algorithms, ...options })
+      };
+    }
+
+    // jsonwebtoken tidak dipakai untuk EdDSA sehingga klaim diperiksa manual
+    const payload = verifyEdDsaJwt(token, key.public_key);
+    const audiences = [].concat(payload.aud || []);
+
+    if (
+      (options.issuer && payload.iss !== options.issuer) ||
+      (options.subject && payload.sub !== options.subject) ||
+      (options.audience && ![].concat(options.audience).some(aud => audiences.includes(aud)))
+    ) {
+      throw new Error('jwt claims invalid');
+    }
+
+    return {
+      success: true,
+      payload
+    };
+  } catch (error) {
+    logger.warn(`Invalid JWT: ${error.message}`);
+    return {
+      success: false,
+      code: 'INVALID_SIGNATURE',
+      message: 'Invalid token signature'
+    };
+  }
+};
+
+/**
+ * Membuat JSON Web Key Set (JWKS) dari kunci publik provider
+ * Kunci pending ikut dipublikasikan agar cache consumer sudah memuatnya
+ * sebelum kunci diaktifkan; kunci retired dan revoked tidak dipublikasikan
+ * @returns {Promise<Object>} JWKS
+ */
+export const getJwks = async () => {
+  try {
+    const result = await listProviderKeys();
+    if (!result.success) {
+      return result;
+    }
+
+    const now = new Date();
+    const keys = result.keys
+      .filter(key =>
+        key.status === 'pending' ||
+        key.status === 'active' ||
+        (key.status === 'retiring' && key.retire_until && key.retire_until > now)
+      )
+      .map(key => ({
+        ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+        kid: key.id,
+        use: 'sig',
+        alg: getJwtAlgorithm(key)
+      }));
+
+    return {
+      success: true,
+      jwks: { keys }
+    };
+  } catch (error) {
+    logger.error(`Error in getJwks: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
 /**
  * Cek dan rotasi kunci yang hampir kedaluwarsa
  * @param {string} adminId - ID admin untuk rotasi
@@ -264,6 +659,12 @@ export const signWithProviderKey = async (data, options = {}) => {
  */
 export const checkAndRotateExpiringKeys = async (adminId) => {
   try {
+    // Kunci retiring yang masa transisinya sudah lewat menjadi retired
+    const retired = await ProviderKeyModel.retireExpiredKeys();
+    if (retired > 0) {
+      logger.info(`Retired ${retired} provider keys after their transition period`);
+    }
+    
     const now = new Date();
     const warningDays = 10; // Rotasi kunci yang akan kedaluwarsa dalam 10 hari
     
@@ -275,9 +676,9 @@ export const checkAndRotateExpiringKeys = async (adminId) => {
       where: {
         status: 'active',
         valid_until: {
-          [sequelize.Op.not]: null,
-          [sequelize.Op.lt]: warningDate,
-          [sequelize.Op.gt]: now
+          [Op.not]: null,
+          [Op.lt]: warningDate,
+          [Op.gt]: now
         }
       }
     });
@@ -0,0 +1,266 @@
+/**
+ * Layanan penguncian akun akibat percobaan login gagal
+ *
+ * Setiap password salah memperpanjang jeda sebelum percobaan berikutnya diterima secara
+ * eksponensial (LOCKOUT_BACKOFF_BASE_SECONDS * 2^(gagal - 1)). Setelah LOCKOUT_THRESHOLD kali
+ * gagal, akun dikunci sementara; durasi kunci berlipat dua untuk setiap penguncian berturut-turut
+ * (LOCKOUT_DURATION_SECONDS hingga LOCKOUT_MAX_DURATION_SECONDS) dan kunci terbuka otomatis
+ * setelah locked_until lewat. Jika LOCKOUT_PERMANENT_AFTER diisi, penguncian ke-N bersifat
+ * permanen dan hanya dapat dibuka admin. Kunci yang dipasang admin (locked_until kosong)
+ * tidak pernah terbuka otomatis.
+ */
+import { Op } from 'sequelize';
+import { UserModel } from '../models/index.model.js';
+import { logAccountActivity } from './audit.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Jumlah password salah berturut-turut sebelum akun dikunci
+export const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD || '5', 10);
+
+// Durasi penguncian pertama (detik); berlipat dua untuk setiap penguncian berikutnya
+const LOCKOUT_DURATION_SECONDS = parseInt(process.env.LOCKOUT_DURATION_SECONDS || '900', 10);
+
+// Batas durasi penguncian sementara (detik)
+const LOCKOUT_MAX_DURATION_SECONDS = parseInt(
+  process.env.LOCKOUT_MAX_DURATION_SECONDS || '86400',
+  10
+);
+
+// Jeda dasar antar percobaan setelah password salah (detik, 0 menonaktifkan jeda)
+const LOCKOUT_BACKOFF_BASE_SECONDS = parseInt(
+  process.env.LOCKOUT_BACKOFF_BASE_SECONDS || '1',
+  10
+);
+
+// Penguncian berturut-turut ke-N menjadi permanen (0 = tidak pernah permanen)
+const LOCKOUT_PERMANENT_AFTER = parseInt(process.env.LOCKOUT_PERMANENT_AFTER || '0', 10);
+
+/**
+ * Menghitung durasi penguncian ke-N
+ * @param {number} lockoutCount - Urutan penguncian berturut-turut (mulai dari 1)
+ * @returns {number} Durasi penguncian (detik)
+ */
+const getLockDurationSeconds = (lockoutCount) =>
+  Math.min(
+    LOCKOUT_DURATION_SECONDS * 2 ** Math.max(0, lockoutCount - 1),
+    LOCKOUT_MAX_DURATION_SECONDS
+  );
+
+/**
+ * Menghitung sisa jeda sebelum percobaan login berikutnya diterima
+ * @param {Object} user - Instance User
+ * @returns {number} Sisa jeda (detik), 0 jika percobaan boleh dilakukan
+ */
+export const getLoginBackoffSeconds = (user) => {
+  if (!LOCKOUT_BACKOFF_BASE_SECONDS || !user.failed_attempts || !user.last_failed_at) {
+    return 0;
+  }
+
+  const delayMs = Math.min(
+    LOCKOUT_BACKOFF_BASE_SECONDS * 2 ** (user.failed_attempts - 1),
+    LOCKOUT_MAX_DURATION_SECONDS
+  ) * 1000;
+  const remainingMs = new Date(user.last_failed_at).getTime() + delayMs - Date.now();
+
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+/**
+ * Memeriksa status kunci akun
+ * Kunci sementara yang sudah lewat dibuka otomatis dan dicatat sebagai account_unlocked
+ * @param {Object} user - Instance User
+ * @param {Object} [context] - Konteks request (consumerId, ipAddress, userAgent)
+ * @returns {Promise<boolean>} True jika akun masih terkunci
+ */
+export const isAccountLocked = async (user, context = {}) => {
+  if (!user.is_locked) {
+    return false;
+  }
+
+  if (!user.locked_until || new Date(user.locked_until) > new Date()) {
+    return true;
+  }
+
+  // Update bersyarat agar pembukaan otomatis hanya dicatat sekali
+  const [released] = await UserModel.update(
+    { is_locked: false, locked_until: null, failed_attempts: 0, last_failed_at: null },
+    {
+      where: {
+        id: user.id,
+        is_locked: true,
+        locked_until: { [Op.lte]: new Date() }
+      }
+    }
+  );
+
+  const lockedUntil = user.locked_until;
+  user.set({ is_locked: false, locked_until: null, failed_attempts: 0, last_failed_at: null });
+
+  if (released) {
+    logger.info(`Account lock expired for user: ${user.username}`);
+    await logAccountActivity({
+      userId: user.id,
+      consumerId: context.consumerId,
+      action: 'unlock',
+      initiatedBy: 'system',
+      reason: 'lock_expired',
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      additionalData: { locked_until: lockedUntil }
+    });
+  }
+
+  return false;
+};
+
+/**
+ * Mendapatkan informasi kunci akun untuk respons ACCOUNT_LOCKED
+ * @param {Object} user - Instance User yang terkunci
+ * @returns {Object} Hasil error ACCOUNT_LOCKED
+ */
+export const getAccountLockedResult = (user) => {
+  if (!user.locked_until) {
+    return {
+      success: false,
+      code: 'ACCOUNT_LOCKED',
+      message: 'Account is locked. Please contact administrator'
+    };
+  }
+
+  return {
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account is temporarily locked. Please try again later',
+    lockedUntil: user.locked_until,
+    retryAfter: Math.max(
+      1,
+      Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000)
+    )
+  };
+};
+
+/**
+ * Mencatat password salah dan mengunci akun jika batas terlampaui
+ * @param {Object} user - Instance User
+ * @param {Object} [context] - Konteks request (consumerId, ipAddress, userAgent)
+ * @returns {Promise<Object>} { locked, failedAttempts, lockedUntil, retryAfter }
+ */
+export const registerFailedLogin = async (user, context = {}) => {
+  await user.increment('failed_attempts');
+  await user.reload();
+
+  const now = new Date();
+
+  if (user.failed_attempts < LOCKOUT_THRESHOLD) {
+    await user.update({ last_failed_at: now });
+    return {
+      locked: false,
+      failedAttempts: user.failed_attempts,
+      retryAfter: getLoginBackoffSeconds(user)
+    };
+  }
+
+  const lockoutCount = (user.lockout_count || 0) + 1;
+  const permanent = LOCKOUT_PERMANENT_AFTER > 0 && lockoutCount >= LOCKOUT_PERMANENT_AFTER;
+  const lockedUntil = permanent
+    ? null
+    : new Date(now.getTime() + getLockDurationSeconds(lockoutCount) * 1000);
+
+  await user.update({
+    is_locked: true,
+    locked_until: lockedUntil,
+    lockout_count: lockoutCount,
+    failed_attempts: 0,
+    last_failed_at: now
+  });
+
+  logger.warn(
+    `Account locked after too many failed attempts: ${user.username}` +
+      (permanent ? ' (permanent)' : ` until ${lockedUntil.toISOString()}`)
+  );
+
+  await logAccountActivity({
+    userId: user.id,
+    consumerId: context.consumerId,
+    action: 'lock',
+    initiatedBy: 'system',
+    reason: 'too_many_failed_attempts',
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    additionalData: {
+      locked_until: lockedUntil,
+      lockout_count: lockoutCount,
+      permanent
+    }
+  });
+
+  return {
+    locked: true,
+    failedAttempts: LOCKOUT_THRESHOLD,
+    lockedUntil
+  };
+};
+
+/**
+ * Membuka kunci akun oleh admin
+ * Penghitung percobaan gagal dan riwayat penguncian ikut di-reset
+ * @param {string} userId - ID pengguna
+ * @param {Object} options - Opsi pembukaan kunci
+ * @param {string} options.adminId - ID admin yang membuka kunci
+ * @returns {Promise<Object>} Hasil operasi
+ */
+export const unlockAccount = async (userId, { adminId }) => {
+  try {
+    const user = await UserModel.findByPk(userId);
+    if (!user) {
+      return {
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      };
+    }
+
+    if (!user.is_locked) {
+      return {
+        success: false,
+        code: 'ACCOUNT_NOT_LOCKED',
+        message: 'Account is not locked'
+      };
+    }
+
+    const previousLock = {
+      locked_until: user.locked_until,
+      lockout_count: user.lockout_count
+    };
+
+    await user.update({
+      is_locked: false,
+      locked_until: null,
+      lockout_count: 0,
+      failed_attempts: 0,
+      last_failed_at: null,
+      updated_by: adminId
+    });
+
+    logger.info(`Account unlocked for user: ${user.username} by admin: ${adminId}`);
+
+    return {
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          is_locked: false
+        },
+        previousLock
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in unlockAccount: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
@@ -0,0 +1,181 @@
+/**
+ * Layanan login tanpa password melalui link email (magic link)
+ *
+ * Link berisi token acak sekali pakai yang hanya disimpan dalam bentuk hash, berlaku singkat
+ * (MAGIC_LINK_EXPIRES_SECONDS), dan terikat pada consumer yang meminta serta redirect URI
+ * terdaftar consumer tersebut. Hanya link terbaru yang berlaku; link sebelumnya dibatalkan
+ * saat link baru dikirim.
+ *
+ * Penukaran link dilakukan oleh consumer melalui authenticateWithMagicLink (auth.service)
+ * sehingga MFA dan kebijakan MFA tetap berlaku seperti login dengan password.
+ */
+import { UserModel, ConsumerModel, MagicLinkModel } from '../models/index.model.js';
+import { generateRandomToken, hashData } from './crypto.service.js';
+import { sendEmail } from './notification.service.js';
+import { isAccountLocked } from './lockout.service.js';
+import { logger } from '../utils/logger.util.js';
+import { escapeHtml } from '../views/oauth-login.view.js';
+
+// Masa berlaku link (detik)
+const MAGIC_LINK_EXPIRES_SECONDS = parseInt(
+  process.env.MAGIC_LINK_EXPIRES_SECONDS || '600',
+  10
+);
+
+// Jeda minimal antar pengiriman link per pengguna per consumer (detik)
+const MAGIC_LINK_RESEND_INTERVAL_SECONDS = parseInt(
+  process.env.MAGIC_LINK_RESEND_INTERVAL_SECONDS || '60',
+  10
+);
+
+const INVALID_MAGIC_LINK = {
+  success: false,
+  code: 'INVALID_MAGIC_LINK',
+  message: 'Invalid or already used login link'
+};
+
+/**
+ * Menyusun URL link login dari redirect URI consumer
+ * @param {string} redirectUri - Redirect URI terdaftar
+ * @param {string} token - Token link
+ * @returns {string} URL link login
+ */
+const buildMagicLinkUrl = (redirectUri, token) => {
+  const url = new URL(redirectUri);
+  url.searchParams.set('magic_token', token);
+  return url.toString();
+};
+
+/**
+ * Mengirim link login ke alamat email pengguna
+ * Hasil selalu berhasil untuk email yang tidak terdaftar, akun nonaktif/terkunci, atau
+ * permintaan yang terlalu cepat agar keberadaan akun tidak dapat ditebak (sent bernilai false)
+ * @param {Object} params - Parameter permintaan
+ * @param {string} params.email - Alamat email pengguna
+ * @param {string} params.redirectUri - Redirect URI terdaftar consumer tujuan link
+ * @param {Object} context - Konteks request (consumerId, ipAddress, userAgent)
+ * @returns {Promise<Object>} { success, sent, userId }
+ */
+export const sendMagicLink = async (params, context) => {
+  const { email, redirectUri } = params;
+  const { consumerId, ipAddress, userAgent } = context;
+
+  try {
+    const consumer = await ConsumerModel.findByPk(consumerId);
+    if (!consumer || !consumer.is_active) {
+      return {
+        success: false,
+        code: 'INVALID_CONSUMER',
+        message: 'Invalid or inactive API consumer'
+      };
+    }
+
+    if (!ConsumerModel.isRedirectUriAllowed(consumer, redirectUri)) {
+      logger.warn(`Magic link requested with unregistered redirect URI for consumer: ${consumer.name}`);
+      return {
+        success: false,
+        code: 'INVALID_REDIRECT_URI',
+        message: 'Redirect URI is not registered for this consumer'
+      };
+    }
+
+    const user = await UserModel.findOne({
+      where: { email, is_active: true }
+    });
+    if (!user || (await isAccountLocked(user, { consumerId, ipAddress, userAgent }))) {
+      logger.info('Magic link not sent: no active account for email');
+      return { success: true, sent: false };
+    }
+
+    const latest = await MagicLinkModel.findLatestForUser(user.id, consumer.id);
+    if (
+      latest &&
+      Date.now() - new Date(latest.created_at).getTime() < MAGIC_LINK_RESEND_INTERVAL_SECONDS * 1000
+    ) {
+      logger.warn(`Magic link throttled for user: ${user.username}`);
+      return { success: true, sent: false, userId: user.id };
+    }
+
+    // Hanya link terbaru yang berlaku
+    await MagicLinkModel.invalidatePending(user.id, consumer.id);
+
+    const token = generateRandomToken(32);
+    const link = await MagicLinkModel.create({
+      token_hash: hashData(token),
+      user_id: user.id,
+      consumer_id: consumer.id,
+      redirect_uri: redirectUri,
+      ip_address: ipAddress || null,
+      user_agent: userAgent ? userAgent.substring(0, 255) : null,
+      expires_at: new Date(Date.now() + MAGIC_LINK_EXPIRES_SECONDS * 1000)
+    });
+
+    const url = buildMagicLinkUrl(redirectUri, token);
+    const minutes = Math.round(MAGIC_LINK_EXPIRES_SECONDS / 60);
+    const sent = await sendEmail({
+      to: user.email,
+      subject: `Link login ${consumer.name}`,
+      text: `Klik link berikut untuk masuk ke ${consumer.name}:\n\n${url}\n\n` +
+        `Link berlaku ${minutes} menit dan hanya dapat digunakan satu kali. ` +
+        'Abaikan email ini jika Anda tidak meminta link login.',
+      // Nama consumer dan URL (berisi redirect URI consumer) di-escape sebelum disisipkan ke HTML
+      html: `<p>Klik link berikut untuk masuk ke <strong>${escapeHtml(consumer.name)}</strong>:</p>` +
+        `<p><a href="${escapeHtml(url)}">Masuk</a></p>` +
+        `<p>Link berlaku ${minutes} menit dan hanya dapat digunakan satu kali. ` +
+        'Abaikan email ini jika Anda tidak meminta link login.</p>'
+    });
+    if (!sent.success) {
+      logger.warn(`Failed to send magic link email for user: ${user.username}`);
+    }
+
+    logger.info(`Magic link ${link.id} issued for user: ${user.username}`);
+
+    return { success: true, sent: true, userId: user.id };
+  } catch (error) {
+    logger.error(`Error in sendMagicLink: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menukar token magic link
+ * Link harus belum digunakan, belum kedaluwarsa, serta ditukar oleh consumer dan
+ * redirect URI yang sama dengan saat link diminta
+ * @param {string} token - Token dari link
+ * @param {Object} binding - Consumer dan redirect URI penukar
+ * @param {string} binding.consumerId - ID consumer
+ * @param {string} binding.redirectUri - Redirect URI
+ * @returns {Promise<Object>} { success, link } atau hasil error
+ */
+export const consumeMagicLink = async (token, { consumerId, redirectUri }) => {
+  const link = token ? await MagicLinkModel.findByHash(hashData(token)) : null;
+  if (!link || link.consumed_at) {
+    return INVALID_MAGIC_LINK;
+  }
+
+  if (link.consumer_id !== consumerId || link.redirect_uri !== redirectUri) {
+    logger.warn(`Magic link binding mismatch for link: ${link.id}`);
+    return INVALID_MAGIC_LINK;
+  }
+
+  if (new Date() > link.expires_at) {
+    await MagicLinkModel.consume(link.id);
+    return {
+      success: false,
+      code: 'MAGIC_LINK_EXPIRED',
+      message: 'Login link has expired. Please request a new one'
+    };
+  }
+
+  // Link hanya dapat ditukar satu kali
+  const consumed = await MagicLinkModel.consume(link.id);
+  if (!consumed) {
+    return INVALID_MAGIC_LINK;
+  }
+
+  return { success: true, link };
+};
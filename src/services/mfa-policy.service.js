@@ -0,0 +1,279 @@
+/**
+ * Layanan kebijakan kewajiban MFA
+ *
+ * Admin dapat mewajibkan MFA untuk pengguna dengan role tertentu atau untuk seluruh
+ * pengguna yang login melalui consumer tertentu. Pengguna tanpa MFA yang terkena
+ * kebijakan tetap dapat login selama masa tenggang (grace_days) yang dihitung sejak
+ * login pertama setelah kebijakan berlaku (mfa_settings.policy_enforcement_started_at).
+ * Setelah masa tenggang habis, login hanya menghasilkan token pendaftaran MFA.
+ */
+import { MfaPolicyModel, RoleModel, ConsumerModel, UserModel } from '../models/index.model.js';
+import { withLockedUser } from './mfa.service.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Format kebijakan untuk respons API
+ * @param {Object} policy - Instance MfaPolicy
+ * @returns {Object} Data kebijakan
+ */
+const formatMfaPolicy = (policy) => ({
+  id: policy.id,
+  name: policy.name,
+  description: policy.description,
+  target_type: policy.target_type,
+  role_id: policy.role_id,
+  consumer_id: policy.consumer_id,
+  grace_days: policy.grace_days,
+  is_active: policy.is_active,
+  created_by: policy.created_by,
+  created_at: policy.created_at,
+  updated_at: policy.updated_at
+});
+
+/**
+ * Memastikan sasaran kebijakan (role atau consumer) ada
+ * @param {string} targetType - role atau consumer
+ * @param {Object} target - ID sasaran
+ * @param {string} [target.roleId] - ID role
+ * @param {string} [target.consumerId] - ID consumer
+ * @returns {Promise<Object>} { success } atau hasil error
+ */
+const validatePolicyTarget = async (targetType, { roleId, consumerId }) => {
+  if (targetType === 'role') {
+    const role = roleId ? await RoleModel.findByPk(roleId) : null;
+    if (!role) {
+      return {
+        success: false,
+        code: 'ROLE_NOT_FOUND',
+        message: 'Role not found'
+      };
+    }
+  } else {
+    const consumer = consumerId ? await ConsumerModel.findByPk(consumerId) : null;
+    if (!consumer) {
+      return {
+        success: false,
+        code: 'CONSUMER_NOT_FOUND',
+        message: 'Consumer not found'
+      };
+    }
+  }
+
+  return { success: true };
+};
+
+/**
+ * Mendapatkan daftar kebijakan MFA
+ * @returns {Promise<Object>} { success, data }
+ */
+export const listMfaPolicies = async () => {
+  try {
+    const policies = await MfaPolicyModel.findAll({
+      order: [['created_at', 'DESC']]
+    });
+
+    return {
+      success: true,
+      data: policies.map(formatMfaPolicy)
+    };
+  } catch (error) {
+    logger.error(`Error in listMfaPolicies: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Membuat kebijakan MFA baru
+ * @param {Object} data - Data kebijakan
+ * @param {string} data.name - Nama kebijakan
+ * @param {string} [data.description] - Deskripsi
+ * @param {string} data.targetType - role atau consumer
+ * @param {string} [data.roleId] - ID role (targetType role)
+ * @param {string} [data.consumerId] - ID consumer (targetType consumer)
+ * @param {number} [data.graceDays=0] - Masa tenggang dalam hari
+ * @param {boolean} [data.isActive=true] - Status aktif
+ * @param {string} [createdBy] - ID admin pembuat
+ * @returns {Promise<Object>} { success, data }
+ */
+export const createMfaPolicy = async (data, createdBy) => {
+  const { name, description, targetType, roleId, consumerId, graceDays = 0, isActive = true } = data;
+
+  try {
+    const existing = await MfaPolicyModel.findOne({ where: { name } });
+    if (existing) {
+      return {
+        success: false,
+        code: 'NAME_EXISTS',
+        message: 'MFA policy name already exists'
+      };
+    }
+
+    const target = await validatePolicyTarget(targetType, { roleId, consumerId });
+    if (!target.success) {
+      return target;
+    }
+
+    const policy = await MfaPolicyModel.create({
+      name,
+      description: description || null,
+      target_type: targetType,
+      role_id: targetType === 'role' ? roleId : null,
+      consumer_id: targetType === 'consumer' ? consumerId : null,
+      grace_days: graceDays,
+      is_active: isActive,
+      created_by: createdBy || null
+    });
+
+    logger.info(`MFA policy created: ${policy.name}`);
+
+    return {
+      success: true,
+      data: formatMfaPolicy(policy)
+    };
+  } catch (error) {
+    logger.error(`Error in createMfaPolicy: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Memperbarui kebijakan MFA
+ * Sasaran kebijakan tidak dapat diubah; buat kebijakan baru untuk sasaran lain
+ * @param {string} policyId - ID kebijakan
+ * @param {Object} data - Field yang diubah (name, description, graceDays, isActive)
+ * @returns {Promise<Object>} { success, data }
+ */
+export const updateMfaPolicy = async (policyId, data) => {
+  try {
+    const policy = await MfaPolicyModel.findByPk(policyId);
+    if (!policy) {
+      return {
+        success: false,
+        code: 'MFA_POLICY_NOT_FOUND',
+        message: 'MFA policy not found'
+      };
+    }
+
+    if (data.name && data.name !== policy.name) {
+      const existing = await MfaPolicyModel.findOne({ where: { name: data.name } });
+      if (existing) {
+        return {
+          success: false,
+          code: 'NAME_EXISTS',
+          message: 'MFA policy name already exists'
+        };
+      }
+    }
+
+    const updateData = {};
+    if (data.name !== undefined) updateData.name = data.name;
+    if (data.description !== undefined) updateData.description = data.description;
+    if (data.graceDays !== undefined) updateData.grace_days = data.graceDays;
+    if (data.isActive !== undefined) updateData.is_active = data.isActive;
+
+    await policy.update(updateData);
+
+    logger.info(`MFA policy updated: ${policy.name}`);
+
+    return {
+      success: true,
+      data: formatMfaPolicy(policy)
+    };
+  } catch (error) {
+    logger.error(`Error in updateMfaPolicy: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menghapus kebijakan MFA
+ * @param {string} policyId - ID kebijakan
+ * @returns {Promise<Object>} { success }
+ */
+export const deleteMfaPolicy = async (policyId) => {
+  try {
+    const policy = await MfaPolicyModel.findByPk(policyId);
+    if (!policy) {
+      return {
+        success: false,
+        code: 'MFA_POLICY_NOT_FOUND',
+        message: 'MFA policy not found'
+      };
+    }
+
+    await policy.destroy();
+
+    logger.info(`MFA policy deleted: ${policy.name}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Error in deleteMfaPolicy: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Evaluasi kebijakan MFA untuk pengguna tanpa MFA aktif yang login ke consumer
+ * Masa tenggang dimulai pada login pertama yang terkena kebijakan dan mengikuti
+ * grace_days terpendek dari seluruh kebijakan yang berlaku
+ * @param {Object} user - Instance user (password sudah terverifikasi)
+ * @param {Object} consumer - Instance consumer
+ * @returns {Promise<Object>} { required, policies, deadline, graceExpired }
+ */
+export const evaluateMfaPolicy = async (user, consumer) => {
+  const userWithRoles = await UserModel.findWithRoles(user.id);
+  const roleIds = userWithRoles ? userWithRoles.Roles.map((role) => role.id) : [];
+
+  const policies = await MfaPolicyModel.findApplicable({
+    roleIds,
+    consumerId: consumer.id
+  });
+  if (policies.length === 0) {
+    return { required: false };
+  }
+
+  // Catat awal penegakan agar masa tenggang tidak dimulai ulang setiap login.
+  // mfa_settings dibaca ulang dengan baris user terkunci agar penulisan ini tidak menimpa
+  // perubahan MFA lain yang berjalan bersamaan
+  let startedAt = (user.mfa_settings || {}).policy_enforcement_started_at;
+  if (!startedAt) {
+    startedAt = await withLockedUser(user.id, async (lockedUser, transaction) => {
+      const mfaSettings = lockedUser.mfa_settings || {};
+      if (mfaSettings.policy_enforcement_started_at) {
+        return mfaSettings.policy_enforcement_started_at;
+      }
+
+      const now = new Date().toISOString();
+      await lockedUser.update({
+        mfa_settings: { ...mfaSettings, policy_enforcement_started_at: now }
+      }, { transaction });
+      logger.info(`MFA policy enforcement started for user: ${user.username}`);
+      return now;
+    });
+  }
+
+  const graceDays = Math.min(...policies.map((policy) => policy.grace_days));
+  const deadline = new Date(new Date(startedAt).getTime() + graceDays * 24 * 60 * 60 * 1000);
+
+  return {
+    required: true,
+    policies: policies.map((policy) => policy.name),
+    deadline,
+    graceExpired: new Date() >= deadline
+  };
+};
@@ -0,0 +1,325 @@
+/**
+ * Layanan pemulihan MFA untuk pengguna yang kehilangan seluruh faktor MFA
+ *
+ * Pengguna membuat permintaan setelah password terverifikasi (challenge MFA dari login).
+ * Admin menyetujui atau menolak permintaan; persetujuan me-reset MFA pengguna
+ * dan mencabut seluruh token pengguna.
+ */
+import { MfaRecoveryRequestModel, UserModel } from '../models/index.model.js';
+import { resetMFA } from './mfa.service.js';
+import { revokeAllTokensForUser } from './auth.service.js';
+import { sendEmail } from './notification.service.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Format permintaan pemulihan untuk respons API
+ * @param {Object} request - Instance MfaRecoveryRequest
+ * @returns {Object} Data permintaan
+ */
+const formatRecoveryRequest = (request) => ({
+  id: request.id,
+  user_id: request.user_id,
+  username: request.User ? request.User.username : undefined,
+  consumer_id: request.consumer_id,
+  status: request.status,
+  reason: request.reason,
+  ip_address: request.ip_address,
+  reviewed_by: request.reviewed_by,
+  reviewed_at: request.reviewed_at,
+  review_note: request.review_note,
+  created_at: request.created_at
+});
+
+/**
+ * Kirim email pemberitahuan pemulihan MFA ke pengguna
+ * Kegagalan pengiriman hanya dicatat dan tidak membatalkan proses
+ * @param {Object} user - Instance user
+ * @param {string} subject - Subjek email
+ * @param {string} text - Isi email
+ */
+const notifyUser = async (user, subject, text) => {
+  if (!user || !user.email) {
+    return;
+  }
+
+  const sent = await sendEmail({ to: user.email, subject, text });
+  if (!sent.success) {
+    logger.warn(`Failed to send MFA recovery notification to user: ${user.username}`);
+  }
+};
+
+/**
+ * Membuat permintaan pemulihan MFA
+ * Satu pengguna hanya dapat memiliki satu permintaan pending; permintaan yang sudah ada dikembalikan
+ * @param {Object} user - Instance user (password sudah terverifikasi)
+ * @param {Object} context - Konteks permintaan
+ * @param {string} [context.consumerId] - ID consumer
+ * @param {string} [context.reason] - Alasan dari pengguna
+ * @param {string} [context.ipAddress] - IP address
+ * @param {string} [context.userAgent] - User agent
+ * @returns {Promise<Object>} { success, request, alreadyPending }
+ */
+export const createRecoveryRequest = async (user, context = {}) => {
+  try {
+    const pending = await MfaRecoveryRequestModel.findPendingByUser(user.id);
+    if (pending) {
+      return {
+        success: true,
+        alreadyPending: true,
+        request: formatRecoveryRequest(pending)
+      };
+    }
+
+    const request = await MfaRecoveryRequestModel.create({
+      user_id: user.id,
+      consumer_id: context.consumerId || null,
+      reason: context.reason || null,
+      ip_address: context.ipAddress || null,
+      user_agent: context.userAgent || null
+    });
+
+    logger.info(`MFA recovery requested for user: ${user.username}`);
+
+    await notifyUser(
+      user,
+      'Permintaan pemulihan MFA',
+      'Permintaan reset MFA untuk akun Anda telah dibuat dan menunggu persetujuan administrator. ' +
+      'Jika Anda tidak membuat permintaan ini, segera ganti password dan hubungi administrator.'
+    );
+
+    return {
+      success: true,
+      alreadyPending: false,
+      request: formatRecoveryRequest(request)
+    };
+  } catch (error) {
+    logger.error(`Error in createRecoveryRequest: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Mendapatkan daftar permintaan pemulihan MFA
+ * @param {Object} options - Opsi paginasi dan filter
+ * @param {number} [options.page=1] - Halaman
+ * @param {number} [options.limit=20] - Jumlah data per halaman
+ * @param {string} [options.status] - Filter status
+ * @returns {Promise<Object>} Daftar permintaan dengan pagination
+ */
+export const listRecoveryRequests = async (options = {}) => {
+  const { page = 1, limit = 20, status } = options;
+
+  try {
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await MfaRecoveryRequestModel.findAndCountAll({
+      where,
+      include: [{
+        model: UserModel,
+        as: 'User',
+        attributes: ['id', 'username']
+      }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      success: true,
+      data: rows.map(formatRecoveryRequest),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in listRecoveryRequests: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Mencari permintaan pending yang boleh diputuskan oleh admin
+ * @param {string} requestId - ID permintaan
+ * @param {string} adminId - ID admin peninjau
+ * @returns {Promise<Object>} { success, request } atau hasil error
+ */
+const findReviewableRequest = async (requestId, adminId) => {
+  const request = await MfaRecoveryRequestModel.findByPk(requestId);
+  if (!request) {
+    return {
+      success: false,
+      code: 'RECOVERY_REQUEST_NOT_FOUND',
+      message: 'MFA recovery request not found'
+    };
+  }
+
+  if (request.status !== 'pending') {
+    return {
+      success: false,
+      code: 'RECOVERY_REQUEST_NOT_PENDING',
+      message: `MFA recovery request is already ${request.status}`
+    };
+  }
+
+  // Admin tidak boleh menyetujui pemulihan akunnya sendiri
+  if (request.user_id === adminId) {
+    return {
+      success: false,
+      code: 'SELF_REVIEW_NOT_ALLOWED',
+      message: 'You cannot review your own MFA recovery request'
+    };
+  }
+
+  return { success: true, request };
+};
+
+/**
+ * Menyetujui permintaan pemulihan MFA
+ * MFA pengguna di-reset dan seluruh token pengguna dicabut
+ * @param {string} requestId - ID permintaan
+ * @param {Object} review - Data peninjauan
+ * @param {string} review.adminId - ID admin peninjau
+ * @param {string} [review.note] - Catatan admin
+ * @param {string} [review.ipAddress] - IP address admin
+ * @param {string} [review.userAgent] - User agent admin
+ * @returns {Promise<Object>} { success, data: { request, tokensRevoked } }
+ */
+export const approveRecoveryRequest = async (requestId, review) => {
+  const { adminId, note, ipAddress, userAgent } = review;
+
+  try {
+    const reviewable = await findReviewableRequest(requestId, adminId);
+    if (!reviewable.success) {
+      return reviewable;
+    }
+    const { request } = reviewable;
+
+    const decided = await MfaRecoveryRequestModel.decide(request.id, {
+      status: 'approved',
+      reviewedBy: adminId,
+      note
+    });
+    if (!decided) {
+      return {
+        success: false,
+        code: 'RECOVERY_REQUEST_NOT_PENDING',
+        message: 'MFA recovery request has already been reviewed'
+      };
+    }
+
+    const reset = await resetMFA(request.user_id, {
+      resetBy: adminId,
+      recoveryRequestId: request.id
+    });
+    if (!reset.success) {
+      return reset;
+    }
+
+    const revoked = await revokeAllTokensForUser(request.user_id, {
+      reason: 'mfa_recovery',
+      ipAddress,
+      userAgent
+    });
+    if (!revoked.success) {
+      logger.error(`Failed to revoke tokens after MFA recovery for user: ${request.user_id}`);
+    }
+
+    const user = await UserModel.findByPk(request.user_id);
+    logger.info(`MFA recovery approved for user: ${user ? user.username : request.user_id} by admin: ${adminId}`);
+
+    await notifyUser(
+      user,
+      'MFA Anda telah di-reset',
+      'Permintaan pemulihan MFA Anda telah disetujui. Semua faktor MFA dan sesi login Anda telah dihapus. ' +
+      'Silakan login dengan password dan daftarkan faktor MFA baru.'
+    );
+
+    await request.reload();
+    return {
+      success: true,
+      data: {
+        request: formatRecoveryRequest(request),
+        tokensRevoked: revoked.success ? revoked.count : 0
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in approveRecoveryRequest: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menolak permintaan pemulihan MFA
+ * @param {string} requestId - ID permintaan
+ * @param {Object} review - Data peninjauan
+ * @param {string} review.adminId - ID admin peninjau
+ * @param {string} [review.note] - Catatan admin
+ * @returns {Promise<Object>} { success, data: { request } }
+ */
+export const rejectRecoveryRequest = async (requestId, review) => {
+  const { adminId, note } = review;
+
+  try {
+    const reviewable = await findReviewableRequest(requestId, adminId);
+    if (!reviewable.success) {
+      return reviewable;
+    }
+    const { request } = reviewable;
+
+    const decided = await MfaRecoveryRequestModel.decide(request.id, {
+      status: 'rejected',
+      reviewedBy: adminId,
+      note
+    });
+    if (!decided) {
+      return {
+        success: false,
+        code: 'RECOVERY_REQUEST_NOT_PENDING',
+        message: 'MFA recovery request has already been reviewed'
+      };
+    }
+
+    const user = await UserModel.findByPk(request.user_id);
+    logger.info(`MFA recovery rejected for user: ${user ? user.username : request.user_id} by admin: ${adminId}`);
+
+    await notifyUser(
+      user,
+      'Permintaan pemulihan MFA ditolak',
+      'Permintaan reset MFA untuk akun Anda ditolak oleh administrator. ' +
+      'Hubungi administrator untuk informasi lebih lanjut.'
+    );
+
+    await request.reload();
+    return {
+      success: true,
+      data: {
+        request: formatRecoveryRequest(request)
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in rejectRecoveryRequest: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
@@ -2,28 +2,285 @@
  * Service untuk manajemen Multi-Factor Authentication
  *
  * Modul ini menyediakan fungsi-fungsi untuk mengelola otentikasi multi-faktor (MFA)
- * menggunakan Time-based One-Time Password (TOTP) standar.
+ * menggunakan TOTP, OTP SMS, OTP email, WebAuthn, dan persetujuan push. Setiap user dapat memiliki beberapa
+ * faktor sekaligus (mfa_settings.factors) dengan satu faktor default.
+ *
+ * Struktur mfa_settings:
+ *  {
+ *    enabled: boolean,
+ *    default_factor_id: string|null,
+ *    factors: [{ id, type, label, verified, created_at, verified_at, last_used_at, ... }],
+ *    backup_codes: [{ hash, used_at }],
+ *    otp_deliveries: { sms: string[], email: string[] },
+ *    policy_enforcement_started_at: string|null
+ *  }
+ *
+ * Secret TOTP (factor.secret) dan kode OTP yang sedang berlaku (verification_code,
+ * current_otp) disimpan terenkripsi dengan data encryption key berversi
+ * (lihat encryptWithDataKey di crypto.service).
+ *
+ * Faktor TOTP menyimpan langkah waktu terakhir yang diterima (last_totp_step) untuk
+ * menolak kode yang digunakan ulang, serta clock drift perangkat (totp_drift) yang
+ * menjadi pusat jendela verifikasi.
+ *
+ * policy_enforcement_started_at adalah awal masa tenggang kebijakan MFA (lihat
+ * mfa-policy.service); nilainya dipertahankan saat MFA dinonaktifkan agar masa
+ * tenggang tidak dimulai ulang.
  *
  * @module mfa.service
  */
+import crypto from "crypto";
 import speakeasy from "speakeasy";
 import QRCode from "qrcode";
-import { UserModel } from "../models/index.model.js";
-import { verifyPassword } from "./crypto.service.js";
+import { sequelize, UserModel, TrustedDeviceModel } from "../models/index.model.js";
+import {
+  verifyPassword,
+  hashData,
+  encryptWithDataKey,
+  decryptWithDataKey,
+  getActiveDataKeyVersion,
+  getDataKeyVersion,
+} from "./crypto.service.js";
 import { logger } from "../utils/logger.util.js";
 import { sendSMS } from "../services/notification.service.js"; // Implementasikan service ini
 import { sendEmail } from "../services/notification.service.js"; // Implementasikan service ini
 
+// Batas pengiriman ulang kode SMS/email per user per kanal
+const OTP_RESEND_INTERVAL_SECONDS = parseInt(
+  process.env.OTP_RESEND_INTERVAL_SECONDS || "60",
+  10
+);
+const OTP_MAX_SENDS_PER_HOUR = parseInt(
+  process.env.OTP_MAX_SENDS_PER_HOUR || "5",
+  10
+);
+const OTP_SEND_WINDOW_MS = 60 * 60 * 1000;
+
+// Jumlah sisa backup code yang memicu peringatan ke user
+const BACKUP_CODES_LOW_THRESHOLD = parseInt(
+  process.env.BACKUP_CODES_LOW_THRESHOLD || "3",
+  10
+);
+
+// Langkah waktu TOTP dan toleransi clock drift (dalam jumlah langkah)
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW_STEPS = parseInt(process.env.TOTP_WINDOW_STEPS || "1", 10);
+const TOTP_MAX_DRIFT_STEPS = parseInt(
+  process.env.TOTP_MAX_DRIFT_STEPS || "4",
+  10
+);
+
+// Field faktor yang disimpan terenkripsi
+const ENCRYPTED_FACTOR_FIELDS = ["secret", "verification_code", "current_otp"];
+
+// Jenis faktor MFA yang didukung
+const MFA_FACTOR_TYPES = ["totp", "sms", "email"];
+
+// Label default jika user tidak memberi nama faktor
+const DEFAULT_FACTOR_LABELS = {
+  totp: "Aplikasi autentikator",
+  sms: "SMS",
+  email: "Email",
+  webauthn: "Security key",
+  push: "Aplikasi push",
+};
+
+// Konfigurasi faktor yang kodenya dikirim (SMS dan email)
+const OTP_FACTOR_CONFIG = {
+  sms: {
+    name: "SMS",
+    destinationField: "phone_number",
+    verificationMinutes: 10,
+    otpMinutes: 5,
+    notSetupCode: "SMS_MFA_NOT_SETUP",
+    notEnabledCode: "SMS_MFA_NOT_ENABLED",
+    destinationText: "nomor telepon Anda",
+  },
+  email: {
+    name: "Email",
+    destinationField: "address",
+    verificationMinutes: 30,
+    otpMinutes: 15,
+    notSetupCode: "EMAIL_MFA_NOT_SETUP",
+    notEnabledCode: "EMAIL_MFA_NOT_ENABLED",
+    destinationText: "alamat email Anda",
+  },
+};
+
+/**
+ * ID stabil untuk faktor hasil konversi data lama
+ * Diturunkan dari jenis faktor (format UUID v4) agar ID yang ditampilkan ke client dan yang
+ * dipakai challenge login tetap sama walaupun hasil konversi belum tersimpan
+ *
+ * @param {string} type - Jenis faktor (totp, sms, email)
+ * @returns {string} ID faktor
+ */
+const getLegacyFactorId = (type) => {
+  const bytes = crypto.createHash("sha256").update(`mfa-legacy-factor:${type}`).digest().subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Normalisasi mfa_settings ke struktur daftar faktor
+ * Data lama (preferred_method dengan objek totp/sms/email) dikonversi menjadi faktor
+ * dengan ID stabil per jenis faktor dan backup code plaintext dikonversi menjadi hash;
+ * hasil konversi tersimpan saat mfa_settings di-update berikutnya atau melalui
+ * scripts/migrate-mfa-settings.js.
+ * Selalu mengembalikan salinan sehingga aman diubah sebelum disimpan.
+ *
+ * @param {Object} mfaSettings - mfa_settings user
+ * @returns {Object} mfa_settings dengan struktur factors
+ */
+export const normalizeMfaSettings = (mfaSettings) => {
+  const settings = JSON.parse(JSON.stringify(mfaSettings || {}));
+
+  if (Array.isArray(settings.factors)) {
+    return {
+      enabled: false,
+      default_factor_id: null,
+      ...settings,
+      backup_codes: toBackupCodeEntries(settings.backup_codes || []),
+    };
+  }
+
+  const factors = [];
+  let defaultFactorId = null;
+  let backupCodes = [];
+
+  for (const type of MFA_FACTOR_TYPES) {
+    const legacy = settings[type];
+    delete settings[type];
+    if (!legacy) continue;
+
+    const { backup_codes: legacyBackupCodes, setup_at, ...fields } = legacy;
+    const factor = {
+      id: getLegacyFactorId(type),
+      type,
+      label: DEFAULT_FACTOR_LABELS[type],
+      ...fields,
+      verified: Boolean(legacy.verified),
+      created_at: setup_at || new Date().toISOString(),
+      verified_at: legacy.verified_at || null,
+      last_used_at: null,
+    };
+    factors.push(factor);
+
+    if (settings.preferred_method === type && factor.verified) {
+      defaultFactorId = factor.id;
+      backupCodes = legacyBackupCodes || [];
+    }
+  }
+
+  delete settings.preferred_method;
+
+  return {
+    ...settings,
+    enabled: Boolean(settings.enabled && defaultFactorId),
+    default_factor_id: defaultFactorId,
+    factors,
+    backup_codes: toBackupCodeEntries(backupCodes),
+  };
+};
+
+/**
+ * Ringkasan faktor MFA terverifikasi yang aman ditampilkan ke client
+ * (tanpa secret/kode, tujuan pengiriman disamarkan)
+ *
+ * @param {Object} mfaSettings - mfa_settings user
+ * @returns {Object[]} Daftar ringkasan faktor
+ */
+export const summarizeMfaFactors = (mfaSettings) => {
+  const settings = normalizeMfaSettings(mfaSettings);
+  return settings.factors
+    .filter((factor) => factor.verified)
+    .map((factor) => toFactorSummary(factor, settings.default_factor_id));
+};
+
+/**
+ * Enkripsi ulang secret dan kode OTP faktor MFA dengan data encryption key aktif
+ * Nilai plaintext lama dan nilai yang dienkripsi dengan versi kunci lama
+ * dienkripsi ulang; nilai yang sudah memakai versi aktif dibiarkan.
+ * Digunakan oleh script scripts/reencrypt-mfa-secrets.js.
+ *
+ * @param {Object} mfaSettings - mfa_settings user
+ * @returns {Object} { settings, reencrypted } - mfa_settings baru dan jumlah field yang dienkripsi ulang
+ */
+export const reencryptMfaSecrets = (mfaSettings) => {
+  const settings = normalizeMfaSettings(mfaSettings);
+  const activeVersion = getActiveDataKeyVersion();
+  let reencrypted = 0;
+
+  for (const factor of settings.factors) {
+    for (const field of ENCRYPTED_FACTOR_FIELDS) {
+      if (!factor[field] || getDataKeyVersion(factor[field]) === activeVersion) {
+        continue;
+      }
+      factor[field] = encryptWithDataKey(decryptWithDataKey(factor[field]));
+      reencrypted += 1;
+    }
+  }
+
+  return { settings, reencrypted };
+};
+
+/**
+ * Step-up sebelum menambah faktor baru ketika MFA sudah aktif
+ * Token akses saja tidak cukup: tanpa pemeriksaan ini pemegang token yang bocor dapat
+ * mendaftarkan faktor miliknya sendiri. Pendaftaran faktor pertama (MFA belum aktif)
+ * tidak memerlukan step-up.
+ *
+ * @param {Object} user - Instance User
+ * @param {string} [currentPassword] - Password user saat ini
+ * @returns {Promise<Object|null>} Hasil gagal untuk dikembalikan caller, null jika boleh dilanjutkan
+ */
+export const checkFactorEnrollmentStepUp = async (user, currentPassword) => {
+  if (!normalizeMfaSettings(user.mfa_settings).enabled) {
+    return null;
+  }
+
+  if (!currentPassword) {
+    return {
+      success: false,
+      code: "PASSWORD_REQUIRED",
+      message: "Password saat ini harus diisi untuk menambah faktor MFA",
+    };
+  }
+
+  const isPasswordValid = await verifyPassword(
+    currentPassword,
+    user.password_hash
+  );
+  if (!isPasswordValid) {
+    logger.warn(
+      `Failed MFA factor enrollment attempt (invalid password) for user: ${user.username}`
+    );
+    return {
+      success: false,
+      code: "INVALID_PASSWORD",
+      message: "Password tidak valid",
+    };
+  }
+
+  return null;
+};
+
 /**
  * Setup TOTP untuk user
- * Fungsi ini membuat konfigurasi TOTP baru untuk pengguna meliputi
+ * Fungsi ini membuat faktor TOTP baru (belum terverifikasi) meliputi
  * pembuatan secret key dan QR code untuk dipindai dengan aplikasi autentikator.
+ * Setup TOTP yang belum diverifikasi sebelumnya akan diganti.
  *
  * @param {string} userId - ID user
+ * @param {string} [label] - Nama faktor (misal "Ponsel kantor")
+ * @param {string} [currentPassword] - Password saat ini (wajib jika MFA sudah aktif)
  * @returns {Promise<Object>} Setup result dengan format:
  *  {
  *    success: boolean, - Indikator keberhasilan operasi
  *    data: {
+ *      factorId: string, - ID faktor yang dibuat
  *      secret: string, - Secret key dalam format base32
  *      qrCodeUrl: string - URL data untuk QR code (format data:image/png;base64,...)
  *    },
@@ -31,10 +288,12 @@ import { sendEmail } from "../services/notification.service.js"; // Implementasi
  *    message: string - Pesan error (jika gagal)
  *  }
  */
-export const setupTOTP = async (userId) => {
+export const setupTOTP = async (userId, label = null, currentPassword = null) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -43,16 +302,13 @@ export const setupTOTP = async (userId) => {
       };
     }
 
-    // Cek apakah user sudah setup MFA
-    const mfaSettings = user.mfa_settings || {};
-    if (mfaSettings.enabled) {
-      return {
-        success: false,
-        code: "MFA_ALREADY_ENABLED",
-        message: "MFA sudah diaktifkan untuk user ini",
-      };
+    const stepUpError = await checkFactorEnrollmentStepUp(user, currentPassword);
+    if (stepUpError) {
+      return stepUpError;
     }
 
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+
     // Generate secret
     const secret = speakeasy.generateSecret({
       length: 20,
@@ -60,15 +316,13 @@ export const setupTOTP = async (userId) => {
       issuer: "Centralized Auth System",
     });
 
-    // Simpan secret ke mfa_settings user (belum verified)
-    mfaSettings.totp = {
-      secret: secret.base32, // Simpan dalam format base32
-      verified: false,
-      backup_codes: [],
-      setup_at: new Date().toISOString(),
-    };
+    // Simpan secret sebagai faktor baru (belum verified)
+    const factor = createFactor("totp", label, {
+      secret: encryptWithDataKey(secret.base32), // Base32, terenkripsi
+    });
+    replacePendingFactor(mfaSettings, factor);
 
-    await user.update({ mfa_settings: mfaSettings });
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
     // Generate QR code URL
     const otpauthUrl = secret.otpauth_url;
@@ -79,26 +333,30 @@ export const setupTOTP = async (userId) => {
     return {
       success: true,
       data: {
+        factorId: factor.id,
         secret: secret.base32,
         qrCodeUrl,
         appName: "Centralized Auth System",
       },
     };
   } catch (error) {
+    await finishTransaction(transaction, error);
     logger.error(`Error setting up TOTP: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
       message: "Terjadi kesalahan saat setup TOTP",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
 /**
  * Verifikasi dan aktifkan TOTP setup
- * Fungsi ini memverifikasi token TOTP yang dimasukkan oleh pengguna
- * dan jika valid, mengaktifkan MFA untuk akun tersebut serta
- * menghasilkan backup codes untuk digunakan jika pengguna kehilangan akses ke device autentikator.
+ * Fungsi ini memverifikasi token TOTP untuk faktor TOTP yang sedang didaftarkan.
+ * Jika ini faktor pertama, MFA diaktifkan, faktor menjadi default, dan backup codes
+ * dibuat untuk digunakan jika pengguna kehilangan akses ke semua faktor.
  *
  * @param {string} userId - ID user
  * @param {string} token - TOTP token untuk verifikasi
@@ -106,16 +364,19 @@ export const setupTOTP = async (userId) => {
  *  {
  *    success: boolean, - Indikator keberhasilan operasi
  *    data: {
- *      backupCodes: string[] - Array berisi 10 backup codes
+ *      factorId: string, - ID faktor yang diaktifkan
+ *      backupCodes: string[] - Array berisi 10 backup codes (hanya untuk faktor pertama)
  *    },
  *    code: string, - Kode error (jika gagal)
  *    message: string - Pesan error (jika gagal)
  *  }
  */
 export const verifyAndEnableTOTP = async (userId, token) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -124,9 +385,10 @@ export const verifyAndEnableTOTP = async (userId, token) => {
       };
     }
 
-    // Cek apakah user sudah setup TOTP
-    const mfaSettings = user.mfa_settings || {};
-    if (!mfaSettings.totp || !mfaSettings.totp.secret) {
+    // Cek apakah user sedang setup TOTP
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factor = findPendingFactor(mfaSettings, "totp");
+    if (!factor) {
       return {
         success: false,
         code: "TOTP_NOT_SETUP",
@@ -134,24 +396,9 @@ export const verifyAndEnableTOTP = async (userId, token) => {
       };
     }
 
-    // Cek apakah TOTP sudah diverifikasi
-    if (mfaSettings.totp.verified && mfaSettings.enabled) {
-      return {
-        success: false,
-        code: "TOTP_ALREADY_VERIFIED",
-        message: "TOTP sudah diverifikasi sebelumnya",
-      };
-    }
-
     // Verifikasi token
-    const verified = speakeasy.totp.verify({
-      secret: mfaSettings.totp.secret,
-      encoding: "base32",
-      token: token,
-      window: 1, // Allow 1 step before/after for time drift (30 detik)
-    });
-
-    if (!verified) {
+    const match = matchTotpCode(factor, token);
+    if (!match) {
       logger.warn(
         `Failed TOTP verification attempt for user: ${user.username}`
       );
@@ -162,59 +409,59 @@ export const verifyAndEnableTOTP = async (userId, token) => {
       };
     }
 
-    // Generate backup codes
-    const backupCodes = [];
-    for (let i = 0; i < 10; i++) {
-      backupCodes.push(generateBackupCode());
-    }
-
-    // Update mfa_settings
-    mfaSettings.enabled = true;
-    mfaSettings.preferred_method = "totp";
-    mfaSettings.totp.verified = true;
-    mfaSettings.totp.backup_codes = backupCodes;
-    mfaSettings.totp.verified_at = new Date().toISOString();
+    recordTotpMatch(factor, match);
+    const backupCodes = activateFactor(mfaSettings, factor);
 
-    await user.update({ mfa_settings: mfaSettings });
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
-    logger.info(`TOTP enabled for user: ${user.username}`);
+    logger.info(`TOTP factor enabled for user: ${user.username}`);
 
     return {
       success: true,
       data: {
-        backupCodes,
-        message: "TOTP berhasil diaktifkan. Simpan backup codes dengan aman.",
+        factorId: factor.id,
+        ...(backupCodes && { backupCodes }),
+        message: backupCodes
+          ? "TOTP berhasil diaktifkan. Simpan backup codes dengan aman."
+          : "TOTP berhasil ditambahkan sebagai faktor MFA.",
       },
     };
   } catch (error) {
+    await finishTransaction(transaction, error);
     logger.error(`Error verifying TOTP: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
       message: "Terjadi kesalahan saat verifikasi TOTP",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
 /**
  * Verifikasi TOTP token
- * Fungsi ini memverifikasi token TOTP yang dimasukkan oleh pengguna
+ * Fungsi ini memverifikasi token TOTP terhadap faktor TOTP user
  * dan juga memeriksa apakah token yang dimasukkan adalah backup code.
  *
  * @param {string} userId - ID user
  * @param {string} token - TOTP token untuk verifikasi
+ * @param {string} [factorId] - ID faktor TOTP tertentu (default: semua faktor TOTP)
  * @returns {Promise<Object>} Hasil verifikasi dengan format:
  *  {
  *    success: boolean, - Indikator keberhasilan operasi
  *    usedBackupCode: boolean, - Indikator apakah token adalah backup code
+ *    factorId: string, - ID faktor yang cocok (jika bukan backup code)
  *    code: string, - Kode error (jika gagal)
  *    message: string - Pesan error (jika gagal)
  *  }
  */
-export const verifyTOTP = async (userId, token) => {
+export const verifyTOTP = async (userId, token, factorId = null) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -223,13 +470,12 @@ export const verifyTOTP = async (userId, token) => {
       };
     }
 
-    // Cek apakah MFA diaktifkan
-    const mfaSettings = user.mfa_settings || {};
-    if (
-      !mfaSettings.enabled ||
-      !mfaSettings.totp ||
-      !mfaSettings.totp.verified
-    ) {
+    // Cek apakah MFA dan faktor TOTP diaktifkan
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factors = getVerifiedFactors(mfaSettings, "totp").filter(
+      (factor) => !factorId || factor.id === factorId
+    );
+    if (!mfaSettings.enabled || factors.length === 0) {
       return {
         success: false,
         code: "TOTP_NOT_ENABLED",
@@ -238,15 +484,8 @@ export const verifyTOTP = async (userId, token) => {
     }
 
     // Cek apakah token adalah backup code
-    if (
-      mfaSettings.totp.backup_codes &&
-      mfaSettings.totp.backup_codes.includes(token)
-    ) {
-      // Hapus backup code yang sudah digunakan
-      mfaSettings.totp.backup_codes = mfaSettings.totp.backup_codes.filter(
-        (code) => code !== token
-      );
-      await user.update({ mfa_settings: mfaSettings });
+    if (consumeBackupCode(mfaSettings, token)) {
+      await user.update({ mfa_settings: mfaSettings }, { transaction });
 
       logger.info(`Backup code used for user: ${user.username}`);
       return {
@@ -257,14 +496,8 @@ export const verifyTOTP = async (userId, token) => {
     }
 
     // Verifikasi token TOTP
-    const verified = speakeasy.totp.verify({
-      secret: mfaSettings.totp.secret,
-      encoding: "base32",
-      token: token,
-      window: 1, // Allow 1 step before/after for time drift
-    });
-
-    if (!verified) {
+    const factor = factors.find((candidate) => checkFactorCode(candidate, token));
+    if (!factor) {
       logger.warn(
         `Failed TOTP authentication attempt for user: ${user.username}`
       );
@@ -275,27 +508,209 @@ export const verifyTOTP = async (userId, token) => {
       };
     }
 
+    factor.last_used_at = new Date().toISOString();
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
+
     // Log successful verification
     logger.info(`Successful TOTP verification for user: ${user.username}`);
 
     return {
       success: true,
+      factorId: factor.id,
       message: "Token TOTP valid",
     };
   } catch (error) {
+    await finishTransaction(transaction, error);
     logger.error(`Error verifying TOTP: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
       message: "Terjadi kesalahan saat verifikasi TOTP",
     };
+  } finally {
+    await finishTransaction(transaction);
+  }
+};
+
+/**
+ * Verifikasi kode MFA terhadap semua faktor terverifikasi milik user
+ * Kode TOTP dicocokkan dengan setiap faktor TOTP, sedangkan OTP SMS/email
+ * dicocokkan dengan kode yang terakhir dikirim ke masing-masing faktor.
+ *
+ * @param {string} userId - ID user
+ * @param {string} code - Kode 6 digit
+ * @returns {Promise<Object>} Hasil verifikasi dengan format:
+ *  {
+ *    success: boolean, - Indikator keberhasilan operasi
+ *    factor: { id: string, type: string }, - Faktor yang cocok (jika berhasil)
+ *    code: string, - Kode error (jika gagal)
+ *    message: string - Pesan error (jika gagal)
+ *  }
+ */
+export const verifyFactorCode = async (userId, code) => {
+  let transaction;
+  try {
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
+    if (!user) {
+      return {
+        success: false,
+        code: "USER_NOT_FOUND",
+        message: "User tidak ditemukan",
+      };
+    }
+
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    if (!mfaSettings.enabled) {
+      return {
+        success: false,
+        code: "MFA_NOT_ENABLED",
+        message: "MFA tidak diaktifkan untuk user ini",
+      };
+    }
+
+    const factor = getVerifiedFactors(mfaSettings).find((candidate) =>
+      checkFactorCode(candidate, code)
+    );
+    if (!factor) {
+      logger.warn(`Invalid MFA code attempt for user: ${user.username}`);
+      return {
+        success: false,
+        code: "INVALID_OTP",
+        message: "Kode MFA tidak valid",
+      };
+    }
+
+    // OTP SMS/email hanya dapat digunakan satu kali (langkah TOTP dicatat oleh checkFactorCode)
+    delete factor.current_otp;
+    delete factor.otp_expires_at;
+    factor.last_used_at = new Date().toISOString();
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
+
+    logger.info(
+      `Successful ${factor.type} factor verification for user: ${user.username}`
+    );
+
+    return {
+      success: true,
+      factor: {
+        id: factor.id,
+        type: factor.type,
+      },
+    };
+  } catch (error) {
+    await finishTransaction(transaction, error);
+    logger.error(`Error verifying MFA factor code: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "Terjadi kesalahan saat verifikasi kode MFA",
+    };
+  } finally {
+    await finishTransaction(transaction);
+  }
+};
+
+/**
+ * Verifikasi backup code
+ * Backup code berlaku untuk semua faktor MFA user dan hanya dapat digunakan satu kali;
+ * code yang digunakan ditandai used_at. Jika sisa backup code mencapai
+ * BACKUP_CODES_LOW_THRESHOLD, user diperingatkan melalui email.
+ *
+ * @param {string} userId - ID user
+ * @param {string} backupCode - Backup code dalam format XXXXX-XXXXX
+ * @returns {Promise<Object>} Hasil verifikasi dengan format:
+ *  {
+ *    success: boolean, - Indikator keberhasilan operasi
+ *    usedBackupCode: boolean, - Selalu true jika berhasil
+ *    remainingBackupCodes: number, - Sisa backup code (jika berhasil)
+ *    lowBackupCodes: boolean, - True jika sisa backup code sudah sedikit (jika berhasil)
+ *    code: string, - Kode error (jika gagal)
+ *    message: string - Pesan error (jika gagal)
+ *  }
+ */
+export const verifyBackupCode = async (userId, backupCode) => {
+  let transaction;
+  try {
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
+    if (!user) {
+      return {
+        success: false,
+        code: "USER_NOT_FOUND",
+        message: "User tidak ditemukan",
+      };
+    }
+
+    // Cek apakah MFA diaktifkan
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    if (!mfaSettings.enabled) {
+      return {
+        success: false,
+        code: "MFA_NOT_ENABLED",
+        message: "MFA tidak diaktifkan untuk user ini",
+      };
+    }
+
+    if (!consumeBackupCode(mfaSettings, backupCode)) {
+      logger.warn(`Invalid backup code attempt for user: ${user.username}`);
+      return {
+        success: false,
+        code: "INVALID_BACKUP_CODE",
+        message: "Backup code tidak valid",
+      };
+    }
+
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
+    await finishTransaction(transaction);
+
+    const remainingBackupCodes = countRemainingBackupCodes(mfaSettings);
+    const lowBackupCodes = remainingBackupCodes <= BACKUP_CODES_LOW_THRESHOLD;
+    logger.info(
+      `Backup code used for user: ${user.username}, remaining: ${remainingBackupCodes}`
+    );
+
+    if (lowBackupCodes && user.email) {
+      const sent = await sendEmail({
+        to: user.email,
+        subject: "Sisa backup code MFA Anda hampir habis",
+        text:
+          `Sebuah backup code baru saja digunakan untuk login ke akun Anda. ` +
+          `Sisa backup code: ${remainingBackupCodes}. ` +
+          `Buat ulang backup codes sebelum semuanya habis. ` +
+          `Jika Anda tidak melakukan login ini, segera hubungi administrator.`,
+      });
+      if (!sent.success) {
+        logger.warn(`Failed to send low backup code warning to user: ${user.username}`);
+      }
+    }
+
+    return {
+      success: true,
+      usedBackupCode: true,
+      remainingBackupCodes,
+      lowBackupCodes,
+      message: "Backup code valid dan telah digunakan",
+    };
+  } catch (error) {
+    await finishTransaction(transaction, error);
+    logger.error(`Error verifying backup code: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "Terjadi kesalahan saat verifikasi backup code",
+    };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
 /**
  * Disable MFA untuk user
- * Fungsi ini menonaktifkan MFA untuk akun pengguna
- * setelah memverifikasi password untuk keamanan.
+ * Fungsi ini menonaktifkan MFA, menghapus semua faktor akun pengguna, dan mencabut
+ * perangkat tepercaya setelah memverifikasi password untuk keamanan.
  *
  * @param {string} userId - ID user
  * @param {string} currentPassword - Password user untuk verifikasi keamanan
@@ -308,9 +723,11 @@ export const verifyTOTP = async (userId, token) => {
  *  }
  */
 export const disableMFA = async (userId, currentPassword) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -320,7 +737,7 @@ export const disableMFA = async (userId, currentPassword) => {
     }
 
     // Cek apakah MFA diaktifkan
-    const mfaSettings = user.mfa_settings || {};
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
     if (!mfaSettings.enabled) {
       return {
         success: false,
@@ -346,17 +763,11 @@ export const disableMFA = async (userId, currentPassword) => {
     }
 
     // Reset mfa_settings
-    const resetSettings = {
-      enabled: false,
-      preferred_method: null,
-      disabled_at: new Date().toISOString(),
-      previous_settings: {
-        method: mfaSettings.preferred_method,
-        disabled_at: new Date().toISOString(),
-      },
-    };
-
-    await user.update({ mfa_settings: resetSettings });
+    await user.update(
+      { mfa_settings: buildDisabledSettings(mfaSettings) },
+      { transaction }
+    );
+    await TrustedDeviceModel.revokeForUser(user.id, { revokedBy: user.id });
 
     logger.info(`MFA disabled for user: ${user.username}`);
 
@@ -365,12 +776,76 @@ export const disableMFA = async (userId, currentPassword) => {
       message: "MFA berhasil dinonaktifkan",
     };
   } catch (error) {
+    await finishTransaction(transaction, error);
     logger.error(`Error disabling MFA: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
       message: "Terjadi kesalahan saat menonaktifkan MFA",
     };
+  } finally {
+    await finishTransaction(transaction);
+  }
+};
+
+/**
+ * Reset MFA user tanpa verifikasi password (pemulihan akun yang disetujui admin)
+ * Semua faktor, backup code, dan perangkat tepercaya dihapus sehingga user dapat login
+ * dengan password saja dan mendaftarkan faktor baru.
+ *
+ * @param {string} userId - ID user
+ * @param {Object} [options] - Informasi reset
+ * @param {string} [options.resetBy] - ID admin yang melakukan reset
+ * @param {string} [options.recoveryRequestId] - ID permintaan pemulihan terkait
+ * @returns {Promise<Object>} Hasil operasi dengan format { success, code, message }
+ */
+export const resetMFA = async (userId, options = {}) => {
+  let transaction;
+  try {
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
+    if (!user) {
+      return {
+        success: false,
+        code: "USER_NOT_FOUND",
+        message: "User tidak ditemukan",
+      };
+    }
+
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    await user.update(
+      {
+        mfa_settings: buildDisabledSettings(mfaSettings, {
+          reset: {
+            reset_by: options.resetBy || null,
+            recovery_request_id: options.recoveryRequestId || null,
+            reset_at: new Date().toISOString(),
+          },
+        }),
+      },
+      { transaction }
+    );
+    await TrustedDeviceModel.revokeForUser(user.id, {
+      revokedBy: options.resetBy,
+    });
+
+    logger.info(`MFA reset for user: ${user.username}`);
+
+    return {
+      success: true,
+      message: "MFA berhasil di-reset",
+    };
+  } catch (error) {
+    await finishTransaction(transaction, error);
+    logger.error(`Error resetting MFA: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "Terjadi kesalahan saat reset MFA",
+    };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
@@ -383,9 +858,10 @@ export const disableMFA = async (userId, currentPassword) => {
  *    success: boolean, - Indikator keberhasilan operasi
  *    data: {
  *      enabled: boolean, - Status MFA (enabled/disabled)
- *      method: string, - Metode MFA yang digunakan (e.g., 'totp')
- *      setup_at: string, - Waktu setup (ISO string)
- *      verified_at: string - Waktu verifikasi (ISO string)
+ *      method: string, - Jenis faktor default (e.g., 'totp')
+ *      default_factor_id: string, - ID faktor default
+ *      factors: Object[], - Faktor terverifikasi (lihat summarizeMfaFactors)
+ *      backup_codes_remaining: number - Sisa backup code
  *    },
  *    code: string, - Kode error (jika gagal)
  *    message: string - Pesan error (jika gagal)
@@ -404,16 +880,17 @@ export const getMFAStatus = async (userId) => {
     }
 
     // Dapatkan status MFA
-    const mfaSettings = user.mfa_settings || {};
-    const isEnabled = !!mfaSettings.enabled;
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const defaultFactor = findFactor(mfaSettings, mfaSettings.default_factor_id);
 
     return {
       success: true,
       data: {
-        enabled: isEnabled,
-        method: mfaSettings.preferred_method || null,
-        setup_at: mfaSettings.totp?.setup_at || null,
-        verified_at: mfaSettings.totp?.verified_at || null,
+        enabled: mfaSettings.enabled,
+        method: defaultFactor ? defaultFactor.type : null,
+        default_factor_id: mfaSettings.default_factor_id,
+        factors: summarizeMfaFactors(mfaSettings),
+        backup_codes_remaining: countRemainingBackupCodes(mfaSettings),
       },
     };
   } catch (error) {
@@ -442,9 +919,11 @@ export const getMFAStatus = async (userId) => {
  *  }
  */
 export const regenerateBackupCodes = async (userId, currentPassword) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -454,16 +933,12 @@ export const regenerateBackupCodes = async (userId, currentPassword) => {
     }
 
     // Cek apakah MFA diaktifkan
-    const mfaSettings = user.mfa_settings || {};
-    if (
-      !mfaSettings.enabled ||
-      !mfaSettings.totp ||
-      !mfaSettings.totp.verified
-    ) {
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    if (!mfaSettings.enabled) {
       return {
         success: false,
-        code: "TOTP_NOT_ENABLED",
-        message: "TOTP tidak diaktifkan untuk user ini",
+        code: "MFA_NOT_ENABLED",
+        message: "MFA tidak diaktifkan untuk user ini",
       };
     }
 
@@ -481,16 +956,13 @@ export const regenerateBackupCodes = async (userId, currentPassword) => {
     }
 
     // Generate backup codes baru
-    const backupCodes = [];
-    for (let i = 0; i < 10; i++) {
-      backupCodes.push(generateBackupCode());
-    }
+    const backupCodes = generateBackupCodes();
 
-    // Update backup codes
-    mfaSettings.totp.backup_codes = backupCodes;
-    mfaSettings.totp.backup_codes_regenerated_at = new Date().toISOString();
+    // Update backup codes (hanya hash yang disimpan)
+    mfaSettings.backup_codes = toBackupCodeEntries(backupCodes);
+    mfaSettings.backup_codes_regenerated_at = new Date().toISOString();
 
-    await user.update({ mfa_settings: mfaSettings });
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
     logger.info(`Backup codes regenerated for user: ${user.username}`);
 
@@ -502,43 +974,32 @@ export const regenerateBackupCodes = async (userId, currentPassword) => {
       message: "Backup codes berhasil digenerate ulang",
     };
   } catch (error) {
+    await finishTransaction(transaction, error);
     logger.error(`Error regenerating backup codes: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
       message: "Terjadi kesalahan saat mengenerate ulang backup codes",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
 /**
- * Generate backup code
- * Fungsi internal untuk membuat backup code dengan format XXXXX-XXXXX,
- * yang dapat digunakan jika pengguna kehilangan akses ke device autentikator.
+ * Ubah nama faktor MFA
  *
- * @private
- * @returns {string} Backup code dalam format XXXXX-XXXXX
- */
-function generateBackupCode() {
-  const chars = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-  let code = "";
-  for (let i = 0; i < 10; i++) {
-    if (i === 5) code += "-";
-    else code += chars[Math.floor(Math.random() * chars.length)];
-  }
-  return code;
-}
-
-/**
- * Setup SMS MFA untuk user
  * @param {string} userId - ID user
- * @param {string} phoneNumber - Nomor telepon
- * @returns {Promise<Object>} Setup result
+ * @param {string} factorId - ID faktor
+ * @param {string} label - Nama baru faktor
+ * @returns {Promise<Object>} Hasil operasi dengan ringkasan faktor
  */
-export const setupSMSMFA = async (userId, phoneNumber) => {
+export const renameFactor = async (userId, factorId, label) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -547,73 +1008,108 @@ export const setupSMSMFA = async (userId, phoneNumber) => {
       };
     }
 
-    // Validasi format nomor telepon (bisa gunakan library seperti libphonenumber-js)
-    if (!isValidPhoneNumber(phoneNumber)) {
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factor = findFactor(mfaSettings, factorId);
+    if (!factor || !factor.verified) {
       return {
         success: false,
-        code: "INVALID_PHONE_NUMBER",
-        message: "Format nomor telepon tidak valid",
+        code: "FACTOR_NOT_FOUND",
+        message: "Faktor MFA tidak ditemukan",
       };
     }
 
-    // Cek apakah user sudah setup MFA
-    const mfaSettings = user.mfa_settings || {};
-    if (mfaSettings.enabled) {
+    factor.label = label;
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
+
+    logger.info(`MFA factor ${factor.id} renamed for user: ${user.username}`);
+
+    return {
+      success: true,
+      data: toFactorSummary(factor, mfaSettings.default_factor_id),
+    };
+  } catch (error) {
+    await finishTransaction(transaction, error);
+    logger.error(`Error renaming MFA factor: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "Terjadi kesalahan saat mengubah nama faktor MFA",
+    };
+  } finally {
+    await finishTransaction(transaction);
+  }
+};
+
+/**
+ * Jadikan faktor MFA sebagai faktor default
+ * Faktor default dipakai untuk pengiriman OTP otomatis saat login.
+ *
+ * @param {string} userId - ID user
+ * @param {string} factorId - ID faktor
+ * @returns {Promise<Object>} Hasil operasi dengan ringkasan faktor
+ */
+export const setDefaultFactor = async (userId, factorId) => {
+  let transaction;
+  try {
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
+    if (!user) {
       return {
         success: false,
-        code: "MFA_ALREADY_ENABLED",
-        message: "MFA sudah diaktifkan untuk user ini",
+        code: "USER_NOT_FOUND",
+        message: "User tidak ditemukan",
       };
     }
 
-    // Generate OTP verification code
-    const verificationCode = generateNumericCode(6);
-
-    // Simpan data ke mfa_settings user (belum verified)
-    mfaSettings.sms = {
-      phone_number: phoneNumber,
-      verified: false,
-      verification_code: verificationCode,
-      verification_code_expires_at: new Date(
-        Date.now() + 10 * 60 * 1000
-      ).toISOString(), // 10 menit
-      setup_at: new Date().toISOString(),
-    };
-
-    await user.update({ mfa_settings: mfaSettings });
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factor = findFactor(mfaSettings, factorId);
+    if (!factor || !factor.verified) {
+      return {
+        success: false,
+        code: "FACTOR_NOT_FOUND",
+        message: "Faktor MFA tidak ditemukan",
+      };
+    }
 
-    // Kirim kode verifikasi SMS
-    await sendSMS(
-      phoneNumber,
-      `Kode verifikasi MFA Anda adalah: ${verificationCode}. Kode berlaku selama 10 menit.`
-    );
+    mfaSettings.default_factor_id = factor.id;
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
-    logger.info(`SMS MFA setup initiated for user: ${user.username}`);
+    logger.info(`Default MFA factor set to ${factor.type} for user: ${user.username}`);
 
     return {
       success: true,
-      message: "Kode verifikasi telah dikirim ke nomor telepon Anda",
+      data: toFactorSummary(factor, mfaSettings.default_factor_id),
     };
   } catch (error) {
-    logger.error(`Error setting up SMS MFA: ${error.message}`);
+    await finishTransaction(transaction, error);
+    logger.error(`Error setting default MFA factor: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
-      message: "Terjadi kesalahan saat setup SMS MFA",
+      message: "Terjadi kesalahan saat mengubah faktor MFA default",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
 /**
- * Verifikasi dan aktifkan SMS MFA
+ * Hapus faktor MFA
+ * Jika faktor default dihapus, faktor terverifikasi berikutnya menjadi default.
+ * Menghapus faktor terakhir menonaktifkan MFA (sama seperti disableMFA).
+ *
  * @param {string} userId - ID user
- * @param {string} verificationCode - Kode verifikasi yang dikirim via SMS
- * @returns {Promise<Object>} Hasil verifikasi
+ * @param {string} factorId - ID faktor
+ * @param {string} currentPassword - Password user untuk verifikasi keamanan
+ * @returns {Promise<Object>} Hasil operasi dengan status MFA terbaru
  */
-export const verifyAndEnableSMSMFA = async (userId, verificationCode) => {
+export const removeFactor = async (userId, factorId, currentPassword) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -622,82 +1118,92 @@ export const verifyAndEnableSMSMFA = async (userId, verificationCode) => {
       };
     }
 
-    // Cek apakah user sudah setup SMS MFA
-    const mfaSettings = user.mfa_settings || {};
-    if (!mfaSettings.sms || !mfaSettings.sms.verification_code) {
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factor = findFactor(mfaSettings, factorId);
+    if (!factor) {
       return {
         success: false,
-        code: "SMS_MFA_NOT_SETUP",
-        message: "SMS MFA belum di-setup",
+        code: "FACTOR_NOT_FOUND",
+        message: "Faktor MFA tidak ditemukan",
       };
     }
 
-    // Cek apakah kode sudah kedaluwarsa
-    const expiresAt = new Date(mfaSettings.sms.verification_code_expires_at);
-    if (Date.now() > expiresAt) {
+    // Verifikasi password
+    const isPasswordValid = await verifyPassword(
+      currentPassword,
+      user.password_hash
+    );
+    if (!isPasswordValid) {
+      logger.warn(
+        `Failed MFA factor removal attempt (invalid password) for user: ${user.username}`
+      );
       return {
         success: false,
-        code: "VERIFICATION_CODE_EXPIRED",
-        message: "Kode verifikasi sudah kedaluwarsa",
+        code: "INVALID_PASSWORD",
+        message: "Password tidak valid",
       };
     }
 
-    // Verifikasi kode
-    if (verificationCode !== mfaSettings.sms.verification_code) {
-      return {
-        success: false,
-        code: "INVALID_VERIFICATION_CODE",
-        message: "Kode verifikasi tidak valid",
-      };
-    }
+    mfaSettings.factors = mfaSettings.factors.filter(
+      (candidate) => candidate.id !== factor.id
+    );
 
-    // Generate backup codes
-    const backupCodes = [];
-    for (let i = 0; i < 10; i++) {
-      backupCodes.push(generateBackupCode());
+    const remaining = getVerifiedFactors(mfaSettings);
+    if (remaining.length === 0) {
+      mfaSettings.enabled = false;
+      mfaSettings.default_factor_id = null;
+      mfaSettings.backup_codes = [];
+      mfaSettings.disabled_at = new Date().toISOString();
+    } else if (mfaSettings.default_factor_id === factor.id) {
+      mfaSettings.default_factor_id = remaining[0].id;
     }
 
-    // Update mfa_settings
-    mfaSettings.enabled = true;
-    mfaSettings.preferred_method = "sms";
-    mfaSettings.sms.verified = true;
-    mfaSettings.sms.backup_codes = backupCodes;
-    mfaSettings.sms.verified_at = new Date().toISOString();
-
-    // Hapus kode verifikasi untuk keamanan
-    delete mfaSettings.sms.verification_code;
-    delete mfaSettings.sms.verification_code_expires_at;
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
-    await user.update({ mfa_settings: mfaSettings });
+    // MFA nonaktif: perangkat tepercaya tidak berlaku jika MFA diaktifkan kembali
+    if (!mfaSettings.enabled) {
+      await TrustedDeviceModel.revokeForUser(user.id, { revokedBy: user.id });
+    }
 
-    logger.info(`SMS MFA enabled for user: ${user.username}`);
+    logger.info(`MFA factor ${factor.type} removed for user: ${user.username}`);
 
     return {
       success: true,
       data: {
-        backupCodes,
+        enabled: mfaSettings.enabled,
+        default_factor_id: mfaSettings.default_factor_id,
+        factors: summarizeMfaFactors(mfaSettings),
       },
-      message: "SMS MFA berhasil diaktifkan",
     };
   } catch (error) {
-    logger.error(`Error verifying SMS MFA: ${error.message}`);
+    await finishTransaction(transaction, error);
+    logger.error(`Error removing MFA factor: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
-      message: "Terjadi kesalahan saat verifikasi SMS MFA",
+      message: "Terjadi kesalahan saat menghapus faktor MFA",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
 /**
- * Generate dan kirim OTP SMS
+ * Tambahkan faktor yang sudah diverifikasi di luar alur setup/verify kode
+ * (misalnya credential WebAuthn yang diverifikasi oleh webauthn.service)
+ *
  * @param {string} userId - ID user
- * @returns {Promise<Object>} Hasil operasi
+ * @param {string} type - Jenis faktor
+ * @param {Object} fields - Data khusus jenis faktor
+ * @param {string} [label] - Nama faktor
+ * @returns {Promise<Object>} Hasil operasi dengan factorId dan backupCodes (jika faktor pertama)
  */
-export const generateAndSendSMSOTP = async (userId) => {
+export const addVerifiedFactor = async (userId, type, fields, label = null) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -706,63 +1212,92 @@ export const generateAndSendSMSOTP = async (userId) => {
       };
     }
 
-    // Cek apakah SMS MFA diaktifkan
-    const mfaSettings = user.mfa_settings || {};
-    if (
-      !mfaSettings.enabled ||
-      mfaSettings.preferred_method !== "sms" ||
-      !mfaSettings.sms.verified
-    ) {
-      return {
-        success: false,
-        code: "SMS_MFA_NOT_ENABLED",
-        message: "SMS MFA tidak diaktifkan untuk user ini",
-      };
-    }
-
-    // Generate OTP code
-    const otpCode = generateNumericCode(6);
-
-    // Simpan OTP ke database
-    mfaSettings.sms.current_otp = otpCode;
-    mfaSettings.sms.otp_expires_at = new Date(
-      Date.now() + 5 * 60 * 1000
-    ).toISOString(); // 5 menit
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factor = createFactor(type, label, fields);
+    mfaSettings.factors.push(factor);
 
-    await user.update({ mfa_settings: mfaSettings });
+    const backupCodes = activateFactor(mfaSettings, factor);
 
-    // Kirim OTP via SMS
-    await sendSMS(
-      mfaSettings.sms.phone_number,
-      `Kode OTP untuk login Anda adalah: ${otpCode}. Kode berlaku selama 5 menit.`
-    );
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
-    logger.info(`SMS OTP sent for user: ${user.username}`);
+    logger.info(`${type} factor enabled for user: ${user.username}`);
 
     return {
       success: true,
-      message: "Kode OTP telah dikirim ke nomor telepon Anda",
+      data: {
+        factorId: factor.id,
+        ...(backupCodes && { backupCodes }),
+      },
     };
   } catch (error) {
-    logger.error(`Error generating SMS OTP: ${error.message}`);
+    await finishTransaction(transaction, error);
+    logger.error(`Error adding MFA factor: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
-      message: "Terjadi kesalahan saat mengirim SMS OTP",
+      message: "Terjadi kesalahan saat menambahkan faktor MFA",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
 /**
- * Verifikasi SMS OTP
+ * Jalankan read-modify-write mfa_settings di luar service ini (WebAuthn, push, kebijakan MFA)
+ * dengan baris user terkunci, sama seperti operasi MFA lain (lihat findUserForUpdate).
+ * Handler harus menyimpan perubahan dengan transaksi yang diberikan; transaksi di-commit
+ * setelah handler selesai dan di-rollback jika handler melempar error.
+ *
  * @param {string} userId - ID user
- * @param {string} otpCode - OTP code dari SMS
- * @returns {Promise<Object>} Hasil verifikasi
+ * @param {Function} handler - async (user, transaction) => hasil; user bernilai null jika tidak ditemukan
+ * @returns {Promise<*>} Hasil handler
  */
-export const verifySMSOTP = async (userId, otpCode) => {
+export const withLockedUser = async (userId, handler) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
+    return await handler(user, transaction);
+  } catch (error) {
+    await finishTransaction(transaction, error);
+    throw error;
+  } finally {
+    await finishTransaction(transaction);
+  }
+};
+
+/**
+ * Generate backup code
+ * Fungsi internal untuk membuat backup code dengan format XXXXX-XXXXX,
+ * yang dapat digunakan jika pengguna kehilangan akses ke semua faktor MFA.
+ *
+ * @private
+ * @returns {string} Backup code dalam format XXXXX-XXXXX
+ */
+function generateBackupCode() {
+  const chars = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+  let code = "";
+  for (let i = 0; i < 11; i++) {
+    if (i === 5) code += "-";
+    else code += chars[crypto.randomInt(chars.length)];
+  }
+  return code;
+}
+
+/**
+ * Setup SMS MFA untuk user
+ * @param {string} userId - ID user
+ * @param {string} phoneNumber - Nomor telepon
+ * @param {string} [label] - Nama faktor
+ * @param {string} [currentPassword] - Password saat ini (wajib jika MFA sudah aktif)
+ * @returns {Promise<Object>} Setup result
+ */
+export const setupSMSMFA = async (userId, phoneNumber, label = null, currentPassword = null) => {
+  let transaction;
+  try {
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -771,84 +1306,88 @@ export const verifySMSOTP = async (userId, otpCode) => {
       };
     }
 
-    // Cek apakah SMS MFA diaktifkan
-    const mfaSettings = user.mfa_settings || {};
-    if (
-      !mfaSettings.enabled ||
-      mfaSettings.preferred_method !== "sms" ||
-      !mfaSettings.sms.verified
-    ) {
-      return {
-        success: false,
-        code: "SMS_MFA_NOT_ENABLED",
-        message: "SMS MFA tidak diaktifkan untuk user ini",
-      };
-    }
-
-    // Cek apakah OTP tersedia
-    if (!mfaSettings.sms.current_otp || !mfaSettings.sms.otp_expires_at) {
-      return {
-        success: false,
-        code: "OTP_NOT_REQUESTED",
-        message: "OTP belum diminta atau sudah digunakan",
-      };
-    }
-
-    // Cek apakah OTP sudah kedaluwarsa
-    const expiresAt = new Date(mfaSettings.sms.otp_expires_at);
-    if (Date.now() > expiresAt) {
-      // Hapus OTP kedaluwarsa
-      delete mfaSettings.sms.current_otp;
-      delete mfaSettings.sms.otp_expires_at;
-      await user.update({ mfa_settings: mfaSettings });
-
+    // Validasi format nomor telepon (bisa gunakan library seperti libphonenumber-js)
+    if (!isValidPhoneNumber(phoneNumber)) {
       return {
         success: false,
-        code: "OTP_EXPIRED",
-        message: "OTP sudah kedaluwarsa",
+        code: "INVALID_PHONE_NUMBER",
+        message: "Format nomor telepon tidak valid",
       };
     }
 
-    // Verifikasi OTP
-    if (otpCode !== mfaSettings.sms.current_otp) {
-      return {
-        success: false,
-        code: "INVALID_OTP",
-        message: "OTP tidak valid",
-      };
+    const stepUpError = await checkFactorEnrollmentStepUp(user, currentPassword);
+    if (stepUpError) {
+      return stepUpError;
     }
 
-    // Hapus OTP setelah digunakan
-    delete mfaSettings.sms.current_otp;
-    delete mfaSettings.sms.otp_expires_at;
-    await user.update({ mfa_settings: mfaSettings });
-
-    logger.info(`Successful SMS OTP verification for user: ${user.username}`);
-
-    return {
-      success: true,
-      message: "OTP valid",
-    };
+    return await startOtpEnrollment(user, transaction, "sms", phoneNumber, label);
   } catch (error) {
-    logger.error(`Error verifying SMS OTP: ${error.message}`);
+    await finishTransaction(transaction, error);
+    logger.error(`Error setting up SMS MFA: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
-      message: "Terjadi kesalahan saat verifikasi OTP",
+      message: "Terjadi kesalahan saat setup SMS MFA",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
 };
 
+/**
+ * Verifikasi dan aktifkan SMS MFA
+ * @param {string} userId - ID user
+ * @param {string} verificationCode - Kode verifikasi yang dikirim via SMS
+ * @returns {Promise<Object>} Hasil verifikasi
+ */
+export const verifyAndEnableSMSMFA = async (userId, verificationCode) => {
+  return await completeOtpEnrollment(userId, "sms", verificationCode);
+};
+
+/**
+ * Kirim ulang kode verifikasi pendaftaran SMS MFA ke nomor yang sedang didaftarkan
+ * @param {string} userId - ID user
+ * @returns {Promise<Object>} Hasil operasi
+ */
+export const resendSMSVerificationCode = async (userId) => {
+  return await resendOtpEnrollment(userId, "sms");
+};
+
+/**
+ * Generate dan kirim OTP SMS
+ * @param {string} userId - ID user
+ * @param {string} [factorId] - ID faktor SMS (default: faktor default atau faktor SMS pertama)
+ * @returns {Promise<Object>} Hasil operasi
+ */
+export const generateAndSendSMSOTP = async (userId, factorId = null) => {
+  return await sendFactorOtp(userId, "sms", factorId);
+};
+
+/**
+ * Verifikasi SMS OTP
+ * @param {string} userId - ID user
+ * @param {string} otpCode - OTP code dari SMS
+ * @param {string} [factorId] - ID faktor SMS tertentu (default: semua faktor SMS)
+ * @returns {Promise<Object>} Hasil verifikasi
+ */
+export const verifySMSOTP = async (userId, otpCode, factorId = null) => {
+  return await verifyFactorOtp(userId, "sms", otpCode, factorId);
+};
+
 /**
  * Setup Email MFA untuk user
  * @param {string} userId - ID user
  * @param {string} email - Alamat email (opsional, jika tidak diberikan akan menggunakan email user)
+ * @param {string} [label] - Nama faktor
+ * @param {string} [currentPassword] - Password saat ini (wajib jika MFA sudah aktif)
  * @returns {Promise<Object>} Setup result
  */
-export const setupEmailMFA = async (userId, email = null) => {
+export const setupEmailMFA = async (userId, email = null, label = null, currentPassword = null) => {
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -869,68 +1408,204 @@ export const setupEmailMFA = async (userId, email = null) => {
       };
     }
 
-    // Cek apakah user sudah setup MFA
-    const mfaSettings = user.mfa_settings || {};
-    if (mfaSettings.enabled) {
+    const stepUpError = await checkFactorEnrollmentStepUp(user, currentPassword);
+    if (stepUpError) {
+      return stepUpError;
+    }
+
+    return await startOtpEnrollment(user, transaction, "email", targetEmail, label);
+  } catch (error) {
+    await finishTransaction(transaction, error);
+    logger.error(`Error setting up Email MFA: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: "Terjadi kesalahan saat setup Email MFA",
+    };
+  } finally {
+    await finishTransaction(transaction);
+  }
+};
+
+/**
+ * Verifikasi dan aktifkan Email MFA
+ * @param {string} userId - ID user
+ * @param {string} verificationCode - Kode verifikasi yang dikirim via Email
+ * @returns {Promise<Object>} Hasil verifikasi
+ */
+export const verifyAndEnableEmailMFA = async (userId, verificationCode) => {
+  return await completeOtpEnrollment(userId, "email", verificationCode);
+};
+
+/**
+ * Kirim ulang kode verifikasi pendaftaran Email MFA ke alamat email yang sedang didaftarkan
+ * @param {string} userId - ID user
+ * @returns {Promise<Object>} Hasil operasi
+ */
+export const resendEmailVerificationCode = async (userId) => {
+  return await resendOtpEnrollment(userId, "email");
+};
+
+/**
+ * Generate dan kirim OTP Email
+ * @param {string} userId - ID user
+ * @param {string} [factorId] - ID faktor email (default: faktor default atau faktor email pertama)
+ * @returns {Promise<Object>} Hasil operasi
+ */
+export const generateAndSendEmailOTP = async (userId, factorId = null) => {
+  return await sendFactorOtp(userId, "email", factorId);
+};
+
+/**
+ * Verifikasi Email OTP
+ * @param {string} userId - ID user
+ * @param {string} otpCode - OTP code dari Email
+ * @param {string} [factorId] - ID faktor email tertentu (default: semua faktor email)
+ * @returns {Promise<Object>} Hasil verifikasi
+ */
+export const verifyEmailOTP = async (userId, otpCode, factorId = null) => {
+  return await verifyFactorOtp(userId, "email", otpCode, factorId);
+};
+
+/**
+ * Kirim OTP ke faktor SMS/email untuk login
+ * Jika factorId tidak diberikan, faktor default digunakan bila dapat menerima kode,
+ * selain itu faktor SMS/email terverifikasi pertama.
+ *
+ * @param {string} userId - ID user
+ * @param {string} [factorId] - ID faktor tujuan
+ * @returns {Promise<Object>} Hasil operasi beserta ringkasan faktor tujuan
+ */
+export const generateAndSendFactorOTP = async (userId, factorId = null) => {
+  try {
+    const user = await UserModel.findByPk(userId);
+    if (!user) {
       return {
         success: false,
-        code: "MFA_ALREADY_ENABLED",
-        message: "MFA sudah diaktifkan untuk user ini",
+        code: "USER_NOT_FOUND",
+        message: "User tidak ditemukan",
       };
     }
 
-    // Generate verification code
-    const verificationCode = generateNumericCode(6);
-
-    // Simpan data ke mfa_settings user (belum verified)
-    mfaSettings.email = {
-      address: targetEmail,
-      verified: false,
-      verification_code: verificationCode,
-      verification_code_expires_at: new Date(
-        Date.now() + 30 * 60 * 1000
-      ).toISOString(), // 30 menit
-      setup_at: new Date().toISOString(),
-    };
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const deliverable = getVerifiedFactors(mfaSettings).filter(
+      (factor) => OTP_FACTOR_CONFIG[factor.type]
+    );
 
-    await user.update({ mfa_settings: mfaSettings });
+    let factor;
+    if (factorId) {
+      factor = deliverable.find((candidate) => candidate.id === factorId);
+    } else {
+      factor =
+        deliverable.find((candidate) => candidate.id === mfaSettings.default_factor_id) ||
+        deliverable[0];
+    }
 
-    // Kirim kode verifikasi email
-    await sendEmail({
-      to: targetEmail,
-      subject: "Verifikasi MFA",
-      text: `Kode verifikasi MFA Anda adalah: ${verificationCode}. Kode berlaku selama 30 menit.`,
-      html: `<h1>Verifikasi MFA</h1>
-             <p>Kode verifikasi MFA Anda adalah: <strong>${verificationCode}</strong></p>
-             <p>Kode berlaku selama 30 menit.</p>`,
-    });
+    if (!mfaSettings.enabled || !factor) {
+      return {
+        success: false,
+        code: "FACTOR_NOT_FOUND",
+        message: "Faktor MFA yang dapat menerima kode tidak ditemukan",
+      };
+    }
 
-    logger.info(`Email MFA setup initiated for user: ${user.username}`);
+    const result = await sendFactorOtp(userId, factor.type, factor.id);
+    if (!result.success) {
+      return result;
+    }
 
     return {
-      success: true,
-      message: "Kode verifikasi telah dikirim ke alamat email Anda",
+      ...result,
+      factor: toFactorSummary(factor, mfaSettings.default_factor_id),
     };
   } catch (error) {
-    logger.error(`Error setting up Email MFA: ${error.message}`);
+    logger.error(`Error sending MFA factor OTP: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
-      message: "Terjadi kesalahan saat setup Email MFA",
+      message: "Terjadi kesalahan saat mengirim kode MFA",
     };
   }
 };
 
 /**
- * Verifikasi dan aktifkan Email MFA
+ * Fungsi helper untuk memulai pendaftaran faktor SMS/email
+ * Pendaftaran yang belum diverifikasi untuk jenis yang sama akan diganti.
+ * Transaksi di-commit sebelum kode dikirim agar baris user tidak terkunci selama pengiriman.
+ * @param {Object} user - Instance user (dimuat dengan findUserForUpdate)
+ * @param {Transaction} transaction - Transaksi pemuatan user
+ * @param {string} type - Jenis faktor (sms, email)
+ * @param {string} destination - Nomor telepon atau alamat email
+ * @param {string} [label] - Nama faktor
+ * @returns {Promise<Object>} Setup result
+ */
+async function startOtpEnrollment(user, transaction, type, destination, label) {
+  const config = OTP_FACTOR_CONFIG[type];
+  const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+
+  // Tujuan yang sama tidak boleh didaftarkan dua kali
+  const duplicate = getVerifiedFactors(mfaSettings, type).find(
+    (factor) => factor[config.destinationField] === destination
+  );
+  if (duplicate) {
+    return {
+      success: false,
+      code: "FACTOR_ALREADY_ENROLLED",
+      message: `${config.name} MFA dengan tujuan ini sudah terdaftar`,
+    };
+  }
+
+  const throttle = checkOtpThrottle(mfaSettings, type);
+  if (!throttle.allowed) {
+    return throttle.result;
+  }
+
+  // Generate verification code
+  const verificationCode = generateNumericCode(6);
+
+  // Simpan sebagai faktor baru (belum verified)
+  recordOtpDelivery(mfaSettings, type, throttle.deliveries);
+  const factor = createFactor(type, label, {
+    [config.destinationField]: destination,
+    verification_code: encryptWithDataKey(verificationCode),
+    verification_code_expires_at: new Date(
+      Date.now() + config.verificationMinutes * 60 * 1000
+    ).toISOString(),
+  });
+  replacePendingFactor(mfaSettings, factor);
+
+  await user.update({ mfa_settings: mfaSettings }, { transaction });
+  await finishTransaction(transaction);
+
+  // Kirim kode verifikasi
+  await deliverCode(type, destination, verificationCode, "verification");
+
+  logger.info(`${config.name} MFA setup initiated for user: ${user.username}`);
+
+  return {
+    success: true,
+    data: {
+      factorId: factor.id,
+    },
+    message: `Kode verifikasi telah dikirim ke ${config.destinationText}`,
+  };
+}
+
+/**
+ * Fungsi helper untuk menyelesaikan pendaftaran faktor SMS/email
  * @param {string} userId - ID user
- * @param {string} verificationCode - Kode verifikasi yang dikirim via Email
+ * @param {string} type - Jenis faktor (sms, email)
+ * @param {string} verificationCode - Kode verifikasi
  * @returns {Promise<Object>} Hasil verifikasi
  */
-export const verifyAndEnableEmailMFA = async (userId, verificationCode) => {
+async function completeOtpEnrollment(userId, type, verificationCode) {
+  const config = OTP_FACTOR_CONFIG[type];
+
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -939,18 +1614,19 @@ export const verifyAndEnableEmailMFA = async (userId, verificationCode) => {
       };
     }
 
-    // Cek apakah user sudah setup Email MFA
-    const mfaSettings = user.mfa_settings || {};
-    if (!mfaSettings.email || !mfaSettings.email.verification_code) {
+    // Cek apakah user sedang mendaftarkan faktor ini
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factor = findPendingFactor(mfaSettings, type);
+    if (!factor || !factor.verification_code) {
       return {
         success: false,
-        code: "EMAIL_MFA_NOT_SETUP",
-        message: "Email MFA belum di-setup",
+        code: config.notSetupCode,
+        message: `${config.name} MFA belum di-setup`,
       };
     }
 
     // Cek apakah kode sudah kedaluwarsa
-    const expiresAt = new Date(mfaSettings.email.verification_code_expires_at);
+    const expiresAt = new Date(factor.verification_code_expires_at);
     if (Date.now() > expiresAt) {
       return {
         success: false,
@@ -960,7 +1636,7 @@ export const verifyAndEnableEmailMFA = async (userId, verificationCode) => {
     }
 
     // Verifikasi kode
-    if (verificationCode !== mfaSettings.email.verification_code) {
+    if (!isSameCode(verificationCode, decryptWithDataKey(factor.verification_code))) {
       return {
         success: false,
         code: "INVALID_VERIFICATION_CODE",
@@ -968,53 +1644,106 @@ export const verifyAndEnableEmailMFA = async (userId, verificationCode) => {
       };
     }
 
-    // Generate backup codes
-    const backupCodes = [];
-    for (let i = 0; i < 10; i++) {
-      backupCodes.push(generateBackupCode());
-    }
-
-    // Update mfa_settings
-    mfaSettings.enabled = true;
-    mfaSettings.preferred_method = "email";
-    mfaSettings.email.verified = true;
-    mfaSettings.email.backup_codes = backupCodes;
-    mfaSettings.email.verified_at = new Date().toISOString();
-
     // Hapus kode verifikasi untuk keamanan
-    delete mfaSettings.email.verification_code;
-    delete mfaSettings.email.verification_code_expires_at;
+    delete factor.verification_code;
+    delete factor.verification_code_expires_at;
+
+    const backupCodes = activateFactor(mfaSettings, factor);
 
-    await user.update({ mfa_settings: mfaSettings });
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
-    logger.info(`Email MFA enabled for user: ${user.username}`);
+    logger.info(`${config.name} MFA factor enabled for user: ${user.username}`);
 
     return {
       success: true,
       data: {
-        backupCodes,
+        factorId: factor.id,
+        ...(backupCodes && { backupCodes }),
       },
-      message: "Email MFA berhasil diaktifkan",
+      message: backupCodes
+        ? `${config.name} MFA berhasil diaktifkan`
+        : `${config.name} berhasil ditambahkan sebagai faktor MFA`,
     };
   } catch (error) {
-    logger.error(`Error verifying Email MFA: ${error.message}`);
+    await finishTransaction(transaction, error);
+    logger.error(`Error verifying ${config.name} MFA: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
-      message: "Terjadi kesalahan saat verifikasi Email MFA",
+      message: `Terjadi kesalahan saat verifikasi ${config.name} MFA`,
     };
+  } finally {
+    await finishTransaction(transaction);
   }
-};
+}
 
 /**
- * Generate dan kirim OTP Email
+ * Fungsi helper untuk mengirim ulang kode verifikasi pendaftaran SMS/email
  * @param {string} userId - ID user
+ * @param {string} type - Jenis faktor (sms, email)
  * @returns {Promise<Object>} Hasil operasi
  */
-export const generateAndSendEmailOTP = async (userId) => {
+async function resendOtpEnrollment(userId, type) {
+  const config = OTP_FACTOR_CONFIG[type];
+
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
+    if (!user) {
+      return {
+        success: false,
+        code: "USER_NOT_FOUND",
+        message: "User tidak ditemukan",
+      };
+    }
+
+    const factor = findPendingFactor(normalizeMfaSettings(user.mfa_settings), type);
+    if (!factor || !factor.verification_code) {
+      return {
+        success: false,
+        code: config.notSetupCode,
+        message: `${config.name} MFA belum di-setup`,
+      };
+    }
+
+    // Setup ulang dengan tujuan yang sama menghasilkan kode baru (termasuk batas pengiriman)
+    return await startOtpEnrollment(
+      user,
+      transaction,
+      type,
+      factor[config.destinationField],
+      factor.label
+    );
+  } catch (error) {
+    await finishTransaction(transaction, error);
+    logger.error(`Error resending ${config.name} verification code: ${error.message}`);
+    return {
+      success: false,
+      code: "SYSTEM_ERROR",
+      message: `Terjadi kesalahan saat mengirim ulang kode verifikasi ${config.name}`,
+    };
+  } finally {
+    await finishTransaction(transaction);
+  }
+}
+
+/**
+ * Fungsi helper untuk membuat dan mengirim OTP login ke faktor SMS/email
+ * @param {string} userId - ID user
+ * @param {string} type - Jenis faktor (sms, email)
+ * @param {string} [factorId] - ID faktor tujuan
+ * @returns {Promise<Object>} Hasil operasi
+ */
+async function sendFactorOtp(userId, type, factorId) {
+  const config = OTP_FACTOR_CONFIG[type];
+
+  let transaction;
+  try {
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -1023,67 +1752,77 @@ export const generateAndSendEmailOTP = async (userId) => {
       };
     }
 
-    // Cek apakah Email MFA diaktifkan
-    const mfaSettings = user.mfa_settings || {};
-    if (
-      !mfaSettings.enabled ||
-      mfaSettings.preferred_method !== "email" ||
-      !mfaSettings.email.verified
-    ) {
+    // Cek apakah faktor diaktifkan
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factors = getVerifiedFactors(mfaSettings, type);
+    const factor = factorId
+      ? factors.find((candidate) => candidate.id === factorId)
+      : factors.find((candidate) => candidate.id === mfaSettings.default_factor_id) ||
+        factors[0];
+    if (!mfaSettings.enabled || !factor) {
       return {
         success: false,
-        code: "EMAIL_MFA_NOT_ENABLED",
-        message: "Email MFA tidak diaktifkan untuk user ini",
+        code: config.notEnabledCode,
+        message: `${config.name} MFA tidak diaktifkan untuk user ini`,
       };
     }
 
+    const throttle = checkOtpThrottle(mfaSettings, type);
+    if (!throttle.allowed) {
+      return throttle.result;
+    }
+
     // Generate OTP code
     const otpCode = generateNumericCode(6);
 
     // Simpan OTP ke database
-    mfaSettings.email.current_otp = otpCode;
-    mfaSettings.email.otp_expires_at = new Date(
-      Date.now() + 15 * 60 * 1000
-    ).toISOString(); // 15 menit
-
-    await user.update({ mfa_settings: mfaSettings });
-
-    // Kirim OTP via Email
-    await sendEmail({
-      to: mfaSettings.email.address,
-      subject: "Kode OTP Login",
-      text: `Kode OTP untuk login Anda adalah: ${otpCode}. Kode berlaku selama 15 menit.`,
-      html: `<h1>Kode OTP Login</h1>
-             <p>Kode OTP untuk login Anda adalah: <strong>${otpCode}</strong></p>
-             <p>Kode berlaku selama 15 menit.</p>`,
-    });
+    recordOtpDelivery(mfaSettings, type, throttle.deliveries);
+    factor.current_otp = encryptWithDataKey(otpCode);
+    factor.otp_expires_at = new Date(
+      Date.now() + config.otpMinutes * 60 * 1000
+    ).toISOString();
 
-    logger.info(`Email OTP sent for user: ${user.username}`);
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
+    await finishTransaction(transaction);
+
+    // Kirim OTP
+    await deliverCode(type, factor[config.destinationField], otpCode, "login");
+
+    logger.info(`${config.name} OTP sent for user: ${user.username}`);
 
     return {
       success: true,
-      message: "Kode OTP telah dikirim ke alamat email Anda",
+      message: `Kode OTP telah dikirim ke ${config.destinationText}`,
     };
   } catch (error) {
-    logger.error(`Error generating Email OTP: ${error.message}`);
+    await finishTransaction(transaction, error);
+    logger.error(`Error generating ${config.name} OTP: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
-      message: "Terjadi kesalahan saat mengirim Email OTP",
+      message: `Terjadi kesalahan saat mengirim ${config.name} OTP`,
     };
+  } finally {
+    await finishTransaction(transaction);
   }
-};
+}
 
 /**
- * Verifikasi Email OTP
+ * Fungsi helper untuk memverifikasi OTP login faktor SMS/email
  * @param {string} userId - ID user
- * @param {string} otpCode - OTP code dari Email
+ * @param {string} type - Jenis faktor (sms, email)
+ * @param {string} otpCode - OTP code
+ * @param {string} [factorId] - ID faktor tertentu
  * @returns {Promise<Object>} Hasil verifikasi
  */
-export const verifyEmailOTP = async (userId, otpCode) => {
+async function verifyFactorOtp(userId, type, otpCode, factorId) {
+  const config = OTP_FACTOR_CONFIG[type];
+
+  let transaction;
   try {
-    // Cari user
-    const user = await UserModel.findByPk(userId);
+    // Cari user dengan baris terkunci
+    transaction = await sequelize.transaction();
+    const user = await findUserForUpdate(userId, transaction);
     if (!user) {
       return {
         success: false,
@@ -1092,22 +1831,24 @@ export const verifyEmailOTP = async (userId, otpCode) => {
       };
     }
 
-    // Cek apakah Email MFA diaktifkan
-    const mfaSettings = user.mfa_settings || {};
-    if (
-      !mfaSettings.enabled ||
-      mfaSettings.preferred_method !== "email" ||
-      !mfaSettings.email.verified
-    ) {
+    // Cek apakah faktor diaktifkan
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factors = getVerifiedFactors(mfaSettings, type).filter(
+      (factor) => !factorId || factor.id === factorId
+    );
+    if (!mfaSettings.enabled || factors.length === 0) {
       return {
         success: false,
-        code: "EMAIL_MFA_NOT_ENABLED",
-        message: "Email MFA tidak diaktifkan untuk user ini",
+        code: config.notEnabledCode,
+        message: `${config.name} MFA tidak diaktifkan untuk user ini`,
       };
     }
 
     // Cek apakah OTP tersedia
-    if (!mfaSettings.email.current_otp || !mfaSettings.email.otp_expires_at) {
+    const requested = factors.filter(
+      (factor) => factor.current_otp && factor.otp_expires_at
+    );
+    if (requested.length === 0) {
       return {
         success: false,
         code: "OTP_NOT_REQUESTED",
@@ -1115,50 +1856,514 @@ export const verifyEmailOTP = async (userId, otpCode) => {
       };
     }
 
-    // Cek apakah OTP sudah kedaluwarsa
-    const expiresAt = new Date(mfaSettings.email.otp_expires_at);
-    if (Date.now() > expiresAt) {
-      // Hapus OTP kedaluwarsa
-      delete mfaSettings.email.current_otp;
-      delete mfaSettings.email.otp_expires_at;
-      await user.update({ mfa_settings: mfaSettings });
-
-      return {
-        success: false,
-        code: "OTP_EXPIRED",
-        message: "OTP sudah kedaluwarsa",
-      };
-    }
-
     // Verifikasi OTP
-    if (otpCode !== mfaSettings.email.current_otp) {
-      return {
-        success: false,
-        code: "INVALID_OTP",
-        message: "OTP tidak valid",
-      };
+    const factor = requested.find((candidate) => checkFactorCode(candidate, otpCode));
+    if (!factor) {
+      // Hapus OTP kedaluwarsa
+      const expired = requested.filter(
+        (candidate) => Date.now() > new Date(candidate.otp_expires_at)
+      );
+      expired.forEach((candidate) => {
+        delete candidate.current_otp;
+        delete candidate.otp_expires_at;
+      });
+      if (expired.length > 0) {
+        await user.update({ mfa_settings: mfaSettings }, { transaction });
+      }
+
+      return expired.length === requested.length
+        ? {
+            success: false,
+            code: "OTP_EXPIRED",
+            message: "OTP sudah kedaluwarsa",
+          }
+        : {
+            success: false,
+            code: "INVALID_OTP",
+            message: "OTP tidak valid",
+          };
     }
 
     // Hapus OTP setelah digunakan
-    delete mfaSettings.email.current_otp;
-    delete mfaSettings.email.otp_expires_at;
-    await user.update({ mfa_settings: mfaSettings });
+    delete factor.current_otp;
+    delete factor.otp_expires_at;
+    factor.last_used_at = new Date().toISOString();
+    await user.update({ mfa_settings: mfaSettings }, { transaction });
 
-    logger.info(`Successful Email OTP verification for user: ${user.username}`);
+    logger.info(`Successful ${config.name} OTP verification for user: ${user.username}`);
 
     return {
       success: true,
+      factorId: factor.id,
       message: "OTP valid",
     };
   } catch (error) {
-    logger.error(`Error verifying Email OTP: ${error.message}`);
+    await finishTransaction(transaction, error);
+    logger.error(`Error verifying ${config.name} OTP: ${error.message}`);
     return {
       success: false,
       code: "SYSTEM_ERROR",
       message: "Terjadi kesalahan saat verifikasi OTP",
     };
+  } finally {
+    await finishTransaction(transaction);
   }
-};
+}
+
+/**
+ * Fungsi helper untuk mengirim kode via SMS atau email
+ * @param {string} type - Jenis faktor (sms, email)
+ * @param {string} destination - Nomor telepon atau alamat email
+ * @param {string} code - Kode yang dikirim
+ * @param {string} purpose - verification (pendaftaran) atau login
+ */
+async function deliverCode(type, destination, code, purpose) {
+  const config = OTP_FACTOR_CONFIG[type];
+  const minutes =
+    purpose === "verification" ? config.verificationMinutes : config.otpMinutes;
+  const text =
+    purpose === "verification"
+      ? `Kode verifikasi MFA Anda adalah: ${code}. Kode berlaku selama ${minutes} menit.`
+      : `Kode OTP untuk login Anda adalah: ${code}. Kode berlaku selama ${minutes} menit.`;
+
+  if (type === "sms") {
+    await sendSMS(destination, text);
+    return;
+  }
+
+  const subject = purpose === "verification" ? "Verifikasi MFA" : "Kode OTP Login";
+  await sendEmail({
+    to: destination,
+    subject,
+    text,
+    html: `<h1>${subject}</h1>
+             <p>${
+               purpose === "verification"
+                 ? "Kode verifikasi MFA Anda adalah"
+                 : "Kode OTP untuk login Anda adalah"
+             }: <strong>${code}</strong></p>
+             <p>Kode berlaku selama ${minutes} menit.</p>`,
+  });
+}
+
+/**
+ * Fungsi helper untuk membuat faktor MFA baru (belum terverifikasi)
+ * @param {string} type - Jenis faktor (totp, sms, email)
+ * @param {string} [label] - Nama faktor
+ * @param {Object} fields - Data khusus jenis faktor (secret, phone_number, address, ...)
+ * @returns {Object} Faktor baru
+ */
+function createFactor(type, label, fields) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    label: label || DEFAULT_FACTOR_LABELS[type],
+    verified: false,
+    ...fields,
+    created_at: new Date().toISOString(),
+    verified_at: null,
+    last_used_at: null,
+  };
+}
+
+/**
+ * Fungsi helper untuk menyimpan faktor baru menggantikan pendaftaran
+ * yang belum diverifikasi untuk jenis yang sama
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi (diubah langsung)
+ * @param {Object} factor - Faktor baru
+ */
+function replacePendingFactor(mfaSettings, factor) {
+  mfaSettings.factors = mfaSettings.factors
+    .filter((candidate) => candidate.verified || candidate.type !== factor.type)
+    .concat(factor);
+}
+
+/**
+ * Fungsi helper untuk menandai faktor terverifikasi
+ * Faktor pertama mengaktifkan MFA, menjadi default, dan menghasilkan backup codes.
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi (diubah langsung)
+ * @param {Object} factor - Faktor yang diverifikasi
+ * @returns {string[]|null} Backup codes baru, atau null jika MFA sudah aktif
+ */
+function activateFactor(mfaSettings, factor) {
+  factor.verified = true;
+  factor.verified_at = new Date().toISOString();
+
+  if (mfaSettings.enabled && findFactor(mfaSettings, mfaSettings.default_factor_id)) {
+    return null;
+  }
+
+  const backupCodes = generateBackupCodes();
+  mfaSettings.enabled = true;
+  mfaSettings.default_factor_id = factor.id;
+  mfaSettings.backup_codes = toBackupCodeEntries(backupCodes);
+  return backupCodes;
+}
+
+/**
+ * Fungsi helper untuk memuat user pada transaksi perubahan mfa_settings
+ * Baris user dikunci (SELECT ... FOR UPDATE) sampai transaksi berakhir sehingga setiap
+ * read-modify-write mfa_settings untuk user yang sama berjalan bergantian dan membaca data
+ * terbaru: langkah TOTP, OTP, dan backup code yang sama tidak dapat diterima dua kali, dan
+ * perubahan lain (misalnya ubah nama faktor) tidak menimpa penanda replay dengan data lama.
+ * @param {string} userId - ID user
+ * @param {Transaction} transaction - Transaksi perubahan
+ * @returns {Promise<Object|null>} Instance user
+ */
+function findUserForUpdate(userId, transaction) {
+  return UserModel.findByPk(userId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+}
+
+/**
+ * Fungsi helper untuk mengakhiri transaksi perubahan mfa_settings
+ * Transaksi di-commit jika operasi selesai tanpa error, selain itu di-rollback;
+ * transaksi yang belum dimulai atau sudah berakhir diabaikan.
+ * @param {Transaction} [transaction] - Transaksi perubahan
+ * @param {Error} [error] - Error yang terjadi selama operasi
+ */
+async function finishTransaction(transaction, error = null) {
+  if (!transaction || transaction.finished) {
+    return;
+  }
+
+  if (error) {
+    await transaction.rollback();
+  } else {
+    await transaction.commit();
+  }
+}
+
+/**
+ * Fungsi helper untuk mencocokkan kode dengan satu faktor terverifikasi
+ * Kode TOTP yang cocok dicatat pada faktor (langkah waktu dan drift);
+ * pemanggil bertanggung jawab menyimpan mfa_settings pada transaksi yang sama dengan
+ * pembacaan user (findUserForUpdate) agar pemeriksaan replay tetap atomik.
+ * @param {Object} factor - Faktor MFA
+ * @param {string} code - Kode 6 digit
+ * @returns {boolean} True jika kode valid untuk faktor tersebut
+ */
+function checkFactorCode(factor, code) {
+  if (factor.type === "totp") {
+    const match = matchTotpCode(factor, code);
+    if (match) {
+      recordTotpMatch(factor, match);
+    }
+    return Boolean(match);
+  }
+
+  // Faktor WebAuthn diverifikasi dengan assertion (webauthn.service) dan faktor push
+  // dengan persetujuan dari perangkat (push-mfa.service), bukan kode
+  if (!OTP_FACTOR_CONFIG[factor.type]) {
+    return false;
+  }
+
+  return Boolean(
+    factor.current_otp &&
+      factor.otp_expires_at &&
+      Date.now() <= new Date(factor.otp_expires_at) &&
+      isSameCode(code, decryptWithDataKey(factor.current_otp))
+  );
+}
+
+/**
+ * Fungsi helper untuk membandingkan kode OTP dalam waktu konstan
+ * @param {string} provided - Kode yang dimasukkan user
+ * @param {string} expected - Kode yang tersimpan
+ * @returns {boolean} True jika kode sama
+ */
+function isSameCode(provided, expected) {
+  const providedBuffer = Buffer.from(String(provided || ""));
+  const expectedBuffer = Buffer.from(String(expected || ""));
+  return (
+    expectedBuffer.length > 0 &&
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+  );
+}
+
+/**
+ * Fungsi helper untuk mencocokkan kode TOTP dengan faktor TOTP
+ * Jendela verifikasi berpusat pada clock drift yang teramati (totp_drift) dengan
+ * lebar TOTP_WINDOW_STEPS langkah. Kode dari langkah waktu yang sama atau lebih lama
+ * dari langkah terakhir yang diterima (last_totp_step) ditolak sebagai replay.
+ * @param {Object} factor - Faktor TOTP
+ * @param {string} code - Kode 6 digit
+ * @returns {Object|null} { step, drift } jika kode valid, null jika tidak
+ */
+function matchTotpCode(factor, code) {
+  const drift = factor.totp_drift || 0;
+  const time = Math.floor(Date.now() / 1000);
+
+  const match = speakeasy.totp.verifyDelta({
+    secret: decryptWithDataKey(factor.secret),
+    encoding: "base32",
+    token: code,
+    time,
+    step: TOTP_STEP_SECONDS,
+    window: Math.abs(drift) + TOTP_WINDOW_STEPS,
+  });
+  if (!match || Math.abs(match.delta - drift) > TOTP_WINDOW_STEPS) {
+    return null;
+  }
+
+  const step = Math.floor(time / TOTP_STEP_SECONDS) + match.delta;
+  if (Number.isInteger(factor.last_totp_step) && step <= factor.last_totp_step) {
+    logger.warn(`Rejected reused TOTP code for factor: ${factor.id}`);
+    return null;
+  }
+
+  return {
+    step,
+    drift: Math.max(
+      -TOTP_MAX_DRIFT_STEPS,
+      Math.min(TOTP_MAX_DRIFT_STEPS, match.delta)
+    ),
+  };
+}
+
+/**
+ * Fungsi helper untuk mencatat kode TOTP yang diterima pada faktor
+ * @param {Object} factor - Faktor TOTP (diubah langsung)
+ * @param {Object} match - Hasil matchTotpCode
+ */
+function recordTotpMatch(factor, match) {
+  if (match.drift !== (factor.totp_drift || 0)) {
+    logger.info(
+      `TOTP clock drift for factor ${factor.id} adjusted to ${match.drift} step(s)`
+    );
+  }
+  factor.last_totp_step = match.step;
+  factor.totp_drift = match.drift;
+}
+
+/**
+ * Fungsi helper untuk mencari faktor berdasarkan ID
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi
+ * @param {string} factorId - ID faktor
+ * @returns {Object|undefined} Faktor yang ditemukan
+ */
+function findFactor(mfaSettings, factorId) {
+  return mfaSettings.factors.find((factor) => factor.id === factorId);
+}
+
+/**
+ * Fungsi helper untuk mencari pendaftaran faktor yang belum diverifikasi
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi
+ * @param {string} type - Jenis faktor
+ * @returns {Object|undefined} Faktor yang sedang didaftarkan
+ */
+function findPendingFactor(mfaSettings, type) {
+  return mfaSettings.factors.find(
+    (factor) => factor.type === type && !factor.verified
+  );
+}
+
+/**
+ * Fungsi helper untuk mendapatkan faktor terverifikasi
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi
+ * @param {string} [type] - Filter jenis faktor
+ * @returns {Object[]} Faktor terverifikasi
+ */
+function getVerifiedFactors(mfaSettings, type = null) {
+  return mfaSettings.factors.filter(
+    (factor) => factor.verified && (!type || factor.type === type)
+  );
+}
+
+/**
+ * Fungsi helper untuk menyusun ringkasan faktor yang aman ditampilkan
+ * @param {Object} factor - Faktor MFA
+ * @param {string} defaultFactorId - ID faktor default
+ * @returns {Object} Ringkasan faktor
+ */
+function toFactorSummary(factor, defaultFactorId) {
+  let destination = null;
+  if (factor.type === "sms") {
+    destination = maskPhoneNumber(factor.phone_number);
+  } else if (factor.type === "email") {
+    destination = maskEmail(factor.address);
+  } else if (factor.type === "push") {
+    destination = factor.device_name || null;
+  }
+
+  return {
+    id: factor.id,
+    type: factor.type,
+    label: factor.label,
+    destination,
+    is_default: factor.id === defaultFactorId,
+    created_at: factor.created_at,
+    verified_at: factor.verified_at,
+    last_used_at: factor.last_used_at,
+  };
+}
+
+/**
+ * Fungsi helper untuk menyamarkan nomor telepon (hanya 4 digit terakhir terlihat)
+ * @param {string} phoneNumber - Nomor telepon
+ * @returns {string} Nomor telepon tersamar
+ */
+function maskPhoneNumber(phoneNumber) {
+  const value = String(phoneNumber || "");
+  return value.slice(0, -4).replace(/[0-9]/g, "*") + value.slice(-4);
+}
+
+/**
+ * Fungsi helper untuk menyamarkan alamat email
+ * @param {string} email - Alamat email
+ * @returns {string} Alamat email tersamar
+ */
+function maskEmail(email) {
+  const [local, domain] = String(email || "").split("@");
+  return `${local.slice(0, 2)}***@${domain}`;
+}
+
+/**
+ * Fungsi helper untuk membuat 10 backup code baru
+ * @returns {string[]} Backup codes
+ */
+function generateBackupCodes() {
+  const backupCodes = [];
+  for (let i = 0; i < 10; i++) {
+    backupCodes.push(generateBackupCode());
+  }
+  return backupCodes;
+}
+
+/**
+ * Fungsi helper untuk hash backup code (case-insensitive)
+ * @param {string} code - Backup code
+ * @returns {string} Hash SHA-256 backup code
+ */
+function hashBackupCode(code) {
+  return hashData(String(code).trim().toUpperCase());
+}
+
+/**
+ * Fungsi helper untuk mengubah backup codes menjadi entri yang disimpan
+ * Backup code plaintext (data lama atau hasil generate) di-hash; entri yang sudah di-hash dibiarkan
+ * @param {Array<string|Object>} backupCodes - Backup code plaintext atau entri { hash, used_at }
+ * @returns {Object[]} Entri backup code { hash, used_at }
+ */
+function toBackupCodeEntries(backupCodes) {
+  return backupCodes.map((entry) =>
+    typeof entry === "string"
+      ? { hash: hashBackupCode(entry), used_at: null }
+      : entry
+  );
+}
+
+/**
+ * Fungsi helper untuk menandai backup code sebagai sudah digunakan
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi (diubah langsung)
+ * @param {string} code - Backup code yang dimasukkan user
+ * @returns {boolean} True jika backup code valid dan belum pernah digunakan
+ */
+function consumeBackupCode(mfaSettings, code) {
+  const hash = hashBackupCode(code);
+  const entry = mfaSettings.backup_codes.find(
+    (candidate) => !candidate.used_at && candidate.hash === hash
+  );
+  if (!entry) {
+    return false;
+  }
+
+  entry.used_at = new Date().toISOString();
+  return true;
+}
+
+/**
+ * Fungsi helper untuk menghitung backup code yang belum digunakan
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi
+ * @returns {number} Jumlah backup code tersisa
+ */
+function countRemainingBackupCodes(mfaSettings) {
+  return mfaSettings.backup_codes.filter((entry) => !entry.used_at).length;
+}
+
+/**
+ * Fungsi helper untuk membuat mfa_settings dalam keadaan MFA nonaktif
+ * Riwayat pengiriman OTP dipertahankan agar batas pengiriman tidak ter-reset
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi sebelum dinonaktifkan
+ * @param {Object} [extra] - Field tambahan (misalnya informasi reset oleh admin)
+ * @returns {Object} mfa_settings baru
+ */
+function buildDisabledSettings(mfaSettings, extra = {}) {
+  const defaultFactor = findFactor(mfaSettings, mfaSettings.default_factor_id);
+  const disabledAt = new Date().toISOString();
+
+  return {
+    enabled: false,
+    default_factor_id: null,
+    factors: [],
+    backup_codes: [],
+    disabled_at: disabledAt,
+    otp_deliveries: mfaSettings.otp_deliveries,
+    policy_enforcement_started_at: mfaSettings.policy_enforcement_started_at || null,
+    previous_settings: {
+      method: defaultFactor ? defaultFactor.type : null,
+      factor_types: getVerifiedFactors(mfaSettings).map((factor) => factor.type),
+      disabled_at: disabledAt,
+    },
+    ...extra,
+  };
+}
+
+/**
+ * Fungsi helper untuk memeriksa batas pengiriman kode SMS/email
+ * Riwayat pengiriman disimpan di mfa_settings.otp_deliveries agar tetap ada
+ * walaupun faktor di-setup ulang
+ * @param {Object} mfaSettings - mfa_settings user
+ * @param {string} channel - Kanal pengiriman (sms, email)
+ * @returns {Object} { allowed, deliveries } atau { allowed: false, result }
+ */
+function checkOtpThrottle(mfaSettings, channel) {
+  const now = Date.now();
+  const deliveries = ((mfaSettings.otp_deliveries || {})[channel] || [])
+    .map((sentAt) => new Date(sentAt).getTime())
+    .filter((sentAt) => now - sentAt < OTP_SEND_WINDOW_MS)
+    .sort((a, b) => a - b);
+
+  let retryAfter = 0;
+  const lastSentAt = deliveries[deliveries.length - 1];
+  if (lastSentAt && now - lastSentAt < OTP_RESEND_INTERVAL_SECONDS * 1000) {
+    retryAfter = lastSentAt + OTP_RESEND_INTERVAL_SECONDS * 1000 - now;
+  } else if (deliveries.length >= OTP_MAX_SENDS_PER_HOUR) {
+    retryAfter = deliveries[0] + OTP_SEND_WINDOW_MS - now;
+  }
+
+  if (retryAfter > 0) {
+    return {
+      allowed: false,
+      result: {
+        success: false,
+        code: "OTP_RESEND_THROTTLED",
+        message: "Terlalu banyak permintaan kode. Silakan coba lagi nanti",
+        retryAfter: Math.ceil(retryAfter / 1000),
+      },
+    };
+  }
+
+  return { allowed: true, deliveries };
+}
+
+/**
+ * Fungsi helper untuk mencatat pengiriman kode SMS/email
+ * @param {Object} mfaSettings - mfa_settings user (diubah langsung)
+ * @param {string} channel - Kanal pengiriman (sms, email)
+ * @param {number[]} deliveries - Riwayat pengiriman dari checkOtpThrottle
+ */
+function recordOtpDelivery(mfaSettings, channel, deliveries) {
+  mfaSettings.otp_deliveries = {
+    ...(mfaSettings.otp_deliveries || {}),
+    [channel]: [...deliveries, Date.now()].map((sentAt) =>
+      new Date(sentAt).toISOString()
+    ),
+  };
+}
 
 /**
  * Fungsi helper untuk memvalidasi format nomor telepon
@@ -1181,14 +2386,14 @@ function isValidEmail(email) {
 }
 
 /**
- * Fungsi helper untuk menghasilkan kode numerik acak
+ * Fungsi helper untuk menghasilkan kode numerik acak (CSPRNG)
  * @param {number} length - Panjang kode
  * @returns {string} Kode numerik
  */
 function generateNumericCode(length) {
   let code = "";
   for (let i = 0; i < length; i++) {
-    code += Math.floor(Math.random() * 10);
+    code += crypto.randomInt(10);
   }
   return code;
 }
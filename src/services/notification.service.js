@@ -2,13 +2,17 @@
  * Service untuk mengirim notifikasi (SMS, Email, dll)
  * 
  * Modul ini menyediakan fungsi-fungsi untuk mengirim berbagai jenis notifikasi
- * seperti SMS dan Email yang digunakan untuk MFA.
+ * seperti SMS, Email, dan notifikasi push yang digunakan untuk MFA.
  * 
  * @module notification.service
  */
 // Di production, gunakan library pihak ketiga seperti:
 // - Twilio, Nexmo, atau AWS SNS untuk SMS
 // - Nodemailer, SendGrid, atau AWS SES untuk Email
+// - Firebase Cloud Messaging atau APNs untuk push (lihat registerPushProvider)
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
 import { logger } from '../utils/logger.util.js';
 
 /**
@@ -200,9 +204,82 @@ export const sendEmail = async (options) => {
 };
 
 /**
- * Kirim notifikasi push
+ * Provider notifikasi push
+ * Provider menerima pesan { token, userId, title, body, data } dan mengembalikan
+ * { success, notificationId } atau { success: false, error }.
+ *  - log: hanya mencatat notifikasi ke log (default)
+ *  - file: menambahkan notifikasi sebagai baris JSON ke PUSH_OUTBOX_FILE (pengganti lokal untuk pengujian)
+ *  - http: mengirim notifikasi sebagai JSON ke PUSH_HTTP_URL (webhook gateway push atau stand-in pengujian)
+ * Provider lain (misalnya FCM atau APNs) didaftarkan melalui registerPushProvider
+ */
+const pushProviders = {
+  log: async (message) => {
+    logger.info(`[PUSH MOCK] To: ${message.userId}, Title: ${message.title}`);
+    logger.debug(`[PUSH MOCK] Body: ${message.body}`);
+    return {
+      success: true,
+      notificationId: `mock-push-${Date.now()}`
+    };
+  },
+
+  file: async (message) => {
+    const outboxFile = process.env.PUSH_OUTBOX_FILE || 'logs/push-outbox.jsonl';
+    const notificationId = `file-push-${crypto.randomUUID()}`;
+
+    await fs.mkdir(path.dirname(outboxFile), { recursive: true });
+    await fs.appendFile(
+      outboxFile,
+      JSON.stringify({ id: notificationId, sent_at: new Date().toISOString(), ...message }) + '\n'
+    );
+
+    return {
+      success: true,
+      notificationId
+    };
+  },
+
+  http: async (message) => {
+    if (!process.env.PUSH_HTTP_URL) {
+      throw new Error('PUSH_HTTP_URL is not configured');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.PUSH_HTTP_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.PUSH_HTTP_TOKEN}`;
+    }
+
+    const response = await fetch(process.env.PUSH_HTTP_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`Push gateway responded with status ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    return {
+      success: true,
+      notificationId: result.id || `http-push-${Date.now()}`
+    };
+  }
+};
+
+/**
+ * Mendaftarkan provider notifikasi push
+ * @param {string} name - Nama provider (dipilih melalui PUSH_PROVIDER)
+ * @param {Function} provider - async (message) => { success, notificationId }
+ */
+export const registerPushProvider = (name, provider) => {
+  pushProviders[name] = provider;
+};
+
+/**
+ * Kirim notifikasi push melalui provider yang dikonfigurasi (PUSH_PROVIDER, default log)
  * @param {Object} options - Opsi notifikasi
  * @param {string} options.userId - ID user penerima
+ * @param {string} [options.token] - Token push perangkat tujuan
  * @param {string} options.title - Judul notifikasi
  * @param {string} options.body - Isi notifikasi
  * @param {Object} [options.data] - Data tambahan
@@ -215,69 +292,22 @@ export const sendPushNotification = async (options) => {
       throw new Error('User ID, title, and body are required');
     }
 
-    // Di lingkungan pengembangan, hanya log notifikasi
-    if (process.env.NODE_ENV === 'development') {
-      logger.info(`[PUSH MOCK] To: ${options.userId}, Title: ${options.title}`);
-      logger.debug(`[PUSH MOCK] Body: ${options.body}`);
-      return {
-        success: true,
-        notificationId: `mock-push-${Date.now()}`
-      };
+    const providerName = process.env.PUSH_PROVIDER || 'log';
+    const provider = pushProviders[providerName];
+    if (!provider) {
+      throw new Error(`Unknown push provider: ${providerName}`);
     }
 
-    // Di lingkungan production, integrasikan dengan layanan notifikasi push
-    // Contoh menggunakan Firebase Cloud Messaging (FCM)
-    /*
-    const admin = require('firebase-admin');
-    
-    // Inisialisasi Firebase Admin (lakukan di awal aplikasi)
-    if (!admin.apps.length) {
-      admin.initializeApp({
-        credential: admin.credential.cert({
-          projectId: process.env.FIREBASE_PROJECT_ID,
-          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-          privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-        })
-      });
-    }
-    
-    // Ambil token FCM user dari database
-    // Ini perlu diimplementasikan sesuai struktur database Anda
-    const userRecord = await UserModel.findByPk(options.userId);
-    const fcmToken = userRecord.fcm_token;
-    
-    if (!fcmToken) {
-      return {
-        success: false,
-        error: 'User does not have FCM token'
-      };
-    }
-    
-    // Buat pesan
-    const message = {
-      notification: {
-        title: options.title,
-        body: options.body
-      },
-      data: options.data || {},
-      token: fcmToken
-    };
-    
-    // Kirim notifikasi
-    const response = await admin.messaging().send(message);
-    
-    return {
-      success: true,
-      notificationId: response
-    };
-    */
+    const result = await provider({
+      token: options.token || null,
+      userId: options.userId,
+      title: options.title,
+      body: options.body,
+      data: options.data || {}
+    });
 
-    // Mock response untuk implementasi saat ini
-    logger.info(`[PUSH] To: ${options.userId}, Title: ${options.title}`);
-    return {
-      success: true,
-      notificationId: `push-${Date.now()}`
-    };
+    logger.info(`[PUSH] To: ${options.userId}, Title: ${options.title}, Provider: ${providerName}`);
+    return result;
   } catch (error) {
     logger.error(`Error sending push notification: ${error.message}`);
     return {
@@ -285,4 +315,4 @@ export const sendPushNotification = async (options) => {
       error: error.message
     };
   }
-};
\ No newline at end of file
+};
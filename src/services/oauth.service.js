@@ -0,0 +1,679 @@
+/**
+ * Layanan OAuth 2.0 untuk aplikasi otentikasi terpusat
+ */
+import crypto from 'crypto';
+import {
+  UserModel,
+  TokenModel,
+  ConsumerModel,
+  AuthorizationCodeModel
+} from '../models/index.model.js';
+import {
+  verifyToken,
+  issueTokenPair,
+  issueClientToken,
+  refreshAccessToken
+} from './auth.service.js';
+import { verifyJwt } from './key.service.js';
+import { isAccountLocked } from './lockout.service.js';
+import { issueIdToken, hasOpenIdScope, SCOPES_SUPPORTED } from './oidc.service.js';
+import { generateRandomToken, hashData } from './crypto.service.js';
+import { logTokenActivity } from './audit.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Masa berlaku authorization code (detik); RFC 6749 menyarankan maksimal 10 menit
+const AUTHORIZATION_CODE_EXPIRES_SECONDS = 300;
+
+// Format PKCE code_challenge (S256) dan code_verifier (RFC 7636)
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Membentuk respons token OAuth dari hasil penerbitan token
+ * @param {Object} issued - Hasil issueTokenPair / refreshAccessToken / issueClientToken
+ * @returns {Object} Respons token (RFC 6749 section 5.1)
+ */
+const buildTokenResponse = (issued) => {
+  const response = {
+    access_token: issued.token,
+    token_type: 'Bearer',
+    expires_in: Math.max(0, Math.round((new Date(issued.expiresAt).getTime() - Date.now()) / 1000))
+  };
+
+  if (issued.refreshToken) {
+    response.refresh_token = issued.refreshToken;
+  }
+
+  if (issued.scope) {
+    response.scope = issued.scope;
+  }
+
+  return response;
+};
+
+/**
+ * Menyusun URL redirect ke consumer dengan parameter tambahan
+ * @param {string} redirectUri - Redirect URI terdaftar
+ * @param {Object} params - Parameter query (nilai kosong diabaikan)
+ * @returns {string} URL redirect
+ */
+export const buildRedirectUrl = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  return url.toString();
+};
+
+/**
+ * Introspeksi access token (JWT) menggunakan pemeriksaan yang sama dengan verifyToken
+ * @param {string} token - Access token
+ * @param {Object} consumer - Consumer yang melakukan introspeksi
+ * @returns {Promise<Object>} Respons introspeksi
+ */
+const introspectAccessToken = async (token, consumer) => {
+  const result = await verifyToken(token, consumer.id);
+
+  if (!result.success) {
+    logger.debug(`Introspection inactive token: ${result.code}`);
+    return { active: false };
+  }
+
+  // Token client_credentials: subjek adalah consumer itu sendiri
+  if (result.consumer) {
+    const introspection = {
+      active: true,
+      token_type: 'Bearer',
+      sub: result.consumer.name,
+      client_id: result.token.consumer,
+      exp: result.token.expiresAt,
+      iat: result.token.issuedAt,
+      jti: result.token.id
+    };
+
+    if (result.token.scope) {
+      introspection.scope = result.token.scope;
+    }
+
+    return introspection;
+  }
+
+  const introspection = {
+    active: true,
+    token_type: 'Bearer',
+    sub: result.user.id,
+    username: result.user.username,
+    client_id: result.token.consumer,
+    exp: result.token.expiresAt,
+    iat: result.token.issuedAt,
+    jti: result.token.id,
+    roles: result.user.roles
+  };
+
+  if (result.token.scope) {
+    introspection.scope = result.token.scope;
+  }
+
+  return introspection;
+};
+
+/**
+ * Introspeksi refresh token (opaque)
+ * @param {string} token - Refresh token
+ * @param {Object} consumer - Consumer yang melakukan introspeksi
+ * @returns {Promise<Object>} Respons introspeksi
+ */
+const introspectRefreshToken = async (token, consumer) => {
+  const tokenRecord = await TokenModel.findRefreshTokenByHash(hashData(token));
+
+  if (
+    !tokenRecord ||
+    tokenRecord.is_revoked ||
+    tokenRecord.used_at ||
+    new Date() > tokenRecord.expires_at ||
+    tokenRecord.consumer_id !== consumer.id
+  ) {
+    return { active: false };
+  }
+
+  // Kunci sementara yang sudah lewat tidak membuat token tidak aktif
+  const user = await UserModel.findWithRoles(tokenRecord.user_id);
+  if (!user || !user.is_active || (await isAccountLocked(user, { consumerId: consumer.id }))) {
+    return { active: false };
+  }
+
+  const metadata = tokenRecord.metadata || {};
+  const introspection = {
+    active: true,
+    token_type: 'refresh_token',
+    sub: user.id,
+    username: user.username,
+    client_id: consumer.name,
+    exp: Math.floor(new Date(tokenRecord.expires_at).getTime() / 1000),
+    jti: tokenRecord.id,
+    roles: user.Roles.map(role => role.name)
+  };
+
+  if (metadata.issued_at) {
+    introspection.iat = Math.floor(new Date(metadata.issued_at).getTime() / 1000);
+  }
+
+  if (metadata.scope) {
+    introspection.scope = metadata.scope;
+  }
+
+  return introspection;
+};
+
+/**
+ * Introspeksi token sesuai RFC 7662
+ * Token yang tidak valid, kedaluwarsa, dicabut, atau milik consumer lain
+ * selalu dilaporkan sebagai { active: false } tanpa detail penyebab
+ * @param {string} token - Token yang diperiksa
+ * @param {Object} context - Konteks introspeksi
+ * @param {Object} context.consumer - Consumer yang terotentikasi ({ id, name })
+ * @returns {Promise<Object>} Hasil introspeksi
+ */
+export const introspectToken = async (token, context) => {
+  const { consumer } = context;
+
+  try {
+    // Access token berupa JWT (header.payload.signature), refresh token berupa string opaque.
+    // Format token sudah menentukan jenisnya sehingga token_type_hint tidak diperlukan
+    const isJwt = token.split('.').length === 3;
+
+    const introspection = isJwt
+      ? await introspectAccessToken(token, consumer)
+      : await introspectRefreshToken(token, consumer);
+
+    return {
+      success: true,
+      introspection
+    };
+  } catch (error) {
+    logger.error(`Error in introspectToken: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Mencari record access token (JWT) yang akan dicabut
+ * Tanda tangan diverifikasi agar token_id tidak dapat dipalsukan
+ * @param {string} token - Token yang akan dicabut
+ * @returns {Promise<Object|null>} Record token atau null jika bukan access token yang valid
+ */
+const findAccessTokenForRevocation = async (token) => {
+  if (token.split('.').length !== 3) {
+    return null;
+  }
+
+  const verified = await verifyJwt(token);
+  if (!verified.success || !verified.payload.token_id) {
+    return null;
+  }
+
+  return await TokenModel.findByPk(verified.payload.token_id);
+};
+
+/**
+ * Mencari record refresh token (opaque) yang akan dicabut
+ * @param {string} token - Token yang akan dicabut
+ * @returns {Promise<Object|null>} Record token atau null jika tidak ditemukan
+ */
+const findRefreshTokenForRevocation = (token) =>
+  TokenModel.findRefreshTokenByHash(hashData(token));
+
+/**
+ * Mencabut token sesuai RFC 7009
+ * Access token dicabut satu per satu; pencabutan refresh token juga mencabut
+ * token lain dalam keluarga yang sama (satu sesi login beserta rotasinya),
+ * sedangkan sesi lain pengguna tetap aktif. Token yang tidak dikenal,
+ * sudah tidak berlaku, atau milik consumer lain diabaikan tanpa error agar
+ * endpoint tidak dapat digunakan untuk menebak token
+ * @param {Object} params - Parameter permintaan pencabutan
+ * @param {string} params.token - Token yang akan dicabut
+ * @param {string} [params.token_type_hint] - Jenis token yang dicari lebih dulu
+ * @param {Object} context - Konteks pencabutan
+ * @param {Object} context.consumer - Consumer yang terotentikasi ({ id, name })
+ * @param {string} context.ipAddress - Alamat IP klien
+ * @param {string} context.userAgent - User agent klien
+ * @returns {Promise<Object>} Hasil pencabutan
+ */
+export const revokeOAuthToken = async (params, context) => {
+  const { token, token_type_hint } = params;
+  const { consumer, ipAddress, userAgent } = context;
+
+  try {
+    // token_type_hint hanya menentukan urutan pencarian; jika token tidak ditemukan
+    // dengan hint tersebut, jenis token lain tetap dicari (RFC 7009 section 2.1)
+    const lookups = token_type_hint === 'refresh_token'
+      ? [findRefreshTokenForRevocation, findAccessTokenForRevocation]
+      : [findAccessTokenForRevocation, findRefreshTokenForRevocation];
+
+    let tokenRecord = null;
+    for (const lookup of lookups) {
+      tokenRecord = await lookup(token);
+      if (tokenRecord) {
+        break;
+      }
+    }
+
+    if (!tokenRecord) {
+      logger.debug('Revocation requested for unknown or invalid token');
+      return { success: true, revoked: 0 };
+    }
+
+    if (tokenRecord.consumer_id !== consumer.id) {
+      logger.warn(
+        `Revocation attempt by consumer ${consumer.name} for token ${tokenRecord.id} issued to another consumer`
+      );
+      return { success: true, revoked: 0 };
+    }
+
+    let revoked = (await TokenModel.revokeById(tokenRecord.id)) ? 1 : 0;
+    if (tokenRecord.token_type === 'refresh') {
+      revoked += await TokenModel.revokeFamily(tokenRecord.family_id);
+    }
+
+    await logTokenActivity({
+      userId: tokenRecord.user_id,
+      consumerId: consumer.id,
+      tokenId: tokenRecord.id,
+      action: 'revoke',
+      success: true,
+      ipAddress,
+      userAgent,
+      reason: 'OAuth token revocation',
+      additionalData: {
+        token_type: tokenRecord.token_type,
+        revoked_count: revoked
+      }
+    });
+
+    logger.info(
+      `Token revoked via OAuth: ${tokenRecord.id} (${tokenRecord.token_type}), consumer: ${consumer.name}, revoked: ${revoked}`
+    );
+
+    return { success: true, revoked };
+  } catch (error) {
+    logger.error(`Error in revokeOAuthToken: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Validasi permintaan otorisasi (authorization code + PKCE)
+ * Error pada client_id atau redirect_uri tidak boleh di-redirect ke consumer;
+ * error lain menyertakan redirectUri agar dapat dikembalikan ke consumer
+ * @param {Object} params - Parameter permintaan otorisasi
+ * @returns {Promise<Object>} Hasil validasi beserta consumer dan permintaan yang dinormalisasi
+ */
+export const validateAuthorizationRequest = async (params) => {
+  const {
+    client_id,
+    redirect_uri,
+    response_type,
+    scope,
+    state,
+    nonce,
+    code_challenge,
+    code_challenge_method
+  } = params;
+
+  try {
+    const consumer = client_id ? await ConsumerModel.findByName(client_id) : null;
+    if (!consumer) {
+      return {
+        success: false,
+        code: 'invalid_client',
+        message: 'Unknown or inactive client'
+      };
+    }
+
+    // redirect_uri boleh dihilangkan jika consumer hanya mendaftarkan satu URI
+    const registeredUris = consumer.redirect_uris || [];
+    const redirectUri = redirect_uri || (registeredUris.length === 1 ? registeredUris[0] : null);
+
+    if (!ConsumerModel.isRedirectUriAllowed(consumer, redirectUri)) {
+      logger.warn(`Authorization request with unregistered redirect_uri for client: ${client_id}`);
+      return {
+        success: false,
+        code: 'invalid_request',
+        message: 'redirect_uri is missing or not registered for this client'
+      };
+    }
+
+    const invalid = (code, message) => ({ success: false, code, message, redirectUri, state });
+
+    if (response_type !== 'code') {
+      return invalid('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    if (!code_challenge) {
+      return invalid('invalid_request', 'code_challenge is required (PKCE)');
+    }
+
+    if (code_challenge_method !== 'S256') {
+      return invalid('invalid_request', 'code_challenge_method must be S256');
+    }
+
+    if (!CODE_CHALLENGE_PATTERN.test(code_challenge)) {
+      return invalid('invalid_request', 'Invalid code_challenge');
+    }
+
+    // Scope atas nama pengguna harus didukung provider dan termasuk allowed_scopes consumer
+    const scopes = ConsumerModel.resolveUserScopes(consumer, scope);
+    if (!scopes || scopes.some(requested => !SCOPES_SUPPORTED.includes(requested))) {
+      logger.warn(`Authorization request with disallowed scope for client: ${client_id}`);
+      return invalid('invalid_scope', 'Requested scope is not allowed for this client');
+    }
+
+    return {
+      success: true,
+      consumer,
+      request: {
+        clientId: consumer.name,
+        redirectUri,
+        responseType: response_type,
+        scope: scopes.join(' ') || null,
+        state: state || null,
+        nonce: nonce || null,
+        codeChallenge: code_challenge,
+        codeChallengeMethod: code_challenge_method
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in validateAuthorizationRequest: ${error.message}`);
+    return {
+      success: false,
+      code: 'server_error',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menerbitkan authorization code setelah pengguna berhasil login
+ * Hanya hash code yang disimpan; code asli dikirim sekali melalui redirect
+ * @param {Object} authRequest - Permintaan otorisasi yang sudah divalidasi
+ * @param {Object} consumer - Instance consumer
+ * @param {Object} authResult - Hasil authenticateUser ({ user, authTime, amr })
+ * @returns {Promise<Object>} Authorization code
+ */
+export const createAuthorizationCode = async (authRequest, consumer, authResult) => {
+  try {
+    const code = generateRandomToken(32);
+    const expiresAt = new Date(Date.now() + AUTHORIZATION_CODE_EXPIRES_SECONDS * 1000);
+
+    await AuthorizationCodeModel.create({
+      code_hash: hashData(code),
+      user_id: authResult.user.id,
+      consumer_id: consumer.id,
+      redirect_uri: authRequest.redirectUri,
+      code_challenge: authRequest.codeChallenge,
+      code_challenge_method: authRequest.codeChallengeMethod,
+      scope: authRequest.scope,
+      nonce: authRequest.nonce,
+      auth_time: authResult.authTime,
+      amr: authResult.amr,
+      expires_at: expiresAt
+    });
+
+    return {
+      success: true,
+      code,
+      expiresAt
+    };
+  } catch (error) {
+    logger.error(`Error in createAuthorizationCode: ${error.message}`);
+    return {
+      success: false,
+      code: 'server_error',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menukar authorization code dengan token (grant_type=authorization_code)
+ * Code hanya dapat dipakai sekali; pemakaian ulang mencabut token yang sudah
+ * diterbitkan dari code tersebut (RFC 6749 section 4.1.2)
+ * @param {Object} params - Parameter permintaan token
+ * @param {Object} consumer - Consumer yang terotentikasi ({ id, name })
+ * @param {Object} context - Konteks permintaan (ipAddress, userAgent)
+ * @returns {Promise<Object>} Hasil penukaran
+ */
+export const exchangeAuthorizationCode = async (params, consumer, context) => {
+  const { code, redirect_uri, code_verifier } = params;
+  const { ipAddress, userAgent } = context;
+  const invalidGrant = (message) => ({ success: false, code: 'invalid_grant', message });
+
+  try {
+    const authCode = await AuthorizationCodeModel.findByHash(hashData(code));
+    if (!authCode) {
+      return invalidGrant('Invalid authorization code');
+    }
+
+    if (authCode.consumer_id !== consumer.id) {
+      logger.warn(`Authorization code presented by another client: ${consumer.name}`);
+      return invalidGrant('Authorization code was not issued to this client');
+    }
+
+    if (authCode.used_at) {
+      const count = await TokenModel.revokeFamily(authCode.family_id);
+      logger.warn(`Authorization code reuse detected: ${authCode.id}, revoked tokens: ${count}`);
+      await logTokenActivity({
+        userId: authCode.user_id,
+        consumerId: consumer.id,
+        tokenId: null,
+        action: 'revoke',
+        success: true,
+        ipAddress,
+        userAgent,
+        reason: 'AUTHORIZATION_CODE_REUSED',
+        additionalData: {
+          family_id: authCode.family_id,
+          revoked_count: count
+        }
+      });
+      return invalidGrant('Authorization code has already been used');
+    }
+
+    if (new Date() > authCode.expires_at) {
+      return invalidGrant('Authorization code has expired');
+    }
+
+    if (authCode.redirect_uri !== redirect_uri) {
+      return invalidGrant('redirect_uri does not match the authorization request');
+    }
+
+    // Verifikasi PKCE: BASE64URL(SHA256(code_verifier)) harus sama dengan code_challenge
+    if (!code_verifier || !CODE_VERIFIER_PATTERN.test(code_verifier)) {
+      return invalidGrant('Invalid code_verifier');
+    }
+
+    const challenge = crypto.createHash('sha256').update(code_verifier).digest('base64url');
+    if (challenge !== authCode.code_challenge) {
+      return invalidGrant('code_verifier does not match code_challenge');
+    }
+
+    // Tandai code sebagai terpakai sebelum token diterbitkan
+    const marked = await AuthorizationCodeModel.markUsed(authCode.id);
+    if (!marked) {
+      return invalidGrant('Authorization code has already been used');
+    }
+
+    const user = await UserModel.findByPk(authCode.user_id);
+    const lockContext = { consumerId: consumer.id, ipAddress, userAgent };
+    if (!user || !user.is_active || (await isAccountLocked(user, lockContext))) {
+      return invalidGrant('User not found or inactive');
+    }
+
+    const consumerRecord = await ConsumerModel.findByPk(consumer.id);
+    const issued = await issueTokenPair(user, consumerRecord, {
+      ipAddress,
+      userAgent,
+      scope: authCode.scope,
+      grantType: 'authorization_code'
+    });
+    if (!issued.success) {
+      return {
+        success: false,
+        code: 'server_error',
+        message: issued.message
+      };
+    }
+
+    await authCode.update({ family_id: issued.familyId });
+
+    const tokens = buildTokenResponse(issued);
+
+    // Permintaan OpenID Connect (scope openid) juga menerima ID token
+    if (hasOpenIdScope(authCode.scope)) {
+      const idToken = await issueIdToken(user, consumerRecord, {
+        authTime: authCode.auth_time,
+        amr: authCode.amr,
+        nonce: authCode.nonce
+      });
+      if (!idToken.success) {
+        return {
+          success: false,
+          code: 'server_error',
+          message: idToken.message
+        };
+      }
+      tokens.id_token = idToken.idToken;
+    }
+
+    logger.info(`Authorization code exchanged for user: ${user.username}, client: ${consumer.name}`);
+
+    return {
+      success: true,
+      tokens,
+      user,
+      authCode
+    };
+  } catch (error) {
+    logger.error(`Error in exchangeAuthorizationCode: ${error.message}`);
+    return {
+      success: false,
+      code: 'server_error',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menukar refresh token dengan token baru (grant_type=refresh_token)
+ * @param {Object} params - Parameter permintaan token
+ * @param {Object} consumer - Consumer yang terotentikasi ({ id, name })
+ * @param {Object} context - Konteks permintaan (ipAddress, userAgent)
+ * @returns {Promise<Object>} Hasil penukaran
+ */
+export const exchangeRefreshToken = async (params, consumer, context) => {
+  const result = await refreshAccessToken(params.refresh_token, {
+    consumerId: consumer.id,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  });
+
+  if (!result.success) {
+    const isServerError = ['SYSTEM_ERROR', 'CONFIGURATION_ERROR', 'SIGNING_ERROR'].includes(result.code);
+    return {
+      success: false,
+      code: isServerError ? 'server_error' : 'invalid_grant',
+      message: result.message
+    };
+  }
+
+  return {
+    success: true,
+    tokens: buildTokenResponse(result)
+  };
+};
+
+/**
+ * Menerbitkan token untuk consumer (grant_type=client_credentials)
+ * Scope yang diminta harus termasuk client_scopes consumer
+ * @param {Object} params - Parameter permintaan token
+ * @param {Object} consumer - Consumer yang terotentikasi ({ id, name })
+ * @param {Object} context - Konteks permintaan (ipAddress, userAgent)
+ * @returns {Promise<Object>} Hasil penerbitan
+ */
+export const issueClientCredentialsToken = async (params, consumer, context) => {
+  const { ipAddress, userAgent } = context;
+
+  try {
+    const consumerRecord = await ConsumerModel.findByPk(consumer.id);
+    if (!consumerRecord || !consumerRecord.is_active) {
+      return {
+        success: false,
+        code: 'invalid_client',
+        message: 'Client not found or inactive'
+      };
+    }
+
+    const scopes = ConsumerModel.resolveClientScopes(consumerRecord, params.scope);
+    if (!scopes) {
+      return {
+        success: false,
+        code: 'invalid_scope',
+        message: 'Requested scope is not allowed for this client'
+      };
+    }
+
+    const scope = scopes.join(' ');
+    const issued = await issueClientToken(consumerRecord, {
+      ipAddress,
+      userAgent,
+      scope
+    });
+    if (!issued.success) {
+      return {
+        success: false,
+        code: 'server_error',
+        message: issued.message
+      };
+    }
+
+    await logTokenActivity({
+      userId: null,
+      consumerId: consumer.id,
+      tokenId: issued.tokenId,
+      action: 'generate',
+      success: true,
+      ipAddress,
+      userAgent,
+      additionalData: {
+        grant_type: 'client_credentials',
+        scope: scope || null
+      }
+    });
+
+    logger.info(`Client credentials token issued for client: ${consumer.name}, scope: ${scope || '-'}`);
+
+    return {
+      success: true,
+      tokens: buildTokenResponse(issued)
+    };
+  } catch (error) {
+    logger.error(`Error in issueClientCredentialsToken: ${error.message}`);
+    return {
+      success: false,
+      code: 'server_error',
+      message: 'An internal system error occurred'
+    };
+  }
+};
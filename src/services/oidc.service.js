@@ -0,0 +1,239 @@
+/**
+ * Layanan OpenID Connect untuk aplikasi otentikasi terpusat
+ */
+import { UserModel, ConsumerModel } from '../models/index.model.js';
+import { verifyToken } from './auth.service.js';
+import { signJwt, verifyJwt, getJwks } from './key.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Masa berlaku ID token (detik)
+const ID_TOKEN_EXPIRES_SECONDS = parseInt(
+  process.env.OIDC_ID_TOKEN_EXPIRES_SECONDS || '3600',
+  10
+);
+
+// Scope dan klaim yang didukung provider
+export const SCOPES_SUPPORTED = ['openid', 'profile', 'email'];
+const CLAIMS_SUPPORTED = [
+  'iss',
+  'sub',
+  'aud',
+  'exp',
+  'iat',
+  'auth_time',
+  'nonce',
+  'amr',
+  'preferred_username',
+  'email',
+  'roles'
+];
+
+/**
+ * Mendapatkan issuer OpenID Connect
+ * Nilai harus sama persis dengan klaim iss pada ID token
+ * @returns {string} Issuer (tanpa garis miring di akhir)
+ */
+export const getIssuer = () => {
+  return (process.env.OIDC_ISSUER || process.env.API_BASE_URL || 'http://localhost:3000')
+    .replace(/\/+$/, '');
+};
+
+/**
+ * Memeriksa apakah scope mengandung openid
+ * @param {string} scope - Scope yang dipisahkan spasi
+ * @returns {boolean} True jika permintaan adalah permintaan OpenID Connect
+ */
+export const hasOpenIdScope = (scope) => {
+  return Boolean(scope && scope.split(' ').includes('openid'));
+};
+
+/**
+ * Menyusun klaim pengguna untuk ID token dan userinfo
+ * @param {Object} user - Instance user beserta Roles (findWithRoles)
+ * @returns {Object} Klaim pengguna
+ */
+const buildUserClaims = (user) => ({
+  sub: user.id,
+  preferred_username: user.username,
+  email: user.email,
+  roles: (user.Roles || []).map(role => role.name)
+});
+
+/**
+ * Dokumen OpenID Provider Metadata (/.well-known/openid-configuration)
+ * @returns {Promise<Object>} Dokumen discovery
+ */
+export const getDiscoveryDocument = async () => {
+  try {
+    const issuer = getIssuer();
+
+    // Algoritma tanda tangan mengikuti kunci provider yang dipublikasikan
+    const jwksResult = await getJwks();
+    if (!jwksResult.success) {
+      return jwksResult;
+    }
+    const signingAlgorithms = [...new Set(jwksResult.jwks.keys.map(key => key.alg))];
+
+    return {
+      success: true,
+      configuration: {
+        issuer,
+        authorization_endpoint: `${issuer}/oauth/authorize`,
+        token_endpoint: `${issuer}/oauth/token`,
+        userinfo_endpoint: `${issuer}/oauth/userinfo`,
+        jwks_uri: `${issuer}/.well-known/jwks.json`,
+        revocation_endpoint: `${issuer}/oauth/revoke`,
+        introspection_endpoint: `${issuer}/oauth/introspect`,
+        scopes_supported: SCOPES_SUPPORTED,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query'],
+        grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: signingAlgorithms,
+        token_endpoint_auth_methods_supported: [
+          'client_secret_basic',
+          'client_secret_post',
+          'private_key_jwt'
+        ],
+        token_endpoint_auth_signing_alg_values_supported: ['RS256', 'PS256', 'ES256', 'ES384', 'EdDSA'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: CLAIMS_SUPPORTED
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in getDiscoveryDocument: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menerbitkan ID token untuk pengguna yang login melalui authorization code flow
+ * @param {Object} user - Instance user
+ * @param {Object} consumer - Consumer penerima token (aud)
+ * @param {Object} context - Data otentikasi
+ * @param {Date} context.authTime - Waktu pengguna melakukan otentikasi
+ * @param {string[]} context.amr - Metode otentikasi (pwd, otp, sms, mfa)
+ * @param {string} [context.nonce] - Nonce dari permintaan otorisasi
+ * @returns {Promise<Object>} ID token
+ */
+export const issueIdToken = async (user, consumer, context) => {
+  const { authTime, amr, nonce } = context;
+
+  try {
+    const userWithRoles = await UserModel.findWithRoles(user.id);
+    if (!userWithRoles) {
+      return {
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      iss: getIssuer(),
+      aud: consumer.name,
+      iat: now,
+      exp: now + ID_TOKEN_EXPIRES_SECONDS,
+      auth_time: Math.floor(new Date(authTime).getTime() / 1000),
+      amr: amr || ['pwd'],
+      ...buildUserClaims(userWithRoles)
+    };
+    if (nonce) {
+      payload.nonce = nonce;
+    }
+
+    // Ditandatangani dengan kunci provider aktif (header kid), sama seperti access token
+    const signed = await signJwt(payload);
+    if (!signed.success) {
+      return signed;
+    }
+
+    return {
+      success: true,
+      idToken: signed.token
+    };
+  } catch (error) {
+    logger.error(`Error in issueIdToken: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Mendapatkan klaim pengguna untuk endpoint userinfo
+ * Access token diverifikasi dengan pemeriksaan yang sama dengan verifyToken
+ * terhadap consumer penerima token, dan harus memiliki scope openid
+ * @param {string} accessToken - Access token (JWT)
+ * @returns {Promise<Object>} Klaim pengguna
+ */
+export const getUserInfo = async (accessToken) => {
+  try {
+    const verified = await verifyJwt(accessToken);
+    if (!verified.success) {
+      return {
+        success: false,
+        code: 'invalid_token',
+        message: 'Invalid access token'
+      };
+    }
+
+    const consumer = verified.payload.consumer
+      ? await ConsumerModel.findByName(verified.payload.consumer)
+      : null;
+    if (!consumer) {
+      return {
+        success: false,
+        code: 'invalid_token',
+        message: 'Unknown or inactive client'
+      };
+    }
+
+    const result = await verifyToken(accessToken, consumer.id);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code === 'SYSTEM_ERROR' ? 'server_error' : 'invalid_token',
+        message: result.message
+      };
+    }
+
+    // Token client_credentials tidak mewakili pengguna
+    if (!result.user) {
+      return {
+        success: false,
+        code: 'invalid_token',
+        message: 'Access token does not represent a user'
+      };
+    }
+
+    if (!hasOpenIdScope(result.token.scope)) {
+      return {
+        success: false,
+        code: 'insufficient_scope',
+        message: 'Access token does not have the openid scope'
+      };
+    }
+
+    const user = await UserModel.findWithRoles(result.user.id);
+
+    return {
+      success: true,
+      userInfo: buildUserClaims(user)
+    };
+  } catch (error) {
+    logger.error(`Error in getUserInfo: ${error.message}`);
+    return {
+      success: false,
+      code: 'server_error',
+      message: 'An internal system error occurred'
+    };
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Layanan konfigurasi kebijakan password
+ *
+ * Kebijakan bersifat global dan disimpan sebagai satu baris pada password_policies.
+ * Selama admin belum menyimpan kebijakan, DEFAULT_PASSWORD_POLICY yang berlaku (setara
+ * aturan password sebelumnya: minimal 8 karakter dengan huruf besar, huruf kecil, angka,
+ * dan simbol). Evaluasi password terhadap kebijakan dilakukan di user.service.js; pemeriksaan
+ * korpus password bocor ada di breached-password.service.js.
+ */
+import { PasswordPolicyModel } from '../models/index.model.js';
+import { logger } from '../utils/logger.util.js';
+
+// Kebijakan yang berlaku jika belum dikonfigurasi admin
+export const DEFAULT_PASSWORD_POLICY = Object.freeze({
+  min_length: 8,
+  require_uppercase: true,
+  require_lowercase: true,
+  require_digit: true,
+  require_symbol: true,
+  disallow_user_info: true,
+  check_breached: true,
+  flag_breached_on_login: false,
+  history_count: 5,
+  max_age_days: 0
+});
+
+/**
+ * Format kebijakan untuk respons API dan evaluasi password
+ * @param {Object|null} policy - Instance PasswordPolicy (null untuk kebijakan default)
+ * @returns {Object} Data kebijakan
+ */
+const formatPasswordPolicy = (policy) => {
+  if (!policy) {
+    return {
+      ...DEFAULT_PASSWORD_POLICY,
+      updated_by: null,
+      updated_at: null
+    };
+  }
+
+  return {
+    min_length: policy.min_length,
+    require_uppercase: policy.require_uppercase,
+    require_lowercase: policy.require_lowercase,
+    require_digit: policy.require_digit,
+    require_symbol: policy.require_symbol,
+    disallow_user_info: policy.disallow_user_info,
+    check_breached: policy.check_breached,
+    flag_breached_on_login: policy.flag_breached_on_login,
+    history_count: policy.history_count,
+    max_age_days: policy.max_age_days,
+    updated_by: policy.updated_by,
+    updated_at: policy.updated_at
+  };
+};
+
+/**
+ * Mendapatkan kebijakan password yang berlaku
+ * @returns {Promise<Object>} { success, data }
+ */
+export const getPasswordPolicy = async () => {
+  try {
+    const policy = await PasswordPolicyModel.findCurrent();
+
+    return {
+      success: true,
+      data: formatPasswordPolicy(policy)
+    };
+  } catch (error) {
+    logger.error(`Error in getPasswordPolicy: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Memperbarui kebijakan password
+ * Baris kebijakan dibuat dari nilai default saat pertama kali disimpan
+ * @param {Object} data - Field yang diubah (minLength, requireUppercase, requireLowercase,
+ *   requireDigit, requireSymbol, disallowUserInfo, checkBreached, flagBreachedOnLogin,
+ *   historyCount, maxAgeDays)
+ * @param {string} [updatedBy] - ID admin yang mengubah
+ * @returns {Promise<Object>} { success, data }
+ */
+export const updatePasswordPolicy = async (data, updatedBy) => {
+  try {
+    const updateData = { updated_by: updatedBy || null };
+    if (data.minLength !== undefined) updateData.min_length = data.minLength;
+    if (data.requireUppercase !== undefined) updateData.require_uppercase = data.requireUppercase;
+    if (data.requireLowercase !== undefined) updateData.require_lowercase = data.requireLowercase;
+    if (data.requireDigit !== undefined) updateData.require_digit = data.requireDigit;
+    if (data.requireSymbol !== undefined) updateData.require_symbol = data.requireSymbol;
+    if (data.disallowUserInfo !== undefined) updateData.disallow_user_info = data.disallowUserInfo;
+    if (data.checkBreached !== undefined) updateData.check_breached = data.checkBreached;
+    if (data.flagBreachedOnLogin !== undefined) updateData.flag_breached_on_login = data.flagBreachedOnLogin;
+    if (data.historyCount !== undefined) updateData.history_count = data.historyCount;
+    if (data.maxAgeDays !== undefined) updateData.max_age_days = data.maxAgeDays;
+
+    let policy = await PasswordPolicyModel.findCurrent();
+    if (policy) {
+      await policy.update(updateData);
+    } else {
+      policy = await PasswordPolicyModel.create({ ...DEFAULT_PASSWORD_POLICY, ...updateData });
+    }
+
+    logger.info(`Password policy updated by: ${updatedBy}`);
+
+    return {
+      success: true,
+      data: formatPasswordPolicy(policy)
+    };
+  } catch (error) {
+    logger.error(`Error in updatePasswordPolicy: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
@@ -0,0 +1,521 @@
+/**
+ * Layanan faktor MFA push (persetujuan login dari perangkat terdaftar)
+ *
+ * Pendaftaran perangkat:
+ *  1. User membuat kode aktivasi (startPushEnrollment) dan menampilkannya sebagai QR code
+ *  2. Aplikasi di perangkat membuat key pair (Ed25519 atau ECDSA P-256), lalu mengirim kode aktivasi,
+ *     public key, token push, dan tanda tangan atas kode aktivasi (activatePushDevice)
+ *  3. User mengonfirmasi pendaftaran (completePushEnrollment) dan perangkat disimpan sebagai faktor "push"
+ *
+ * Persetujuan login (number matching):
+ *  Saat challenge MFA dibuat, server membuat persetujuan berisi angka 2 digit yang hanya ditampilkan
+ *  di layar login dan mengirim notifikasi ke perangkat. Perangkat mengirim keputusan beserta angka
+ *  yang dipilih user ke callback bertanda tangan (respondToPushApproval). Login selesai setelah
+ *  klien menanyakan status persetujuan melalui verifyMfaChallenge.
+ *
+ * Tanda tangan perangkat (base64url) dibuat dengan private key perangkat atas:
+ *  - aktivasi: <activation_code>
+ *  - persetujuan: <approval_id>.<decision>.<number>.<timestamp>
+ * ECDSA menggunakan SHA-256 dengan encoding DER.
+ */
+import crypto from 'crypto';
+import { UserModel, PushChallengeModel } from '../models/index.model.js';
+import {
+  normalizeMfaSettings,
+  addVerifiedFactor,
+  withLockedUser,
+  checkFactorEnrollmentStepUp
+} from './mfa.service.js';
+import { hashData, generateRandomToken } from './crypto.service.js';
+import { sendPushNotification } from './notification.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Masa berlaku kode aktivasi dan persetujuan login (detik)
+const PUSH_ACTIVATION_EXPIRES_SECONDS = parseInt(
+  process.env.PUSH_ACTIVATION_EXPIRES_SECONDS || '600',
+  10
+);
+const PUSH_APPROVAL_EXPIRES_SECONDS = parseInt(
+  process.env.PUSH_APPROVAL_EXPIRES_SECONDS || '120',
+  10
+);
+
+// Toleransi selisih waktu timestamp callback perangkat (detik)
+const PUSH_CALLBACK_MAX_SKEW_SECONDS = 300;
+
+/**
+ * Parse public key perangkat (PEM SPKI)
+ * @param {string} pem - Public key dalam format PEM
+ * @returns {Object|null} { publicKey, algorithm } atau null jika tidak didukung
+ */
+const parseDevicePublicKey = (pem) => {
+  try {
+    const publicKey = crypto.createPublicKey(pem);
+    if (publicKey.asymmetricKeyType === 'ed25519') {
+      return { publicKey, algorithm: 'Ed25519' };
+    }
+    if (
+      publicKey.asymmetricKeyType === 'ec' &&
+      publicKey.asymmetricKeyDetails.namedCurve === 'prime256v1'
+    ) {
+      return { publicKey, algorithm: 'ES256' };
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verifikasi tanda tangan perangkat
+ * @param {string} publicKeyPem - Public key perangkat (PEM)
+ * @param {string} algorithm - Ed25519 atau ES256
+ * @param {string} message - Data yang ditandatangani
+ * @param {string} signature - Tanda tangan (base64url)
+ * @returns {boolean} True jika tanda tangan valid
+ */
+const verifyDeviceSignature = (publicKeyPem, algorithm, message, signature) => {
+  try {
+    return crypto.verify(
+      algorithm === 'Ed25519' ? null : 'sha256',
+      Buffer.from(message),
+      publicKeyPem,
+      Buffer.from(String(signature || ''), 'base64url')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Mendapatkan URL callback persetujuan untuk perangkat
+ * @param {string} approvalId - ID persetujuan
+ * @returns {string} URL callback
+ */
+const getApprovalCallbackUrl = (approvalId) => {
+  const baseUrl = (process.env.API_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${baseUrl}/api/v1/mfa/push/approvals/${approvalId}`;
+};
+
+/**
+ * Membuat kode aktivasi untuk mendaftarkan perangkat push
+ * @param {string} userId - ID user
+ * @param {Object} [context] - Konteks request
+ * @param {string} [context.consumerId] - ID consumer
+ * @param {string} [context.label] - Nama faktor
+ * @param {string} [context.currentPassword] - Password saat ini (wajib jika MFA sudah aktif)
+ * @returns {Promise<Object>} { success, data: { enrollmentId, activationCode, expiresAt } }
+ */
+export const startPushEnrollment = async (userId, context = {}) => {
+  try {
+    const user = await UserModel.findByPk(userId);
+    if (!user) {
+      return {
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      };
+    }
+
+    const stepUpError = await checkFactorEnrollmentStepUp(user, context.currentPassword);
+    if (stepUpError) {
+      return stepUpError;
+    }
+
+    const secret = generateRandomToken(24);
+    const enrollment = await PushChallengeModel.create({
+      purpose: 'activation',
+      user_id: user.id,
+      consumer_id: context.consumerId || null,
+      secret_hash: hashData(secret),
+      device_data: { label: context.label || null },
+      expires_at: new Date(Date.now() + PUSH_ACTIVATION_EXPIRES_SECONDS * 1000)
+    });
+
+    logger.info(`Push MFA enrollment started for user: ${user.username}`);
+
+    return {
+      success: true,
+      data: {
+        enrollmentId: enrollment.id,
+        activationCode: `${enrollment.id}.${secret}`,
+        expiresAt: enrollment.expires_at
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in startPushEnrollment: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Aktivasi perangkat push dengan kode aktivasi (dipanggil oleh aplikasi di perangkat)
+ * Tanda tangan atas kode aktivasi membuktikan perangkat memegang private key
+ * @param {Object} params - Data aktivasi
+ * @param {string} params.activationCode - Kode aktivasi dari startPushEnrollment
+ * @param {string} params.publicKey - Public key perangkat (PEM SPKI, Ed25519 atau P-256)
+ * @param {string} params.pushToken - Token push perangkat pada provider
+ * @param {string} [params.deviceName] - Nama perangkat
+ * @param {string} params.signature - Tanda tangan kode aktivasi (base64url)
+ * @returns {Promise<Object>} { success, data: { enrollmentId } }
+ */
+export const activatePushDevice = async (params) => {
+  const { activationCode, publicKey, pushToken, deviceName, signature } = params;
+  const invalidActivation = {
+    success: false,
+    code: 'PUSH_ENROLLMENT_NOT_FOUND',
+    message: 'Invalid or expired activation code'
+  };
+
+  try {
+    const [enrollmentId, secret] = String(activationCode || '').split('.');
+    const enrollment = enrollmentId && secret
+      ? await PushChallengeModel.findByPk(enrollmentId).catch(() => null)
+      : null;
+    if (
+      !enrollment ||
+      enrollment.purpose !== 'activation' ||
+      enrollment.status !== 'pending' ||
+      new Date() > enrollment.expires_at ||
+      enrollment.secret_hash !== hashData(secret)
+    ) {
+      return invalidActivation;
+    }
+
+    const parsedKey = parseDevicePublicKey(publicKey);
+    if (!parsedKey) {
+      return {
+        success: false,
+        code: 'INVALID_PUBLIC_KEY',
+        message: 'Device public key must be an Ed25519 or P-256 key in PEM format'
+      };
+    }
+
+    const publicKeyPem = parsedKey.publicKey.export({ type: 'spki', format: 'pem' });
+    if (!verifyDeviceSignature(publicKeyPem, parsedKey.algorithm, activationCode, signature)) {
+      logger.warn(`Invalid push activation signature for enrollment: ${enrollment.id}`);
+      return {
+        success: false,
+        code: 'INVALID_SIGNATURE',
+        message: 'Invalid device signature'
+      };
+    }
+
+    const activated = await PushChallengeModel.transition(enrollment.id, 'pending', {
+      status: 'activated',
+      responded_at: new Date(),
+      device_data: {
+        ...enrollment.device_data,
+        public_key: publicKeyPem,
+        algorithm: parsedKey.algorithm,
+        push_token: pushToken,
+        device_name: deviceName || null
+      }
+    });
+    if (!activated) {
+      return invalidActivation;
+    }
+
+    logger.info(`Push device activated for enrollment: ${enrollment.id}`);
+
+    return {
+      success: true,
+      data: {
+        enrollmentId: enrollment.id
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in activatePushDevice: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Menyelesaikan pendaftaran perangkat push yang sudah diaktivasi
+ * @param {string} userId - ID user
+ * @param {string} enrollmentId - ID pendaftaran dari startPushEnrollment
+ * @returns {Promise<Object>} Hasil dengan factorId dan backupCodes (jika faktor pertama),
+ *   atau PUSH_ENROLLMENT_PENDING jika perangkat belum diaktivasi
+ */
+export const completePushEnrollment = async (userId, enrollmentId) => {
+  try {
+    const enrollment = await PushChallengeModel.findByPk(enrollmentId);
+    if (
+      !enrollment ||
+      enrollment.purpose !== 'activation' ||
+      enrollment.user_id !== userId ||
+      enrollment.status === 'completed' ||
+      new Date() > enrollment.expires_at
+    ) {
+      return {
+        success: false,
+        code: 'PUSH_ENROLLMENT_NOT_FOUND',
+        message: 'Push enrollment not found or expired'
+      };
+    }
+
+    if (enrollment.status === 'pending') {
+      return {
+        success: false,
+        code: 'PUSH_ENROLLMENT_PENDING',
+        message: 'Device has not been activated yet',
+        expiresAt: enrollment.expires_at
+      };
+    }
+
+    const device = enrollment.device_data;
+    const user = await UserModel.findByPk(userId);
+    const alreadyRegistered = normalizeMfaSettings(user.mfa_settings).factors.some(
+      factor => factor.type === 'push' && factor.verified && factor.public_key === device.public_key
+    );
+    if (alreadyRegistered) {
+      return {
+        success: false,
+        code: 'FACTOR_ALREADY_ENROLLED',
+        message: 'This device is already registered'
+      };
+    }
+
+    const completed = await PushChallengeModel.transition(enrollment.id, 'activated', {
+      status: 'completed'
+    });
+    if (!completed) {
+      return {
+        success: false,
+        code: 'PUSH_ENROLLMENT_NOT_FOUND',
+        message: 'Push enrollment not found or expired'
+      };
+    }
+
+    const result = await addVerifiedFactor(userId, 'push', {
+      public_key: device.public_key,
+      algorithm: device.algorithm,
+      push_token: device.push_token,
+      device_name: device.device_name
+    }, device.label || device.device_name);
+
+    if (result.success) {
+      logger.info(`Push device registered for user: ${user.username}`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`Error in completePushEnrollment: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Membuat persetujuan login dan mengirim notifikasi ke perangkat push user
+ * @param {Object} user - Instance user
+ * @param {Object} context - Konteks login
+ * @param {string} context.mfaChallengeId - ID challenge MFA login
+ * @param {Object} context.consumer - Consumer tempat login dilakukan
+ * @param {string} [context.ipAddress] - IP address login
+ * @param {string} [context.factorId] - ID faktor push (default: faktor default atau faktor push pertama)
+ * @returns {Promise<Object>} { success, approvalId, numberCode, expiresAt }
+ */
+export const sendPushApproval = async (user, context) => {
+  const { mfaChallengeId, consumer, ipAddress, factorId } = context;
+
+  try {
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const factors = mfaSettings.factors.filter(factor => factor.type === 'push' && factor.verified);
+    const factor = factorId
+      ? factors.find(candidate => candidate.id === factorId)
+      : factors.find(candidate => candidate.id === mfaSettings.default_factor_id) || factors[0];
+    if (!factor) {
+      return {
+        success: false,
+        code: 'FACTOR_NOT_FOUND',
+        message: 'Push factor not found'
+      };
+    }
+
+    const approval = await PushChallengeModel.create({
+      purpose: 'login',
+      user_id: user.id,
+      consumer_id: consumer.id,
+      mfa_challenge_id: mfaChallengeId,
+      factor_id: factor.id,
+      number_code: String(crypto.randomInt(10, 100)),
+      ip_address: ipAddress || null,
+      expires_at: new Date(Date.now() + PUSH_APPROVAL_EXPIRES_SECONDS * 1000)
+    });
+
+    // Angka tidak dikirim ke perangkat; user harus memilih angka yang tampil di layar login
+    const sent = await sendPushNotification({
+      userId: user.id,
+      token: factor.push_token,
+      title: 'Permintaan login',
+      body: `Login ke ${consumer.name} dari ${ipAddress || 'perangkat tidak dikenal'}. ` +
+        'Pilih angka yang tampil di layar login untuk menyetujui.',
+      data: {
+        type: 'mfa_push',
+        approval_id: approval.id,
+        callback_url: getApprovalCallbackUrl(approval.id),
+        consumer: consumer.name,
+        ip_address: ipAddress || null,
+        expires_at: approval.expires_at.toISOString()
+      }
+    });
+    if (!sent.success) {
+      logger.warn(`Failed to send push approval for user: ${user.username}`);
+    }
+
+    return {
+      success: true,
+      approvalId: approval.id,
+      numberCode: approval.number_code,
+      expiresAt: approval.expires_at,
+      factorId: factor.id
+    };
+  } catch (error) {
+    logger.error(`Error in sendPushApproval: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Memproses respons perangkat atas persetujuan login (callback bertanda tangan)
+ * Persetujuan dengan angka yang tidak cocok dianggap penolakan
+ * @param {string} approvalId - ID persetujuan
+ * @param {Object} response - Respons perangkat
+ * @param {string} response.decision - approve atau deny
+ * @param {string} [response.number] - Angka yang dipilih user (wajib untuk approve)
+ * @param {number} response.timestamp - Waktu respons (detik sejak epoch)
+ * @param {string} response.signature - Tanda tangan perangkat (base64url)
+ * @returns {Promise<Object>} { success, status, userId, consumerId } atau hasil error
+ */
+export const respondToPushApproval = async (approvalId, response) => {
+  const { decision, number, timestamp, signature } = response;
+
+  try {
+    const approval = await PushChallengeModel.findByPk(approvalId);
+    if (!approval || approval.purpose !== 'login') {
+      return {
+        success: false,
+        code: 'PUSH_APPROVAL_NOT_FOUND',
+        message: 'Push approval not found'
+      };
+    }
+
+    if (approval.status !== 'pending' || new Date() > approval.expires_at) {
+      return {
+        success: false,
+        code: 'PUSH_APPROVAL_NOT_PENDING',
+        message: 'Push approval has already been answered or has expired'
+      };
+    }
+
+    // Jawaban dan last_used_at faktor disimpan dengan baris user terkunci agar tidak menimpa
+    // perubahan mfa_settings lain yang berjalan bersamaan
+    return await withLockedUser(approval.user_id, async (user, transaction) => {
+      const mfaSettings = user ? normalizeMfaSettings(user.mfa_settings) : null;
+      const factor = mfaSettings
+        ? mfaSettings.factors.find(candidate =>
+          candidate.id === approval.factor_id && candidate.type === 'push' && candidate.verified)
+        : null;
+      if (!factor) {
+        return {
+          success: false,
+          code: 'PUSH_APPROVAL_NOT_FOUND',
+          message: 'Push approval not found'
+        };
+      }
+
+      const signedData = `${approval.id}.${decision}.${number || ''}.${timestamp}`;
+      const skew = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+      if (
+        !(skew <= PUSH_CALLBACK_MAX_SKEW_SECONDS) ||
+        !verifyDeviceSignature(factor.public_key, factor.algorithm, signedData, signature)
+      ) {
+        logger.warn(`Invalid push approval signature for user: ${user.username}`);
+        return {
+          success: false,
+          code: 'INVALID_SIGNATURE',
+          message: 'Invalid device signature'
+        };
+      }
+
+      const numberMatches = decision === 'approve' && number === approval.number_code;
+      const status = numberMatches ? 'approved' : 'denied';
+      const answered = await PushChallengeModel.transition(approval.id, 'pending', {
+        status,
+        responded_at: new Date()
+      });
+      if (!answered) {
+        return {
+          success: false,
+          code: 'PUSH_APPROVAL_NOT_PENDING',
+          message: 'Push approval has already been answered or has expired'
+        };
+      }
+
+      factor.last_used_at = new Date().toISOString();
+      await user.update({ mfa_settings: mfaSettings }, { transaction });
+
+      const result = {
+        success: true,
+        status,
+        userId: user.id,
+        consumerId: approval.consumer_id,
+        factorId: factor.id
+      };
+
+      if (decision === 'approve' && !numberMatches) {
+        logger.warn(`Push approval number mismatch for user: ${user.username}`);
+        return {
+          ...result,
+          success: false,
+          code: 'PUSH_NUMBER_MISMATCH',
+          message: 'Selected number does not match; login request has been denied'
+        };
+      }
+
+      logger.info(`Push approval ${status} for user: ${user.username}`);
+      return result;
+    });
+  } catch (error) {
+    logger.error(`Error in respondToPushApproval: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Mendapatkan status persetujuan push terbaru untuk challenge MFA login
+ * @param {string} mfaChallengeId - ID challenge MFA
+ * @returns {Promise<Object>} { status, approval } dengan status none, pending, approved, denied, atau expired
+ */
+export const getPushApprovalStatus = async (mfaChallengeId) => {
+  const approval = await PushChallengeModel.findLatestForMfaChallenge(mfaChallengeId);
+  if (!approval) {
+    return { status: 'none', approval: null };
+  }
+
+  if (approval.status === 'pending' && new Date() > approval.expires_at) {
+    return { status: 'expired', approval };
+  }
+
+  return { status: approval.status, approval };
+};
@@ -0,0 +1,200 @@
+/**
+ * Layanan rate limiting dengan sliding window counter
+ *
+ * Setiap key memiliki counter per window tetap; jumlah permintaan dalam window berjalan
+ * diperkirakan dari counter window saat ini ditambah counter window sebelumnya yang dibobot
+ * sesuai sisa waktu yang masih tumpang tindih. Counter disimpan pada store yang dapat diganti:
+ * - memory: di dalam proses (default, hanya untuk satu instance)
+ * - redis: server yang kompatibel dengan Redis (REDIS_URL) sehingga counter dibagi antar instance
+ * Store lain didaftarkan melalui registerRateLimitStore dan dipilih dengan RATE_LIMIT_STORE.
+ */
+import { createRespClient } from '../utils/resp.util.js';
+import { logger } from '../utils/logger.util.js';
+
+// Prefix key counter pada store bersama
+const RATE_LIMIT_KEY_PREFIX = process.env.RATE_LIMIT_KEY_PREFIX || 'ratelimit:';
+
+/**
+ * Store di dalam proses
+ * Counter window yang sudah lewat dibersihkan secara berkala. Jumlah key dibatasi
+ * (RATE_LIMIT_MEMORY_MAX_KEYS) agar banyaknya IP/username berbeda tidak menghabiskan memori;
+ * saat penuh, counter yang paling lama tidak dipakai dibuang.
+ * @returns {Object} Store rate limit
+ */
+const createMemoryStore = () => {
+  const maxKeys = parseInt(process.env.RATE_LIMIT_MEMORY_MAX_KEYS || '100000', 10);
+  // Urutan Map mengikuti pemakaian terakhir: key yang dipakai dipindah ke akhir
+  const counters = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    increment: async (key, windowIndex, windowMs) => {
+      const counter = counters.get(key);
+      counters.delete(key);
+
+      if (!counter || counter.windowIndex < windowIndex - 1) {
+        if (counters.size >= maxKeys) {
+          counters.delete(counters.keys().next().value);
+        }
+
+        counters.set(key, {
+          windowIndex,
+          current: 1,
+          previous: 0,
+          expiresAt: (windowIndex + 2) * windowMs
+        });
+        return { current: 1, previous: 0 };
+      }
+
+      counters.set(key, counter);
+
+      if (counter.windowIndex === windowIndex - 1) {
+        counter.previous = counter.current;
+        counter.current = 0;
+        counter.windowIndex = windowIndex;
+        counter.expiresAt = (windowIndex + 2) * windowMs;
+      }
+
+      counter.current += 1;
+      return { current: counter.current, previous: counter.previous };
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+};
+
+/**
+ * Store pada server yang kompatibel dengan Redis
+ * Counter tiap window disimpan sebagai key tersendiri yang kedaluwarsa setelah dua window
+ * @returns {Object} Store rate limit
+ */
+const createRedisStore = () => {
+  const client = createRespClient(process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
+    timeoutMs: parseInt(process.env.REDIS_TIMEOUT_MS || '2000', 10)
+  });
+
+  return {
+    increment: async (key, windowIndex, windowMs) => {
+      const currentKey = `${RATE_LIMIT_KEY_PREFIX}${key}:${windowIndex}`;
+      const previousKey = `${RATE_LIMIT_KEY_PREFIX}${key}:${windowIndex - 1}`;
+
+      const [current, , previous] = await client.pipeline([
+        ['INCR', currentKey],
+        ['PEXPIRE', currentKey, windowMs * 2],
+        ['GET', previousKey]
+      ]);
+
+      return { current, previous: parseInt(previous || '0', 10) };
+    },
+    reset: async (key, windowIndex) => {
+      await client.command([
+        'DEL',
+        `${RATE_LIMIT_KEY_PREFIX}${key}:${windowIndex}`,
+        `${RATE_LIMIT_KEY_PREFIX}${key}:${windowIndex - 1}`
+      ]);
+    }
+  };
+};
+
+const storeFactories = {
+  memory: createMemoryStore,
+  redis: createRedisStore
+};
+
+let activeStore = null;
+
+/**
+ * Mendaftarkan store rate limit tambahan
+ * Store harus menyediakan increment(key, windowIndex, windowMs) => { current, previous }
+ * dan reset(key, windowIndex)
+ * @param {string} name - Nama store (dipilih melalui RATE_LIMIT_STORE)
+ * @param {Function} factory - () => store
+ */
+export const registerRateLimitStore = (name, factory) => {
+  storeFactories[name] = factory;
+  activeStore = null;
+};
+
+/**
+ * Mengambil store yang dikonfigurasi (RATE_LIMIT_STORE, default memory)
+ * @returns {Object} Store rate limit
+ */
+const getStore = () => {
+  if (!activeStore) {
+    const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[storeName];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${storeName}`);
+    }
+    activeStore = factory();
+    logger.info(`Rate limit store initialized: ${storeName}`);
+  }
+  return activeStore;
+};
+
+/**
+ * Menghitung waktu tunggu hingga satu permintaan berikutnya kembali diizinkan
+ * @param {Object} state - Counter dan posisi window
+ * @returns {number} Waktu tunggu (ms)
+ */
+const calculateRetryAfterMs = ({ current, previous, elapsedMs, windowMs, limit }) => {
+  // Masih dalam window ini jika bobot window sebelumnya cukup turun
+  if (current + 1 <= limit && previous > 0) {
+    const waitUntil = windowMs - ((limit - current - 1) * windowMs) / previous;
+    return Math.max(0, Math.ceil(waitUntil - elapsedMs));
+  }
+
+  // Menunggu window berikutnya, saat counter ini menjadi window sebelumnya
+  const waitInNextWindow = current > 0 ? windowMs - ((limit - 1) * windowMs) / current : 0;
+  return Math.ceil(windowMs - elapsedMs + Math.max(0, waitInNextWindow));
+};
+
+/**
+ * Mencatat satu permintaan dan memeriksa batasnya
+ * @param {string} key - Key counter (misalnya login:ip:203.0.113.5)
+ * @param {Object} budget - Batas permintaan
+ * @param {number} budget.limit - Jumlah permintaan maksimal per window
+ * @param {number} budget.windowMs - Panjang window (ms)
+ * @returns {Promise<Object>} { allowed, limit, remaining, resetMs, retryAfterMs }
+ */
+export const consumeRateLimit = async (key, { limit, windowMs }) => {
+  const now = Date.now();
+  const windowIndex = Math.floor(now / windowMs);
+  const elapsedMs = now - windowIndex * windowMs;
+
+  const { current, previous } = await getStore().increment(key, windowIndex, windowMs);
+  const weightedPrevious = previous * ((windowMs - elapsedMs) / windowMs);
+  const estimated = weightedPrevious + current;
+  const allowed = estimated <= limit;
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimated)),
+    resetMs: windowMs - elapsedMs,
+    retryAfterMs: allowed
+      ? 0
+      : calculateRetryAfterMs({ current, previous, elapsedMs, windowMs, limit })
+  };
+};
+
+/**
+ * Menghapus counter sebuah key (misalnya setelah admin membuka blokir)
+ * @param {string} key - Key counter
+ * @param {Object} budget - Batas permintaan key tersebut
+ * @param {number} budget.windowMs - Panjang window (ms)
+ * @returns {Promise<void>}
+ */
+export const resetRateLimit = async (key, { windowMs }) => {
+  await getStore().reset(key, Math.floor(Date.now() / windowMs));
+};
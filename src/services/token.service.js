@@ -10,6 +10,9 @@ import {
     sequelize 
   } from '../models/index.model.js';
   import { generateRandomToken, hashData, signData } from './crypto.service.js';
+  import { signWithProviderKey } from './key.service.js';
+  import { isAccountLocked } from './lockout.service.js';
+  import { logTokenActivity } from './audit.service.js';
   import { logger } from '../utils/logger.util.js';
   
   /**
@@ -23,7 +26,7 @@ import {
     try {
       // Periksa pengguna
       const user = await UserModel.findByPk(userId);
-      if (!user || !user.is_active || user.is_locked) {
+      if (!user || !user.is_active || (await isAccountLocked(user, { consumerId }))) {
         return {
           success: false,
           code: 'INVALID_USER',
@@ -68,15 +71,18 @@ import {
         expiresAt: expiresAt.toISOString()
       });
   
-      // Tanda tangan token (disederhanakan untuk demo)
-      const signature = 'simulated-signature-' + generateRandomToken(8);
+      // Tanda tangan token dengan kunci privat provider
+      const signed = await signWithProviderKey(signatureData, { keyId: providerKey.id });
+      if (!signed.success) {
+        return signed;
+      }
   
       // Simpan token ke database
       const token = await TokenModel.create({
         user_id: userId,
         consumer_id: consumerId,
         token_hash: tokenHash,
-        signature,
+        signature: signed.signature,
         provider_key_id: providerKey.id,
         expires_at: expiresAt,
         metadata: {
@@ -139,10 +145,11 @@ import {
         success: true,
         token: {
           id: token.id,
-          user: {
+          // Token client_credentials tidak memiliki pengguna
+          user: token.User ? {
             id: token.User.id,
             username: token.User.username
-          },
+          } : null,
           consumer: {
             id: token.Consumer.id,
             name: token.Consumer.name
@@ -177,6 +184,7 @@ import {
         success: true,
         tokens: tokens.map(token => ({
           id: token.id,
+          type: token.token_type,
           consumer: {
             id: token.Consumer.id,
             name: token.Consumer.name
@@ -232,12 +240,29 @@ import {
   /**
    * Mencabut semua token untuk pengguna
    * @param {string} userId - ID pengguna
+   * @param {Object} [context] - Konteks request untuk audit log (adminId, ipAddress, userAgent, signatureStatus)
    * @returns {Promise<Object>} Hasil pencabutan
    */
-  export const revokeAllUserTokens = async (userId) => {
+  export const revokeAllUserTokens = async (userId, context = {}) => {
     try {
       const count = await TokenModel.revokeAllForUser(userId);
   
+      await logTokenActivity({
+        userId,
+        tokenId: null,
+        action: 'revoke',
+        success: true,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        reason: 'admin_revoke',
+        signatureStatus: context.signatureStatus,
+        additionalData: {
+          all_tokens: true,
+          revoked_count: count,
+          initiated_by: context.adminId || null
+        }
+      });
+  
       logger.info(`All tokens (${count}) for user ${userId} revoked`);
   
       return {
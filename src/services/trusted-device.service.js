@@ -0,0 +1,237 @@
+/**
+ * Layanan perangkat tepercaya (remember this device) untuk MFA
+ *
+ * Setelah challenge MFA berhasil, pengguna dapat memilih untuk mempercayai perangkat.
+ * Perangkat menerima token bertanda tangan (HMAC) yang terikat pada consumer;
+ * hanya hash secret token yang disimpan per pengguna. Selama token berlaku,
+ * login dengan password pada consumer yang sama tidak memerlukan challenge MFA.
+ *
+ * Format token: <device_id>.<secret>.<signature>
+ */
+import crypto from 'crypto';
+import { TrustedDeviceModel } from '../models/index.model.js';
+import { generateRandomToken, hashData } from './crypto.service.js';
+import { logger } from '../utils/logger.util.js';
+
+// Masa berlaku kepercayaan perangkat (hari)
+export const TRUSTED_DEVICE_DAYS = parseInt(process.env.TRUSTED_DEVICE_DAYS || '30', 10);
+
+/**
+ * Mendapatkan secret untuk tanda tangan token perangkat
+ * @returns {string} Secret HMAC
+ * @throws {Error} Jika TRUSTED_DEVICE_SECRET dan KEY_PASSPHRASE tidak dikonfigurasi
+ */
+const getSigningSecret = () => {
+  const secret = process.env.TRUSTED_DEVICE_SECRET || process.env.KEY_PASSPHRASE;
+  if (!secret) {
+    throw new Error('Trusted device secret not configured, set TRUSTED_DEVICE_SECRET or KEY_PASSPHRASE');
+  }
+  return secret;
+};
+
+/**
+ * Memastikan secret token perangkat tepercaya sudah dikonfigurasi (dipanggil saat startup)
+ * @throws {Error} Jika secret tidak dikonfigurasi
+ */
+export const assertTrustedDeviceSecretConfigured = () => {
+  getSigningSecret();
+};
+
+/**
+ * Membuat tanda tangan token perangkat untuk consumer tertentu
+ * @param {string} deviceId - ID perangkat
+ * @param {string} consumerId - ID consumer
+ * @param {string} secret - Secret token
+ * @returns {string} Tanda tangan (base64url)
+ */
+const signDeviceToken = (deviceId, consumerId, secret) =>
+  crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${deviceId}.${consumerId}.${secret}`)
+    .digest('base64url');
+
+/**
+ * Format perangkat tepercaya untuk respons API (tanpa hash token)
+ * @param {Object} device - Instance TrustedDevice
+ * @returns {Object} Data perangkat
+ */
+const formatTrustedDevice = (device) => ({
+  id: device.id,
+  consumer_id: device.consumer_id,
+  name: device.name,
+  ip_address: device.ip_address,
+  user_agent: device.user_agent,
+  created_at: device.created_at,
+  last_used_at: device.last_used_at,
+  expires_at: device.expires_at
+});
+
+/**
+ * Mempercayai perangkat setelah challenge MFA berhasil
+ * @param {Object} user - Instance user
+ * @param {Object} context - Konteks request
+ * @param {string} context.consumerId - ID consumer
+ * @param {string} [context.name] - Nama perangkat
+ * @param {string} [context.ipAddress] - IP address
+ * @param {string} [context.userAgent] - User agent
+ * @returns {Promise<Object>} { success, deviceToken, device }
+ */
+export const createTrustedDevice = async (user, context) => {
+  const { consumerId, name, ipAddress, userAgent } = context;
+
+  try {
+    const secret = generateRandomToken(32);
+    const device = await TrustedDeviceModel.create({
+      user_id: user.id,
+      consumer_id: consumerId,
+      token_hash: hashData(secret),
+      name: name || null,
+      ip_address: ipAddress || null,
+      user_agent: userAgent || null,
+      expires_at: new Date(Date.now() + TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    logger.info(`Device trusted for user: ${user.username}`);
+
+    return {
+      success: true,
+      deviceToken: `${device.id}.${secret}.${signDeviceToken(device.id, consumerId, secret)}`,
+      device: formatTrustedDevice(device)
+    };
+  } catch (error) {
+    logger.error(`Error in createTrustedDevice: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Verifikasi token perangkat tepercaya
+ * Token harus bertanda tangan valid untuk consumer, milik pengguna,
+ * belum dicabut dan belum kedaluwarsa
+ * @param {string} deviceToken - Token perangkat
+ * @param {Object} context - Konteks login
+ * @param {string} context.userId - ID pengguna yang login
+ * @param {string} context.consumerId - ID consumer
+ * @returns {Promise<Object|null>} Instance TrustedDevice jika valid, null jika tidak
+ */
+export const verifyDeviceToken = async (deviceToken, context) => {
+  const { userId, consumerId } = context;
+
+  try {
+    const [deviceId, secret, signature] = String(deviceToken || '').split('.');
+    if (!deviceId || !secret || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(signDeviceToken(deviceId, consumerId, secret));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      logger.warn(`Invalid trusted device token signature for consumer: ${consumerId}`);
+      return null;
+    }
+
+    const device = await TrustedDeviceModel.findByPk(deviceId);
+    if (
+      !device ||
+      device.user_id !== userId ||
+      device.consumer_id !== consumerId ||
+      device.revoked_at ||
+      new Date() > device.expires_at ||
+      device.token_hash !== hashData(secret)
+    ) {
+      return null;
+    }
+
+    await device.update({ last_used_at: new Date() });
+    return device;
+  } catch (error) {
+    logger.error(`Error in verifyDeviceToken: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Mendapatkan daftar perangkat tepercaya yang masih aktif milik pengguna
+ * @param {string} userId - ID pengguna
+ * @returns {Promise<Object>} { success, data }
+ */
+export const listTrustedDevices = async (userId) => {
+  try {
+    const devices = await TrustedDeviceModel.findActiveByUser(userId);
+
+    return {
+      success: true,
+      data: devices.map(formatTrustedDevice)
+    };
+  } catch (error) {
+    logger.error(`Error in listTrustedDevices: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Mencabut satu perangkat tepercaya milik pengguna
+ * @param {string} userId - ID pengguna pemilik perangkat
+ * @param {string} deviceId - ID perangkat
+ * @param {Object} [options] - Opsi pencabutan
+ * @param {string} [options.revokedBy] - Pengguna atau admin yang mencabut
+ * @returns {Promise<Object>} { success } atau TRUSTED_DEVICE_NOT_FOUND
+ */
+export const revokeTrustedDevice = async (userId, deviceId, options = {}) => {
+  try {
+    const count = await TrustedDeviceModel.revokeForUser(userId, {
+      deviceId,
+      revokedBy: options.revokedBy
+    });
+    if (count === 0) {
+      return {
+        success: false,
+        code: 'TRUSTED_DEVICE_NOT_FOUND',
+        message: 'Trusted device not found'
+      };
+    }
+
+    logger.info(`Trusted device ${deviceId} revoked for user: ${userId}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Error in revokeTrustedDevice: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Mencabut semua perangkat tepercaya milik pengguna
+ * @param {string} userId - ID pengguna
+ * @param {Object} [options] - Opsi pencabutan
+ * @param {string} [options.revokedBy] - Pengguna atau admin yang mencabut
+ * @returns {Promise<Object>} { success, count }
+ */
+export const revokeAllTrustedDevices = async (userId, options = {}) => {
+  try {
+    const count = await TrustedDeviceModel.revokeForUser(userId, {
+      revokedBy: options.revokedBy
+    });
+
+    logger.info(`${count} trusted device(s) revoked for user: ${userId}`);
+    return { success: true, count };
+  } catch (error) {
+    logger.error(`Error in revokeAllTrustedDevices: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
@@ -2,18 +2,234 @@
 /**
  * Layanan manajemen pengguna untuk aplikasi otentikasi terpusat
  */
-import { 
+import { Op } from 'sequelize';
+  import { 
     UserModel, 
     RoleModel, 
     TokenModel, 
+    PasswordHistoryModel,
     sequelize 
   } from '../models/index.model.js';
   import { 
     hashPassword, 
     verifyPassword 
   } from './crypto.service.js';
+  import { getPasswordPolicy } from './password-policy.service.js';
+  import { checkBreachedPassword } from './breached-password.service.js';
   import { logger } from '../utils/logger.util.js';
   
+  // Jumlah maksimal riwayat password yang disimpan per pengguna (batas atas history_count)
+  const PASSWORD_HISTORY_RETENTION = 24;
+  
+  // Potongan username/email yang lebih pendek dari ini tidak diperiksa
+  const USER_INFO_MIN_FRAGMENT_LENGTH = 3;
+  
+  /**
+   * Mendapatkan potongan username dan bagian lokal email yang tidak boleh ada dalam password
+   * @param {Object} userInfo - Identitas pengguna
+   * @param {string} [userInfo.username] - Username
+   * @param {string} [userInfo.email] - Email
+   * @returns {string[]} Potongan dalam huruf kecil
+   */
+  const getUserInfoFragments = ({ username, email }) => {
+    const sources = [username, email ? email.split('@')[0] : null].filter(Boolean);
+    const fragments = new Set();
+  
+    for (const source of sources) {
+      const value = source.toLowerCase();
+      fragments.add(value);
+      value.split(/[._\-+@\s]+/).forEach((part) => fragments.add(part));
+    }
+  
+    return [...fragments].filter((fragment) => fragment.length >= USER_INFO_MIN_FRAGMENT_LENGTH);
+  };
+  
+  /**
+   * Memeriksa password terhadap aturan komposisi kebijakan password
+   * @param {string} password - Password yang diperiksa
+   * @param {Object} policy - Kebijakan password (lihat password-policy.service.js)
+   * @param {Object} [userInfo] - Username dan email untuk aturan disallow_user_info
+   * @returns {Array<Object>} Daftar pelanggaran { rule, message }
+   */
+  export const checkPasswordPolicy = (password, policy, userInfo = {}) => {
+    const violations = [];
+  
+    if (password.length < policy.min_length) {
+      violations.push({
+        rule: 'min_length',
+        message: `Password must be at least ${policy.min_length} characters long`
+      });
+    }
+    if (policy.require_uppercase && !/[A-Z]/.test(password)) {
+      violations.push({ rule: 'uppercase', message: 'Password must contain an uppercase letter' });
+    }
+    if (policy.require_lowercase && !/[a-z]/.test(password)) {
+      violations.push({ rule: 'lowercase', message: 'Password must contain a lowercase letter' });
+    }
+    if (policy.require_digit && !/\d/.test(password)) {
+      violations.push({ rule: 'digit', message: 'Password must contain a digit' });
+    }
+    if (policy.require_symbol && !/[^A-Za-z0-9]/.test(password)) {
+      violations.push({ rule: 'symbol', message: 'Password must contain a symbol' });
+    }
+    if (policy.disallow_user_info) {
+      const lowered = password.toLowerCase();
+      if (getUserInfoFragments(userInfo).some((fragment) => lowered.includes(fragment))) {
+        violations.push({
+          rule: 'user_info',
+          message: 'Password must not contain the username or email'
+        });
+      }
+    }
+  
+    return violations;
+  };
+  
+  /**
+   * Memeriksa apakah password sama dengan password saat ini atau riwayat terakhir
+   * @param {string} password - Password baru
+   * @param {Object} user - Instance User
+   * @param {number} historyCount - Jumlah password terakhir yang diperiksa (termasuk saat ini)
+   * @returns {Promise<boolean>} True jika password pernah dipakai
+   */
+  const isPasswordReused = async (password, user, historyCount) => {
+    if (await verifyPassword(password, user.password_hash)) {
+      return true;
+    }
+  
+    const history = await PasswordHistoryModel.findRecent(user.id, historyCount - 1);
+    for (const entry of history) {
+      if (await verifyPassword(password, entry.password_hash)) {
+        return true;
+      }
+    }
+  
+    return false;
+  };
+  
+  /**
+   * Evaluasi password baru terhadap kebijakan password yang berlaku
+   * @param {string} password - Password baru
+   * @param {Object} target - Pemilik password
+   * @param {Object} [target.user] - Instance User (untuk pemeriksaan riwayat)
+   * @param {string} [target.username] - Username
+   * @param {string} [target.email] - Email
+   * @param {string} [target.field='password'] - Nama field pada detail error
+   * @returns {Promise<Object>} { success } atau hasil error PASSWORD_POLICY_VIOLATION
+   */
+  const validateNewPassword = async (password, { user, username, email, field = 'password' }) => {
+    const policyResult = await getPasswordPolicy();
+    if (!policyResult.success) {
+      return policyResult;
+    }
+  
+    const policy = policyResult.data;
+    const violations = checkPasswordPolicy(password, policy, { username, email });
+  
+    if (policy.check_breached) {
+      const screening = await checkBreachedPassword(password);
+      if (screening.breached) {
+        violations.push({
+          rule: 'breached',
+          message: 'Password has appeared in a data breach and cannot be used'
+        });
+      }
+    }
+  
+    if (user && policy.history_count > 0 && await isPasswordReused(password, user, policy.history_count)) {
+      violations.push({
+        rule: 'history',
+        message: `Password must not match any of the last ${policy.history_count} passwords`
+      });
+    }
+  
+    if (violations.length > 0) {
+      return {
+        success: false,
+        code: 'PASSWORD_POLICY_VIOLATION',
+        message: 'Password does not meet the password policy',
+        errors: violations.map((violation) => ({ field, ...violation }))
+      };
+    }
+  
+    return { success: true };
+  };
+  
+  /**
+   * Menyimpan hash password saat ini ke riwayat sebelum diganti
+   * @param {Object} user - Instance User (masih dengan hash lama)
+   * @returns {Promise<void>}
+   */
+  const recordPasswordHistory = async (user) => {
+    await PasswordHistoryModel.create({
+      user_id: user.id,
+      password_hash: user.password_hash
+    });
+    await PasswordHistoryModel.prune(user.id, PASSWORD_HISTORY_RETENTION);
+  };
+  
+  /**
+   * Memeriksa password yang baru diverifikasi saat login terhadap korpus password bocor
+   * Hanya berjalan jika kebijakan flag_breached_on_login aktif; pengguna yang cocok ditandai
+   * (password_breached_at) dan hanya dapat mengganti password hingga password diganti
+   * @param {Object} user - Instance User (password sudah terverifikasi)
+   * @param {string} password - Password yang digunakan untuk login
+   * @returns {Promise<Object>} { flagged, count } dengan flagged true jika pengguna baru ditandai
+   */
+  export const screenPasswordAtLogin = async (user, password) => {
+    if (user.password_breached_at) {
+      return { flagged: false };
+    }
+  
+    const policyResult = await getPasswordPolicy();
+    if (!policyResult.success || !policyResult.data.flag_breached_on_login) {
+      return { flagged: false };
+    }
+  
+    const screening = await checkBreachedPassword(password);
+    if (!screening.breached) {
+      return { flagged: false };
+    }
+  
+    await user.update({ password_breached_at: new Date() });
+    logger.warn(`Breached password detected at login for user: ${user.username}`);
+  
+    return { flagged: true, count: screening.count };
+  };
+  
+  /**
+   * Menghitung waktu kedaluwarsa password pengguna
+   * @param {Object} user - Instance User
+   * @param {Object} policy - Kebijakan password
+   * @returns {Date|null} Waktu kedaluwarsa, null jika max_age_days tidak aktif
+   */
+  export const getPasswordExpiresAt = (user, policy) => {
+    if (!policy.max_age_days) {
+      return null;
+    }
+  
+    const changedAt = new Date(user.password_changed_at || user.created_at);
+    return new Date(changedAt.getTime() + policy.max_age_days * 24 * 60 * 60 * 1000);
+  };
+  
+  /**
+   * Memeriksa apakah password pengguna sudah melewati umur maksimal kebijakan
+   * @param {Object} user - Instance User
+   * @returns {Promise<Object>} { expired, expiresAt }
+   */
+  export const checkPasswordExpiry = async (user) => {
+    const policyResult = await getPasswordPolicy();
+    if (!policyResult.success) {
+      return { expired: false, expiresAt: null };
+    }
+  
+    const expiresAt = getPasswordExpiresAt(user, policyResult.data);
+    return {
+      expired: Boolean(expiresAt && expiresAt <= new Date()),
+      expiresAt
+    };
+  };
+  
   /**
    * Mendapatkan pengguna berdasarkan ID
    * @param {string} userId - ID pengguna
@@ -37,7 +253,9 @@ import {
           email: user.email,
           is_active: user.is_active,
           is_locked: user.is_locked,
+          locked_until: user.locked_until,
           last_login: user.last_login,
+          password_breached_at: user.password_breached_at,
           created_at: user.created_at,
           roles: roles
         }
@@ -73,11 +291,11 @@ import {
       const where = {};
       
       if (filter.username) {
-        where.username = { [sequelize.Op.iLike]: `%${filter.username}%` };
+        where.username = { [Op.iLike]: `%${filter.username}%` };
       }
       
       if (filter.email) {
-        where.email = { [sequelize.Op.iLike]: `%${filter.email}%` };
+        where.email = { [Op.iLike]: `%${filter.email}%` };
       }
       
       if (filter.isActive !== undefined) {
@@ -88,6 +306,11 @@ import {
         where.is_locked = filter.isLocked;
       }
       
+      // Pengguna yang ditandai karena password-nya terdapat pada korpus password bocor
+      if (filter.isPasswordBreached !== undefined) {
+        where.password_breached_at = filter.isPasswordBreached ? { [Op.ne]: null } : null;
+      }
+      
       // Execute query
       const { count, rows } = await UserModel.findAndCountAll({
         where,
@@ -111,7 +334,9 @@ import {
           email: user.email,
           is_active: user.is_active,
           is_locked: user.is_locked,
+          locked_until: user.locked_until,
           last_login: user.last_login,
+          password_breached_at: user.password_breached_at,
           created_at: user.created_at,
           roles: roles
         };
@@ -155,6 +380,11 @@ import {
       };
     }
     
+    const passwordCheck = await validateNewPassword(password, { username, email });
+    if (!passwordCheck.success) {
+      return passwordCheck;
+    }
+    
     // Mulai transaksi database
     const transaction = await sequelize.transaction();
     
@@ -200,6 +430,7 @@ import {
         email,
         password_hash: hash,
         salt,
+        password_changed_at: new Date(),
         is_active: true,
         created_by: createdBy,
         updated_by: createdBy
@@ -211,7 +442,7 @@ import {
         const roleRecords = await RoleModel.findAll({
           where: {
             name: {
-              [sequelize.Op.in]: roles
+              [Op.in]: roles
             }
           },
           transaction
@@ -307,7 +538,7 @@ import {
           const existingEmail = await UserModel.findOne({ 
             where: { 
               email,
-              id: { [sequelize.Op.ne]: userId }
+              id: { [Op.ne]: userId }
             },
             transaction
           });
@@ -337,12 +568,17 @@ import {
       if (is_locked !== undefined) {
         updateData.is_locked = is_locked;
         
+        // Kunci dari admin bersifat permanen hingga dibuka kembali
+        updateData.locked_until = null;
+        
         // Jika user dikunci, revoke semua token mereka
         if (is_locked) {
           await TokenModel.revokeAllForUser(userId);
         } else {
-          // Jika user dibuka kuncinya, reset failed_attempts
+          // Jika user dibuka kuncinya, reset failed_attempts dan riwayat penguncian
           updateData.failed_attempts = 0;
+          updateData.lockout_count = 0;
+          updateData.last_failed_at = null;
         }
       }
       
@@ -355,7 +591,7 @@ import {
         const roleRecords = await RoleModel.findAll({
           where: {
             name: {
-              [sequelize.Op.in]: roles
+              [Op.in]: roles
             }
           },
           transaction
@@ -385,6 +621,7 @@ import {
           email: updatedUser.email,
           is_active: updatedUser.is_active,
           is_locked: updatedUser.is_locked,
+          locked_until: updatedUser.locked_until,
           last_login: updatedUser.last_login,
           updated_at: updatedUser.updated_at,
           roles: userRoles
@@ -445,14 +682,27 @@ import {
         };
       }
       
+      const passwordCheck = await validateNewPassword(newPassword, {
+        user,
+        username: user.username,
+        email: user.email,
+        field: 'new_password'
+      });
+      if (!passwordCheck.success) {
+        return passwordCheck;
+      }
+      
       // Hash password baru
       const { hash, salt } = await hashPassword(newPassword);
       
+      await recordPasswordHistory(user);
+      
       // Update password
       await user.update({
         password_hash: hash,
         salt,
         password_changed_at: new Date(),
+        password_breached_at: null,
         updated_by: updatedBy
       });
       
@@ -503,18 +753,34 @@ import {
         };
       }
       
+      const passwordCheck = await validateNewPassword(newPassword, {
+        user,
+        username: user.username,
+        email: user.email,
+        field: 'new_password'
+      });
+      if (!passwordCheck.success) {
+        return passwordCheck;
+      }
+      
       // Hash password baru
       const { hash, salt } = await hashPassword(newPassword);
       
+      await recordPasswordHistory(user);
+      
       // Update password
       await user.update({
         password_hash: hash,
         salt,
         password_changed_at: new Date(),
+        password_breached_at: null,
         updated_by: adminId,
         // Reset failed_attempts jika akun terkunci
         failed_attempts: 0,
-        is_locked: false
+        lockout_count: 0,
+        last_failed_at: null,
+        is_locked: false,
+        locked_until: null
       });
       
       // Revoke semua token user
@@ -0,0 +1,659 @@
+/**
+ * Layanan WebAuthn (passkey / security key) untuk aplikasi otentikasi terpusat
+ *
+ * Credential WebAuthn disimpan sebagai faktor MFA bertipe "webauthn" di mfa_settings
+ * user, sehingga dapat digunakan sebagai faktor kedua maupun login passwordless.
+ * Attestation yang didukung: none dan packed (self attestation dan x5c). Rantai sertifikat
+ * attestation tidak divalidasi terhadap metadata FIDO; format dan AAGUID dicatat pada faktor.
+ */
+import crypto from 'crypto';
+import { UserModel, WebAuthnChallengeModel } from '../models/index.model.js';
+import {
+  normalizeMfaSettings,
+  addVerifiedFactor,
+  withLockedUser,
+  checkFactorEnrollmentStepUp
+} from './mfa.service.js';
+import { decodeCbor, decodeCborItem } from '../utils/cbor.util.js';
+import { logger } from '../utils/logger.util.js';
+
+// Masa berlaku challenge (detik)
+const WEBAUTHN_CHALLENGE_EXPIRES_SECONDS = parseInt(
+  process.env.WEBAUTHN_CHALLENGE_EXPIRES_SECONDS || '300',
+  10
+);
+
+// Algoritma COSE yang didukung: ES256, EdDSA, RS256
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_EDDSA = -8;
+const COSE_ALG_RS256 = -257;
+const SUPPORTED_ALGORITHMS = [COSE_ALG_ES256, COSE_ALG_EDDSA, COSE_ALG_RS256];
+
+// Flag authenticator data (WebAuthn Level 2 section 6.1)
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKUP_STATE = 0x10;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Mendapatkan origin yang diizinkan untuk ceremony WebAuthn
+ * @returns {string[]} Daftar origin (WEBAUTHN_ORIGINS dipisahkan koma, default API_BASE_URL)
+ */
+const getAllowedOrigins = () => {
+  return (process.env.WEBAUTHN_ORIGINS || process.env.API_BASE_URL || 'http://localhost:3000')
+    .split(',')
+    .map(origin => new URL(origin.trim()).origin);
+};
+
+/**
+ * Mendapatkan Relying Party ID
+ * @returns {string} RP ID (WEBAUTHN_RP_ID, default hostname origin pertama)
+ */
+const getRelyingPartyId = () => {
+  return process.env.WEBAUTHN_RP_ID || new URL(getAllowedOrigins()[0]).hostname;
+};
+
+/**
+ * Hasil error untuk respons WebAuthn yang tidak valid
+ * @param {string} message - Pesan error
+ * @returns {Object} Hasil error
+ */
+const invalidResponse = (message) => ({
+  success: false,
+  code: 'INVALID_WEBAUTHN_RESPONSE',
+  message
+});
+
+/**
+ * Mendapatkan faktor WebAuthn terverifikasi milik user
+ * @param {Object} mfaSettings - mfa_settings ternormalisasi
+ * @returns {Object[]} Faktor WebAuthn
+ */
+const getWebAuthnFactors = (mfaSettings) => {
+  return mfaSettings.factors.filter(factor => factor.type === 'webauthn' && factor.verified);
+};
+
+/**
+ * Membuat dan menyimpan challenge baru
+ * @param {Object} data - purpose, userId, consumerId, userVerification
+ * @returns {Promise<string>} Challenge (base64url)
+ */
+const createChallenge = async ({ purpose, userId, consumerId, userVerification }) => {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+
+  await WebAuthnChallengeModel.create({
+    challenge,
+    purpose,
+    user_id: userId || null,
+    consumer_id: consumerId || null,
+    user_verification: userVerification,
+    expires_at: new Date(Date.now() + WEBAUTHN_CHALLENGE_EXPIRES_SECONDS * 1000)
+  });
+
+  return challenge;
+};
+
+/**
+ * Memverifikasi dan menandai challenge dari clientDataJSON sebagai sudah digunakan
+ * Challenge dipakai sebelum tanda tangan diverifikasi sehingga respons gagal tidak dapat diulang
+ * @param {string} value - Challenge dari clientDataJSON
+ * @param {string} purpose - registration atau authentication
+ * @param {Object} expected - userId dan consumerId yang diharapkan
+ * @returns {Promise<Object>} { success, challenge } atau hasil error
+ */
+const consumeChallenge = async (value, purpose, { userId, consumerId }) => {
+  const invalidChallenge = {
+    success: false,
+    code: 'INVALID_WEBAUTHN_CHALLENGE',
+    message: 'Invalid or expired WebAuthn challenge'
+  };
+
+  const challenge = value ? await WebAuthnChallengeModel.findByChallenge(value) : null;
+  if (!challenge || challenge.consumed_at || challenge.purpose !== purpose) {
+    return invalidChallenge;
+  }
+
+  if (
+    (userId && challenge.user_id !== userId) ||
+    (consumerId && challenge.consumer_id && challenge.consumer_id !== consumerId)
+  ) {
+    logger.warn(`WebAuthn challenge mismatch for ${purpose}`);
+    return invalidChallenge;
+  }
+
+  const consumed = await WebAuthnChallengeModel.consume(challenge.id);
+  if (!consumed || new Date() > challenge.expires_at) {
+    return invalidChallenge;
+  }
+
+  return { success: true, challenge };
+};
+
+/**
+ * Parse dan validasi clientDataJSON
+ * @param {string} encoded - clientDataJSON (base64url)
+ * @param {string} expectedType - webauthn.create atau webauthn.get
+ * @returns {Object} { clientData, hash } atau { error }
+ */
+const parseClientData = (encoded, expectedType) => {
+  const raw = Buffer.from(encoded, 'base64url');
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    return { error: 'Malformed clientDataJSON' };
+  }
+
+  if (clientData.type !== expectedType) {
+    return { error: `Unexpected clientData type: ${clientData.type}` };
+  }
+
+  if (!getAllowedOrigins().includes(clientData.origin) || clientData.crossOrigin === true) {
+    return { error: `Origin not allowed: ${clientData.origin}` };
+  }
+
+  return {
+    clientData,
+    hash: crypto.createHash('sha256').update(raw).digest()
+  };
+};
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData - Authenticator data
+ * @returns {Object} rpIdHash, flags, signCount, dan attested credential data (jika ada)
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data too short');
+  }
+
+  const flags = authData.readUInt8(32);
+  const result = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    backupEligible: Boolean(flags & FLAG_BACKUP_ELIGIBLE),
+    backupState: Boolean(flags & FLAG_BACKUP_STATE),
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    const aaguid = authData.subarray(37, 53).toString('hex');
+    const credentialIdLength = authData.readUInt16BE(53);
+    const credentialIdEnd = 55 + credentialIdLength;
+
+    result.aaguid = [
+      aaguid.slice(0, 8),
+      aaguid.slice(8, 12),
+      aaguid.slice(12, 16),
+      aaguid.slice(16, 20),
+      aaguid.slice(20)
+    ].join('-');
+    result.credentialId = authData.subarray(55, credentialIdEnd);
+    result.credentialPublicKey = decodeCborItem(authData, credentialIdEnd).value;
+  }
+
+  return result;
+};
+
+/**
+ * Konversi COSE key menjadi public key Node.js
+ * @param {Object} coseKey - COSE key hasil decode CBOR
+ * @returns {Object} { alg, publicKey (KeyObject) }
+ */
+const coseToPublicKey = (coseKey) => {
+  const kty = coseKey['1'];
+  const alg = coseKey['3'];
+  let jwk;
+
+  if (kty === 2 && alg === COSE_ALG_ES256 && coseKey['-1'] === 1) {
+    jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: coseKey['-2'].toString('base64url'),
+      y: coseKey['-3'].toString('base64url')
+    };
+  } else if (kty === 1 && alg === COSE_ALG_EDDSA && coseKey['-1'] === 6) {
+    jwk = {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: coseKey['-2'].toString('base64url')
+    };
+  } else if (kty === 3 && alg === COSE_ALG_RS256) {
+    jwk = {
+      kty: 'RSA',
+      n: coseKey['-1'].toString('base64url'),
+      e: coseKey['-2'].toString('base64url')
+    };
+  } else {
+    throw new Error(`Unsupported credential public key (kty=${kty}, alg=${alg})`);
+  }
+
+  return {
+    alg,
+    publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  };
+};
+
+/**
+ * Verifikasi tanda tangan WebAuthn sesuai algoritma COSE
+ * @param {number} alg - Algoritma COSE
+ * @param {crypto.KeyObject|string} publicKey - Public key (KeyObject atau PEM)
+ * @param {Buffer} data - Data yang ditandatangani
+ * @param {Buffer} signature - Tanda tangan (ECDSA dalam format DER)
+ * @returns {boolean} True jika tanda tangan valid
+ */
+const verifySignature = (alg, publicKey, data, signature) => {
+  try {
+    if (alg === COSE_ALG_ES256) {
+      return crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'der' }, signature);
+    }
+    if (alg === COSE_ALG_RS256) {
+      return crypto.verify('sha256', data, publicKey, signature);
+    }
+    if (alg === COSE_ALG_EDDSA) {
+      return crypto.verify(null, data, publicKey, signature);
+    }
+    return false;
+  } catch (error) {
+    logger.warn(`WebAuthn signature verification error: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Verifikasi attestation statement format packed
+ * @param {Object} attStmt - Attestation statement
+ * @param {Buffer} authData - Authenticator data
+ * @param {Buffer} clientDataHash - SHA-256 dari clientDataJSON
+ * @param {Object} credentialKey - { alg, publicKey } credential baru
+ * @returns {boolean} True jika attestation valid
+ */
+const verifyPackedAttestation = (attStmt, authData, clientDataHash, credentialKey) => {
+  if (typeof attStmt.alg !== 'number' || !Buffer.isBuffer(attStmt.sig)) {
+    return false;
+  }
+
+  const signedData = Buffer.concat([authData, clientDataHash]);
+
+  // Self attestation: ditandatangani dengan kunci credential itu sendiri
+  if (!Array.isArray(attStmt.x5c) || attStmt.x5c.length === 0) {
+    return attStmt.alg === credentialKey.alg &&
+      verifySignature(attStmt.alg, credentialKey.publicKey, signedData, attStmt.sig);
+  }
+
+  // Full attestation: sertifikat attestation harus memenuhi syarat packed (section 8.2.1)
+  const certificate = new crypto.X509Certificate(attStmt.x5c[0]);
+  const now = Date.now();
+  if (
+    certificate.ca ||
+    now < Date.parse(certificate.validFrom) ||
+    now > Date.parse(certificate.validTo) ||
+    !/(^|\n)OU=Authenticator Attestation(\n|$)/.test(certificate.subject)
+  ) {
+    return false;
+  }
+
+  return verifySignature(attStmt.alg, certificate.publicKey, signedData, attStmt.sig);
+};
+
+/**
+ * Membuat opsi registrasi credential WebAuthn (PublicKeyCredentialCreationOptions)
+ * @param {string} userId - ID user
+ * @param {Object} [context] - Konteks request
+ * @param {string} [context.consumerId] - ID consumer
+ * @param {string} [context.currentPassword] - Password saat ini (wajib jika MFA sudah aktif)
+ * @returns {Promise<Object>} Opsi registrasi untuk navigator.credentials.create()
+ */
+export const generateRegistrationOptions = async (userId, context = {}) => {
+  try {
+    const user = await UserModel.findByPk(userId);
+    if (!user) {
+      return {
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      };
+    }
+
+    const stepUpError = await checkFactorEnrollmentStepUp(user, context.currentPassword);
+    if (stepUpError) {
+      return stepUpError;
+    }
+
+    const mfaSettings = normalizeMfaSettings(user.mfa_settings);
+    const challenge = await createChallenge({
+      purpose: 'registration',
+      userId: user.id,
+      consumerId: context.consumerId,
+      userVerification: 'preferred'
+    });
+
+    return {
+      success: true,
+      options: {
+        challenge,
+        rp: {
+          id: getRelyingPartyId(),
+          name: process.env.WEBAUTHN_RP_NAME || 'Centralized Auth System'
+        },
+        user: {
+          id: Buffer.from(user.id).toString('base64url'),
+          name: user.username,
+          displayName: user.username
+        },
+        pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+        timeout: WEBAUTHN_CHALLENGE_EXPIRES_SECONDS * 1000,
+        attestation: 'direct',
+        excludeCredentials: getWebAuthnFactors(mfaSettings).map(factor => ({
+          type: 'public-key',
+          id: factor.credential_id,
+          transports: factor.transports || []
+        })),
+        authenticatorSelection: {
+          residentKey: 'preferred',
+          requireResidentKey: false,
+          userVerification: 'preferred'
+        }
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in generateRegistrationOptions: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Verifikasi respons registrasi (attestation) dan simpan credential sebagai faktor MFA
+ * @param {string} userId - ID user
+ * @param {Object} credential - PublicKeyCredential (field biner dalam base64url)
+ * @param {Object} [context] - Konteks request
+ * @param {string} [context.consumerId] - ID consumer
+ * @param {string} [context.label] - Nama faktor
+ * @returns {Promise<Object>} Hasil registrasi dengan factorId dan backupCodes (jika faktor pertama)
+ */
+export const verifyRegistration = async (userId, credential, context = {}) => {
+  try {
+    const { response } = credential;
+
+    const parsedClientData = parseClientData(response.clientDataJSON, 'webauthn.create');
+    if (parsedClientData.error) {
+      return invalidResponse(parsedClientData.error);
+    }
+
+    const consumed = await consumeChallenge(
+      parsedClientData.clientData.challenge,
+      'registration',
+      { userId, consumerId: context.consumerId }
+    );
+    if (!consumed.success) {
+      return consumed;
+    }
+
+    const attestation = decodeCbor(Buffer.from(response.attestationObject, 'base64url'));
+    if (!Buffer.isBuffer(attestation.authData) || typeof attestation.fmt !== 'string') {
+      return invalidResponse('Malformed attestation object');
+    }
+
+    const authData = parseAuthenticatorData(attestation.authData);
+    const expectedRpIdHash = crypto.createHash('sha256').update(getRelyingPartyId()).digest();
+    if (!authData.rpIdHash.equals(expectedRpIdHash)) {
+      return invalidResponse('RP ID hash mismatch');
+    }
+    if (!authData.userPresent) {
+      return invalidResponse('User presence is required');
+    }
+    if (!authData.credentialId) {
+      return invalidResponse('Attested credential data is missing');
+    }
+    if (authData.credentialId.toString('base64url') !== credential.rawId) {
+      return invalidResponse('Credential ID mismatch');
+    }
+
+    let credentialKey;
+    try {
+      credentialKey = coseToPublicKey(authData.credentialPublicKey);
+    } catch (error) {
+      return invalidResponse(error.message);
+    }
+
+    // Verifikasi attestation statement
+    const attStmt = attestation.attStmt || {};
+    if (attestation.fmt === 'none') {
+      if (Object.keys(attStmt).length > 0) {
+        return invalidResponse('Attestation statement must be empty for format none');
+      }
+    } else if (attestation.fmt === 'packed') {
+      if (!verifyPackedAttestation(attStmt, attestation.authData, parsedClientData.hash, credentialKey)) {
+        return invalidResponse('Invalid packed attestation');
+      }
+    } else {
+      return {
+        success: false,
+        code: 'UNSUPPORTED_ATTESTATION',
+        message: `Unsupported attestation format: ${attestation.fmt}`
+      };
+    }
+
+    const user = await UserModel.findByPk(userId);
+    if (!user) {
+      return {
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      };
+    }
+
+    const credentialId = authData.credentialId.toString('base64url');
+    const alreadyRegistered = getWebAuthnFactors(normalizeMfaSettings(user.mfa_settings))
+      .some(factor => factor.credential_id === credentialId);
+    if (alreadyRegistered) {
+      return {
+        success: false,
+        code: 'FACTOR_ALREADY_ENROLLED',
+        message: 'This credential is already registered'
+      };
+    }
+
+    const result = await addVerifiedFactor(user.id, 'webauthn', {
+      credential_id: credentialId,
+      public_key: credentialKey.publicKey.export({ type: 'spki', format: 'pem' }),
+      algorithm: credentialKey.alg,
+      sign_count: authData.signCount,
+      transports: response.transports || [],
+      aaguid: authData.aaguid,
+      attestation_format: attestation.fmt,
+      user_verified: authData.userVerified,
+      backup_eligible: authData.backupEligible,
+      backup_state: authData.backupState
+    }, context.label);
+
+    if (result.success) {
+      logger.info(`WebAuthn credential registered for user: ${user.username} (fmt=${attestation.fmt})`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`Error in verifyRegistration: ${error.message}`);
+    return invalidResponse('Malformed WebAuthn registration response');
+  }
+};
+
+/**
+ * Membuat opsi otentikasi WebAuthn (PublicKeyCredentialRequestOptions)
+ * Tanpa userId, allowCredentials kosong sehingga authenticator memilih passkey (discoverable credential)
+ * @param {Object} params - Parameter opsi
+ * @param {string} [params.userId] - ID user (faktor kedua atau login passwordless dengan username)
+ * @param {string} [params.consumerId] - ID consumer
+ * @param {string} [params.userVerification] - required, preferred, atau discouraged
+ * @returns {Promise<Object>} Opsi otentikasi untuk navigator.credentials.get()
+ */
+export const generateAuthenticationOptions = async ({
+  userId = null,
+  consumerId = null,
+  userVerification = 'preferred'
+}) => {
+  try {
+    let allowCredentials = [];
+
+    if (userId) {
+      const user = await UserModel.findByPk(userId);
+      const factors = user ? getWebAuthnFactors(normalizeMfaSettings(user.mfa_settings)) : [];
+      if (factors.length === 0) {
+        return {
+          success: false,
+          code: 'WEBAUTHN_NOT_ENABLED',
+          message: 'No WebAuthn credential is registered for this user'
+        };
+      }
+
+      allowCredentials = factors.map(factor => ({
+        type: 'public-key',
+        id: factor.credential_id,
+        transports: factor.transports || []
+      }));
+    }
+
+    const challenge = await createChallenge({
+      purpose: 'authentication',
+      userId,
+      consumerId,
+      userVerification
+    });
+
+    return {
+      success: true,
+      options: {
+        challenge,
+        rpId: getRelyingPartyId(),
+        timeout: WEBAUTHN_CHALLENGE_EXPIRES_SECONDS * 1000,
+        userVerification,
+        allowCredentials
+      }
+    };
+  } catch (error) {
+    logger.error(`Error in generateAuthenticationOptions: ${error.message}`);
+    return {
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'An internal system error occurred'
+    };
+  }
+};
+
+/**
+ * Verifikasi respons otentikasi (assertion)
+ * Memeriksa challenge, origin, RP ID, tanda tangan, dan signature counter.
+ * Counter yang tidak bertambah menandakan authenticator yang dikloning dan ditolak.
+ * @param {Object} credential - PublicKeyCredential (field biner dalam base64url)
+ * @param {Object} [context] - Konteks verifikasi
+ * @param {string} [context.userId] - ID user yang diharapkan (faktor kedua)
+ * @param {string} [context.consumerId] - ID consumer
+ * @param {boolean} [context.requireUserVerification] - Wajibkan flag UV (login passwordless)
+ * @returns {Promise<Object>} { success, user, factor, userVerified }
+ */
+export const verifyAuthentication = async (credential, context = {}) => {
+  const { userId = null, consumerId = null, requireUserVerification = false } = context;
+
+  try {
+    const { response } = credential;
+
+    const parsedClientData = parseClientData(response.clientDataJSON, 'webauthn.get');
+    if (parsedClientData.error) {
+      return invalidResponse(parsedClientData.error);
+    }
+
+    const consumed = await consumeChallenge(
+      parsedClientData.clientData.challenge,
+      'authentication',
+      { userId, consumerId }
+    );
+    if (!consumed.success) {
+      return consumed;
+    }
+    const { challenge } = consumed;
+
+    // Pemilik credential: dari challenge, atau user handle untuk passkey tanpa username
+    const userHandle = response.userHandle
+      ? Buffer.from(response.userHandle, 'base64url').toString('utf8')
+      : null;
+    const ownerId = challenge.user_id || userHandle;
+    if (!ownerId || (userHandle && userHandle !== ownerId)) {
+      return invalidResponse('Unable to identify credential owner');
+    }
+
+    // Pemeriksaan dan penyimpanan sign counter dilakukan dengan baris user terkunci agar
+    // assertion paralel atau perubahan mfa_settings lain tidak menimpa counter terbaru
+    return await withLockedUser(ownerId, async (user, transaction) => {
+      const mfaSettings = user ? normalizeMfaSettings(user.mfa_settings) : null;
+      const factor = mfaSettings
+        ? getWebAuthnFactors(mfaSettings).find(candidate => candidate.credential_id === credential.rawId)
+        : null;
+      if (!factor) {
+        logger.warn('WebAuthn assertion with unknown credential');
+        return {
+          success: false,
+          code: 'WEBAUTHN_CREDENTIAL_NOT_FOUND',
+          message: 'Unknown WebAuthn credential'
+        };
+      }
+
+      const rawAuthData = Buffer.from(response.authenticatorData, 'base64url');
+      const authData = parseAuthenticatorData(rawAuthData);
+      const expectedRpIdHash = crypto.createHash('sha256').update(getRelyingPartyId()).digest();
+      if (!authData.rpIdHash.equals(expectedRpIdHash)) {
+        return invalidResponse('RP ID hash mismatch');
+      }
+      if (!authData.userPresent) {
+        return invalidResponse('User presence is required');
+      }
+      if ((requireUserVerification || challenge.user_verification === 'required') && !authData.userVerified) {
+        return invalidResponse('User verification is required');
+      }
+
+      const signedData = Buffer.concat([rawAuthData, parsedClientData.hash]);
+      const signature = Buffer.from(response.signature, 'base64url');
+      if (!verifySignature(factor.algorithm, factor.public_key, signedData, signature)) {
+        logger.warn(`Invalid WebAuthn signature for user: ${user.username}`);
+        return invalidResponse('Invalid signature');
+      }
+
+      // Signature counter harus bertambah jika authenticator mendukung counter
+      if ((authData.signCount > 0 || factor.sign_count > 0) && authData.signCount <= factor.sign_count) {
+        logger.warn(
+          `WebAuthn sign counter did not increase for user: ${user.username} ` +
+          `(stored=${factor.sign_count}, received=${authData.signCount}); possible cloned authenticator`
+        );
+        return {
+          success: false,
+          code: 'WEBAUTHN_SIGN_COUNT_INVALID',
+          message: 'Signature counter check failed'
+        };
+      }
+
+      factor.sign_count = authData.signCount;
+      factor.backup_state = authData.backupState;
+      factor.last_used_at = new Date().toISOString();
+      await user.update({ mfa_settings: mfaSettings }, { transaction });
+
+      return {
+        success: true,
+        user,
+        factor: {
+          id: factor.id,
+          type: factor.type
+        },
+        userVerified: authData.userVerified
+      };
+    });
+  } catch (error) {
+    logger.error(`Error in verifyAuthentication: ${error.message}`);
+    return invalidResponse('Malformed WebAuthn authentication response');
+  }
+};
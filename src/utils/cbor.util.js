@@ -0,0 +1,125 @@
+/**
+ * Decoder CBOR (RFC 8949) minimal untuk data WebAuthn
+ * Mendukung tipe yang dipakai attestation object dan COSE key: integer, byte string,
+ * text string, array, map, tag, serta simple value (false, true, null, undefined) dan float
+ */
+
+/**
+ * Membaca argumen (panjang/nilai) sebuah item CBOR
+ * @param {Buffer} buffer - Data CBOR
+ * @param {number} offset - Posisi byte setelah initial byte
+ * @param {number} info - Additional information (5 bit terbawah initial byte)
+ * @returns {Object} { value, offset }
+ */
+const readArgument = (buffer, offset, info) => {
+  if (info < 24) {
+    return { value: info, offset };
+  }
+  if (info === 24) {
+    return { value: buffer.readUInt8(offset), offset: offset + 1 };
+  }
+  if (info === 25) {
+    return { value: buffer.readUInt16BE(offset), offset: offset + 2 };
+  }
+  if (info === 26) {
+    return { value: buffer.readUInt32BE(offset), offset: offset + 4 };
+  }
+  if (info === 27) {
+    const value = buffer.readBigUInt64BE(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('CBOR integer too large');
+    }
+    return { value: Number(value), offset: offset + 8 };
+  }
+
+  // Panjang tak tentu (indefinite length) tidak digunakan oleh WebAuthn
+  throw new Error(`Unsupported CBOR additional information: ${info}`);
+};
+
+/**
+ * Decode satu item CBOR mulai dari offset tertentu
+ * Map di-decode menjadi object dengan key string (key integer COSE menjadi "1", "-2", dst.)
+ * @param {Buffer} buffer - Data CBOR
+ * @param {number} [offset=0] - Posisi awal
+ * @returns {Object} { value, offset } dengan offset posisi setelah item
+ */
+export const decodeCborItem = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initialByte = buffer.readUInt8(offset);
+  const majorType = initialByte >> 5;
+  const info = initialByte & 0x1f;
+  offset += 1;
+
+  // Simple value dan float
+  if (majorType === 7) {
+    if (info === 20) return { value: false, offset };
+    if (info === 21) return { value: true, offset };
+    if (info === 22) return { value: null, offset };
+    if (info === 23) return { value: undefined, offset };
+    if (info === 26) return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+    if (info === 27) return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+    throw new Error(`Unsupported CBOR simple value: ${info}`);
+  }
+
+  const argument = readArgument(buffer, offset, info);
+  offset = argument.offset;
+
+  switch (majorType) {
+    case 0:
+      return { value: argument.value, offset };
+    case 1:
+      return { value: -1 - argument.value, offset };
+    case 2:
+    case 3: {
+      const end = offset + argument.value;
+      if (end > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      const bytes = buffer.subarray(offset, end);
+      return {
+        value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        offset: end
+      };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument.value; i++) {
+        const item = decodeCborItem(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = {};
+      for (let i = 0; i < argument.value; i++) {
+        const key = decodeCborItem(buffer, offset);
+        const value = decodeCborItem(buffer, key.offset);
+        map[String(key.value)] = value.value;
+        offset = value.offset;
+      }
+      return { value: map, offset };
+    }
+    case 6:
+      // Tag diabaikan, hanya nilai di dalamnya yang dikembalikan
+      return decodeCborItem(buffer, offset);
+    default:
+      throw new Error(`Unsupported CBOR major type: ${majorType}`);
+  }
+};
+
+/**
+ * Decode data CBOR yang berisi tepat satu item
+ * @param {Buffer} buffer - Data CBOR
+ * @returns {*} Nilai hasil decode
+ */
+export const decodeCbor = (buffer) => {
+  const { value, offset } = decodeCborItem(buffer, 0);
+  if (offset !== buffer.length) {
+    throw new Error('Unexpected trailing bytes in CBOR data');
+  }
+  return value;
+};
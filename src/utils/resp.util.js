@@ -0,0 +1,266 @@
+/**
+ * Klien RESP (REdis Serialization Protocol) minimal
+ * Cukup untuk perintah sederhana ke server yang kompatibel dengan Redis (Redis, Valkey, KeyDB,
+ * Dragonfly) tanpa dependensi tambahan. Mendukung URL redis:// dan rediss:// (TLS) dengan
+ * password/username dan nomor database, serta pipelining beberapa perintah sekaligus.
+ */
+import net from 'net';
+import tls from 'tls';
+
+const CRLF = '\r\n';
+
+/**
+ * Encode satu perintah sebagai array bulk string RESP
+ * @param {Array<string|number>} args - Nama perintah dan argumennya
+ * @returns {string} Perintah dalam format RESP
+ */
+const encodeCommand = (args) => {
+  let encoded = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    encoded += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return encoded;
+};
+
+/**
+ * Parse angka pada header reply (integer, panjang bulk string, jumlah elemen array)
+ * @param {string} line - Isi baris header tanpa penanda tipe
+ * @returns {number} Angka
+ * @throws {Error} Jika baris bukan angka bulat
+ */
+const parseLength = (line) => {
+  if (!/^-?\d+$/.test(line)) {
+    throw new Error(`Invalid RESP number: ${line}`);
+  }
+  return parseInt(line, 10);
+};
+
+/**
+ * Decode satu reply RESP mulai dari offset tertentu
+ * Reply error dikembalikan sebagai instance Error (bukan dilempar) agar pipeline tetap berurutan
+ * @param {Buffer} buffer - Data yang sudah diterima
+ * @param {number} [offset=0] - Posisi awal
+ * @returns {Object|null} { value, offset } atau null jika data belum lengkap
+ * @throws {Error} Jika data bukan reply RESP yang valid
+ */
+export const decodeReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseLength(line), offset: next };
+    case '$': {
+      const length = parseLength(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseLength(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = decodeReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unsupported RESP reply type: ${type}`);
+  }
+};
+
+/**
+ * Membuat klien RESP
+ * Koneksi dibuka saat perintah pertama dikirim dan dibuka ulang setelah terputus
+ * @param {string} url - URL server (redis://[user:password@]host:port/db atau rediss://...)
+ * @param {Object} [options] - Opsi klien
+ * @param {number} [options.timeoutMs=2000] - Batas waktu koneksi dan reply
+ * @returns {Object} { command, pipeline, close }
+ */
+export const createRespClient = (url, options = {}) => {
+  const { timeoutMs = 2000 } = options;
+  const parsed = new URL(url);
+  const useTls = parsed.protocol === 'rediss:';
+  const host = parsed.hostname || '127.0.0.1';
+  const port = parseInt(parsed.port || '6379', 10);
+  const username = decodeURIComponent(parsed.username || '');
+  const password = decodeURIComponent(parsed.password || '');
+  const database = parseInt(parsed.pathname.replace('/', '') || '0', 10);
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failPending = (error) => {
+    while (pending.length) {
+      const { reject, timer } = pending.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+    let reply;
+    while (pending.length) {
+      try {
+        reply = decodeReply(buffer);
+      } catch (error) {
+        // Reply yang tidak dapat di-decode membuat urutan reply berikutnya tidak dapat dipercaya;
+        // koneksi dilepas sekarang agar perintah berikutnya membuka koneksi baru
+        const broken = socket;
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failPending(error);
+        broken?.destroy();
+        return;
+      }
+      if (!reply) {
+        return;
+      }
+
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject, timer } = pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  };
+
+  const send = (commands) => {
+    const payload = commands.map(encodeCommand).join('');
+    const replies = commands.map(() => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // Reply yang terlambat tidak dapat dipasangkan lagi; koneksi diputus agar urutan tetap benar
+        socket?.destroy(new Error('RESP command timed out'));
+      }, timeoutMs);
+      timer.unref();
+      pending.push({ resolve, reject, timer });
+    }));
+    socket.write(payload);
+    return replies;
+  };
+
+  const connect = () => {
+    if (socket) {
+      return Promise.resolve();
+    }
+    if (connecting) {
+      return connecting;
+    }
+
+    connecting = new Promise((resolve, reject) => {
+      const connection = useTls
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+      const readyEvent = useTls ? 'secureConnect' : 'connect';
+
+      connection.setTimeout(timeoutMs, () => {
+        connection.destroy(new Error('RESP connection timed out'));
+      });
+      connection.on('data', onData);
+      connection.on('error', () => {});
+      connection.on('close', () => {
+        // Koneksi yang sudah dilepas tidak boleh mengganggu koneksi penggantinya
+        if (socket && socket !== connection) {
+          return;
+        }
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failPending(new Error('RESP connection closed'));
+      });
+      let ready = false;
+      connection.once('close', () => {
+        if (!ready) {
+          connecting = null;
+          reject(new Error(`Unable to connect to ${host}:${port}`));
+        }
+      });
+      connection.once(readyEvent, async () => {
+        ready = true;
+        connection.setTimeout(0);
+        socket = connection;
+
+        try {
+          const setup = [];
+          if (password) {
+            setup.push(username ? ['AUTH', username, password] : ['AUTH', password]);
+          }
+          if (database) {
+            setup.push(['SELECT', database]);
+          }
+          if (setup.length) {
+            await Promise.all(send(setup));
+          }
+          connecting = null;
+          resolve();
+        } catch (error) {
+          connecting = null;
+          connection.destroy();
+          reject(error);
+        }
+      });
+    });
+
+    return connecting;
+  };
+
+  /**
+   * Mengirim beberapa perintah sekaligus
+   * @param {Array<Array<string|number>>} commands - Daftar perintah
+   * @returns {Promise<Array>} Reply tiap perintah sesuai urutan
+   */
+  const pipeline = async (commands) => {
+    await connect();
+    return await Promise.all(send(commands));
+  };
+
+  /**
+   * Mengirim satu perintah
+   * @param {Array<string|number>} args - Nama perintah dan argumennya
+   * @returns {Promise<*>} Reply perintah
+   */
+  const command = async (args) => {
+    const [reply] = await pipeline([args]);
+    return reply;
+  };
+
+  /**
+   * Menutup koneksi
+   */
+  const close = () => {
+    socket?.end();
+    socket = null;
+  };
+
+  return { command, pipeline, close };
+};
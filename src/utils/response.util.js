@@ -134,6 +134,27 @@ export const errorResponse = (res, code = ResponseCode.INTERNAL_ERROR, message,
   return res.status(statusCode).json(response);
 };
 
+/**
+ * Format error response untuk endpoint OAuth 2.0 (RFC 6749 section 5.2)
+ * Endpoint OAuth menggunakan format standar { error, error_description }
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status code
+ * @param {string} error - Kode error OAuth (invalid_request, invalid_client, ...)
+ * @param {string} description - Deskripsi error (optional)
+ */
+export const oauthErrorResponse = (res, statusCode, error, description = null) => {
+  const response = { error };
+  
+  if (description) {
+    response.error_description = description;
+  }
+  
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+  
+  return res.status(statusCode).json(response);
+};
+
 /**
  * Format Joi validation error
  * @param {Object} res - Express response object
@@ -165,27 +186,86 @@ export const serviceErrorResponse = (res, serviceResult) => {
   
   switch (serviceResult.code) {
     case 'INVALID_INPUT':
+    case 'INVALID_PHONE_NUMBER':
+    case 'INVALID_EMAIL':
+    case 'INVALID_VERIFICATION_CODE':
+    case 'VERIFICATION_CODE_EXPIRED':
+    case 'SMS_MFA_NOT_SETUP':
+    case 'EMAIL_MFA_NOT_SETUP':
+    case 'SMS_MFA_NOT_ENABLED':
+    case 'EMAIL_MFA_NOT_ENABLED':
+    case 'TOTP_NOT_SETUP':
+    case 'MFA_NOT_ENABLED':
+    case 'WEBAUTHN_NOT_ENABLED':
+    case 'INVALID_WEBAUTHN_CHALLENGE':
+    case 'INVALID_WEBAUTHN_RESPONSE':
+    case 'UNSUPPORTED_ATTESTATION':
+    case 'INVALID_PUBLIC_KEY':
+    case 'INVALID_REDIRECT_URI':
+    case 'PASSWORD_REQUIRED':
       responseCode = ResponseCode.BAD_REQUEST;
       break;
     case 'INVALID_CREDENTIALS':
+    case 'INVALID_USER':
+    case 'INVALID_PASSWORD':
       responseCode = ResponseCode.INVALID_CREDENTIALS;
       break;
     case 'USER_NOT_FOUND':
     case 'TOKEN_NOT_FOUND':
     case 'CONSUMER_NOT_FOUND':
     case 'KEY_NOT_FOUND':
+    case 'FACTOR_NOT_FOUND':
+    case 'RECOVERY_REQUEST_NOT_FOUND':
+    case 'TRUSTED_DEVICE_NOT_FOUND':
+    case 'MFA_POLICY_NOT_FOUND':
+    case 'ROLE_NOT_FOUND':
+    case 'PUSH_ENROLLMENT_NOT_FOUND':
+    case 'PUSH_APPROVAL_NOT_FOUND':
       responseCode = ResponseCode.NOT_FOUND;
       break;
     case 'USERNAME_EXISTS':
     case 'EMAIL_EXISTS':
     case 'NAME_EXISTS':
+    case 'FACTOR_ALREADY_ENROLLED':
+    case 'RECOVERY_REQUEST_NOT_PENDING':
+    case 'PUSH_APPROVAL_NOT_PENDING':
+    case 'ACCOUNT_NOT_LOCKED':
       responseCode = ResponseCode.CONFLICT;
       break;
+    case 'SELF_REVIEW_NOT_ALLOWED':
+    case 'MFA_ENROLLMENT_REQUIRED':
+    case 'PASSWORD_EXPIRED':
+    case 'PASSWORD_COMPROMISED':
+      responseCode = ResponseCode.FORBIDDEN;
+      break;
     case 'INVALID_TOKEN':
     case 'TOKEN_EXPIRED':
     case 'TOKEN_REVOKED':
+    case 'TOKEN_REUSED':
+    case 'CONSUMER_MISMATCH':
       responseCode = ResponseCode.INVALID_TOKEN;
       break;
+    case 'USER_UNAVAILABLE':
+    case 'CONSUMER_UNAVAILABLE':
+    case 'INVALID_MFA':
+    case 'INVALID_MFA_CHALLENGE':
+    case 'MFA_CHALLENGE_EXPIRED':
+    case 'MFA_ATTEMPTS_EXCEEDED':
+    case 'INVALID_PASSKEY':
+    case 'MFA_PUSH_DENIED':
+    case 'MFA_PUSH_EXPIRED':
+    case 'PUSH_NUMBER_MISMATCH':
+    case 'INVALID_MAGIC_LINK':
+    case 'MAGIC_LINK_EXPIRED':
+      responseCode = ResponseCode.UNAUTHORIZED;
+      break;
+    case 'PASSWORD_POLICY_VIOLATION':
+      responseCode = ResponseCode.UNPROCESSABLE;
+      break;
+    case 'OTP_RESEND_THROTTLED':
+    case 'LOGIN_THROTTLED':
+      responseCode = ResponseCode.TOO_MANY_REQUESTS;
+      break;
     case 'ACCOUNT_LOCKED':
       responseCode = ResponseCode.ACCOUNT_LOCKED;
       break;
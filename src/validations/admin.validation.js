@@ -52,7 +52,7 @@ export const createConsumerSchema = Joi.object({
       'any.required': 'Public key harus diisi'
     }),
   keyAlgorithm: Joi.string()
-    .valid('RSA-2048', 'RSA-4096', 'ECDSA-P256', 'Ed25519')
+    .valid('RSA-2048', 'RSA-4096', 'ECDSA-P256', 'ECDSA-P384', 'Ed25519')
     .default('RSA-2048')
     .messages({
       'string.empty': 'Algoritma kunci tidak boleh kosong',
@@ -63,6 +63,38 @@ export const createConsumerSchema = Joi.object({
     .default([])
     .messages({
       'array.base': 'Allowed IPs harus berupa array'
+    }),
+  redirectUris: Joi.array()
+    .items(Joi.string().uri({ scheme: ['https', 'http'] }))
+    .optional()
+    .default([])
+    .messages({
+      'array.base': 'Redirect URIs harus berupa array',
+      'string.uri': 'Redirect URI harus berupa URL yang valid',
+      'string.uriCustomScheme': 'Redirect URI harus menggunakan http atau https'
+    }),
+  allowedScopes: Joi.array()
+    .items(Joi.string().valid('openid', 'profile', 'email'))
+    .optional()
+    .default([])
+    .messages({
+      'array.base': 'Allowed scopes harus berupa array',
+      'any.only': 'Allowed scopes hanya boleh berisi openid, profile, atau email'
+    }),
+  clientScopes: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(/^[\x21\x23-\x5B\x5D-\x7E]+$/)
+        .max(100)
+        .invalid('openid', 'profile', 'email')
+    )
+    .optional()
+    .default([])
+    .messages({
+      'array.base': 'Client scopes harus berupa array',
+      'string.pattern.base': 'Scope mengandung karakter yang tidak valid',
+      'string.max': 'Scope maksimal 100 karakter',
+      'any.invalid': 'Scope openid, profile, dan email hanya berlaku untuk allowed scopes'
     })
 });
 
@@ -82,11 +114,47 @@ export const updateConsumerSchema = Joi.object({
     .messages({
       'string.empty': 'Public key tidak boleh kosong'
     }),
+  keyAlgorithm: Joi.string()
+    .valid('RSA-2048', 'RSA-4096', 'ECDSA-P256', 'ECDSA-P384', 'Ed25519')
+    .optional()
+    .messages({
+      'string.empty': 'Algoritma kunci tidak boleh kosong',
+      'any.only': 'Algoritma kunci tidak valid'
+    }),
   allowedIps: Joi.array()
     .items(Joi.string())
     .messages({
       'array.base': 'Allowed IPs harus berupa array'
     }),
+  redirectUris: Joi.array()
+    .items(Joi.string().uri({ scheme: ['https', 'http'] }))
+    .optional()
+    .messages({
+      'array.base': 'Redirect URIs harus berupa array',
+      'string.uri': 'Redirect URI harus berupa URL yang valid',
+      'string.uriCustomScheme': 'Redirect URI harus menggunakan http atau https'
+    }),
+  allowedScopes: Joi.array()
+    .items(Joi.string().valid('openid', 'profile', 'email'))
+    .optional()
+    .messages({
+      'array.base': 'Allowed scopes harus berupa array',
+      'any.only': 'Allowed scopes hanya boleh berisi openid, profile, atau email'
+    }),
+  clientScopes: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(/^[\x21\x23-\x5B\x5D-\x7E]+$/)
+        .max(100)
+        .invalid('openid', 'profile', 'email')
+    )
+    .optional()
+    .messages({
+      'array.base': 'Client scopes harus berupa array',
+      'string.pattern.base': 'Scope mengandung karakter yang tidak valid',
+      'string.max': 'Scope maksimal 100 karakter',
+      'any.invalid': 'Scope openid, profile, dan email hanya berlaku untuk allowed scopes'
+    }),
   isActive: Joi.boolean()
     .messages({
       'boolean.base': 'Status aktif harus berupa boolean'
@@ -98,7 +166,7 @@ export const updateConsumerSchema = Joi.object({
  */
 export const rotateKeySchema = Joi.object({
   keyAlgorithm: Joi.string()
-    .valid('RSA-2048', 'RSA-4096', 'ECDSA-P256', 'Ed25519')
+    .valid('RSA-2048', 'RSA-4096', 'ECDSA-P256', 'ECDSA-P384', 'Ed25519')
     .default('RSA-2048')
     .messages({
       'string.empty': 'Algoritma kunci tidak boleh kosong',
@@ -114,6 +182,12 @@ export const rotateKeySchema = Joi.object({
       'number.integer': 'Masa berlaku harus berupa bilangan bulat',
       'number.min': 'Masa berlaku minimal {#limit} hari',
       'number.max': 'Masa berlaku maksimal {#limit} hari'
+    }),
+  activate: Joi.boolean()
+    .optional()
+    .default(true)
+    .messages({
+      'boolean.base': 'Activate harus berupa boolean'
     })
 });
 
@@ -152,7 +226,10 @@ export const securityLogsQuerySchema = Joi.object({
       'string.guid': 'Consumer ID harus berupa UUID v4'
     }),
   event_type: Joi.string()
-    .valid('login', 'logout', 'failed_login', 'token_generated', 'token_revoked', 'password_changed', 'account_locked', 'account_unlocked')
+    .valid('login', 'logout', 'failed_login', 'token_generated', 'token_revoked', 'password_changed', 'account_locked', 'account_unlocked',
+      'mfa_backup_code_used', 'mfa_recovery_requested', 'mfa_recovery_approved', 'mfa_recovery_rejected', 'mfa_lockout',
+      'mfa_device_trusted', 'mfa_device_revoked', 'mfa_push_approved', 'mfa_push_denied',
+      'mfa_challenge_issued', 'password_breach_detected')
     .messages({
       'any.only': 'Event type tidak valid'
     }),
@@ -192,4 +269,306 @@ export const cleanupTokensQuerySchema = Joi.object({
       'number.min': 'Hari minimal {#limit}',
       'number.max': 'Hari maksimal {#limit}'
     })
-});
\ No newline at end of file
+});
+/**
+ * Schema untuk parameter ID permintaan pemulihan MFA
+ */
+export const recoveryRequestIdSchema = Joi.object({
+  requestId: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'Request ID tidak boleh kosong',
+      'string.guid': 'Request ID harus berupa UUID v4',
+      'any.required': 'Request ID harus diisi'
+    })
+});
+
+/**
+ * Schema untuk query daftar permintaan pemulihan MFA
+ */
+export const recoveryRequestsQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.base': 'Page harus berupa angka',
+      'number.integer': 'Page harus berupa bilangan bulat',
+      'number.min': 'Page minimal {#limit}'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit harus berupa angka',
+      'number.integer': 'Limit harus berupa bilangan bulat',
+      'number.min': 'Limit minimal {#limit}',
+      'number.max': 'Limit maksimal {#limit}'
+    }),
+  status: Joi.string()
+    .valid('pending', 'approved', 'rejected')
+    .messages({
+      'any.only': 'Status tidak valid'
+    })
+});
+
+/**
+ * Schema untuk keputusan permintaan pemulihan MFA
+ */
+export const reviewRecoveryRequestSchema = Joi.object({
+  note: Joi.string()
+    .optional()
+    .trim()
+    .max(500)
+    .messages({
+      'string.empty': 'Catatan tidak boleh kosong',
+      'string.max': 'Catatan maksimal {#limit} karakter'
+    })
+});
+
+/**
+ * Schema untuk parameter perangkat tepercaya pengguna
+ */
+export const userTrustedDevicesSchema = Joi.object({
+  userId: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'User ID tidak boleh kosong',
+      'string.guid': 'User ID harus berupa UUID v4',
+      'any.required': 'User ID harus diisi'
+    }),
+  deviceId: Joi.string()
+    .optional()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'Device ID tidak boleh kosong',
+      'string.guid': 'Device ID harus berupa UUID v4'
+    })
+});
+
+/**
+ * Schema untuk parameter ID pengguna
+ */
+export const userIdSchema = Joi.object({
+  userId: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'User ID tidak boleh kosong',
+      'string.guid': 'User ID harus berupa UUID v4',
+      'any.required': 'User ID harus diisi'
+    })
+});
+
+/**
+ * Schema untuk membuka kunci akun pengguna
+ */
+export const unlockAccountSchema = Joi.object({
+  reason: Joi.string()
+    .optional()
+    .trim()
+    .max(500)
+    .messages({
+      'string.empty': 'Alasan tidak boleh kosong',
+      'string.max': 'Alasan maksimal {#limit} karakter'
+    })
+});
+
+/**
+ * Schema untuk parameter ID kebijakan MFA
+ */
+export const mfaPolicyIdSchema = Joi.object({
+  policyId: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'Policy ID tidak boleh kosong',
+      'string.guid': 'Policy ID harus berupa UUID v4',
+      'any.required': 'Policy ID harus diisi'
+    })
+});
+
+/**
+ * Schema untuk membuat kebijakan MFA
+ * roleId wajib untuk targetType role, consumerId wajib untuk targetType consumer
+ */
+export const createMfaPolicySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(3)
+    .max(100)
+    .messages({
+      'string.empty': 'Nama kebijakan tidak boleh kosong',
+      'string.min': 'Nama kebijakan minimal {#limit} karakter',
+      'string.max': 'Nama kebijakan maksimal {#limit} karakter',
+      'any.required': 'Nama kebijakan harus diisi'
+    }),
+  description: Joi.string()
+    .optional()
+    .allow('')
+    .max(500)
+    .messages({
+      'string.max': 'Deskripsi maksimal {#limit} karakter'
+    }),
+  targetType: Joi.string()
+    .valid('role', 'consumer')
+    .messages({
+      'any.only': 'Target type harus role atau consumer',
+      'any.required': 'Target type harus diisi'
+    }),
+  roleId: Joi.string()
+    .guid({ version: 'uuidv4' })
+    .when('targetType', { is: 'role', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.guid': 'Role ID harus berupa UUID v4',
+      'any.required': 'Role ID harus diisi untuk kebijakan role',
+      'any.unknown': 'Role ID hanya untuk kebijakan role'
+    }),
+  consumerId: Joi.string()
+    .guid({ version: 'uuidv4' })
+    .when('targetType', { is: 'consumer', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.guid': 'Consumer ID harus berupa UUID v4',
+      'any.required': 'Consumer ID harus diisi untuk kebijakan consumer',
+      'any.unknown': 'Consumer ID hanya untuk kebijakan consumer'
+    }),
+  graceDays: Joi.number()
+    .optional()
+    .integer()
+    .min(0)
+    .max(365)
+    .default(0)
+    .messages({
+      'number.base': 'Grace days harus berupa angka',
+      'number.integer': 'Grace days harus berupa bilangan bulat',
+      'number.min': 'Grace days minimal {#limit}',
+      'number.max': 'Grace days maksimal {#limit}'
+    }),
+  isActive: Joi.boolean()
+    .optional()
+    .default(true)
+    .messages({
+      'boolean.base': 'Status aktif harus berupa boolean'
+    })
+});
+
+/**
+ * Schema untuk update kebijakan MFA
+ */
+export const updateMfaPolicySchema = Joi.object({
+  name: Joi.string()
+    .optional()
+    .trim()
+    .min(3)
+    .max(100)
+    .messages({
+      'string.empty': 'Nama kebijakan tidak boleh kosong',
+      'string.min': 'Nama kebijakan minimal {#limit} karakter',
+      'string.max': 'Nama kebijakan maksimal {#limit} karakter'
+    }),
+  description: Joi.string()
+    .optional()
+    .allow('')
+    .max(500)
+    .messages({
+      'string.max': 'Deskripsi maksimal {#limit} karakter'
+    }),
+  graceDays: Joi.number()
+    .optional()
+    .integer()
+    .min(0)
+    .max(365)
+    .messages({
+      'number.base': 'Grace days harus berupa angka',
+      'number.integer': 'Grace days harus berupa bilangan bulat',
+      'number.min': 'Grace days minimal {#limit}',
+      'number.max': 'Grace days maksimal {#limit}'
+    }),
+  isActive: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Status aktif harus berupa boolean'
+    })
+}).min(1).messages({
+  'object.min': 'Minimal satu field harus diisi'
+});
+
+/**
+ * Schema untuk update kebijakan password
+ */
+export const updatePasswordPolicySchema = Joi.object({
+  minLength: Joi.number()
+    .optional()
+    .integer()
+    .min(6)
+    .max(100)
+    .messages({
+      'number.base': 'Panjang minimal harus berupa angka',
+      'number.integer': 'Panjang minimal harus berupa bilangan bulat',
+      'number.min': 'Panjang minimal tidak boleh kurang dari {#limit}',
+      'number.max': 'Panjang minimal tidak boleh lebih dari {#limit}'
+    }),
+  requireUppercase: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'requireUppercase harus berupa boolean'
+    }),
+  requireLowercase: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'requireLowercase harus berupa boolean'
+    }),
+  requireDigit: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'requireDigit harus berupa boolean'
+    }),
+  requireSymbol: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'requireSymbol harus berupa boolean'
+    }),
+  disallowUserInfo: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'disallowUserInfo harus berupa boolean'
+    }),
+  checkBreached: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'checkBreached harus berupa boolean'
+    }),
+  flagBreachedOnLogin: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'flagBreachedOnLogin harus berupa boolean'
+    }),
+  historyCount: Joi.number()
+    .optional()
+    .integer()
+    .min(0)
+    .max(24)
+    .messages({
+      'number.base': 'Jumlah riwayat password harus berupa angka',
+      'number.integer': 'Jumlah riwayat password harus berupa bilangan bulat',
+      'number.min': 'Jumlah riwayat password minimal {#limit}',
+      'number.max': 'Jumlah riwayat password maksimal {#limit}'
+    }),
+  maxAgeDays: Joi.number()
+    .optional()
+    .integer()
+    .min(0)
+    .max(3650)
+    .messages({
+      'number.base': 'Umur maksimal password harus berupa angka',
+      'number.integer': 'Umur maksimal password harus berupa bilangan bulat',
+      'number.min': 'Umur maksimal password minimal {#limit}',
+      'number.max': 'Umur maksimal password maksimal {#limit} hari'
+    })
+}).min(1).messages({
+  'object.min': 'Minimal satu field harus diisi'
+});
@@ -28,12 +28,240 @@ export const loginSchema = Joi.object({
       'string.max': 'Password maksimal {#limit} karakter',
       'any.required': 'Password harus diisi'
     }),
+  
+  device_token: Joi.string()
+    .optional()
+    .max(300)
+    .messages({
+      'string.empty': 'Device token tidak boleh kosong',
+      'string.max': 'Device token maksimal {#limit} karakter'
+    })
+});
+
+/**
+ * Schema assertion WebAuthn (PublicKeyCredential dari navigator.credentials.get())
+ * Seluruh field biner dikirim dalam base64url
+ */
+const webAuthnAssertionSchema = Joi.object({
+  id: Joi.string()
+    .required()
+    .pattern(/^[A-Za-z0-9_-]+$/),
+  
+  rawId: Joi.string()
+    .required()
+    .pattern(/^[A-Za-z0-9_-]+$/),
+  
+  type: Joi.string()
+    .required()
+    .valid('public-key'),
+  
+  response: Joi.object({
+    clientDataJSON: Joi.string()
+      .required()
+      .pattern(/^[A-Za-z0-9_-]+$/),
+    
+    authenticatorData: Joi.string()
+      .required()
+      .pattern(/^[A-Za-z0-9_-]+$/),
     
-  mfa_code: Joi.string()
+    signature: Joi.string()
+      .required()
+      .pattern(/^[A-Za-z0-9_-]+$/),
+    
+    userHandle: Joi.string()
+      .optional()
+      .allow(null, '')
+      .pattern(/^[A-Za-z0-9_-]*$/)
+  }).required()
+}).messages({
+  'string.pattern.base': 'Field {#label} harus berupa base64url',
+  'any.only': 'Tipe credential harus public-key',
+  'any.required': 'Field {#label} harus diisi'
+});
+
+/**
+ * Schema untuk endpoint verifikasi MFA pada login dua langkah
+ * Faktor kedua berupa kode (TOTP, OTP SMS/email, backup code) atau assertion WebAuthn
+ */
+export const loginMfaSchema = Joi.object({
+  mfa_token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'MFA token tidak boleh kosong',
+      'any.required': 'MFA token harus diisi'
+    }),
+  
+  code: Joi.string()
+    .optional()
+    .trim()
+    .pattern(/^([0-9]{6}|[0-9A-Za-z]{4,5}-[0-9A-Za-z]{4,5})$/)
+    .messages({
+      'string.empty': 'Kode MFA tidak boleh kosong',
+      'string.pattern.base': 'Kode MFA harus berupa 6 digit angka atau backup code'
+    }),
+  
+  webauthn: webAuthnAssertionSchema.optional(),
+  
+  push: Joi.boolean()
     .optional()
-    .pattern(/^[0-9]{6}$/)
+    .valid(true)
     .messages({
-      'string.pattern.base': 'Kode MFA harus berupa 6 digit angka'
+      'boolean.base': 'push harus berupa boolean',
+      'any.only': 'push hanya dapat bernilai true'
+    }),
+  
+  trust_device: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'trust_device harus berupa boolean'
+    }),
+  
+  device_name: Joi.string()
+    .optional()
+    .trim()
+    .max(100)
+    .messages({
+      'string.empty': 'Nama perangkat tidak boleh kosong',
+      'string.max': 'Nama perangkat maksimal {#limit} karakter'
+    })
+}).xor('code', 'webauthn', 'push')
+  .messages({
+    'object.missing': 'Kode MFA, respons WebAuthn, atau push harus diisi',
+    'object.xor': 'Gunakan salah satu dari kode MFA, respons WebAuthn, atau push'
+  });
+
+/**
+ * Schema untuk permintaan pemulihan MFA (pengguna kehilangan seluruh faktor MFA)
+ */
+export const loginMfaRecoverySchema = Joi.object({
+  mfa_token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'MFA token tidak boleh kosong',
+      'any.required': 'MFA token harus diisi'
+    }),
+  
+  reason: Joi.string()
+    .optional()
+    .trim()
+    .max(500)
+    .messages({
+      'string.empty': 'Alasan tidak boleh kosong',
+      'string.max': 'Alasan maksimal {#limit} karakter'
+    })
+});
+
+/**
+ * Schema untuk meminta opsi WebAuthn pada login dua langkah
+ */
+export const loginMfaWebAuthnOptionsSchema = Joi.object({
+  mfa_token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'MFA token tidak boleh kosong',
+      'any.required': 'MFA token harus diisi'
+    })
+});
+
+/**
+ * Schema untuk meminta opsi login passkey
+ * Username opsional; tanpa username authenticator memilih passkey yang tersimpan
+ */
+export const passkeyLoginOptionsSchema = Joi.object({
+  username: Joi.string()
+    .optional()
+    .min(3)
+    .max(50)
+    .messages({
+      'string.empty': 'Username tidak boleh kosong',
+      'string.min': 'Username minimal {#limit} karakter',
+      'string.max': 'Username maksimal {#limit} karakter'
+    })
+});
+
+/**
+ * Schema untuk login passwordless dengan passkey
+ */
+export const passkeyLoginSchema = Joi.object({
+  credential: webAuthnAssertionSchema
+});
+
+/**
+ * Schema untuk meminta link login (magic link) melalui email
+ */
+export const magicLinkRequestSchema = Joi.object({
+  email: Joi.string()
+    .required()
+    .email()
+    .max(100)
+    .messages({
+      'string.empty': 'Email tidak boleh kosong',
+      'string.email': 'Format email tidak valid',
+      'string.max': 'Email maksimal {#limit} karakter',
+      'any.required': 'Email harus diisi'
+    }),
+  
+  redirect_uri: Joi.string()
+    .required()
+    .uri()
+    .max(2048)
+    .messages({
+      'string.empty': 'redirect_uri tidak boleh kosong',
+      'string.uri': 'redirect_uri harus berupa URI yang valid',
+      'string.max': 'redirect_uri maksimal {#limit} karakter',
+      'any.required': 'redirect_uri harus diisi'
+    })
+});
+
+/**
+ * Schema untuk login dengan token magic link
+ * redirect_uri harus sama dengan saat link diminta
+ */
+export const loginMagicLinkSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .pattern(/^[0-9a-f]{64}$/)
+    .messages({
+      'string.empty': 'Token tidak boleh kosong',
+      'string.pattern.base': 'Format token tidak valid',
+      'any.required': 'Token harus diisi'
+    }),
+  
+  redirect_uri: Joi.string()
+    .required()
+    .max(2048)
+    .messages({
+      'string.empty': 'redirect_uri tidak boleh kosong',
+      'string.max': 'redirect_uri maksimal {#limit} karakter',
+      'any.required': 'redirect_uri harus diisi'
+    }),
+  
+  device_token: Joi.string()
+    .optional()
+    .max(300)
+    .messages({
+      'string.empty': 'Device token tidak boleh kosong',
+      'string.max': 'Device token maksimal {#limit} karakter'
+    })
+});
+
+/**
+ * Schema untuk kirim ulang kode MFA (SMS/email) pada login dua langkah
+ * factor_id memilih faktor SMS/email lain selain faktor default
+ */
+export const loginMfaResendSchema = Joi.object({
+  mfa_token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'MFA token tidak boleh kosong',
+      'any.required': 'MFA token harus diisi'
+    }),
+  
+  factor_id: Joi.string()
+    .optional()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.guid': 'Factor ID harus berupa UUID v4'
     })
 });
 
@@ -76,6 +304,13 @@ export const logoutSchema = Joi.object({
     .default(false)
 });
 
+/**
+ * Schema untuk klaim token_id pada token yang dikirim ke endpoint logout
+ */
+export const tokenIdClaimSchema = Joi.string()
+  .required()
+  .guid({ version: 'uuidv4' });
+
 /**
  * Schema untuk validasi header otentikasi
  */
@@ -3,6 +3,26 @@
  */
 import Joi from 'joi';
 
+/**
+ * Schema untuk setup TOTP
+ */
+export const setupTotpSchema = Joi.object({
+  label: Joi.string()
+    .optional()
+    .trim()
+    .max(50)
+    .messages({
+      'string.empty': 'Nama faktor tidak boleh kosong',
+      'string.max': 'Nama faktor maksimal 50 karakter'
+    }),
+
+  current_password: Joi.string()
+    .optional()
+    .messages({
+      'string.empty': 'Password saat ini tidak boleh kosong'
+    })
+});
+
 /**
  * Schema untuk verifikasi TOTP
  */
@@ -27,4 +47,347 @@ export const disableMfaSchema = Joi.object({
       'string.empty': 'Password saat ini tidak boleh kosong',
       'any.required': 'Password saat ini harus diisi'
     })
-});
\ No newline at end of file
+});
+
+/**
+ * Schema untuk generate ulang backup codes
+ */
+export const regenerateBackupCodesSchema = Joi.object({
+  current_password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password saat ini tidak boleh kosong',
+      'any.required': 'Password saat ini harus diisi'
+    })
+});
+
+/**
+ * Schema untuk setup SMS MFA
+ */
+export const setupSmsMfaSchema = Joi.object({
+  phone_number: Joi.string()
+    .required()
+    .pattern(/^\+?[0-9]{10,15}$/)
+    .messages({
+      'string.empty': 'Nomor telepon tidak boleh kosong',
+      'string.pattern.base': 'Nomor telepon harus berupa 10-15 digit angka, boleh diawali +',
+      'any.required': 'Nomor telepon harus diisi'
+    }),
+  
+  label: Joi.string()
+    .optional()
+    .trim()
+    .max(50)
+    .messages({
+      'string.empty': 'Nama faktor tidak boleh kosong',
+      'string.max': 'Nama faktor maksimal 50 karakter'
+    }),
+
+  current_password: Joi.string()
+    .optional()
+    .messages({
+      'string.empty': 'Password saat ini tidak boleh kosong'
+    })
+});
+
+/**
+ * Schema untuk setup Email MFA
+ * Jika email tidak diisi, email pada profil user yang digunakan
+ */
+export const setupEmailMfaSchema = Joi.object({
+  email: Joi.string()
+    .optional()
+    .email()
+    .max(100)
+    .messages({
+      'string.empty': 'Email tidak boleh kosong',
+      'string.email': 'Format email tidak valid',
+      'string.max': 'Email maksimal 100 karakter'
+    }),
+  
+  label: Joi.string()
+    .optional()
+    .trim()
+    .max(50)
+    .messages({
+      'string.empty': 'Nama faktor tidak boleh kosong',
+      'string.max': 'Nama faktor maksimal 50 karakter'
+    }),
+
+  current_password: Joi.string()
+    .optional()
+    .messages({
+      'string.empty': 'Password saat ini tidak boleh kosong'
+    })
+});
+
+/**
+ * Schema untuk verifikasi kode pendaftaran SMS/Email MFA
+ */
+export const verifyMfaCodeSchema = Joi.object({
+  code: Joi.string()
+    .required()
+    .pattern(/^[0-9]{6}$/)
+    .messages({
+      'string.empty': 'Kode verifikasi tidak boleh kosong',
+      'string.pattern.base': 'Kode verifikasi harus berupa 6 digit angka',
+      'any.required': 'Kode verifikasi harus diisi'
+    })
+});
+
+
+/**
+ * Schema untuk parameter ID faktor MFA
+ */
+export const factorIdSchema = Joi.object({
+  factorId: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'Factor ID tidak boleh kosong',
+      'string.guid': 'Factor ID harus berupa UUID v4',
+      'any.required': 'Factor ID harus diisi'
+    })
+});
+
+/**
+ * Schema untuk parameter ID perangkat tepercaya
+ */
+export const trustedDeviceIdSchema = Joi.object({
+  deviceId: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'Device ID tidak boleh kosong',
+      'string.guid': 'Device ID harus berupa UUID v4',
+      'any.required': 'Device ID harus diisi'
+    })
+});
+
+/**
+ * Schema untuk mengubah nama faktor MFA
+ */
+export const renameFactorSchema = Joi.object({
+  label: Joi.string()
+    .required()
+    .trim()
+    .max(50)
+    .messages({
+      'string.empty': 'Nama faktor tidak boleh kosong',
+      'string.max': 'Nama faktor maksimal 50 karakter',
+      'any.required': 'Nama faktor harus diisi'
+    })
+});
+
+/**
+ * Schema untuk menghapus faktor MFA
+ */
+export const removeFactorSchema = Joi.object({
+  current_password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password saat ini tidak boleh kosong',
+      'any.required': 'Password saat ini harus diisi'
+    })
+});
+
+/**
+ * Schema untuk opsi registrasi WebAuthn
+ */
+export const webAuthnRegistrationOptionsSchema = Joi.object({
+  current_password: Joi.string()
+    .optional()
+    .messages({
+      'string.empty': 'Password saat ini tidak boleh kosong'
+    })
+});
+
+/**
+ * Schema untuk verifikasi registrasi WebAuthn
+ * credential adalah PublicKeyCredential dari navigator.credentials.create() dengan field biner base64url
+ */
+export const verifyWebAuthnRegistrationSchema = Joi.object({
+  credential: Joi.object({
+    id: Joi.string()
+      .required()
+      .pattern(/^[A-Za-z0-9_-]+$/),
+    
+    rawId: Joi.string()
+      .required()
+      .pattern(/^[A-Za-z0-9_-]+$/),
+    
+    type: Joi.string()
+      .required()
+      .valid('public-key'),
+    
+    response: Joi.object({
+      clientDataJSON: Joi.string()
+        .required()
+        .pattern(/^[A-Za-z0-9_-]+$/),
+      
+      attestationObject: Joi.string()
+        .required()
+        .pattern(/^[A-Za-z0-9_-]+$/),
+      
+      transports: Joi.array()
+        .optional()
+        .items(Joi.string().valid('usb', 'nfc', 'ble', 'internal', 'hybrid', 'smart-card'))
+    }).required()
+  }).messages({
+    'string.pattern.base': 'Field {#label} harus berupa base64url',
+    'any.only': 'Nilai {#label} tidak valid',
+    'any.required': 'Field {#label} harus diisi'
+  }),
+  
+  label: Joi.string()
+    .optional()
+    .trim()
+    .max(50)
+    .messages({
+      'string.empty': 'Nama faktor tidak boleh kosong',
+      'string.max': 'Nama faktor maksimal 50 karakter'
+    })
+});
+
+/**
+ * Schema untuk memulai pendaftaran perangkat push
+ */
+export const setupPushSchema = Joi.object({
+  label: Joi.string()
+    .optional()
+    .trim()
+    .max(50)
+    .messages({
+      'string.empty': 'Nama faktor tidak boleh kosong',
+      'string.max': 'Nama faktor maksimal 50 karakter'
+    }),
+
+  current_password: Joi.string()
+    .optional()
+    .messages({
+      'string.empty': 'Password saat ini tidak boleh kosong'
+    })
+});
+
+/**
+ * Schema untuk menyelesaikan pendaftaran perangkat push
+ */
+export const verifyPushSetupSchema = Joi.object({
+  enrollment_id: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'Enrollment ID tidak boleh kosong',
+      'string.guid': 'Enrollment ID harus berupa UUID v4',
+      'any.required': 'Enrollment ID harus diisi'
+    })
+});
+
+/**
+ * Schema untuk aktivasi perangkat push oleh aplikasi di perangkat
+ * signature adalah tanda tangan private key perangkat atas activation_code (base64url)
+ */
+export const activatePushDeviceSchema = Joi.object({
+  activation_code: Joi.string()
+    .required()
+    .pattern(/^[0-9a-f-]{36}\.[0-9a-f]{48}$/)
+    .messages({
+      'string.empty': 'Kode aktivasi tidak boleh kosong',
+      'string.pattern.base': 'Format kode aktivasi tidak valid',
+      'any.required': 'Kode aktivasi harus diisi'
+    }),
+  
+  public_key: Joi.string()
+    .required()
+    .max(1000)
+    .messages({
+      'string.empty': 'Public key tidak boleh kosong',
+      'string.max': 'Public key maksimal 1000 karakter',
+      'any.required': 'Public key harus diisi'
+    }),
+  
+  push_token: Joi.string()
+    .required()
+    .max(4096)
+    .messages({
+      'string.empty': 'Token push tidak boleh kosong',
+      'string.max': 'Token push maksimal 4096 karakter',
+      'any.required': 'Token push harus diisi'
+    }),
+  
+  device_name: Joi.string()
+    .optional()
+    .trim()
+    .max(100)
+    .messages({
+      'string.empty': 'Nama perangkat tidak boleh kosong',
+      'string.max': 'Nama perangkat maksimal 100 karakter'
+    }),
+  
+  signature: Joi.string()
+    .required()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.empty': 'Tanda tangan tidak boleh kosong',
+      'string.pattern.base': 'Tanda tangan harus berupa base64url',
+      'any.required': 'Tanda tangan harus diisi'
+    })
+});
+
+/**
+ * Schema untuk parameter ID persetujuan push
+ */
+export const pushApprovalIdSchema = Joi.object({
+  approvalId: Joi.string()
+    .required()
+    .guid({ version: 'uuidv4' })
+    .messages({
+      'string.empty': 'Approval ID tidak boleh kosong',
+      'string.guid': 'Approval ID harus berupa UUID v4',
+      'any.required': 'Approval ID harus diisi'
+    })
+});
+
+/**
+ * Schema untuk respons perangkat atas persetujuan login push
+ * signature adalah tanda tangan private key perangkat atas
+ * <approvalId>.<decision>.<number>.<timestamp> (base64url)
+ */
+export const respondPushApprovalSchema = Joi.object({
+  decision: Joi.string()
+    .required()
+    .valid('approve', 'deny')
+    .messages({
+      'any.only': 'Keputusan harus approve atau deny',
+      'any.required': 'Keputusan harus diisi'
+    }),
+  
+  number: Joi.string()
+    .pattern(/^[0-9]{2}$/)
+    .when('decision', {
+      is: 'approve',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'string.pattern.base': 'Angka harus berupa 2 digit',
+      'any.required': 'Angka yang dipilih harus diisi untuk menyetujui login'
+    }),
+  
+  timestamp: Joi.number()
+    .required()
+    .integer()
+    .messages({
+      'number.base': 'Timestamp harus berupa angka (detik sejak epoch)',
+      'any.required': 'Timestamp harus diisi'
+    }),
+  
+  signature: Joi.string()
+    .required()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .messages({
+      'string.empty': 'Tanda tangan tidak boleh kosong',
+      'string.pattern.base': 'Tanda tangan harus berupa base64url',
+      'any.required': 'Tanda tangan harus diisi'
+    })
+});
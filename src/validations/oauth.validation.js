@@ -0,0 +1,87 @@
+/**
+ * Schema validasi untuk endpoint OAuth 2.0
+ */
+import Joi from 'joi';
+
+/**
+ * Schema untuk endpoint token introspection (RFC 7662)
+ */
+export const introspectSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'token tidak boleh kosong',
+      'any.required': 'token harus diisi'
+    }),
+
+  token_type_hint: Joi.string()
+    .valid('access_token', 'refresh_token')
+    .optional()
+    .messages({
+      'any.only': 'token_type_hint tidak valid'
+    })
+});
+
+/**
+ * Schema untuk endpoint token revocation (RFC 7009)
+ * token_type_hint yang tidak dikenal diabaikan, bukan ditolak
+ */
+export const revokeSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'token tidak boleh kosong',
+      'any.required': 'token harus diisi'
+    }),
+
+  token_type_hint: Joi.string()
+    .optional()
+});
+
+/**
+ * Schema untuk endpoint token (RFC 6749 section 4.1.3 dan 6)
+ * grant_type yang tidak didukung ditangani controller (unsupported_grant_type)
+ */
+export const tokenSchema = Joi.object({
+  grant_type: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'grant_type tidak boleh kosong',
+      'any.required': 'grant_type harus diisi'
+    }),
+
+  code: Joi.string()
+    .when('grant_type', { is: 'authorization_code', then: Joi.required() })
+    .messages({
+      'string.empty': 'code tidak boleh kosong',
+      'any.required': 'code harus diisi'
+    }),
+
+  redirect_uri: Joi.string()
+    .when('grant_type', { is: 'authorization_code', then: Joi.required() })
+    .messages({
+      'string.empty': 'redirect_uri tidak boleh kosong',
+      'any.required': 'redirect_uri harus diisi'
+    }),
+
+  code_verifier: Joi.string()
+    .when('grant_type', { is: 'authorization_code', then: Joi.required() })
+    .messages({
+      'string.empty': 'code_verifier tidak boleh kosong',
+      'any.required': 'code_verifier harus diisi'
+    }),
+
+  refresh_token: Joi.string()
+    .when('grant_type', { is: 'refresh_token', then: Joi.required() })
+    .messages({
+      'string.empty': 'refresh_token tidak boleh kosong',
+      'any.required': 'refresh_token harus diisi'
+    }),
+
+  scope: Joi.string()
+    .max(1000)
+    .messages({
+      'string.empty': 'scope tidak boleh kosong',
+      'string.max': 'scope maksimal 1000 karakter'
+    })
+});
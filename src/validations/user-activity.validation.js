@@ -44,7 +44,10 @@ export const activityLogQuerySchema = Joi.object({
     }),
   
   event_type: Joi.string()
-    .valid('all', 'login', 'logout', 'token_generated', 'token_revoked', 'password_changed', 'account_locked', 'account_unlocked')
+    .valid('all', 'login', 'failed_login', 'logout', 'token_generated', 'token_revoked', 'password_changed', 'account_locked', 'account_unlocked',
+      'mfa_backup_code_used', 'mfa_recovery_requested', 'mfa_recovery_approved', 'mfa_recovery_rejected', 'mfa_lockout',
+      'mfa_device_trusted', 'mfa_device_revoked', 'mfa_push_approved', 'mfa_push_denied',
+      'mfa_challenge_issued', 'password_breach_detected')
     .default('all')
     .messages({
       'any.only': 'Event type tidak valid'
@@ -3,12 +3,6 @@
  */
 import Joi from 'joi';
 
-/**
- * Validasi password
- */
-const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
-const passwordMessage = 'Password harus terdiri dari minimal 8 karakter, mengandung huruf besar, huruf kecil, angka, dan karakter khusus';
-
 /**
  * Schema untuk membuat user baru
  */
@@ -33,16 +27,13 @@ export const createUserSchema = Joi.object({
       'string.email': 'Format email tidak valid'
     }),
   
+  // Panjang minimal dan komposisi password diperiksa kebijakan password (user.service.js)
   password: Joi.string()
     .required()
-    .min(8)
     .max(100)
-    .pattern(passwordRegex)
     .messages({
       'string.empty': 'Password tidak boleh kosong',
-      'string.min': 'Password minimal {#limit} karakter',
       'string.max': 'Password maksimal {#limit} karakter',
-      'string.pattern.base': passwordMessage,
       'any.required': 'Password harus diisi'
     }),
   
@@ -94,15 +85,11 @@ export const changePasswordSchema = Joi.object({
   
   new_password: Joi.string()
     .required()
-    .min(8)
     .max(100)
-    .pattern(passwordRegex)
     .invalid(Joi.ref('current_password'))
     .messages({
       'string.empty': 'Password baru tidak boleh kosong',
-      'string.min': 'Password baru minimal {#limit} karakter',
       'string.max': 'Password baru maksimal {#limit} karakter',
-      'string.pattern.base': passwordMessage,
       'any.invalid': 'Password baru tidak boleh sama dengan password saat ini',
       'any.required': 'Password baru harus diisi'
     })
@@ -114,14 +101,10 @@ export const changePasswordSchema = Joi.object({
 export const resetPasswordSchema = Joi.object({
   new_password: Joi.string()
     .required()
-    .min(8)
     .max(100)
-    .pattern(passwordRegex)
     .messages({
       'string.empty': 'Password baru tidak boleh kosong',
-      'string.min': 'Password baru minimal {#limit} karakter',
       'string.max': 'Password baru maksimal {#limit} karakter',
-      'string.pattern.base': passwordMessage,
       'any.required': 'Password baru harus diisi'
     })
 });
@@ -191,6 +174,12 @@ export const listUsersSchema = Joi.object({
     .messages({
       'boolean.base': 'Is locked harus berupa boolean'
     }),
+  
+  password_breached: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Password breached harus berupa boolean'
+    }),
     
   role: Joi.string()
     .optional()
@@ -0,0 +1,129 @@
+/**
+ * Template halaman login OAuth (server-side rendered)
+ */
+
+/**
+ * Escape karakter HTML agar nilai dari request aman ditampilkan
+ * @param {*} value - Nilai yang akan ditampilkan
+ * @returns {string} Nilai yang sudah di-escape
+ */
+export const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Kerangka halaman HTML
+ * @param {string} title - Judul halaman
+ * @param {string} body - Isi halaman (sudah di-escape)
+ * @returns {string} Dokumen HTML
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="id">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="referrer" content="no-referrer">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f3f4f6; margin: 0; }
+    main { max-width: 360px; margin: 10vh auto; background: #fff; padding: 32px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+    h1 { font-size: 1.25rem; margin: 0 0 8px; }
+    p { color: #4b5563; font-size: .9rem; }
+    label { display: block; font-size: .85rem; margin: 16px 0 4px; }
+    input[type=text], input[type=password] { width: 100%; box-sizing: border-box; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px; }
+    label.checkbox { display: flex; gap: 8px; align-items: center; }
+    button { width: 100%; margin-top: 24px; padding: 10px; border: 0; border-radius: 4px; background: #2563eb; color: #fff; font-size: 1rem; cursor: pointer; }
+    .error { background: #fee2e2; color: #991b1b; padding: 8px 12px; border-radius: 4px; font-size: .85rem; }
+  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+
+/**
+ * Render halaman login untuk permintaan otorisasi OAuth
+ * Jika mfaToken diisi, halaman menampilkan langkah kedua (kode MFA) alih-alih username/password
+ * @param {Object} options - Data halaman
+ * @param {string} options.consumerName - Nama consumer yang meminta akses
+ * @param {Object} options.params - Parameter otorisasi yang diteruskan sebagai hidden field
+ * @param {string} options.csrfToken - Token CSRF
+ * @param {string} [options.username] - Username yang sudah diisi sebelumnya
+ * @param {string} [options.error] - Pesan error
+ * @param {string} [options.mfaToken] - Token challenge MFA dari langkah pertama
+ * @param {string} [options.mfaMethod] - Metode MFA pengguna (totp, sms, email, webauthn, push)
+ * @param {string} [options.pushNumber] - Angka persetujuan push yang harus dipilih di perangkat
+ * @param {number} [options.trustedDeviceDays] - Masa berlaku perangkat tepercaya (hari)
+ * @returns {string} Dokumen HTML
+ */
+export const renderLoginPage = ({
+  consumerName,
+  params,
+  csrfToken,
+  username = '',
+  error = null,
+  mfaToken = null,
+  mfaMethod = null,
+  pushNumber = null,
+  trustedDeviceDays = 30
+}) => {
+  const hiddenFields = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `      <input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+
+  const mfaHints = {
+    sms: 'Masukkan kode yang dikirim melalui SMS.',
+    email: 'Masukkan kode yang dikirim ke email Anda.',
+    webauthn: 'Security key tidak dapat digunakan pada halaman ini.'
+  };
+
+  // Faktor push: kode MFA opsional, form tanpa kode menanyakan status persetujuan di perangkat
+  const pushFields = pushNumber
+    ? `      <input type="hidden" name="mfa_push" value="1">
+      <input type="hidden" name="push_number" value="${escapeHtml(pushNumber)}">
+      <p>Pilih angka <strong>${escapeHtml(pushNumber)}</strong> pada aplikasi di perangkat Anda, lalu klik Verifikasi.</p>
+`
+    : '';
+
+  const credentialFields = mfaToken
+    ? `      <input type="hidden" name="mfa_token" value="${escapeHtml(mfaToken)}">
+${pushFields}      <p>${escapeHtml(pushNumber ? 'Atau masukkan kode MFA.' : mfaHints[mfaMethod] || 'Masukkan kode dari aplikasi autentikator.')} Kode dari faktor MFA lain atau backup code juga dapat digunakan.</p>
+      <label for="mfa_code">Kode MFA</label>
+      <input type="text" id="mfa_code" name="mfa_code" autocomplete="one-time-code" maxlength="11"${pushNumber ? '' : ' required autofocus'}>
+      <label class="checkbox"><input type="checkbox" name="trust_device" value="1"> Percayai perangkat ini selama ${escapeHtml(trustedDeviceDays)} hari</label>`
+    : `      <label for="username">Username</label>
+      <input type="text" id="username" name="username" value="${escapeHtml(username)}" autocomplete="username" required autofocus>
+      <label for="password">Password</label>
+      <input type="password" id="password" name="password" autocomplete="current-password" required>`;
+
+  return layout('Masuk', `    <h1>Masuk</h1>
+    <p><strong>${escapeHtml(consumerName)}</strong> meminta akses ke akun Anda.</p>
+    ${error ? `<div class="error" role="alert">${escapeHtml(error)}</div>` : ''}
+    <form method="post" action="/oauth/authorize" autocomplete="on">
+${hiddenFields}
+      <input type="hidden" name="csrf_token" value="${escapeHtml(csrfToken)}">
+${credentialFields}
+      <button type="submit">${mfaToken ? 'Verifikasi' : 'Masuk'}</button>
+    </form>`);
+};
+
+/**
+ * Render halaman error otorisasi (untuk error yang tidak boleh di-redirect ke consumer)
+ * @param {Object} options - Data halaman
+ * @param {string} options.error - Kode error OAuth
+ * @param {string} options.description - Deskripsi error
+ * @returns {string} Dokumen HTML
+ */
+export const renderErrorPage = ({ error, description }) => {
+  return layout('Permintaan tidak valid', `    <h1>Permintaan tidak valid</h1>
+    <div class="error" role="alert">${escapeHtml(description)}</div>
+    <p>Kode error: ${escapeHtml(error)}</p>`);
+};
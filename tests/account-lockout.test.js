@@ -0,0 +1,181 @@
+/**
+ * Kunci akun sementara yang terbuka otomatis setelah locked_until lewat
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+mockExternalModules();
+
+const {
+  UserModel,
+  TokenModel,
+  MfaChallengeModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+const { hashData, encryptWithDataKey } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+
+describe('timed account lockout', () => {
+  let app;
+  let user;
+
+  /**
+   * Mengunci user sampai waktu tertentu
+   * @param {number} offsetMs - Selisih locked_until dari sekarang (negatif = sudah lewat)
+   */
+  const lockUser = (offsetMs) => {
+    user.set({
+      is_locked: true,
+      locked_until: new Date(Date.now() + offsetMs),
+      lockout_count: 1
+    });
+  };
+
+  /**
+   * Request dengan kredensial consumer pengujian
+   * @param {string} path - Path endpoint
+   * @returns {Object} Request supertest
+   */
+  const post = (path) =>
+    request(app)
+      .post(path)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  beforeEach(async () => {
+    await mockConsumer();
+    // MFA aktif agar login berhenti pada challenge MFA setelah password diverifikasi
+    user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      password_hash: 'hashed:Secret123!',
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: {
+        enabled: true,
+        default_factor_id: FACTOR_ID,
+        factors: [
+          {
+            id: FACTOR_ID,
+            type: 'totp',
+            label: 'Authenticator app',
+            secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+            verified: true
+          }
+        ],
+        backup_codes: []
+      }
+    });
+    user.Roles = [];
+
+    jest.spyOn(UserModel, 'findByUsername').mockResolvedValue(user);
+    jest.spyOn(UserModel, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(UserModel, 'findWithRoles').mockResolvedValue(user);
+    jest.spyOn(UserModel, 'update').mockImplementation(async (values, options) => {
+      const { locked_until: lockedUntil } = options.where;
+      const released = user.is_locked && lockedUntil && new Date(user.locked_until) <= new Date();
+      return [released ? 1 : 0];
+    });
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+    jest.spyOn(MfaChallengeModel, 'create').mockImplementation(async (data) => ({
+      id: crypto.randomUUID(),
+      ...data
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('login is rejected while the lock is active', async () => {
+    lockUser(10 * 60 * 1000);
+
+    const response = await post('/api/v1/auth/login').send({
+      username: 'alice',
+      password: 'Secret123!'
+    });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(UserModel.update).not.toHaveBeenCalled();
+  });
+
+  test('login succeeds once locked_until has passed and the unlock is audited', async () => {
+    lockUser(-1000);
+
+    const response = await post('/api/v1/auth/login').send({
+      username: 'alice',
+      password: 'Secret123!'
+    });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.mfa_token).toEqual(expect.any(String));
+    expect(user.is_locked).toBe(false);
+    expect(UserModel.update).toHaveBeenCalledWith(
+      expect.objectContaining({ is_locked: false, failed_attempts: 0 }),
+      expect.objectContaining({ where: expect.objectContaining({ id: USER_ID, is_locked: true }) })
+    );
+    expect(AuditLogModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user_id: USER_ID,
+        event_type: 'account_unlocked',
+        metadata: expect.objectContaining({ reason: 'lock_expired' })
+      })
+    );
+  });
+
+  describe('refresh token introspection', () => {
+    beforeEach(() => {
+      const refreshToken = buildInstance(TokenModel, {
+        id: crypto.randomUUID(),
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        token_type: 'refresh',
+        token_hash: hashData('opaque-refresh-token'),
+        is_revoked: false,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000),
+        family_id: crypto.randomUUID()
+      });
+      jest.spyOn(TokenModel, 'findRefreshTokenByHash').mockImplementation(async (hash) =>
+        hash === refreshToken.token_hash ? refreshToken : null
+      );
+    });
+
+    test('reports the token inactive while the lock is active', async () => {
+      lockUser(10 * 60 * 1000);
+
+      const response = await post('/oauth/introspect').send({ token: 'opaque-refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ active: false });
+    });
+
+    test('reports the token active once locked_until has passed', async () => {
+      lockUser(-1000);
+
+      const response = await post('/oauth/introspect').send({ token: 'opaque-refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.active).toBe(true);
+      expect(response.body.sub).toBe(USER_ID);
+    });
+  });
+});
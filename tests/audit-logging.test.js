@@ -0,0 +1,349 @@
+/**
+ * Audit log hasil otentikasi: login sukses/gagal, langkah MFA, penerbitan dan pencabutan token
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { Op } from 'sequelize';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { speakeasy, logger } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaChallengeModel,
+  MfaPolicyModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+const { encryptWithDataKey } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const PASSWORD = 'Secret123!';
+const USER_AGENT = 'audit-test-agent/1.0';
+
+describe('authentication audit logging', () => {
+  let app;
+  let providerKey;
+  let addToken;
+  let mfaSettings;
+  let challenges;
+
+  /**
+   * Membaca pengguna aktif; MFA mengikuti mfaSettings
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: structuredClone(mfaSettings)
+    });
+    user.Roles = [];
+    return user;
+  };
+
+  /**
+   * Request dengan kredensial consumer pengujian
+   * @param {string} method - Method HTTP (get, post)
+   * @param {string} path - Path endpoint
+   * @param {boolean} [authenticated] - Sertakan access token user
+   * @returns {Object} Request supertest
+   */
+  const api = (method, path, authenticated = false) => {
+    const pending = request(app)[method](path)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .set('User-Agent', USER_AGENT);
+    if (!authenticated) {
+      return pending;
+    }
+
+    const accessToken = addToken({ user_id: USER_ID });
+    return pending.set(
+      'Authorization',
+      `Bearer ${signTestJwt(providerKey, { token_id: accessToken.id, consumer: CONSUMER_NAME })}`
+    );
+  };
+
+  /**
+   * Login dengan password
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const login = (username, password) =>
+    api('post', '/api/v1/auth/login').send({ username, password });
+
+  /**
+   * Audit log dengan event type tertentu
+   * @param {string} eventType - Event type
+   * @returns {Object[]} Data audit log
+   */
+  const audits = (eventType) =>
+    AuditLogModel.create.mock.calls
+      .map(([data]) => data)
+      .filter((data) => data.event_type === eventType);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    mfaSettings = { enabled: false, default_factor_id: null, factors: [], backup_codes: [] };
+    challenges = [];
+    ({ addToken } = mockTokenStore(TokenModel, { provider_key_id: providerKey.key.id }));
+
+    speakeasy.totp.verifyDelta.mockImplementation(({ token }) =>
+      token === '123456' ? { delta: 0 } : undefined
+    );
+    await mockConsumer();
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByUsername').mockImplementation(async (username) =>
+      username === 'alice' ? loadUser() : null
+    );
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async () => loadUser());
+    jest.spyOn(UserModel, 'update').mockResolvedValue([1]);
+    jest.spyOn(UserModel, 'hasPermission').mockResolvedValue(true);
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(MfaPolicyModel, 'findApplicable').mockResolvedValue([]);
+    jest.spyOn(MfaChallengeModel, 'create').mockImplementation(async (values) => {
+      const challenge = { id: crypto.randomUUID(), attempts: 0, max_attempts: 5, ...values };
+      challenges.push(challenge);
+      return challenge;
+    });
+    jest.spyOn(MfaChallengeModel, 'findByHash').mockImplementation(async (hash) =>
+      challenges.find((challenge) => challenge.challenge_hash === hash) || null
+    );
+    jest.spyOn(MfaChallengeModel, 'registerAttempt').mockResolvedValue(true);
+    jest.spyOn(MfaChallengeModel, 'consume').mockResolvedValue(true);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    logger.error.mockClear();
+  });
+
+  describe('login', () => {
+    test('a successful login is recorded with its request context and the issued tokens', async () => {
+      const response = await login('alice', PASSWORD);
+
+      expect(response.status).toBe(200);
+      expect(audits('login')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          consumer_id: CONSUMER_ID,
+          status: 'success',
+          signature_status: 'valid',
+          metadata: expect.objectContaining({
+            username: 'alice',
+            ip_address: expect.any(String),
+            user_agent: USER_AGENT,
+            consumer_name: CONSUMER_NAME,
+            reason: null,
+            amr: ['pwd']
+          })
+        })
+      ]);
+      expect(audits('failed_login')).toEqual([]);
+      expect(audits('token_generated')).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ user_id: USER_ID, consumer_id: CONSUMER_ID, status: 'success' })
+        ])
+      );
+    });
+
+    test('a wrong password is recorded as failed_login with the reason code', async () => {
+      const response = await login('alice', 'Wrong123!');
+
+      expect(response.status).toBe(401);
+      expect(audits('login')).toEqual([]);
+      expect(audits('failed_login')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          consumer_id: CONSUMER_ID,
+          status: 'failure',
+          metadata: expect.objectContaining({
+            username: 'alice',
+            user_agent: USER_AGENT,
+            reason: 'INVALID_PASSWORD'
+          })
+        })
+      ]);
+      expect(audits('token_generated')).toEqual([]);
+    });
+
+    test('an unknown username is recorded as failed_login without a user', async () => {
+      const response = await login('mallory', PASSWORD);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Invalid username or password');
+      expect(audits('failed_login')).toEqual([
+        expect.objectContaining({
+          user_id: null,
+          consumer_id: CONSUMER_ID,
+          status: 'failure',
+          metadata: expect.objectContaining({ username: 'mallory', reason: 'INVALID_USER' })
+        })
+      ]);
+    });
+
+    test('the MFA step records the issued challenge and a failed code as failed_login', async () => {
+      mfaSettings = {
+        enabled: true,
+        default_factor_id: FACTOR_ID,
+        factors: [
+          {
+            id: FACTOR_ID,
+            type: 'totp',
+            label: 'Authenticator app',
+            secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+            verified: true
+          }
+        ],
+        backup_codes: []
+      };
+
+      const first = await login('alice', PASSWORD);
+
+      expect(first.status).toBe(202);
+      expect(audits('mfa_challenge_issued')).toEqual([
+        expect.objectContaining({ user_id: USER_ID, consumer_id: CONSUMER_ID, status: 'success' })
+      ]);
+      expect(audits('login')).toEqual([]);
+
+      const wrongCode = await api('post', '/api/v1/auth/login/mfa')
+        .send({ mfa_token: first.body.data.mfa_token, code: '000000' });
+
+      expect(wrongCode.status).toBe(401);
+      expect(audits('failed_login')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          metadata: expect.objectContaining({ reason: 'INVALID_MFA', step: 'mfa', attempts_remaining: 4 })
+        })
+      ]);
+
+      const completed = await api('post', '/api/v1/auth/login/mfa')
+        .send({ mfa_token: first.body.data.mfa_token, code: '123456' });
+
+      expect(completed.status).toBe(200);
+      expect(audits('login')).toEqual([
+        expect.objectContaining({
+          status: 'success',
+          metadata: expect.objectContaining({ step: 'mfa', amr: ['pwd', 'otp', 'mfa'] })
+        })
+      ]);
+    });
+  });
+
+  test('logout records the logout and the revoked token', async () => {
+    const response = await api('post', '/api/v1/auth/logout', true).send({});
+
+    expect(response.status).toBe(200);
+    expect(audits('logout')).toEqual([
+      expect.objectContaining({
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        metadata: expect.objectContaining({ token_id: expect.any(String), user_agent: USER_AGENT })
+      })
+    ]);
+    expect(audits('token_revoked')).toEqual([
+      expect.objectContaining({ user_id: USER_ID, consumer_id: CONSUMER_ID, status: 'success' })
+    ]);
+  });
+
+  describe('asynchronous writes', () => {
+    test('a slow audit insert does not delay the login response', async () => {
+      const pendingInserts = [];
+      AuditLogModel.create.mockImplementation(() => new Promise((resolve) => {
+        pendingInserts.push(resolve);
+      }));
+
+      const response = await login('alice', PASSWORD);
+
+      expect(response.status).toBe(200);
+      expect(audits('login')).toHaveLength(1);
+      pendingInserts.forEach((resolve) => resolve({}));
+    });
+
+    test('a failed audit insert is reported in the application log without failing the login', async () => {
+      AuditLogModel.create.mockRejectedValue(new Error('connection terminated'));
+
+      const response = await login('alice', PASSWORD);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(response.status).toBe(200);
+      expect(logger.error).toHaveBeenCalledWith('Error logging login activity: connection terminated');
+    });
+  });
+
+  describe('reports', () => {
+    test('login history includes failed logins', async () => {
+      jest.spyOn(AuditLogModel, 'findAndCountAll').mockResolvedValue({
+        count: 1,
+        rows: [
+          {
+            id: crypto.randomUUID(),
+            created_at: new Date(),
+            status: 'failure',
+            Consumer: null,
+            metadata: { ip_address: '10.0.0.1', user_agent: USER_AGENT, location: null }
+          }
+        ]
+      });
+
+      const response = await api('get', `/api/v1/users/${USER_ID}/login-history`, true);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([expect.objectContaining({ status: 'failure', ipAddress: '10.0.0.1' })]);
+      expect(AuditLogModel.findAndCountAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { user_id: USER_ID, event_type: { [Op.in]: ['login', 'failed_login'] } }
+      }));
+    });
+
+    test('security stats count failed logins', async () => {
+      const row = (values, count) => ({ ...values, get: () => count });
+      jest.spyOn(AuditLogModel, 'findAll').mockImplementation(async ({ where }) =>
+        where.event_type
+          ? [row({ status: 'success' }, '3'), row({ status: 'failure' }, '1')]
+          : []
+      );
+
+      const response = await api('get', '/api/v1/admin/security/stats', true);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.loginStats).toEqual({
+        success: 3,
+        failure: 1,
+        total: 4,
+        failureRate: '25.00'
+      });
+      expect(AuditLogModel.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { event_type: { [Op.in]: ['login', 'failed_login'] } }
+      }));
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Rotasi refresh token, logout, dan endpoint revocation OAuth (RFC 7009)
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+mockExternalModules();
+
+const { UserModel, TokenModel, ProviderKeyModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+const { hashData } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const OTHER_USER_ID = '9e1d2c3b-4a5f-4e6d-8c7b-1a2b3c4d5e6f';
+const OTHER_CONSUMER_ID = '7d3c2b1a-9e8f-4a6b-8c5d-4e3f2a1b0c9d';
+
+describe('token revocation', () => {
+  let app;
+  let providerKey;
+  let addToken;
+
+  /**
+   * Request logout dengan access token milik token record
+   * @param {Object} accessToken - Instance Token access yang dipakai untuk otentikasi
+   * @param {Object} body - Body request
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const logout = (accessToken, body) =>
+    request(app)
+      .post('/api/v1/auth/logout')
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .set('Authorization', `Bearer ${signTestJwt(providerKey, { token_id: accessToken.id, consumer: CONSUMER_NAME })}`)
+      .send(body);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = createProviderKey();
+  });
+
+  beforeEach(async () => {
+    ({ addToken } = mockTokenStore(TokenModel, {
+      user_id: USER_ID,
+      provider_key_id: providerKey.key.id
+    }));
+
+    await mockConsumer();
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      is_active: true,
+      is_locked: false
+    });
+    user.Roles = [];
+
+    jest.spyOn(UserModel, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(UserModel, 'findWithRoles').mockResolvedValue(user);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replaying a rotated refresh token revokes the whole family', async () => {
+    const familyId = crypto.randomUUID();
+    addToken({
+      token_type: 'refresh',
+      token_hash: hashData('rotated-refresh-token'),
+      family_id: familyId,
+      used_at: new Date()
+    });
+    const current = addToken({ token_type: 'refresh', family_id: familyId });
+    const access = addToken({ family_id: familyId });
+
+    const response = await request(app)
+      .post('/api/v1/auth/refresh')
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send({ refresh_token: 'rotated-refresh-token' });
+
+    expect(response.status).toBe(401);
+    expect(TokenModel.revokeFamily).toHaveBeenCalledWith(familyId);
+    expect(current.is_revoked).toBe(true);
+    expect(access.is_revoked).toBe(true);
+  });
+
+  test('logout revokes the presented token and its family', async () => {
+    const access = addToken({});
+    const refresh = addToken({ token_type: 'refresh', family_id: access.family_id });
+
+    const response = await logout(access, {});
+
+    expect(response.status).toBe(200);
+    expect(access.is_revoked).toBe(true);
+    expect(refresh.is_revoked).toBe(true);
+  });
+
+  test('logout rejects a token that cannot be decoded', async () => {
+    const access = addToken({});
+
+    const response = await logout(access, { token: 'not-a-jwt' });
+
+    expect(response.status).toBe(400);
+    expect(TokenModel.revokeById).not.toHaveBeenCalled();
+    expect(TokenModel.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  test("logout does not revoke another user's token", async () => {
+    const access = addToken({});
+    const victim = addToken({ user_id: OTHER_USER_ID });
+    const victimRefresh = addToken({
+      user_id: OTHER_USER_ID,
+      token_type: 'refresh',
+      family_id: victim.family_id
+    });
+    const victimJwt = jwt.sign({ token_id: victim.id }, 'unverified-secret');
+
+    const response = await logout(access, { token: victimJwt });
+
+    expect(response.status).toBe(404);
+    expect(victim.is_revoked).toBe(false);
+    expect(victimRefresh.is_revoked).toBe(false);
+    expect(access.is_revoked).toBe(false);
+  });
+
+  describe('OAuth revocation endpoint', () => {
+    /**
+     * Request ke endpoint revocation RFC 7009
+     * @param {Object} body - Body request
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const revoke = (body) =>
+      request(app)
+        .post('/oauth/revoke')
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send(body);
+
+    test("revoking a refresh token ends only that token's session", async () => {
+      const refresh = addToken({
+        token_type: 'refresh',
+        token_hash: hashData('session-refresh-token')
+      });
+      const sessionAccess = addToken({ family_id: refresh.family_id });
+      const otherRefresh = addToken({ token_type: 'refresh' });
+      const otherAccess = addToken({ family_id: otherRefresh.family_id });
+
+      const response = await revoke({ token: 'session-refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(refresh.is_revoked).toBe(true);
+      expect(sessionAccess.is_revoked).toBe(true);
+      expect(otherRefresh.is_revoked).toBe(false);
+      expect(otherAccess.is_revoked).toBe(false);
+    });
+
+    test('an access token without a hint is found without a refresh token lookup', async () => {
+      const access = addToken({});
+      const accessJwt = signTestJwt(providerKey, { token_id: access.id, consumer: CONSUMER_NAME });
+
+      const response = await revoke({ token: accessJwt });
+
+      expect(response.status).toBe(200);
+      expect(access.is_revoked).toBe(true);
+      expect(TokenModel.findRefreshTokenByHash).not.toHaveBeenCalled();
+    });
+
+    test('token_type_hint=refresh_token tries the refresh token lookup first', async () => {
+      const access = addToken({});
+      const accessJwt = signTestJwt(providerKey, { token_id: access.id, consumer: CONSUMER_NAME });
+
+      const response = await revoke({ token: accessJwt, token_type_hint: 'refresh_token' });
+
+      // Tidak ditemukan sebagai refresh token, pencarian berlanjut ke access token
+      expect(response.status).toBe(200);
+      expect(access.is_revoked).toBe(true);
+      expect(TokenModel.findRefreshTokenByHash).toHaveBeenCalledWith(hashData(accessJwt));
+      expect(TokenModel.findRefreshTokenByHash.mock.invocationCallOrder[0]).toBeLessThan(
+        TokenModel.findByPk.mock.invocationCallOrder[0]
+      );
+    });
+
+    test('revoking an access token ends only that token, answers an empty no-store 200 and is audited', async () => {
+      const access = addToken({});
+      const refresh = addToken({ token_type: 'refresh', family_id: access.family_id });
+
+      const response = await revoke({
+        token: signTestJwt(providerKey, { token_id: access.id, consumer: CONSUMER_NAME }),
+        token_type_hint: 'access_token'
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.text).toBe('');
+      expect(access.is_revoked).toBe(true);
+      expect(refresh.is_revoked).toBe(false);
+      expect(TokenModel.revokeFamily).not.toHaveBeenCalled();
+      expect(AuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: USER_ID,
+        event_type: 'token_revoked',
+        status: 'success',
+        metadata: expect.objectContaining({ token_id: access.id, token_type: 'access', revoked_count: 1 })
+      }));
+    });
+
+    test("another consumer's token is left alone with the same 200 answer", async () => {
+      const refresh = addToken({
+        token_type: 'refresh',
+        token_hash: hashData('foreign-refresh-token'),
+        consumer_id: OTHER_CONSUMER_ID
+      });
+      const access = addToken({ consumer_id: OTHER_CONSUMER_ID, family_id: refresh.family_id });
+
+      const response = await revoke({ token: 'foreign-refresh-token' });
+      const accessResponse = await revoke({
+        token: signTestJwt(providerKey, { token_id: access.id, consumer: 'other-app' })
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('');
+      expect(accessResponse.status).toBe(200);
+      expect(refresh.is_revoked).toBe(false);
+      expect(access.is_revoked).toBe(false);
+      expect(TokenModel.revokeById).not.toHaveBeenCalled();
+      expect(AuditLogModel.create).not.toHaveBeenCalled();
+    });
+
+    test('unknown, forged and already revoked tokens are answered with 200', async () => {
+      const revoked = addToken({ is_revoked: true });
+      const forged = signTestJwt(createProviderKey(), { token_id: addToken({}).id, consumer: CONSUMER_NAME });
+
+      for (const token of [
+        'unknown-opaque-token',
+        forged,
+        signTestJwt(providerKey, { token_id: revoked.id, consumer: CONSUMER_NAME })
+      ]) {
+        const response = await revoke({ token });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['cache-control']).toBe('no-store');
+      }
+      // Hanya token yang sudah dicabut yang ditemukan; token lain tidak tersentuh
+      expect(TokenModel.revokeById).toHaveBeenCalledTimes(1);
+      expect(TokenModel.revokeById).toHaveBeenCalledWith(revoked.id);
+    });
+
+    test('the client must authenticate and send a token', async () => {
+      const unauthenticated = await request(app)
+        .post('/oauth/revoke')
+        .set('x-api-key', 'wrong-key')
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send({ token: 'unknown-opaque-token' });
+      const missingToken = await revoke({ token_type_hint: 'refresh_token' });
+
+      expect(unauthenticated.status).toBe(401);
+      expect(unauthenticated.body).toMatchObject({ error: 'invalid_client' });
+      expect(missingToken.status).toBe(400);
+      expect(missingToken.body).toMatchObject({ error: 'invalid_request' });
+    });
+  });
+});
@@ -0,0 +1,367 @@
+/**
+ * Pemeriksaan password bocor: impor korpus, penolakan password baru, dan penandaan saat login
+ */
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { logger } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaPolicyModel,
+  PasswordPolicyModel,
+  PasswordHistoryModel,
+  AuditLogModel
+} = await import('../src/models/index.model.js');
+const {
+  checkBreachedPassword,
+  getBreachedCorpusInfo,
+  importBreachedPasswords
+} = await import('../src/services/breached-password.service.js');
+const { resetPassword } = await import('../src/services/user.service.js');
+const { DEFAULT_PASSWORD_POLICY } = await import('../src/services/password-policy.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const ADMIN_ID = '9c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e5f';
+const PASSWORD = 'Secret123!';
+const BREACHED_PASSWORD = 'Summer#2024';
+
+/**
+ * Hash SHA-1 password dalam hex huruf besar
+ * @param {string} password - Password
+ * @returns {string} Hash SHA-1
+ */
+const sha1 = (password) => crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+
+describe('breached password screening', () => {
+  let workDir;
+
+  /**
+   * Menggunakan direktori korpus baru di dalam direktori kerja pengujian
+   * @param {string} name - Nama direktori korpus
+   * @returns {string} Path direktori korpus
+   */
+  const useCorpus = (name) => {
+    process.env.BREACHED_PASSWORDS_DIR = path.join(workDir, name);
+    return process.env.BREACHED_PASSWORDS_DIR;
+  };
+
+  /**
+   * Menulis file sumber impor
+   * @param {string} name - Nama file relatif terhadap direktori kerja
+   * @param {string[]} lines - Baris file
+   * @returns {string} Path file
+   */
+  const writeSource = (name, lines) => {
+    const filePath = path.join(workDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-passwords-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    delete process.env.BREACHED_PASSWORDS_DIR;
+  });
+
+  describe('corpus', () => {
+    test('screening is skipped with a single warning until a corpus is imported', async () => {
+      const dir = useCorpus('missing');
+
+      expect(await checkBreachedPassword(BREACHED_PASSWORD)).toEqual({ checked: false, breached: false, count: 0 });
+      expect(await checkBreachedPassword(PASSWORD)).toEqual({ checked: false, breached: false, count: 0 });
+      expect(await getBreachedCorpusInfo()).toBeNull();
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(`Breached password corpus not found in ${dir}, screening skipped`);
+    });
+
+    test('a plaintext list is hashed into prefix partitions and described by the manifest', async () => {
+      const dir = useCorpus('plain');
+      const source = writeSource('plain.txt', [BREACHED_PASSWORD, 'password1', '']);
+
+      const result = await importBreachedPasswords(source, { plain: true });
+
+      expect(result).toEqual({ hashesImported: 2, skipped: 0, partitionsUpdated: 2, dir });
+      expect(fs.readFileSync(path.join(dir, `${sha1(BREACHED_PASSWORD).slice(0, 5)}.txt`), 'utf8'))
+        .toBe(`${sha1(BREACHED_PASSWORD).slice(5)}:1\n`);
+      expect(await getBreachedCorpusInfo()).toMatchObject({
+        partitions: 2,
+        last_import: { source: 'plain.txt', hashes_imported: 2, partitions_updated: 2, min_count: 1, replace: false }
+      });
+      expect(await checkBreachedPassword(BREACHED_PASSWORD)).toEqual({ checked: true, breached: true, count: 1 });
+      // Partisi yang tidak ada pada korpus yang sudah diimpor berarti password tidak bocor
+      expect(await checkBreachedPassword('Unlisted#Pass1')).toEqual({ checked: true, breached: false, count: 0 });
+    });
+
+    test('hash lists honour the minimum count, skip malformed lines and merge repeated imports', async () => {
+      useCorpus('hashes');
+      const common = sha1('password1');
+      const rare = sha1('Rare#Pass99');
+
+      const first = await importBreachedPasswords(
+        writeSource('hashes.txt', [`${common.toLowerCase()}:3`, `${rare}:2`, 'not-a-hash:50']),
+        { minCount: 3 }
+      );
+
+      expect(first).toMatchObject({ hashesImported: 1, skipped: 2 });
+      expect(await checkBreachedPassword('password1')).toEqual({ checked: true, breached: true, count: 3 });
+      expect((await checkBreachedPassword('Rare#Pass99')).breached).toBe(false);
+
+      await importBreachedPasswords(writeSource('more-hashes.txt', [`${common}:40`, rare]));
+
+      expect(await checkBreachedPassword('password1')).toEqual({ checked: true, breached: true, count: 40 });
+      expect(await checkBreachedPassword('Rare#Pass99')).toEqual({ checked: true, breached: true, count: 1 });
+      const partition = fs.readFileSync(path.join(process.env.BREACHED_PASSWORDS_DIR, `${common.slice(0, 5)}.txt`), 'utf8');
+      expect(partition.split('\n').filter((line) => line.startsWith(common.slice(5)))).toHaveLength(1);
+    });
+
+    test('range directories are imported and replace drops the previous corpus', async () => {
+      const dir = useCorpus('ranges');
+      await importBreachedPasswords(writeSource('old.txt', ['password1']), { plain: true });
+
+      const hash = sha1(BREACHED_PASSWORD);
+      writeSource(`range-files/${hash.slice(0, 5)}.txt`, [`${hash.slice(5)}:7`]);
+      writeSource('range-files/README.md', ['not a range file']);
+
+      const result = await importBreachedPasswords(path.join(workDir, 'range-files'), { replace: true });
+
+      expect(result).toEqual({ hashesImported: 1, skipped: 0, partitionsUpdated: 1, dir });
+      expect(await checkBreachedPassword(BREACHED_PASSWORD)).toEqual({ checked: true, breached: true, count: 7 });
+      expect((await checkBreachedPassword('password1')).breached).toBe(false);
+      expect(fs.readdirSync(dir).sort()).toEqual([`${hash.slice(0, 5)}.txt`, 'manifest.json']);
+      expect((await getBreachedCorpusInfo()).last_import).toMatchObject({ source: 'range-files', replace: true });
+    });
+  });
+
+  describe('password screening', () => {
+    let app;
+    let providerKey;
+    let addToken;
+    let storedPolicy;
+    let storedUser;
+
+    /**
+     * Membaca pengguna dari "database"; admin memiliki role admin
+     * @param {string} id - ID pengguna
+     * @returns {Object} Instance User
+     */
+    const loadUser = (id) => {
+      const user = buildInstance(UserModel, {
+        ...(id === ADMIN_ID
+          ? { id, username: 'admin', email: 'admin@example.com', password_hash: `hashed:${PASSWORD}` }
+          : storedUser),
+        is_active: true,
+        is_locked: false,
+        failed_attempts: 0,
+        mfa_settings: { enabled: false, factors: [], backup_codes: [] }
+      });
+      user.Roles = [{ name: id === ADMIN_ID ? 'admin' : 'user' }];
+      user.save.mockImplementation(async function (options = {}) {
+        if (id === USER_ID) {
+          (options.fields || Object.keys(storedUser)).forEach((field) => {
+            storedUser[field] = this.getDataValue(field);
+          });
+        }
+        return this;
+      });
+      return user;
+    };
+
+    /**
+     * Request dengan kredensial consumer pengujian
+     * @param {string} method - Method HTTP (get, post, put)
+     * @param {string} path - Path endpoint
+     * @param {string|Object} [auth] - ID pengguna pemilik access token, atau { token } JWT yang sudah ada
+     * @returns {Object} Request supertest
+     */
+    const api = (method, path, auth) => {
+      const pending = request(app)[method](path)
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME);
+      if (!auth) {
+        return pending;
+      }
+      if (auth.token) {
+        return pending.set('Authorization', `Bearer ${auth.token}`);
+      }
+
+      const accessToken = addToken({ user_id: auth });
+      return pending.set(
+        'Authorization',
+        `Bearer ${signTestJwt(providerKey, { token_id: accessToken.id, consumer: CONSUMER_NAME })}`
+      );
+    };
+
+    /**
+     * Mengganti password milik USER_ID
+     * @param {string} newPassword - Password baru
+     * @param {string|Object} [auth] - Otentikasi request (default: access token USER_ID)
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const changePassword = (newPassword, auth = USER_ID) =>
+      api('put', `/api/v1/users/${USER_ID}/password`, auth)
+        .send({ current_password: PASSWORD, new_password: newPassword });
+
+    /**
+     * Login dengan password USER_ID
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const login = () => api('post', '/api/v1/auth/login').send({ username: 'alice', password: PASSWORD });
+
+    /**
+     * Pelanggaran kebijakan untuk password yang terdapat pada korpus
+     * @param {string} field - Field request
+     * @returns {Object} Matcher pelanggaran
+     */
+    const breachedViolation = (field) => expect.objectContaining({
+      field,
+      rule: 'breached',
+      message: 'Password has appeared in a data breach and cannot be used'
+    });
+
+    beforeAll(async () => {
+      app = await createTestApp();
+      providerKey = await storeSigningKey(createProviderKey());
+
+      useCorpus('screening');
+      await importBreachedPasswords(writeSource('screening.txt', [BREACHED_PASSWORD, PASSWORD]), { plain: true });
+    });
+
+    beforeEach(async () => {
+      storedPolicy = null;
+      storedUser = {
+        id: USER_ID,
+        username: 'alice',
+        email: 'alice.wonder@example.com',
+        password_hash: `hashed:${PASSWORD}`,
+        password_changed_at: new Date(),
+        password_breached_at: null
+      };
+      ({ addToken } = mockTokenStore(TokenModel, { provider_key_id: providerKey.key.id }));
+
+      await mockConsumer();
+      const { lockingFindByPk } = mockTransactions(sequelize);
+      jest.spyOn(UserModel, 'findByUsername').mockImplementation(async () => loadUser(USER_ID));
+      jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+      jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async (id) => loadUser(id));
+      jest.spyOn(UserModel, 'hasPermission').mockResolvedValue(true);
+      jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+      jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+      jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+      jest.spyOn(MfaPolicyModel, 'findApplicable').mockResolvedValue([]);
+      jest.spyOn(PasswordPolicyModel, 'findCurrent').mockImplementation(async () => storedPolicy);
+      jest.spyOn(PasswordHistoryModel, 'findRecent').mockResolvedValue([]);
+      jest.spyOn(PasswordHistoryModel, 'create').mockImplementation(async (values) => values);
+      jest.spyOn(PasswordHistoryModel, 'prune').mockResolvedValue(0);
+      jest.spyOn(TokenModel, 'revokeAllForUser').mockResolvedValue(0);
+      jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('new users cannot be created with a breached password', async () => {
+      jest.spyOn(UserModel, 'create');
+
+      const response = await api('post', '/api/v1/users', ADMIN_ID)
+        .send({ username: 'bob', email: 'bob@example.com', password: BREACHED_PASSWORD });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual([breachedViolation('password')]);
+      expect(UserModel.create).not.toHaveBeenCalled();
+    });
+
+    test('a breached password is rejected on change unless screening is disabled', async () => {
+      const rejected = await changePassword(BREACHED_PASSWORD);
+
+      expect(rejected.status).toBe(422);
+      expect(rejected.body.errors).toEqual([breachedViolation('new_password')]);
+      expect(storedUser.password_hash).toBe(`hashed:${PASSWORD}`);
+
+      storedPolicy = buildInstance(PasswordPolicyModel, { ...DEFAULT_PASSWORD_POLICY, check_breached: false });
+
+      const accepted = await changePassword(BREACHED_PASSWORD);
+
+      expect(accepted.status).toBe(200);
+      expect(storedUser.password_hash).toBe(`hashed:${BREACHED_PASSWORD}`);
+    });
+
+    test('an admin reset is screened as well', async () => {
+      const rejected = await resetPassword(USER_ID, { newPassword: BREACHED_PASSWORD }, ADMIN_ID);
+
+      expect(rejected).toMatchObject({
+        success: false,
+        code: 'PASSWORD_POLICY_VIOLATION',
+        errors: [{ field: 'new_password', rule: 'breached' }]
+      });
+      expect(TokenModel.revokeAllForUser).not.toHaveBeenCalled();
+
+      const accepted = await resetPassword(USER_ID, { newPassword: 'Unlisted#Pass1' }, ADMIN_ID);
+
+      expect(accepted.success).toBe(true);
+      expect(storedUser.password_hash).toBe('hashed:Unlisted#Pass1');
+    });
+
+    test('breached passwords are not flagged at login unless the policy asks for it', async () => {
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(storedUser.password_breached_at).toBeNull();
+    });
+
+    test('a breached password used at login is flagged and must be changed before signing in', async () => {
+      storedPolicy = buildInstance(PasswordPolicyModel, { ...DEFAULT_PASSWORD_POLICY, flag_breached_on_login: true });
+
+      const response = await login();
+
+      expect(response.status).toBe(202);
+      expect(response.body.message).toBe('Password ditemukan pada data bocor dan harus diganti sebelum login');
+      expect(response.body.data).toMatchObject({
+        password_change_required: true,
+        password_change_reason: 'breached',
+        password_change_token: expect.any(String),
+        password_breached_at: storedUser.password_breached_at.toISOString(),
+        user_id: USER_ID
+      });
+      expect(response.body.data.refresh_token).toBeUndefined();
+      expect(AuditLogModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: USER_ID,
+        event_type: 'password_breach_detected',
+        metadata: expect.objectContaining({ initiated_by: 'system', breach_count: 1 })
+      }));
+
+      // Pengguna yang sudah ditandai tetap wajib mengganti password walaupun flag dinonaktifkan
+      storedPolicy = null;
+      expect((await login()).status).toBe(202);
+
+      const changed = await changePassword('Unlisted#Pass1', { token: response.body.data.password_change_token });
+
+      expect(changed.status).toBe(200);
+      expect(storedUser.password_breached_at).toBeNull();
+
+      storedUser.password_hash = `hashed:${PASSWORD}`;
+      expect((await login()).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Decoder CBOR untuk attestation object dan COSE key
+ * Contoh nilai diambil dari RFC 8949 Appendix A
+ */
+import { describe, test, expect } from '@jest/globals';
+import { decodeCbor, decodeCborItem } from '../src/utils/cbor.util.js';
+
+/**
+ * Decode data CBOR dari string hex
+ * @param {string} hex - Data CBOR dalam hex
+ * @returns {*} Nilai hasil decode
+ */
+const decodeHex = (hex) => decodeCbor(Buffer.from(hex, 'hex'));
+
+describe('CBOR decoder', () => {
+  test.each([
+    ['00', 0],
+    ['17', 23],
+    ['1818', 24],
+    ['1903e8', 1000],
+    ['1a000f4240', 1000000],
+    ['1b000000e8d4a51000', 1000000000000],
+    ['20', -1],
+    ['3863', -100],
+    ['3903e7', -1000]
+  ])('integer %s decodes to %d', (hex, expected) => {
+    expect(decodeHex(hex)).toBe(expected);
+  });
+
+  test('byte strings decode to Buffers and text strings to UTF-8 strings', () => {
+    expect(decodeHex('4401020304')).toEqual(Buffer.from([1, 2, 3, 4]));
+    expect(decodeHex('40')).toEqual(Buffer.alloc(0));
+    expect(decodeHex('6449455446')).toBe('IETF');
+    expect(decodeHex('62c3bc')).toBe('ü');
+    expect(decodeHex('60')).toBe('');
+  });
+
+  test('arrays and maps decode recursively, with map keys as strings', () => {
+    expect(decodeHex('8301820203820405')).toEqual([1, [2, 3], [4, 5]]);
+    expect(decodeHex('a201020304')).toEqual({ 1: 2, 3: 4 });
+    expect(decodeHex('a26161016162820203')).toEqual({ a: 1, b: [2, 3] });
+  });
+
+  test('a COSE EC2 key keeps its negative labels', () => {
+    // { 1: 2, 3: -7, -1: 1, -2: h'01', -3: h'02' }
+    expect(decodeHex('a5010203262001214101224102')).toEqual({
+      1: 2,
+      3: -7,
+      '-1': 1,
+      '-2': Buffer.from([1]),
+      '-3': Buffer.from([2])
+    });
+  });
+
+  test('tags are skipped and simple values and floats are decoded', () => {
+    expect(decodeHex('c11a514b67b0')).toBe(1363896240);
+    expect(decodeHex('f4')).toBe(false);
+    expect(decodeHex('f5')).toBe(true);
+    expect(decodeHex('f6')).toBeNull();
+    expect(decodeHex('f7')).toBeUndefined();
+    expect(decodeHex('fa47c35000')).toBe(100000);
+    expect(decodeHex('fb3ff199999999999a')).toBe(1.1);
+  });
+
+  test('decodeCborItem returns the offset after the item so trailing data can follow', () => {
+    // Attested credential data: COSE key diikuti extension
+    const buffer = Buffer.from('a1010261ff', 'hex');
+
+    expect(decodeCborItem(buffer, 0)).toEqual({ value: { 1: 2 }, offset: 3 });
+    expect(decodeCborItem(Buffer.from('ff00', 'hex'), 1)).toEqual({ value: 0, offset: 2 });
+  });
+
+  test.each([
+    ['empty data', '', 'Unexpected end of CBOR data'],
+    ['a truncated byte string', '440102', 'Unexpected end of CBOR data'],
+    ['a truncated array', '830102', 'Unexpected end of CBOR data'],
+    ['trailing data', '0000', 'Unexpected trailing bytes in CBOR data'],
+    ['an indefinite-length byte string', '5f42010243030405ff', 'Unsupported CBOR additional information: 31'],
+    ['an integer above Number.MAX_SAFE_INTEGER', '1bffffffffffffffff', 'CBOR integer too large'],
+    ['a half-precision float', 'f93c00', 'Unsupported CBOR simple value: 25']
+  ])('%s is rejected', (_, hex, message) => {
+    expect(() => decodeHex(hex)).toThrow(message);
+  });
+});
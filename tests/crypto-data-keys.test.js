@@ -0,0 +1,97 @@
+/**
+ * Enkripsi secret MFA dengan data encryption key (DEK) berversi
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+
+mockExternalModules();
+
+const {
+  assertDataKeysConfigured,
+  getActiveDataKeyVersion,
+  getDataKeyVersion,
+  encryptWithDataKey,
+  decryptWithDataKey
+} = await import('../src/services/crypto.service.js');
+
+describe('data encryption keys', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = savedEnv;
+    jest.restoreAllMocks();
+  });
+
+  test('KEY_PASSPHRASE is used as v1 when DATA_ENCRYPTION_KEYS is not set', () => {
+    const encrypted = encryptWithDataKey('JBSWY3DPEHPK3PXP');
+
+    expect(getActiveDataKeyVersion()).toBe('v1');
+    expect(encrypted).toMatch(/^enc:v1:[0-9a-f]{32}:[0-9a-f]+$/);
+    expect(decryptWithDataKey(encrypted)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  test('new values use the last configured version unless DATA_ENCRYPTION_KEY_VERSION is set', () => {
+    process.env.DATA_ENCRYPTION_KEYS = 'v1:first-secret,v2:second-secret';
+
+    expect(getDataKeyVersion(encryptWithDataKey('secret'))).toBe('v2');
+
+    process.env.DATA_ENCRYPTION_KEY_VERSION = 'v1';
+
+    expect(getDataKeyVersion(encryptWithDataKey('secret'))).toBe('v1');
+  });
+
+  test('values encrypted with an older version still decrypt after rotation', () => {
+    process.env.DATA_ENCRYPTION_KEYS = 'v1:first-secret';
+    const encrypted = encryptWithDataKey('secret');
+
+    process.env.DATA_ENCRYPTION_KEYS = 'v1:first-secret,v2:second-secret';
+
+    expect(decryptWithDataKey(encrypted)).toBe('secret');
+  });
+
+  test('a value encrypted with a version that is no longer configured fails to decrypt', () => {
+    process.env.DATA_ENCRYPTION_KEYS = 'v1:first-secret,v2:second-secret';
+    const encrypted = encryptWithDataKey('secret');
+
+    process.env.DATA_ENCRYPTION_KEYS = 'v1:first-secret';
+
+    expect(() => decryptWithDataKey(encrypted)).toThrow('Failed to decrypt data');
+  });
+
+  test('legacy plaintext values are returned unchanged', () => {
+    expect(getDataKeyVersion('JBSWY3DPEHPK3PXP')).toBeNull();
+    expect(decryptWithDataKey('JBSWY3DPEHPK3PXP')).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  test.each([
+    ['no key is configured', {}, 'Data encryption key not configured'],
+    ['an entry has no secret', { DATA_ENCRYPTION_KEYS: 'v1:' }, 'Invalid DATA_ENCRYPTION_KEYS entry'],
+    [
+      'the active version is not configured',
+      { DATA_ENCRYPTION_KEYS: 'v1:first-secret', DATA_ENCRYPTION_KEY_VERSION: 'v2' },
+      'Data encryption key version not configured: v2'
+    ]
+  ])('configuration fails closed when %s', (description, env, message) => {
+    delete process.env.KEY_PASSPHRASE;
+    Object.assign(process.env, env);
+
+    expect(() => assertDataKeysConfigured()).toThrow(message);
+    expect(() => encryptWithDataKey('secret')).toThrow(message);
+  });
+
+  test('the key is derived once per secret', () => {
+    process.env.DATA_ENCRYPTION_KEYS = `v1:${crypto.randomUUID()}`;
+    const scrypt = jest.spyOn(crypto, 'scryptSync');
+
+    const encrypted = [encryptWithDataKey('first'), encryptWithDataKey('second')];
+    const decrypted = encrypted.map(decryptWithDataKey);
+
+    expect(decrypted).toEqual(['first', 'second']);
+    expect(scrypt).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Aplikasi Express untuk pengujian endpoint dengan supertest
+ * Sama seperti initializeApp tanpa koneksi database, swagger, dan server
+ */
+import express from 'express';
+
+/**
+ * Membuat aplikasi pengujian
+ * Modul rute di-import secara dinamis agar mock modul yang didaftarkan sebelumnya berlaku
+ * @returns {Promise<Object>} Express app
+ */
+export const createTestApp = async () => {
+  const { default: routes } = await import('../../src/routes/index.route.js');
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(routes);
+
+  return app;
+};
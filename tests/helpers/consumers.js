@@ -0,0 +1,46 @@
+/**
+ * API consumer untuk pengujian endpoint yang memerlukan otentikasi consumer
+ * (header x-api-key dan x-consumer-name)
+ */
+import { jest } from '@jest/globals';
+import { buildInstance } from './models.js';
+
+export const CONSUMER_ID = '0c6c2a52-5d43-4a43-9a4e-3f6f0b7b8f10';
+export const CONSUMER_NAME = 'test-app';
+export const API_KEY = 'test-api-key';
+
+/**
+ * Membuat instance consumer pengujian yang menerima API_KEY
+ * Model dan crypto.service di-import secara dinamis agar mock modul yang didaftarkan sebelumnya berlaku
+ * @param {Object} [attributes] - Atribut tambahan atau pengganti
+ * @returns {Promise<Object>} Instance Consumer
+ */
+export const buildConsumer = async (attributes = {}) => {
+  const { ConsumerModel } = await import('../../src/models/index.model.js');
+  const { hashData } = await import('../../src/services/crypto.service.js');
+
+  return buildInstance(ConsumerModel, {
+    id: CONSUMER_ID,
+    name: CONSUMER_NAME,
+    api_key_salt: 'salt',
+    api_key_hash: hashData(`${API_KEY}salt`),
+    is_active: true,
+    allowed_ips: [],
+    ...attributes
+  });
+};
+
+/**
+ * Membuat consumer pengujian dan mengembalikannya dari ConsumerModel.findOne dan findByPk
+ * @param {Object} [attributes] - Atribut tambahan atau pengganti
+ * @returns {Promise<Object>} Instance Consumer
+ */
+export const mockConsumer = async (attributes = {}) => {
+  const { ConsumerModel } = await import('../../src/models/index.model.js');
+  const consumer = await buildConsumer(attributes);
+
+  jest.spyOn(ConsumerModel, 'findOne').mockResolvedValue(consumer);
+  jest.spyOn(ConsumerModel, 'findByPk').mockResolvedValue(consumer);
+
+  return consumer;
+};
@@ -0,0 +1,13 @@
+/**
+ * Environment pengujian (jest setupFiles)
+ *
+ * Kunci enkripsi dan secret diset di sini agar pengujian tidak bergantung pada file .env
+ * lokal; dotenv tidak menimpa variabel yang sudah ada.
+ */
+process.env.KEY_PASSPHRASE = 'test-key-passphrase';
+process.env.TRUSTED_DEVICE_SECRET = 'test-trusted-device-secret';
+delete process.env.DATA_ENCRYPTION_KEYS;
+delete process.env.DATA_ENCRYPTION_KEY_VERSION;
+
+// Kunci hasil rotasi tidak ditulis ke disk (string kosong agar tidak diisi dari .env)
+process.env.KEY_STORAGE_PATH = '';
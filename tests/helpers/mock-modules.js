@@ -0,0 +1,58 @@
+/**
+ * Mock modul eksternal untuk pengujian
+ *
+ * Harus dipanggil sebelum modul aplikasi di-import secara dinamis. Logger dibungkam agar
+ * pengujian tidak menulis ke folder logs, bcrypt diganti implementasi sederhana (password
+ * cocok jika hash bernilai `hashed:<password>`), speakeasy diganti agar hasil TOTP dapat
+ * diatur per pengujian, dan notifikasi tidak benar-benar dikirim.
+ */
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+
+/**
+ * Path absolut modul aplikasi (mock di-resolve relatif terhadap file pengujian)
+ * @param {string} modulePath - Path relatif terhadap folder src
+ * @returns {string} Path absolut
+ */
+const srcPath = (modulePath) => fileURLToPath(new URL(`../../src/${modulePath}`, import.meta.url));
+
+/**
+ * Mendaftarkan mock modul eksternal
+ * @returns {Object} Mock yang dapat diatur pengujian (speakeasy, notification)
+ */
+export const mockExternalModules = () => {
+  const silentLogger = {
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+  };
+  jest.unstable_mockModule(srcPath('utils/logger.util.js'), () => ({ logger: silentLogger }));
+
+  const bcrypt = {
+    genSalt: async () => 'salt',
+    hash: (password, salt, callback) => callback(null, `hashed:${password}`),
+    compare: (password, hash, callback) => callback(null, hash === `hashed:${password}`)
+  };
+  jest.unstable_mockModule('bcrypt', () => ({ default: bcrypt }));
+
+  const speakeasy = {
+    generateSecret: jest.fn(() => ({ base32: 'JBSWY3DPEHPK3PXP', otpauth_url: 'otpauth://totp/test' })),
+    totp: { verifyDelta: jest.fn(() => undefined) }
+  };
+  jest.unstable_mockModule('speakeasy', () => ({ default: speakeasy }));
+  jest.unstable_mockModule('qrcode', () => ({
+    default: { toDataURL: async () => 'data:image/png;base64,' }
+  }));
+
+  const notification = {
+    sendSMS: jest.fn(async () => ({ success: true })),
+    sendEmail: jest.fn(async () => ({ success: true })),
+    registerPushProvider: jest.fn(),
+    sendPushNotification: jest.fn(async () => ({ success: true }))
+  };
+  jest.unstable_mockModule(srcPath('services/notification.service.js'), () => notification);
+
+  return { speakeasy, notification, logger: silentLogger };
+};
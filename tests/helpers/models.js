@@ -0,0 +1,28 @@
+/**
+ * Instance model untuk pengujian tanpa database
+ */
+import { jest } from '@jest/globals';
+
+/**
+ * Membuat instance model yang perubahannya hanya disimpan di memori
+ * save, reload, dan increment tidak mengakses database
+ * @param {Model} Model - Model Sequelize
+ * @param {Object} attributes - Nilai atribut
+ * @returns {Object} Instance model
+ */
+export const buildInstance = (Model, attributes) => {
+  const instance = Model.build(attributes, { isNewRecord: false });
+
+  jest.spyOn(instance, 'save').mockImplementation(async function () {
+    return this;
+  });
+  jest.spyOn(instance, 'reload').mockImplementation(async function () {
+    return this;
+  });
+  jest.spyOn(instance, 'increment').mockImplementation(async function (field, options = {}) {
+    this.setDataValue(field, (this.getDataValue(field) || 0) + (options.by || 1));
+    return this;
+  });
+
+  return instance;
+};
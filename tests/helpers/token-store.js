@@ -0,0 +1,63 @@
+/**
+ * Tabel token di memori untuk pengujian penerbitan, introspeksi, dan pencabutan token
+ */
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { buildInstance } from './models.js';
+import { CONSUMER_ID } from './consumers.js';
+
+/**
+ * Mengganti query TokenModel dengan tabel token di memori
+ * @param {Model} TokenModel - Model Token
+ * @param {Object} [defaults] - Atribut default token yang ditambahkan (user_id, provider_key_id, ...)
+ * @returns {Object} { tokens, addToken } dengan tokens berupa Map id -> instance Token
+ */
+export const mockTokenStore = (TokenModel, defaults = {}) => {
+  const tokens = new Map();
+
+  /**
+   * Menambahkan token ke "database" pengujian
+   * @param {Object} attributes - Atribut token
+   * @returns {Object} Instance Token
+   */
+  const addToken = (attributes) => {
+    const token = buildInstance(TokenModel, {
+      id: crypto.randomUUID(),
+      consumer_id: CONSUMER_ID,
+      token_type: 'access',
+      token_hash: crypto.randomBytes(32).toString('hex'),
+      is_revoked: false,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      family_id: crypto.randomUUID(),
+      ...defaults,
+      ...attributes
+    });
+    tokens.set(token.id, token);
+    return token;
+  };
+
+  jest.spyOn(TokenModel, 'create').mockImplementation(async (values) => addToken(values));
+  jest.spyOn(TokenModel, 'findByPk').mockImplementation(async (id) => tokens.get(id) || null);
+  jest.spyOn(TokenModel, 'findRefreshTokenByHash').mockImplementation(async (hash) =>
+    [...tokens.values()].find((token) => token.token_type === 'refresh' && token.token_hash === hash) || null
+  );
+  jest.spyOn(TokenModel, 'revokeById').mockImplementation(async (id) => {
+    const token = tokens.get(id);
+    if (token.is_revoked) {
+      return false;
+    }
+    token.is_revoked = true;
+    return true;
+  });
+  jest.spyOn(TokenModel, 'revokeFamily').mockImplementation(async (familyId) => {
+    const family = [...tokens.values()].filter(
+      (token) => token.family_id === familyId && !token.is_revoked
+    );
+    family.forEach((token) => {
+      token.is_revoked = true;
+    });
+    return family.length;
+  });
+
+  return { tokens, addToken };
+};
@@ -0,0 +1,56 @@
+/**
+ * Kunci provider dan JWT untuk pengujian endpoint yang memerlukan access token
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Membuat pasangan kunci RSA yang berperan sebagai kunci provider
+ * @returns {Object} { key, privateKey } dengan key berbentuk instance ProviderKey
+ */
+export const createProviderKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  return {
+    key: {
+      id: crypto.randomUUID(),
+      key_algorithm: 'RSA-2048',
+      key_version: 1,
+      public_key: publicKey,
+      status: 'active'
+    },
+    privateKey
+  };
+};
+
+/**
+ * Menandatangani JWT dengan kunci provider pengujian
+ * @param {Object} providerKey - Hasil createProviderKey
+ * @param {Object} payload - Payload JWT (token_id, consumer, scope, ...)
+ * @returns {string} JWT
+ */
+export const signTestJwt = (providerKey, payload) =>
+  jwt.sign(payload, providerKey.privateKey, {
+    algorithm: 'RS256',
+    keyid: providerKey.key.id,
+    expiresIn: 300
+  });
+
+/**
+ * Menyimpan private key terenkripsi pada kunci provider agar key.service dapat menandatangani
+ * dengannya. Dipanggil setelah mockExternalModules karena crypto.service di-import secara dinamis.
+ * @param {Object} providerKey - Hasil createProviderKey
+ * @returns {Promise<Object>} providerKey yang sama
+ */
+export const storeSigningKey = async (providerKey) => {
+  const { encryptPrivateKey } = await import('../../src/services/crypto.service.js');
+  providerKey.key.private_key_encrypted = encryptPrivateKey(
+    providerKey.privateKey,
+    process.env.KEY_PASSPHRASE
+  );
+  return providerKey;
+};
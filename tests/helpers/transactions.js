@@ -0,0 +1,64 @@
+/**
+ * Transaksi database untuk pengujian tanpa database
+ *
+ * SELECT ... FOR UPDATE disimulasikan dengan satu kunci baris: transaksi berikutnya yang
+ * mengunci baris menunggu sampai transaksi pemegang kunci di-commit atau di-rollback.
+ * Penulisan tanpa kunci (UPDATE di luar transaksi) juga menunggu kunci tersebut, seperti
+ * pada database sungguhan, lalu menimpa baris dengan data yang dibacanya.
+ */
+import { jest } from '@jest/globals';
+
+/**
+ * Mengganti sequelize.transaction dengan transaksi pengujian
+ * @param {Object} sequelize - Instance Sequelize aplikasi
+ * @returns {Object} { lockingFindByPk, waitForRowLock }
+ */
+export const mockTransactions = (sequelize) => {
+  let rowLock = Promise.resolve();
+
+  const createTransaction = () => {
+    let release = () => {};
+    const transaction = {
+      LOCK: { UPDATE: 'UPDATE' },
+      finished: undefined,
+      lockRow: async () => {
+        const previous = rowLock;
+        rowLock = new Promise((resolve) => {
+          release = resolve;
+        });
+        await previous;
+      },
+      commit: async () => {
+        transaction.finished = 'commit';
+        release();
+      },
+      rollback: async () => {
+        transaction.finished = 'rollback';
+        release();
+      }
+    };
+    return transaction;
+  };
+
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async () => createTransaction());
+
+  /**
+   * Menunggu transaksi yang sedang memegang kunci baris berakhir
+   * @returns {Promise<void>}
+   */
+  const waitForRowLock = () => rowLock;
+
+  /**
+   * Implementasi findByPk yang menunggu kunci baris jika dipanggil dengan opsi lock
+   * @param {Function} load - (id, options) => instance; dipanggil setelah kunci diperoleh
+   * @returns {Function} Implementasi mock findByPk
+   */
+  const lockingFindByPk = (load) => async (id, options = {}) => {
+    if (options.lock) {
+      await options.transaction.lockRow();
+    }
+    return load(id, options);
+  };
+
+  return { lockingFindByPk, waitForRowLock };
+};
@@ -0,0 +1,194 @@
+/**
+ * Authenticator WebAuthn perangkat lunak untuk pengujian ceremony registrasi dan otentikasi
+ */
+import crypto from 'crypto';
+
+// Flag authenticator data
+export const FLAG_USER_PRESENT = 0x01;
+export const FLAG_USER_VERIFIED = 0x04;
+export const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+// AAGUID authenticator pengujian
+const AAGUID = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+
+/**
+ * Encode header item CBOR (major type dan argumen)
+ * @param {number} majorType - Major type
+ * @param {number} value - Argumen (panjang atau nilai)
+ * @returns {Buffer} Header
+ */
+const encodeHead = (majorType, value) => {
+  if (value < 24) {
+    return Buffer.from([(majorType << 5) | value]);
+  }
+  if (value < 0x100) {
+    return Buffer.from([(majorType << 5) | 24, value]);
+  }
+  if (value < 0x10000) {
+    const head = Buffer.alloc(3);
+    head.writeUInt8((majorType << 5) | 25, 0);
+    head.writeUInt16BE(value, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head.writeUInt8((majorType << 5) | 26, 0);
+  head.writeUInt32BE(value, 1);
+  return head;
+};
+
+/**
+ * Encode nilai menjadi CBOR
+ * Mendukung integer, Buffer, string, array, Map (key integer COSE), dan object (key string)
+ * @param {*} value - Nilai
+ * @returns {Buffer} Data CBOR
+ */
+export const encodeCbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, text.length), text]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encodeCbor)]);
+  }
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])
+  ]);
+};
+
+/**
+ * Membuat authenticator dengan satu credential
+ * @param {Object} options - Opsi authenticator
+ * @param {string} options.rpId - Relying Party ID
+ * @param {string} options.origin - Origin halaman yang menjalankan ceremony
+ * @param {string} [options.algorithm='ES256'] - ES256 atau EdDSA
+ * @returns {Object} Authenticator ({ credentialId, register, assert })
+ */
+export const createAuthenticator = ({ rpId, origin, algorithm = 'ES256' }) => {
+  const { publicKey, privateKey } = algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('ed25519');
+  const jwk = publicKey.export({ format: 'jwk' });
+  const alg = algorithm === 'ES256' ? -7 : -8;
+  const coseKey = algorithm === 'ES256'
+    ? new Map([[1, 2], [3, alg], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]])
+    : new Map([[1, 1], [3, alg], [-1, 6], [-2, Buffer.from(jwk.x, 'base64url')]]);
+  const credentialId = crypto.randomBytes(16);
+
+  /**
+   * Tanda tangan credential (ECDSA dalam format DER seperti authenticator sungguhan)
+   * @param {Buffer} data - Data yang ditandatangani
+   * @returns {Buffer} Tanda tangan
+   */
+  const sign = (data) => crypto.sign(algorithm === 'ES256' ? 'sha256' : null, data, privateKey);
+
+  /**
+   * Menyusun authenticator data
+   * @param {Object} params - rpId, flags, signCount, attested
+   * @returns {Buffer} Authenticator data
+   */
+  const buildAuthData = ({ rpId: rp, flags, signCount, attested }) => {
+    const header = Buffer.alloc(37);
+    crypto.createHash('sha256').update(rp).digest().copy(header, 0);
+    header.writeUInt8(flags | (attested ? FLAG_ATTESTED_CREDENTIAL_DATA : 0), 32);
+    header.writeUInt32BE(signCount, 33);
+    if (!attested) {
+      return header;
+    }
+
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    return Buffer.concat([header, AAGUID, idLength, credentialId, encodeCbor(coseKey)]);
+  };
+
+  /**
+   * Menyusun clientDataJSON
+   * @param {Object} params - type, challenge, origin
+   * @returns {Buffer} clientDataJSON
+   */
+  const buildClientData = ({ type, challenge, origin: clientOrigin }) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin: clientOrigin, crossOrigin: false }));
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+
+    /**
+     * Respons navigator.credentials.create()
+     * @param {Object} params - Parameter ceremony
+     * @param {string} params.challenge - Challenge dari opsi registrasi
+     * @param {string} [params.fmt='none'] - Format attestation (none, packed, ...)
+     * @param {Object} [params.attStmt] - Attestation statement; default self attestation untuk packed
+     * @returns {Object} PublicKeyCredential dengan field biner dalam base64url
+     */
+    register: ({
+      challenge,
+      fmt = 'none',
+      attStmt,
+      type = 'webauthn.create',
+      origin: clientOrigin = origin,
+      rpId: rp = rpId,
+      flags = FLAG_USER_PRESENT | FLAG_USER_VERIFIED,
+      signCount = 0
+    }) => {
+      const clientDataJSON = buildClientData({ type, challenge, origin: clientOrigin });
+      const authData = buildAuthData({ rpId: rp, flags, signCount, attested: true });
+      const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+      const statement = attStmt || (fmt === 'packed'
+        ? { alg, sig: sign(Buffer.concat([authData, clientDataHash])) }
+        : {});
+
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          attestationObject: encodeCbor({ fmt, attStmt: statement, authData }).toString('base64url'),
+          transports: ['internal']
+        }
+      };
+    },
+
+    /**
+     * Respons navigator.credentials.get()
+     * @param {Object} params - Parameter ceremony
+     * @param {string} params.challenge - Challenge dari opsi otentikasi
+     * @param {number} params.signCount - Nilai signature counter
+     * @param {string} [params.userHandle] - User handle (passkey), dalam bentuk teks
+     * @returns {Object} PublicKeyCredential dengan field biner dalam base64url
+     */
+    assert: ({
+      challenge,
+      signCount,
+      userHandle,
+      type = 'webauthn.get',
+      origin: clientOrigin = origin,
+      rpId: rp = rpId,
+      flags = FLAG_USER_PRESENT | FLAG_USER_VERIFIED
+    }) => {
+      const clientDataJSON = buildClientData({ type, challenge, origin: clientOrigin });
+      const authData = buildAuthData({ rpId: rp, flags, signCount, attested: false });
+      const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+
+      return {
+        id: credentialId.toString('base64url'),
+        rawId: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: sign(Buffer.concat([authData, clientDataHash])).toString('base64url'),
+          ...(userHandle && { userHandle: Buffer.from(userHandle).toString('base64url') })
+        }
+      };
+    }
+  };
+};
@@ -0,0 +1,150 @@
+/**
+ * Kunci provider dan consumer ECDSA dan Ed25519: tanda tangan, JWT, dan JWKS
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+
+mockExternalModules();
+
+const { ProviderKeyModel } = await import('../src/models/index.model.js');
+const {
+  generateKeyPair,
+  detectKeyAlgorithm,
+  encryptPrivateKey,
+  signData,
+  verifySignature
+} = await import('../src/services/crypto.service.js');
+const { signJwt, verifyJwt, verifyJwtWithPublicKey, getJwks } = await import('../src/services/key.service.js');
+
+/**
+ * Membuat kunci provider aktif dengan algoritma tertentu
+ * @param {string} keyAlgorithm - Algoritma kunci
+ * @returns {Object} { key, privateKey }
+ */
+const createKey = (keyAlgorithm) => {
+  const { publicKey, privateKey } = generateKeyPair(keyAlgorithm);
+  return {
+    key: {
+      id: crypto.randomUUID(),
+      key_algorithm: keyAlgorithm,
+      key_version: 1,
+      public_key: publicKey,
+      private_key_encrypted: encryptPrivateKey(privateKey, process.env.KEY_PASSPHRASE),
+      status: 'active'
+    },
+    privateKey
+  };
+};
+
+/**
+ * Menjadikan kunci sebagai satu-satunya kunci provider
+ * @param {Object} key - Kunci provider
+ */
+const useProviderKey = (key) => {
+  jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(key);
+  jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockImplementation(async (id) =>
+    id === key.id ? key : null
+  );
+  jest.spyOn(ProviderKeyModel, 'findAll').mockResolvedValue([key]);
+};
+
+describe('ECDSA and Ed25519 keys', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe.each([
+    ['ECDSA-P256', 'ES256', { kty: 'EC', crv: 'P-256' }],
+    ['ECDSA-P384', 'ES384', { kty: 'EC', crv: 'P-384' }],
+    ['Ed25519', 'EdDSA', { kty: 'OKP', crv: 'Ed25519' }]
+  ])('%s', (keyAlgorithm, jwtAlgorithm, jwk) => {
+    test('the algorithm is detected from the public and private key', () => {
+      const { publicKey, privateKey } = generateKeyPair(keyAlgorithm);
+
+      expect(detectKeyAlgorithm(publicKey)).toBe(keyAlgorithm);
+      expect(detectKeyAlgorithm(privateKey)).toBe(keyAlgorithm);
+    });
+
+    test('data signatures verify only with the matching data and key', () => {
+      const { publicKey, privateKey } = generateKeyPair(keyAlgorithm);
+      const other = generateKeyPair(keyAlgorithm);
+      const signature = signData('payload', privateKey);
+
+      expect(verifySignature('payload', signature, publicKey)).toBe(true);
+      expect(verifySignature('tampered', signature, publicKey)).toBe(false);
+      expect(verifySignature('payload', signature, other.publicKey)).toBe(false);
+    });
+
+    test(`provider JWTs use ${jwtAlgorithm} and verify against the published JWK`, async () => {
+      const { key } = createKey(keyAlgorithm);
+      useProviderKey(key);
+
+      const signed = await signJwt({ sub: 'alice', exp: Math.floor(Date.now() / 1000) + 60 });
+      const jwks = await getJwks();
+      const [encodedHeader, encodedPayload, signature] = signed.token.split('.');
+
+      expect(JSON.parse(Buffer.from(encodedHeader, 'base64url').toString()))
+        .toMatchObject({ alg: jwtAlgorithm, kid: key.id });
+      expect(await verifyJwt(signed.token)).toMatchObject({ success: true, payload: { sub: 'alice' } });
+      expect(jwks.jwks.keys).toEqual([
+        expect.objectContaining({ ...jwk, kid: key.id, use: 'sig', alg: jwtAlgorithm })
+      ]);
+
+      // Verifikasi offline seperti yang dilakukan consumer dengan JWKS (tanda tangan JOSE, bukan DER)
+      const publicKey = crypto.createPublicKey({ key: jwks.jwks.keys[0], format: 'jwk' });
+      const hash = jwtAlgorithm === 'EdDSA' ? null : `sha${jwtAlgorithm.slice(2)}`;
+      expect(crypto.verify(
+        hash,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        { key: publicKey, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature, 'base64url')
+      )).toBe(true);
+    });
+
+    test('a JWT carrying another algorithm under the key id is rejected', async () => {
+      const { key } = createKey(keyAlgorithm);
+      useProviderKey(key);
+      const token = jwt.sign({ sub: 'alice' }, 'secret', { algorithm: 'HS256', keyid: key.id });
+
+      expect(await verifyJwt(token)).toMatchObject({
+        success: false,
+        message: 'Token algorithm does not match signing key'
+      });
+    });
+  });
+
+  describe('EdDSA JWT claims', () => {
+    test('an expired provider JWT is rejected', async () => {
+      const { key } = createKey('Ed25519');
+      useProviderKey(key);
+
+      const signed = await signJwt({ sub: 'alice', exp: Math.floor(Date.now() / 1000) - 1 });
+
+      expect(await verifyJwt(signed.token)).toMatchObject({ success: false, code: 'INVALID_SIGNATURE' });
+    });
+
+    test('a consumer assertion is checked against issuer, subject and audience', async () => {
+      const consumerKey = createKey('Ed25519');
+      useProviderKey(consumerKey.key);
+      const signed = await signJwt({
+        iss: 'test-app',
+        sub: 'test-app',
+        aud: 'https://auth.example.com/oauth/token'
+      });
+      const expected = {
+        issuer: 'test-app',
+        subject: 'test-app',
+        audience: 'https://auth.example.com/oauth/token'
+      };
+
+      expect(verifyJwtWithPublicKey(signed.token, consumerKey.key, expected).success).toBe(true);
+      expect(verifyJwtWithPublicKey(signed.token, consumerKey.key, {
+        ...expected,
+        audience: 'https://other.example.com/oauth/token'
+      }).success).toBe(false);
+      expect(verifyJwtWithPublicKey(signed.token, createKey('Ed25519').key, expected).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Login tanpa password melalui link email (magic link)
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+delete process.env.MAGIC_LINK_EXPIRES_SECONDS;
+delete process.env.MAGIC_LINK_RESEND_INTERVAL_SECONDS;
+
+const { notification } = mockExternalModules();
+
+const {
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaChallengeModel,
+  MagicLinkModel,
+  MfaPolicyModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+const { hashData, encryptWithDataKey } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const OTHER_CONSUMER_ID = '6a5b4c3d-2e1f-4a0b-9c8d-7e6f5a4b3c2d';
+const EMAIL = 'alice@example.com';
+const REDIRECT_URI = 'https://tools.example.com/login/callback?next=%2Fhome&lang=id';
+const MINUTE_MS = 60 * 1000;
+
+describe('magic link login', () => {
+  let app;
+  let providerKey;
+  let links;
+  let mfaSettings;
+
+  /**
+   * Membaca pengguna aktif dengan email EMAIL
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: EMAIL,
+      password_hash: 'hashed:Secret123!',
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: structuredClone(mfaSettings)
+    });
+    user.Roles = [];
+    return user;
+  };
+
+  /**
+   * Request dengan kredensial consumer pengujian
+   * @param {string} path - Path endpoint
+   * @param {Object} body - Body request
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const post = (path, body) =>
+    request(app)
+      .post(path)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send(body);
+
+  /**
+   * Meminta link login dan mengambil token dari email yang terkirim
+   * @returns {Promise<string>} Token link
+   */
+  const requestLinkToken = async () => {
+    const response = await post('/api/v1/auth/magic-link', { email: EMAIL, redirect_uri: REDIRECT_URI });
+    expect(response.status).toBe(200);
+
+    const [{ text }] = notification.sendEmail.mock.calls.at(-1);
+    const url = new URL(text.match(/https:\/\/\S+/)[0]);
+    return url.searchParams.get('magic_token');
+  };
+
+  /**
+   * Menukar token link
+   * @param {string} token - Token link
+   * @param {string} [redirectUri] - Redirect URI penukar
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const redeem = (token, redirectUri = REDIRECT_URI) =>
+    post('/api/v1/auth/magic-link/verify', { token, redirect_uri: redirectUri });
+
+  /**
+   * Audit log login
+   * @returns {Object[]} Data audit log
+   */
+  const loginAudits = () =>
+    AuditLogModel.create.mock.calls
+      .map(([data]) => data)
+      .filter((data) => data.event_type === 'login');
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    links = [];
+    mfaSettings = { enabled: false, default_factor_id: null, factors: [], backup_codes: [] };
+    mockTokenStore(TokenModel, { provider_key_id: providerKey.key.id });
+
+    await mockConsumer({ redirect_uris: [REDIRECT_URI] });
+    jest.spyOn(UserModel, 'findOne').mockImplementation(async ({ where }) =>
+      where.email === EMAIL ? loadUser() : null
+    );
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(async () => loadUser());
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async () => loadUser());
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(MfaPolicyModel, 'findApplicable').mockResolvedValue([]);
+    jest.spyOn(MfaChallengeModel, 'create').mockImplementation(async (values) => ({
+      id: crypto.randomUUID(),
+      attempts: 0,
+      ...values
+    }));
+    jest.spyOn(MagicLinkModel, 'create').mockImplementation(async (values) => {
+      const link = { id: crypto.randomUUID(), consumed_at: null, created_at: new Date(), ...values };
+      links.push(link);
+      return { ...link };
+    });
+    jest.spyOn(MagicLinkModel, 'findByHash').mockImplementation(async (tokenHash) => {
+      const link = links.find((candidate) => candidate.token_hash === tokenHash);
+      return link ? { ...link } : null;
+    });
+    jest.spyOn(MagicLinkModel, 'findLatestForUser').mockImplementation(async (userId, consumerId) => {
+      const link = links
+        .filter((candidate) => candidate.user_id === userId && candidate.consumer_id === consumerId)
+        .pop();
+      return link ? { ...link } : null;
+    });
+    jest.spyOn(MagicLinkModel, 'consume').mockImplementation(async (id) => {
+      const link = links.find((candidate) => candidate.id === id && !candidate.consumed_at);
+      if (!link) {
+        return false;
+      }
+      link.consumed_at = new Date();
+      return true;
+    });
+    jest.spyOn(MagicLinkModel, 'invalidatePending').mockImplementation(async (userId, consumerId) => {
+      const pending = links.filter((link) =>
+        link.user_id === userId &&
+        link.consumer_id === consumerId &&
+        !link.consumed_at &&
+        link.expires_at > new Date()
+      );
+      pending.forEach((link) => {
+        link.consumed_at = new Date();
+      });
+      return pending.length;
+    });
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendEmail.mockClear();
+  });
+
+  describe('requesting a link', () => {
+    test('a single-use link bound to the consumer and redirect URI is emailed and only its hash is stored', async () => {
+      const response = await post('/api/v1/auth/magic-link', { email: EMAIL, redirect_uri: REDIRECT_URI });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Jika email terdaftar, link login telah dikirim');
+      expect(notification.sendEmail).toHaveBeenCalledTimes(1);
+
+      const [[email]] = notification.sendEmail.mock.calls;
+      const url = new URL(email.text.match(/https:\/\/\S+/)[0]);
+      const token = url.searchParams.get('magic_token');
+
+      expect(email).toMatchObject({ to: EMAIL, subject: `Link login ${CONSUMER_NAME}` });
+      expect(`${url.origin}${url.pathname}`).toBe('https://tools.example.com/login/callback');
+      expect(url.searchParams.get('next')).toBe('/home');
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(links).toEqual([
+        expect.objectContaining({
+          token_hash: hashData(token),
+          user_id: USER_ID,
+          consumer_id: CONSUMER_ID,
+          redirect_uri: REDIRECT_URI
+        })
+      ]);
+      expect(JSON.stringify(links)).not.toContain(token);
+      expect(links[0].expires_at.getTime() - Date.now()).toBeGreaterThan(9 * MINUTE_MS);
+      expect(links[0].expires_at.getTime() - Date.now()).toBeLessThanOrEqual(10 * MINUTE_MS);
+    });
+
+    test('the consumer name and link are HTML-escaped in the email body', async () => {
+      await mockConsumer({ name: 'Tools <script>alert(1)</script>', redirect_uris: [REDIRECT_URI] });
+
+      await post('/api/v1/auth/magic-link', { email: EMAIL, redirect_uri: REDIRECT_URI });
+
+      const [[{ html }]] = notification.sendEmail.mock.calls;
+      expect(html).toContain('<strong>Tools &lt;script&gt;alert(1)&lt;/script&gt;</strong>');
+      expect(html).not.toContain('<script>');
+      expect(html).toMatch(/<a href="https:\/\/tools\.example\.com\/login\/callback\?next=%2Fhome&amp;lang=id&amp;magic_token=[0-9a-f]{64}">/);
+    });
+
+    test('unknown emails get the same response without an email being sent', async () => {
+      const response = await post('/api/v1/auth/magic-link', {
+        email: 'nobody@example.com',
+        redirect_uri: REDIRECT_URI
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Jika email terdaftar, link login telah dikirim');
+      expect(notification.sendEmail).not.toHaveBeenCalled();
+      expect(links).toEqual([]);
+    });
+
+    test('redirect URIs not registered for the consumer are rejected', async () => {
+      const response = await post('/api/v1/auth/magic-link', {
+        email: EMAIL,
+        redirect_uri: 'https://evil.example.com/callback'
+      });
+
+      expect(response.status).toBe(400);
+      expect(notification.sendEmail).not.toHaveBeenCalled();
+    });
+
+    test('repeated requests are throttled and a new link replaces the previous one', async () => {
+      const firstToken = await requestLinkToken();
+
+      await post('/api/v1/auth/magic-link', { email: EMAIL, redirect_uri: REDIRECT_URI });
+
+      expect(notification.sendEmail).toHaveBeenCalledTimes(1);
+      expect(links).toHaveLength(1);
+
+      links[0].created_at = new Date(Date.now() - 2 * MINUTE_MS);
+      const secondToken = await requestLinkToken();
+
+      expect(secondToken).not.toBe(firstToken);
+      expect((await redeem(firstToken)).status).toBe(401);
+      expect((await redeem(secondToken)).status).toBe(200);
+    });
+  });
+
+  describe('redeeming a link', () => {
+    test('a link logs the user in once with the one-time code authentication method', async () => {
+      const token = await requestLinkToken();
+
+      const response = await redeem(token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Login berhasil');
+      expect(response.body.data).toMatchObject({
+        token: expect.any(String),
+        refresh_token: expect.any(String)
+      });
+      expect(loginAudits()).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          consumer_id: CONSUMER_ID,
+          status: 'success',
+          metadata: expect.objectContaining({ step: 'magic_link', amr: ['otp'] })
+        })
+      ]);
+
+      const reused = await redeem(token);
+
+      expect(reused.status).toBe(401);
+      expect(reused.body.message).toBe('Invalid or already used login link');
+      expect(TokenModel.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('a link can only be redeemed with the redirect URI and consumer it was issued for', async () => {
+      const token = await requestLinkToken();
+
+      expect((await redeem(token, 'https://tools.example.com/other')).status).toBe(401);
+
+      links[0].consumer_id = OTHER_CONSUMER_ID;
+      expect((await redeem(token)).status).toBe(401);
+
+      links[0].consumer_id = CONSUMER_ID;
+      expect((await redeem(token)).status).toBe(200);
+    });
+
+    test('an expired link is rejected and cannot be used afterwards', async () => {
+      const token = await requestLinkToken();
+      links[0].expires_at = new Date(Date.now() - 1000);
+
+      const response = await redeem(token);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Login link has expired. Please request a new one');
+      expect(links[0].consumed_at).toEqual(expect.any(Date));
+      expect(TokenModel.create).not.toHaveBeenCalled();
+    });
+
+    test('users with MFA enabled must still complete the MFA step', async () => {
+      mfaSettings = {
+        enabled: true,
+        default_factor_id: FACTOR_ID,
+        factors: [
+          {
+            id: FACTOR_ID,
+            type: 'totp',
+            label: 'Authenticator app',
+            secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+            verified: true
+          }
+        ],
+        backup_codes: []
+      };
+      const token = await requestLinkToken();
+
+      const response = await redeem(token);
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ mfa_required: true, mfa_token: expect.any(String) });
+      expect(response.body.data.token).toBeUndefined();
+      expect(MfaChallengeModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        primary_amr: 'otp'
+      }));
+      expect(TokenModel.create).not.toHaveBeenCalled();
+    });
+  });
+});
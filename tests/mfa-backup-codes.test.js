@@ -0,0 +1,219 @@
+/**
+ * Backup code sebagai faktor kedua pada login MFA
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTransactions } from './helpers/transactions.js';
+import { mockTokenStore } from './helpers/token-store.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+delete process.env.BACKUP_CODES_LOW_THRESHOLD;
+
+const { notification } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaChallengeModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+const { encryptWithDataKey, hashData } = await import('../src/services/crypto.service.js');
+const { regenerateBackupCodes } = await import('../src/services/mfa.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const PASSWORD = 'Secret123!';
+
+describe('backup code login', () => {
+  let app;
+  let providerKey;
+  let storedSettings;
+  let backupCodes;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      is_locked: false,
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.Roles = [];
+    user.save.mockImplementation(async function (options = {}) {
+      // Seperti UPDATE sungguhan, hanya kolom yang di-update yang ditulis
+      if (!options.fields || options.fields.includes('mfa_settings')) {
+        storedSettings = structuredClone(this.mfa_settings);
+      }
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Menyelesaikan challenge MFA baru (hasil login dengan password) dengan kode tertentu
+   * @param {string} code - Kode MFA atau backup code
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const loginMfa = (code) => {
+    const challenge = {
+      id: crypto.randomUUID(),
+      challenge_hash: hashData('mfa-token'),
+      user_id: USER_ID,
+      consumer_id: CONSUMER_ID,
+      primary_amr: 'pwd',
+      attempts: 0,
+      max_attempts: 5,
+      expires_at: new Date(Date.now() + 5 * 60 * 1000)
+    };
+    jest.spyOn(MfaChallengeModel, 'findByHash').mockResolvedValue(challenge);
+
+    return request(app)
+      .post('/api/v1/auth/login/mfa')
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send({ mfa_token: 'mfa-token', code });
+  };
+
+  /**
+   * Audit log MFA dengan action tertentu
+   * @param {string} action - Action MFA (tanpa prefix mfa_)
+   * @returns {Object[]} Data audit log
+   */
+  const mfaAudits = (action) =>
+    AuditLogModel.create.mock.calls
+      .map(([data]) => data)
+      .filter((data) => data.event_type === `mfa_${action}`);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    storedSettings = {
+      enabled: true,
+      default_factor_id: FACTOR_ID,
+      factors: [
+        {
+          id: FACTOR_ID,
+          type: 'totp',
+          label: 'Authenticator app',
+          secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+          verified: true
+        }
+      ],
+      backup_codes: []
+    };
+
+    mockTokenStore(TokenModel);
+    await mockConsumer();
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async () => loadUser());
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(MfaChallengeModel, 'registerAttempt').mockResolvedValue(true);
+    jest.spyOn(MfaChallengeModel, 'consume').mockResolvedValue(true);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+
+    ({ data: { backupCodes } } = await regenerateBackupCodes(USER_ID, PASSWORD));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendEmail.mockClear();
+  });
+
+  test('regenerated backup codes are stored only as hashes', () => {
+    expect(backupCodes).toHaveLength(10);
+    expect(storedSettings.backup_codes).toEqual(
+      backupCodes.map((code) => ({ hash: hashData(code), used_at: null }))
+    );
+    for (const code of backupCodes) {
+      expect(JSON.stringify(storedSettings)).not.toContain(code);
+    }
+  });
+
+  test('a backup code completes the MFA step once and its use is audited', async () => {
+    const response = await loginMfa(backupCodes[0]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Login berhasil');
+    expect(response.body.data).toMatchObject({
+      token: expect.any(String),
+      refresh_token: expect.any(String),
+      backup_codes_remaining: 9,
+      backup_codes_low: false
+    });
+    expect(storedSettings.backup_codes[0].used_at).toEqual(expect.any(String));
+    expect(storedSettings.backup_codes.slice(1).every((entry) => entry.used_at === null)).toBe(true);
+    expect(mfaAudits('backup_code_used')).toEqual([
+      expect.objectContaining({
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        status: 'success',
+        metadata: expect.objectContaining({ backup_codes_remaining: 9 })
+      })
+    ]);
+    expect(notification.sendEmail).not.toHaveBeenCalled();
+
+    const reused = await loginMfa(backupCodes[0]);
+
+    expect(reused.status).toBe(401);
+    expect(reused.body.message).toBe('Invalid MFA code');
+    expect(mfaAudits('backup_code_used')).toHaveLength(1);
+  });
+
+  test('backup codes are matched case-insensitively', async () => {
+    const response = await loginMfa(backupCodes[1].toLowerCase());
+
+    expect(response.status).toBe(200);
+    expect(storedSettings.backup_codes[1].used_at).toEqual(expect.any(String));
+  });
+
+  test('the user is warned in the response and by email when few backup codes remain', async () => {
+    for (const code of backupCodes.slice(0, 6)) {
+      expect((await loginMfa(code)).body.data.backup_codes_low).toBe(false);
+    }
+
+    const response = await loginMfa(backupCodes[6]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe(
+      'Login berhasil. Sisa backup code hampir habis, segera buat ulang backup codes'
+    );
+    expect(response.body.data).toMatchObject({ backup_codes_remaining: 3, backup_codes_low: true });
+    expect(notification.sendEmail).toHaveBeenCalledTimes(1);
+    expect(notification.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'alice@example.com',
+      subject: 'Sisa backup code MFA Anda hampir habis',
+      text: expect.stringContaining('Sisa backup code: 3')
+    }));
+  });
+
+  test('an unknown backup code is rejected without using any code', async () => {
+    const response = await loginMfa('AAAAA-AAAAA');
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid MFA code');
+    expect(storedSettings.backup_codes.every((entry) => entry.used_at === null)).toBe(true);
+    expect(mfaAudits('backup_code_used')).toEqual([]);
+    expect(TokenModel.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Menambah faktor MFA saat MFA sudah aktif memerlukan password saat ini
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { notification } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  AuditLogModel,
+  WebAuthnChallengeModel,
+  PushChallengeModel
+} = await import('../src/models/index.model.js');
+const { hashData } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const TOKEN_ID = '3d2c1b0a-9f8e-4d7c-8b6a-5f4e3d2c1b0a';
+const PASSWORD = 'Secret123!';
+
+const ENABLED_SETTINGS = {
+  enabled: true,
+  default_factor_id: 'totp-1',
+  factors: [{ id: 'totp-1', type: 'totp', label: 'Authenticator', secret: 'JBSWY3DPEHPK3PXP', verified: true }],
+  backup_codes: []
+};
+
+describe('factor enrollment step-up', () => {
+  let app;
+  let providerKey;
+  let storedSettings;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      is_locked: false,
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.Roles = [];
+    user.save.mockImplementation(async function () {
+      storedSettings = structuredClone(this.mfa_settings);
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Request ke endpoint setup faktor dengan access token user
+   * @param {string} path - Path di bawah /api/v1/mfa
+   * @param {Object} body - Body request
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const setup = (path, body) =>
+    request(app)
+      .post(`/api/v1/mfa${path}`)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .set('Authorization', `Bearer ${signTestJwt(providerKey, { token_id: TOKEN_ID, consumer: CONSUMER_NAME })}`)
+      .send(body);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = createProviderKey();
+  });
+
+  beforeEach(async () => {
+    storedSettings = structuredClone(ENABLED_SETTINGS);
+
+    await mockConsumer();
+    const accessToken = buildInstance(TokenModel, {
+      id: TOKEN_ID,
+      user_id: USER_ID,
+      consumer_id: CONSUMER_ID,
+      provider_key_id: providerKey.key.id,
+      token_type: 'access',
+      token_hash: hashData(crypto.randomUUID()),
+      is_revoked: false,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async () => loadUser());
+    jest.spyOn(TokenModel, 'findByPk').mockResolvedValue(accessToken);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+    jest.spyOn(WebAuthnChallengeModel, 'create').mockImplementation(async (values) => values);
+    jest.spyOn(PushChallengeModel, 'create').mockImplementation(async (values) => ({
+      ...values,
+      id: crypto.randomUUID()
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendSMS.mockClear();
+  });
+
+  test.each([
+    ['TOTP', '/totp/setup', {}],
+    ['SMS', '/sms/setup', { phone_number: '+628123456789' }],
+    ['email', '/email/setup', {}],
+    ['WebAuthn', '/webauthn/register/options', {}],
+    ['push', '/push/setup', {}]
+  ])('%s setup without the current password is rejected', async (factor, path, body) => {
+    const response = await setup(path, body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Password saat ini harus diisi untuk menambah faktor MFA');
+    expect(storedSettings).toEqual(ENABLED_SETTINGS);
+    expect(notification.sendSMS).not.toHaveBeenCalled();
+    expect(WebAuthnChallengeModel.create).not.toHaveBeenCalled();
+    expect(PushChallengeModel.create).not.toHaveBeenCalled();
+  });
+
+  test('a wrong current password is rejected', async () => {
+    const response = await setup('/sms/setup', {
+      phone_number: '+628123456789',
+      current_password: 'wrong'
+    });
+
+    expect(response.status).toBe(401);
+    expect(storedSettings).toEqual(ENABLED_SETTINGS);
+    expect(notification.sendSMS).not.toHaveBeenCalled();
+  });
+
+  test('the current password allows adding a factor', async () => {
+    const response = await setup('/sms/setup', {
+      phone_number: '+628123456789',
+      current_password: PASSWORD
+    });
+
+    expect(response.status).toBe(200);
+    expect(notification.sendSMS).toHaveBeenCalledTimes(1);
+    expect(storedSettings.factors).toHaveLength(2);
+    expect(storedSettings.factors[1]).toMatchObject({ type: 'sms', verified: false });
+  });
+
+  test('the first factor is enrolled without the current password', async () => {
+    storedSettings = { enabled: false, factors: [], backup_codes: [] };
+
+    const response = await setup('/totp/setup', {});
+
+    expect(response.status).toBe(200);
+    expect(storedSettings.factors).toEqual([expect.objectContaining({ type: 'totp', verified: false })]);
+  });
+});
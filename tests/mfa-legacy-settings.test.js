@@ -0,0 +1,112 @@
+/**
+ * Login MFA untuk pengguna dengan mfa_settings format lama (preferred_method)
+ */
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { mockTransactions } from './helpers/transactions.js';
+import { API_KEY, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { notification } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  MfaChallengeModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+const { normalizeMfaSettings, summarizeMfaFactors } = await import('../src/services/mfa.service.js');
+
+const legacySettings = () => ({
+  enabled: true,
+  preferred_method: 'sms',
+  sms: {
+    phone_number: '+628123456789',
+    verified: true,
+    setup_at: '2024-01-01T00:00:00.000Z'
+  },
+  email: {
+    email: 'legacy@example.com',
+    verified: true
+  },
+  backup_codes: ['AAAAA-BBBBB']
+});
+
+describe('legacy MFA settings', () => {
+  let app;
+  let user;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  beforeEach(async () => {
+    await mockConsumer();
+    user = buildInstance(UserModel, {
+      id: '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44',
+      username: 'legacy',
+      email: 'legacy@example.com',
+      password_hash: 'hashed:Secret123!',
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: legacySettings()
+    });
+
+    mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByUsername').mockResolvedValue(user);
+    jest.spyOn(UserModel, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+    jest.spyOn(MfaChallengeModel, 'create').mockImplementation(async (data) => ({
+      id: 'a7d5b0c4-9a31-4c1e-8f0e-6d2c4b9a1e77',
+      ...data
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendSMS.mockClear();
+  });
+
+  test('factor ids are stable across reads of unconverted settings', () => {
+    const first = normalizeMfaSettings(legacySettings());
+    const second = normalizeMfaSettings(legacySettings());
+
+    expect(first.factors.map((factor) => factor.id)).toEqual(
+      second.factors.map((factor) => factor.id)
+    );
+    expect(new Set(first.factors.map((factor) => factor.id)).size).toBe(2);
+    expect(first.default_factor_id).toBe(
+      first.factors.find((factor) => factor.type === 'sms').id
+    );
+    expect(summarizeMfaFactors(legacySettings()).map((factor) => factor.id)).toEqual(
+      first.factors.map((factor) => factor.id)
+    );
+  });
+
+  test('login sends the challenge OTP to the default legacy factor', async () => {
+    const expectedFactor = summarizeMfaFactors(legacySettings()).find((factor) => factor.is_default);
+
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send({ username: 'legacy', password: 'Secret123!' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.mfa_token).toEqual(expect.any(String));
+    expect(notification.sendSMS).toHaveBeenCalledTimes(1);
+    expect(notification.sendSMS.mock.calls[0][0]).toBe('+628123456789');
+
+    // Faktor yang dikirimi kode tersimpan dengan ID yang sama seperti yang ditampilkan saat login
+    const saved = user.mfa_settings.factors.find((factor) => factor.type === 'sms');
+    expect(saved.id).toBe(expectedFactor.id);
+    expect(saved.current_otp).toEqual(expect.any(String));
+  });
+});
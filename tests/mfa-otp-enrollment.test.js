@@ -0,0 +1,286 @@
+/**
+ * Pendaftaran faktor SMS dan email melalui endpoint setup, resend, dan verify
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+delete process.env.OTP_RESEND_INTERVAL_SECONDS;
+delete process.env.OTP_MAX_SENDS_PER_HOUR;
+
+const { notification } = mockExternalModules();
+
+const { sequelize, UserModel, TokenModel, ProviderKeyModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+const { hashData } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const TOKEN_ID = '3d2c1b0a-9f8e-4d7c-8b6a-5f4e3d2c1b0a';
+const PHONE_NUMBER = '+628123456789';
+const PASSWORD = 'Secret123!';
+const START = Date.UTC(2026, 0, 1);
+
+describe('SMS and email factor enrollment', () => {
+  let app;
+  let providerKey;
+  let storedSettings;
+  let now;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      is_locked: false,
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.Roles = [];
+    user.save.mockImplementation(async function () {
+      storedSettings = structuredClone(this.mfa_settings);
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Request ke endpoint MFA dengan access token user
+   * JWT ditandatangani per request agar iat/exp mengikuti waktu pengujian
+   * @param {string} path - Path di bawah /api/v1/mfa
+   * @param {Object} [body] - Body request
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const post = (path, body = {}) =>
+    request(app)
+      .post(`/api/v1/mfa${path}`)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .set('Authorization', `Bearer ${signTestJwt(providerKey, { token_id: TOKEN_ID, consumer: CONSUMER_NAME })}`)
+      .send(body);
+
+  /**
+   * Kode 6 digit dari pesan terakhir pada kanal tertentu
+   * @param {string} channel - Kanal pengiriman (sms, email)
+   * @returns {string} Kode verifikasi
+   */
+  const lastSentCode = (channel) => {
+    const text = channel === 'sms'
+      ? notification.sendSMS.mock.calls.at(-1)[1]
+      : notification.sendEmail.mock.calls.at(-1)[0].text;
+    return text.match(/\d{6}/)[0];
+  };
+
+  /**
+   * Kode 6 digit yang berbeda dari kode yang dikirim
+   * @param {string} code - Kode yang dikirim
+   * @returns {string} Kode lain
+   */
+  const otherCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = createProviderKey();
+  });
+
+  beforeEach(async () => {
+    storedSettings = { enabled: false, factors: [], backup_codes: [] };
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    await mockConsumer();
+    const accessToken = buildInstance(TokenModel, {
+      id: TOKEN_ID,
+      user_id: USER_ID,
+      consumer_id: CONSUMER_ID,
+      provider_key_id: providerKey.key.id,
+      token_type: 'access',
+      token_hash: hashData(crypto.randomUUID()),
+      is_revoked: false,
+      expires_at: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+    });
+
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async () => loadUser());
+    jest.spyOn(TokenModel, 'findByPk').mockResolvedValue(accessToken);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendSMS.mockClear();
+    notification.sendEmail.mockClear();
+  });
+
+  describe('SMS', () => {
+    test('the code sent to the phone enables SMS MFA and returns backup codes for the first factor', async () => {
+      const setup = await post('/sms/setup', { phone_number: PHONE_NUMBER, label: 'Phone' });
+
+      expect(setup.status).toBe(200);
+      expect(notification.sendSMS).toHaveBeenCalledWith(PHONE_NUMBER, expect.stringContaining('10 menit'));
+      expect(storedSettings.factors).toEqual([
+        expect.objectContaining({ type: 'sms', label: 'Phone', phone_number: PHONE_NUMBER, verified: false })
+      ]);
+      // Kode hanya tersimpan terenkripsi
+      expect(JSON.stringify(storedSettings)).not.toContain(lastSentCode('sms'));
+
+      const verify = await post('/sms/verify', { code: lastSentCode('sms') });
+
+      expect(verify.status).toBe(200);
+      expect(verify.body.data.backupCodes).toEqual(expect.any(Array));
+      expect(storedSettings).toMatchObject({ enabled: true, default_factor_id: storedSettings.factors[0].id });
+      expect(storedSettings.factors[0]).toMatchObject({ verified: true });
+      expect(storedSettings.factors[0]).not.toHaveProperty('verification_code');
+    });
+
+    test('a wrong or expired code leaves the factor unverified', async () => {
+      await post('/sms/setup', { phone_number: PHONE_NUMBER });
+      const code = lastSentCode('sms');
+
+      const wrong = await post('/sms/verify', { code: otherCode(code) });
+      now += 10 * 60 * 1000 + 1;
+      const expired = await post('/sms/verify', { code });
+
+      expect(wrong.status).toBe(400);
+      expect(wrong.body.message).toBe('Kode verifikasi tidak valid');
+      expect(expired.status).toBe(400);
+      expect(expired.body.message).toBe('Kode verifikasi sudah kedaluwarsa');
+      expect(storedSettings).toMatchObject({ enabled: false, factors: [{ verified: false }] });
+    });
+
+    test('resend is refused within the resend interval, then sends a new code', async () => {
+      await post('/sms/setup', { phone_number: PHONE_NUMBER });
+
+      now += 30 * 1000;
+      const early = await post('/sms/resend');
+
+      expect(early.status).toBe(429);
+      expect(early.headers['retry-after']).toBe('30');
+      expect(notification.sendSMS).toHaveBeenCalledTimes(1);
+
+      now += 30 * 1000;
+      const resent = await post('/sms/resend');
+
+      expect(resent.status).toBe(200);
+      expect(notification.sendSMS).toHaveBeenCalledTimes(2);
+      expect(notification.sendSMS.mock.calls[1][0]).toBe(PHONE_NUMBER);
+      // Faktor yang sama dengan kode baru yang berlaku 10 menit sejak pengiriman ulang
+      expect(storedSettings.factors).toEqual([
+        expect.objectContaining({
+          phone_number: PHONE_NUMBER,
+          verification_code_expires_at: new Date(now + 10 * 60 * 1000).toISOString()
+        })
+      ]);
+      expect((await post('/sms/verify', { code: lastSentCode('sms') })).status).toBe(200);
+    });
+
+    test('at most five codes are sent per hour, including setups of a new number', async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await post('/sms/setup', { phone_number: `+62812345678${i}` })).status).toBe(200);
+        now += 60 * 1000;
+      }
+
+      const sixth = await post('/sms/resend');
+
+      expect(sixth.status).toBe(429);
+      // Pengiriman pertama keluar dari window satu jam setelah 55 menit lagi
+      expect(sixth.headers['retry-after']).toBe(String(55 * 60));
+      expect(notification.sendSMS).toHaveBeenCalledTimes(5);
+
+      now = START + 60 * 60 * 1000;
+      expect((await post('/sms/resend')).status).toBe(200);
+    });
+
+    test('resend and verify without a pending SMS factor are rejected', async () => {
+      const resend = await post('/sms/resend');
+      const verify = await post('/sms/verify', { code: '123456' });
+
+      expect(resend.status).toBe(400);
+      expect(resend.body.message).toBe('SMS MFA belum di-setup');
+      expect(verify.status).toBe(400);
+      expect(notification.sendSMS).not.toHaveBeenCalled();
+    });
+
+    test('an enrolled phone number cannot be enrolled again', async () => {
+      await post('/sms/setup', { phone_number: PHONE_NUMBER });
+      await post('/sms/verify', { code: lastSentCode('sms') });
+
+      now += 60 * 1000;
+      const again = await post('/sms/setup', { phone_number: PHONE_NUMBER, current_password: PASSWORD });
+
+      expect(again.status).toBe(409);
+      expect(storedSettings.factors).toHaveLength(1);
+      expect(notification.sendSMS).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+      ['a phone number that is not 10-15 digits', '/sms/setup', { phone_number: '12345' }],
+      ['a missing phone number', '/sms/setup', {}],
+      ['a code that is not 6 digits', '/sms/verify', { code: '12345' }]
+    ])('%s fails validation', async (_, path, body) => {
+      const response = await post(path, body);
+
+      expect(response.status).toBe(422);
+      expect(notification.sendSMS).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('email', () => {
+    test('the profile email is used when no address is given', async () => {
+      const setup = await post('/email/setup');
+
+      expect(setup.status).toBe(200);
+      expect(notification.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'alice@example.com',
+        subject: 'Verifikasi MFA',
+        text: expect.stringContaining('30 menit')
+      }));
+
+      const verify = await post('/email/verify', { code: lastSentCode('email') });
+
+      expect(verify.status).toBe(200);
+      expect(storedSettings.factors).toEqual([
+        expect.objectContaining({ type: 'email', address: 'alice@example.com', verified: true })
+      ]);
+    });
+
+    test('another address can be enrolled and the code is resent to it', async () => {
+      await post('/email/setup', { email: 'alice.work@example.com' });
+
+      now += 60 * 1000;
+      const resent = await post('/email/resend');
+
+      expect(resent.status).toBe(200);
+      expect(notification.sendEmail).toHaveBeenCalledTimes(2);
+      expect(notification.sendEmail.mock.calls[1][0].to).toBe('alice.work@example.com');
+      expect((await post('/email/verify', { code: lastSentCode('email') })).status).toBe(200);
+    });
+
+    test('SMS and email sends are throttled separately', async () => {
+      await post('/sms/setup', { phone_number: PHONE_NUMBER });
+
+      expect((await post('/email/setup')).status).toBe(200);
+      expect((await post('/email/resend')).status).toBe(429);
+    });
+
+    test('an invalid address fails validation', async () => {
+      const response = await post('/email/setup', { email: 'not-an-email' });
+
+      expect(response.status).toBe(422);
+      expect(notification.sendEmail).not.toHaveBeenCalled();
+    });
+  });
+});
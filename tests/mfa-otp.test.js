@@ -0,0 +1,98 @@
+/**
+ * Pengiriman dan verifikasi OTP login faktor SMS
+ */
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { buildInstance } from './helpers/models.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+const { notification } = mockExternalModules();
+
+const { sequelize, UserModel } = await import('../src/models/index.model.js');
+const { generateAndSendSMSOTP, verifySMSOTP } = await import('../src/services/mfa.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const FACTOR_ID = '7c1e2d3f-4a5b-4c6d-8e7f-9a0b1c2d3e4f';
+
+describe('SMS OTP', () => {
+  // Baris user pada "database" pengujian
+  let storedSettings;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      is_active: true,
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.save.mockImplementation(async function () {
+      storedSettings = structuredClone(this.mfa_settings);
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Kode OTP dari pesan SMS terakhir
+   * @returns {string} Kode 6 digit
+   */
+  const lastSentCode = () => notification.sendSMS.mock.calls.at(-1)[1].match(/\d{6}/)[0];
+
+  beforeEach(() => {
+    storedSettings = {
+      enabled: true,
+      default_factor_id: FACTOR_ID,
+      factors: [
+        {
+          id: FACTOR_ID,
+          type: 'sms',
+          label: 'Phone',
+          phone_number: '+628123456789',
+          verified: true
+        }
+      ],
+      backup_codes: []
+    };
+
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendSMS.mockClear();
+  });
+
+  test('the sent code verifies once', async () => {
+    const sent = await generateAndSendSMSOTP(USER_ID);
+    const code = lastSentCode();
+
+    expect(sent.success).toBe(true);
+    expect(notification.sendSMS.mock.calls[0][0]).toBe('+628123456789');
+    expect(storedSettings.factors[0].current_otp).not.toContain(code);
+
+    const verified = await verifySMSOTP(USER_ID, code);
+    const replay = await verifySMSOTP(USER_ID, code);
+
+    expect(verified.success).toBe(true);
+    expect(replay.success).toBe(false);
+  });
+
+  test.each([
+    ['a different code', (code) => String((Number(code) + 1) % 1000000).padStart(6, '0')],
+    ['a shorter code', (code) => code.slice(0, 5)],
+    ['a longer code', (code) => `${code}0`]
+  ])('%s is rejected', async (description, alter) => {
+    await generateAndSendSMSOTP(USER_ID);
+
+    const result = await verifySMSOTP(USER_ID, alter(lastSentCode()));
+
+    expect(result.success).toBe(false);
+    expect(storedSettings.factors[0].current_otp).toEqual(expect.any(String));
+  });
+});
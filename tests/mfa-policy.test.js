@@ -0,0 +1,315 @@
+/**
+ * Kebijakan kewajiban MFA per role dan per consumer, dengan masa tenggang pendaftaran
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { Op } from 'sequelize';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  RoleModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaPolicyModel,
+  MfaChallengeModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+const { encryptWithDataKey } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const ADMIN_ID = '9c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e5f';
+const STAFF_ROLE_ID = '2a3b4c5d-6e7f-4a8b-9c0d-1e2f3a4b5c6d';
+const ADMIN_ROLE_ID = '8f7e6d5c-4b3a-4291-8e7f-6d5c4b3a2910';
+const OTHER_CONSUMER_ID = '6a5b4c3d-2e1f-4a0b-9c8d-7e6f5a4b3c2d';
+const PASSWORD = 'Secret123!';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('MFA policies', () => {
+  let app;
+  let providerKey;
+  let addToken;
+  let policies;
+  let storedSettings;
+
+  /**
+   * Membaca pengguna dari "database"; alice memegang role staff, admin memegang role admin
+   * @param {string} id - ID pengguna
+   * @returns {Object} Instance User
+   */
+  const loadUser = (id) => {
+    const isAdmin = id === ADMIN_ID;
+    const user = buildInstance(UserModel, {
+      id,
+      username: isAdmin ? 'admin' : 'alice',
+      email: isAdmin ? 'admin@example.com' : 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: isAdmin ? {} : structuredClone(storedSettings)
+    });
+    user.Roles = [isAdmin ? { id: ADMIN_ROLE_ID, name: 'admin' } : { id: STAFF_ROLE_ID, name: 'staff' }];
+    user.save.mockImplementation(async function (options = {}) {
+      if (!isAdmin && (!options.fields || options.fields.includes('mfa_settings'))) {
+        storedSettings = structuredClone(this.mfa_settings);
+      }
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Request dengan kredensial consumer pengujian
+   * @param {string} method - Method HTTP (get, post)
+   * @param {string} path - Path endpoint
+   * @param {string} [accessToken] - Access token (tanpa header Authorization jika kosong)
+   * @returns {Object} Request supertest
+   */
+  const api = (method, path, accessToken) => {
+    const pending = request(app)[method](path)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME);
+    return accessToken ? pending.set('Authorization', `Bearer ${accessToken}`) : pending;
+  };
+
+  /**
+   * Access token admin
+   * @returns {string} JWT
+   */
+  const adminToken = () =>
+    signTestJwt(providerKey, { token_id: addToken({ user_id: ADMIN_ID }).id, consumer: CONSUMER_NAME });
+
+  /**
+   * Membuat kebijakan melalui API admin
+   * @param {Object} body - Data kebijakan
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const createPolicy = (body) =>
+    api('post', '/api/v1/admin/mfa-policies', adminToken()).send(body);
+
+  /**
+   * Login alice dengan password
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const login = () => api('post', '/api/v1/auth/login').send({ username: 'alice', password: PASSWORD });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    policies = [];
+    storedSettings = { enabled: false, factors: [], backup_codes: [] };
+    ({ addToken } = mockTokenStore(TokenModel, { provider_key_id: providerKey.key.id }));
+
+    await mockConsumer();
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByUsername').mockImplementation(async () => loadUser(USER_ID));
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async (id) => loadUser(id));
+    jest.spyOn(RoleModel, 'findByPk').mockImplementation(async (id) =>
+      [STAFF_ROLE_ID, ADMIN_ROLE_ID].includes(id) ? { id } : null
+    );
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(MfaPolicyModel, 'findOne').mockImplementation(async ({ where }) =>
+      policies.find((policy) => policy.name === where.name) || null
+    );
+    jest.spyOn(MfaPolicyModel, 'create').mockImplementation(async (values) => {
+      const policy = buildInstance(MfaPolicyModel, { id: crypto.randomUUID(), ...values });
+      policies.push(policy);
+      return policy;
+    });
+    // Query findApplicable: kebijakan aktif untuk consumer login atau salah satu role pengguna
+    jest.spyOn(MfaPolicyModel, 'findAll').mockImplementation(async ({ where }) =>
+      policies.filter((policy) =>
+        policy.is_active === where.is_active &&
+        where[Op.or].some((target) =>
+          target.target_type === policy.target_type &&
+          (policy.target_type === 'consumer'
+            ? policy.consumer_id === target.consumer_id
+            : target.role_id[Op.in].includes(policy.role_id))
+        )
+      )
+    );
+    jest.spyOn(MfaChallengeModel, 'create').mockImplementation(async (values) => ({
+      id: crypto.randomUUID(),
+      ...values
+    }));
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('administration', () => {
+    test('an admin creates a role policy', async () => {
+      const response = await createPolicy({
+        name: 'Staff MFA',
+        targetType: 'role',
+        roleId: STAFF_ROLE_ID,
+        graceDays: 7
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        name: 'Staff MFA',
+        target_type: 'role',
+        role_id: STAFF_ROLE_ID,
+        consumer_id: null,
+        grace_days: 7,
+        is_active: true,
+        created_by: ADMIN_ID
+      });
+    });
+
+    test.each([
+      ['an unknown role', { name: 'Ghost role', targetType: 'role', roleId: crypto.randomUUID() }, 404],
+      ['a duplicate name', { name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID }, 409],
+      ['a role policy with a consumer', { name: 'Mixed', targetType: 'role', roleId: STAFF_ROLE_ID, consumerId: CONSUMER_ID }, 422],
+      ['a missing target type', { name: 'No target' }, 422]
+    ])('%s is rejected', async (_, body, status) => {
+      await createPolicy({ name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID });
+
+      const response = await createPolicy(body);
+
+      expect(response.status).toBe(status);
+      expect(policies).toHaveLength(1);
+    });
+
+    test('only admins can manage policies', async () => {
+      const userToken = signTestJwt(providerKey, { token_id: addToken({ user_id: USER_ID }).id, consumer: CONSUMER_NAME });
+
+      const response = await api('post', '/api/v1/admin/mfa-policies', userToken)
+        .send({ name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID });
+
+      expect(response.status).toBe(403);
+      expect(policies).toEqual([]);
+    });
+  });
+
+  describe('enforcement at login', () => {
+    test('without an applicable policy login is unchanged', async () => {
+      await createPolicy({ name: 'Admin MFA', targetType: 'role', roleId: ADMIN_ROLE_ID });
+      await createPolicy({ name: 'Other portal', targetType: 'consumer', consumerId: OTHER_CONSUMER_ID });
+      await createPolicy({ name: 'Paused', targetType: 'role', roleId: STAFF_ROLE_ID, isActive: false });
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Login berhasil');
+      expect(response.body.data).not.toHaveProperty('mfa_enrollment_required');
+      expect(storedSettings).not.toHaveProperty('policy_enforcement_started_at');
+    });
+
+    test('a role policy in its grace period lets the user in with an enrollment deadline', async () => {
+      await createPolicy({ name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID, graceDays: 7 });
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Login berhasil, segera aktifkan MFA sebelum batas waktu');
+      expect(response.body.data).toMatchObject({
+        token: expect.any(String),
+        mfa_enrollment_required: true,
+        mfa_policies: ['Staff MFA']
+      });
+      const startedAt = new Date(storedSettings.policy_enforcement_started_at).getTime();
+      expect(new Date(response.body.data.mfa_enrollment_deadline).getTime()).toBe(startedAt + 7 * DAY_MS);
+    });
+
+    test('the grace period starts at the first enforced login and is not restarted', async () => {
+      await createPolicy({ name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID, graceDays: 7 });
+      storedSettings.policy_enforcement_started_at = new Date(Date.now() - 3 * DAY_MS).toISOString();
+      const startedAt = storedSettings.policy_enforcement_started_at;
+
+      const response = await login();
+
+      expect(storedSettings.policy_enforcement_started_at).toBe(startedAt);
+      expect(new Date(response.body.data.mfa_enrollment_deadline).getTime())
+        .toBe(new Date(startedAt).getTime() + 7 * DAY_MS);
+    });
+
+    test('a consumer policy applies to every user of that consumer, and the shortest grace period wins', async () => {
+      await createPolicy({ name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID, graceDays: 30 });
+      await createPolicy({ name: 'Finance portal', targetType: 'consumer', consumerId: CONSUMER_ID, graceDays: 2 });
+
+      const response = await login();
+
+      expect(response.body.data.mfa_policies).toEqual(['Staff MFA', 'Finance portal']);
+      const startedAt = new Date(storedSettings.policy_enforcement_started_at).getTime();
+      expect(new Date(response.body.data.mfa_enrollment_deadline).getTime()).toBe(startedAt + 2 * DAY_MS);
+    });
+
+    test('after the grace period login only issues a token restricted to MFA enrollment', async () => {
+      await createPolicy({ name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID, graceDays: 7 });
+      storedSettings.policy_enforcement_started_at = new Date(Date.now() - 8 * DAY_MS).toISOString();
+
+      const response = await login();
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({
+        mfa_enrollment_required: true,
+        enrollment_token: expect.any(String),
+        mfa_policies: ['Staff MFA']
+      });
+      expect(response.body.data).not.toHaveProperty('token');
+      expect(TokenModel.create).toHaveBeenCalledTimes(1);
+      expect(TokenModel.create).toHaveBeenCalledWith(expect.objectContaining({ token_type: 'access' }));
+
+      const { enrollment_token: enrollmentToken } = response.body.data;
+      expect((await api('get', '/api/v1/mfa', enrollmentToken)).status).toBe(200);
+      expect((await api('get', '/api/v1/mfa/trusted-devices', enrollmentToken)).status).toBe(401);
+    });
+
+    test('a policy with no grace period requires enrollment at the first login', async () => {
+      await createPolicy({ name: 'Finance portal', targetType: 'consumer', consumerId: CONSUMER_ID });
+
+      const response = await login();
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.enrollment_token).toEqual(expect.any(String));
+    });
+
+    test('a user who already uses MFA gets the normal MFA challenge', async () => {
+      await createPolicy({ name: 'Staff MFA', targetType: 'role', roleId: STAFF_ROLE_ID });
+      const factorId = crypto.randomUUID();
+      storedSettings = {
+        enabled: true,
+        default_factor_id: factorId,
+        factors: [{
+          id: factorId,
+          type: 'totp',
+          label: 'Authenticator app',
+          secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+          verified: true
+        }],
+        backup_codes: []
+      };
+
+      const response = await login();
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ mfa_required: true, mfa_token: expect.any(String) });
+      expect(response.body.data).not.toHaveProperty('enrollment_token');
+    });
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Pemulihan MFA: permintaan dari pengguna yang kehilangan seluruh faktor dan peninjauan oleh admin
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { notification } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaChallengeModel,
+  MfaRecoveryRequestModel,
+  TrustedDeviceModel,
+  AuditLogModel
+} = await import('../src/models/index.model.js');
+const { encryptWithDataKey, hashData } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const ADMIN_ID = '9c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e5f';
+const FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const REQUEST_ID = '7e6d5c4b-3a29-4180-9f7e-6d5c4b3a2918';
+const ADMIN_TOKEN_ID = '3d2c1b0a-9f8e-4d7c-8b6a-5f4e3d2c1b0a';
+
+describe('MFA recovery', () => {
+  let app;
+  let providerKey;
+  let storedSettings;
+  let recoveryRequest;
+  let challenge;
+
+  /**
+   * Membaca pengguna dari "database"; admin memiliki role admin
+   * @param {string} id - ID pengguna
+   * @returns {Object} Instance User
+   */
+  const loadUser = (id) => {
+    const user = buildInstance(UserModel, {
+      id,
+      username: id === ADMIN_ID ? 'admin' : 'alice',
+      email: id === ADMIN_ID ? 'admin@example.com' : 'alice@example.com',
+      is_active: true,
+      is_locked: false,
+      mfa_settings: id === ADMIN_ID ? {} : structuredClone(storedSettings)
+    });
+    user.Roles = [{ name: id === ADMIN_ID ? 'admin' : 'user' }];
+    user.save.mockImplementation(async function () {
+      if (id === USER_ID) {
+        storedSettings = structuredClone(this.mfa_settings);
+      }
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Permintaan pemulihan pada "database"
+   * @param {Object} [attributes] - Atribut tambahan
+   * @returns {Object} Instance MfaRecoveryRequest
+   */
+  const buildRecoveryRequest = (attributes = {}) =>
+    buildInstance(MfaRecoveryRequestModel, {
+      id: REQUEST_ID,
+      user_id: USER_ID,
+      consumer_id: CONSUMER_ID,
+      status: 'pending',
+      reason: 'Phone lost',
+      created_at: new Date(),
+      ...attributes
+    });
+
+  /**
+   * Request admin untuk memutuskan permintaan pemulihan
+   * @param {string} decision - approve atau reject
+   * @param {Object} [body] - Body request
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const review = (decision, body = {}) =>
+    request(app)
+      .post(`/api/v1/admin/mfa-recovery-requests/${REQUEST_ID}/${decision}`)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .set('Authorization', `Bearer ${signTestJwt(providerKey, { token_id: ADMIN_TOKEN_ID, consumer: CONSUMER_NAME })}`)
+      .send(body);
+
+  /**
+   * Audit log dengan event type tertentu
+   * @param {string} eventType - Event type
+   * @returns {Object[]} Data audit log
+   */
+  const audits = (eventType) =>
+    AuditLogModel.create.mock.calls
+      .map(([data]) => data)
+      .filter((data) => data.event_type === eventType);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = createProviderKey();
+  });
+
+  beforeEach(async () => {
+    storedSettings = {
+      enabled: true,
+      default_factor_id: FACTOR_ID,
+      factors: [
+        {
+          id: FACTOR_ID,
+          type: 'totp',
+          label: 'Authenticator app',
+          secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+          verified: true
+        }
+      ],
+      backup_codes: []
+    };
+    recoveryRequest = buildRecoveryRequest();
+    challenge = {
+      id: crypto.randomUUID(),
+      challenge_hash: hashData('mfa-token'),
+      user_id: USER_ID,
+      consumer_id: CONSUMER_ID,
+      attempts: 0,
+      max_attempts: 5,
+      expires_at: new Date(Date.now() + 5 * 60 * 1000)
+    };
+
+    await mockConsumer();
+    const adminToken = buildInstance(TokenModel, {
+      id: ADMIN_TOKEN_ID,
+      user_id: ADMIN_ID,
+      consumer_id: CONSUMER_ID,
+      provider_key_id: providerKey.key.id,
+      token_type: 'access',
+      token_hash: hashData(crypto.randomUUID()),
+      is_revoked: false,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async (id) => loadUser(id));
+    jest.spyOn(TokenModel, 'findByPk').mockResolvedValue(adminToken);
+    jest.spyOn(TokenModel, 'revokeAllForUser').mockResolvedValue(3);
+    jest.spyOn(TrustedDeviceModel, 'revokeForUser').mockResolvedValue(1);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(MfaChallengeModel, 'findByHash').mockImplementation(async (hash) =>
+      hash === challenge.challenge_hash ? challenge : null
+    );
+    jest.spyOn(MfaChallengeModel, 'consume').mockImplementation(async () => {
+      if (challenge.consumed_at) {
+        return false;
+      }
+      challenge.consumed_at = new Date();
+      return true;
+    });
+    jest.spyOn(MfaRecoveryRequestModel, 'findPendingByUser').mockResolvedValue(null);
+    jest.spyOn(MfaRecoveryRequestModel, 'create').mockImplementation(async (values) =>
+      buildRecoveryRequest({ reason: null, ...values })
+    );
+    jest.spyOn(MfaRecoveryRequestModel, 'findByPk').mockImplementation(async (id) =>
+      id === REQUEST_ID ? recoveryRequest : null
+    );
+    // Update bersyarat: hanya permintaan pending yang dapat diputuskan
+    jest.spyOn(MfaRecoveryRequestModel, 'decide').mockImplementation(async (id, decision) => {
+      if (recoveryRequest.status !== 'pending') {
+        return false;
+      }
+      recoveryRequest.set({
+        status: decision.status,
+        reviewed_by: decision.reviewedBy,
+        reviewed_at: new Date(),
+        review_note: decision.note || null
+      });
+      return true;
+    });
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendEmail.mockClear();
+  });
+
+  describe('request', () => {
+    /**
+     * Request pemulihan dengan challenge MFA dari login
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const requestRecovery = () =>
+      request(app)
+        .post('/api/v1/auth/login/mfa/recovery')
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send({ mfa_token: 'mfa-token', reason: 'Phone lost' });
+
+    test('a user past the password step can request an MFA reset', async () => {
+      const response = await requestRecovery();
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ request_id: REQUEST_ID, status: 'pending' });
+      expect(MfaRecoveryRequestModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        reason: 'Phone lost'
+      }));
+      expect(notification.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'alice@example.com',
+        subject: 'Permintaan pemulihan MFA'
+      }));
+      expect(audits('mfa_recovery_requested')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          metadata: expect.objectContaining({ recovery_request_id: REQUEST_ID, reason: 'Phone lost' })
+        })
+      ]);
+      // MFA tidak berubah sampai admin menyetujui
+      expect(storedSettings.enabled).toBe(true);
+    });
+
+    test('the MFA challenge cannot be used again after the request', async () => {
+      await requestRecovery();
+
+      const again = await requestRecovery();
+
+      expect(again.status).toBe(401);
+      expect(MfaRecoveryRequestModel.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('a pending request is returned instead of creating another one', async () => {
+      MfaRecoveryRequestModel.findPendingByUser.mockResolvedValue(recoveryRequest);
+
+      const response = await requestRecovery();
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.request_id).toBe(REQUEST_ID);
+      expect(MfaRecoveryRequestModel.create).not.toHaveBeenCalled();
+      expect(notification.sendEmail).not.toHaveBeenCalled();
+      expect(audits('mfa_recovery_requested')).toEqual([]);
+    });
+  });
+
+  describe('review', () => {
+    test('approval resets MFA, revokes every token and trusted device of the user, and is audited', async () => {
+      const response = await review('approve', { note: 'Identity verified by phone' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        request: { id: REQUEST_ID, status: 'approved', reviewed_by: ADMIN_ID, review_note: 'Identity verified by phone' },
+        tokensRevoked: 3
+      });
+      expect(storedSettings).toMatchObject({
+        enabled: false,
+        factors: [],
+        backup_codes: [],
+        reset: { reset_by: ADMIN_ID, recovery_request_id: REQUEST_ID }
+      });
+      expect(TokenModel.revokeAllForUser).toHaveBeenCalledWith(USER_ID);
+      expect(audits('token_revoked')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          metadata: expect.objectContaining({ reason: 'mfa_recovery', all_tokens: true, revoked_count: 3 })
+        })
+      ]);
+      expect(TrustedDeviceModel.revokeForUser).toHaveBeenCalledWith(USER_ID, { revokedBy: ADMIN_ID });
+      expect(audits('mfa_recovery_approved')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          metadata: expect.objectContaining({ initiated_by: ADMIN_ID, recovery_request_id: REQUEST_ID, tokens_revoked: 3 })
+        })
+      ]);
+      expect(notification.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'alice@example.com',
+        subject: 'MFA Anda telah di-reset'
+      }));
+    });
+
+    test('rejection leaves MFA and tokens untouched', async () => {
+      const response = await review('reject', { note: 'Could not verify identity' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.request).toMatchObject({ status: 'rejected', reviewed_by: ADMIN_ID });
+      expect(storedSettings.enabled).toBe(true);
+      expect(TokenModel.revokeAllForUser).not.toHaveBeenCalled();
+      expect(audits('mfa_recovery_rejected')).toHaveLength(1);
+      expect(notification.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        subject: 'Permintaan pemulihan MFA ditolak'
+      }));
+    });
+
+    test('a request can be decided only once', async () => {
+      expect((await review('reject')).status).toBe(200);
+
+      const approve = await review('approve');
+
+      expect(approve.status).toBe(409);
+      expect(storedSettings.enabled).toBe(true);
+      expect(TokenModel.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    test('a request decided concurrently by another admin is not applied twice', async () => {
+      MfaRecoveryRequestModel.decide.mockResolvedValue(false);
+
+      const response = await review('approve');
+
+      expect(response.status).toBe(409);
+      expect(storedSettings.enabled).toBe(true);
+      expect(TokenModel.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    test('an admin cannot review their own recovery request', async () => {
+      recoveryRequest = buildRecoveryRequest({ user_id: ADMIN_ID });
+
+      const response = await review('approve');
+
+      expect(response.status).toBe(403);
+      expect(MfaRecoveryRequestModel.decide).not.toHaveBeenCalled();
+    });
+
+    test('an unknown request is not found', async () => {
+      MfaRecoveryRequestModel.findByPk.mockResolvedValue(null);
+
+      const response = await review('approve');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('only admins can review recovery requests', async () => {
+      TokenModel.findByPk.mockResolvedValue(buildInstance(TokenModel, {
+        id: ADMIN_TOKEN_ID,
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        provider_key_id: providerKey.key.id,
+        token_type: 'access',
+        token_hash: hashData(crypto.randomUUID()),
+        is_revoked: false,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000)
+      }));
+
+      const response = await review('approve');
+
+      expect(response.status).toBe(403);
+      expect(MfaRecoveryRequestModel.decide).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Perlindungan replay kode TOTP dan audit lockout challenge MFA
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { buildInstance } from './helpers/models.js';
+import { mockTransactions } from './helpers/transactions.js';
+import { CONSUMER_ID, mockConsumer } from './helpers/consumers.js';
+
+const { speakeasy } = mockExternalModules();
+
+const { sequelize, UserModel, MfaChallengeModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+const { encryptWithDataKey, hashData } = await import('../src/services/crypto.service.js');
+const { verifyFactorCode, renameFactor } = await import('../src/services/mfa.service.js');
+const { verifyMfaChallenge } = await import('../src/services/auth.service.js');
+
+const VALID_CODE = '123456';
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+
+describe('TOTP verification', () => {
+  // Baris user pada "database" pengujian
+  let storedSettings;
+  let waitForRowLock;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @param {string} id - ID user
+   * @param {Object} options - Opsi findByPk
+   * @returns {Object} Instance User
+   */
+  const loadUser = (id, options) => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      is_active: true,
+      is_locked: false,
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.save.mockImplementation(async function () {
+      // UPDATE tanpa kunci baris menunggu transaksi yang memegang kunci
+      if (!options.lock) {
+        await waitForRowLock();
+      }
+      storedSettings = structuredClone(this.mfa_settings);
+      return this;
+    });
+    return user;
+  };
+
+  beforeEach(() => {
+    storedSettings = {
+      enabled: true,
+      default_factor_id: FACTOR_ID,
+      factors: [
+        {
+          id: FACTOR_ID,
+          type: 'totp',
+          label: 'Authenticator app',
+          secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+          verified: true
+        }
+      ],
+      backup_codes: []
+    };
+
+    speakeasy.totp.verifyDelta.mockImplementation(({ token }) =>
+      token === VALID_CODE ? { delta: 0 } : undefined
+    );
+    const transactions = mockTransactions(sequelize);
+    waitForRowLock = transactions.waitForRowLock;
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(transactions.lockingFindByPk(loadUser));
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a code is rejected when replayed in the same time step', async () => {
+    const first = await verifyFactorCode(USER_ID, VALID_CODE);
+    const replay = await verifyFactorCode(USER_ID, VALID_CODE);
+
+    expect(first.success).toBe(true);
+    expect(replay.success).toBe(false);
+    expect(replay.code).toBe('INVALID_OTP');
+    expect(Number.isInteger(storedSettings.factors[0].last_totp_step)).toBe(true);
+  });
+
+  test('concurrent verifications accept the same code only once', async () => {
+    const results = await Promise.all([
+      verifyFactorCode(USER_ID, VALID_CODE),
+      verifyFactorCode(USER_ID, VALID_CODE)
+    ]);
+
+    expect(results.filter((result) => result.success)).toHaveLength(1);
+    expect(UserModel.findByPk).toHaveBeenCalledWith(
+      USER_ID,
+      expect.objectContaining({ lock: 'UPDATE' })
+    );
+  });
+
+  test('a factor change running during verification keeps the recorded TOTP step', async () => {
+    const [verified, renamed] = await Promise.all([
+      verifyFactorCode(USER_ID, VALID_CODE),
+      renameFactor(USER_ID, FACTOR_ID, 'Work phone')
+    ]);
+
+    expect(verified.success).toBe(true);
+    expect(renamed.success).toBe(true);
+    expect(storedSettings.factors[0].label).toBe('Work phone');
+    expect(Number.isInteger(storedSettings.factors[0].last_totp_step)).toBe(true);
+
+    const replay = await verifyFactorCode(USER_ID, VALID_CODE);
+    expect(replay.code).toBe('INVALID_OTP');
+  });
+
+  test('the last wrong code on a challenge records an MFA lockout', async () => {
+    const challenge = {
+      id: crypto.randomUUID(),
+      challenge_hash: hashData('mfa-token'),
+      user_id: USER_ID,
+      consumer_id: CONSUMER_ID,
+      ip_address: '127.0.0.1',
+      attempts: 4,
+      max_attempts: 5,
+      expires_at: new Date(Date.now() + 60 * 1000)
+    };
+    jest.spyOn(MfaChallengeModel, 'findByHash').mockResolvedValue(challenge);
+    jest.spyOn(MfaChallengeModel, 'registerAttempt').mockResolvedValue(true);
+    jest.spyOn(MfaChallengeModel, 'consume').mockResolvedValue(true);
+    await mockConsumer();
+
+    const result = await verifyMfaChallenge(
+      { mfaToken: 'mfa-token', code: '000000' },
+      { consumerId: CONSUMER_ID, ipAddress: '127.0.0.1', flow: 'authorization_code' }
+    );
+
+    expect(result.code).toBe('INVALID_MFA');
+    expect(result.attemptsRemaining).toBe(0);
+    expect(MfaChallengeModel.consume).toHaveBeenCalledWith(challenge.id);
+    expect(AuditLogModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user_id: USER_ID,
+        event_type: 'mfa_lockout',
+        status: 'failure',
+        metadata: expect.objectContaining({
+          reason: 'MFA_ATTEMPTS_EXCEEDED',
+          flow: 'authorization_code'
+        })
+      })
+    );
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Script migrasi skema database dari skema awal
+ */
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { buildConsumer } from './helpers/consumers.js';
+
+mockExternalModules();
+
+const models = await import('../src/models/index.model.js');
+const { sequelize, TokenModel, ConsumerModel, ProviderKeyModel, MfaChallengeModel, PushChallengeModel } = models;
+
+// Kolom yang belum ada pada skema awal
+const ADDED_COLUMNS = {
+  access_tokens: ['token_type', 'family_id', 'used_at', 'replaced_by'],
+  users: ['locked_until', 'lockout_count', 'last_failed_at', 'password_breached_at'],
+  provider_keys: ['retire_until'],
+  api_consumers: ['redirect_uris', 'allowed_scopes', 'client_scopes']
+};
+
+const NEW_TABLES = [
+  'AuthorizationCodeModel',
+  'MfaChallengeModel',
+  'WebAuthnChallengeModel',
+  'MfaRecoveryRequestModel',
+  'TrustedDeviceModel',
+  'MfaPolicyModel',
+  'PushChallengeModel',
+  'MagicLinkModel',
+  'PasswordPolicyModel',
+  'PasswordHistoryModel',
+  'ClientAssertionModel'
+];
+
+describe('migrate-schema script', () => {
+  let queryInterface;
+  let consumer;
+  // Kolom tiap tabel pada "database" pengujian
+  const columns = {};
+
+  beforeAll(async () => {
+    for (const Model of [models.UserModel, ConsumerModel, ProviderKeyModel, TokenModel, models.AuditLogModel]) {
+      const missing = ADDED_COLUMNS[Model.tableName] || [];
+      columns[Model.tableName] = Object.fromEntries(
+        Object.keys(Model.getAttributes())
+          .filter((column) => !missing.includes(column))
+          .map((column) => [column, { allowNull: column !== 'user_id', special: [] }])
+      );
+    }
+
+    consumer = await buildConsumer({
+      allowed_scopes: ['openid', 'users:read', 'profile'],
+      client_scopes: []
+    });
+
+    queryInterface = sequelize.getQueryInterface();
+    jest.spyOn(sequelize, 'getQueryInterface').mockReturnValue(queryInterface);
+    jest.spyOn(queryInterface, 'showAllTables').mockResolvedValue(Object.keys(columns));
+    jest.spyOn(queryInterface, 'describeTable').mockImplementation(async ({ tableName }) => columns[tableName]);
+    jest.spyOn(queryInterface, 'addColumn').mockImplementation(async ({ tableName }, column) => {
+      columns[tableName][column] = { allowNull: true, special: [] };
+    });
+    jest.spyOn(queryInterface, 'showIndex').mockResolvedValue([{ name: 'access_tokens_user_id' }]);
+    jest.spyOn(queryInterface, 'addIndex').mockResolvedValue();
+    jest.spyOn(sequelize, 'query').mockResolvedValue([[], 0]);
+    for (const name of NEW_TABLES) {
+      jest.spyOn(models[name], 'sync').mockResolvedValue(models[name]);
+    }
+    jest.spyOn(ProviderKeyModel, 'update').mockResolvedValue([1]);
+    jest.spyOn(ConsumerModel, 'findAll').mockResolvedValue([consumer]);
+    jest.spyOn(sequelize, 'authenticate').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Script berjalan saat di-import dan berakhir dengan menutup koneksi atau process.exit
+    await new Promise((resolve, reject) => {
+      jest.spyOn(sequelize, 'close').mockImplementation(async () => resolve());
+      jest.spyOn(process, 'exit').mockImplementation(() => resolve());
+      import('../scripts/migrate-schema.js').catch(reject);
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the run completes without errors', () => {
+    expect(console.error.mock.calls).toEqual([]);
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  test('new tables are created, push_challenges after mfa_challenges', () => {
+    for (const name of NEW_TABLES) {
+      expect(models[name].sync).toHaveBeenCalledTimes(1);
+    }
+    expect(MfaChallengeModel.sync.mock.invocationCallOrder[0])
+      .toBeLessThan(PushChallengeModel.sync.mock.invocationCallOrder[0]);
+  });
+
+  test('missing columns are added from the model definitions', () => {
+    const added = queryInterface.addColumn.mock.calls.map(([table, column]) => `${table.tableName}.${column}`);
+
+    expect(added.sort()).toEqual(
+      Object.entries(ADDED_COLUMNS)
+        .flatMap(([table, names]) => names.map((column) => `${table}.${column}`))
+        .sort()
+    );
+    expect(queryInterface.addColumn).toHaveBeenCalledWith(
+      expect.objectContaining({ tableName: 'access_tokens', schema: 'auth' }),
+      'token_type',
+      expect.objectContaining({ allowNull: false, defaultValue: 'access' })
+    );
+  });
+
+  test('access_tokens.user_id becomes nullable and family_id is indexed', () => {
+    expect(sequelize.query).toHaveBeenCalledWith(
+      expect.stringMatching(/ALTER TABLE .*"access_tokens" ALTER COLUMN "user_id" DROP NOT NULL/)
+    );
+    expect(queryInterface.addIndex).toHaveBeenCalledWith(
+      expect.objectContaining({ tableName: 'access_tokens', schema: 'auth' }),
+      ['family_id'],
+      { name: 'access_tokens_family_id' }
+    );
+  });
+
+  test('keys deactivated by the old rotation are marked retired', () => {
+    expect(ProviderKeyModel.update).toHaveBeenCalledWith(
+      { status: 'retired' },
+      { where: { status: 'inactive' } }
+    );
+  });
+
+  test('machine scopes move from allowed_scopes to client_scopes', () => {
+    expect(consumer.save).toHaveBeenCalled();
+    expect(consumer.allowed_scopes).toEqual(['openid', 'profile']);
+    expect(consumer.client_scopes).toEqual(['users:read']);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Validasi scope permintaan otorisasi dan verifikasi PKCE saat penukaran authorization code
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, buildConsumer, mockConsumer } from './helpers/consumers.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+mockExternalModules();
+
+const { ConsumerModel, AuthorizationCodeModel, TokenModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+const { hashData } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const REDIRECT_URI = 'https://app.example.com/callback';
+const CODE_VERIFIER = 'a'.repeat(43);
+
+describe('authorization code flow', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  beforeEach(async () => {
+    await mockConsumer({
+      redirect_uris: [REDIRECT_URI],
+      allowed_scopes: ['openid', 'profile']
+    });
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('authorization request', () => {
+    /**
+     * Permintaan ke authorization endpoint dengan scope tertentu
+     * @param {string} scope - Scope yang diminta
+     * @returns {Object} Request supertest
+     */
+    const authorize = (scope) =>
+      request(app)
+        .get('/oauth/authorize')
+        .query({
+          response_type: 'code',
+          client_id: CONSUMER_NAME,
+          redirect_uri: REDIRECT_URI,
+          code_challenge: crypto.createHash('sha256').update(CODE_VERIFIER).digest('base64url'),
+          code_challenge_method: 'S256',
+          scope,
+          state: 'xyz'
+        });
+
+    test('a scope outside allowed_scopes is redirected back as invalid_scope', async () => {
+      const response = await authorize('openid admin');
+
+      expect(response.status).toBe(302);
+      const location = new URL(response.headers.location);
+      expect(`${location.origin}${location.pathname}`).toBe(REDIRECT_URI);
+      expect(location.searchParams.get('error')).toBe('invalid_scope');
+      expect(location.searchParams.get('state')).toBe('xyz');
+    });
+
+    test('a machine scope left in allowed_scopes is not granted to users', async () => {
+      ConsumerModel.findOne.mockResolvedValue(
+        await buildConsumer({
+          redirect_uris: [REDIRECT_URI],
+          allowed_scopes: ['openid', 'users:read']
+        })
+      );
+
+      const response = await authorize('openid users:read');
+
+      expect(response.status).toBe(302);
+      expect(new URL(response.headers.location).searchParams.get('error')).toBe('invalid_scope');
+    });
+
+    test('allowed scopes render the login page', async () => {
+      const response = await authorize('openid profile');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('openid profile');
+    });
+  });
+
+  describe('code exchange', () => {
+    let authCode;
+
+    beforeEach(() => {
+      authCode = buildInstance(AuthorizationCodeModel, {
+        id: crypto.randomUUID(),
+        code_hash: hashData('authorization-code'),
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        redirect_uri: REDIRECT_URI,
+        code_challenge: crypto.createHash('sha256').update(CODE_VERIFIER).digest('base64url'),
+        code_challenge_method: 'S256',
+        scope: 'openid',
+        expires_at: new Date(Date.now() + 60 * 1000)
+      });
+
+      jest.spyOn(AuthorizationCodeModel, 'findByHash').mockImplementation(async (hash) =>
+        hash === authCode.code_hash ? authCode : null
+      );
+      jest.spyOn(AuthorizationCodeModel, 'markUsed').mockResolvedValue(true);
+      jest.spyOn(TokenModel, 'create');
+    });
+
+    test('a code_verifier that does not match the code_challenge is rejected', async () => {
+      const response = await request(app)
+        .post('/oauth/token')
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send({
+          grant_type: 'authorization_code',
+          code: 'authorization-code',
+          redirect_uri: REDIRECT_URI,
+          code_verifier: 'b'.repeat(43)
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('invalid_grant');
+      expect(response.body.error_description).toBe('code_verifier does not match code_challenge');
+      expect(AuthorizationCodeModel.markUsed).not.toHaveBeenCalled();
+      expect(TokenModel.create).not.toHaveBeenCalled();
+    });
+  });
+});
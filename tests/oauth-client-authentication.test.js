@@ -0,0 +1,132 @@
+/**
+ * Otentikasi klien pada token endpoint: client assertion (private_key_jwt) dan HTTP Basic
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { UniqueConstraintError } from 'sequelize';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { CONSUMER_ID, CONSUMER_NAME, buildConsumer } from './helpers/consumers.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.API_BASE_URL = 'https://auth.example.com';
+
+mockExternalModules();
+
+const { ConsumerModel, ClientAssertionModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+
+const TOKEN_ENDPOINT = 'https://auth.example.com/oauth/token';
+
+describe('OAuth client authentication', () => {
+  let app;
+  let consumerKeys;
+  let usedAssertions;
+
+  /**
+   * Membuat client assertion yang ditandatangani private key consumer
+   * @param {Object} [claims] - Klaim tambahan
+   * @returns {string} JWT client assertion
+   */
+  const createAssertion = (claims = {}) =>
+    jwt.sign(
+      { iss: CONSUMER_NAME, sub: CONSUMER_NAME, aud: TOKEN_ENDPOINT, jti: crypto.randomUUID(), ...claims },
+      consumerKeys.privateKey,
+      { algorithm: 'RS256', expiresIn: 60 }
+    );
+
+  /**
+   * Request token endpoint dengan client assertion
+   * @param {string} assertion - JWT client assertion
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const requestWithAssertion = (assertion) =>
+    request(app)
+      .post('/oauth/token')
+      .type('form')
+      .send({
+        grant_type: 'unsupported',
+        client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+        client_assertion: assertion
+      });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    consumerKeys = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+  });
+
+  beforeEach(async () => {
+    usedAssertions = new Map();
+
+    const consumer = await buildConsumer({
+      public_key: consumerKeys.publicKey,
+      key_algorithm: 'RSA-2048'
+    });
+
+    jest.spyOn(ConsumerModel, 'findOne').mockResolvedValue(consumer);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+    jest.spyOn(ClientAssertionModel, 'cleanupExpired').mockResolvedValue(0);
+
+    // Unique index (consumer_id, jti) pada "database" pengujian
+    jest.spyOn(ClientAssertionModel, 'create').mockImplementation(async (values) => {
+      const key = `${values.consumer_id}:${values.jti}`;
+      if (usedAssertions.has(key)) {
+        throw new UniqueConstraintError({ message: 'duplicate key value violates unique constraint' });
+      }
+      usedAssertions.set(key, values.expires_at);
+      return values;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an accepted assertion jti is stored until the assertion expires', async () => {
+    const assertion = createAssertion();
+
+    const response = await requestWithAssertion(assertion);
+
+    // Klien terotentikasi sehingga token endpoint menilai grant_type
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('unsupported_grant_type');
+
+    const { jti, exp } = jwt.decode(assertion);
+    expect(usedAssertions.get(`${CONSUMER_ID}:${jti}`)).toEqual(new Date(exp * 1000));
+  });
+
+  test('a replayed assertion is rejected', async () => {
+    const assertion = createAssertion();
+    await requestWithAssertion(assertion);
+
+    const replay = await requestWithAssertion(assertion);
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('invalid_client');
+  });
+
+  test('an assertion with an oversized jti is rejected before it is stored', async () => {
+    const response = await requestWithAssertion(createAssertion({ jti: 'x'.repeat(256) }));
+
+    expect(response.status).toBe(401);
+    expect(ClientAssertionModel.create).not.toHaveBeenCalled();
+  });
+
+  test('Basic credentials with malformed percent-encoding are rejected as invalid_client', async () => {
+    const response = await request(app)
+      .post('/oauth/token')
+      .set('Authorization', `Basic ${Buffer.from(`${CONSUMER_NAME}:%E0%A4%A`).toString('base64')}`)
+      .type('form')
+      .send({ grant_type: 'client_credentials' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('invalid_client');
+    expect(response.headers['www-authenticate']).toBe('Basic realm="oauth"');
+  });
+});
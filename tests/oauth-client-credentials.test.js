@@ -0,0 +1,128 @@
+/**
+ * Scope token client_credentials berasal dari client_scopes, bukan scope atas nama pengguna
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, buildConsumer, mockConsumer } from './helpers/consumers.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+mockExternalModules();
+
+const { ConsumerModel, TokenModel, ProviderKeyModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+
+describe('client_credentials grant', () => {
+  let app;
+  let providerKey;
+  let tokens;
+
+  /**
+   * Request token client_credentials
+   * @param {Object} [body] - Parameter tambahan
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const requestToken = (body = {}) =>
+    request(app)
+      .post('/oauth/token')
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send({ grant_type: 'client_credentials', ...body });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    tokens = new Map();
+    await mockConsumer({
+      allowed_scopes: ['openid', 'profile', 'email'],
+      client_scopes: ['users:read', 'audit:read']
+    });
+
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(TokenModel, 'create').mockImplementation(async (values) => {
+      const token = buildInstance(TokenModel, { ...values, id: crypto.randomUUID(), is_revoked: false });
+      tokens.set(token.id, token);
+      return token;
+    });
+    jest.spyOn(TokenModel, 'findByPk').mockImplementation(async (id) => tokens.get(id) || null);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('without a scope parameter the token gets the client scopes only', async () => {
+    const response = await requestToken();
+
+    expect(response.status).toBe(200);
+    expect(response.body.scope).toBe('users:read audit:read');
+    expect(jwt.decode(response.body.access_token)).toMatchObject({
+      sub: CONSUMER_NAME,
+      scope: 'users:read audit:read'
+    });
+  });
+
+  test('a subset of the client scopes can be requested', async () => {
+    const response = await requestToken({ scope: 'audit:read' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.scope).toBe('audit:read');
+  });
+
+  test('user-delegated scopes cannot be requested for a client token', async () => {
+    const response = await requestToken({ scope: 'openid users:read' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('invalid_scope');
+    expect(TokenModel.create).not.toHaveBeenCalled();
+  });
+
+  describe('token verification', () => {
+    /**
+     * Verifikasi token melalui /api/v1/auth/verify
+     * @param {string} accessToken - Access token
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const verify = (accessToken) =>
+      request(app)
+        .post('/api/v1/auth/verify')
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send({ token: accessToken });
+
+    test('a client token verifies as the consumer', async () => {
+      const issued = await requestToken();
+
+      const response = await verify(issued.body.access_token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        token_type: 'client',
+        user: null,
+        consumer: { id: CONSUMER_ID, name: CONSUMER_NAME, scopes: ['users:read', 'audit:read'] }
+      });
+    });
+
+    test('a client token of a deactivated consumer is rejected', async () => {
+      const issued = await requestToken();
+      ConsumerModel.findByPk.mockResolvedValue(await buildConsumer({ is_active: false }));
+
+      const response = await verify(issued.body.access_token);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Consumer not found or inactive');
+    });
+  });
+});
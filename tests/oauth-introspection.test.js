@@ -0,0 +1,214 @@
+/**
+ * Token introspection (RFC 7662): respons token aktif dan tidak aktif
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+mockExternalModules();
+
+const { UserModel, TokenModel, ProviderKeyModel } = await import('../src/models/index.model.js');
+const { hashData } = await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const OTHER_CONSUMER_ID = '7d3c2b1a-9e8f-4a6b-8c5d-4e3f2a1b0c9d';
+
+describe('OAuth token introspection', () => {
+  let app;
+  let providerKey;
+  let user;
+  let addToken;
+
+  /**
+   * Request ke endpoint introspection
+   * @param {Object} body - Body request
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const introspect = (body) =>
+    request(app)
+      .post('/oauth/introspect')
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send(body);
+
+  /**
+   * Access token (JWT) untuk token record
+   * @param {Object} token - Instance Token
+   * @param {Object} [claims] - Klaim tambahan
+   * @returns {string} JWT
+   */
+  const accessJwt = (token, claims = {}) =>
+    signTestJwt(providerKey, { token_id: token.id, consumer: CONSUMER_NAME, ...claims });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = createProviderKey();
+  });
+
+  beforeEach(async () => {
+    ({ addToken } = mockTokenStore(TokenModel, {
+      user_id: USER_ID,
+      provider_key_id: providerKey.key.id
+    }));
+
+    await mockConsumer();
+    user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      is_active: true,
+      is_locked: false
+    });
+    user.Roles = [{ name: 'admin' }, { name: 'user' }];
+
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async () => user);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an active user access token reports its subject, client, roles and scope', async () => {
+    const access = addToken({});
+    const token = accessJwt(access, { scope: 'openid profile' });
+    const { iat, exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+
+    const response = await introspect({ token });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.body).toEqual({
+      active: true,
+      token_type: 'Bearer',
+      sub: USER_ID,
+      username: 'alice',
+      client_id: CONSUMER_NAME,
+      exp,
+      iat,
+      jti: access.id,
+      roles: ['admin', 'user'],
+      scope: 'openid profile'
+    });
+  });
+
+  test('a client credentials token has the consumer as its subject', async () => {
+    const access = addToken({ user_id: null });
+
+    const response = await introspect({ token: accessJwt(access, { scope: 'users:read' }) });
+
+    expect(response.body).toMatchObject({
+      active: true,
+      token_type: 'Bearer',
+      sub: CONSUMER_NAME,
+      client_id: CONSUMER_NAME,
+      jti: access.id,
+      scope: 'users:read'
+    });
+    expect(response.body).not.toHaveProperty('username');
+  });
+
+  test('an active refresh token reports its expiry and the metadata of its grant', async () => {
+    const issuedAt = new Date(Date.now() - 60 * 1000);
+    const refresh = addToken({
+      token_type: 'refresh',
+      token_hash: hashData('opaque-refresh-token'),
+      metadata: { issued_at: issuedAt.toISOString(), scope: 'openid email' }
+    });
+
+    const response = await introspect({ token: 'opaque-refresh-token' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      active: true,
+      token_type: 'refresh_token',
+      sub: USER_ID,
+      username: 'alice',
+      client_id: CONSUMER_NAME,
+      exp: Math.floor(refresh.expires_at.getTime() / 1000),
+      iat: Math.floor(issuedAt.getTime() / 1000),
+      jti: refresh.id,
+      roles: ['admin', 'user'],
+      scope: 'openid email'
+    });
+  });
+
+  test.each([
+    ['revoked', { is_revoked: true }],
+    ['expired', { expires_at: new Date(Date.now() - 1000) }],
+    ['issued to another consumer', { consumer_id: OTHER_CONSUMER_ID }],
+    ['a refresh token record', { token_type: 'refresh' }]
+  ])('an access token that is %s is inactive', async (_, attributes) => {
+    const access = addToken(attributes);
+
+    const response = await introspect({ token: accessJwt(access) });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.body).toEqual({ active: false });
+  });
+
+  test.each([
+    ['revoked', { is_revoked: true }],
+    ['already rotated', { used_at: new Date() }],
+    ['expired', { expires_at: new Date(Date.now() - 1000) }],
+    ['issued to another consumer', { consumer_id: OTHER_CONSUMER_ID }]
+  ])('a refresh token that is %s is inactive', async (_, attributes) => {
+    addToken({ token_type: 'refresh', token_hash: hashData('opaque-refresh-token'), ...attributes });
+
+    const response = await introspect({ token: 'opaque-refresh-token' });
+
+    expect(response.body).toEqual({ active: false });
+  });
+
+  test('tokens of a locked or deactivated user are inactive', async () => {
+    const access = addToken({});
+    addToken({ token_type: 'refresh', token_hash: hashData('opaque-refresh-token') });
+
+    user.is_active = false;
+    expect((await introspect({ token: accessJwt(access) })).body).toEqual({ active: false });
+    expect((await introspect({ token: 'opaque-refresh-token' })).body).toEqual({ active: false });
+
+    user.is_active = true;
+    user.is_locked = true;
+    expect((await introspect({ token: 'opaque-refresh-token' })).body).toEqual({ active: false });
+  });
+
+  test('unknown, forged and malformed tokens are inactive', async () => {
+    const forged = signTestJwt(createProviderKey(), { token_id: addToken({}).id, consumer: CONSUMER_NAME });
+
+    for (const token of [
+      accessJwt({ id: crypto.randomUUID() }),
+      forged,
+      'unknown-opaque-token',
+      'not.a.jwt'
+    ]) {
+      const response = await introspect({ token });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ active: false });
+    }
+  });
+
+  test('the client must authenticate and send a token', async () => {
+    const unauthenticated = await request(app)
+      .post('/oauth/introspect')
+      .set('x-api-key', 'wrong-key')
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send({ token: 'opaque-refresh-token' });
+    const missingToken = await introspect({});
+
+    expect(unauthenticated.status).toBe(401);
+    expect(unauthenticated.body).toMatchObject({ error: 'invalid_client' });
+    expect(missingToken.status).toBe(400);
+    expect(missingToken.body).toMatchObject({ error: 'invalid_request' });
+  });
+});
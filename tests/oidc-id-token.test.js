@@ -0,0 +1,268 @@
+/**
+ * OpenID Connect: klaim ID token dan nonce, endpoint userinfo, dan dokumen discovery
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+// Garis miring di akhir tidak termasuk dalam issuer
+process.env.OIDC_ISSUER = 'https://auth.example.com/';
+delete process.env.OIDC_ID_TOKEN_EXPIRES_SECONDS;
+
+mockExternalModules();
+
+const { UserModel, TokenModel, ProviderKeyModel, AuthorizationCodeModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+const { hashData } = await import('../src/services/crypto.service.js');
+const { validateAuthorizationRequest, createAuthorizationCode } =
+  await import('../src/services/oauth.service.js');
+
+const ISSUER = 'https://auth.example.com';
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const REDIRECT_URI = 'https://app.example.com/callback';
+const CODE_VERIFIER = 'a'.repeat(43);
+const AUTH_TIME = new Date(Date.now() - 5 * 60 * 1000);
+
+describe('OpenID Connect', () => {
+  let app;
+  let providerKey;
+  let addToken;
+
+  /**
+   * Menukar authorization code dengan atribut tertentu
+   * @param {Object} attributes - Atribut authorization code
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const exchangeCode = (attributes) => {
+    const authCode = buildInstance(AuthorizationCodeModel, {
+      id: crypto.randomUUID(),
+      code_hash: hashData('authorization-code'),
+      user_id: USER_ID,
+      consumer_id: CONSUMER_ID,
+      redirect_uri: REDIRECT_URI,
+      code_challenge: crypto.createHash('sha256').update(CODE_VERIFIER).digest('base64url'),
+      code_challenge_method: 'S256',
+      scope: 'openid profile',
+      auth_time: AUTH_TIME,
+      amr: ['pwd', 'otp'],
+      expires_at: new Date(Date.now() + 60 * 1000),
+      ...attributes
+    });
+    jest.spyOn(AuthorizationCodeModel, 'findByHash').mockResolvedValue(authCode);
+
+    return request(app)
+      .post('/oauth/token')
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME)
+      .send({
+        grant_type: 'authorization_code',
+        code: 'authorization-code',
+        redirect_uri: REDIRECT_URI,
+        code_verifier: CODE_VERIFIER
+      });
+  };
+
+  /**
+   * Memverifikasi ID token dengan kunci dari JWKS, seperti yang dilakukan relying party
+   * @param {string} idToken - ID token
+   * @returns {Promise<Object>} { header, payload }
+   */
+  const verifyWithJwks = async (idToken) => {
+    const jwks = await request(app).get('/.well-known/jwks.json');
+    const { header } = jwt.decode(idToken, { complete: true });
+    const jwk = jwks.body.keys.find((key) => key.kid === header.kid);
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    return {
+      header,
+      payload: jwt.verify(idToken, publicKey, {
+        algorithms: [jwk.alg],
+        issuer: ISSUER,
+        audience: CONSUMER_NAME
+      })
+    };
+  };
+
+  /**
+   * Request userinfo dengan access token
+   * @param {string} accessToken - Access token
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const userinfo = (accessToken) =>
+    request(app).get('/oauth/userinfo').set('Authorization', `Bearer ${accessToken}`);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    ({ addToken } = mockTokenStore(TokenModel, {
+      user_id: USER_ID,
+      provider_key_id: providerKey.key.id
+    }));
+
+    await mockConsumer({
+      redirect_uris: [REDIRECT_URI],
+      allowed_scopes: ['openid', 'profile', 'email'],
+      client_scopes: ['users:read']
+    });
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      is_active: true,
+      is_locked: false
+    });
+    user.Roles = [{ name: 'user' }];
+
+    jest.spyOn(UserModel, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(UserModel, 'findWithRoles').mockResolvedValue(user);
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findAll').mockResolvedValue([providerKey.key]);
+    jest.spyOn(AuthorizationCodeModel, 'markUsed').mockResolvedValue(true);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ID token', () => {
+    test('an openid code exchange returns an ID token with the user, client and authentication claims', async () => {
+      const response = await exchangeCode({ nonce: 'n-0S6_WzA2Mj' });
+
+      expect(response.status).toBe(200);
+      const { header, payload } = await verifyWithJwks(response.body.id_token);
+
+      expect(header).toMatchObject({ alg: 'RS256', kid: providerKey.key.id });
+      expect(payload).toMatchObject({
+        iss: ISSUER,
+        aud: CONSUMER_NAME,
+        sub: USER_ID,
+        nonce: 'n-0S6_WzA2Mj',
+        auth_time: Math.floor(AUTH_TIME.getTime() / 1000),
+        amr: ['pwd', 'otp'],
+        preferred_username: 'alice',
+        email: 'alice@example.com',
+        roles: ['user']
+      });
+      expect(payload.exp - payload.iat).toBe(3600);
+    });
+
+    test('the nonce and authentication details of the authorization request are stored with the code', async () => {
+      jest.spyOn(AuthorizationCodeModel, 'create').mockResolvedValue({});
+      const validated = await validateAuthorizationRequest({
+        client_id: CONSUMER_NAME,
+        redirect_uri: REDIRECT_URI,
+        response_type: 'code',
+        scope: 'openid profile',
+        nonce: 'n-0S6_WzA2Mj',
+        code_challenge: crypto.createHash('sha256').update(CODE_VERIFIER).digest('base64url'),
+        code_challenge_method: 'S256'
+      });
+
+      await createAuthorizationCode(validated.request, validated.consumer, {
+        user: { id: USER_ID },
+        authTime: AUTH_TIME,
+        amr: ['pwd', 'otp']
+      });
+
+      expect(AuthorizationCodeModel.create).toHaveBeenCalledWith(expect.objectContaining({
+        nonce: 'n-0S6_WzA2Mj',
+        scope: 'openid profile',
+        auth_time: AUTH_TIME,
+        amr: ['pwd', 'otp']
+      }));
+    });
+
+    test('the nonce claim is omitted when the authorization request had none', async () => {
+      const response = await exchangeCode({ nonce: null, amr: null });
+
+      const { payload } = await verifyWithJwks(response.body.id_token);
+
+      expect(payload).not.toHaveProperty('nonce');
+      expect(payload.amr).toEqual(['pwd']);
+    });
+
+    test('a code granted without the openid scope returns no ID token', async () => {
+      const response = await exchangeCode({ scope: 'profile' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.access_token).toEqual(expect.any(String));
+      expect(response.body).not.toHaveProperty('id_token');
+    });
+  });
+
+  describe('userinfo', () => {
+    test('an openid access token returns the same user claims as the ID token', async () => {
+      const exchanged = await exchangeCode({ nonce: 'n-0S6_WzA2Mj' });
+
+      const response = await userinfo(exchanged.body.access_token);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body).toEqual({
+        sub: USER_ID,
+        preferred_username: 'alice',
+        email: 'alice@example.com',
+        roles: ['user']
+      });
+    });
+
+    test('an access token without the openid scope is rejected with insufficient_scope', async () => {
+      const access = addToken({});
+
+      const response = await userinfo(
+        signTestJwt(providerKey, { token_id: access.id, consumer: CONSUMER_NAME, scope: 'profile' })
+      );
+
+      expect(response.status).toBe(403);
+      expect(response.headers['www-authenticate']).toContain('error="insufficient_scope"');
+    });
+
+    test('client credentials, revoked and missing tokens are rejected', async () => {
+      const client = addToken({ user_id: null });
+      const revoked = addToken({ is_revoked: true });
+
+      for (const token of [client, revoked]) {
+        const response = await userinfo(
+          signTestJwt(providerKey, { token_id: token.id, consumer: CONSUMER_NAME, scope: 'openid' })
+        );
+
+        expect(response.status).toBe(401);
+        expect(response.headers['www-authenticate']).toContain('error="invalid_token"');
+      }
+
+      const missing = await request(app).get('/oauth/userinfo');
+      expect(missing.status).toBe(401);
+      expect(missing.headers['www-authenticate']).toBe('Bearer realm="userinfo"');
+    });
+  });
+
+  test('the discovery document names the issuer and the algorithm of the published keys', async () => {
+    const response = await request(app).get('/.well-known/openid-configuration');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/oauth/authorize`,
+      token_endpoint: `${ISSUER}/oauth/token`,
+      userinfo_endpoint: `${ISSUER}/oauth/userinfo`,
+      jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+    expect(response.body.claims_supported).toEqual(expect.arrayContaining(['nonce', 'auth_time', 'amr']));
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Kebijakan password: pengaturan admin, komposisi, riwayat, dan umur maksimal password
+ */
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+// Korpus password bocor tidak tersedia; pemeriksaan bocor dilewati
+process.env.BREACHED_PASSWORDS_DIR = path.join(os.tmpdir(), `missing-breached-corpus-${process.pid}`);
+
+mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  RoleModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaPolicyModel,
+  PasswordPolicyModel,
+  PasswordHistoryModel,
+  AuditLogModel
+} = await import('../src/models/index.model.js');
+const { checkPasswordPolicy } = await import('../src/services/user.service.js');
+const { DEFAULT_PASSWORD_POLICY } = await import('../src/services/password-policy.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const ADMIN_ID = '9c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e5f';
+const NEW_USER_ID = '2d3e4f5a-6b7c-4d8e-9f0a-1b2c3d4e5f6a';
+const PASSWORD = 'Secret123!';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('password policy', () => {
+  let app;
+  let providerKey;
+  let addToken;
+  let tokens;
+  let storedPolicy;
+  let storedUser;
+  let history;
+
+  /**
+   * Membaca pengguna dari "database"; admin memiliki role admin
+   * @param {string} id - ID pengguna
+   * @returns {Object|null} Instance User
+   */
+  const loadUser = (id) => {
+    if (id === NEW_USER_ID) {
+      const user = buildInstance(UserModel, { id, username: 'bob', email: 'bob@example.com', is_active: true });
+      user.Roles = [];
+      return user;
+    }
+
+    const user = buildInstance(UserModel, {
+      ...(id === ADMIN_ID
+        ? { id, username: 'admin', email: 'admin@example.com', password_hash: `hashed:${PASSWORD}` }
+        : storedUser),
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: { enabled: false, factors: [], backup_codes: [] }
+    });
+    user.Roles = [{ name: id === ADMIN_ID ? 'admin' : 'user' }];
+    user.save.mockImplementation(async function (options = {}) {
+      if (id === USER_ID) {
+        const fields = options.fields || Object.keys(storedUser);
+        fields.forEach((field) => {
+          storedUser[field] = this.getDataValue(field);
+        });
+      }
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Request dengan kredensial consumer pengujian
+   * @param {string} method - Method HTTP (get, post, put)
+   * @param {string} path - Path endpoint
+   * @param {string|Object} [auth] - ID pengguna pemilik access token, atau { token } JWT yang sudah ada
+   * @returns {Object} Request supertest
+   */
+  const api = (method, path, auth) => {
+    const pending = request(app)[method](path)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME);
+    if (!auth) {
+      return pending;
+    }
+    if (auth.token) {
+      return pending.set('Authorization', `Bearer ${auth.token}`);
+    }
+
+    const accessToken = addToken({ user_id: auth });
+    return pending.set(
+      'Authorization',
+      `Bearer ${signTestJwt(providerKey, { token_id: accessToken.id, consumer: CONSUMER_NAME })}`
+    );
+  };
+
+  /**
+   * Mengganti password milik USER_ID
+   * @param {string} newPassword - Password baru
+   * @param {string|Object} [auth] - Otentikasi request (default: access token USER_ID)
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const changePassword = (newPassword, auth = USER_ID) =>
+    api('put', `/api/v1/users/${USER_ID}/password`, auth)
+      .send({ current_password: PASSWORD, new_password: newPassword });
+
+  /**
+   * Menyimpan kebijakan password melalui endpoint admin
+   * @param {Object} changes - Field kebijakan (camelCase)
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const updatePolicy = (changes) =>
+    api('put', '/api/v1/admin/password-policy', ADMIN_ID).send(changes);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    storedPolicy = null;
+    history = [];
+    storedUser = {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice.wonder@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      password_changed_at: new Date(),
+      created_at: new Date(Date.now() - 400 * DAY_MS)
+    };
+    ({ addToken, tokens } = mockTokenStore(TokenModel, { provider_key_id: providerKey.key.id }));
+
+    await mockConsumer();
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByUsername').mockImplementation(async () => loadUser(USER_ID));
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async (id) => loadUser(id));
+    jest.spyOn(UserModel, 'hasPermission').mockResolvedValue(true);
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(MfaPolicyModel, 'findApplicable').mockResolvedValue([]);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockImplementation(async () => storedPolicy);
+    jest.spyOn(PasswordPolicyModel, 'create').mockImplementation(async (values) => {
+      storedPolicy = buildInstance(PasswordPolicyModel, { id: crypto.randomUUID(), ...values });
+      jest.spyOn(storedPolicy, 'update').mockImplementation(async function (changes) {
+        return this.set(changes);
+      });
+      return storedPolicy;
+    });
+    jest.spyOn(PasswordHistoryModel, 'findRecent').mockImplementation(async (userId, limit) =>
+      history.filter((entry) => entry.user_id === userId).slice(-limit).reverse()
+    );
+    jest.spyOn(PasswordHistoryModel, 'create').mockImplementation(async (values) => {
+      history.push(values);
+      return values;
+    });
+    jest.spyOn(PasswordHistoryModel, 'prune').mockResolvedValue(0);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('administration', () => {
+    test('the default policy applies until an admin saves one', async () => {
+      const response = await api('get', '/api/v1/admin/password-policy', ADMIN_ID);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ ...DEFAULT_PASSWORD_POLICY, updated_by: null, updated_at: null });
+    });
+
+    test('saving the policy starts from the defaults and later updates change only the given fields', async () => {
+      const created = await updatePolicy({ minLength: 12, maxAgeDays: 90 });
+
+      expect(created.status).toBe(200);
+      expect(PasswordPolicyModel.create).toHaveBeenCalledWith({
+        ...DEFAULT_PASSWORD_POLICY,
+        min_length: 12,
+        max_age_days: 90,
+        updated_by: ADMIN_ID
+      });
+
+      const updated = await updatePolicy({ requireSymbol: false });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data).toMatchObject({ min_length: 12, max_age_days: 90, require_symbol: false });
+      expect(PasswordPolicyModel.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('only admins can read or change the policy', async () => {
+      expect((await api('get', '/api/v1/admin/password-policy', USER_ID)).status).toBe(403);
+      expect((await api('put', '/api/v1/admin/password-policy', USER_ID).send({ minLength: 6 })).status).toBe(403);
+      expect(storedPolicy).toBeNull();
+    });
+  });
+
+  describe('composition rules', () => {
+    test('each missing character class and a short length is reported', () => {
+      const violations = checkPasswordPolicy('abc', DEFAULT_PASSWORD_POLICY);
+
+      expect(violations.map((violation) => violation.rule)).toEqual(['min_length', 'uppercase', 'digit', 'symbol']);
+    });
+
+    test('passwords containing the username or a fragment of the email are rejected', () => {
+      const userInfo = { username: 'alice', email: 'alice.wonder@example.com' };
+      const rules = (password) =>
+        checkPasswordPolicy(password, DEFAULT_PASSWORD_POLICY, userInfo).map((violation) => violation.rule);
+
+      expect(rules('xALICE#2024x')).toEqual(['user_info']);
+      expect(rules('Wonder!land9')).toEqual(['user_info']);
+      expect(rules('Example#2024')).toEqual([]);
+      expect(checkPasswordPolicy('Wonder!land9', { ...DEFAULT_PASSWORD_POLICY, disallow_user_info: false }, userInfo))
+        .toEqual([]);
+    });
+
+    test('creating a user enforces the configured policy', async () => {
+      storedPolicy = buildInstance(PasswordPolicyModel, {
+        ...DEFAULT_PASSWORD_POLICY,
+        min_length: 14,
+        require_symbol: false
+      });
+
+      const rejected = await api('post', '/api/v1/users', ADMIN_ID)
+        .send({ username: 'bob', email: 'bob@example.com', password: 'Short1Pass' });
+
+      expect(rejected.status).toBe(422);
+      expect(rejected.body.errors).toEqual([expect.objectContaining({ field: 'password', rule: 'min_length' })]);
+
+      jest.spyOn(UserModel, 'findOne').mockResolvedValue(null);
+      jest.spyOn(RoleModel, 'findOne').mockResolvedValue(null);
+      jest.spyOn(UserModel, 'create').mockImplementation(async (values) =>
+        buildInstance(UserModel, { id: NEW_USER_ID, ...values })
+      );
+
+      const created = await api('post', '/api/v1/users', ADMIN_ID)
+        .send({ username: 'bob', email: 'bob@example.com', password: 'LongerPassword1' });
+
+      expect(created.status).toBe(201);
+      expect(UserModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ username: 'bob', password_changed_at: expect.any(Date) }),
+        expect.anything()
+      );
+    });
+  });
+
+  describe('history', () => {
+    test('a changed password is stored in the history and recent passwords cannot be reused', async () => {
+      const first = await changePassword('Another#Pass1');
+
+      expect(first.status).toBe(200);
+      expect(history).toEqual([{ user_id: USER_ID, password_hash: `hashed:${PASSWORD}` }]);
+      expect(PasswordHistoryModel.prune).toHaveBeenCalledWith(USER_ID, 24);
+      expect(storedUser.password_hash).toBe('hashed:Another#Pass1');
+
+      const rejected = await api('put', `/api/v1/users/${USER_ID}/password`, USER_ID)
+        .send({ current_password: 'Another#Pass1', new_password: PASSWORD });
+
+      expect(rejected.status).toBe(422);
+      expect(rejected.body.errors).toEqual([
+        expect.objectContaining({
+          field: 'new_password',
+          rule: 'history',
+          message: 'Password must not match any of the last 5 passwords'
+        })
+      ]);
+      expect(PasswordHistoryModel.findRecent).toHaveBeenLastCalledWith(USER_ID, 4);
+    });
+
+    test('history checks can be disabled with a history count of zero', async () => {
+      storedPolicy = buildInstance(PasswordPolicyModel, { ...DEFAULT_PASSWORD_POLICY, history_count: 0 });
+      history.push({ user_id: USER_ID, password_hash: 'hashed:Recent#Pass1' });
+
+      const response = await changePassword('Recent#Pass1');
+
+      expect(response.status).toBe(200);
+      expect(PasswordHistoryModel.findRecent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expiry', () => {
+    /**
+     * Login dengan password USER_ID
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const login = () => api('post', '/api/v1/auth/login').send({ username: 'alice', password: PASSWORD });
+
+    beforeEach(() => {
+      storedPolicy = buildInstance(PasswordPolicyModel, { ...DEFAULT_PASSWORD_POLICY, max_age_days: 90 });
+    });
+
+    test('a password younger than the maximum age logs in normally', async () => {
+      storedUser.password_changed_at = new Date(Date.now() - 89 * DAY_MS);
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.refresh_token).toEqual(expect.any(String));
+    });
+
+    test('an expired password only permits a password change', async () => {
+      storedUser.password_changed_at = new Date(Date.now() - 91 * DAY_MS);
+
+      const response = await login();
+
+      expect(response.status).toBe(202);
+      expect(response.body.message).toBe('Password sudah kedaluwarsa dan harus diganti sebelum login');
+      expect(response.body.data).toMatchObject({
+        password_change_required: true,
+        password_change_reason: 'expired',
+        password_change_token: expect.any(String),
+        password_expired_at: new Date(storedUser.password_changed_at.getTime() + 90 * DAY_MS).toISOString(),
+        user_id: USER_ID
+      });
+      expect(response.body.data.token).toBeUndefined();
+      expect(response.body.data.refresh_token).toBeUndefined();
+
+      const changeToken = { token: response.body.data.password_change_token };
+      const elsewhere = await api('get', `/api/v1/users/${USER_ID}`, changeToken);
+
+      expect(elsewhere.status).toBe(401);
+      expect(elsewhere.body.message).toBe('Token is restricted to password change');
+
+      const changed = await changePassword('Fresh#Pass2024', changeToken);
+
+      expect(changed.status).toBe(200);
+      expect(storedUser.password_changed_at.getTime()).toBeGreaterThan(Date.now() - 60 * 1000);
+      expect([...tokens.values()].filter((token) => token.is_revoked)).toHaveLength(1);
+      expect((await changePassword('Fresh#Pass2025', changeToken)).status).toBe(401);
+    });
+
+    test('without a password change the account is never expired by default', async () => {
+      storedPolicy = null;
+      storedUser.password_changed_at = null;
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
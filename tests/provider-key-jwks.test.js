@@ -0,0 +1,123 @@
+/**
+ * Penandatanganan JWT dengan kunci provider aktif dan publikasi kunci publik pada JWKS
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { createProviderKey, storeSigningKey } from './helpers/tokens.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+mockExternalModules();
+
+const { ProviderKeyModel } = await import('../src/models/index.model.js');
+const { signJwt, verifyJwt } = await import('../src/services/key.service.js');
+
+describe('provider key signing and JWKS', () => {
+  let app;
+  let activeKey;
+  let otherKey;
+  let keys;
+
+  /**
+   * Kunci provider dengan status tertentu yang memakai kunci publik otherKey
+   * @param {string} status - Status kunci
+   * @param {Object} [attributes] - Atribut tambahan
+   * @returns {Object} Kunci provider
+   */
+  const keyWithStatus = (status, attributes = {}) => ({
+    ...otherKey.key,
+    id: crypto.randomUUID(),
+    status,
+    ...attributes
+  });
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    activeKey = await storeSigningKey(createProviderKey());
+    otherKey = createProviderKey();
+  });
+
+  beforeEach(() => {
+    keys = [activeKey.key];
+
+    jest.spyOn(ProviderKeyModel, 'findAll').mockImplementation(async () => keys);
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(activeKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockImplementation(async (id) =>
+      keys.find((key) => key.id === id && key.status === 'active') || null
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('JWTs are signed with the active key and name it in the kid header', async () => {
+    const signed = await signJwt({ sub: 'alice' });
+
+    expect(signed).toMatchObject({ success: true, keyId: activeKey.key.id, keyVersion: 1 });
+    expect(jwt.decode(signed.token, { complete: true }).header).toMatchObject({
+      alg: 'RS256',
+      kid: activeKey.key.id
+    });
+    expect(await verifyJwt(signed.token)).toMatchObject({
+      success: true,
+      keyId: activeKey.key.id,
+      payload: { sub: 'alice' }
+    });
+  });
+
+  test('a JWT whose kid is not a verification key is rejected', async () => {
+    const token = jwt.sign({ sub: 'alice' }, otherKey.privateKey, {
+      algorithm: 'RS256',
+      keyid: otherKey.key.id
+    });
+
+    expect(await verifyJwt(token)).toMatchObject({ success: false, code: 'INVALID_SIGNATURE' });
+  });
+
+  test('a JWT signed by another key under the active kid is rejected', async () => {
+    const token = jwt.sign({ sub: 'alice' }, otherKey.privateKey, {
+      algorithm: 'RS256',
+      keyid: activeKey.key.id
+    });
+
+    expect(await verifyJwt(token)).toMatchObject({ success: false, code: 'INVALID_SIGNATURE' });
+  });
+
+  test('the JWKS publishes the active key so a signed JWT verifies offline', async () => {
+    const signed = await signJwt({ sub: 'alice' });
+
+    const response = await request(app).get('/.well-known/jwks.json');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('public, max-age=300');
+    expect(response.body.keys).toEqual([
+      expect.objectContaining({ kty: 'RSA', kid: activeKey.key.id, use: 'sig', alg: 'RS256' })
+    ]);
+    expect(response.body.keys[0]).not.toHaveProperty('d');
+
+    const publicKey = crypto.createPublicKey({ key: response.body.keys[0], format: 'jwk' });
+    expect(jwt.verify(signed.token, publicKey, { algorithms: ['RS256'] })).toMatchObject({ sub: 'alice' });
+  });
+
+  test('pending and still-verifiable retiring keys are published, retired and revoked keys are not', async () => {
+    const pending = keyWithStatus('pending');
+    const retiring = keyWithStatus('retiring', { retire_until: new Date(Date.now() + 60 * 1000) });
+    keys.push(
+      pending,
+      retiring,
+      keyWithStatus('retiring', { retire_until: new Date(Date.now() - 1000) }),
+      keyWithStatus('retired'),
+      keyWithStatus('revoked')
+    );
+
+    const response = await request(app).get('/.well-known/jwks.json');
+
+    expect(response.body.keys.map((key) => key.kid).sort())
+      .toEqual([activeKey.key.id, pending.id, retiring.id].sort());
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Rotasi kunci provider: kunci lama tetap dapat memverifikasi selama masa transisi
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { buildInstance } from './helpers/models.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+// ID token berlaku lebih lama dari access token (1 jam)
+process.env.OIDC_ID_TOKEN_EXPIRES_SECONDS = '7200';
+delete process.env.KEY_RETIRE_CLOCK_SKEW_SECONDS;
+
+mockExternalModules();
+
+const { sequelize, ProviderKeyModel } = await import('../src/models/index.model.js');
+const { rotateProviderKey, activateProviderKey } = await import('../src/services/key.service.js');
+
+const ADMIN_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const NOW = Date.UTC(2026, 0, 1);
+
+describe('provider key rotation', () => {
+  let keys;
+
+  /**
+   * Menambahkan kunci ke "database" pengujian
+   * @param {Object} attributes - Atribut kunci
+   * @returns {Object} Instance ProviderKey
+   */
+  const addKey = (attributes) => {
+    const key = buildInstance(ProviderKeyModel, {
+      id: crypto.randomUUID(),
+      public_key: 'public-key',
+      private_key_encrypted: 'private-key',
+      key_algorithm: 'RSA-2048',
+      key_version: keys.length + 1,
+      ...attributes
+    });
+    keys.push(key);
+    return key;
+  };
+
+  beforeEach(() => {
+    keys = [];
+    jest.useFakeTimers({ now: NOW });
+
+    mockTransactions(sequelize);
+    jest.spyOn(ProviderKeyModel, 'max').mockImplementation(async () => keys.length);
+    jest.spyOn(ProviderKeyModel, 'findAll').mockImplementation(async ({ where }) =>
+      keys.filter((key) => key.status === where.status)
+    );
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockImplementation(async (id) =>
+      keys.find((key) => key.id === id) || null
+    );
+    jest.spyOn(ProviderKeyModel, 'create').mockImplementation(async (values) => addKey(values));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('the previous key retires after the longest token lifetime plus clock skew', async () => {
+    const previous = addKey({ status: 'active' });
+
+    const result = await rotateProviderKey({}, ADMIN_ID);
+
+    expect(result).toMatchObject({ success: true, key: { status: 'active', key_version: 2 } });
+    expect(previous.status).toBe('retiring');
+    // max(3600, 7200) + 300 detik
+    expect(previous.retire_until).toEqual(new Date(NOW + 7500 * 1000));
+  });
+
+  test('a retiring key verifies tokens until retire_until, then not', async () => {
+    const previous = addKey({ status: 'active' });
+    await rotateProviderKey({}, ADMIN_ID);
+
+    jest.setSystemTime(NOW + 7499 * 1000);
+    expect(await ProviderKeyModel.findVerificationKey(previous.id)).toBe(previous);
+
+    jest.setSystemTime(NOW + 7500 * 1000);
+    expect(await ProviderKeyModel.findVerificationKey(previous.id)).toBeNull();
+  });
+
+  test('a pending key leaves the active key alone until it is activated', async () => {
+    const previous = addKey({ status: 'active' });
+
+    const rotated = await rotateProviderKey({ activate: false }, ADMIN_ID);
+
+    expect(rotated.key.status).toBe('pending');
+    expect(previous.status).toBe('active');
+
+    jest.setSystemTime(NOW + 60 * 1000);
+    const activated = await activateProviderKey(rotated.key.id, ADMIN_ID);
+
+    expect(activated).toMatchObject({ success: true, key: { status: 'active' } });
+    expect(previous.status).toBe('retiring');
+    expect(previous.retire_until).toEqual(new Date(NOW + 60 * 1000 + 7500 * 1000));
+  });
+
+  test('only pending keys can be activated', async () => {
+    const previous = addKey({ status: 'active' });
+
+    const result = await activateProviderKey(previous.id, ADMIN_ID);
+
+    expect(result.code).toBe('KEY_NOT_FOUND');
+  });
+});
@@ -0,0 +1,571 @@
+/**
+ * Faktor MFA push: pendaftaran perangkat, persetujuan login dengan number matching, dan callback bertanda tangan
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.API_BASE_URL = 'https://auth.example.com';
+
+const { notification } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaChallengeModel,
+  PushChallengeModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const PUSH_FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const PASSWORD = 'Secret123!';
+const PUSH_TOKEN = 'device-push-token';
+
+/**
+ * Membuat key pair perangkat dan public key PEM-nya
+ * @param {string} type - ed25519 atau ec (P-256)
+ * @returns {Object} { privateKey, publicKeyPem }
+ */
+const createDeviceKey = (type = 'ed25519') => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(
+    type,
+    type === 'ec' ? { namedCurve: 'prime256v1' } : undefined
+  );
+  return { privateKey, publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }) };
+};
+
+/**
+ * Tanda tangan perangkat (base64url) seperti yang dibuat aplikasi di perangkat
+ * @param {Object} deviceKey - Key pair dari createDeviceKey
+ * @param {string} message - Data yang ditandatangani
+ * @returns {string} Tanda tangan
+ */
+const signAsDevice = (deviceKey, message) =>
+  crypto.sign(
+    deviceKey.privateKey.asymmetricKeyType === 'ed25519' ? null : 'sha256',
+    Buffer.from(message),
+    deviceKey.privateKey
+  ).toString('base64url');
+
+describe('push MFA', () => {
+  let app;
+  let providerKey;
+  let addToken;
+  let storedSettings;
+  let pushChallenges;
+  let mfaChallenges;
+  let deviceKey;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.Roles = [];
+    user.save.mockImplementation(async function (options = {}) {
+      // Seperti UPDATE sungguhan, hanya kolom yang di-update yang ditulis
+      if (!options.fields || options.fields.includes('mfa_settings')) {
+        storedSettings = structuredClone(this.mfa_settings);
+      }
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Request dengan kredensial consumer pengujian
+   * @param {string} method - Method HTTP (get, post)
+   * @param {string} path - Path endpoint
+   * @param {boolean} [authenticated] - Sertakan access token user
+   * @returns {Object} Request supertest
+   */
+  const api = (method, path, authenticated = false) => {
+    const pending = request(app)[method](path)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME);
+    if (!authenticated) {
+      return pending;
+    }
+
+    const accessToken = addToken({ user_id: USER_ID });
+    return pending.set(
+      'Authorization',
+      `Bearer ${signTestJwt(providerKey, { token_id: accessToken.id, consumer: CONSUMER_NAME })}`
+    );
+  };
+
+  /**
+   * Mengirim keputusan perangkat ke callback persetujuan
+   * @param {string} approvalId - ID persetujuan
+   * @param {Object} answer - Keputusan perangkat
+   * @param {string} answer.decision - approve atau deny
+   * @param {string} [answer.number] - Angka yang dipilih user
+   * @param {number} [answer.timestamp] - Waktu respons (detik sejak epoch)
+   * @param {Object} [answer.key] - Key pair penanda tangan (default: perangkat terdaftar)
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const answerApproval = (approvalId, { decision, number, timestamp, key = deviceKey }) => {
+    const signedAt = timestamp ?? Math.floor(Date.now() / 1000);
+    return request(app)
+      .post(`/api/v1/mfa/push/approvals/${approvalId}`)
+      .send({
+        decision,
+        ...(number && { number }),
+        timestamp: signedAt,
+        signature: signAsDevice(key, `${approvalId}.${decision}.${number || ''}.${signedAt}`)
+      });
+  };
+
+  /**
+   * Audit log dengan event type tertentu
+   * @param {string} eventType - Event type
+   * @returns {Object[]} Data audit log
+   */
+  const audits = (eventType) =>
+    AuditLogModel.create.mock.calls
+      .map(([data]) => data)
+      .filter((data) => data.event_type === eventType);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    storedSettings = { enabled: false, default_factor_id: null, factors: [], backup_codes: [] };
+    pushChallenges = [];
+    mfaChallenges = [];
+    deviceKey = createDeviceKey();
+    ({ addToken } = mockTokenStore(TokenModel, { provider_key_id: providerKey.key.id }));
+
+    await mockConsumer();
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByUsername').mockImplementation(async () => loadUser());
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async () => loadUser());
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(MfaChallengeModel, 'create').mockImplementation(async (values) => {
+      const challenge = { id: crypto.randomUUID(), attempts: 0, ...values };
+      mfaChallenges.push(challenge);
+      return challenge;
+    });
+    jest.spyOn(MfaChallengeModel, 'findByHash').mockImplementation(async (hash) =>
+      mfaChallenges.find((challenge) => challenge.challenge_hash === hash && !challenge.consumed) || null
+    );
+    jest.spyOn(MfaChallengeModel, 'registerAttempt').mockResolvedValue(true);
+    jest.spyOn(MfaChallengeModel, 'consume').mockImplementation(async (id) => {
+      const challenge = mfaChallenges.find((candidate) => candidate.id === id);
+      challenge.consumed = true;
+      return true;
+    });
+    jest.spyOn(PushChallengeModel, 'create').mockImplementation(async (values) => {
+      const pushChallenge = {
+        id: crypto.randomUUID(),
+        status: 'pending',
+        created_at: new Date(),
+        ...values
+      };
+      pushChallenges.push(pushChallenge);
+      return { ...pushChallenge };
+    });
+    jest.spyOn(PushChallengeModel, 'findByPk').mockImplementation(async (id) => {
+      const pushChallenge = pushChallenges.find((candidate) => candidate.id === id);
+      return pushChallenge ? { ...pushChallenge } : null;
+    });
+    jest.spyOn(PushChallengeModel, 'findLatestForMfaChallenge').mockImplementation(async (id) => {
+      const pushChallenge = pushChallenges
+        .filter((candidate) => candidate.mfa_challenge_id === id && candidate.purpose === 'login')
+        .pop();
+      return pushChallenge ? { ...pushChallenge } : null;
+    });
+    jest.spyOn(PushChallengeModel, 'transition').mockImplementation(async (id, fromStatus, values) => {
+      const pushChallenge = pushChallenges.find((candidate) =>
+        candidate.id === id && candidate.status === fromStatus
+      );
+      if (!pushChallenge) {
+        return false;
+      }
+      Object.assign(pushChallenge, values);
+      return true;
+    });
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notification.sendPushNotification.mockClear();
+  });
+
+  describe('device enrollment', () => {
+    /**
+     * Membuat kode aktivasi untuk user yang sedang login
+     * @returns {Promise<Object>} Data respons setup
+     */
+    const startSetup = async () => {
+      const response = await api('post', '/api/v1/mfa/push/setup', true).send({ label: 'My phone' });
+      expect(response.status).toBe(200);
+      return response.body.data;
+    };
+
+    /**
+     * Aktivasi perangkat dengan kode aktivasi
+     * @param {string} activationCode - Kode aktivasi dari setup
+     * @param {Object} [overrides] - Nilai body yang diganti
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const activate = (activationCode, overrides = {}) =>
+      request(app)
+        .post('/api/v1/mfa/push/activate')
+        .send({
+          activation_code: activationCode,
+          public_key: deviceKey.publicKeyPem,
+          push_token: PUSH_TOKEN,
+          device_name: 'Pixel 8',
+          signature: signAsDevice(deviceKey, activationCode),
+          ...overrides
+        });
+
+    test('an activated device is registered as a push factor once the user confirms', async () => {
+      const { enrollment_id: enrollmentId, activation_code: activationCode } = await startSetup();
+
+      expect(activationCode.startsWith(`${enrollmentId}.`)).toBe(true);
+      expect(pushChallenges[0].secret_hash).not.toContain(activationCode.split('.')[1]);
+
+      const pending = await api('post', '/api/v1/mfa/push/verify', true).send({ enrollment_id: enrollmentId });
+
+      expect(pending.status).toBe(202);
+      expect(pending.body.data.status).toBe('pending');
+
+      const activated = await activate(activationCode);
+
+      expect(activated.status).toBe(200);
+      expect(activated.body.data).toEqual({ enrollment_id: enrollmentId });
+
+      const verified = await api('post', '/api/v1/mfa/push/verify', true).send({ enrollment_id: enrollmentId });
+
+      expect(verified.status).toBe(200);
+      expect(verified.body.data.backupCodes).toHaveLength(10);
+      expect(storedSettings.enabled).toBe(true);
+      expect(storedSettings.factors).toEqual([
+        expect.objectContaining({
+          id: verified.body.data.factorId,
+          type: 'push',
+          label: 'My phone',
+          verified: true,
+          public_key: deviceKey.publicKeyPem,
+          algorithm: 'Ed25519',
+          push_token: PUSH_TOKEN,
+          device_name: 'Pixel 8'
+        })
+      ]);
+      expect(pushChallenges[0].status).toBe('completed');
+    });
+
+    test('P-256 device keys are accepted', async () => {
+      deviceKey = createDeviceKey('ec');
+      const { activation_code: activationCode } = await startSetup();
+
+      const response = await activate(activationCode);
+
+      expect(response.status).toBe(200);
+      expect(pushChallenges[0].device_data.algorithm).toBe('ES256');
+    });
+
+    test('activation requires a signature from the submitted key and a supported key type', async () => {
+      const { activation_code: activationCode } = await startSetup();
+
+      const forged = await activate(activationCode, {
+        signature: signAsDevice(createDeviceKey(), activationCode)
+      });
+
+      expect(forged.status).toBe(401);
+      expect(forged.body.message).toBe('Invalid device signature');
+
+      const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const unsupported = await activate(activationCode, {
+        public_key: rsa.publicKey.export({ type: 'spki', format: 'pem' })
+      });
+
+      expect(unsupported.status).toBe(400);
+      expect(pushChallenges[0].status).toBe('pending');
+    });
+
+    test('an activation code can be used only once and only before it expires', async () => {
+      const first = await startSetup();
+      expect((await activate(first.activation_code)).status).toBe(200);
+
+      const reused = await activate(first.activation_code);
+
+      expect(reused.status).toBe(404);
+
+      const second = await startSetup();
+      pushChallenges[1].expires_at = new Date(Date.now() - 1000);
+
+      expect((await activate(second.activation_code)).status).toBe(404);
+
+      const wrongSecret = `${second.enrollment_id}.${'0'.repeat(48)}`;
+      pushChallenges[1].expires_at = new Date(Date.now() + 60 * 1000);
+
+      expect((await activate(wrongSecret)).status).toBe(404);
+    });
+
+    test('the same device cannot be registered twice', async () => {
+      const first = await startSetup();
+      await activate(first.activation_code);
+      await api('post', '/api/v1/mfa/push/verify', true).send({ enrollment_id: first.enrollment_id });
+
+      const second = await api('post', '/api/v1/mfa/push/setup', true)
+        .send({ current_password: PASSWORD });
+      await activate(second.body.data.activation_code);
+      const duplicate = await api('post', '/api/v1/mfa/push/verify', true)
+        .send({ enrollment_id: second.body.data.enrollment_id });
+
+      expect(duplicate.status).toBe(409);
+      expect(storedSettings.factors).toHaveLength(1);
+    });
+  });
+
+  describe('login approval', () => {
+    beforeEach(() => {
+      storedSettings = {
+        enabled: true,
+        default_factor_id: PUSH_FACTOR_ID,
+        factors: [
+          {
+            id: PUSH_FACTOR_ID,
+            type: 'push',
+            label: 'My phone',
+            public_key: deviceKey.publicKeyPem,
+            algorithm: 'Ed25519',
+            push_token: PUSH_TOKEN,
+            device_name: 'Pixel 8',
+            verified: true
+          }
+        ],
+        backup_codes: []
+      };
+    });
+
+    /**
+     * Login dengan password; persetujuan push dikirim otomatis
+     * @returns {Promise<Object>} Data respons login (mfa_token, push_number, ...)
+     */
+    const login = async () => {
+      const response = await api('post', '/api/v1/auth/login').send({ username: 'alice', password: PASSWORD });
+      expect(response.status).toBe(202);
+      return response.body.data;
+    };
+
+    /**
+     * Menanyakan status persetujuan dan menyelesaikan login jika sudah disetujui
+     * @param {string} mfaToken - Token challenge MFA
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const pollLogin = (mfaToken) =>
+      api('post', '/api/v1/auth/login/mfa').send({ mfa_token: mfaToken, push: true });
+
+    test('login sends a push approval whose number is shown only on the login screen', async () => {
+      const data = await login();
+
+      expect(data.mfa_method).toBe('push');
+      expect(data.push_number).toMatch(/^[0-9]{2}$/);
+
+      const [approval] = pushChallenges;
+      expect(approval).toMatchObject({
+        purpose: 'login',
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        mfa_challenge_id: mfaChallenges[0].id,
+        factor_id: PUSH_FACTOR_ID,
+        number_code: data.push_number
+      });
+      expect(notification.sendPushNotification).toHaveBeenCalledTimes(1);
+
+      const [[notificationOptions]] = notification.sendPushNotification.mock.calls;
+      expect(notificationOptions).toMatchObject({
+        userId: USER_ID,
+        token: PUSH_TOKEN,
+        data: {
+          type: 'mfa_push',
+          approval_id: approval.id,
+          callback_url: `https://auth.example.com/api/v1/mfa/push/approvals/${approval.id}`,
+          consumer: CONSUMER_NAME
+        }
+      });
+      expect(Object.values(notificationOptions.data)).not.toContain(data.push_number);
+    });
+
+    test('login completes after the device approves with the matching number', async () => {
+      const data = await login();
+
+      const pending = await pollLogin(data.mfa_token);
+
+      expect(pending.status).toBe(202);
+      expect(pending.body.data.push_status).toBe('pending');
+
+      const answered = await answerApproval(pushChallenges[0].id, {
+        decision: 'approve',
+        number: data.push_number
+      });
+
+      expect(answered.status).toBe(200);
+      expect(answered.body).toMatchObject({ message: 'Login disetujui', data: { status: 'approved' } });
+      expect(audits('mfa_push_approved')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          consumer_id: CONSUMER_ID,
+          metadata: expect.objectContaining({
+            push_approval_id: pushChallenges[0].id,
+            factor_id: PUSH_FACTOR_ID
+          })
+        })
+      ]);
+      expect(storedSettings.factors[0].last_used_at).toEqual(expect.any(String));
+
+      const completed = await pollLogin(data.mfa_token);
+
+      expect(completed.status).toBe(200);
+      expect(completed.body.data).toMatchObject({
+        token: expect.any(String),
+        refresh_token: expect.any(String)
+      });
+      expect(audits('login')).toContainEqual(expect.objectContaining({
+        status: 'success',
+        metadata: expect.objectContaining({ amr: ['pwd', 'swk', 'mfa'] })
+      }));
+    });
+
+    test('approving with the wrong number denies the login', async () => {
+      const data = await login();
+      const wrongNumber = data.push_number === '10' ? '11' : '10';
+
+      const answered = await answerApproval(pushChallenges[0].id, {
+        decision: 'approve',
+        number: wrongNumber
+      });
+
+      expect(answered.status).toBe(401);
+      expect(answered.body.message).toBe('Selected number does not match; login request has been denied');
+      expect(pushChallenges[0].status).toBe('denied');
+      expect(audits('mfa_push_denied')).toEqual([
+        expect.objectContaining({
+          status: 'failure',
+          metadata: expect.objectContaining({ reason: 'number_mismatch' })
+        })
+      ]);
+
+      const denied = await pollLogin(data.mfa_token);
+
+      expect(denied.status).toBe(401);
+      expect(denied.body.message).toBe('Login request was denied on the registered device');
+      expect(mfaChallenges[0].consumed).toBe(true);
+      expect(TokenModel.create).not.toHaveBeenCalled();
+    });
+
+    test('a denied request ends the login', async () => {
+      const data = await login();
+
+      const answered = await answerApproval(pushChallenges[0].id, { decision: 'deny' });
+
+      expect(answered.status).toBe(200);
+      expect(answered.body).toMatchObject({ message: 'Login ditolak', data: { status: 'denied' } });
+
+      const denied = await pollLogin(data.mfa_token);
+
+      expect(denied.status).toBe(401);
+      expect((await pollLogin(data.mfa_token)).status).toBe(401);
+      expect(TokenModel.create).not.toHaveBeenCalled();
+    });
+
+    test('callbacks not signed by the registered device or with a stale timestamp are rejected', async () => {
+      const data = await login();
+      const approvalId = pushChallenges[0].id;
+
+      const forged = await answerApproval(approvalId, {
+        decision: 'approve',
+        number: data.push_number,
+        key: createDeviceKey()
+      });
+
+      expect(forged.status).toBe(401);
+      expect(forged.body.message).toBe('Invalid device signature');
+
+      const stale = await answerApproval(approvalId, {
+        decision: 'approve',
+        number: data.push_number,
+        timestamp: Math.floor(Date.now() / 1000) - 10 * 60
+      });
+
+      expect(stale.status).toBe(401);
+      expect(pushChallenges[0].status).toBe('pending');
+      expect(audits('mfa_push_approved')).toEqual([]);
+      expect((await pollLogin(data.mfa_token)).status).toBe(202);
+    });
+
+    test('an approval can be answered only once', async () => {
+      const data = await login();
+      const approvalId = pushChallenges[0].id;
+
+      await answerApproval(approvalId, { decision: 'deny' });
+      const second = await answerApproval(approvalId, { decision: 'approve', number: data.push_number });
+
+      expect(second.status).toBe(409);
+      expect(pushChallenges[0].status).toBe('denied');
+    });
+
+    test('an expired approval cannot be answered and the client must request a new one', async () => {
+      const data = await login();
+      pushChallenges[0].expires_at = new Date(Date.now() - 1000);
+
+      const answered = await answerApproval(pushChallenges[0].id, {
+        decision: 'approve',
+        number: data.push_number
+      });
+
+      expect(answered.status).toBe(409);
+
+      const expired = await pollLogin(data.mfa_token);
+
+      expect(expired.status).toBe(401);
+      expect(expired.body.message).toBe('Push approval has expired. Please request a new one');
+
+      const resent = await api('post', '/api/v1/auth/login/mfa/resend').send({ mfa_token: data.mfa_token });
+
+      expect(resent.status).toBe(200);
+      expect(resent.body.data.push_number).toBe(pushChallenges[1].number_code);
+      expect(notification.sendPushNotification).toHaveBeenCalledTimes(2);
+
+      await answerApproval(pushChallenges[1].id, {
+        decision: 'approve',
+        number: resent.body.data.push_number
+      });
+
+      expect((await pollLogin(data.mfa_token)).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Perhitungan sliding window, waktu tunggu, dan batas key pada store memory
+ */
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_MEMORY_MAX_KEYS = '3';
+
+mockExternalModules();
+
+const { consumeRateLimit, resetRateLimit } = await import('../src/services/rate-limit.service.js');
+
+const WINDOW_MS = 60 * 1000;
+const BUDGET = { limit: 10, windowMs: WINDOW_MS };
+// Awal sebuah window
+const WINDOW_START = Math.floor(Date.UTC(2026, 0, 1) / WINDOW_MS) * WINDOW_MS;
+
+describe('sliding window rate limit', () => {
+  let now;
+
+  /**
+   * Mencatat beberapa permintaan pada waktu tertentu
+   * @param {string} key - Key counter
+   * @param {number} count - Jumlah permintaan
+   * @param {Object} [budget] - Batas permintaan
+   * @returns {Promise<Object>} Hasil permintaan terakhir
+   */
+  const consume = async (key, count, budget = BUDGET) => {
+    let result;
+    for (let i = 0; i < count; i++) {
+      result = await consumeRateLimit(key, budget);
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    now = WINDOW_START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    for (const key of ['a', 'b', 'c', 'd']) {
+      await resetRateLimit(key, BUDGET);
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('requests up to the limit are allowed with a decreasing remaining count', async () => {
+    const first = await consume('a', 1);
+    const tenth = await consume('a', 9);
+
+    expect(first).toEqual({ allowed: true, limit: 10, remaining: 9, resetMs: WINDOW_MS, retryAfterMs: 0 });
+    expect(tenth).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  test('the request over the limit waits until the weighted count leaves room', async () => {
+    await consume('a', 10);
+    const blocked = await consume('a', 1);
+
+    // 11 permintaan di window ini; window berikutnya memberi ruang setelah bobotnya turun ke 9/11
+    expect(blocked).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 70910 });
+
+    now = WINDOW_START + blocked.retryAfterMs;
+    expect(await consume('a', 1)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  test('retrying one millisecond early is still blocked', async () => {
+    await consume('b', 11);
+
+    now = WINDOW_START + 70909;
+    expect(await consume('b', 1)).toMatchObject({ allowed: false });
+  });
+
+  test('the previous window counts in proportion to its overlap', async () => {
+    await consume('a', 10);
+
+    // Setengah window berikutnya: 10 * 0.5 dari window sebelumnya tersisa
+    now = WINDOW_START + WINDOW_MS + WINDOW_MS / 2;
+    const fifth = await consume('a', 5);
+    const sixth = await consume('a', 1);
+
+    expect(fifth).toMatchObject({ allowed: true, remaining: 0, resetMs: WINDOW_MS / 2 });
+    expect(sixth).toMatchObject({ allowed: false, retryAfterMs: 12000 });
+
+    now += sixth.retryAfterMs;
+    expect(await consume('a', 1)).toMatchObject({ allowed: true });
+  });
+
+  test('counters older than the previous window are forgotten', async () => {
+    await consume('a', 11);
+
+    now = WINDOW_START + 2 * WINDOW_MS;
+    expect(await consume('a', 1)).toMatchObject({ allowed: true, remaining: 9 });
+  });
+
+  test('resetRateLimit clears the counter', async () => {
+    await consume('a', 11);
+    await resetRateLimit('a', BUDGET);
+
+    expect(await consume('a', 1)).toMatchObject({ allowed: true, remaining: 9 });
+  });
+
+  test('the memory store keeps at most RATE_LIMIT_MEMORY_MAX_KEYS counters, dropping the least recently used', async () => {
+    await consume('a', 11);
+    await consume('b', 11);
+    await consume('c', 11);
+    // a dipakai lagi sehingga b menjadi yang paling lama tidak dipakai
+    await consume('a', 1);
+
+    await consume('d', 1);
+
+    expect(await consume('a', 1)).toMatchObject({ allowed: false });
+    expect(await consume('c', 1)).toMatchObject({ allowed: false });
+    expect(await consume('b', 1)).toMatchObject({ allowed: true, remaining: 9 });
+  });
+});
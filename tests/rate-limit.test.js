@@ -0,0 +1,94 @@
+/**
+ * Dimensi consumer pada rate limit login hanya menghitung consumer yang terotentikasi
+ */
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { API_KEY, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_LOGIN_IP_MAX = '100';
+process.env.RATE_LIMIT_LOGIN_USER_MAX = '100';
+process.env.RATE_LIMIT_LOGIN_CONSUMER_MAX = '2';
+
+mockExternalModules();
+
+const { UserModel, AuditLogModel } = await import('../src/models/index.model.js');
+
+describe('login rate limit consumer dimension', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await createTestApp();
+  });
+
+  beforeEach(async () => {
+    await mockConsumer();
+    jest.spyOn(UserModel, 'findByUsername').mockResolvedValue(null);
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('client_id on the unauthenticated authorize form does not use the consumer budget', async () => {
+    for (let i = 0; i < 3; i++) {
+      const response = await request(app)
+        .post('/oauth/authorize')
+        .type('form')
+        .send({ client_id: CONSUMER_NAME, username: `guest${i}`, password: 'wrong' });
+
+      expect(response.status).not.toBe(429);
+      expect(response.headers['ratelimit-limit']).toBe('100');
+    }
+  });
+
+  test('authenticated consumers are limited on the consumer dimension', async () => {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send({ username: `user${i}`, password: 'Secret123!' });
+      statuses.push(response.status);
+    }
+
+    expect(statuses[2]).toBe(429);
+    expect(statuses.slice(0, 2)).not.toContain(429);
+  });
+
+  test('responses carry RateLimit-* headers of the tightest dimension and Retry-After when blocked', async () => {
+    // Awal window login (900 detik) yang belum pernah dipakai pengujian lain
+    const windowStart = Math.floor(Date.UTC(2030, 0, 1) / 900000) * 900000;
+    jest.spyOn(Date, 'now').mockReturnValue(windowStart);
+
+    const responses = [];
+    for (let i = 0; i < 3; i++) {
+      responses.push(await request(app)
+        .post('/api/v1/auth/login')
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send({ username: `header${i}`, password: 'Secret123!' }));
+    }
+
+    expect(responses[0].headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '900'
+    });
+    expect(responses[0].headers['retry-after']).toBeUndefined();
+
+    // Tiga permintaan pada window ini: window berikutnya memberi ruang setelah bobotnya turun ke 1/3
+    expect(responses[2].status).toBe(429);
+    expect(responses[2].headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '0',
+      'ratelimit-reset': '900',
+      'retry-after': '1500'
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Script re-enkripsi secret MFA ke DEK aktif
+ */
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { buildInstance } from './helpers/models.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+mockExternalModules();
+
+const { sequelize, UserModel } = await import('../src/models/index.model.js');
+const { encryptWithDataKey, decryptWithDataKey, getDataKeyVersion } =
+  await import('../src/services/crypto.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+
+describe('reencrypt-mfa-secrets script', () => {
+  let savedEnv;
+  let storedSettings;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @returns {Object} Instance User
+   */
+  const loadUser = () => {
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.save.mockImplementation(async function () {
+      storedSettings = structuredClone(this.mfa_settings);
+      return this;
+    });
+    return user;
+  };
+
+  beforeAll(async () => {
+    savedEnv = { ...process.env };
+
+    // Secret lama dienkripsi dengan v1, lalu kunci dirotasi ke v2
+    process.env.DATA_ENCRYPTION_KEYS = 'v1:first-secret';
+    storedSettings = {
+      enabled: true,
+      factors: [
+        { id: 'totp-1', type: 'totp', secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'), verified: true },
+        { id: 'sms-1', type: 'sms', phone_number: '+628123456789', verified: true }
+      ],
+      backup_codes: []
+    };
+    process.env.DATA_ENCRYPTION_KEYS = 'v1:first-secret,v2:second-secret';
+
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findAll').mockImplementation(async () => [loadUser()]);
+    jest.spyOn(sequelize, 'authenticate').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Script berjalan saat di-import dan berakhir dengan menutup koneksi atau process.exit
+    await new Promise((resolve, reject) => {
+      jest.spyOn(sequelize, 'close').mockImplementation(async () => resolve());
+      jest.spyOn(process, 'exit').mockImplementation(() => resolve());
+      import('../scripts/reencrypt-mfa-secrets.js').catch(reject);
+    });
+  });
+
+  afterAll(() => {
+    process.env = savedEnv;
+    jest.restoreAllMocks();
+  });
+
+  test('secrets are re-encrypted with the active key version under the row lock', async () => {
+    const [totp, sms] = storedSettings.factors;
+
+    expect(console.error.mock.calls).toEqual([]);
+    expect(process.exit).not.toHaveBeenCalled();
+    expect(getDataKeyVersion(totp.secret)).toBe('v2');
+    expect(decryptWithDataKey(totp.secret)).toBe('JBSWY3DPEHPK3PXP');
+    expect(sms).toEqual({ id: 'sms-1', type: 'sms', phone_number: '+628123456789', verified: true });
+    expect(UserModel.findByPk).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ lock: 'UPDATE' }));
+    await expect(sequelize.transaction.mock.results[0].value).resolves.toHaveProperty('finished', 'commit');
+  });
+});
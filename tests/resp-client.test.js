@@ -0,0 +1,95 @@
+/**
+ * Decode reply RESP dan penanganan reply yang tidak valid pada klien
+ */
+import net from 'net';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { decodeReply, createRespClient } from '../src/utils/resp.util.js';
+
+describe('decodeReply', () => {
+  test.each([
+    ['simple string', '+OK\r\n', 'OK'],
+    ['integer', ':42\r\n', 42],
+    ['bulk string', '$5\r\nhello\r\n', 'hello'],
+    ['null bulk string', '$-1\r\n', null],
+    ['array', '*3\r\n:1\r\n$3\r\nfoo\r\n*1\r\n+bar\r\n', [1, 'foo', ['bar']]],
+    ['null array', '*-1\r\n', null]
+  ])('%s', (description, raw, value) => {
+    const buffer = Buffer.from(raw);
+
+    expect(decodeReply(buffer)).toEqual({ value, offset: buffer.length });
+  });
+
+  test('an error reply is returned as an Error', () => {
+    const { value } = decodeReply(Buffer.from('-ERR wrong type\r\n'));
+
+    expect(value).toBeInstanceOf(Error);
+    expect(value.message).toBe('ERR wrong type');
+  });
+
+  test('pipelined replies are decoded from the returned offset', () => {
+    const buffer = Buffer.from(':1\r\n+OK\r\n$-1\r\n');
+
+    const first = decodeReply(buffer);
+    const second = decodeReply(buffer, first.offset);
+    const third = decodeReply(buffer, second.offset);
+
+    expect([first.value, second.value, third.value]).toEqual([1, 'OK', null]);
+    expect(third.offset).toBe(buffer.length);
+  });
+
+  test.each([
+    ['header line', '$5'],
+    ['bulk string body', '$5\r\nhel'],
+    ['array element', '*2\r\n:1\r\n']
+  ])('an incomplete %s waits for more data', (description, raw) => {
+    expect(decodeReply(Buffer.from(raw))).toBeNull();
+  });
+
+  test.each([
+    ['an unknown reply type', '!oops\r\n', 'Unsupported RESP reply type: !'],
+    ['a non-numeric bulk length', '$abc\r\n', 'Invalid RESP number: abc'],
+    ['an unknown type inside an array', '*1\r\n?x\r\n', 'Unsupported RESP reply type: ?']
+  ])('%s throws', (description, raw, message) => {
+    expect(() => decodeReply(Buffer.from(raw))).toThrow(message);
+  });
+});
+
+describe('createRespClient', () => {
+  let server;
+  let url;
+  // Reply yang dikirim server pengujian untuk setiap data yang diterima
+  let reply;
+
+  beforeAll(async () => {
+    server = net.createServer((socket) => {
+      socket.on('data', () => socket.write(reply));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `redis://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('replies are resolved in order', async () => {
+    reply = ':1\r\n$-1\r\n';
+    const client = createRespClient(url);
+
+    await expect(client.pipeline([['INCR', 'a'], ['GET', 'b']])).resolves.toEqual([1, null]);
+    client.close();
+  });
+
+  test('an undecodable reply rejects the pending commands and drops the connection', async () => {
+    reply = '!oops\r\n';
+    const client = createRespClient(url);
+
+    await expect(client.pipeline([['GET', 'a'], ['GET', 'b']]))
+      .rejects.toThrow('Unsupported RESP reply type: !');
+
+    // Koneksi baru dibuka untuk perintah berikutnya
+    reply = '+PONG\r\n';
+    await expect(client.command(['PING'])).resolves.toBe('PONG');
+    client.close();
+  });
+});
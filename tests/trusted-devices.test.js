@@ -0,0 +1,399 @@
+/**
+ * Perangkat tepercaya: melewati challenge MFA dengan token perangkat, daftar, dan pencabutan
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { Op } from 'sequelize';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { createProviderKey, signTestJwt, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+import { mockTransactions } from './helpers/transactions.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const { speakeasy } = mockExternalModules();
+
+const {
+  sequelize,
+  UserModel,
+  TokenModel,
+  ProviderKeyModel,
+  MfaChallengeModel,
+  TrustedDeviceModel,
+  AuditLogModel,
+  PasswordPolicyModel
+} = await import('../src/models/index.model.js');
+const { encryptWithDataKey, hashData } = await import('../src/services/crypto.service.js');
+const { verifyDeviceToken } = await import('../src/services/trusted-device.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const ADMIN_ID = '9c1d2e3f-4a5b-4c6d-8e7f-0a1b2c3d4e5f';
+const FACTOR_ID = '3f2b1c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const OTHER_CONSUMER_ID = '6a5b4c3d-2e1f-4a0b-9c8d-7e6f5a4b3c2d';
+const VALID_CODE = '123456';
+const PASSWORD = 'Secret123!';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('trusted devices', () => {
+  let app;
+  let providerKey;
+  let addToken;
+  let devices;
+  let challenges;
+
+  /**
+   * Membaca pengguna dengan TOTP aktif; admin memiliki role admin
+   * @param {string} id - ID pengguna
+   * @returns {Object} Instance User
+   */
+  const loadUser = (id) => {
+    const user = buildInstance(UserModel, {
+      id,
+      username: id === ADMIN_ID ? 'admin' : 'alice',
+      email: id === ADMIN_ID ? 'admin@example.com' : 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      is_locked: false,
+      failed_attempts: 0,
+      mfa_settings: {
+        enabled: true,
+        default_factor_id: FACTOR_ID,
+        factors: [
+          {
+            id: FACTOR_ID,
+            type: 'totp',
+            label: 'Authenticator app',
+            secret: encryptWithDataKey('JBSWY3DPEHPK3PXP'),
+            verified: true
+          }
+        ],
+        backup_codes: []
+      }
+    });
+    user.Roles = [{ name: id === ADMIN_ID ? 'admin' : 'user' }];
+    return user;
+  };
+
+  /**
+   * Request dengan kredensial consumer pengujian
+   * @param {string} method - Method HTTP (get, post, delete)
+   * @param {string} path - Path endpoint
+   * @param {string} [userId] - Pengguna pemilik access token (tanpa token jika kosong)
+   * @returns {Object} Request supertest
+   */
+  const api = (method, path, userId) => {
+    const pending = request(app)[method](path)
+      .set('x-api-key', API_KEY)
+      .set('x-consumer-name', CONSUMER_NAME);
+    if (!userId) {
+      return pending;
+    }
+
+    const accessToken = addToken({ user_id: userId });
+    return pending.set(
+      'Authorization',
+      `Bearer ${signTestJwt(providerKey, { token_id: accessToken.id, consumer: CONSUMER_NAME })}`
+    );
+  };
+
+  /**
+   * Login dengan password, dengan atau tanpa token perangkat
+   * @param {string} [deviceToken] - Token perangkat tepercaya
+   * @returns {Promise<Object>} Respons supertest
+   */
+  const login = (deviceToken) =>
+    api('post', '/api/v1/auth/login').send({
+      username: 'alice',
+      password: PASSWORD,
+      ...(deviceToken && { device_token: deviceToken })
+    });
+
+  /**
+   * Login lengkap dengan TOTP dan mempercayai perangkat
+   * @returns {Promise<Object>} Respons supertest langkah MFA
+   */
+  const loginAndTrustDevice = async () => {
+    const first = await login();
+    return await api('post', '/api/v1/auth/login/mfa').send({
+      mfa_token: first.body.data.mfa_token,
+      code: VALID_CODE,
+      trust_device: true,
+      device_name: 'Work laptop'
+    });
+  };
+
+  /**
+   * Audit log dengan event type tertentu
+   * @param {string} eventType - Event type
+   * @returns {Object[]} Data audit log
+   */
+  const audits = (eventType) =>
+    AuditLogModel.create.mock.calls
+      .map(([data]) => data)
+      .filter((data) => data.event_type === eventType);
+
+  beforeAll(async () => {
+    app = await createTestApp();
+    providerKey = await storeSigningKey(createProviderKey());
+  });
+
+  beforeEach(async () => {
+    devices = [];
+    challenges = [];
+    ({ addToken } = mockTokenStore(TokenModel, { provider_key_id: providerKey.key.id }));
+
+    speakeasy.totp.verifyDelta.mockImplementation(({ token }) =>
+      token === VALID_CODE ? { delta: 0 } : undefined
+    );
+    await mockConsumer();
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByUsername').mockImplementation(async () => loadUser(USER_ID));
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async (id) => loadUser(id));
+    jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+    jest.spyOn(ProviderKeyModel, 'findVerificationKey').mockResolvedValue(providerKey.key);
+    jest.spyOn(PasswordPolicyModel, 'findCurrent').mockResolvedValue(null);
+    jest.spyOn(MfaChallengeModel, 'create').mockImplementation(async (values) => {
+      const challenge = { id: crypto.randomUUID(), attempts: 0, ...values };
+      challenges.push(challenge);
+      return challenge;
+    });
+    jest.spyOn(MfaChallengeModel, 'findByHash').mockImplementation(async (hash) =>
+      challenges.find((challenge) => challenge.challenge_hash === hash) || null
+    );
+    jest.spyOn(MfaChallengeModel, 'registerAttempt').mockResolvedValue(true);
+    jest.spyOn(MfaChallengeModel, 'consume').mockResolvedValue(true);
+    jest.spyOn(TrustedDeviceModel, 'create').mockImplementation(async (values) => {
+      const device = buildInstance(TrustedDeviceModel, {
+        id: crypto.randomUUID(),
+        created_at: new Date(),
+        ...values
+      });
+      devices.push(device);
+      return device;
+    });
+    jest.spyOn(TrustedDeviceModel, 'findByPk').mockImplementation(async (id) =>
+      devices.find((device) => device.id === id) || null
+    );
+    jest.spyOn(TrustedDeviceModel, 'findAll').mockImplementation(async ({ where }) =>
+      devices.filter((device) =>
+        device.user_id === where.user_id &&
+        !device.revoked_at &&
+        device.expires_at > where.expires_at[Op.gt]
+      )
+    );
+    jest.spyOn(TrustedDeviceModel, 'update').mockImplementation(async (values, { where }) => {
+      const matched = devices.filter((device) =>
+        device.user_id === where.user_id &&
+        !device.revoked_at &&
+        (!where.id || device.id === where.id)
+      );
+      matched.forEach((device) => device.set(values));
+      return [matched.length];
+    });
+    jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('trusting a device', () => {
+    test('a successful MFA step with trust_device returns a device token stored only as a hash', async () => {
+      const response = await loginAndTrustDevice();
+
+      expect(response.status).toBe(200);
+      const { device_token: deviceToken, device_expires_at: expiresAt } = response.body.data;
+      const [deviceId, secret] = deviceToken.split('.');
+
+      expect(devices).toHaveLength(1);
+      expect(devices[0]).toMatchObject({
+        id: deviceId,
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID,
+        name: 'Work laptop',
+        token_hash: hashData(secret)
+      });
+      expect(JSON.stringify(devices[0].toJSON())).not.toContain(secret);
+      expect(new Date(expiresAt).getTime() - Date.now()).toBeGreaterThan(29 * DAY_MS);
+      expect(new Date(expiresAt).getTime() - Date.now()).toBeLessThanOrEqual(30 * DAY_MS);
+      expect(audits('mfa_device_trusted')).toEqual([
+        expect.objectContaining({
+          user_id: USER_ID,
+          metadata: expect.objectContaining({ trusted_device_id: deviceId })
+        })
+      ]);
+    });
+
+    test('no device is trusted unless requested or when the MFA code is wrong', async () => {
+      const first = await login();
+      const withoutFlag = await api('post', '/api/v1/auth/login/mfa').send({
+        mfa_token: first.body.data.mfa_token,
+        code: VALID_CODE
+      });
+
+      const second = await login();
+      const wrongCode = await api('post', '/api/v1/auth/login/mfa').send({
+        mfa_token: second.body.data.mfa_token,
+        code: '000000',
+        trust_device: true
+      });
+
+      expect(withoutFlag.status).toBe(200);
+      expect(withoutFlag.body.data).not.toHaveProperty('device_token');
+      expect(wrongCode.status).toBe(401);
+      expect(devices).toEqual([]);
+    });
+  });
+
+  describe('logging in from a trusted device', () => {
+    test('skips the MFA challenge and records the device use', async () => {
+      const { body } = await loginAndTrustDevice();
+      MfaChallengeModel.create.mockClear();
+      AuditLogModel.create.mockClear();
+
+      const response = await login(body.data.device_token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(MfaChallengeModel.create).not.toHaveBeenCalled();
+      expect(devices[0].last_used_at).toEqual(expect.any(Date));
+      expect(audits('login')).toEqual([
+        expect.objectContaining({
+          status: 'success',
+          metadata: expect.objectContaining({ amr: ['pwd', 'swk'], trusted_device_id: devices[0].id })
+        })
+      ]);
+    });
+
+    test('still requires the password', async () => {
+      const { body } = await loginAndTrustDevice();
+
+      const response = await api('post', '/api/v1/auth/login').send({
+        username: 'alice',
+        password: 'Wrong123!',
+        device_token: body.data.device_token
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    test.each([
+      ['expired', (device) => device.set({ expires_at: new Date(Date.now() - 1000) })],
+      ['revoked', (device) => device.set({ revoked_at: new Date() })],
+      ['owned by another user', (device) => device.set({ user_id: ADMIN_ID })]
+    ])('a token of a device that is %s gets an MFA challenge', async (_, change) => {
+      const { body } = await loginAndTrustDevice();
+      change(devices[0]);
+
+      const response = await login(body.data.device_token);
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.mfa_token).toEqual(expect.any(String));
+    });
+
+    test('a tampered token gets an MFA challenge', async () => {
+      const { body } = await loginAndTrustDevice();
+      const [deviceId, secret, signature] = body.data.device_token.split('.');
+      const otherSecret = crypto.randomBytes(32).toString('hex');
+
+      for (const token of [`${deviceId}.${otherSecret}.${signature}`, `${deviceId}.${secret}.${signature.slice(1)}x`]) {
+        const response = await login(token);
+
+        expect(response.status).toBe(202);
+      }
+    });
+
+    test('a device token is only valid for the consumer that issued it', async () => {
+      const { body } = await loginAndTrustDevice();
+
+      expect(await verifyDeviceToken(body.data.device_token, { userId: USER_ID, consumerId: CONSUMER_ID }))
+        .toBe(devices[0]);
+      expect(await verifyDeviceToken(body.data.device_token, { userId: USER_ID, consumerId: OTHER_CONSUMER_ID }))
+        .toBeNull();
+    });
+  });
+
+  describe('security settings', () => {
+    test('the user lists active devices without their token hashes', async () => {
+      await loginAndTrustDevice();
+      await loginAndTrustDevice();
+      devices[1].set({ revoked_at: new Date() });
+
+      const response = await api('get', '/api/v1/mfa/trusted-devices', USER_ID);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ id: devices[0].id, name: 'Work laptop', consumer_id: CONSUMER_ID })
+      ]);
+      expect(response.body.data[0]).not.toHaveProperty('token_hash');
+    });
+
+    test('a revoked device needs MFA again and the revocation is audited', async () => {
+      const { body } = await loginAndTrustDevice();
+
+      const response = await api('delete', `/api/v1/mfa/trusted-devices/${devices[0].id}`, USER_ID);
+
+      expect(response.status).toBe(200);
+      expect(devices[0]).toMatchObject({ revoked_at: expect.any(Date), revoked_by: USER_ID });
+      expect(audits('mfa_device_revoked')).toEqual([
+        expect.objectContaining({ metadata: expect.objectContaining({ trusted_device_id: devices[0].id }) })
+      ]);
+      expect((await login(body.data.device_token)).status).toBe(202);
+    });
+
+    test('a user cannot revoke a device of another user', async () => {
+      await loginAndTrustDevice();
+
+      const response = await api('delete', `/api/v1/mfa/trusted-devices/${devices[0].id}`, ADMIN_ID);
+
+      expect(response.status).toBe(404);
+      expect(devices[0].revoked_at).toBeFalsy();
+    });
+
+    test('the user can revoke all devices at once', async () => {
+      await loginAndTrustDevice();
+      await loginAndTrustDevice();
+
+      const response = await api('delete', '/api/v1/mfa/trusted-devices', USER_ID);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ count: 2 });
+      expect(devices.every((device) => device.revoked_at)).toBe(true);
+    });
+  });
+
+  describe('admin', () => {
+    test('an admin lists and revokes the devices of a user', async () => {
+      await loginAndTrustDevice();
+      await loginAndTrustDevice();
+
+      const list = await api('get', `/api/v1/admin/users/${USER_ID}/trusted-devices`, ADMIN_ID);
+      const revokeOne = await api('delete', `/api/v1/admin/users/${USER_ID}/trusted-devices/${devices[0].id}`, ADMIN_ID);
+      const revokeAll = await api('delete', `/api/v1/admin/users/${USER_ID}/trusted-devices`, ADMIN_ID);
+
+      expect(list.status).toBe(200);
+      expect(list.body.data).toHaveLength(2);
+      expect(revokeOne.status).toBe(200);
+      expect(revokeAll.body.data).toEqual({ count: 1 });
+      expect(devices.every((device) => device.revoked_by === ADMIN_ID)).toBe(true);
+      expect(audits('mfa_device_revoked')).toEqual([
+        expect.objectContaining({ user_id: USER_ID, metadata: expect.objectContaining({ initiated_by: ADMIN_ID }) }),
+        expect.objectContaining({ user_id: USER_ID, metadata: expect.objectContaining({ devices_revoked: 1 }) })
+      ]);
+    });
+
+    test('other users cannot manage devices through the admin API', async () => {
+      await loginAndTrustDevice();
+
+      const response = await api('get', `/api/v1/admin/users/${USER_ID}/trusted-devices`, USER_ID);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
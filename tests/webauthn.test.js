@@ -0,0 +1,445 @@
+/**
+ * Ceremony WebAuthn: registrasi (attestation none dan packed) dan otentikasi (assertion)
+ */
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { mockExternalModules } from './helpers/mock-modules.js';
+import { createTestApp } from './helpers/app.js';
+import { buildInstance } from './helpers/models.js';
+import { mockTransactions } from './helpers/transactions.js';
+import { createProviderKey, storeSigningKey } from './helpers/tokens.js';
+import { API_KEY, CONSUMER_ID, CONSUMER_NAME, mockConsumer } from './helpers/consumers.js';
+import { mockTokenStore } from './helpers/token-store.js';
+import { createAuthenticator, FLAG_USER_PRESENT } from './helpers/webauthn.js';
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.WEBAUTHN_ORIGINS = 'https://auth.example.com';
+delete process.env.WEBAUTHN_RP_ID;
+
+mockExternalModules();
+
+const { sequelize, UserModel, TokenModel, ProviderKeyModel, WebAuthnChallengeModel, AuditLogModel } =
+  await import('../src/models/index.model.js');
+const {
+  generateRegistrationOptions,
+  verifyRegistration,
+  generateAuthenticationOptions,
+  verifyAuthentication
+} = await import('../src/services/webauthn.service.js');
+
+const USER_ID = '5b8f9a3e-1f0c-4d6b-8a52-2b7f3c1d9e44';
+const OTHER_USER_ID = '9e1d2c3b-4a5f-4e6d-8c7b-1a2b3c4d5e6f';
+const RP_ID = 'auth.example.com';
+const ORIGIN = 'https://auth.example.com';
+const PASSWORD = 'Secret123!';
+
+describe('WebAuthn', () => {
+  let storedSettings;
+  let challenges;
+  let authenticator;
+
+  /**
+   * Membaca user dari "database"; perubahan hanya tersimpan melalui save
+   * @param {string} id - ID user
+   * @returns {Object|null} Instance User
+   */
+  const loadUser = (id) => {
+    if (id !== USER_ID) {
+      return null;
+    }
+    const user = buildInstance(UserModel, {
+      id: USER_ID,
+      username: 'alice',
+      email: 'alice@example.com',
+      password_hash: `hashed:${PASSWORD}`,
+      is_active: true,
+      mfa_settings: structuredClone(storedSettings)
+    });
+    user.save.mockImplementation(async function () {
+      storedSettings = structuredClone(this.mfa_settings);
+      return this;
+    });
+    return user;
+  };
+
+  /**
+   * Mendaftarkan credential authenticator melalui ceremony registrasi
+   * @param {Object} [params] - Parameter tambahan untuk authenticator.register
+   * @returns {Promise<Object>} Hasil verifyRegistration
+   */
+  const register = async (params = {}) => {
+    const { options } = await generateRegistrationOptions(USER_ID, { consumerId: CONSUMER_ID });
+    return await verifyRegistration(
+      USER_ID,
+      authenticator.register({ challenge: options.challenge, ...params }),
+      { consumerId: CONSUMER_ID, label: 'Laptop' }
+    );
+  };
+
+  /**
+   * Menjalankan ceremony otentikasi faktor kedua
+   * @param {Object} params - Parameter authenticator.assert (signCount, flags, ...)
+   * @param {Object} [context] - Konteks tambahan verifyAuthentication
+   * @returns {Promise<Object>} Hasil verifyAuthentication
+   */
+  const authenticate = async (params, context = {}) => {
+    const { options } = await generateAuthenticationOptions({ userId: USER_ID, consumerId: CONSUMER_ID });
+    return await verifyAuthentication(
+      authenticator.assert({ challenge: options.challenge, ...params }),
+      { userId: USER_ID, consumerId: CONSUMER_ID, ...context }
+    );
+  };
+
+  /**
+   * Faktor WebAuthn yang tersimpan
+   * @returns {Object} Faktor
+   */
+  const storedFactor = () => storedSettings.factors.find((factor) => factor.type === 'webauthn');
+
+  beforeEach(() => {
+    storedSettings = { enabled: false, factors: [], backup_codes: [] };
+    challenges = [];
+    authenticator = createAuthenticator({ rpId: RP_ID, origin: ORIGIN });
+
+    const { lockingFindByPk } = mockTransactions(sequelize);
+    jest.spyOn(UserModel, 'findByPk').mockImplementation(lockingFindByPk(loadUser));
+    jest.spyOn(WebAuthnChallengeModel, 'create').mockImplementation(async (values) => {
+      const challenge = { ...values, id: crypto.randomUUID(), consumed_at: null };
+      challenges.push(challenge);
+      return challenge;
+    });
+    jest.spyOn(WebAuthnChallengeModel, 'findByChallenge').mockImplementation(async (value) =>
+      challenges.find((challenge) => challenge.challenge === value) || null
+    );
+    jest.spyOn(WebAuthnChallengeModel, 'consume').mockImplementation(async (id) => {
+      const challenge = challenges.find((candidate) => candidate.id === id);
+      if (challenge.consumed_at) {
+        return false;
+      }
+      challenge.consumed_at = new Date();
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('registration', () => {
+    test('the options carry a stored single-use challenge for the relying party and user', async () => {
+      const result = await generateRegistrationOptions(USER_ID, { consumerId: CONSUMER_ID });
+
+      expect(result.options).toMatchObject({
+        rp: { id: RP_ID },
+        user: { id: Buffer.from(USER_ID).toString('base64url'), name: 'alice' },
+        pubKeyCredParams: [
+          { type: 'public-key', alg: -7 },
+          { type: 'public-key', alg: -8 },
+          { type: 'public-key', alg: -257 }
+        ],
+        excludeCredentials: []
+      });
+      expect(challenges).toEqual([expect.objectContaining({
+        challenge: result.options.challenge,
+        purpose: 'registration',
+        user_id: USER_ID,
+        consumer_id: CONSUMER_ID
+      })]);
+    });
+
+    test('a none attestation registers the credential as the first MFA factor', async () => {
+      const result = await register();
+
+      expect(result).toMatchObject({ success: true, data: { backupCodes: expect.any(Array) } });
+      expect(storedSettings.enabled).toBe(true);
+      expect(storedFactor()).toMatchObject({
+        label: 'Laptop',
+        verified: true,
+        credential_id: authenticator.credentialId,
+        algorithm: -7,
+        sign_count: 0,
+        transports: ['internal'],
+        aaguid: '00112233-4455-6677-8899-aabbccddeeff',
+        attestation_format: 'none',
+        user_verified: true
+      });
+      expect(storedFactor().public_key).toContain('BEGIN PUBLIC KEY');
+    });
+
+    test('a packed self attestation with an Ed25519 credential is verified', async () => {
+      authenticator = createAuthenticator({ rpId: RP_ID, origin: ORIGIN, algorithm: 'EdDSA' });
+
+      const result = await register({ fmt: 'packed' });
+
+      expect(result.success).toBe(true);
+      expect(storedFactor()).toMatchObject({ algorithm: -8, attestation_format: 'packed' });
+    });
+
+    test('the registered credential is excluded from later registration options', async () => {
+      await register();
+
+      const { options } = await generateRegistrationOptions(USER_ID, { currentPassword: PASSWORD });
+
+      expect(options.excludeCredentials).toEqual([
+        { type: 'public-key', id: authenticator.credentialId, transports: ['internal'] }
+      ]);
+    });
+
+    test.each([
+      ['a packed signature that does not verify', { fmt: 'packed', attStmt: { alg: -7, sig: Buffer.alloc(70) } }, 'Invalid packed attestation'],
+      ['a packed statement naming another algorithm', { fmt: 'packed', attStmt: { alg: -257, sig: Buffer.alloc(70) } }, 'Invalid packed attestation'],
+      ['a none attestation with a statement', { attStmt: { alg: -7 } }, 'Attestation statement must be empty for format none'],
+      ['another origin', { origin: 'https://evil.example.com' }, 'Origin not allowed: https://evil.example.com'],
+      ['an assertion client data type', { type: 'webauthn.get' }, 'Unexpected clientData type: webauthn.get'],
+      ['another RP ID', { rpId: 'evil.example.com' }, 'RP ID hash mismatch'],
+      ['no user presence', { flags: 0 }, 'User presence is required']
+    ])('%s is rejected', async (_, params, message) => {
+      const result = await register(params);
+
+      expect(result).toEqual({ success: false, code: 'INVALID_WEBAUTHN_RESPONSE', message });
+      expect(storedSettings.factors).toEqual([]);
+    });
+
+    test('an unsupported attestation format is reported as such', async () => {
+      const result = await register({ fmt: 'fido-u2f', attStmt: { sig: Buffer.alloc(70) } });
+
+      expect(result.code).toBe('UNSUPPORTED_ATTESTATION');
+    });
+
+    test('a rawId that differs from the attested credential ID is rejected', async () => {
+      const { options } = await generateRegistrationOptions(USER_ID, { consumerId: CONSUMER_ID });
+      const credential = authenticator.register({ challenge: options.challenge });
+      credential.rawId = crypto.randomBytes(16).toString('base64url');
+
+      const result = await verifyRegistration(USER_ID, credential, { consumerId: CONSUMER_ID });
+
+      expect(result.message).toBe('Credential ID mismatch');
+    });
+
+    test('a challenge is accepted once, only for its user, and only before it expires', async () => {
+      const { options } = await generateRegistrationOptions(USER_ID, { consumerId: CONSUMER_ID });
+      const credential = authenticator.register({ challenge: options.challenge });
+
+      const otherUser = await verifyRegistration(OTHER_USER_ID, credential, { consumerId: CONSUMER_ID });
+      const first = await verifyRegistration(USER_ID, credential, { consumerId: CONSUMER_ID });
+      const replay = await verifyRegistration(USER_ID, credential, { consumerId: CONSUMER_ID });
+
+      expect(otherUser.code).toBe('INVALID_WEBAUTHN_CHALLENGE');
+      expect(first.success).toBe(true);
+      expect(replay.code).toBe('INVALID_WEBAUTHN_CHALLENGE');
+
+      // Faktor kedua memerlukan password saat ini
+      const expired = await generateRegistrationOptions(USER_ID, {
+        consumerId: CONSUMER_ID,
+        currentPassword: PASSWORD
+      });
+      challenges.at(-1).expires_at = new Date(Date.now() - 1000);
+      const late = await verifyRegistration(
+        USER_ID,
+        createAuthenticator({ rpId: RP_ID, origin: ORIGIN }).register({ challenge: expired.options.challenge }),
+        { consumerId: CONSUMER_ID }
+      );
+
+      expect(late.code).toBe('INVALID_WEBAUTHN_CHALLENGE');
+    });
+
+    test('a malformed attestation object is rejected without throwing', async () => {
+      const { options } = await generateRegistrationOptions(USER_ID, { consumerId: CONSUMER_ID });
+      const credential = authenticator.register({ challenge: options.challenge });
+      credential.response.attestationObject = Buffer.from('a1636664', 'hex').toString('base64url');
+
+      const result = await verifyRegistration(USER_ID, credential, { consumerId: CONSUMER_ID });
+
+      expect(result).toMatchObject({ success: false, code: 'INVALID_WEBAUTHN_RESPONSE' });
+    });
+  });
+
+  describe('authentication', () => {
+    beforeEach(async () => {
+      await register();
+    });
+
+    test('a valid assertion returns the user and stores the new signature counter', async () => {
+      const result = await authenticate({ signCount: 5 });
+
+      expect(result).toMatchObject({
+        success: true,
+        user: { id: USER_ID },
+        factor: { id: storedFactor().id, type: 'webauthn' },
+        userVerified: true
+      });
+      expect(storedFactor()).toMatchObject({ sign_count: 5, last_used_at: expect.any(String) });
+    });
+
+    test('a signature counter that does not increase is rejected as a possible clone', async () => {
+      await authenticate({ signCount: 5 });
+
+      const repeated = await authenticate({ signCount: 5 });
+      const lower = await authenticate({ signCount: 4 });
+
+      expect(repeated.code).toBe('WEBAUTHN_SIGN_COUNT_INVALID');
+      expect(lower.code).toBe('WEBAUTHN_SIGN_COUNT_INVALID');
+      expect(storedFactor().sign_count).toBe(5);
+      expect((await authenticate({ signCount: 6 })).success).toBe(true);
+    });
+
+    test('authenticators without a counter may keep sending zero', async () => {
+      expect((await authenticate({ signCount: 0 })).success).toBe(true);
+      expect((await authenticate({ signCount: 0 })).success).toBe(true);
+    });
+
+    test('a signature from another key is rejected', async () => {
+      const { options } = await generateAuthenticationOptions({ userId: USER_ID });
+      const credential = authenticator.assert({ challenge: options.challenge, signCount: 1 });
+      const impostor = createAuthenticator({ rpId: RP_ID, origin: ORIGIN })
+        .assert({ challenge: options.challenge, signCount: 1 });
+      credential.response.signature = impostor.response.signature;
+
+      const result = await verifyAuthentication(credential, { userId: USER_ID });
+
+      expect(result).toMatchObject({ success: false, message: 'Invalid signature' });
+      expect(storedFactor().sign_count).toBe(0);
+    });
+
+    test('user verification is enforced when required', async () => {
+      const result = await authenticate(
+        { signCount: 1, flags: FLAG_USER_PRESENT },
+        { requireUserVerification: true }
+      );
+
+      expect(result.message).toBe('User verification is required');
+      expect((await authenticate({ signCount: 1, flags: FLAG_USER_PRESENT })).success).toBe(true);
+    });
+
+    test('an unknown credential is rejected', async () => {
+      authenticator = createAuthenticator({ rpId: RP_ID, origin: ORIGIN });
+
+      const result = await authenticate({ signCount: 1 });
+
+      expect(result.code).toBe('WEBAUTHN_CREDENTIAL_NOT_FOUND');
+    });
+
+    test('the allowed credentials name the registered credential', async () => {
+      const result = await generateAuthenticationOptions({ userId: USER_ID });
+
+      expect(result.options).toMatchObject({
+        rpId: RP_ID,
+        allowCredentials: [{ type: 'public-key', id: authenticator.credentialId }]
+      });
+    });
+
+    test('a passkey login without username identifies the user from the user handle', async () => {
+      const { options } = await generateAuthenticationOptions({ consumerId: CONSUMER_ID, userVerification: 'required' });
+
+      expect(options.allowCredentials).toEqual([]);
+
+      const result = await verifyAuthentication(
+        authenticator.assert({ challenge: options.challenge, signCount: 1, userHandle: USER_ID }),
+        { consumerId: CONSUMER_ID, requireUserVerification: true }
+      );
+
+      expect(result).toMatchObject({ success: true, user: { id: USER_ID } });
+    });
+
+    test('a user handle that differs from the challenge user is rejected', async () => {
+      const { options } = await generateAuthenticationOptions({ userId: USER_ID });
+
+      const result = await verifyAuthentication(
+        authenticator.assert({ challenge: options.challenge, signCount: 1, userHandle: OTHER_USER_ID }),
+        {}
+      );
+
+      expect(result.message).toBe('Unable to identify credential owner');
+    });
+
+    test('a registration challenge cannot be used for an assertion', async () => {
+      const { options } = await generateRegistrationOptions(USER_ID, { currentPassword: PASSWORD });
+
+      const result = await verifyAuthentication(
+        authenticator.assert({ challenge: options.challenge, signCount: 1 }),
+        { userId: USER_ID }
+      );
+
+      expect(result.code).toBe('INVALID_WEBAUTHN_CHALLENGE');
+    });
+  });
+
+  describe('passkey login route', () => {
+    let app;
+    let providerKey;
+
+    /**
+     * Request ke endpoint login passkey
+     * @param {string} path - Path di bawah /api/v1/auth/passkey
+     * @param {Object} body - Body request
+     * @returns {Promise<Object>} Respons supertest
+     */
+    const post = (path, body) =>
+      request(app)
+        .post(`/api/v1/auth/passkey${path}`)
+        .set('x-api-key', API_KEY)
+        .set('x-consumer-name', CONSUMER_NAME)
+        .send(body);
+
+    beforeAll(async () => {
+      app = await createTestApp();
+      providerKey = await storeSigningKey(createProviderKey());
+    });
+
+    beforeEach(async () => {
+      await register();
+
+      mockTokenStore(TokenModel);
+      await mockConsumer();
+      jest.spyOn(UserModel, 'findByUsername').mockImplementation(async () => loadUser(USER_ID));
+      jest.spyOn(UserModel, 'findWithRoles').mockImplementation(async (id) => {
+        const user = loadUser(id);
+        user.Roles = [{ name: 'admin' }];
+        return user;
+      });
+      jest.spyOn(ProviderKeyModel, 'findActiveKey').mockResolvedValue(providerKey.key);
+      jest.spyOn(ProviderKeyModel, 'findByPk').mockResolvedValue(providerKey.key);
+      jest.spyOn(AuditLogModel, 'create').mockResolvedValue({});
+    });
+
+    test('a user-verified passkey logs in without a password or MFA challenge', async () => {
+      const options = await post('/options', { username: 'alice' });
+
+      expect(options.status).toBe(200);
+      expect(options.body.data).toMatchObject({
+        userVerification: 'required',
+        allowCredentials: [{ id: authenticator.credentialId }]
+      });
+
+      const login = await post('/login', {
+        credential: authenticator.assert({ challenge: options.body.data.challenge, signCount: 1 })
+      });
+
+      expect(login.status).toBe(200);
+      expect(login.body.data).toMatchObject({
+        token: expect.any(String),
+        refresh_token: expect.any(String),
+        user: { id: USER_ID, username: 'alice', roles: ['admin'] }
+      });
+      expect(storedFactor().sign_count).toBe(1);
+    });
+
+    test('a passkey assertion without user verification is refused', async () => {
+      const options = await post('/options', {});
+
+      const login = await post('/login', {
+        credential: authenticator.assert({
+          challenge: options.body.data.challenge,
+          signCount: 1,
+          userHandle: USER_ID,
+          flags: FLAG_USER_PRESENT
+        })
+      });
+
+      expect(login.status).toBe(401);
+      expect(login.body.message).toBe('Passkey authentication failed');
+      expect(TokenModel.create).not.toHaveBeenCalled();
+    });
+  });
+});